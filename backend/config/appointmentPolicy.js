@@ -0,0 +1,38 @@
+// Client self-service appointment policy for LegalPro v1.0.1
+require('dotenv').config();
+
+const numberSetting = (value, fallback) => (value !== undefined && value !== '' ? parseFloat(value) : fallback);
+
+// Rules for clients rescheduling and cancelling their own appointments.
+// Staff (advocates and admins) are not bound by them.
+// The no-show and meeting room settings apply to every appointment.
+const appointmentPolicy = {
+  // Clients cannot move an appointment that starts within this many hours
+  minRescheduleNoticeHours: numberSetting(process.env.RESCHEDULE_MIN_NOTICE_HOURS, 24),
+  // How many times a client may move the same appointment
+  maxReschedules: numberSetting(process.env.RESCHEDULE_MAX_COUNT, 2),
+  // Client cancellations inside this window are charged the late-cancellation fee
+  lateCancellationHours: numberSetting(process.env.LATE_CANCELLATION_HOURS, 24),
+  // Fee in KES; 0 turns the fee off
+  lateCancellationFee: numberSetting(process.env.LATE_CANCELLATION_FEE, 1000),
+  // How long a freed slot is held for a waitlisted client before it goes to the next one
+  waitlistOfferMinutes: numberSetting(process.env.WAITLIST_OFFER_MINUTES, 120),
+
+  // Appointments still scheduled/confirmed this long after they end are flagged as possible no-shows
+  noShowGraceMinutes: numberSetting(process.env.NO_SHOW_GRACE_MINUTES, 30),
+  // How often the no-show sweep runs
+  noShowSweepMinutes: numberSetting(process.env.NO_SHOW_SWEEP_MINUTES, 15),
+  // Follow-up once the advocate confirms a no-show: rebooking link to the client and
+  // a fee in KES (0 turns the fee off)
+  noShowRebookingLink: process.env.NO_SHOW_REBOOKING_LINK !== 'false',
+  noShowFee: numberSetting(process.env.NO_SHOW_FEE, 0),
+
+  // Built-in meeting rooms for virtual appointments open this many minutes before the
+  // start and close this many minutes after the end
+  meetingRoomOpenMinutes: numberSetting(process.env.MEETING_ROOM_OPEN_MINUTES, 15),
+  meetingRoomCloseMinutes: numberSetting(process.env.MEETING_ROOM_CLOSE_MINUTES, 30)
+};
+
+module.exports = {
+  appointmentPolicy
+};
@@ -0,0 +1,151 @@
+// Billing configuration for LegalPro v1.0.1
+require('dotenv').config();
+
+// Activity codes for time entries; `billable` is the default flag for new entries
+const activityCodes = {
+  drafting: { label: 'Drafting', billable: true },
+  research: { label: 'Legal Research', billable: true },
+  court_attendance: { label: 'Court Attendance', billable: true },
+  client_meeting: { label: 'Client Meeting', billable: true },
+  correspondence: { label: 'Correspondence & Calls', billable: true },
+  document_review: { label: 'Document Review', billable: true },
+  negotiation: { label: 'Negotiation', billable: true },
+  filing: { label: 'Filing & Registry', billable: true },
+  travel: { label: 'Travel', billable: true },
+  internal: { label: 'Internal / Administrative', billable: false },
+  other: { label: 'Other', billable: true }
+};
+
+const billingConfig = {
+  currency: process.env.BILLING_CURRENCY || 'KES',
+  // Default hourly rate when an entry does not set one
+  defaultHourlyRate: parseFloat(process.env.DEFAULT_HOURLY_RATE) || 5000,
+  // Billable time is rounded up to this many minutes (6 = tenth of an hour)
+  billingIncrementMinutes: parseInt(process.env.BILLING_INCREMENT_MINUTES) || 6,
+  // A single entry longer than this is almost certainly a forgotten timer
+  maxEntryMinutes: parseInt(process.env.MAX_TIME_ENTRY_MINUTES) || 12 * 60,
+  // Kenyan VAT on legal services
+  vatRate: process.env.VAT_RATE !== undefined ? parseFloat(process.env.VAT_RATE) : 0.16,
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+  invoiceDueDays: parseInt(process.env.INVOICE_DUE_DAYS) || 14
+};
+
+// Firm details printed on invoices
+const firmDetails = {
+  name: process.env.FIRM_NAME || 'LegalPro Advocates',
+  address: process.env.FIRM_ADDRESS || 'Nairobi, Kenya',
+  email: process.env.FIRM_EMAIL || process.env.EMAIL_USER || '',
+  phone: process.env.FIRM_PHONE || '',
+  kraPin: process.env.FIRM_KRA_PIN || ''
+};
+
+// Invoice line item types; disbursements paid on the client's behalf carry no VAT
+const lineItemTypes = {
+  time: { label: 'Professional Fees', taxable: true },
+  appointment: { label: 'Consultation', taxable: true },
+  fee: { label: 'Fixed Fee', taxable: true },
+  expense: { label: 'Disbursement', taxable: false }
+};
+
+// Client (trust) account settings
+const trustConfig = {
+  // Payment types that are client money and are credited to the trust ledger on completion
+  depositPaymentTypes: (process.env.TRUST_DEPOSIT_PAYMENT_TYPES || 'court_fee')
+    .split(',').map(type => type.trim()).filter(Boolean),
+  // Sub-ledger balances within this amount are treated as reconciled
+  reconciliationTolerance: 0.01
+};
+
+// Pending M-Pesa payments whose STK callback never arrived
+const mpesaReconciliationConfig = {
+  // STK pushes still pending this many minutes after initiation are queried with Daraja
+  queryAfterMinutes: parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 5,
+  // How often the reconciliation sweep runs
+  sweepMinutes: parseInt(process.env.MPESA_RECONCILE_SWEEP_MINUTES) || 5,
+  batchSize: parseInt(process.env.MPESA_RECONCILE_BATCH_SIZE) || 50
+};
+
+// Checking Paybill (C2B) confirmations with the Transaction Status API
+const c2bVerificationConfig = {
+  // Receipts still unverified this many minutes after the last query are queried again
+  retryAfterMinutes: parseInt(process.env.MPESA_C2B_VERIFY_RETRY_MINUTES) || 10,
+  // Receipts still unverified after this many queries are rejected for an admin to review
+  maxAttempts: parseInt(process.env.MPESA_C2B_VERIFY_MAX_ATTEMPTS) || 3,
+  sweepMinutes: parseInt(process.env.MPESA_C2B_VERIFY_SWEEP_MINUTES) || 10,
+  batchSize: parseInt(process.env.MPESA_C2B_VERIFY_BATCH_SIZE) || 50
+};
+
+// Matching imported bank and M-Pesa statement lines to payments
+const statementReconciliationConfig = {
+  // A statement line may be dated this many days either side of the payment
+  dateToleranceDays: parseInt(process.env.STATEMENT_DATE_TOLERANCE_DAYS) || 3,
+  maxFileSizeBytes: 5 * 1024 * 1024,
+  maxLines: 5000
+};
+
+// Instalment plans for case fees
+const instalmentPlanConfig = {
+  frequencies: {
+    weekly: { label: 'Weekly', days: 7 },
+    biweekly: { label: 'Every two weeks', days: 14 },
+    monthly: { label: 'Monthly', months: 1 }
+  },
+  maxInstalments: parseInt(process.env.INSTALMENT_MAX_COUNT) || 36,
+  // An instalment still unpaid this many days after it falls due is marked missed
+  graceDays: parseInt(process.env.INSTALMENT_GRACE_DAYS) || 3,
+  // How often due and overdue instalments are checked
+  sweepMinutes: parseInt(process.env.INSTALMENT_SWEEP_MINUTES) || 60,
+  batchSize: parseInt(process.env.INSTALMENT_BATCH_SIZE) || 100
+};
+
+// Refunds paid back to clients by M-Pesa B2C
+const refundConfig = {
+  // Refunds that take a payment's total refunded, in flight included, above this amount need a second admin
+  approvalThreshold: process.env.REFUND_APPROVAL_THRESHOLD !== undefined
+    ? parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) : 10000,
+  // Payouts with no B2C result this many minutes after they were sent, or after the last status query, are queried
+  staleAfterMinutes: parseInt(process.env.REFUND_STALE_AFTER_MINUTES) || 60,
+  // Payouts still unconfirmed after this many status queries keep their hold for an admin to check the M-Pesa statement
+  maxStatusQueries: parseInt(process.env.REFUND_MAX_STATUS_QUERIES) || 3,
+  // How often the stale payout sweep runs
+  sweepMinutes: parseInt(process.env.REFUND_SWEEP_MINUTES) || 15,
+  batchSize: parseInt(process.env.REFUND_SWEEP_BATCH_SIZE) || 50
+};
+
+// What money held in trust may be paid out for
+const disbursementCategories = {
+  court_fee: { label: 'Court Fees' },
+  filing_fee: { label: 'Filing Fees' },
+  stamp_duty: { label: 'Stamp Duty' },
+  search_fee: { label: 'Search Fees' },
+  process_server: { label: 'Process Server' },
+  expert_fee: { label: 'Expert / Valuer Fees' },
+  settlement: { label: 'Settlement Payment' },
+  client_refund: { label: 'Refund to Client' },
+  other: { label: 'Other' }
+};
+
+/**
+ * Round minutes up to the billing increment
+ * @param {Number} minutes - Worked minutes
+ * @returns {Number} Billed minutes
+ */
+const roundToIncrement = (minutes) => {
+  const increment = billingConfig.billingIncrementMinutes;
+  return minutes > 0 ? Math.ceil(minutes / increment) * increment : 0;
+};
+
+module.exports = {
+  activityCodes,
+  billingConfig,
+  firmDetails,
+  lineItemTypes,
+  trustConfig,
+  mpesaReconciliationConfig,
+  c2bVerificationConfig,
+  statementReconciliationConfig,
+  instalmentPlanConfig,
+  refundConfig,
+  disbursementCategories,
+  roundToIncrement
+};
@@ -0,0 +1,130 @@
+// Case workflow configuration for LegalPro v1.0.1
+//
+// Each workflow declares its stages and the transitions allowed between them.
+// Every stage maps onto one of the lifecycle statuses stored in `Case.status`
+// (pending, in_progress, completed, closed) so filtering and statistics keep
+// working across categories. Transitions may list required fields and the
+// roles allowed to perform them (defaults to advocates and admins).
+
+const STAFF_ROLES = ['advocate', 'admin'];
+
+// Labels for fields a transition can require, used by the client to render inputs
+const TRANSITION_FIELDS = {
+  reason: 'Reason',
+  outcomeNote: 'Outcome note'
+};
+
+// Transitions shared by every workflow: declining, closing and reopening a matter
+const commonTransitions = [
+  { from: 'pending', to: 'closed', requiredFields: ['reason', 'outcomeNote'] },
+  { from: 'completed', to: 'closed', requiredFields: ['outcomeNote'] },
+  { from: 'completed', to: 'in_progress', requiredFields: ['reason'] },
+  { from: 'closed', to: 'in_progress', roles: ['advocate'], requiredFields: ['reason'] }
+];
+
+const defaultWorkflow = {
+  name: 'Standard matter',
+  initialStage: 'pending',
+  stages: {
+    pending: { label: 'Pending', status: 'pending' },
+    in_progress: { label: 'In Progress', status: 'in_progress' },
+    completed: { label: 'Completed', status: 'completed' },
+    closed: { label: 'Closed', status: 'closed' }
+  },
+  transitions: [
+    { from: 'pending', to: 'in_progress' },
+    { from: 'in_progress', to: 'pending', requiredFields: ['reason'] },
+    { from: 'in_progress', to: 'completed' },
+    ...commonTransitions
+  ]
+};
+
+// Category-specific workflows. Categories not listed here use the default workflow.
+const categoryWorkflows = {
+  'Family Law': {
+    name: 'Family matter',
+    initialStage: 'pending',
+    stages: {
+      pending: { label: 'Pending', status: 'pending' },
+      in_progress: { label: 'Pleadings Filed', status: 'in_progress' },
+      mediation: { label: 'Mediation', status: 'in_progress' },
+      hearing: { label: 'Hearing', status: 'in_progress' },
+      completed: { label: 'Judgment / Settlement', status: 'completed' },
+      closed: { label: 'Closed', status: 'closed' }
+    },
+    transitions: [
+      { from: 'pending', to: 'in_progress' },
+      { from: 'in_progress', to: 'mediation' },
+      { from: 'in_progress', to: 'hearing' },
+      { from: 'mediation', to: 'hearing', requiredFields: ['reason'] },
+      { from: 'mediation', to: 'completed', requiredFields: ['outcomeNote'] },
+      { from: 'hearing', to: 'completed', requiredFields: ['outcomeNote'] },
+      ...commonTransitions
+    ]
+  },
+
+  'Criminal Defense': {
+    name: 'Criminal defence',
+    initialStage: 'pending',
+    stages: {
+      pending: { label: 'Pending', status: 'pending' },
+      in_progress: { label: 'Investigation', status: 'in_progress' },
+      plea: { label: 'Plea Taking', status: 'in_progress' },
+      trial: { label: 'Trial', status: 'in_progress' },
+      sentencing: { label: 'Sentencing', status: 'in_progress' },
+      appeal: { label: 'Appeal', status: 'in_progress' },
+      completed: { label: 'Judgment Delivered', status: 'completed' },
+      closed: { label: 'Closed', status: 'closed' }
+    },
+    transitions: [
+      { from: 'pending', to: 'in_progress' },
+      { from: 'in_progress', to: 'plea' },
+      { from: 'plea', to: 'trial' },
+      { from: 'plea', to: 'sentencing', requiredFields: ['reason'] },
+      { from: 'trial', to: 'sentencing' },
+      { from: 'trial', to: 'completed', requiredFields: ['outcomeNote'] },
+      { from: 'sentencing', to: 'completed', requiredFields: ['outcomeNote'] },
+      { from: 'completed', to: 'appeal', roles: ['advocate'], requiredFields: ['reason'] },
+      { from: 'appeal', to: 'completed', requiredFields: ['outcomeNote'] },
+      ...commonTransitions
+    ]
+  },
+
+  'Property Law': {
+    name: 'Property transaction',
+    initialStage: 'pending',
+    stages: {
+      pending: { label: 'Pending', status: 'pending' },
+      in_progress: { label: 'Due Diligence', status: 'in_progress' },
+      conveyancing: { label: 'Conveyancing', status: 'in_progress' },
+      registration: { label: 'Registration', status: 'in_progress' },
+      completed: { label: 'Completed', status: 'completed' },
+      closed: { label: 'Closed', status: 'closed' }
+    },
+    transitions: [
+      { from: 'pending', to: 'in_progress' },
+      { from: 'in_progress', to: 'conveyancing' },
+      { from: 'in_progress', to: 'pending', requiredFields: ['reason'] },
+      { from: 'conveyancing', to: 'registration' },
+      { from: 'registration', to: 'completed' },
+      ...commonTransitions
+    ]
+  }
+};
+
+/**
+ * Get the workflow definition for a case category
+ * @param {String} category - Case category
+ * @returns {Object} Workflow definition
+ */
+const getWorkflow = (category) => {
+  return categoryWorkflows[category] || defaultWorkflow;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  TRANSITION_FIELDS,
+  defaultWorkflow,
+  categoryWorkflows,
+  getWorkflow
+};
@@ -0,0 +1,168 @@
+// Deadline rule configuration for LegalPro v1.0.1
+//
+// Rules compute a due date from a trigger event. Periods are counted in
+// calendar_days, court_days, months or years; calendar periods ending on a
+// weekend or public holiday roll forward to the next court day.
+// Periods reflect common Kenyan practice and must be reviewed by the firm
+// before relying on them for a specific matter.
+
+const TRIGGER_EVENTS = {
+  summons_served: 'Service of summons',
+  appearance_entered: 'Appearance entered',
+  judgment_delivered: 'Judgment delivered',
+  ruling_delivered: 'Ruling delivered',
+  decision_made: 'Decision made / communicated',
+  cause_of_action: 'Cause of action arose'
+};
+
+const DEADLINE_TYPES = ['filing', 'appeal', 'limitation', 'hearing', 'other'];
+
+// Reminder thresholds in days before the due date; later thresholds escalate
+const reminderSchedules = {
+  limitation: [180, 90, 30, 14, 7, 3, 1, 0],
+  default: [14, 7, 3, 1, 0]
+};
+
+// Within this many days of the due date (and when overdue) reminders also go to every advocate
+const ESCALATION_DAYS = parseInt(process.env.DEADLINE_ESCALATION_DAYS) || 3;
+
+// Minutes between deadline reminder sweeps; each reminder level is still sent once
+const REMINDER_SWEEP_MINUTES = parseInt(process.env.DEADLINE_REMINDER_SWEEP_MINUTES) || 60;
+
+const civilProcedureRules = [
+  {
+    key: 'memorandum_of_appearance',
+    label: 'Enter appearance',
+    type: 'filing',
+    trigger: 'summons_served',
+    period: { length: 15, unit: 'calendar_days' }
+  },
+  {
+    key: 'statement_of_defence',
+    label: 'File statement of defence',
+    type: 'filing',
+    trigger: 'appearance_entered',
+    period: { length: 14, unit: 'calendar_days' }
+  },
+  {
+    key: 'notice_of_appeal',
+    label: 'Lodge notice of appeal (Court of Appeal)',
+    type: 'appeal',
+    trigger: 'judgment_delivered',
+    period: { length: 14, unit: 'calendar_days' }
+  },
+  {
+    key: 'appeal_to_high_court',
+    label: 'File appeal from subordinate court',
+    type: 'appeal',
+    trigger: 'judgment_delivered',
+    period: { length: 30, unit: 'calendar_days' }
+  }
+];
+
+const contractAndTortRules = [
+  {
+    key: 'limitation_contract',
+    label: 'Limitation period: contract',
+    type: 'limitation',
+    trigger: 'cause_of_action',
+    period: { length: 6, unit: 'years' }
+  },
+  {
+    key: 'limitation_tort',
+    label: 'Limitation period: tort',
+    type: 'limitation',
+    trigger: 'cause_of_action',
+    period: { length: 3, unit: 'years' }
+  }
+];
+
+const judicialReviewRule = {
+  key: 'judicial_review',
+  label: 'Apply for judicial review',
+  type: 'limitation',
+  trigger: 'decision_made',
+  period: { length: 6, unit: 'months' }
+};
+
+// Rule sets per case category
+const categoryRules = {
+  'Family Law': [...civilProcedureRules],
+  'Corporate Law': [...civilProcedureRules, ...contractAndTortRules],
+  'Criminal Defense': [
+    {
+      key: 'criminal_appeal',
+      label: 'Lodge criminal appeal',
+      type: 'appeal',
+      trigger: 'judgment_delivered',
+      period: { length: 14, unit: 'calendar_days' }
+    },
+    {
+      key: 'revision_application',
+      label: 'Apply for revision of ruling',
+      type: 'filing',
+      trigger: 'ruling_delivered',
+      period: { length: 14, unit: 'court_days' }
+    }
+  ],
+  'Property Law': [
+    ...civilProcedureRules,
+    {
+      key: 'limitation_recovery_of_land',
+      label: 'Limitation period: recovery of land',
+      type: 'limitation',
+      trigger: 'cause_of_action',
+      period: { length: 12, unit: 'years' }
+    }
+  ],
+  'Employment Law': [
+    ...civilProcedureRules,
+    {
+      key: 'limitation_employment',
+      label: 'Limitation period: employment claim',
+      type: 'limitation',
+      trigger: 'cause_of_action',
+      period: { length: 3, unit: 'years' }
+    }
+  ],
+  'Constitutional Law': [...civilProcedureRules, judicialReviewRule],
+  'Tax Law': [
+    {
+      key: 'tax_appeal_notice',
+      label: 'Notice of appeal to Tax Appeals Tribunal',
+      type: 'appeal',
+      trigger: 'decision_made',
+      period: { length: 30, unit: 'calendar_days' }
+    },
+    judicialReviewRule
+  ],
+  'Immigration Law': [judicialReviewRule],
+  'Intellectual Property': [...civilProcedureRules, ...contractAndTortRules],
+  'Environmental Law': [...civilProcedureRules, judicialReviewRule]
+};
+
+/**
+ * Get the deadline rules available for a case category
+ * @param {String} category - Case category
+ * @returns {Array} Deadline rules
+ */
+const getRulesForCategory = (category) => categoryRules[category] || civilProcedureRules;
+
+/**
+ * Find a rule by key within a category's rule set
+ * @param {String} category - Case category
+ * @param {String} key - Rule key
+ * @returns {Object|undefined} Deadline rule
+ */
+const findRule = (category, key) => getRulesForCategory(category).find(rule => rule.key === key);
+
+module.exports = {
+  TRIGGER_EVENTS,
+  DEADLINE_TYPES,
+  ESCALATION_DAYS,
+  REMINDER_SWEEP_MINUTES,
+  reminderSchedules,
+  categoryRules,
+  getRulesForCategory,
+  findRule
+};
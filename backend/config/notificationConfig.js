@@ -68,6 +68,92 @@ const eventNotificationConfig = {
     }
   },
 
+  // Sent to the other party when an appointment is moved
+  appointmentRescheduled: {
+    email: {
+      enabled: process.env.APPOINTMENT_RESCHEDULED_EMAIL_ENABLED !== 'false',
+      template: 'appointment-rescheduled',
+      priority: 'high',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.APPOINTMENT_RESCHEDULED_SMS_ENABLED !== 'false',
+      template: 'appointmentRescheduled',
+      priority: 'high',
+      delay: 5000
+    },
+    whatsapp: {
+      enabled: process.env.APPOINTMENT_RESCHEDULED_WHATSAPP_ENABLED === 'true',
+      template: 'appointmentRescheduled',
+      priority: 'medium',
+      delay: 30000
+    }
+  },
+
+  // A freed slot offered to a waitlisted client; time-limited, so no email
+  waitlistOffer: {
+    sms: {
+      enabled: process.env.WAITLIST_OFFER_SMS_ENABLED !== 'false',
+      template: 'waitlistOffer',
+      priority: 'high',
+      delay: 0
+    },
+    whatsapp: {
+      enabled: process.env.WAITLIST_OFFER_WHATSAPP_ENABLED !== 'false',
+      template: 'waitlistOffer',
+      priority: 'high',
+      delay: 0
+    }
+  },
+
+  // Advocate asked to confirm whether the client attended
+  noShowReview: {
+    email: {
+      enabled: process.env.NO_SHOW_REVIEW_EMAIL_ENABLED !== 'false',
+      template: 'no-show-review',
+      priority: 'medium',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.NO_SHOW_REVIEW_SMS_ENABLED === 'true',
+      template: 'noShowReview',
+      priority: 'low',
+      delay: 0
+    }
+  },
+
+  // Client follow-up after a confirmed no-show, with a link to rebook
+  appointmentNoShow: {
+    email: {
+      enabled: process.env.APPOINTMENT_NO_SHOW_EMAIL_ENABLED !== 'false',
+      template: 'appointment-no-show',
+      priority: 'medium',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.APPOINTMENT_NO_SHOW_SMS_ENABLED !== 'false',
+      template: 'appointmentNoShow',
+      priority: 'medium',
+      delay: 5000
+    }
+  },
+
+  // Someone other than the client and advocate added to an appointment
+  appointmentInvitation: {
+    email: {
+      enabled: process.env.APPOINTMENT_INVITATION_EMAIL_ENABLED !== 'false',
+      template: 'appointment-invitation',
+      priority: 'medium',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.APPOINTMENT_INVITATION_SMS_ENABLED !== 'false',
+      template: 'appointmentInvitation',
+      priority: 'medium',
+      delay: 5000
+    }
+  },
+
   // Case management events
   caseUpdate: {
     email: {
@@ -112,6 +198,37 @@ const eventNotificationConfig = {
     }
   },
 
+  // Payment plan instalment falling due; sent alongside the STK push, or instead of it
+  instalmentDue: {
+    email: {
+      enabled: process.env.INSTALMENT_DUE_EMAIL_ENABLED !== 'false',
+      template: 'instalment-due',
+      priority: 'medium',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.INSTALMENT_DUE_SMS_ENABLED !== 'false',
+      template: 'instalmentDue',
+      priority: 'medium',
+      delay: 0
+    }
+  },
+
+  instalmentMissed: {
+    email: {
+      enabled: process.env.INSTALMENT_MISSED_EMAIL_ENABLED !== 'false',
+      template: 'instalment-missed',
+      priority: 'high',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.INSTALMENT_MISSED_SMS_ENABLED !== 'false',
+      template: 'instalmentMissed',
+      priority: 'high',
+      delay: 5000
+    }
+  },
+
   // Document and legal process events
   documentRequest: {
     email: {
@@ -155,6 +272,71 @@ const eventNotificationConfig = {
     }
   },
 
+  // Court and limitation deadlines (critical so they are not held back by quiet hours)
+  deadlineReminder: {
+    email: {
+      enabled: process.env.DEADLINE_REMINDER_EMAIL_ENABLED !== 'false',
+      template: 'deadline-reminder',
+      priority: 'critical',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.DEADLINE_REMINDER_SMS_ENABLED !== 'false',
+      template: 'deadlineReminder',
+      priority: 'critical',
+      delay: 0
+    },
+    whatsapp: {
+      enabled: process.env.DEADLINE_REMINDER_WHATSAPP_ENABLED === 'true',
+      template: 'deadlineReminder',
+      priority: 'high',
+      delay: 5000
+    }
+  },
+
+  // Case task assignment and due/overdue reminders for staff
+  taskAssigned: {
+    email: {
+      enabled: process.env.TASK_ASSIGNED_EMAIL_ENABLED !== 'false',
+      template: 'task-assigned',
+      priority: 'medium',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.TASK_ASSIGNED_SMS_ENABLED === 'true',
+      template: 'taskAssigned',
+      priority: 'medium',
+      delay: 0
+    },
+    whatsapp: {
+      enabled: process.env.TASK_ASSIGNED_WHATSAPP_ENABLED === 'true',
+      template: 'taskAssigned',
+      priority: 'low',
+      delay: 5000
+    }
+  },
+
+  taskReminder: {
+    email: {
+      enabled: process.env.TASK_REMINDER_EMAIL_ENABLED !== 'false',
+      template: 'task-reminder',
+      priority: 'high',
+      delay: 0
+    },
+    sms: {
+      enabled: process.env.TASK_REMINDER_SMS_ENABLED !== 'false',
+      template: 'taskReminder',
+      priority: 'high',
+      delay: 0
+    },
+    whatsapp: {
+      enabled: process.env.TASK_REMINDER_WHATSAPP_ENABLED === 'true',
+      template: 'taskReminder',
+      priority: 'medium',
+      delay: 5000
+    }
+  },
+
   // Security events
   passwordReset: {
     email: {
@@ -0,0 +1,46 @@
+// Public holiday configuration for LegalPro v1.0.1
+require('dotenv').config();
+
+// Fixed-date Kenyan public holidays (month is 1-based)
+const fixedHolidays = [
+  { month: 1, day: 1, name: "New Year's Day" },
+  { month: 5, day: 1, name: 'Labour Day' },
+  { month: 6, day: 1, name: 'Madaraka Day' },
+  { month: 10, day: 10, name: 'Mazingira Day' },
+  { month: 10, day: 20, name: 'Mashujaa Day' },
+  { month: 12, day: 12, name: 'Jamhuri Day' },
+  { month: 12, day: 25, name: 'Christmas Day' },
+  { month: 12, day: 26, name: 'Boxing Day' }
+];
+
+// Holidays computed relative to Easter Sunday (days offset)
+const easterHolidays = [
+  { offset: -2, name: 'Good Friday' },
+  { offset: 1, name: 'Easter Monday' }
+];
+
+// Moveable or gazetted one-off holidays (Eid al-Fitr, special days) as YYYY-MM-DD:Name,
+// e.g. PUBLIC_HOLIDAYS=2026-03-20:Idd-ul-Fitr,2026-11-02:Special Holiday
+const parseConfiguredHolidays = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [date, ...name] = entry.split(':');
+    return { date: date.trim(), name: name.join(':').trim() || 'Public Holiday' };
+  })
+  .filter(holiday => /^\d{4}-\d{2}-\d{2}$/.test(holiday.date));
+
+const holidayConfig = {
+  fixedHolidays,
+  easterHolidays,
+  configuredHolidays: parseConfiguredHolidays(process.env.PUBLIC_HOLIDAYS),
+  // Public Holidays Act: a holiday falling on a Sunday is observed on the Monday
+  observeSundayOnMonday: process.env.OBSERVE_SUNDAY_HOLIDAYS_ON_MONDAY !== 'false',
+  timezone: process.env.TIMEZONE || 'Africa/Nairobi'
+};
+
+module.exports = {
+  holidayConfig,
+  parseConfiguredHolidays
+};
@@ -2,7 +2,137 @@
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
 const Case = require('../models/Case');
+const Payment = require('../models/Payment');
+const { appointmentPolicy } = require('../config/appointmentPolicy');
 const { sendNotification } = require('../utils/notificationService');
+const {
+  generateAvailableSlots,
+  checkAdvocateAvailability,
+  getAppointmentStatistics: buildAppointmentStatistics
+} = require('../utils/appointmentUtils');
+const {
+  SERIES_SCOPES,
+  validateRecurrence,
+  generateOccurrences,
+  findOccurrenceProblems,
+  getSeriesId,
+  getOriginalStart,
+  findActiveOccurrences,
+  addSeriesException,
+  endSeriesBefore,
+  splitSeries,
+  updateOccurrences
+} = require('../utils/appointmentSeries');
+const { syncAppointmentReminders, cancelAppointmentReminders } = require('../utils/appointmentReminders');
+const { buildAppointmentCalendar, buildAppointmentAttachment } = require('../utils/calendarFeed');
+const { checkReschedulePolicy, getLateCancellationFee } = require('../utils/appointmentPolicy');
+const { findHeldSlots, offerFreedSlots } = require('../utils/appointmentWaitlist');
+const { applyNoShowFollowUp } = require('../utils/noShowDetection');
+const { getIceServers, checkMeetingAccess, summarizeAttendance } = require('../utils/meetingRooms');
+const { findIntakeForm, validateIntakeAnswers, copyIntakeToCase } = require('../utils/intakeForms');
+const { buildCaseFromAppointment } = require('../utils/caseConversion');
+const {
+  normalizeParticipants,
+  getBusyUserIds,
+  findBusy,
+  nameBusy,
+  validateParticipantsAndResources
+} = require('../utils/appointmentParticipants');
+
+// Check the edit/cancel scope sent for an appointment; returns an error message or null
+const checkSeriesScope = (appointment, scope) => {
+  if (!SERIES_SCOPES.includes(scope)) {
+    return 'Scope must be one of: ' + SERIES_SCOPES.join(', ');
+  }
+  if (scope !== 'this' && !getSeriesId(appointment)) {
+    return 'Appointment is not part of a recurring series';
+  }
+  return null;
+};
+
+// Refuse a client booking that overlaps a slot held for someone on the waitlist
+const findHoldConflict = async (advocateId, startDateTime, endDateTime, user) => {
+  if (user.role !== 'client') return null;
+  const holds = await findHeldSlots(advocateId, startDateTime, endDateTime, user._id);
+  return holds[0] || null;
+};
+
+const holdConflictResponse = (res, hold) => res.status(409).json({
+  success: false,
+  message: `This time is being held for a waitlisted client until ${hold.offer.expiresAt.toISOString()}. Please choose another slot`
+});
+
+const isParticipant = (appointment, user) => (appointment.participants || []).some(participant =>
+  (participant.user?._id || participant.user)?.toString() === user._id.toString());
+
+// Find participants and resources already booked at the new time; null when everyone is free
+const findParticipantConflicts = async (appointment, startDateTime, endDateTime, excludeId = null) => {
+  const busy = await findBusy({
+    userIds: getBusyUserIds(appointment),
+    resourceIds: appointment.resources || [],
+    startDateTime,
+    endDateTime,
+    excludeId
+  });
+  if (busy.users.length === 0 && busy.resources.length === 0) return null;
+  return nameBusy(busy);
+};
+
+const participantConflictResponse = (res, busy) => res.status(409).json({
+  success: false,
+  message: `Not everyone is free at that time: ${[...busy.users, ...busy.resources].map(entry => entry.name).join(', ')}`,
+  busy
+});
+
+// Let participants know they have been added to an appointment
+const inviteParticipants = async (appointment, participants) => {
+  const advocate = appointment.advocateId;
+  for (const participant of participants) {
+    const person = participant.user?.firstName
+      ? participant.user
+      : { _id: participant._id, firstName: participant.name, email: participant.email, phone: participant.phone };
+
+    try {
+      await sendNotification(person, 'appointmentInvitation', {
+        title: appointment.title,
+        appointmentDate: appointment.formattedDate,
+        appointmentTime: appointment.formattedTime,
+        advocateName: `${advocate.firstName} ${advocate.lastName}`,
+        location: appointment.location?.type || 'office'
+      }, { attachments: [buildAppointmentAttachment(appointment)] });
+    } catch (notificationError) {
+      console.error(`Invitation error for participant ${participant._id}:`, notificationError);
+    }
+  }
+};
+
+const PARTICIPANT_POPULATE = [
+  { path: 'participants.user', select: 'firstName lastName email phone role' },
+  { path: 'resources', select: 'name type location capacity' }
+];
+
+// Raise a pending Payment for a client's late cancellation under the firm's policy
+const chargeLateCancellation = async (appointment, user) => {
+  const amount = getLateCancellationFee(appointment);
+  if (!amount) return null;
+
+  const payment = await Payment.create({
+    clientId: user._id,
+    appointmentId: appointment._id,
+    caseId: appointment.caseId?._id || appointment.caseId,
+    amount,
+    currency: 'KES',
+    method: 'mpesa',
+    paymentType: 'cancellation_fee',
+    status: 'pending',
+    description: `Late cancellation fee: ${appointment.title} on ${appointment.formattedDate}`,
+    createdBy: user._id
+  });
+
+  appointment.cancellationFee = { amount, paymentId: payment._id };
+  await appointment.save();
+  return payment;
+};
 
 // @desc    Get all appointments with filtering and pagination
 // @route   GET /api/appointments
@@ -19,17 +149,19 @@ const getAppointments = async (req, res) => {
       caseId,
       startDate,
       endDate,
-      search
+      search,
+      noShowReview
     } = req.query;
 
     // Build filter based on user role
     let filter = {};
 
-    // Role-based filtering
+    // Role-based filtering; people invited as participants see those appointments too
+    const conditions = [];
     if (req.user.role === 'client') {
-      filter.clientId = req.user._id;
+      conditions.push({ $or: [{ clientId: req.user._id }, { 'participants.user': req.user._id }] });
     } else if (req.user.role === 'advocate') {
-      filter.advocateId = req.user._id;
+      conditions.push({ $or: [{ advocateId: req.user._id }, { 'participants.user': req.user._id }] });
     }
     // Admins can see all appointments
 
@@ -39,6 +171,7 @@ const getAppointments = async (req, res) => {
     if (advocateId && req.user.role !== 'client') filter.advocateId = advocateId;
     if (clientId && req.user.role === 'admin') filter.clientId = clientId;
     if (caseId) filter.caseId = caseId;
+    if (noShowReview) filter['noShowReview.status'] = noShowReview;
 
     // Date range filter
     if (startDate || endDate) {
@@ -49,12 +182,16 @@ const getAppointments = async (req, res) => {
 
     // Search filter
     if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      conditions.push({
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      });
     }
 
+    if (conditions.length > 0) filter.$and = conditions;
+
     // Pagination
     const skip = (page - 1) * limit;
 
@@ -63,6 +200,8 @@ const getAppointments = async (req, res) => {
       .populate('advocateId', 'firstName lastName email specialization')
       .populate('caseId', 'title caseNumber')
       .populate('bookedBy', 'firstName lastName')
+      .populate(PARTICIPANT_POPULATE)
+      .select('-intake.answers')
       .sort({ startDateTime: 1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -100,7 +239,8 @@ const getAppointment = async (req, res) => {
       .populate('caseId', 'title caseNumber')
       .populate('bookedBy', 'firstName lastName')
       .populate('cancelledBy', 'firstName lastName')
-      .populate('notes.author', 'firstName lastName');
+      .populate('notes.author', 'firstName lastName')
+      .populate(PARTICIPANT_POPULATE);
 
     if (!appointment) {
       return res.status(404).json({
@@ -113,7 +253,8 @@ const getAppointment = async (req, res) => {
     const hasAccess =
       req.user.role === 'admin' ||
       appointment.clientId._id.toString() === req.user._id.toString() ||
-      appointment.advocateId._id.toString() === req.user._id.toString();
+      appointment.advocateId._id.toString() === req.user._id.toString() ||
+      isParticipant(appointment, req.user);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -122,6 +263,15 @@ const getAppointment = async (req, res) => {
       });
     }
 
+    // Intake answers are the client's account of the matter; other invitees don't see them
+    const seesIntake =
+      req.user.role === 'admin' ||
+      appointment.clientId._id.toString() === req.user._id.toString() ||
+      appointment.advocateId._id.toString() === req.user._id.toString();
+    if (!seesIntake) {
+      appointment.intake = undefined;
+    }
+
     res.status(200).json({
       success: true,
       data: appointment
@@ -154,7 +304,11 @@ const createAppointment = async (req, res) => {
       caseId,
       isRecurring,
       recurrence,
-      reminderSettings
+      reminderSettings,
+      participants = [],
+      resources = [],
+      practiceArea,
+      intakeAnswers
     } = req.body;
 
     // Validate required fields
@@ -183,6 +337,32 @@ const createAppointment = async (req, res) => {
       });
     }
 
+    const normalized = normalizeParticipants(participants, { clientId, advocateId });
+    const participantError = normalized.error ||
+      await validateParticipantsAndResources(normalized.participants, resources);
+    if (participantError) {
+      return res.status(400).json({
+        success: false,
+        message: participantError
+      });
+    }
+
+    // Clients can only book inside the advocate's working hours; staff may schedule outside them
+    if (req.user.role === 'client') {
+      const availability = await checkAdvocateAvailability(
+        advocateId,
+        new Date(startDateTime),
+        new Date(endDateTime)
+      );
+
+      if (!availability.available) {
+        return res.status(400).json({
+          success: false,
+          message: `The advocate is not available at that time (${availability.reason})`
+        });
+      }
+    }
+
     // Check for scheduling conflicts
     const conflicts = await Appointment.findConflicts(
       advocateId,
@@ -203,10 +383,25 @@ const createAppointment = async (req, res) => {
       });
     }
 
+    const hold = await findHoldConflict(advocateId, new Date(startDateTime), new Date(endDateTime), req.user);
+    if (hold) {
+      return holdConflictResponse(res, hold);
+    }
+
+    const busy = await findParticipantConflicts(
+      { advocateId, participants: normalized.participants, resources },
+      new Date(startDateTime),
+      new Date(endDateTime)
+    );
+    if (busy) {
+      return participantConflictResponse(res, busy);
+    }
+
     // Validate case if provided
+    let linkedCase = null;
     if (caseId) {
-      const caseDoc = await Case.findById(caseId);
-      if (!caseDoc) {
+      linkedCase = await Case.findById(caseId);
+      if (!linkedCase) {
         return res.status(400).json({
           success: false,
           message: 'Invalid case ID'
@@ -214,6 +409,62 @@ const createAppointment = async (req, res) => {
       }
     }
 
+    // Clients must answer the intake form for this type and practice area; staff may fill it in for them
+    let intake;
+    const intakeForm = await findIntakeForm(type || 'consultation', practiceArea);
+    if (intakeForm && (req.user.role === 'client' || intakeAnswers !== undefined)) {
+      const result = validateIntakeAnswers(intakeForm, intakeAnswers);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          errors: result.errors,
+          intakeFormId: intakeForm._id
+        });
+      }
+      intake = result.intake;
+    }
+
+    // Expand a recurring booking and check every later occurrence before saving anything
+    let occurrences = [];
+    let skippedOccurrences = [];
+    if (isRecurring) {
+      const recurrenceError = validateRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError
+        });
+      }
+
+      try {
+        occurrences = generateOccurrences(startDateTime, endDateTime, recurrence).slice(1);
+      } catch (seriesError) {
+        if (seriesError.code !== 'INVALID_RECURRENCE') throw seriesError;
+        return res.status(400).json({
+          success: false,
+          message: seriesError.message
+        });
+      }
+
+      skippedOccurrences = await findOccurrenceProblems(advocateId, occurrences, {
+        checkAvailability: req.user.role === 'client',
+        userIds: getBusyUserIds({ advocateId, participants: normalized.participants }),
+        resourceIds: resources
+      });
+
+      if (skippedOccurrences.length > 0 && !req.body.skipConflicts) {
+        return res.status(409).json({
+          success: false,
+          message: `${skippedOccurrences.length} occurrence(s) of the series cannot be booked`,
+          unavailableOccurrences: skippedOccurrences
+        });
+      }
+
+      const skippedTimes = new Set(skippedOccurrences.map(occurrence => occurrence.startDateTime.getTime()));
+      occurrences = occurrences.filter(occurrence => !skippedTimes.has(occurrence.startDateTime.getTime()));
+    }
+
     // Create appointment
     const appointmentData = {
       title,
@@ -226,23 +477,61 @@ const createAppointment = async (req, res) => {
       priority: priority || 'medium',
       location,
       caseId,
+      practiceArea,
+      intake,
+      participants: normalized.participants,
+      resources,
       isRecurring: isRecurring || false,
-      recurrence,
       reminderSettings,
       bookedBy: req.user._id
     };
 
+    if (isRecurring) {
+      appointmentData.recurrence = {
+        ...recurrence,
+        exceptions: skippedOccurrences.map(occurrence => ({
+          originalStartDateTime: occurrence.startDateTime,
+          type: 'skipped',
+          reason: occurrence.reason
+        }))
+      };
+      appointmentData.originalStartDateTime = appointmentData.startDateTime;
+    }
+
     const appointment = await Appointment.create(appointmentData);
 
+    // Later occurrences are their own appointments pointing back at the first one
+    let seriesAppointments = [];
+    if (occurrences.length > 0) {
+      seriesAppointments = await Appointment.insertMany(occurrences.map(occurrence => ({
+        ...appointmentData,
+        recurrence: undefined,
+        intake: undefined,
+        parentAppointmentId: appointment._id,
+        startDateTime: occurrence.startDateTime,
+        endDateTime: occurrence.endDateTime,
+        originalStartDateTime: occurrence.startDateTime
+      })));
+    }
+
+    await syncAppointmentReminders([appointment, ...seriesAppointments]);
+
+    if (linkedCase && copyIntakeToCase(appointment, linkedCase)) {
+      await linkedCase.save();
+    }
+
     // Populate the created appointment
     await appointment.populate([
       { path: 'clientId', select: 'firstName lastName email phone' },
       { path: 'advocateId', select: 'firstName lastName email' },
-      { path: 'bookedBy', select: 'firstName lastName' }
+      { path: 'bookedBy', select: 'firstName lastName' },
+      ...PARTICIPANT_POPULATE
     ]);
 
-    // Send confirmation notifications
+    // Send confirmation notifications with the appointment attached as an .ics file
     try {
+      const calendarOptions = { attachments: [buildAppointmentAttachment(appointment)] };
+
       // Notify client
       await sendNotification(client, 'appointmentConfirmation', {
         title: appointment.title,
@@ -250,7 +539,7 @@ const createAppointment = async (req, res) => {
         time: appointment.formattedTime,
         advocateName: `${advocate.firstName} ${advocate.lastName}`,
         location: appointment.location?.type || 'office'
-      });
+      }, calendarOptions);
 
       // Notify advocate
       await sendNotification(advocate, 'appointmentScheduled', {
@@ -259,16 +548,26 @@ const createAppointment = async (req, res) => {
         time: appointment.formattedTime,
         clientName: `${client.firstName} ${client.lastName}`,
         location: appointment.location?.type || 'office'
-      });
+      }, calendarOptions);
     } catch (notificationError) {
       console.error('Notification error:', notificationError);
       // Don't fail the appointment creation if notifications fail
     }
 
+    await inviteParticipants(appointment, appointment.participants);
+
     res.status(201).json({
       success: true,
       data: appointment,
-      message: 'Appointment created successfully'
+      ...(isRecurring ? {
+        series: {
+          occurrences: occurrences.length + 1,
+          skipped: skippedOccurrences
+        }
+      } : {}),
+      message: isRecurring
+        ? `Recurring appointment created with ${occurrences.length + 1} occurrences`
+        : 'Appointment created successfully'
     });
 
   } catch (error) {
@@ -302,6 +601,47 @@ const createAppointment = async (req, res) => {
   }
 };
 
+// Apply an edit to "this and following" occurrences or the whole series
+const updateSeriesOccurrences = async (req, res, appointment, scope) => {
+  const seriesId = getSeriesId(appointment);
+  const targets = await findActiveOccurrences(
+    seriesId,
+    scope === 'following' ? getOriginalStart(appointment) : null
+  );
+
+  const result = await updateOccurrences(targets, appointment, req.body, {
+    checkAvailability: req.user.role === 'client'
+  });
+
+  if (result.problems) {
+    return res.status(409).json({
+      success: false,
+      message: `${result.problems.length} occurrence(s) cannot be moved to the new time`,
+      unavailableOccurrences: result.problems
+    });
+  }
+
+  await syncAppointmentReminders(result.updated);
+
+  // Editing from the middle of a series starts a new series from this occurrence
+  if (scope === 'following') {
+    await splitSeries(await Appointment.findById(appointment._id));
+  }
+
+  const updated = await Appointment.findById(appointment._id).populate([
+    { path: 'clientId', select: 'firstName lastName email phone' },
+    { path: 'advocateId', select: 'firstName lastName email' },
+    { path: 'bookedBy', select: 'firstName lastName' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: updated,
+    updatedCount: result.updated.length,
+    message: `${result.updated.length} occurrence(s) updated successfully`
+  });
+};
+
 // @desc    Update appointment
 // @route   PUT /api/appointments/:id
 // @access  Private
@@ -329,6 +669,43 @@ const updateAppointment = async (req, res) => {
       });
     }
 
+    // Clients move appointments through the reschedule endpoint so the firm's policy applies
+    if (req.user.role === 'client' && (req.body.startDateTime || req.body.endDateTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PUT /api/appointments/:id/reschedule to change the time of your appointment'
+      });
+    }
+
+    if (req.user.role === 'client' && req.body.status === 'no_show') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the advocate can mark an appointment as a no-show'
+      });
+    }
+
+    const scope = req.body.scope || 'this';
+    const scopeError = checkSeriesScope(appointment, scope);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    if (scope !== 'this') {
+      if (req.body.status) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status can only be changed one occurrence at a time'
+        });
+      }
+      return await updateSeriesOccurrences(req, res, appointment, scope);
+    }
+
+    const seriesId = getSeriesId(appointment);
+    const originalStart = getOriginalStart(appointment);
+
     const {
       title,
       description,
@@ -338,11 +715,47 @@ const updateAppointment = async (req, res) => {
       priority,
       location,
       status,
-      notes
+      notes,
+      participants,
+      resources,
+      caseId
     } = req.body;
 
+    // Linking the appointment to a case carries its intake answers over
+    let linkedCase = null;
+    if (caseId !== undefined && caseId !== null && caseId.toString() !== appointment.caseId?.toString()) {
+      if (req.user.role === 'client') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only staff can link an appointment to a case'
+        });
+      }
+      linkedCase = await Case.findById(caseId);
+      if (!linkedCase) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid case ID'
+        });
+      }
+    }
+
+    let normalized = null;
+    if (participants !== undefined || resources !== undefined) {
+      normalized = participants !== undefined
+        ? normalizeParticipants(participants, appointment)
+        : { participants: appointment.participants };
+      const participantError = normalized.error ||
+        await validateParticipantsAndResources(normalized.participants, resources || []);
+      if (participantError) {
+        return res.status(400).json({
+          success: false,
+          message: participantError
+        });
+      }
+    }
+
     // If updating time, check for conflicts
-    if (startDateTime || endDateTime) {
+    if (startDateTime || endDateTime || normalized) {
       const newStartTime = startDateTime ? new Date(startDateTime) : appointment.startDateTime;
       const newEndTime = endDateTime ? new Date(endDateTime) : appointment.endDateTime;
 
@@ -365,8 +778,20 @@ const updateAppointment = async (req, res) => {
           }))
         });
       }
+
+      const busy = await findParticipantConflicts({
+        advocateId: appointment.advocateId,
+        participants: normalized ? normalized.participants : appointment.participants,
+        resources: resources !== undefined ? resources : appointment.resources
+      }, newStartTime, newEndTime, appointment._id);
+      if (busy) {
+        return participantConflictResponse(res, busy);
+      }
     }
 
+    // Anyone not already on the appointment gets an invitation once it is saved
+    const existingParticipants = new Set(appointment.participants.map(participant => participant._id.toString()));
+
     // Update fields
     if (title) appointment.title = title;
     if (description !== undefined) appointment.description = description;
@@ -375,6 +800,19 @@ const updateAppointment = async (req, res) => {
     if (type) appointment.type = type;
     if (priority) appointment.priority = priority;
     if (location) appointment.location = { ...appointment.location, ...location };
+    if (participants !== undefined) appointment.participants = normalized.participants;
+    if (resources !== undefined) appointment.resources = resources;
+    if (linkedCase) {
+      appointment.caseId = linkedCase._id;
+      appointment.timeline.push({
+        event: 'linked_to_case',
+        description: `Linked to case ${linkedCase.caseNumber}`,
+        user: req.user._id,
+        metadata: { caseId: linkedCase._id, caseNumber: linkedCase.caseNumber }
+      });
+    }
+    // A no-show marked by hand gets the same follow-up as one confirmed from the review
+    const markedNoShow = status === 'no_show' && appointment.status !== 'no_show';
     if (status) appointment.status = status;
 
     // Handle status changes
@@ -382,6 +820,13 @@ const updateAppointment = async (req, res) => {
       appointment.completedAt = new Date();
     }
 
+    // Settling the appointment by hand closes any open no-show review
+    if (['completed', 'cancelled'].includes(status) && appointment.noShowReview?.status === 'pending') {
+      appointment.noShowReview.status = 'dismissed';
+      appointment.noShowReview.resolvedBy = req.user._id;
+      appointment.noShowReview.resolvedAt = new Date();
+    }
+
     if (status === 'cancelled') {
       appointment.cancelledBy = req.user._id;
       appointment.cancelledAt = new Date();
@@ -390,16 +835,42 @@ const updateAppointment = async (req, res) => {
       }
     }
 
+    const moved = appointment.isModified('startDateTime') || appointment.isModified('endDateTime');
+    if (seriesId && moved) {
+      appointment.originalStartDateTime = originalStart;
+    }
+
     await appointment.save();
 
+    // Keep the series parent's exception list in step with single-occurrence changes
+    if (seriesId && status === 'cancelled') {
+      await addSeriesException(seriesId, originalStart, 'cancelled', appointment.cancellationReason);
+    } else if (seriesId && moved) {
+      await addSeriesException(seriesId, originalStart, 'modified');
+    }
+
+    if (markedNoShow) {
+      await applyNoShowFollowUp(appointment, req.user);
+    }
+
+    if (linkedCase && copyIntakeToCase(appointment, linkedCase)) {
+      await linkedCase.save();
+    }
+
+    await syncAppointmentReminders([appointment]);
+
     // Populate updated appointment
     await appointment.populate([
       { path: 'clientId', select: 'firstName lastName email phone' },
       { path: 'advocateId', select: 'firstName lastName email' },
       { path: 'bookedBy', select: 'firstName lastName' },
-      { path: 'cancelledBy', select: 'firstName lastName' }
+      { path: 'cancelledBy', select: 'firstName lastName' },
+      ...PARTICIPANT_POPULATE
     ]);
 
+    await inviteParticipants(appointment, appointment.participants.filter(participant =>
+      !existingParticipants.has(participant._id.toString())));
+
     res.status(200).json({
       success: true,
       data: appointment,
@@ -452,6 +923,7 @@ const deleteAppointment = async (req, res) => {
     }
 
     await appointment.deleteOne();
+    await cancelAppointmentReminders(appointment._id);
 
     res.status(200).json({
       success: true,
@@ -504,18 +976,76 @@ const cancelAppointment = async (req, res) => {
       });
     }
 
-    // Update appointment status
-    appointment.status = 'cancelled';
-    appointment.cancelledBy = req.user._id;
-    appointment.cancelledAt = new Date();
-    appointment.cancellationReason = req.body.reason || 'No reason provided';
+    const scope = req.body.scope || 'this';
+    const scopeError = checkSeriesScope(appointment, scope);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const seriesId = getSeriesId(appointment);
+    const originalStart = getOriginalStart(appointment);
+    const cancellation = {
+      status: 'cancelled',
+      cancelledBy: req.user._id,
+      cancelledAt: new Date(),
+      cancellationReason: req.body.reason || 'No reason provided'
+    };
 
+    // Update appointment status
+    appointment.set(cancellation);
     await appointment.save();
 
+    const cancelled = [appointment];
+    if (scope === 'this') {
+      if (seriesId) {
+        await addSeriesException(seriesId, originalStart, 'cancelled', cancellation.cancellationReason);
+      }
+    } else {
+      // Occurrences too close to their start time are left for the parties to handle
+      const occurrences = await findActiveOccurrences(seriesId, scope === 'following' ? originalStart : null);
+      const others = occurrences.filter(occurrence =>
+        !occurrence._id.equals(appointment._id) && occurrence.canBeCancelled()
+      );
+
+      for (const occurrence of others) {
+        occurrence.set(cancellation);
+        await occurrence.save();
+      }
+      cancelled.push(...others);
+
+      if (scope === 'following' && appointment.parentAppointmentId) {
+        await endSeriesBefore(seriesId, originalStart);
+      }
+    }
+
+    await syncAppointmentReminders(cancelled);
+    const cancelledCount = cancelled.length;
+
+    // Clients cancelling inside the policy window are charged the late-cancellation fee
+    let cancellationFee = 0;
+    if (req.user.role === 'client') {
+      for (const occurrence of cancelled) {
+        const payment = await chargeLateCancellation(occurrence, req.user);
+        if (payment) cancellationFee += payment.amount;
+      }
+    }
+
+    // Offer the freed slots to waitlisted clients
+    await offerFreedSlots(cancelled.map(occurrence => ({
+      advocateId: occurrence.advocateId._id || occurrence.advocateId,
+      startDateTime: occurrence.startDateTime,
+      endDateTime: occurrence.endDateTime
+    })));
+
     // Send cancellation notifications
     try {
       const notificationData = {
-        title: appointment.title,
+        title: cancelledCount > 1
+          ? `${appointment.title} (${cancelledCount} occurrences)`
+          : appointment.title,
         date: appointment.formattedDate,
         time: appointment.formattedTime,
         reason: appointment.cancellationReason
@@ -540,10 +1070,18 @@ const cancelAppointment = async (req, res) => {
       console.error('Cancellation notification error:', notificationError);
     }
 
+    const cancelledMessage = cancelledCount > 1
+      ? `${cancelledCount} occurrences cancelled successfully`
+      : 'Appointment cancelled successfully';
+
     res.status(200).json({
       success: true,
       data: appointment,
-      message: 'Appointment cancelled successfully'
+      cancelledCount,
+      cancellationFee,
+      message: cancellationFee > 0
+        ? `${cancelledMessage}. A late cancellation fee of KES ${cancellationFee.toLocaleString()} has been added to your payments`
+        : cancelledMessage
     });
 
   } catch (error) {
@@ -555,82 +1093,816 @@ const cancelAppointment = async (req, res) => {
   }
 };
 
-// @desc    Get available time slots for an advocate
-// @route   GET /api/appointments/availability/:advocateId
+// @desc    Move an appointment to a new time (clients are bound by the firm's reschedule policy)
+// @route   PUT /api/appointments/:id/reschedule
 // @access  Private
-const getAvailability = async (req, res) => {
+const rescheduleAppointment = async (req, res) => {
   try {
-    const { advocateId } = req.params;
-    const { date, duration = 60 } = req.query;
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('clientId', 'firstName lastName email phone')
+      .populate('advocateId', 'firstName lastName email phone');
 
-    if (!date) {
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const isClient = req.user.role === 'client';
+    const canReschedule =
+      req.user.role === 'admin' ||
+      appointment.clientId._id.toString() === req.user._id.toString() ||
+      appointment.advocateId._id.toString() === req.user._id.toString();
+
+    if (!canReschedule) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this appointment'
+      });
+    }
+
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Date is required'
+        message: `A ${appointment.status.replace('_', ' ')} appointment cannot be rescheduled`
       });
     }
 
-    // Validate advocate
-    const advocate = await User.findById(advocateId);
-    if (!advocate || advocate.role !== 'advocate') {
+    if (isClient) {
+      const policyError = checkReschedulePolicy(appointment);
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError
+        });
+      }
+    }
+
+    const newStart = new Date(req.body.startDateTime);
+    const newEnd = new Date(req.body.endDateTime);
+    if (newStart <= new Date()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid advocate'
+        message: 'Cannot schedule appointments in the past'
+      });
+    }
+
+    if (isClient) {
+      const availability = await checkAdvocateAvailability(appointment.advocateId._id, newStart, newEnd);
+      if (!availability.available) {
+        return res.status(400).json({
+          success: false,
+          message: `The advocate is not available at that time (${availability.reason})`
+        });
+      }
+    }
+
+    const conflicts = await Appointment.findConflicts(appointment.advocateId._id, newStart, newEnd, appointment._id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'New time conflicts with existing schedule',
+        conflicts: conflicts.map(c => ({
+          id: c._id,
+          title: c.title,
+          startDateTime: c.startDateTime,
+          endDateTime: c.endDateTime
+        }))
       });
     }
 
-    const requestedDate = new Date(date);
-    const startOfDay = new Date(requestedDate);
-    startOfDay.setHours(8, 0, 0, 0); // 8 AM
+    const hold = await findHoldConflict(appointment.advocateId._id, newStart, newEnd, req.user);
+    if (hold) {
+      return holdConflictResponse(res, hold);
+    }
 
-    const endOfDay = new Date(requestedDate);
-    endOfDay.setHours(18, 0, 0, 0); // 6 PM
+    const busy = await findParticipantConflicts(appointment, newStart, newEnd, appointment._id);
+    if (busy) {
+      return participantConflictResponse(res, busy);
+    }
 
-    // Get existing appointments for the day
-    const existingAppointments = await Appointment.find({
-      advocateId,
-      startDateTime: { $gte: startOfDay, $lt: endOfDay },
-      status: { $in: ['scheduled', 'confirmed', 'in_progress'] }
-    }).sort({ startDateTime: 1 });
-
-    // Generate available time slots
-    const slots = [];
-    const slotDuration = 30; // 30-minute slots
-    const appointmentDuration = parseInt(duration);
-
-    for (let hour = 8; hour < 18; hour++) {
-      for (let minute = 0; minute < 60; minute += slotDuration) {
-        const slotStart = new Date(requestedDate);
-        slotStart.setHours(hour, minute, 0, 0);
-
-        const slotEnd = new Date(slotStart);
-        slotEnd.setMinutes(slotEnd.getMinutes() + appointmentDuration);
-
-        // Check if slot conflicts with existing appointments
-        const hasConflict = existingAppointments.some(apt =>
-          slotStart < apt.endDateTime && slotEnd > apt.startDateTime
-        );
-
-        // Check if slot is in the past
-        const isPast = slotStart < new Date();
-
-        if (!hasConflict && !isPast && slotEnd <= endOfDay) {
-          slots.push({
-            startTime: slotStart.toISOString(),
-            endTime: slotEnd.toISOString(),
-            available: true
-          });
-        }
+    const previous = {
+      startDateTime: appointment.startDateTime,
+      endDateTime: appointment.endDateTime,
+      formattedDate: appointment.formattedDate,
+      formattedTime: appointment.formattedTime
+    };
+    const seriesId = getSeriesId(appointment);
+    const originalStart = getOriginalStart(appointment);
+
+    appointment.startDateTime = newStart;
+    appointment.endDateTime = newEnd;
+    appointment.rescheduleHistory.push({
+      fromStartDateTime: previous.startDateTime,
+      fromEndDateTime: previous.endDateTime,
+      toStartDateTime: newStart,
+      toEndDateTime: newEnd,
+      rescheduledBy: req.user._id,
+      reason: req.body.reason
+    });
+    if (isClient) {
+      appointment.rescheduleCount += 1;
+    }
+    // Acceptances were for the old time, so ask again; anyone who declined can accept the new invitation
+    appointment.participants
+      .filter(participant => participant.rsvpStatus !== 'declined')
+      .forEach(participant => {
+        participant.rsvpStatus = 'pending';
+        participant.respondedAt = undefined;
+      });
+    await appointment.save();
+
+    if (seriesId) {
+      await addSeriesException(seriesId, originalStart, 'modified', req.body.reason);
+    }
+    await syncAppointmentReminders([appointment]);
+
+    // Let the other side know
+    try {
+      const recipients = [appointment.clientId, appointment.advocateId]
+        .filter(person => person._id.toString() !== req.user._id.toString());
+
+      for (const recipient of recipients) {
+        await sendNotification(recipient, 'appointmentRescheduled', {
+          title: appointment.title,
+          appointmentDate: appointment.formattedDate,
+          appointmentTime: appointment.formattedTime,
+          previousDate: previous.formattedDate,
+          previousTime: previous.formattedTime,
+          rescheduledBy: `${req.user.firstName} ${req.user.lastName}`,
+          reason: req.body.reason
+        }, { attachments: [buildAppointmentAttachment(appointment)] });
       }
+    } catch (notificationError) {
+      console.error('Reschedule notification error:', notificationError);
+    }
+
+    await appointment.populate(PARTICIPANT_POPULATE);
+    await inviteParticipants(appointment, appointment.participants);
+
+    await offerFreedSlots([{
+      advocateId: appointment.advocateId._id,
+      startDateTime: previous.startDateTime,
+      endDateTime: previous.endDateTime
+    }]);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      reschedulesRemaining: isClient
+        ? Math.max(appointmentPolicy.maxReschedules - appointment.rescheduleCount, 0)
+        : undefined,
+      message: 'Appointment rescheduled successfully'
+    });
+
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+
+    if (error.message && (
+      error.message.includes('Appointment duration cannot exceed') ||
+      error.message.includes('End time must be after start time')
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule appointment'
+    });
+  }
+};
+
+// @desc    Get the firm's client reschedule, cancellation and waitlist policy
+// @route   GET /api/appointments/policy
+// @access  Private
+const getAppointmentPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: appointmentPolicy
+  });
+};
+
+// @desc    Confirm a flagged no-show or record that the appointment went ahead
+// @route   PUT /api/appointments/:id/no-show-review
+// @access  Private (Advocate involved or Admin)
+const resolveNoShowReview = async (req, res) => {
+  try {
+    const { outcome } = req.body;
+    if (!['no_show', 'completed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be no_show or completed'
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const canReview =
+      req.user.role === 'admin' ||
+      appointment.advocateId.toString() === req.user._id.toString();
+
+    if (!canReview) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this appointment'
+      });
+    }
+
+    if (!['scheduled', 'confirmed', 'in_progress'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment is already ${appointment.status.replace('_', ' ')}`
+      });
+    }
+
+    if (appointment.endDateTime > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment has not ended yet'
+      });
+    }
+
+    let payment = null;
+    if (outcome === 'no_show') {
+      ({ payment } = await applyNoShowFollowUp(appointment, req.user));
+    } else {
+      appointment.status = 'completed';
+      appointment.completedAt = appointment.completedAt || new Date();
+      appointment.noShowReview = {
+        status: 'dismissed',
+        flaggedAt: appointment.noShowReview?.flaggedAt,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      };
+      await appointment.save();
+    }
+
+    await syncAppointmentReminders([appointment]);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      noShowFee: payment ? payment.amount : 0,
+      message: outcome === 'no_show'
+        ? 'No-show recorded and follow-up sent to the client'
+        : 'Appointment marked as completed'
+    });
+  } catch (error) {
+    console.error('Resolve no-show review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review appointment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Accept, decline or tentatively accept an appointment invitation
+// @route   PUT /api/appointments/:id/rsvp
+// @access  Private (Participant; advocate or admin for outside participants)
+const respondToInvitation = async (req, res) => {
+  try {
+    const { status, participantId } = req.body;
+
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const isStaff =
+      req.user.role === 'admin' ||
+      appointment.advocateId.toString() === req.user._id.toString();
+
+    // Staff record answers for people without an account; everyone else answers for themselves
+    const participant = participantId
+      ? appointment.participants.id(participantId)
+      : appointment.participants.find(entry => entry.user?.toString() === req.user._id.toString());
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a participant in this appointment'
+      });
+    }
+
+    if (participant.user?.toString() !== req.user._id.toString() && !isStaff) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond for this participant'
+      });
+    }
+
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment is already ${appointment.status.replace('_', ' ')}`
+      });
+    }
+
+    participant.rsvpStatus = status;
+    participant.respondedAt = new Date();
+    await appointment.save();
+
+    await appointment.populate(PARTICIPANT_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: `Response recorded: ${status}`
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record response',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Show which people and resources are free for a proposed time
+// @route   GET /api/appointments/free-busy
+// @access  Private
+const getFreeBusy = async (req, res) => {
+  try {
+    const { startDateTime, endDateTime, excludeId } = req.query;
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(id => id.trim())
+      .filter(Boolean);
+    const userIds = toList(req.query.userIds);
+    const resourceIds = toList(req.query.resourceIds);
+
+    const start = new Date(startDateTime);
+    const end = new Date(endDateTime);
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid startDateTime and endDateTime are required'
+      });
+    }
+
+    const busy = await findBusy({ userIds, resourceIds, startDateTime: start, endDateTime: end, excludeId });
+
+    // Clients only learn that someone is busy, not what they are doing
+    const isStaff = req.user.role !== 'client';
+    const describe = (ids, busyEntries) => ids.map(id => {
+      const entry = busyEntries.find(item => item.id === id);
+      return {
+        id,
+        free: !entry,
+        conflicts: entry && isStaff ? entry.conflicts : undefined
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startDateTime: start,
+        endDateTime: end,
+        users: describe(userIds, busy.users),
+        resources: describe(resourceIds, busy.resources)
+      }
+    });
+  } catch (error) {
+    console.error('Get free/busy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check availability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get appointment statistics, including no-show rates per client and advocate
+// @route   GET /api/appointments/statistics
+// @access  Private
+const getAppointmentStatistics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const statistics = await buildAppointmentStatistics(
+      req.user._id,
+      req.user.role,
+      startDate ? new Date(startDate) : null,
+      endDate ? new Date(endDate) : null
+    );
+
+    res.status(200).json({
+      success: true,
+      data: statistics
+    });
+  } catch (error) {
+    console.error('Get appointment statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve appointment statistics',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the recurring series an appointment belongs to
+// @route   GET /api/appointments/:id/series
+// @access  Private
+const getAppointmentSeries = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const hasAccess =
+      req.user.role === 'admin' ||
+      appointment.clientId.toString() === req.user._id.toString() ||
+      appointment.advocateId.toString() === req.user._id.toString() ||
+      isParticipant(appointment, req.user);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this appointment'
+      });
+    }
+
+    const seriesId = getSeriesId(appointment);
+    if (!seriesId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment is not part of a recurring series'
+      });
+    }
+
+    const [parent, occurrences] = await Promise.all([
+      Appointment.findById(seriesId),
+      Appointment.find({ $or: [{ _id: seriesId }, { parentAppointmentId: seriesId }] })
+        .select('title startDateTime endDateTime originalStartDateTime status parentAppointmentId')
+        .sort({ startDateTime: 1 })
+    ]);
+
+    const { exceptions = [], ...recurrence } = parent.toObject().recurrence || {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        seriesId,
+        recurrence,
+        occurrences,
+        exceptions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get appointment series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve appointment series'
+    });
+  }
+};
+
+// @desc    Download an appointment as an iCalendar (.ics) file
+// @route   GET /api/appointments/:id/ics
+// @access  Private
+const getAppointmentIcs = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('clientId', 'firstName lastName')
+      .populate('advocateId', 'firstName lastName');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const hasAccess =
+      req.user.role === 'admin' ||
+      appointment.clientId._id.toString() === req.user._id.toString() ||
+      appointment.advocateId._id.toString() === req.user._id.toString() ||
+      isParticipant(appointment, req.user);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this appointment'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="appointment-${appointment._id}.ics"`
+    });
+    res.status(200).send(buildAppointmentCalendar(appointment));
+
+  } catch (error) {
+    console.error('Export appointment calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export appointment'
+    });
+  }
+};
+
+// @desc    Get a virtual meeting room: who the user is in it, whether it is open and the ICE servers
+// @route   GET /api/appointments/meetings/:roomId
+// @access  Private (Client, Advocate or participants of the appointment)
+const getMeetingRoom = async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ 'meetingRoom.roomId': req.params.roomId })
+      .populate('clientId', 'firstName lastName')
+      .populate('advocateId', 'firstName lastName');
+
+    const access = checkMeetingAccess(appointment, req.user);
+    if (access.error) {
+      return res.status(access.statusCode).json({
+        success: false,
+        message: access.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roomId: appointment.meetingRoom.roomId,
+        role: access.role,
+        state: access.state,
+        opensAt: access.opensAt,
+        closesAt: access.closesAt,
+        iceServers: getIceServers(),
+        appointment: {
+          _id: appointment._id,
+          title: appointment.title,
+          startDateTime: appointment.startDateTime,
+          endDateTime: appointment.endDateTime,
+          status: appointment.status,
+          clientId: appointment.clientId,
+          advocateId: appointment.advocateId
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get meeting room error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve meeting room',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get who joined an appointment's meeting room and for how long
+// @route   GET /api/appointments/:id/attendance
+// @access  Private (Advocate involved, or Admin)
+const getAppointmentAttendance = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .select('advocateId startDateTime endDateTime meetingRoom attendance');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && appointment.advocateId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view attendance for this appointment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attendance: appointment.attendance,
+        summary: summarizeAttendance(appointment.attendance)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get appointment attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Open a case from a completed consultation
+// @route   POST /api/appointments/:id/convert-to-case
+// @access  Private (Advocate involved, or Admin)
+const convertAppointmentToCase = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && appointment.advocateId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to convert this appointment'
+      });
+    }
+
+    if (appointment.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed appointments can be converted to a case'
+      });
+    }
+
+    if (appointment.caseId) {
+      return res.status(409).json({
+        success: false,
+        message: 'Appointment is already linked to a case',
+        caseId: appointment.caseId
+      });
+    }
+
+    const { title, description, category, priority } = req.body;
+    const { caseData, skippedAttachments } = buildCaseFromAppointment(
+      appointment,
+      { title, description, category, priority },
+      req.user._id
+    );
+
+    if (!caseData.category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the practice area for the case'
+      });
+    }
+
+    if (!caseData.description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Describe the matter for the case'
+      });
+    }
+
+    const caseItem = await Case.create(caseData);
+
+    // Claim the appointment; if someone converted it meanwhile, drop the duplicate case
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, caseId: null },
+      {
+        $set: { caseId: caseItem._id },
+        $push: {
+          timeline: {
+            event: 'converted_to_case',
+            description: `Converted to case ${caseItem.caseNumber}`,
+            user: req.user._id,
+            metadata: { caseId: caseItem._id, caseNumber: caseItem.caseNumber }
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await Case.deleteOne({ _id: caseItem._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Appointment is already linked to a case'
+      });
+    }
+
+    // The consultation fee now belongs to the matter
+    const payments = await Payment.find({
+      appointmentId: appointment._id,
+      paymentType: 'consultation_fee',
+      caseId: null
+    }).select('_id');
+    const paymentIds = payments.map(payment => payment._id);
+    if (paymentIds.length > 0) {
+      await Payment.updateMany({ _id: { $in: paymentIds } }, { $set: { caseId: caseItem._id } });
+    }
+
+    await caseItem.addTimelineEvent(
+      'opened_from_consultation',
+      `Case opened from consultation "${appointment.title}"`,
+      req.user._id,
+      { appointmentId: appointment._id, paymentIds, skippedAttachments }
+    );
+
+    await caseItem.populate('clientId', 'firstName lastName email phone avatar');
+    await caseItem.populate('assignedTo', 'firstName lastName email avatar');
+
+    res.status(201).json({
+      success: true,
+      data: caseItem,
+      linkedPayments: paymentIds.length,
+      skippedAttachments,
+      message: skippedAttachments.length > 0
+        ? `Case created. Upload these files to the case again: ${skippedAttachments.join(', ')}`
+        : 'Case created from the consultation'
+    });
+
+  } catch (error) {
+    console.error('Convert appointment to case error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert appointment to a case',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get available time slots for an advocate
+// @route   GET /api/appointments/availability/:advocateId
+// @access  Private
+const getAvailability = async (req, res) => {
+  try {
+    const { advocateId } = req.params;
+    const { date, duration = 60 } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date is required'
+      });
+    }
+
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    // Validate advocate
+    const advocate = await User.findById(advocateId);
+    if (!advocate || advocate.role !== 'advocate') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid advocate'
+      });
+    }
+
+    const appointmentDuration = parseInt(duration) || 60;
+    const availability = await generateAvailableSlots(advocateId, date, appointmentDuration);
+
+    // Slots held for waitlisted clients are not open to other clients
+    if (req.user.role === 'client' && availability.slots.length > 0) {
+      const holds = await findHeldSlots(
+        advocateId,
+        new Date(availability.slots[0].startTime),
+        new Date(availability.slots[availability.slots.length - 1].endTime),
+        req.user._id
+      );
+      availability.slots = availability.slots.filter(slot => !holds.some(hold =>
+        hold.offer.startDateTime < new Date(slot.endTime) && hold.offer.endDateTime > new Date(slot.startTime)
+      ));
     }
 
     res.status(200).json({
       success: true,
       data: {
-        date: requestedDate.toISOString().split('T')[0],
+        date: availability.date,
         advocateId,
         duration: appointmentDuration,
-        availableSlots: slots
+        isWorkingDay: availability.isWorkingDay,
+        reason: availability.reason,
+        workingHours: availability.workingHours,
+        availableSlots: availability.slots
       }
     });
 
@@ -650,5 +1922,16 @@ module.exports = {
   updateAppointment,
   deleteAppointment,
   cancelAppointment,
+  rescheduleAppointment,
+  resolveNoShowReview,
+  respondToInvitation,
+  getFreeBusy,
+  getAppointmentPolicy,
+  getAppointmentStatistics,
+  getAppointmentSeries,
+  getAppointmentIcs,
+  getMeetingRoom,
+  getAppointmentAttendance,
+  convertAppointmentToCase,
   getAvailability
 };
\ No newline at end of file
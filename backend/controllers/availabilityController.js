@@ -0,0 +1,438 @@
+// Advocate availability and holiday calendar controller for LegalPro v1.0.1
+const Holiday = require('../models/Holiday');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { getHolidays, toDateKey, toCalendarDay } = require('../utils/courtCalendar');
+const {
+  getDaySchedule,
+  toZonedDate,
+  loadAvailabilityProfile,
+  getFirmHolidays
+} = require('../utils/availability');
+
+const PROFILE_FIELDS = ['weeklyHours', 'breaks', 'slotInterval'];
+const MAX_SCHEDULE_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Advocates keep their own hours; admins with scheduling permission can manage anyone's
+const canManageAvailability = (user, advocateId) =>
+  user._id.toString() === advocateId.toString() ||
+  (user.role === 'admin' && Boolean(user.permissions?.canScheduleAppointments));
+
+// Firm-wide holidays are maintained by advocates and scheduling admins
+const canManageHolidays = (user) =>
+  user.role === 'advocate' || (user.role === 'admin' && Boolean(user.permissions?.canScheduleAppointments));
+
+const handleAvailabilityError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: errors[0] || 'Validation error',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A holiday is already recorded for that date'
+    });
+  }
+
+  console.error(`Availability error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Resolve the advocate from the route, answering the request when it is invalid
+const loadAdvocate = async (req, res) => {
+  const { advocateId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(advocateId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid advocate ID format'
+    });
+    return null;
+  }
+
+  const advocate = await User.findById(advocateId).select('firstName lastName role');
+  if (!advocate || advocate.role !== 'advocate') {
+    res.status(404).json({
+      success: false,
+      message: 'Advocate not found'
+    });
+    return null;
+  }
+
+  return advocate;
+};
+
+// Load the advocate's profile for editing, answering with 403 when the user may not change it
+const loadEditableProfile = async (req, res) => {
+  const advocate = await loadAdvocate(req, res);
+  if (!advocate) return null;
+
+  if (!canManageAvailability(req.user, advocate._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to change this advocate\'s availability'
+    });
+    return null;
+  }
+
+  return loadAvailabilityProfile(advocate._id);
+};
+
+// Booked appointments that fall inside a closed period, so they can be moved
+const findAppointmentsBetween = (advocateId, startDate, endDate) => Appointment.find({
+  advocateId,
+  status: { $in: ['scheduled', 'confirmed'] },
+  startDateTime: { $lt: toZonedDate(endDate, 24 * 60) },
+  endDateTime: { $gt: toZonedDate(startDate, 0) }
+})
+  .populate('clientId', 'firstName lastName')
+  .select('title startDateTime endDateTime clientId')
+  .sort({ startDateTime: 1 });
+
+// @desc    Get an advocate's availability profile
+// @route   GET /api/availability/advocates/:advocateId
+// @access  Private (Admin/Advocate)
+const getAvailabilityProfile = async (req, res) => {
+  try {
+    const advocate = await loadAdvocate(req, res);
+    if (!advocate) return;
+
+    const profile = await loadAvailabilityProfile(advocate._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...profile.toObject(),
+        isDefault: profile.isNew,
+        canEdit: canManageAvailability(req.user, advocate._id)
+      }
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'fetching availability');
+  }
+};
+
+// @desc    Update weekly hours, breaks and slot interval
+// @route   PUT /api/availability/advocates/:advocateId
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+const updateAvailabilityProfile = async (req, res) => {
+  try {
+    const profile = await loadEditableProfile(req, res);
+    if (!profile) return;
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        profile[field] = req.body[field];
+      }
+    });
+    profile.updatedBy = req.user._id;
+
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: profile
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'updating availability');
+  }
+};
+
+// @desc    Set working hours or close a single date
+// @route   POST /api/availability/advocates/:advocateId/overrides
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+const addAvailabilityOverride = async (req, res) => {
+  try {
+    const profile = await loadEditableProfile(req, res);
+    if (!profile) return;
+
+    const { date, isClosed = false, hours = [], reason } = req.body;
+
+    // Setting a date again replaces the earlier override
+    profile.overrides = profile.overrides.filter(override => override.date !== date);
+    profile.overrides.push({ date, isClosed, hours: isClosed ? [] : hours, reason });
+    profile.updatedBy = req.user._id;
+
+    await profile.save();
+
+    const appointments = isClosed
+      ? await findAppointmentsBetween(profile.advocateId, date, date)
+      : [];
+
+    res.status(201).json({
+      success: true,
+      message: 'Date override saved',
+      data: profile,
+      affectedAppointments: appointments
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'saving date override');
+  }
+};
+
+// @desc    Remove a date override
+// @route   DELETE /api/availability/advocates/:advocateId/overrides/:overrideId
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+const removeAvailabilityOverride = async (req, res) => {
+  try {
+    const profile = await loadEditableProfile(req, res);
+    if (!profile) return;
+
+    const override = profile.overrides.id(req.params.overrideId);
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Override not found'
+      });
+    }
+
+    override.deleteOne();
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Date override removed',
+      data: profile
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'removing date override');
+  }
+};
+
+// @desc    Record a leave period
+// @route   POST /api/availability/advocates/:advocateId/leave
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+const addLeave = async (req, res) => {
+  try {
+    const profile = await loadEditableProfile(req, res);
+    if (!profile) return;
+
+    const { startDate, endDate, type, reason } = req.body;
+
+    const overlapping = profile.leave.find(period => period.startDate <= endDate && startDate <= period.endDate);
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: `Leave already recorded from ${overlapping.startDate} to ${overlapping.endDate}`
+      });
+    }
+
+    profile.leave.push({ startDate, endDate, type, reason });
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    // Bookings already made for the period are reported rather than cancelled
+    const appointments = await findAppointmentsBetween(profile.advocateId, startDate, endDate);
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave recorded',
+      data: profile,
+      affectedAppointments: appointments
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'recording leave');
+  }
+};
+
+// @desc    Remove a leave period
+// @route   DELETE /api/availability/advocates/:advocateId/leave/:leaveId
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+const removeLeave = async (req, res) => {
+  try {
+    const profile = await loadEditableProfile(req, res);
+    if (!profile) return;
+
+    const leave = profile.leave.id(req.params.leaveId);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave period not found'
+      });
+    }
+
+    leave.deleteOne();
+    profile.updatedBy = req.user._id;
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave removed',
+      data: profile
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'removing leave');
+  }
+};
+
+// @desc    Get an advocate's resolved working hours for a range of days
+// @route   GET /api/availability/advocates/:advocateId/schedule
+// @access  Private (All authenticated users)
+const getAdvocateSchedule = async (req, res) => {
+  try {
+    const advocate = await loadAdvocate(req, res);
+    if (!advocate) return;
+
+    const { from, to } = req.query;
+    if (!from || !to || isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid from and to dates are required'
+      });
+    }
+
+    const fromKey = toDateKey(from);
+    const toKey = toDateKey(to);
+    const days = Math.round((toCalendarDay(toKey) - toCalendarDay(fromKey)) / DAY_MS) + 1;
+    if (days < 1 || days > MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must cover between 1 and ${MAX_SCHEDULE_DAYS} days`
+      });
+    }
+
+    const [profile, extraHolidays] = await Promise.all([
+      loadAvailabilityProfile(advocate._id),
+      getFirmHolidays(fromKey, toKey)
+    ]);
+
+    const schedule = Array.from({ length: days }, (_, index) =>
+      getDaySchedule(profile, new Date(toCalendarDay(fromKey).getTime() + index * DAY_MS), extraHolidays)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'fetching schedule');
+  }
+};
+
+// @desc    Get public and firm holidays for a year
+// @route   GET /api/availability/holidays
+// @access  Private (All authenticated users)
+const getHolidayCalendar = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    if (year < 2000 || year > 2100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Year must be between 2000 and 2100'
+      });
+    }
+
+    const firmHolidays = await Holiday.find({ date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` } })
+      .sort({ date: 1 });
+    const firmDates = new Set(firmHolidays.map(holiday => holiday.date));
+
+    const statutory = Array.from(getHolidays(year).entries())
+      .filter(([date]) => !firmDates.has(date))
+      .map(([date, name]) => ({ date, name, type: 'public', source: 'statutory' }));
+
+    const firm = firmHolidays.map(holiday => ({
+      _id: holiday._id,
+      date: holiday.date,
+      name: holiday.name,
+      type: holiday.type,
+      source: 'firm'
+    }));
+
+    const data = [...statutory, ...firm].sort((a, b) => a.date.localeCompare(b.date));
+
+    res.status(200).json({
+      success: true,
+      year,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'fetching holidays');
+  }
+};
+
+// @desc    Add a firm holiday or closure
+// @route   POST /api/availability/holidays
+// @access  Private (Advocate, or Admin with scheduling permission)
+const createHoliday = async (req, res) => {
+  try {
+    if (!canManageHolidays(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to manage the holiday calendar'
+      });
+    }
+
+    const { date, name, type } = req.body;
+    const holiday = await Holiday.create({ date, name, type, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added',
+      data: holiday
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'adding holiday');
+  }
+};
+
+// @desc    Remove a firm holiday
+// @route   DELETE /api/availability/holidays/:id
+// @access  Private (Advocate, or Admin with scheduling permission)
+const deleteHoliday = async (req, res) => {
+  try {
+    if (!canManageHolidays(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to manage the holiday calendar'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid holiday ID format'
+      });
+    }
+
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday removed'
+    });
+  } catch (error) {
+    handleAvailabilityError(res, error, 'removing holiday');
+  }
+};
+
+module.exports = {
+  getAvailabilityProfile,
+  updateAvailabilityProfile,
+  addAvailabilityOverride,
+  removeAvailabilityOverride,
+  addLeave,
+  removeLeave,
+  getAdvocateSchedule,
+  getHolidayCalendar,
+  createHoliday,
+  deleteHoliday
+};
@@ -0,0 +1,149 @@
+// Calendar feed controller for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const CalendarFeedToken = require('../models/CalendarFeedToken');
+const User = require('../models/User');
+const { buildUserFeed } = require('../utils/calendarFeed');
+
+// https:// and webcal:// links for a feed token
+const buildFeedUrls = (req, token) => {
+  const httpUrl = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+  return {
+    url: httpUrl,
+    webcalUrl: httpUrl.replace(/^https?:/, 'webcal:')
+  };
+};
+
+// @desc    List the current user's calendar feed links
+// @route   GET /api/calendar/feed-tokens
+// @access  Private
+const getFeedTokens = async (req, res) => {
+  try {
+    const feedTokens = await CalendarFeedToken.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: feedTokens
+    });
+  } catch (error) {
+    console.error('Get calendar feed tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve calendar feeds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create a calendar feed link (the token is only shown once)
+// @route   POST /api/calendar/feed-tokens
+// @access  Private
+const createFeedToken = async (req, res) => {
+  try {
+    const { feedToken, token } = await CalendarFeedToken.issue(req.user._id, req.body.label);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...feedToken.toObject(),
+        tokenHash: undefined,
+        ...buildFeedUrls(req, token)
+      },
+      message: 'Calendar feed created. Copy the link now; it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Create calendar feed token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a calendar feed link
+// @route   DELETE /api/calendar/feed-tokens/:id
+// @access  Private
+const revokeFeedToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const feedToken = await CalendarFeedToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!feedToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: feedToken,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Subscribable iCalendar feed of a user's appointments, court dates and deadlines
+// @route   GET /api/calendar/:token.ics
+// @access  Public (secret token in the URL)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const feedToken = await CalendarFeedToken.findOne({
+      tokenHash: CalendarFeedToken.hashToken(req.params.token),
+      revokedAt: null
+    });
+    const user = feedToken && await User.findById(feedToken.userId);
+
+    if (!user || user.isActive === false) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildUserFeed(user);
+
+    // Calendar apps poll often; don't let a write failure break the feed
+    CalendarFeedToken.updateOne({ _id: feedToken._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Calendar feed usage update error:', error));
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="legalpro.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getFeedTokens,
+  createFeedToken,
+  revokeFeedToken,
+  getCalendarFeed
+};
@@ -1,9 +1,28 @@
 // Case management controller for LegalPro v1.0.1
 const Case = require('../models/Case');
 const User = require('../models/User');
+const TimeEntry = require('../models/TimeEntry');
+const CaseTemplate = require('../models/CaseTemplate');
+const Task = require('../models/Task');
 const mongoose = require('mongoose');
 const { uploadFile, deleteFile, getFileCategory } = require('../config/cloudinary');
 const { cleanupTempFile } = require('../middleware/upload');
+const { resolveStage, validateTransition, getAllowedTransitions, getWorkflowState } = require('../utils/caseWorkflow');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const { expandTemplate, describeExpansion } = require('../utils/caseTemplates');
+const {
+  indexDocumentText,
+  setCurrentDocumentText,
+  removeDocumentText,
+  searchDocumentText
+} = require('../utils/documentText');
+const {
+  findConflicts,
+  sanitizeParties,
+  buildCandidates,
+  evaluateConflictOverride,
+  summarizeHits
+} = require('../utils/conflictCheck');
 const fs = require('fs');
 
 // @desc    Get all cases
@@ -100,7 +119,7 @@ const getCases = async (req, res) => {
       ...caseItem,
       documentStats: {
         totalDocuments: caseItem.documents?.length || 0,
-        totalSize: caseItem.documents?.reduce((sum, doc) => sum + doc.size, 0) || 0
+        totalSize: caseItem.documents?.reduce((sum, doc) => sum + Case.getDocumentStorageSize(doc), 0) || 0
       }
     }));
 
@@ -207,7 +226,8 @@ const getCase = async (req, res) => {
       success: true,
       data: {
         ...case_item.toObject(),
-        documentStats
+        documentStats,
+        workflow: getWorkflowState(case_item, req.user.role)
       }
     });
   } catch (error) {
@@ -233,16 +253,43 @@ const getCase = async (req, res) => {
 // @access  Private (Admin/Super Admin)
 const createCase = async (req, res) => {
   try {
-    const { title, description, category, priority, clientId, assignedTo, courtDate } = req.body;
+    const {
+      title, description, category, priority, clientId, assignedTo, courtDate,
+      opposingParties, relatedParties, conflictOverride, templateId
+    } = req.body;
 
-    // Validate required fields
-    if (!title || !description || !category || !clientId) {
+    // Validate required fields (a template can supply the description)
+    if (!title || (!description && !templateId) || !category || !clientId) {
       return res.status(400).json({
         success: false,
         message: 'Title, description, category, and client are required'
       });
     }
 
+    let template = null;
+    if (templateId) {
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid template ID format'
+        });
+      }
+
+      template = await CaseTemplate.findOne({ _id: templateId, isActive: true });
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Case template not found or no longer active'
+        });
+      }
+      if (template.category !== category) {
+        return res.status(400).json({
+          success: false,
+          message: `Template "${template.name}" is for ${template.category} cases`
+        });
+      }
+    }
+
     // Validate client exists and is a client role
     if (!mongoose.Types.ObjectId.isValid(clientId)) {
       return res.status(400).json({
@@ -286,19 +333,89 @@ const createCase = async (req, res) => {
       });
     }
 
+    // Conflict-of-interest check against existing clients and case parties
+    const parties = {
+      opposingParties: sanitizeParties(opposingParties),
+      relatedParties: sanitizeParties(relatedParties)
+    };
+    const conflicts = await findConflicts(
+      buildCandidates(client, parties.opposingParties, parties.relatedParties),
+      { excludeClientId: client._id }
+    );
+    const override = evaluateConflictOverride(conflicts, conflictOverride, req.user);
+    if (!override.allowed) {
+      return res.status(override.status).json({
+        success: false,
+        code: 'CONFLICT_OF_INTEREST',
+        message: override.message,
+        conflicts
+      });
+    }
+
+    const expansion = template ? expandTemplate(template, { userId: req.user._id }) : null;
+    const caseDescription = (description || '').trim() || (expansion?.description || '').trim();
+    if (!caseDescription) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description is required'
+      });
+    }
+
     // Create case
     const caseData = {
       title: title.trim(),
-      description: description.trim(),
+      description: caseDescription,
       category,
-      priority: priority || 'medium',
+      priority: priority || expansion?.priority || 'medium',
       clientId,
       assignedTo: assignedTo || req.user._id,
-      courtDate: courtDate ? new Date(courtDate) : undefined
+      courtDate: courtDate ? new Date(courtDate) : undefined,
+      ...parties
     };
 
+    if (expansion) {
+      caseData.templateId = template._id;
+      caseData.documentChecklist = expansion.documentChecklist;
+      caseData.deadlines = expansion.deadlines;
+      caseData.notes = expansion.notes;
+    }
+
     const case_item = await Case.create(caseData);
 
+    if (template) {
+      // Template tasks land on whoever the case is assigned to
+      if (expansion.tasks.length > 0) {
+        await Task.insertMany(expansion.tasks.map(task => ({
+          ...task,
+          caseId: case_item._id,
+          assignedTo: case_item.assignedTo
+        })));
+      }
+
+      await case_item.addTimelineEvent(
+        'template_applied',
+        `Case template "${template.name}" applied: ${describeExpansion(expansion)}`,
+        req.user._id,
+        {
+          templateId: template._id,
+          templateName: template.name,
+          checklistItems: expansion.documentChecklist.length,
+          tasks: expansion.tasks.length,
+          deadlines: expansion.deadlines.length,
+          notes: expansion.notes.length
+        }
+      );
+    }
+
+    if (override.reason) {
+      await case_item.addTimelineEvent(
+        'conflict_override',
+        `Conflict check overridden: ${override.reason}`,
+        req.user._id,
+        { reason: override.reason, summary: conflicts.summary, hits: summarizeHits(conflicts.hits) }
+      );
+    }
+
     // Populate the created case
     await case_item.populate('clientId', 'firstName lastName email phone avatar');
     await case_item.populate('assignedTo', 'firstName lastName email avatar');
@@ -337,6 +454,75 @@ const createCase = async (req, res) => {
   }
 };
 
+// @desc    Check a prospective client and parties for conflicts of interest
+// @route   POST /api/cases/conflict-check
+// @access  Private (Admin/Super Admin)
+const checkConflicts = async (req, res) => {
+  try {
+    const { clientId, client, opposingParties, relatedParties, excludeCaseId } = req.body;
+
+    let prospectiveClient = null;
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID format'
+        });
+      }
+
+      prospectiveClient = await User.findById(clientId).select('firstName lastName email phone role');
+      if (!prospectiveClient || prospectiveClient.role !== 'client') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client specified'
+        });
+      }
+    } else if (client && (client.name || client.email || client.phone)) {
+      prospectiveClient = client;
+    }
+
+    if (excludeCaseId && !mongoose.Types.ObjectId.isValid(excludeCaseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const candidates = buildCandidates(
+      prospectiveClient,
+      sanitizeParties(opposingParties),
+      sanitizeParties(relatedParties)
+    );
+
+    if (candidates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a client or at least one party to check'
+      });
+    }
+
+    const result = await findConflicts(candidates, {
+      excludeCaseId,
+      excludeClientId: clientId || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clear: result.hits.length === 0,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Conflict check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run conflict check',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Update case
 // @route   PUT /api/cases/:id
 // @access  Private (Admin/Super Admin)
@@ -359,7 +545,10 @@ const updateCase = async (req, res) => {
       });
     }
 
-    const { title, description, category, priority, clientId, assignedTo, courtDate } = req.body;
+    const {
+      title, description, category, priority, clientId, assignedTo, courtDate,
+      opposingParties, relatedParties, conflictOverride
+    } = req.body;
     const updateData = {};
 
     // Validate and prepare update data
@@ -398,6 +587,7 @@ const updateCase = async (req, res) => {
     }
 
     // Validate client if being updated
+    let newClient = null;
     if (clientId !== undefined) {
       if (!mongoose.Types.ObjectId.isValid(clientId)) {
         return res.status(400).json({
@@ -406,8 +596,8 @@ const updateCase = async (req, res) => {
         });
       }
 
-      const client = await User.findById(clientId);
-      if (!client || client.role !== 'client') {
+      newClient = await User.findById(clientId);
+      if (!newClient || newClient.role !== 'client') {
         return res.status(400).json({
           success: false,
           message: 'Invalid client specified'
@@ -416,6 +606,14 @@ const updateCase = async (req, res) => {
       updateData.clientId = clientId;
     }
 
+    if (opposingParties !== undefined) {
+      updateData.opposingParties = sanitizeParties(opposingParties);
+    }
+
+    if (relatedParties !== undefined) {
+      updateData.relatedParties = sanitizeParties(relatedParties);
+    }
+
     // Validate assigned user if being updated
     if (assignedTo !== undefined) {
       if (assignedTo === null) {
@@ -455,6 +653,36 @@ const updateCase = async (req, res) => {
       }
     }
 
+    // Conflict check only what changed: a new client and newly added parties
+    const isNewParty = (existing) => (party) => !existing.some(old =>
+      old.name.toLowerCase() === party.name.toLowerCase() &&
+      (old.email || '') === (party.email || '') &&
+      (old.phone || '') === (party.phone || '')
+    );
+    const candidates = buildCandidates(
+      newClient && newClient._id.toString() !== existingCase.clientId.toString() ? newClient : null,
+      (updateData.opposingParties || []).filter(isNewParty(existingCase.opposingParties)),
+      (updateData.relatedParties || []).filter(isNewParty(existingCase.relatedParties))
+    );
+
+    let conflicts = null;
+    let override = { reason: null };
+    if (candidates.length > 0) {
+      conflicts = await findConflicts(candidates, {
+        excludeCaseId: existingCase._id,
+        excludeClientId: newClient ? newClient._id : existingCase.clientId
+      });
+      override = evaluateConflictOverride(conflicts, conflictOverride, req.user);
+      if (!override.allowed) {
+        return res.status(override.status).json({
+          success: false,
+          code: 'CONFLICT_OF_INTEREST',
+          message: override.message,
+          conflicts
+        });
+      }
+    }
+
     // Update the case
     const case_item = await Case.findByIdAndUpdate(
       req.params.id,
@@ -475,6 +703,15 @@ const updateCase = async (req, res) => {
       { updatedFields: Object.keys(updateData) }
     );
 
+    if (override.reason) {
+      await case_item.addTimelineEvent(
+        'conflict_override',
+        `Conflict check overridden: ${override.reason}`,
+        req.user._id,
+        { reason: override.reason, summary: conflicts.summary, hits: summarizeHits(conflicts.hits) }
+      );
+    }
+
     res.status(200).json({
       success: true,
       message: 'Case updated successfully',
@@ -620,28 +857,65 @@ const addCaseNote = async (req, res) => {
 // @access  Private (Admin/Super Admin)
 const updateCaseStatus = async (req, res) => {
   try {
-    const { status, reason } = req.body;
-    
-    const case_item = await Case.findById(req.params.id);
-    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    // `status` is the target workflow stage; `stage` is accepted as an alias
+    const { status, stage, reason, outcomeNote } = req.body;
+    const targetStage = stage || status;
+
+    let query = { _id: req.params.id, isArchived: false };
+    if (req.user.role === 'admin' && !req.user.permissions?.canViewAllCases) {
+      query.assignedTo = req.user._id;
+    }
+
+    const case_item = await Case.findOne(query);
+
     if (!case_item) {
       return res.status(404).json({
         success: false,
-        message: 'Case not found'
+        message: 'Case not found or access denied'
       });
     }
-    
-    await case_item.updateStatus(status, req.user._id, reason);
-    
+
+    const currentStage = resolveStage(case_item);
+    const check = validateTransition(case_item.category, currentStage, targetStage, {
+      role: req.user.role,
+      fields: { reason, outcomeNote }
+    });
+
+    if (!check.isValid) {
+      return res.status(check.code === 'ROLE_NOT_ALLOWED' ? 403 : 400).json({
+        success: false,
+        message: check.errors[0],
+        code: check.code,
+        errors: check.errors,
+        missingFields: check.missingFields,
+        allowedTransitions: getAllowedTransitions(case_item.category, currentStage, req.user.role)
+      });
+    }
+
+    await case_item.updateStatus(targetStage, req.user._id, reason, {
+      role: req.user.role,
+      fields: outcomeNote ? { outcomeNote } : {}
+    });
+
     res.status(200).json({
       success: true,
-      data: case_item
+      message: 'Case status updated successfully',
+      data: case_item,
+      workflow: getWorkflowState(case_item, req.user.role)
     });
   } catch (error) {
     console.error('Update case status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Failed to update case status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 };
@@ -751,9 +1025,8 @@ const uploadDocument = async (req, res) => {
       });
     }
 
-    // Check total size limit
-    const currentTotalSize = case_item.documents.reduce((sum, doc) => sum + doc.size, 0);
-    if (currentTotalSize + req.file.size > 524288000) { // 500MB
+    // Check total size limit, counting stored versions
+    if (case_item.getTotalDocumentSize() + req.file.size > 524288000) { // 500MB
       cleanupTempFile(tempFilePath);
       return res.status(400).json({
         success: false,
@@ -794,12 +1067,15 @@ const uploadDocument = async (req, res) => {
     // Add document to case
     await case_item.addDocument(documentData, req.user._id);
 
-    // Clean up temporary file
-    cleanupTempFile(tempFilePath);
-
     // Get the newly added document
     const newDocument = case_item.documents[case_item.documents.length - 1];
 
+    // Index the text for search while the file is still on disk
+    await indexDocumentText({ caseId: case_item._id, document: newDocument, filePath: tempFilePath });
+
+    // Clean up temporary file
+    cleanupTempFile(tempFilePath);
+
     // Populate uploader information
     await case_item.populate('documents.uploadedBy', 'firstName lastName');
 
@@ -1018,6 +1294,13 @@ const getCaseStats = async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    // Time totals are internal billing data, so only staff see them
+    let timeTracking = null;
+    if (req.user.role !== 'client') {
+      const caseIds = await Case.find(matchQuery).distinct('_id');
+      timeTracking = await TimeEntry.getTotals({ caseId: { $in: caseIds } });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -1030,7 +1313,8 @@ const getCaseStats = async (req, res) => {
           urgentCases: 0,
           highPriorityCases: 0
         },
-        categoryBreakdown: categoryStats
+        categoryBreakdown: categoryStats,
+        timeTracking
       }
     });
   } catch (error) {
@@ -1176,16 +1460,29 @@ const deleteDocument = async (req, res) => {
       });
     }
 
-    // Delete from Cloudinary
-    try {
-      await deleteFile(document.publicId);
-    } catch (cloudinaryError) {
-      console.error('Cloudinary delete error:', cloudinaryError);
-      // Continue with database deletion even if Cloudinary deletion fails
+    if (document.checkedOutBy && document.checkedOutBy.toString() !== req.user._id.toString()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Document is checked out by another user'
+      });
+    }
+
+    // Delete every stored version from Cloudinary
+    const publicIds = new Set([document.publicId, ...document.versions.map(version => version.publicId)]);
+    for (const publicId of publicIds) {
+      try {
+        await deleteFile(publicId);
+      } catch (cloudinaryError) {
+        console.error('Cloudinary delete error:', cloudinaryError);
+        // Continue with database deletion even if Cloudinary deletion fails
+      }
     }
 
     // Remove from case
     await case_item.removeDocument(docId, req.user._id);
+    await removeDocumentText(docId).catch(indexError => {
+      console.error('Document text index delete error:', indexError);
+    });
 
     res.status(200).json({
       success: true,
@@ -1260,6 +1557,18 @@ const downloadDocument = async (req, res) => {
       });
     }
 
+    // ?version=N downloads an earlier version
+    let file = document;
+    if (req.query.version && parseInt(req.query.version, 10) !== document.version) {
+      file = document.versions.find(version => version.version === parseInt(req.query.version, 10));
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Version not found'
+        });
+      }
+    }
+
     // Update download count and last accessed
     document.downloadCount = (document.downloadCount || 0) + 1;
     document.lastAccessed = new Date();
@@ -1269,10 +1578,11 @@ const downloadDocument = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        downloadUrl: document.url,
-        filename: document.originalName,
-        size: document.size,
-        type: document.type
+        downloadUrl: file.url,
+        filename: file.originalName,
+        size: file.size,
+        type: file.type,
+        version: file.version || 1
       }
     });
   } catch (error) {
@@ -1285,6 +1595,408 @@ const downloadDocument = async (req, res) => {
   }
 };
 
+// Status codes for document model errors
+const DOCUMENT_ERROR_STATUS = {
+  DOCUMENT_NOT_FOUND: 404,
+  VERSION_NOT_FOUND: 404,
+  DOCUMENT_LOCKED: 423,
+  DOCUMENT_NOT_CHECKED_OUT: 400,
+  VERSION_CURRENT: 400,
+  DOCUMENT_LIMIT: 400,
+  CHECKLIST_ITEM_NOT_FOUND: 404
+};
+
+// Find a case for a document action; admins also need the matching file permission
+const findCaseForDocumentAction = async (user, caseId, adminPermission) => {
+  if (user.role === 'admin' && !user.permissions?.[adminPermission]) {
+    return { status: 403, message: 'Insufficient permissions for this file action' };
+  }
+
+  const query = buildCaseAccessQuery(user, caseId);
+  if (!query) {
+    return { status: 403, message: 'Invalid user role' };
+  }
+
+  const case_item = await Case.findOne(query);
+  if (!case_item) {
+    return { status: 404, message: 'Case not found or access denied' };
+  }
+  return { case_item };
+};
+
+// Clients may only revise and lock documents they uploaded themselves
+const canReviseDocument = (user, document) =>
+  user.role !== 'client' || document.uploadedBy.toString() === user._id.toString();
+
+const handleDocumentActionError = (res, error, action) => {
+  if (DOCUMENT_ERROR_STATUS[error.code]) {
+    return res.status(DOCUMENT_ERROR_STATUS[error.code]).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action.toLowerCase()}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Version history with the current version first
+const buildVersionHistory = (document) => ({
+  documentId: document._id,
+  name: document.name,
+  currentVersion: document.version || 1,
+  checkedOutBy: document.checkedOutBy,
+  checkedOutAt: document.checkedOutAt,
+  checkoutNote: document.checkoutNote,
+  versions: [
+    {
+      version: document.version || 1,
+      originalName: document.originalName,
+      type: document.type,
+      size: document.size,
+      uploadedBy: document.versionUploadedBy || document.uploadedBy,
+      uploadedAt: document.versionUploadedAt || document.createdAt,
+      comment: document.versionComment,
+      isCurrent: true
+    },
+    ...document.versions
+      .map(version => ({ ...version.toObject(), isCurrent: false }))
+      .sort((a, b) => b.version - a.version)
+  ]
+});
+
+const populateDocumentUsers = (case_item) => case_item.populate([
+  { path: 'documents.uploadedBy', select: 'firstName lastName' },
+  { path: 'documents.versionUploadedBy', select: 'firstName lastName' },
+  { path: 'documents.versions.uploadedBy', select: 'firstName lastName' },
+  { path: 'documents.checkedOutBy', select: 'firstName lastName' }
+]);
+
+// @desc    Get document version history
+// @route   GET /api/cases/:id/documents/:docId/versions
+// @access  Private
+const getDocumentVersions = async (req, res) => {
+  try {
+    const { id: caseId, docId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(caseId) || !mongoose.Types.ObjectId.isValid(docId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const { case_item, status, message } = await findCaseForDocumentAction(req.user, caseId, 'canOpenFiles');
+    if (!case_item) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const document = case_item.documents.id(docId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await populateDocumentUsers(case_item);
+
+    res.status(200).json({
+      success: true,
+      data: buildVersionHistory(case_item.documents.id(docId))
+    });
+  } catch (error) {
+    handleDocumentActionError(res, error, 'Retrieve document versions');
+  }
+};
+
+// @desc    Upload a new version of a document
+// @route   POST /api/cases/:id/documents/:docId/versions
+// @access  Private
+const uploadDocumentVersion = async (req, res) => {
+  let tempFilePath = req.file ? req.file.path : null;
+  let uploadedPublicId = null;
+
+  try {
+    const { id: caseId, docId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(caseId) || !mongoose.Types.ObjectId.isValid(docId)) {
+      cleanupTempFile(tempFilePath);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { case_item, status, message } = await findCaseForDocumentAction(req.user, caseId, 'canUploadFiles');
+    if (!case_item) {
+      cleanupTempFile(tempFilePath);
+      return res.status(status).json({ success: false, message });
+    }
+
+    const document = case_item.documents.id(docId);
+    if (!document) {
+      cleanupTempFile(tempFilePath);
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (!canReviseDocument(req.user, document)) {
+      cleanupTempFile(tempFilePath);
+      return res.status(403).json({
+        success: false,
+        message: 'You can only upload versions of documents you uploaded'
+      });
+    }
+
+    // Check the lock and size before spending an upload
+    if (document.checkedOutBy && document.checkedOutBy.toString() !== req.user._id.toString()) {
+      cleanupTempFile(tempFilePath);
+      return res.status(423).json({
+        success: false,
+        message: 'Document is checked out by another user'
+      });
+    }
+
+    if (case_item.getTotalDocumentSize() + req.file.size > 524288000) { // 500MB
+      cleanupTempFile(tempFilePath);
+      return res.status(400).json({
+        success: false,
+        message: 'Total document size would exceed 500MB limit'
+      });
+    }
+
+    const cloudinaryResult = await uploadFile(tempFilePath, {
+      folder: `legalpro/cases/${case_item._id}`,
+      resource_type: 'auto',
+      public_id: `${Date.now()}-${Math.random().toString(36).substring(2)}`,
+      use_filename: false,
+      unique_filename: true
+    });
+    uploadedPublicId = cloudinaryResult.public_id;
+
+    await case_item.addDocumentVersion(docId, {
+      originalName: req.file.originalname,
+      type: req.file.mimetype,
+      size: req.file.size,
+      url: cloudinaryResult.secure_url,
+      publicId: cloudinaryResult.public_id,
+      metadata: {
+        format: cloudinaryResult.format,
+        width: cloudinaryResult.width,
+        height: cloudinaryResult.height,
+        pages: cloudinaryResult.pages
+      }
+    }, req.user._id, {
+      comment: req.body.comment,
+      keepCheckedOut: req.body.keepCheckedOut === true || req.body.keepCheckedOut === 'true'
+    });
+
+    await indexDocumentText({ caseId: case_item._id, document: case_item.documents.id(docId), filePath: tempFilePath });
+
+    cleanupTempFile(tempFilePath);
+    tempFilePath = null;
+
+    await populateDocumentUsers(case_item);
+
+    res.status(201).json({
+      success: true,
+      message: 'New document version uploaded successfully',
+      data: case_item.documents.id(docId)
+    });
+  } catch (error) {
+    if (tempFilePath) {
+      cleanupTempFile(tempFilePath);
+    }
+
+    // Don't leave an orphaned file behind if the version was not recorded
+    if (uploadedPublicId) {
+      deleteFile(uploadedPublicId).catch(cloudinaryError => {
+        console.error('Cloudinary delete error:', cloudinaryError);
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    handleDocumentActionError(res, error, 'Upload document version');
+  }
+};
+
+// @desc    Restore an earlier document version
+// @route   POST /api/cases/:id/documents/:docId/versions/:version/restore
+// @access  Private
+const restoreDocumentVersion = async (req, res) => {
+  try {
+    const { id: caseId, docId } = req.params;
+    const versionNumber = parseInt(req.params.version, 10);
+    if (!mongoose.Types.ObjectId.isValid(caseId) || !mongoose.Types.ObjectId.isValid(docId) || !(versionNumber > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID or version format'
+      });
+    }
+
+    const { case_item, status, message } = await findCaseForDocumentAction(req.user, caseId, 'canUploadFiles');
+    if (!case_item) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const document = case_item.documents.id(docId);
+    if (document && !canReviseDocument(req.user, document)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only restore versions of documents you uploaded'
+      });
+    }
+
+    await case_item.restoreDocumentVersion(docId, versionNumber, req.user._id);
+    await setCurrentDocumentText(case_item.documents.id(docId)).catch(indexError => {
+      console.error('Document text index update error:', indexError);
+    });
+    await populateDocumentUsers(case_item);
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${versionNumber} restored`,
+      data: case_item.documents.id(docId)
+    });
+  } catch (error) {
+    handleDocumentActionError(res, error, 'Restore document version');
+  }
+};
+
+// @desc    Check out (lock) a document for editing
+// @route   POST /api/cases/:id/documents/:docId/checkout
+// @access  Private
+const checkOutDocument = async (req, res) => {
+  try {
+    const { id: caseId, docId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(caseId) || !mongoose.Types.ObjectId.isValid(docId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const note = req.body.note ? String(req.body.note).trim() : '';
+    if (note.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out note cannot exceed 200 characters'
+      });
+    }
+
+    const { case_item, status, message } = await findCaseForDocumentAction(req.user, caseId, 'canUploadFiles');
+    if (!case_item) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const document = case_item.documents.id(docId);
+    if (document && !canReviseDocument(req.user, document)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only check out documents you uploaded'
+      });
+    }
+
+    await case_item.checkOutDocument(docId, req.user._id, note);
+    await populateDocumentUsers(case_item);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document checked out',
+      data: case_item.documents.id(docId)
+    });
+  } catch (error) {
+    handleDocumentActionError(res, error, 'Check out document');
+  }
+};
+
+// @desc    Check in (unlock) a document without a new version
+// @route   POST /api/cases/:id/documents/:docId/checkin
+// @access  Private (advocates may release anyone's check-out)
+const checkInDocument = async (req, res) => {
+  try {
+    const { id: caseId, docId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(caseId) || !mongoose.Types.ObjectId.isValid(docId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const { case_item, status, message } = await findCaseForDocumentAction(req.user, caseId, 'canUploadFiles');
+    if (!case_item) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await case_item.checkInDocument(docId, req.user._id, { force: req.user.role === 'advocate' });
+    await populateDocumentUsers(case_item);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document checked in',
+      data: case_item.documents.id(docId)
+    });
+  } catch (error) {
+    handleDocumentActionError(res, error, 'Check in document');
+  }
+};
+
+// @desc    Update a required-documents checklist item
+// @route   PUT /api/cases/:id/checklist/:itemId
+// @access  Private (Admin/Advocate)
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { id: caseId, itemId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(caseId) || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const query = buildCaseAccessQuery(req.user, caseId);
+    const case_item = query && await Case.findOne(query);
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    await case_item.updateChecklistItem(itemId, {
+      status: req.body.status,
+      documentId: req.body.documentId
+    }, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist updated',
+      data: case_item.documentChecklist.id(itemId)
+    });
+  } catch (error) {
+    handleDocumentActionError(res, error, 'Update checklist item');
+  }
+};
+
 // @desc    Advanced case search
 // @route   GET /api/cases/search
 // @access  Private
@@ -1522,21 +2234,111 @@ const searchCases = async (req, res) => {
   }
 };
 
+// @desc    Full-text search across case documents
+// @route   GET /api/cases/search/documents
+// @access  Private
+const searchDocuments = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be between 2 and 200 characters'
+      });
+    }
+
+    // Same rules as listing a case's documents
+    if (req.user.role === 'admin' && !req.user.permissions?.canOpenFiles) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to view files'
+      });
+    }
+
+    const query = buildCaseAccessQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid user role'
+      });
+    }
+
+    if (req.query.caseId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.caseId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid case ID format'
+        });
+      }
+      query._id = req.query.caseId;
+    }
+
+    const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    const cases = await Case.find(query).select('caseNumber title');
+    const casesById = new Map(cases.map(item => [item._id.toString(), item]));
+
+    const { total, results } = cases.length
+      ? await searchDocumentText(q, cases.map(item => item._id), { page: pageNum, limit: limitNum })
+      : { total: 0, results: [] };
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1
+      },
+      data: results.map(result => {
+        const case_item = casesById.get(result.caseId.toString());
+        return {
+          ...result,
+          case: {
+            _id: case_item._id,
+            caseNumber: case_item.caseNumber,
+            title: case_item.title
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Search documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getCases,
   getCase,
   createCase,
+  checkConflicts,
   updateCase,
   deleteCase,
   restoreCase,
   assignCase,
   getCaseStats,
   searchCases,
+  searchDocuments,
   addCaseNote,
   updateCaseStatus,
   getCaseTimeline,
   uploadDocument,
   getCaseDocuments,
   deleteDocument,
-  downloadDocument
+  downloadDocument,
+  getDocumentVersions,
+  uploadDocumentVersion,
+  restoreDocumentVersion,
+  checkOutDocument,
+  checkInDocument,
+  updateChecklistItem
 };
\ No newline at end of file
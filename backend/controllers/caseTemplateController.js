@@ -0,0 +1,220 @@
+// Case template controller for LegalPro v1.0.1
+const CaseTemplate = require('../models/CaseTemplate');
+const mongoose = require('mongoose');
+
+const TEMPLATE_FIELDS = [
+  'name', 'category', 'description', 'defaultPriority',
+  'documentChecklist', 'tasks', 'deadlines', 'notes', 'isActive'
+];
+
+// Advocates and admins allowed to manage cases maintain the template library
+const canManageTemplates = (user) =>
+  user.role === 'advocate' || (user.role === 'admin' && Boolean(user.permissions?.canManageCases));
+
+const pickTemplateFields = (body) => TEMPLATE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+const handleTemplateError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A template with this name already exists for the category'
+    });
+  }
+
+  console.error(`Case template error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const rejectUnlessManager = (req, res) => {
+  if (canManageTemplates(req.user)) return false;
+  res.status(403).json({
+    success: false,
+    message: 'Insufficient permissions to manage case templates'
+  });
+  return true;
+};
+
+// @desc    Get case templates
+// @route   GET /api/case-templates
+// @access  Private (Admin/Advocate)
+const getCaseTemplates = async (req, res) => {
+  try {
+    const { category, includeInactive } = req.query;
+
+    const query = {};
+    if (category) {
+      query.category = category;
+    }
+    // Retired templates are only listed for the people who maintain them
+    if (!(includeInactive === 'true' && canManageTemplates(req.user))) {
+      query.isActive = true;
+    }
+
+    const templates = await CaseTemplate.find(query)
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ category: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'fetching case templates');
+  }
+};
+
+// @desc    Get single case template
+// @route   GET /api/case-templates/:id
+// @access  Private (Admin/Advocate)
+const getCaseTemplate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const template = await CaseTemplate.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName')
+      .populate('updatedBy', 'firstName lastName');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'fetching case template');
+  }
+};
+
+// @desc    Create case template
+// @route   POST /api/case-templates
+// @access  Private (Advocate, or Admin with case management permission)
+const createCaseTemplate = async (req, res) => {
+  try {
+    if (rejectUnlessManager(req, res)) return;
+
+    const template = await CaseTemplate.create({
+      ...pickTemplateFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Case template created',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'creating case template');
+  }
+};
+
+// @desc    Update case template
+// @route   PUT /api/case-templates/:id
+// @access  Private (Advocate, or Admin with case management permission)
+const updateCaseTemplate = async (req, res) => {
+  try {
+    if (rejectUnlessManager(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const template = await CaseTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case template not found'
+      });
+    }
+
+    // Cases keep what was copied onto them; edits only affect new cases
+    template.set(pickTemplateFields(req.body));
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Case template updated',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'updating case template');
+  }
+};
+
+// @desc    Retire case template
+// @route   DELETE /api/case-templates/:id
+// @access  Private (Advocate, or Admin with case management permission)
+const deleteCaseTemplate = async (req, res) => {
+  try {
+    if (rejectUnlessManager(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const template = await CaseTemplate.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Case template retired',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'retiring case template');
+  }
+};
+
+module.exports = {
+  getCaseTemplates,
+  getCaseTemplate,
+  createCaseTemplate,
+  updateCaseTemplate,
+  deleteCaseTemplate
+};
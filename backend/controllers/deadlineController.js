@@ -0,0 +1,239 @@
+// Case deadline controller for LegalPro v1.0.1
+const Case = require('../models/Case');
+const mongoose = require('mongoose');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const { buildDeadline } = require('../utils/deadlineUtils');
+const { toDateKey, daysBetween } = require('../utils/courtCalendar');
+const { TRIGGER_EVENTS, getRulesForCategory } = require('../config/deadlineRules');
+
+// Add the days remaining to a deadline for display
+const formatDeadline = (deadline) => {
+  const data = deadline.toObject ? deadline.toObject() : deadline;
+  return {
+    ...data,
+    dueDate: toDateKey(data.dueDate),
+    daysLeft: data.status === 'open' ? daysBetween(new Date(), data.dueDate) : null
+  };
+};
+
+const findAccessibleCase = async (user, caseId) => {
+  const query = buildCaseAccessQuery(user, caseId);
+  if (!query) return null;
+  return Case.findOne(query);
+};
+
+// @desc    Get deadline rules for a case category
+// @route   GET /api/cases/deadline-rules
+// @access  Private (Admin/Advocate)
+const getDeadlineRules = async (req, res) => {
+  try {
+    const rules = getRulesForCategory(req.query.category).map(rule => ({
+      ...rule,
+      triggerLabel: TRIGGER_EVENTS[rule.trigger]
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get deadline rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deadline rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get case deadlines
+// @route   GET /api/cases/:id/deadlines
+// @access  Private
+const getCaseDeadlines = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    let deadlines = [...case_item.deadlines];
+    if (req.query.status && ['open', 'completed', 'waived'].includes(req.query.status)) {
+      deadlines = deadlines.filter(deadline => deadline.status === req.query.status);
+    }
+    deadlines.sort((a, b) => a.dueDate - b.dueDate);
+
+    res.status(200).json({
+      success: true,
+      count: deadlines.length,
+      data: deadlines.map(formatDeadline)
+    });
+  } catch (error) {
+    console.error('Get case deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching deadlines',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Add a deadline to a case (computed from a rule or entered manually)
+// @route   POST /api/cases/:id/deadlines
+// @access  Private (Admin/Advocate)
+const addCaseDeadline = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    let built;
+    try {
+      built = buildDeadline(case_item.category, req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    case_item.deadlines.push({
+      ...built.deadline,
+      createdBy: req.user._id
+    });
+    const deadline = case_item.deadlines[case_item.deadlines.length - 1];
+
+    await case_item.addTimelineEvent(
+      'deadline_added',
+      `Deadline added: ${deadline.title} (due ${toDateKey(deadline.dueDate)})`,
+      req.user._id,
+      { deadlineId: deadline._id, ruleKey: deadline.ruleKey, dueDate: toDateKey(deadline.dueDate) }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Deadline added successfully',
+      data: formatDeadline(deadline),
+      calculation: built.calculation
+    });
+  } catch (error) {
+    console.error('Add case deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding deadline',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Complete, waive or reopen a case deadline
+// @route   PUT /api/cases/:id/deadlines/:deadlineId
+// @access  Private (Admin/Advocate)
+const updateCaseDeadline = async (req, res) => {
+  try {
+    const { id, deadlineId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(deadlineId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const { status, notes } = req.body;
+    if (status && !['open', 'completed', 'waived'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: open, completed, waived'
+      });
+    }
+    if (status === 'waived' && !notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining why the deadline is waived is required'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, id);
+
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const deadline = case_item.deadlines.id(deadlineId);
+    if (!deadline) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deadline not found'
+      });
+    }
+
+    const oldStatus = deadline.status;
+    if (notes !== undefined) {
+      deadline.notes = notes;
+    }
+    if (status && status !== oldStatus) {
+      deadline.status = status;
+      if (status === 'open') {
+        deadline.completedAt = undefined;
+        deadline.completedBy = undefined;
+      } else {
+        deadline.completedAt = new Date();
+        deadline.completedBy = req.user._id;
+      }
+    }
+
+    await case_item.addTimelineEvent(
+      'deadline_updated',
+      status && status !== oldStatus
+        ? `Deadline ${deadline.title} marked ${status}`
+        : `Deadline ${deadline.title} updated`,
+      req.user._id,
+      { deadlineId: deadline._id, oldStatus, newStatus: deadline.status }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Deadline updated successfully',
+      data: formatDeadline(deadline)
+    });
+  } catch (error) {
+    console.error('Update case deadline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating deadline',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getDeadlineRules,
+  getCaseDeadlines,
+  addCaseDeadline,
+  updateCaseDeadline
+};
@@ -0,0 +1,203 @@
+// Appointment intake form controller for LegalPro v1.0.1
+const IntakeForm = require('../models/IntakeForm');
+const mongoose = require('mongoose');
+const { findIntakeForm } = require('../utils/intakeForms');
+
+const FORM_FIELDS = ['name', 'description', 'appointmentType', 'practiceArea', 'fields', 'isActive'];
+
+const pickFormFields = (body) => {
+  const picked = FORM_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+
+  // No practice area means the form covers every area
+  if (picked.practiceArea === '') picked.practiceArea = null;
+  return picked;
+};
+
+const handleIntakeFormError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'An active intake form already exists for this appointment type and practice area'
+    });
+  }
+
+  console.error(`Intake form error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Look up the form in the URL; answers 400/404 itself and returns null
+const loadIntakeForm = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid intake form ID format'
+    });
+    return null;
+  }
+
+  const form = await IntakeForm.findById(req.params.id);
+  if (!form) {
+    res.status(404).json({
+      success: false,
+      message: 'Intake form not found'
+    });
+  }
+  return form;
+};
+
+// @desc    Get intake forms
+// @route   GET /api/intake-forms
+// @access  Private (Admin/Advocate)
+const getIntakeForms = async (req, res) => {
+  try {
+    const { appointmentType, practiceArea, includeInactive } = req.query;
+
+    const query = {};
+    if (appointmentType) query.appointmentType = appointmentType;
+    if (practiceArea) query.practiceArea = practiceArea;
+    // Retired forms are only listed for admins, who maintain them
+    if (!(includeInactive === 'true' && req.user.role === 'admin')) {
+      query.isActive = true;
+    }
+
+    const forms = await IntakeForm.find(query)
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ appointmentType: 1, practiceArea: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: forms.length,
+      data: forms
+    });
+  } catch (error) {
+    handleIntakeFormError(res, error, 'fetching intake forms');
+  }
+};
+
+// @desc    Get the form to fill in when booking an appointment of a type and practice area
+// @route   GET /api/intake-forms/match
+// @access  Private (All authenticated users)
+const getMatchingIntakeForm = async (req, res) => {
+  try {
+    const { appointmentType = 'consultation', practiceArea } = req.query;
+
+    const form = await findIntakeForm(appointmentType, practiceArea || undefined);
+
+    res.status(200).json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    handleIntakeFormError(res, error, 'finding intake form');
+  }
+};
+
+// @desc    Get single intake form
+// @route   GET /api/intake-forms/:id
+// @access  Private (Admin/Advocate)
+const getIntakeForm = async (req, res) => {
+  try {
+    const form = await loadIntakeForm(req, res);
+    if (!form) return;
+
+    res.status(200).json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    handleIntakeFormError(res, error, 'fetching intake form');
+  }
+};
+
+// @desc    Create intake form
+// @route   POST /api/intake-forms
+// @access  Private (Admin)
+const createIntakeForm = async (req, res) => {
+  try {
+    const form = await IntakeForm.create({
+      ...pickFormFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Intake form created',
+      data: form
+    });
+  } catch (error) {
+    handleIntakeFormError(res, error, 'creating intake form');
+  }
+};
+
+// @desc    Update intake form
+// @route   PUT /api/intake-forms/:id
+// @access  Private (Admin)
+const updateIntakeForm = async (req, res) => {
+  try {
+    const form = await loadIntakeForm(req, res);
+    if (!form) return;
+
+    // Appointments keep the answers and labels they were booked with
+    form.set(pickFormFields(req.body));
+    form.updatedBy = req.user._id;
+    await form.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake form updated',
+      data: form
+    });
+  } catch (error) {
+    handleIntakeFormError(res, error, 'updating intake form');
+  }
+};
+
+// @desc    Retire intake form
+// @route   DELETE /api/intake-forms/:id
+// @access  Private (Admin)
+const deleteIntakeForm = async (req, res) => {
+  try {
+    const form = await loadIntakeForm(req, res);
+    if (!form) return;
+
+    form.isActive = false;
+    form.updatedBy = req.user._id;
+    await form.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Intake form retired',
+      data: form
+    });
+  } catch (error) {
+    handleIntakeFormError(res, error, 'retiring intake form');
+  }
+};
+
+module.exports = {
+  getIntakeForms,
+  getMatchingIntakeForm,
+  getIntakeForm,
+  createIntakeForm,
+  updateIntakeForm,
+  deleteIntakeForm
+};
@@ -0,0 +1,658 @@
+// Invoice controller for LegalPro v1.0.1
+const Invoice = require('../models/Invoice');
+const Case = require('../models/Case');
+const Payment = require('../models/Payment');
+const mongoose = require('mongoose');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const {
+  buildCaseLineItems,
+  claimInvoiceSources,
+  releaseInvoiceSources
+} = require('../utils/invoiceUtils');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { billingConfig } = require('../config/billingConfig');
+
+// Only fixed fees and disbursements can be typed in; time and appointments come from their records
+const MANUAL_LINE_TYPES = ['fee', 'expense'];
+
+// Case scope for the user, including archived matters that still have invoices
+const buildInvoiceCaseScope = (user) => {
+  const query = buildCaseAccessQuery(user);
+  if (!query) return null;
+  delete query.isArchived;
+  return query;
+};
+
+const findAccessibleInvoice = async (user, invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return null;
+
+  if (user.role === 'client') {
+    return invoice.clientId.toString() === user._id.toString() && invoice.status !== 'draft' ? invoice : null;
+  }
+
+  const scope = buildInvoiceCaseScope(user);
+  if (!scope) return null;
+  const caseItem = await Case.findOne({ ...scope, _id: invoice.caseId }).select('_id');
+  return caseItem ? invoice : null;
+};
+
+const populateInvoice = (invoice) => invoice.populate([
+  { path: 'clientId', select: 'firstName lastName email phone' },
+  { path: 'caseId', select: 'caseNumber title' }
+]);
+
+const sanitizeManualLineItem = ({ type, description, date, quantity, unit, unitPrice, taxable }) => ({
+  type,
+  description,
+  date,
+  quantity: quantity !== undefined ? Number(quantity) : 1,
+  unit: unit || 'item',
+  unitPrice: Number(unitPrice),
+  taxable
+});
+
+const handleInvoiceError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  console.error(`Invoice error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get invoices
+// @route   GET /api/invoices
+// @access  Private
+const getInvoices = async (req, res) => {
+  try {
+    const { status, caseId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (req.user.role === 'client') {
+      // Drafts are internal until issued
+      query.clientId = req.user._id;
+      query.status = status && status !== 'draft' ? status : { $ne: 'draft' };
+    } else {
+      const scope = buildInvoiceCaseScope(req.user);
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+      if (Object.keys(scope).length > 0) {
+        query.caseId = { $in: await Case.find(scope).distinct('_id') };
+      }
+      if (status) query.status = status;
+    }
+
+    if (caseId && mongoose.Types.ObjectId.isValid(caseId)) {
+      query.caseId = query.caseId
+        ? { $in: query.caseId.$in.filter(id => id.toString() === caseId) }
+        : caseId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .populate('clientId', 'firstName lastName email')
+        .populate('caseId', 'caseNumber title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: invoices
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'fetching invoices');
+  }
+};
+
+// @desc    Get single invoice
+// @route   GET /api/invoices/:id
+// @access  Private
+const getInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    await populateInvoice(invoice);
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'fetching invoice');
+  }
+};
+
+// @desc    Preview unbilled time entries and appointments for a case
+// @route   GET /api/invoices/unbilled?caseId=
+// @access  Private (Admin/Advocate)
+const getUnbilledItems = async (req, res) => {
+  try {
+    const { caseId, periodStart, periodEnd } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(caseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const caseItem = await Case.findOne(buildCaseAccessQuery(req.user, caseId)).select('_id');
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const lineItems = await buildCaseLineItems(caseItem._id, { periodStart, periodEnd });
+
+    res.status(200).json({
+      success: true,
+      count: lineItems.length,
+      data: lineItems
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'fetching unbilled items');
+  }
+};
+
+// @desc    Create draft invoice from a case's unbilled work and other charges
+// @route   POST /api/invoices
+// @access  Private (Admin/Advocate)
+const createInvoice = async (req, res) => {
+  try {
+    const {
+      caseId,
+      includeTimeEntries = true,
+      includeAppointments = true,
+      periodStart,
+      periodEnd,
+      lineItems = [],
+      discount,
+      dueDate,
+      notes
+    } = req.body;
+
+    const caseItem = await Case.findOne(buildCaseAccessQuery(req.user, caseId)).select('_id clientId caseNumber');
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const sourceItems = await buildCaseLineItems(caseItem._id, {
+      periodStart,
+      periodEnd,
+      includeTimeEntries,
+      includeAppointments
+    });
+    const manualItems = lineItems
+      .filter(item => MANUAL_LINE_TYPES.includes(item.type))
+      .map(sanitizeManualLineItem);
+
+    if (sourceItems.length === 0 && manualItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No unbilled time, appointments or charges to invoice'
+      });
+    }
+
+    const invoice = await Invoice.create({
+      caseId: caseItem._id,
+      clientId: caseItem.clientId,
+      lineItems: [...sourceItems, ...manualItems],
+      periodStart,
+      periodEnd,
+      discount,
+      dueDate,
+      notes,
+      createdBy: req.user._id
+    });
+
+    // Another draft may have picked up the same work in the meantime
+    const claimed = await claimInvoiceSources(invoice);
+    if (!claimed) {
+      await releaseInvoiceSources(invoice);
+      await invoice.deleteOne();
+      return res.status(409).json({
+        success: false,
+        message: 'Some of this work was just added to another invoice. Please try again.'
+      });
+    }
+
+    await populateInvoice(invoice);
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft invoice created successfully',
+      data: invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'creating invoice');
+  }
+};
+
+// @desc    Update draft invoice
+// @route   PUT /api/invoices/:id
+// @access  Private (Admin/Advocate)
+const updateInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be edited'
+      });
+    }
+
+    const { lineItems, discount, dueDate, notes } = req.body;
+
+    if (lineItems) {
+      // Existing lines are kept by _id (with optional write-downs); new lines must be fees or disbursements
+      const nextItems = [];
+      lineItems.forEach(item => {
+        if (item._id) {
+          const existing = invoice.lineItems.id(item._id);
+          if (!existing) return;
+          ['description', 'quantity', 'unitPrice', 'taxable'].forEach(field => {
+            if (item[field] !== undefined) existing[field] = item[field];
+          });
+          nextItems.push(existing);
+        } else if (MANUAL_LINE_TYPES.includes(item.type)) {
+          nextItems.push(sanitizeManualLineItem(item));
+        }
+      });
+
+      const keptIds = new Set(nextItems.filter(item => item._id).map(item => item._id.toString()));
+      const removed = invoice.lineItems.filter(item => !keptIds.has(item._id.toString()));
+      invoice.lineItems = nextItems;
+
+      // Work taken off the invoice goes back to the unbilled pool
+      await releaseInvoiceSources(invoice, removed);
+    }
+
+    if (discount !== undefined) invoice.discount = discount;
+    if (dueDate !== undefined) invoice.dueDate = dueDate;
+    if (notes !== undefined) invoice.notes = notes;
+
+    await invoice.save();
+    await populateInvoice(invoice);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'updating invoice');
+  }
+};
+
+// @desc    Issue draft invoice (assigns the invoice number)
+// @route   POST /api/invoices/:id/issue
+// @access  Private (Admin/Advocate)
+const issueInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be issued'
+      });
+    }
+
+    if (invoice.lineItems.length === 0 || !(invoice.total > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice must have a positive total before it is issued'
+      });
+    }
+
+    const issueDate = new Date();
+    invoice.status = 'issued';
+    invoice.issueDate = issueDate;
+    invoice.issuedBy = req.user._id;
+    if (req.body.dueDate) {
+      invoice.dueDate = req.body.dueDate;
+    } else if (!invoice.dueDate) {
+      invoice.dueDate = new Date(issueDate.getTime() + billingConfig.invoiceDueDays * 24 * 60 * 60 * 1000);
+    }
+
+    // Numbers are sequential per year; retry if another invoice took the number first
+    for (let attempt = 0; ; attempt++) {
+      invoice.invoiceNumber = await Invoice.generateInvoiceNumber(issueDate);
+      try {
+        await invoice.save();
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 2) throw error;
+      }
+    }
+
+    const caseItem = await Case.findById(invoice.caseId);
+    if (caseItem) {
+      await caseItem.addTimelineEvent(
+        'invoice_issued',
+        `Invoice ${invoice.invoiceNumber} issued for ${invoice.currency} ${invoice.total.toLocaleString()}`,
+        req.user._id,
+        { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, total: invoice.total }
+      );
+    }
+
+    await populateInvoice(invoice);
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} issued successfully`,
+      data: invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'issuing invoice');
+  }
+};
+
+// @desc    Void invoice
+// @route   POST /api/invoices/:id/void
+// @access  Private (Admin/Advocate)
+const voidInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void an invoice'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund or reallocate the payments on this invoice before voiding it'
+      });
+    }
+
+    invoice.status = 'void';
+    invoice.voidReason = reason.trim();
+    invoice.voidedAt = new Date();
+    invoice.voidedBy = req.user._id;
+    await invoice.save();
+    await releaseInvoiceSources(invoice);
+
+    if (invoice.invoiceNumber) {
+      const caseItem = await Case.findById(invoice.caseId);
+      if (caseItem) {
+        await caseItem.addTimelineEvent(
+          'invoice_voided',
+          `Invoice ${invoice.invoiceNumber} voided: ${invoice.voidReason}`,
+          req.user._id,
+          { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber }
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice voided successfully',
+      data: invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'voiding invoice');
+  }
+};
+
+// @desc    Delete draft invoice
+// @route   DELETE /api/invoices/:id
+// @access  Private (Admin/Advocate)
+const deleteInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    // Issued invoices keep their number for the tax record and can only be voided
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be deleted; void issued invoices instead'
+      });
+    }
+
+    await releaseInvoiceSources(invoice);
+    await invoice.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft invoice deleted successfully'
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'deleting invoice');
+  }
+};
+
+// @desc    Download invoice PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    await populateInvoice(invoice);
+    const pdf = await renderInvoicePdf(invoice);
+    const filename = `${invoice.invoiceNumber || `draft-${invoice._id}`}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.status(200).send(pdf);
+  } catch (error) {
+    handleInvoiceError(res, error, 'generating invoice PDF');
+  }
+};
+
+// @desc    Allocate a completed payment to an invoice
+// @route   POST /api/invoices/:id/payments
+// @access  Private (Admin/Advocate)
+const allocateInvoicePayment = async (req, res) => {
+  try {
+    const { paymentId, amount } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const invoice = await findAccessibleInvoice(req.user, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed payments can be allocated'
+      });
+    }
+
+    if (payment.clientId.toString() !== invoice.clientId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment was made by a different client'
+      });
+    }
+
+    if (payment.trustTransactionId) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment is held in trust; transfer it to office against the invoice instead'
+      });
+    }
+
+    if (payment.invoiceId && payment.invoiceId.toString() !== invoice._id.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment is already allocated to another invoice'
+      });
+    }
+
+    try {
+      await invoice.allocatePayment(payment, amount !== undefined ? Number(amount) : undefined, req.user._id);
+    } catch (error) {
+      if (error.name === 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    payment.invoiceId = invoice._id;
+    if (!payment.caseId) payment.caseId = invoice.caseId;
+    await payment.save();
+
+    await populateInvoice(invoice);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment allocated successfully',
+      data: invoice
+    });
+  } catch (error) {
+    handleInvoiceError(res, error, 'allocating payment');
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  getUnbilledItems,
+  createInvoice,
+  updateInvoice,
+  issueInvoice,
+  voidInvoice,
+  deleteInvoice,
+  downloadInvoicePdf,
+  allocateInvoicePayment
+};
@@ -3,6 +3,10 @@ const { sendNotification, sendTemplatedEmail, sendTemplatedSMS } = require('../u
 const User = require('../models/User');
 const Case = require('../models/Case');
 const Appointment = require('../models/Appointment');
+const { sendDeadlineReminders } = require('../utils/deadlineUtils');
+const { sendTaskReminders } = require('../utils/taskUtils');
+const { scheduleUpcomingReminders } = require('../utils/appointmentReminders');
+const jobScheduler = require('../utils/jobScheduler');
 
 // @desc    Send welcome notification to new user
 // @route   POST /api/notifications/welcome
@@ -155,55 +159,20 @@ const sendPaymentConfirmation = async (req, res) => {
   }
 };
 
-// @desc    Send appointment reminder (for scheduled job)
+// @desc    Queue any missing appointment reminders and send those already due
 // @route   POST /api/notifications/appointment-reminder
 // @access  Private (System)
 const sendAppointmentReminder = async (req, res) => {
   try {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    
-    const dayAfterTomorrow = new Date(tomorrow);
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-    // Find appointments for tomorrow
-    const appointments = await Appointment.find({
-      date: {
-        $gte: tomorrow,
-        $lt: dayAfterTomorrow
-      },
-      status: 'scheduled'
-    }).populate('clientId', 'firstName lastName email phone');
-
-    const results = [];
-    
-    for (const appointment of appointments) {
-      const data = {
-        date: appointment.date.toDateString(),
-        time: appointment.time
-      };
+    // Reminders normally go out from the job scheduler; this runs it on demand
+    const queued = await scheduleUpcomingReminders();
+    const summary = await jobScheduler.runDueJobs();
 
-      try {
-        const result = await sendNotification(appointment.clientId, 'appointmentReminder', data);
-        results.push({
-          appointmentId: appointment._id,
-          clientName: `${appointment.clientId.firstName} ${appointment.clientId.lastName}`,
-          result
-        });
-      } catch (error) {
-        results.push({
-          appointmentId: appointment._id,
-          clientName: `${appointment.clientId.firstName} ${appointment.clientId.lastName}`,
-          error: error.message
-        });
-      }
-    }
-    
     res.status(200).json({
       success: true,
-      message: `Processed ${appointments.length} appointment reminders`,
-      results
+      message: `Queued ${queued} upcoming reminder(s) and processed ${summary.processed} due job(s)`,
+      queued,
+      results: summary
     });
   } catch (error) {
     console.error('Error sending appointment reminders:', error);
@@ -215,6 +184,50 @@ const sendAppointmentReminder = async (req, res) => {
   }
 };
 
+// @desc    Send case deadline reminders (for scheduled job)
+// @route   POST /api/notifications/deadline-reminders
+// @access  Private (System)
+const sendDeadlineReminderNotifications = async (req, res) => {
+  try {
+    const result = await sendDeadlineReminders();
+
+    res.status(200).json({
+      success: true,
+      message: `Processed ${result.processed} deadline reminders`,
+      results: result.results
+    });
+  } catch (error) {
+    console.error('Error sending deadline reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send deadline reminders',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send due and overdue case task reminders to assignees
+// @route   POST /api/notifications/task-reminders
+// @access  Private (System)
+const sendTaskReminderNotifications = async (req, res) => {
+  try {
+    const result = await sendTaskReminders();
+
+    res.status(200).json({
+      success: true,
+      message: `Processed ${result.processed} task reminders`,
+      results: result.results
+    });
+  } catch (error) {
+    console.error('Error sending task reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send task reminders',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Send bulk notification
 // @route   POST /api/notifications/bulk
 // @access  Private (Admin/Super Admin)
@@ -282,5 +295,7 @@ module.exports = {
   sendCaseUpdateNotification,
   sendPaymentConfirmation,
   sendAppointmentReminder,
+  sendDeadlineReminderNotifications,
+  sendTaskReminderNotifications,
   sendBulkNotification
 };
@@ -1,9 +1,23 @@
 // Enhanced Payment controller for LegalPro v1.0.1 with comprehensive M-Pesa integration
 const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
 const TransactionLog = require('../models/TransactionLog');
+const MpesaReceipt = require('../models/MpesaReceipt');
+const Refund = require('../models/Refund');
 const mpesaService = require('../utils/mpesaService');
+const { applySTKResult } = require('../utils/paymentReconciliation');
+const {
+  validateC2BPayment,
+  processC2BConfirmation,
+  applyVerificationResult,
+  allocateReceipt
+} = require('../utils/mpesaC2B');
+const { applyB2CResult, applyB2CTimeout, applyPayoutStatusResult } = require('../utils/refunds');
 const { validationResult, body } = require('express-validator');
 
+// Match search text literally rather than as a pattern
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Utility function to log transactions
 async function logTransaction(type, data, paymentId = null, userId = null) {
   try {
@@ -42,12 +56,16 @@ const validatePaymentInitiation = [
     .withMessage('Amount must be at least 1 KES'),
   body('paymentType')
     .optional()
-    .isIn(['consultation_fee', 'case_fee', 'document_fee', 'court_fee', 'other'])
+    .isIn(['consultation_fee', 'case_fee', 'document_fee', 'court_fee', 'cancellation_fee', 'no_show_fee', 'other'])
     .withMessage('Invalid payment type'),
   body('description')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Description cannot exceed 500 characters')
+    .withMessage('Description cannot exceed 500 characters'),
+  body('invoiceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid invoice ID')
 ];
 
 // Enhanced M-Pesa payment initiation
@@ -69,11 +87,38 @@ const initiateSTKPush = async (req, res) => {
       phoneNumber,
       amount,
       appointmentId,
-      caseId,
-      paymentType = 'consultation_fee',
-      description,
-      accountReference
+      invoiceId
     } = req.body;
+    let { caseId, paymentType = 'consultation_fee', description, accountReference } = req.body;
+
+    // Payments against an invoice settle its balance once M-Pesa confirms
+    if (invoiceId) {
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice || invoice.status === 'draft' || invoice.clientId.toString() !== req.user._id.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
+      }
+      if (!['issued', 'partially_paid'].includes(invoice.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot be paid`
+        });
+      }
+      // M-Pesa only takes whole shillings, so allow rounding the balance up
+      if (Math.round(amount) > Math.ceil(invoice.balance)) {
+        return res.status(400).json({
+          success: false,
+          message: `Amount exceeds the invoice balance of ${invoice.currency} ${invoice.balance.toLocaleString()}`
+        });
+      }
+
+      caseId = invoice.caseId;
+      paymentType = req.body.paymentType || 'case_fee';
+      description = description || `Payment for invoice ${invoice.invoiceNumber}`;
+      accountReference = accountReference || invoice.invoiceNumber;
+    }
 
     // Format phone number
     const formattedPhone = mpesaService.formatPhoneNumber(phoneNumber);
@@ -83,6 +128,7 @@ const initiateSTKPush = async (req, res) => {
       clientId: req.user._id,
       appointmentId,
       caseId,
+      invoiceId,
       amount: Math.round(amount),
       currency: 'KES',
       method: 'mpesa',
@@ -216,34 +262,10 @@ const handleSTKCallback = async (req, res) => {
     payment.mpesaDetails.callbackPayload = callbackData;
     payment.mpesaDetails.callbackReceived = true;
     payment.mpesaDetails.callbackReceivedAt = new Date();
-    payment.mpesaDetails.resultCode = resultCode;
-    payment.mpesaDetails.resultDesc = resultDesc;
-
-    if (resultCode === 0) {
-      // Payment successful
-      if (callbackMetadata && callbackMetadata.Item) {
-        // Extract payment details from callback metadata
-        const metadata = {};
-        callbackMetadata.Item.forEach(item => {
-          metadata[item.Name] = item.Value;
-        });
-
-        payment.mpesaDetails.mpesaReceiptNumber = metadata.MpesaReceiptNumber;
-        payment.mpesaDetails.transactionDate = new Date(metadata.TransactionDate);
-        payment.mpesaDetails.phoneNumber = metadata.PhoneNumber;
-      }
-
-      await payment.markAsCompleted({
-        mpesaReceiptNumber: payment.mpesaDetails.mpesaReceiptNumber,
-        transactionDate: payment.mpesaDetails.transactionDate
-      });
+    await payment.save();
 
-      console.log(`Payment ${payment._id} completed successfully. Receipt: ${payment.mpesaDetails.mpesaReceiptNumber}`);
-    } else {
-      // Payment failed or cancelled
-      await payment.markAsFailed(resultDesc, resultCode);
-      console.log(`Payment ${payment._id} failed. Code: ${resultCode}, Desc: ${resultDesc}`);
-    }
+    // Same transition the reconciler applies when the callback never arrives
+    await applySTKResult(payment, { resultCode, resultDesc, callbackMetadata });
 
     // Log callback transaction
     await logTransaction('CALLBACK_RECEIVED', {
@@ -296,7 +318,7 @@ const queryPaymentStatus = async (req, res) => {
   try {
     const { paymentId } = req.params;
 
-    const payment = await Payment.findById(paymentId);
+    let payment = await Payment.findById(paymentId);
     if (!payment) {
       return res.status(404).json({
         success: false,
@@ -313,7 +335,7 @@ const queryPaymentStatus = async (req, res) => {
     }
 
     // If payment is already completed or failed, return current status
-    if (['completed', 'failed', 'cancelled'].includes(payment.status)) {
+    if (['completed', 'failed', 'cancelled', 'timeout'].includes(payment.status)) {
       return res.json({
         success: true,
         payment: payment.summary,
@@ -328,11 +350,9 @@ const queryPaymentStatus = async (req, res) => {
           payment.mpesaDetails.checkoutRequestID
         );
 
-        // Update payment status based on query result
-        if (statusResponse.resultCode === 0) {
-          await payment.markAsCompleted();
-        } else if (statusResponse.resultCode !== 1032) { // 1032 = Request cancelled by user
-          await payment.markAsFailed(statusResponse.resultDesc, statusResponse.resultCode);
+        // Update payment status based on query result, as the callback would
+        if (statusResponse.resultCode !== 1032) { // 1032 = Request cancelled by user
+          payment = await applySTKResult(payment, statusResponse) || await Payment.findById(payment._id);
         }
 
         // Log status query
@@ -464,136 +484,243 @@ const getPayments = async (req, res) => {
   }
 };
 
-// Initiate B2C payment (refunds)
-const initiateRefund = async (req, res) => {
+// Handle B2C callback
+const handleB2CCallback = async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { paymentId } = req.params;
-    const { amount, reason } = req.body;
+    const callbackData = req.body;
+    console.log('B2C callback received:', JSON.stringify(callbackData, null, 2));
 
-    // Only admins can initiate refunds
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only administrators can initiate refunds.'
-      });
+    // Validate callback data
+    const validatedCallback = mpesaService.validateCallbackData(callbackData);
+
+    if (validatedCallback.type !== 'B2C') {
+      throw new Error('Invalid callback type for B2C');
     }
 
-    const originalPayment = await Payment.findById(paymentId)
-      .populate('clientId', 'firstName lastName phoneNumber');
+    const {
+      conversationID,
+      originatorConversationID,
+      resultCode,
+      resultDesc,
+      resultParameters
+    } = validatedCallback;
+
+    // Find the refund paid out under this conversationID
+    const refund = await Refund.findOne({
+      'disbursement.conversationID': conversationID
+    });
 
-    if (!originalPayment) {
+    if (!refund) {
+      console.error('Refund not found for conversationID:', conversationID);
       return res.status(404).json({
         success: false,
-        message: 'Original payment not found'
+        message: 'Refund record not found'
       });
     }
 
-    if (originalPayment.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only refund completed payments'
-      });
-    }
+    const settled = await applyB2CResult(refund, {
+      resultCode,
+      resultDesc,
+      resultParameters,
+      callbackData
+    });
+    console.log(`Refund ${refund._id} ${settled.status}. Code: ${resultCode}, Desc: ${resultDesc}`);
 
-    const refundAmount = amount || originalPayment.amount;
-    if (refundAmount > originalPayment.amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Refund amount cannot exceed original payment amount'
-      });
-    }
+    // Log callback transaction
+    await logTransaction('CALLBACK_RECEIVED', {
+      transactionId: conversationID,
+      request: callbackData,
+      response: { success: true },
+      statusCode: 200,
+      duration: Date.now() - startTime,
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      mpesaRequestId: originatorConversationID,
+      mpesaResponseCode: resultCode.toString(),
+      mpesaResponseDescription: resultDesc
+    }, refund.paymentId);
 
-    // Create refund payment record
-    const refundPayment = new Payment({
-      clientId: originalPayment.clientId._id,
-      appointmentId: originalPayment.appointmentId,
-      caseId: originalPayment.caseId,
-      amount: refundAmount,
-      currency: originalPayment.currency,
-      method: 'mpesa',
-      paymentType: 'refund',
-      description: `Refund for payment ${originalPayment._id}`,
-      status: 'processing',
-      createdBy: req.user._id,
-      mpesaDetails: {
-        phoneNumber: originalPayment.mpesaDetails.phoneNumber,
-        accountReference: `REFUND-${originalPayment._id}`,
-        transactionDesc: reason || 'Payment refund'
-      }
+    res.status(200).json({
+      success: true,
+      message: 'B2C callback processed successfully'
     });
 
-    await refundPayment.save();
+  } catch (error) {
+    console.error('B2C callback error:', error);
 
-    // Initiate B2C payment
-    const b2cResponse = await mpesaService.initiateB2CPayment(
-      originalPayment.mpesaDetails.phoneNumber,
-      refundAmount,
-      reason || 'Payment refund',
-      'Refund'
-    );
+    // Log failed callback
+    await logTransaction('CALLBACK_RECEIVED', {
+      transactionId: `b2c-callback-failed-${Date.now()}`,
+      request: req.body,
+      response: null,
+      statusCode: 500,
+      duration: Date.now() - startTime,
+      success: false,
+      error: { message: error.message, code: error.code },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    // Update refund payment with B2C response
-    refundPayment.mpesaDetails.conversationID = b2cResponse.conversationID;
-    refundPayment.mpesaDetails.originatorConversationID = b2cResponse.originatorConversationID;
-    refundPayment.mpesaDetails.requestPayload = {
-      phoneNumber: originalPayment.mpesaDetails.phoneNumber,
-      amount: refundAmount,
-      remarks: reason || 'Payment refund'
-    };
-    refundPayment.mpesaDetails.responsePayload = b2cResponse;
+    res.status(500).json({
+      success: false,
+      message: 'Error processing B2C callback',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Validation rules for allocating a Paybill receipt out of suspense
+const validateC2BAllocation = [
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Case or invoice number must be 1-50 characters'),
+  body('clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  body('paymentType')
+    .optional()
+    .isIn(['consultation_fee', 'case_fee', 'document_fee', 'court_fee', 'cancellation_fee', 'no_show_fee', 'other'])
+    .withMessage('Invalid payment type'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
 
-    await refundPayment.save();
+// C2B callbacks must carry the token registerC2BUrls added to their URLs
+const verifyC2BCallbackToken = (req, res, next) => {
+  if (!mpesaService.isValidC2BCallbackToken(req.query.token)) {
+    console.error('C2B callback refused: missing or invalid token');
+    return res.status(403).json({
+      ResultCode: 1,
+      ResultDesc: 'Forbidden'
+    });
+  }
+  next();
+};
 
-    // Update original payment refund information
-    originalPayment.refundAmount = (originalPayment.refundAmount || 0) + refundAmount;
-    originalPayment.refundReason = reason;
-    originalPayment.refundedBy = req.user._id;
+// Queue timeout from Safaricom; a refund payout that timed out keeps its hold until its status is known
+const handleMpesaTimeout = async (req, res) => {
+  const startTime = Date.now();
+  const { ConversationID, OriginatorConversationID, ResultCode, ResultDesc } = req.body?.Result || {};
 
-    if (originalPayment.refundAmount >= originalPayment.amount) {
-      originalPayment.status = 'refunded';
-      originalPayment.refundedAt = new Date();
-    } else {
-      originalPayment.status = 'partially_refunded';
+  try {
+    console.log('M-Pesa timeout callback:', JSON.stringify(req.body, null, 2));
+
+    const refund = await applyB2CTimeout(req.body);
+    if (refund) {
+      console.log(`Refund ${refund._id} timed out in the M-Pesa queue; its status will be queried`);
     }
 
-    await originalPayment.save();
+    await logTransaction('CALLBACK_RECEIVED', {
+      transactionId: ConversationID || OriginatorConversationID || `timeout-${Date.now()}`,
+      request: req.body,
+      response: refund ? { refundId: refund._id, status: refund.status } : { ignored: true },
+      statusCode: 200,
+      duration: Date.now() - startTime,
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      mpesaRequestId: OriginatorConversationID,
+      mpesaResponseCode: ResultCode?.toString(),
+      mpesaResponseDescription: ResultDesc
+    }, refund?.paymentId);
+  } catch (error) {
+    console.error('M-Pesa timeout callback error:', error);
+  }
+
+  res.status(200).json({ success: true });
+};
+
+// Transaction Status result for a refund payout that sent no B2C result
+const handleB2CStatusResult = async (req, res) => {
+  const startTime = Date.now();
 
-    // Log B2C transaction
-    await logTransaction('B2C_PAYMENT', {
-      transactionId: b2cResponse.conversationID,
-      request: refundPayment.mpesaDetails.requestPayload,
-      response: b2cResponse,
+  try {
+    console.log('B2C status result received:', JSON.stringify(req.body, null, 2));
+
+    const refund = await applyPayoutStatusResult(req.body);
+    const { ConversationID, OriginatorConversationID, ResultCode, ResultDesc } = req.body.Result || {};
+
+    await logTransaction('CALLBACK_RECEIVED', {
+      transactionId: ConversationID || `b2c-status-${Date.now()}`,
+      request: req.body,
+      response: refund ? { refundId: refund._id, status: refund.status } : { ignored: true },
       statusCode: 200,
       duration: Date.now() - startTime,
       success: true,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      mpesaRequestId: b2cResponse.originatorConversationID,
-      mpesaResponseCode: b2cResponse.responseCode,
-      mpesaResponseDescription: b2cResponse.responseDescription
-    }, refundPayment._id, req.user._id);
+      mpesaRequestId: OriginatorConversationID,
+      mpesaResponseCode: ResultCode?.toString(),
+      mpesaResponseDescription: ResultDesc
+    }, refund?.paymentId);
 
-    res.status(200).json({
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
+
+  } catch (error) {
+    console.error('B2C status result error:', error);
+
+    await logTransaction('CALLBACK_RECEIVED', {
+      transactionId: `b2c-status-failed-${Date.now()}`,
+      request: req.body,
+      response: null,
+      statusCode: 500,
+      duration: Date.now() - startTime,
+      success: false,
+      error: { message: error.message, code: error.code },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Error processing transaction status result'
+    });
+  }
+};
+
+// Register the Paybill/Till validation and confirmation URLs with Safaricom (admin only)
+const registerC2BUrls = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const response = await mpesaService.registerC2BUrls();
+
+    await logTransaction('C2B_REGISTER_URL', {
+      transactionId: response.originatorConversationID || `c2b-register-${Date.now()}`,
+      request: response.request,
+      response,
+      statusCode: 200,
+      duration: Date.now() - startTime,
       success: true,
-      message: 'Refund initiated successfully',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      mpesaResponseCode: response.responseCode,
+      mpesaResponseDescription: response.responseDescription
+    }, null, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'C2B URLs registered successfully',
       data: {
-        refundPaymentId: refundPayment._id,
-        conversationID: b2cResponse.conversationID,
-        originatorConversationID: b2cResponse.originatorConversationID,
-        amount: refundPayment.formattedAmount,
-        phoneNumber: refundPayment.formattedPhoneNumber
+        shortCode: mpesaService.getC2BShortcode(),
+        responseDescription: response.responseDescription
       }
     });
 
   } catch (error) {
-    console.error('Refund initiation error:', error);
+    console.error('C2B URL registration error:', error);
 
-    // Log failed refund
-    await logTransaction('B2C_PAYMENT', {
-      transactionId: `refund-failed-${Date.now()}`,
-      request: req.body,
+    await logTransaction('C2B_REGISTER_URL', {
+      transactionId: `c2b-register-failed-${Date.now()}`,
+      request: { shortCode: mpesaService.getC2BShortcode() },
       response: null,
       statusCode: 500,
       duration: Date.now() - startTime,
@@ -605,106 +732,116 @@ const initiateRefund = async (req, res) => {
 
     res.status(500).json({
       success: false,
-      message: 'Failed to initiate refund',
+      message: 'Failed to register C2B URLs',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 };
 
-// Handle B2C callback
-const handleB2CCallback = async (req, res) => {
+// Accept or reject a Paybill payment before M-Pesa completes it
+const handleC2BValidation = async (req, res) => {
   const startTime = Date.now();
+  let result;
 
   try {
-    const callbackData = req.body;
-    console.log('B2C callback received:', JSON.stringify(callbackData, null, 2));
+    result = await validateC2BPayment(req.body);
+  } catch (error) {
+    // Don't bounce the client's money because of our own error; the confirmation lands in suspense
+    console.error('C2B validation error:', error);
+    result = { ResultCode: 0, ResultDesc: 'Accepted' };
+  }
 
-    // Validate callback data
-    const validatedCallback = mpesaService.validateCallbackData(callbackData);
+  await logTransaction('C2B_VALIDATION', {
+    transactionId: req.body.TransID || `c2b-validation-${Date.now()}`,
+    request: req.body,
+    response: result,
+    statusCode: 200,
+    duration: Date.now() - startTime,
+    success: result.ResultCode === 0,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    mpesaResponseCode: result.ResultCode.toString(),
+    mpesaResponseDescription: result.ResultDesc
+  });
+
+  res.status(200).json(result);
+};
 
-    if (validatedCallback.type !== 'B2C') {
-      throw new Error('Invalid callback type for B2C');
-    }
+// Record a Paybill confirmation and ask M-Pesa to verify it
+const handleC2BConfirmation = async (req, res) => {
+  const startTime = Date.now();
 
-    const {
-      conversationID,
-      originatorConversationID,
-      resultCode,
-      resultDesc,
-      resultParameters
-    } = validatedCallback;
+  try {
+    console.log('C2B confirmation received:', JSON.stringify(req.body, null, 2));
 
-    // Find refund payment by conversationID
-    const refundPayment = await Payment.findOne({
-      'mpesaDetails.conversationID': conversationID
-    });
+    const { receipt, payment, duplicate } = await processC2BConfirmation(req.body);
 
-    if (!refundPayment) {
-      console.error('Refund payment not found for conversationID:', conversationID);
-      return res.status(404).json({
-        success: false,
-        message: 'Refund payment record not found'
-      });
-    }
+    await logTransaction('C2B_CONFIRMATION', {
+      transactionId: receipt.transId,
+      request: req.body,
+      response: { status: receipt.status, matchedBy: receipt.matchedBy, duplicate },
+      statusCode: 200,
+      duration: Date.now() - startTime,
+      success: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, payment?._id || receipt.paymentId);
 
-    // Update refund payment with callback data
-    refundPayment.mpesaDetails.callbackPayload = callbackData;
-    refundPayment.mpesaDetails.callbackReceived = true;
-    refundPayment.mpesaDetails.callbackReceivedAt = new Date();
-    refundPayment.mpesaDetails.resultCode = resultCode;
-    refundPayment.mpesaDetails.resultDesc = resultDesc;
-
-    if (resultCode === 0) {
-      // Refund successful
-      if (resultParameters && resultParameters.ResultParameter) {
-        // Extract refund details from result parameters
-        const parameters = {};
-        resultParameters.ResultParameter.forEach(param => {
-          parameters[param.Key] = param.Value;
-        });
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
 
-        refundPayment.mpesaDetails.mpesaReceiptNumber = parameters.TransactionReceipt;
-        refundPayment.mpesaDetails.transactionDate = new Date();
-      }
+  } catch (error) {
+    console.error('C2B confirmation error:', error);
 
-      await refundPayment.markAsCompleted({
-        mpesaReceiptNumber: refundPayment.mpesaDetails.mpesaReceiptNumber,
-        transactionDate: refundPayment.mpesaDetails.transactionDate
-      });
+    await logTransaction('C2B_CONFIRMATION', {
+      transactionId: req.body?.TransID || `c2b-confirmation-failed-${Date.now()}`,
+      request: req.body,
+      response: null,
+      statusCode: error.statusCode || 500,
+      duration: Date.now() - startTime,
+      success: false,
+      error: { message: error.message, code: error.code },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-      console.log(`Refund ${refundPayment._id} completed successfully. Receipt: ${refundPayment.mpesaDetails.mpesaReceiptNumber}`);
-    } else {
-      // Refund failed
-      await refundPayment.markAsFailed(resultDesc, resultCode);
-      console.log(`Refund ${refundPayment._id} failed. Code: ${resultCode}, Desc: ${resultDesc}`);
-    }
+    res.status(error.statusCode || 500).json({
+      ResultCode: 1,
+      ResultDesc: 'Error processing confirmation'
+    });
+  }
+};
+
+// Transaction Status result for a Paybill receipt; verified receipts are matched and paid
+const handleC2BStatusResult = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    console.log('Transaction status result received:', JSON.stringify(req.body, null, 2));
+
+    const outcome = await applyVerificationResult(req.body);
+    const { ConversationID, OriginatorConversationID, ResultCode, ResultDesc } = req.body.Result || {};
 
-    // Log callback transaction
     await logTransaction('CALLBACK_RECEIVED', {
-      transactionId: conversationID,
-      request: callbackData,
-      response: { success: true },
+      transactionId: outcome?.receipt.transId || ConversationID || `c2b-status-${Date.now()}`,
+      request: req.body,
+      response: outcome ? { status: outcome.receipt.status } : { ignored: true },
       statusCode: 200,
       duration: Date.now() - startTime,
       success: true,
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      mpesaRequestId: originatorConversationID,
-      mpesaResponseCode: resultCode.toString(),
-      mpesaResponseDescription: resultDesc
-    }, refundPayment._id);
+      mpesaRequestId: OriginatorConversationID,
+      mpesaResponseCode: ResultCode?.toString(),
+      mpesaResponseDescription: ResultDesc
+    }, outcome?.payment?._id);
 
-    res.status(200).json({
-      success: true,
-      message: 'B2C callback processed successfully'
-    });
+    res.status(200).json({ ResultCode: 0, ResultDesc: 'Success' });
 
   } catch (error) {
-    console.error('B2C callback error:', error);
+    console.error('Transaction status result error:', error);
 
-    // Log failed callback
     await logTransaction('CALLBACK_RECEIVED', {
-      transactionId: `b2c-callback-failed-${Date.now()}`,
+      transactionId: `c2b-status-failed-${Date.now()}`,
       request: req.body,
       response: null,
       statusCode: 500,
@@ -715,9 +852,106 @@ const handleB2CCallback = async (req, res) => {
       userAgent: req.get('User-Agent')
     });
 
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Error processing transaction status result'
+    });
+  }
+};
+
+// List Paybill receipts, by default those waiting in suspense (admin only)
+const getC2BReceipts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'suspense', search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (search) {
+      const pattern = escapeRegExp(search);
+      query.$or = [
+        { transId: { $regex: pattern, $options: 'i' } },
+        { accountReference: { $regex: pattern, $options: 'i' } },
+        { phoneNumber: { $regex: pattern, $options: 'i' } },
+        { payerName: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [receipts, total] = await Promise.all([
+      MpesaReceipt.find(query)
+        .select('-rawPayload')
+        .populate('clientId', 'firstName lastName')
+        .populate('caseId', 'caseNumber title')
+        .populate('invoiceId', 'invoiceNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      MpesaReceipt.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      receipts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching C2B receipts:', error);
     res.status(500).json({
       success: false,
-      message: 'Error processing B2C callback',
+      message: 'Failed to fetch Paybill receipts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Allocate a Paybill receipt out of suspense to a case, invoice or client (admin only)
+const allocateC2BReceipt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const receipt = await MpesaReceipt.findById(req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    const { receipt: allocated, payment } = await allocateReceipt(receipt, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: `Receipt ${allocated.transId} allocated`,
+      data: {
+        receipt: allocated,
+        payment: payment.summary
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('C2B allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to allocate receipt',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -790,12 +1024,21 @@ module.exports = {
   getPayments,
   queryPaymentStatus,
 
-  // Refunds
-  initiateRefund,
-
   // Callbacks
   handleSTKCallback,
   handleB2CCallback,
+  handleMpesaTimeout,
+  handleB2CStatusResult,
+
+  // Paybill/Till (C2B)
+  registerC2BUrls,
+  handleC2BValidation,
+  handleC2BConfirmation,
+  handleC2BStatusResult,
+  verifyC2BCallbackToken,
+  getC2BReceipts,
+  allocateC2BReceipt,
+  validateC2BAllocation,
 
   // Analytics
   getTransactionAnalytics,
@@ -0,0 +1,217 @@
+// Instalment payment plan controller for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const PaymentPlan = require('../models/PaymentPlan');
+const Case = require('../models/Case');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const {
+  createPaymentPlan,
+  requestDueInstalments,
+  payInstalmentNow,
+  cancelPaymentPlan
+} = require('../utils/paymentPlans');
+
+const handlePlanError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  // Schedule and plan state violations carry their own status
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Payment plan error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Clients see their own plans; staff see plans on the cases they can see.
+// Plans outlive the matter, so archived cases stay in scope.
+const buildPlanScope = async (user) => {
+  if (user.role === 'client') {
+    return { clientId: user._id };
+  }
+
+  const caseQuery = buildCaseAccessQuery(user);
+  if (!caseQuery) return null;
+  delete caseQuery.isArchived;
+  if (!caseQuery.assignedTo) return {};
+
+  const caseIds = await Case.find(caseQuery).distinct('_id');
+  return { caseId: { $in: caseIds } };
+};
+
+const findAccessiblePlan = async (user, planId) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) return null;
+  const scope = await buildPlanScope(user);
+  if (!scope) return null;
+  return PaymentPlan.findOne({ ...scope, _id: planId });
+};
+
+const populatePlan = (query) => query
+  .populate('clientId', 'firstName lastName email phone')
+  .populate('caseId', 'caseNumber title')
+  .populate('invoiceId', 'invoiceNumber total balance status');
+
+// @desc    Set up an instalment plan for a case fee or invoice
+// @route   POST /api/payment-plans
+// @access  Private (Admin/Advocate)
+const createPlan = async (req, res) => {
+  try {
+    const plan = await createPaymentPlan(req.body, req.user);
+
+    // A deposit due today goes out now rather than on the next sweep
+    await requestDueInstalments(plan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment plan created',
+      data: await populatePlan(PaymentPlan.findById(plan._id))
+    });
+  } catch (error) {
+    return handlePlanError(res, error, 'creating the payment plan');
+  }
+};
+
+// @desc    List payment plans (filtered by user role)
+// @route   GET /api/payment-plans
+// @access  Private
+const getPlans = async (req, res) => {
+  try {
+    const scope = await buildPlanScope(req.user);
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view payment plans'
+      });
+    }
+
+    const { status, caseId, invoiceId, clientId } = req.query;
+    const query = { ...scope };
+    if (status) query.status = status;
+    if (invoiceId && mongoose.Types.ObjectId.isValid(invoiceId)) query.invoiceId = invoiceId;
+    if (clientId && req.user.role !== 'client' && mongoose.Types.ObjectId.isValid(clientId)) {
+      query.clientId = clientId;
+    }
+    if (caseId && mongoose.Types.ObjectId.isValid(caseId)) {
+      query.$and = [{ caseId }];
+    }
+
+    const plans = await populatePlan(PaymentPlan.find(query)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (error) {
+    return handlePlanError(res, error, 'fetching payment plans');
+  }
+};
+
+// @desc    Get a payment plan with its instalments
+// @route   GET /api/payment-plans/:id
+// @access  Private
+const getPlan = async (req, res) => {
+  try {
+    const plan = await findAccessiblePlan(req.user, req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment plan not found'
+      });
+    }
+
+    await plan.populate([
+      { path: 'clientId', select: 'firstName lastName email phone' },
+      { path: 'caseId', select: 'caseNumber title' },
+      { path: 'invoiceId', select: 'invoiceNumber total balance status' },
+      { path: 'instalments.paymentId', select: 'status amount completedAt mpesaDetails.mpesaReceiptNumber' }
+    ]);
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    return handlePlanError(res, error, 'fetching the payment plan');
+  }
+};
+
+// @desc    Pay an instalment now by STK push
+// @route   POST /api/payment-plans/:id/instalments/:number/pay
+// @access  Private
+const payInstalment = async (req, res) => {
+  try {
+    const plan = await findAccessiblePlan(req.user, req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment plan not found'
+      });
+    }
+
+    const { payment, instalment } = await payInstalmentNow(plan, req.params.number, {
+      phoneNumber: req.body.phoneNumber,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'STK Push initiated successfully',
+      data: {
+        paymentId: payment._id,
+        checkoutRequestID: payment.mpesaDetails.checkoutRequestID,
+        amount: payment.formattedAmount,
+        phoneNumber: payment.formattedPhoneNumber,
+        instalment
+      }
+    });
+  } catch (error) {
+    return handlePlanError(res, error, 'requesting the instalment');
+  }
+};
+
+// @desc    Cancel a payment plan; unpaid instalments are cancelled
+// @route   POST /api/payment-plans/:id/cancel
+// @access  Private (Admin/Advocate)
+const cancelPlan = async (req, res) => {
+  try {
+    const plan = await findAccessiblePlan(req.user, req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment plan not found'
+      });
+    }
+
+    await cancelPaymentPlan(plan, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Payment plan cancelled',
+      data: plan
+    });
+  } catch (error) {
+    return handlePlanError(res, error, 'cancelling the payment plan');
+  }
+};
+
+module.exports = {
+  createPlan,
+  getPlans,
+  getPlan,
+  payInstalment,
+  cancelPlan
+};
@@ -0,0 +1,171 @@
+// Refund request controller for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const Refund = require('../models/Refund');
+const { requestRefund, approveRefund, rejectRefund } = require('../utils/refunds');
+
+const handleRefundError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  // Approval chain and refundable amount violations carry their own status
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Refund error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const findRefund = (id) => mongoose.Types.ObjectId.isValid(id) ? Refund.findById(id) : null;
+
+const refundMessage = (refund) => ({
+  requested: `Refund requested; ${refund.approvalsRemaining} more approval needed`,
+  disbursing: 'Refund approved and sent to M-Pesa',
+  failed: 'Refund approved but the M-Pesa payout failed'
+}[refund.status] || `Refund ${refund.status}`);
+
+// @desc    Request a refund of a completed payment
+// @route   POST /api/payments/:paymentId/refund
+// @access  Private (Admin)
+const createRefund = async (req, res) => {
+  try {
+    const refund = await requestRefund(req.params.paymentId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: refundMessage(refund),
+      data: refund
+    });
+  } catch (error) {
+    return handleRefundError(res, error, 'requesting the refund');
+  }
+};
+
+// @desc    List refunds, optionally by status or payment
+// @route   GET /api/refunds
+// @access  Private (Admin)
+const getRefunds = async (req, res) => {
+  try {
+    const { status, paymentId } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (paymentId && mongoose.Types.ObjectId.isValid(paymentId)) query.paymentId = paymentId;
+
+    const refunds = await Refund.find(query)
+      .populate('clientId', 'firstName lastName email')
+      .populate('paymentId', 'amount currency status refundAmount mpesaDetails.mpesaReceiptNumber')
+      .populate('requestedBy', 'firstName lastName')
+      .populate('approvals.userId', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      count: refunds.length,
+      data: refunds
+    });
+  } catch (error) {
+    return handleRefundError(res, error, 'fetching refunds');
+  }
+};
+
+// @desc    Get a refund with its approvals and payout result
+// @route   GET /api/refunds/:id
+// @access  Private (Admin)
+const getRefund = async (req, res) => {
+  try {
+    const refund = await findRefund(req.params.id);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    await refund.populate([
+      { path: 'clientId', select: 'firstName lastName email phone' },
+      { path: 'paymentId', select: 'amount currency status refundAmount refundPending mpesaDetails.mpesaReceiptNumber' },
+      { path: 'requestedBy', select: 'firstName lastName' },
+      { path: 'approvals.userId', select: 'firstName lastName' },
+      { path: 'rejectedBy', select: 'firstName lastName' }
+    ]);
+
+    res.json({
+      success: true,
+      data: refund
+    });
+  } catch (error) {
+    return handleRefundError(res, error, 'fetching the refund');
+  }
+};
+
+// @desc    Approve a refund request; the final approval sends the payout
+// @route   POST /api/refunds/:id/approve
+// @access  Private (Admin)
+const approve = async (req, res) => {
+  try {
+    const refund = await findRefund(req.params.id);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    const updated = await approveRefund(refund, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: refundMessage(updated),
+      data: updated
+    });
+  } catch (error) {
+    return handleRefundError(res, error, 'approving the refund');
+  }
+};
+
+// @desc    Reject a refund request
+// @route   POST /api/refunds/:id/reject
+// @access  Private (Admin)
+const reject = async (req, res) => {
+  try {
+    const refund = await findRefund(req.params.id);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    const rejected = await rejectRefund(refund, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Refund rejected',
+      data: rejected
+    });
+  } catch (error) {
+    return handleRefundError(res, error, 'rejecting the refund');
+  }
+};
+
+module.exports = {
+  createRefund,
+  getRefunds,
+  getRefund,
+  approve,
+  reject
+};
@@ -0,0 +1,200 @@
+// Meeting room and equipment controller for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const Appointment = require('../models/Appointment');
+
+const RESOURCE_FIELDS = ['name', 'type', 'description', 'capacity', 'location', 'isActive'];
+const MAX_SCHEDULE_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const handleResourceError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: errors[0] || 'Validation error',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A resource with that name already exists'
+    });
+  }
+
+  console.error(`Resource error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Resolve the resource from the route, answering the request when it is invalid
+const loadResource = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid resource ID format'
+    });
+    return null;
+  }
+
+  const resource = await Resource.findById(req.params.id);
+  if (!resource) {
+    res.status(404).json({
+      success: false,
+      message: 'Resource not found'
+    });
+    return null;
+  }
+
+  return resource;
+};
+
+// @desc    List bookable rooms and equipment
+// @route   GET /api/resources
+// @access  Private (All authenticated users; staff can include retired resources)
+const getResources = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.user.role === 'client' || req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    const resources = await Resource.find(filter).sort({ type: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: resources.length,
+      data: resources
+    });
+  } catch (error) {
+    handleResourceError(res, error, 'fetching resources');
+  }
+};
+
+// @desc    Add a meeting room or piece of equipment
+// @route   POST /api/resources
+// @access  Private (Admin/Advocate)
+const createResource = async (req, res) => {
+  try {
+    const fields = {};
+    RESOURCE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const resource = await Resource.create({ ...fields, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Resource added',
+      data: resource
+    });
+  } catch (error) {
+    handleResourceError(res, error, 'adding resource');
+  }
+};
+
+// @desc    Update a resource, or retire/restore it with isActive
+// @route   PUT /api/resources/:id
+// @access  Private (Admin/Advocate)
+const updateResource = async (req, res) => {
+  try {
+    const resource = await loadResource(req, res);
+    if (!resource) return;
+
+    RESOURCE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) resource[field] = req.body[field];
+    });
+    await resource.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Resource updated',
+      data: resource
+    });
+  } catch (error) {
+    handleResourceError(res, error, 'updating resource');
+  }
+};
+
+// @desc    Retire a resource; existing bookings keep it, new ones can't choose it
+// @route   DELETE /api/resources/:id
+// @access  Private (Admin/Advocate)
+const deactivateResource = async (req, res) => {
+  try {
+    const resource = await loadResource(req, res);
+    if (!resource) return;
+
+    resource.isActive = false;
+    await resource.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Resource retired',
+      data: resource
+    });
+  } catch (error) {
+    handleResourceError(res, error, 'retiring resource');
+  }
+};
+
+// @desc    Get a resource's bookings between two dates
+// @route   GET /api/resources/:id/schedule
+// @access  Private (All authenticated users; clients see times only)
+const getResourceSchedule = async (req, res) => {
+  try {
+    const resource = await loadResource(req, res);
+    if (!resource) return;
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * DAY_MS);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    if (to - from > MAX_SCHEDULE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_SCHEDULE_DAYS} days`
+      });
+    }
+
+    const query = Appointment.find({
+      resources: resource._id,
+      status: { $in: ['scheduled', 'confirmed', 'in_progress'] },
+      startDateTime: { $lt: to },
+      endDateTime: { $gt: from }
+    }).sort({ startDateTime: 1 });
+
+    const bookings = req.user.role === 'client'
+      ? await query.select('startDateTime endDateTime')
+      : await query.populate('advocateId', 'firstName lastName').select('title startDateTime endDateTime advocateId');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resource,
+        from,
+        to,
+        bookings
+      }
+    });
+  } catch (error) {
+    handleResourceError(res, error, 'fetching resource schedule');
+  }
+};
+
+module.exports = {
+  getResources,
+  createResource,
+  updateResource,
+  deactivateResource,
+  getResourceSchedule
+};
@@ -0,0 +1,202 @@
+// Bank and M-Pesa statement reconciliation controller for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const StatementImport = require('../models/StatementImport');
+const {
+  importStatement,
+  confirmStatementLine,
+  rejectStatementLine
+} = require('../utils/statementImport');
+
+const PAYMENT_FIELDS = 'amount status method paymentType clientId caseId invoiceId transactionId completedAt createdAt mpesaDetails.mpesaReceiptNumber mpesaDetails.phoneNumber reconciliation';
+
+const handleStatementError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  // Unreadable files and review conflicts carry their own status
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Statement reconciliation error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const findStatement = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return StatementImport.findById(id);
+};
+
+// Line counts without shipping every line in a list view
+const toListItem = (statement) => {
+  const { lines, ...rest } = statement.toJSON();
+  return rest;
+};
+
+// @desc    Upload a bank or M-Pesa statement and match its lines to payments
+// @route   POST /api/statements
+// @access  Private (Admin)
+const uploadStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attach the statement file as "statement"'
+      });
+    }
+
+    const statement = await importStatement(req.file, req.body.source, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Statement imported',
+      data: statement
+    });
+  } catch (error) {
+    return handleStatementError(res, error, 'importing the statement');
+  }
+};
+
+// @desc    List imported statements, newest first
+// @route   GET /api/statements
+// @access  Private (Admin)
+const getStatements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, source } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (source) query.source = source;
+
+    const [statements, total] = await Promise.all([
+      StatementImport.find(query)
+        .select('-lines.raw')
+        .populate('uploadedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StatementImport.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: statements.map(toListItem),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    return handleStatementError(res, error, 'fetching statements');
+  }
+};
+
+// @desc    Get an imported statement with its lines and matched payments
+// @route   GET /api/statements/:id
+// @access  Private (Admin)
+const getStatement = async (req, res) => {
+  try {
+    const query = findStatement(req.params.id);
+    const statement = query && await query
+      .populate('uploadedBy', 'firstName lastName')
+      .populate('lines.reviewedBy', 'firstName lastName')
+      .populate({
+        path: 'lines.paymentId',
+        select: PAYMENT_FIELDS,
+        populate: { path: 'clientId', select: 'firstName lastName' }
+      });
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    return handleStatementError(res, error, 'fetching the statement');
+  }
+};
+
+// Load the statement for a review action, or answer 404
+const loadForReview = async (req, res) => {
+  const statement = await findStatement(req.params.id);
+  if (!statement) {
+    res.status(404).json({
+      success: false,
+      message: 'Statement not found'
+    });
+  }
+  return statement;
+};
+
+// @desc    Confirm a statement line against its payment (or one the admin picks)
+// @route   POST /api/statements/:id/lines/:lineId/confirm
+// @access  Private (Admin)
+const confirmLine = async (req, res) => {
+  try {
+    const statement = await loadForReview(req, res);
+    if (!statement) return;
+
+    const { line, payment } = await confirmStatementLine(statement, req.params.lineId, {
+      paymentId: req.body.paymentId,
+      note: req.body.note
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Statement line confirmed',
+      data: { line, payment }
+    });
+  } catch (error) {
+    return handleStatementError(res, error, 'confirming the statement line');
+  }
+};
+
+// @desc    Reject a statement line's suggested match
+// @route   POST /api/statements/:id/lines/:lineId/reject
+// @access  Private (Admin)
+const rejectLine = async (req, res) => {
+  try {
+    const statement = await loadForReview(req, res);
+    if (!statement) return;
+
+    const { line } = await rejectStatementLine(statement, req.params.lineId, { note: req.body.note }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Statement line rejected',
+      data: { line }
+    });
+  } catch (error) {
+    return handleStatementError(res, error, 'rejecting the statement line');
+  }
+};
+
+module.exports = {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  confirmLine,
+  rejectLine
+};
@@ -0,0 +1,434 @@
+// Case task controller for LegalPro v1.0.1
+const Task = require('../models/Task');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const { notifyTaskAssigned } = require('../utils/taskUtils');
+
+const TASK_FIELDS = ['title', 'description', 'assignedTo', 'dueDate', 'status', 'priority'];
+
+const TASK_POPULATE = [
+  { path: 'assignedTo', select: 'firstName lastName email' },
+  { path: 'createdBy', select: 'firstName lastName' },
+  { path: 'comments.author', select: 'firstName lastName' }
+];
+
+const findAccessibleCase = async (user, caseId) => {
+  const query = buildCaseAccessQuery(user, caseId);
+  if (!query) return null;
+  return Case.findOne(query);
+};
+
+// Tasks go to staff who can work on cases
+const findAssignee = async (assigneeId) => {
+  if (!mongoose.Types.ObjectId.isValid(assigneeId)) return null;
+  const assignee = await User.findById(assigneeId).select('firstName lastName email phone role isActive');
+  if (!assignee || !['admin', 'advocate'].includes(assignee.role) || assignee.isActive === false) {
+    return null;
+  }
+  return assignee;
+};
+
+// The creator, the assignee and advocates may change a task
+const canModifyTask = (user, task) => {
+  const userId = user._id.toString();
+  return user.role === 'advocate' ||
+    task.createdBy?.toString() === userId ||
+    task.assignedTo?.toString() === userId;
+};
+
+const handleTaskError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: errors[0] || 'Validation error',
+      errors
+    });
+  }
+
+  if (error.code === 'CHECKLIST_ITEM_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Task error while ${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${message}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Resolve the case and task from the route, answering the request when either is missing
+const loadCaseTask = async (req, res) => {
+  const { id, taskId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(taskId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid ID format'
+    });
+    return null;
+  }
+
+  const case_item = await findAccessibleCase(req.user, id);
+  if (!case_item) {
+    res.status(404).json({
+      success: false,
+      message: 'Case not found or access denied'
+    });
+    return null;
+  }
+
+  const task = await Task.findOne({ _id: taskId, caseId: case_item._id });
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  return { case_item, task };
+};
+
+// @desc    Get case tasks
+// @route   GET /api/cases/:id/tasks
+// @access  Private (Admin/Advocate)
+const getCaseTasks = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const query = { caseId: case_item._id };
+    if (req.query.status) {
+      query.status = { $in: req.query.status.split(',') };
+    }
+    if (req.query.assignedTo && mongoose.Types.ObjectId.isValid(req.query.assignedTo)) {
+      query.assignedTo = req.query.assignedTo;
+    }
+
+    const tasks = await Task.find(query)
+      .populate(TASK_POPULATE)
+      .sort({ dueDate: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'fetching tasks');
+  }
+};
+
+// @desc    Create case task
+// @route   POST /api/cases/:id/tasks
+// @access  Private (Admin/Advocate)
+const createTask = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const { title, description, assignedTo, dueDate, priority, checklist } = req.body;
+
+    let assignee = null;
+    if (assignedTo) {
+      assignee = await findAssignee(assignedTo);
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tasks can only be assigned to active advocates or admins'
+        });
+      }
+    }
+
+    const task = await Task.create({
+      caseId: case_item._id,
+      title,
+      description,
+      assignedTo: assignee?._id,
+      dueDate,
+      priority,
+      checklist: (checklist || []).map(item => ({ text: typeof item === 'string' ? item : item.text })),
+      createdBy: req.user._id
+    });
+
+    await case_item.addTimelineEvent(
+      'task_created',
+      `Task "${task.title}" created${assignee ? ` for ${assignee.firstName} ${assignee.lastName}` : ''}`,
+      req.user._id,
+      { taskId: task._id, assignedTo: assignee?._id, dueDate: task.dueDate }
+    );
+
+    await notifyTaskAssigned(task, case_item, assignee, req.user);
+    await task.populate(TASK_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      data: task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'creating task');
+  }
+};
+
+// @desc    Get single case task
+// @route   GET /api/cases/:id/tasks/:taskId
+// @access  Private (Admin/Advocate)
+const getTask = async (req, res) => {
+  try {
+    const loaded = await loadCaseTask(req, res);
+    if (!loaded) return;
+
+    await loaded.task.populate(TASK_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      data: loaded.task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'fetching task');
+  }
+};
+
+// @desc    Update case task
+// @route   PUT /api/cases/:id/tasks/:taskId
+// @access  Private (Admin/Advocate)
+const updateTask = async (req, res) => {
+  try {
+    const loaded = await loadCaseTask(req, res);
+    if (!loaded) return;
+    const { case_item, task } = loaded;
+
+    if (!canModifyTask(req.user, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the task creator, assignee or an advocate can update this task'
+      });
+    }
+
+    let assignee = null;
+    const reassigned = req.body.assignedTo !== undefined &&
+      String(req.body.assignedTo || '') !== String(task.assignedTo || '');
+    if (reassigned && req.body.assignedTo) {
+      assignee = await findAssignee(req.body.assignedTo);
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tasks can only be assigned to active advocates or admins'
+        });
+      }
+    }
+
+    const previousStatus = task.status;
+    TASK_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        task[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+
+    // New checklist items are appended; existing ones are ticked via the checklist route
+    if (Array.isArray(req.body.addChecklistItems)) {
+      req.body.addChecklistItems.forEach(text => task.checklist.push({ text }));
+    }
+
+    if (task.status === 'completed' && previousStatus !== 'completed') {
+      task.completedBy = req.user._id;
+    }
+
+    await task.save();
+
+    if (task.status !== previousStatus && ['completed', 'cancelled'].includes(task.status)) {
+      await case_item.addTimelineEvent(
+        `task_${task.status}`,
+        `Task "${task.title}" ${task.status}`,
+        req.user._id,
+        { taskId: task._id }
+      );
+    }
+
+    if (assignee) {
+      await notifyTaskAssigned(task, case_item, assignee, req.user);
+    }
+
+    await task.populate(TASK_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task updated successfully',
+      data: task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'updating task');
+  }
+};
+
+// @desc    Tick or untick a task checklist item
+// @route   PUT /api/cases/:id/tasks/:taskId/checklist/:itemId
+// @access  Private (Admin/Advocate)
+const updateTaskChecklistItem = async (req, res) => {
+  try {
+    const loaded = await loadCaseTask(req, res);
+    if (!loaded) return;
+    const { task } = loaded;
+
+    if (!canModifyTask(req.user, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the task creator, assignee or an advocate can update this task'
+      });
+    }
+
+    await task.setChecklistItem(req.params.itemId, req.body.isDone, req.user._id);
+    await task.populate(TASK_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist updated',
+      data: task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'updating task checklist');
+  }
+};
+
+// @desc    Comment on a case task
+// @route   POST /api/cases/:id/tasks/:taskId/comments
+// @access  Private (Admin/Advocate)
+const addTaskComment = async (req, res) => {
+  try {
+    const loaded = await loadCaseTask(req, res);
+    if (!loaded) return;
+    const { task } = loaded;
+
+    await task.addComment(req.body.content, req.user._id);
+    await task.populate(TASK_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: task
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'adding task comment');
+  }
+};
+
+// @desc    Delete case task
+// @route   DELETE /api/cases/:id/tasks/:taskId
+// @access  Private (Admin/Advocate)
+const deleteTask = async (req, res) => {
+  try {
+    const loaded = await loadCaseTask(req, res);
+    if (!loaded) return;
+    const { case_item, task } = loaded;
+
+    // Assignees close tasks by completing or cancelling them, not by deleting
+    if (req.user.role !== 'advocate' && task.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the task creator or an advocate can delete this task'
+      });
+    }
+
+    await task.deleteOne();
+    await case_item.addTimelineEvent(
+      'task_deleted',
+      `Task "${task.title}" deleted`,
+      req.user._id,
+      { taskId: task._id }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Task deleted successfully'
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'deleting task');
+  }
+};
+
+// @desc    Get tasks assigned to the current user across cases
+// @route   GET /api/tasks/mine
+// @access  Private (Admin/Advocate)
+const getMyTasks = async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? req.query.status.split(',')
+      : Task.ACTIVE_TASK_STATUSES;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const query = { assignedTo: req.user._id, status: { $in: statuses } };
+    if (req.query.due === 'overdue') {
+      query.dueDate = { $lt: new Date() };
+    } else if (req.query.due === 'week') {
+      query.dueDate = { $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) };
+    }
+
+    const [tasks, overdue] = await Promise.all([
+      Task.find(query)
+        .populate('caseId', 'caseNumber title isArchived')
+        .populate('createdBy', 'firstName lastName'),
+      Task.countDocuments({
+        assignedTo: req.user._id,
+        status: { $in: Task.ACTIVE_TASK_STATUSES },
+        dueDate: { $lt: new Date() }
+      })
+    ]);
+
+    // Soonest due first; undated tasks after everything with a date
+    const data = tasks
+      .filter(task => task.caseId && !task.caseId.isArchived)
+      .sort((a, b) => (a.dueDate || Infinity) - (b.dueDate || Infinity) || a.createdAt - b.createdAt)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      overdue,
+      data
+    });
+  } catch (error) {
+    handleTaskError(res, error, 'fetching your tasks');
+  }
+};
+
+module.exports = {
+  getCaseTasks,
+  createTask,
+  getTask,
+  updateTask,
+  updateTaskChecklistItem,
+  addTaskComment,
+  deleteTask,
+  getMyTasks
+};
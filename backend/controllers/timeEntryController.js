@@ -0,0 +1,379 @@
+// Case time entry controller for LegalPro v1.0.1
+const TimeEntry = require('../models/TimeEntry');
+const Case = require('../models/Case');
+const mongoose = require('mongoose');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const { activityCodes, billingConfig } = require('../config/billingConfig');
+
+const findAccessibleCase = async (user, caseId) => {
+  const query = buildCaseAccessQuery(user, caseId);
+  if (!query) return null;
+  return Case.findOne(query).select('_id caseNumber title');
+};
+
+// Only the person who logged the time, or an advocate, may change an entry
+const canModifyEntry = (user, entry) => {
+  return user.role === 'advocate' || entry.advocateId.toString() === user._id.toString();
+};
+
+const handleEntryError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: errors[0] || 'Validation error',
+      errors
+    });
+  }
+
+  console.error(`Time entry error while ${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${message}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get case time entries with totals
+// @route   GET /api/cases/:id/time-entries
+// @access  Private (Admin/Advocate)
+const getTimeEntries = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const query = { caseId: case_item._id };
+    if (req.query.advocateId && mongoose.Types.ObjectId.isValid(req.query.advocateId)) {
+      query.advocateId = req.query.advocateId;
+    }
+    if (req.query.billable === 'true' || req.query.billable === 'false') {
+      query.billable = req.query.billable === 'true';
+    }
+
+    const [entries, totals] = await Promise.all([
+      TimeEntry.find(query)
+        .populate('advocateId', 'firstName lastName')
+        .sort({ workDate: -1, createdAt: -1 }),
+      TimeEntry.getTotals({ caseId: case_item._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      totals,
+      runningTimer: entries.find(entry =>
+        entry.isRunning && entry.advocateId?._id?.toString() === req.user._id.toString()
+      ) || null
+    });
+  } catch (error) {
+    handleEntryError(res, error, 'fetching time entries');
+  }
+};
+
+// @desc    Add manual time entry
+// @route   POST /api/cases/:id/time-entries
+// @access  Private (Admin/Advocate)
+const createTimeEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const { activityCode, description, workDate, startTime, endTime, durationMinutes, billable, hourlyRate } = req.body;
+
+    if (!startTime && !durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a duration or a start and end time'
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      caseId: case_item._id,
+      advocateId: req.user._id,
+      activityCode,
+      description,
+      entryType: 'manual',
+      workDate: workDate || startTime || new Date(),
+      startTime,
+      endTime,
+      durationMinutes: startTime ? undefined : durationMinutes,
+      billable: billable !== undefined ? billable : activityCodes[activityCode]?.billable,
+      hourlyRate
+    });
+
+    await entry.populate('advocateId', 'firstName lastName');
+
+    res.status(201).json({
+      success: true,
+      message: 'Time entry added successfully',
+      data: entry
+    });
+  } catch (error) {
+    handleEntryError(res, error, 'adding time entry');
+  }
+};
+
+// @desc    Start a timer on a case
+// @route   POST /api/cases/:id/time-entries/start
+// @access  Private (Admin/Advocate)
+const startTimer = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const case_item = await findAccessibleCase(req.user, req.params.id);
+    if (!case_item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const running = await TimeEntry.findOne({ advocateId: req.user._id, isRunning: true })
+      .populate('caseId', 'caseNumber title');
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: `You already have a timer running on ${running.caseId?.caseNumber || 'another case'}`,
+        data: running
+      });
+    }
+
+    const { activityCode, description, billable, hourlyRate } = req.body;
+    const now = new Date();
+
+    const entry = await TimeEntry.create({
+      caseId: case_item._id,
+      advocateId: req.user._id,
+      activityCode,
+      description,
+      entryType: 'timer',
+      workDate: now,
+      startTime: now,
+      isRunning: true,
+      billable: billable !== undefined ? billable : activityCodes[activityCode]?.billable,
+      hourlyRate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: entry
+    });
+  } catch (error) {
+    // Unique index on running timers catches a start racing another start
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a timer running'
+      });
+    }
+    handleEntryError(res, error, 'starting timer');
+  }
+};
+
+// @desc    Stop a running timer
+// @route   PUT /api/cases/:id/time-entries/:entryId/stop
+// @access  Private (Admin/Advocate)
+const stopTimer = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, caseId: id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (!canModifyEntry(req.user, entry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only stop your own timers'
+      });
+    }
+
+    if (!entry.isRunning) {
+      return res.status(400).json({
+        success: false,
+        message: 'Timer is not running'
+      });
+    }
+
+    if (req.body.description !== undefined) {
+      entry.description = req.body.description;
+    }
+
+    // Timers under a minute still count as a minute of work
+    const now = new Date();
+    const endTime = now - entry.startTime < 60 * 1000 ? new Date(entry.startTime.getTime() + 60 * 1000) : now;
+    await entry.stopTimer(endTime);
+    await entry.populate('advocateId', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: entry
+    });
+  } catch (error) {
+    handleEntryError(res, error, 'stopping timer');
+  }
+};
+
+// @desc    Update time entry
+// @route   PUT /api/cases/:id/time-entries/:entryId
+// @access  Private (Admin/Advocate)
+const updateTimeEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, caseId: id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (!canModifyEntry(req.user, entry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own time entries'
+      });
+    }
+
+    const allowedFields = ['activityCode', 'description', 'workDate', 'billable', 'hourlyRate'];
+    if (!entry.isRunning) {
+      allowedFields.push('startTime', 'endTime', 'durationMinutes');
+    }
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        entry[field] = req.body[field];
+      }
+    });
+
+    // A changed duration replaces the recorded start/end times
+    if (req.body.durationMinutes !== undefined && req.body.startTime === undefined && !entry.isRunning) {
+      entry.startTime = undefined;
+      entry.endTime = undefined;
+    }
+
+    await entry.save();
+    await entry.populate('advocateId', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    handleEntryError(res, error, 'updating time entry');
+  }
+};
+
+// @desc    Delete time entry
+// @route   DELETE /api/cases/:id/time-entries/:entryId
+// @access  Private (Admin/Advocate)
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, caseId: id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (!canModifyEntry(req.user, entry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own time entries'
+      });
+    }
+
+    await entry.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    handleEntryError(res, error, 'deleting time entry');
+  }
+};
+
+// @desc    Get activity codes and billing defaults
+// @route   GET /api/cases/time-entries/activity-codes
+// @access  Private (Admin/Advocate)
+const getActivityCodes = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      activityCodes: Object.entries(activityCodes).map(([code, { label, billable }]) => ({ code, label, billable })),
+      currency: billingConfig.currency,
+      defaultHourlyRate: billingConfig.defaultHourlyRate,
+      billingIncrementMinutes: billingConfig.billingIncrementMinutes
+    }
+  });
+};
+
+module.exports = {
+  getTimeEntries,
+  createTimeEntry,
+  startTimer,
+  stopTimer,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getActivityCodes
+};
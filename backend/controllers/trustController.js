@@ -0,0 +1,304 @@
+// Client trust account controller for LegalPro v1.0.1
+const TrustAccount = require('../models/TrustAccount');
+const TrustTransaction = require('../models/TrustTransaction');
+const Case = require('../models/Case');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const mongoose = require('mongoose');
+const { buildCaseAccessQuery } = require('../utils/caseAccess');
+const {
+  creditPaymentToTrust,
+  transferToOffice,
+  recordDisbursement,
+  getCaseLedger,
+  buildReconciliationReport
+} = require('../utils/trustLedger');
+const { disbursementCategories } = require('../config/billingConfig');
+
+// Trust money outlives the matter, so archived cases stay in scope
+const buildTrustCaseScope = (user) => {
+  const query = buildCaseAccessQuery(user);
+  if (!query) return null;
+  delete query.isArchived;
+  return query;
+};
+
+const findAccessibleCase = (user, caseId) => {
+  const scope = buildTrustCaseScope(user);
+  if (!scope) return null;
+  return Case.findOne({ ...scope, _id: caseId });
+};
+
+const handleTrustError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  // Ledger rule violations (insufficient funds, double credit) carry their own status
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Trust ledger error while ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get client trust balances per case
+// @route   GET /api/trust/balances
+// @access  Private
+const getTrustBalances = async (req, res) => {
+  try {
+    const { caseId, clientId } = req.query;
+    const scope = buildTrustCaseScope(req.user);
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view trust balances'
+      });
+    }
+
+    const query = {};
+    if (req.user.role === 'client') {
+      query.clientId = req.user._id;
+    } else if (clientId && mongoose.Types.ObjectId.isValid(clientId)) {
+      query.clientId = clientId;
+    }
+
+    if (caseId) {
+      const caseItem = mongoose.Types.ObjectId.isValid(caseId) && await findAccessibleCase(req.user, caseId);
+      if (!caseItem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Case not found or access denied'
+        });
+      }
+      query.caseId = caseItem._id;
+    } else if (scope.assignedTo) {
+      // Admins without firm-wide access only see the matters assigned to them
+      query.caseId = { $in: await Case.find(scope).distinct('_id') };
+    }
+
+    const accounts = await TrustAccount.find(query)
+      .populate('clientId', 'firstName lastName email')
+      .populate('caseId', 'caseNumber title')
+      .sort({ updatedAt: -1 });
+
+    const totalHeld = Math.round(accounts.reduce((sum, account) => sum + account.balance, 0) * 100) / 100;
+
+    res.status(200).json({
+      success: true,
+      count: accounts.length,
+      totalHeld,
+      data: accounts
+    });
+  } catch (error) {
+    handleTrustError(res, error, 'fetching trust balances');
+  }
+};
+
+// @desc    Get trust ledger statement for a case
+// @route   GET /api/trust/cases/:caseId
+// @access  Private
+const getCaseTrustLedger = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.caseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case ID format'
+      });
+    }
+
+    const caseItem = await findAccessibleCase(req.user, req.params.caseId);
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const ledger = await getCaseLedger(caseItem._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        case: {
+          _id: caseItem._id,
+          caseNumber: caseItem.caseNumber,
+          title: caseItem.title
+        },
+        ...ledger
+      }
+    });
+  } catch (error) {
+    handleTrustError(res, error, 'fetching trust ledger');
+  }
+};
+
+// @desc    Credit a completed payment to the client's trust sub-ledger
+// @route   POST /api/trust/deposits
+// @access  Private (Admin/Advocate)
+const createTrustDeposit = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.body.paymentId);
+    if (!payment || !payment.caseId || !(await findAccessibleCase(req.user, payment.caseId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found, not linked to a case, or access denied'
+      });
+    }
+
+    const transaction = await creditPaymentToTrust(payment, {
+      userId: req.user._id,
+      description: req.body.description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment credited to client trust account',
+      data: transaction
+    });
+  } catch (error) {
+    handleTrustError(res, error, 'crediting deposit');
+  }
+};
+
+// @desc    Transfer earned fees from trust to office against an invoice
+// @route   POST /api/trust/transfers
+// @access  Private (Admin/Advocate)
+const createTrustTransfer = async (req, res) => {
+  try {
+    const { invoiceId, amount, description } = req.body;
+
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice || !(await findAccessibleCase(req.user, invoice.caseId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    const transaction = await transferToOffice(invoice, {
+      amount,
+      description,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Funds transferred to office account',
+      data: {
+        transaction,
+        invoice
+      }
+    });
+  } catch (error) {
+    handleTrustError(res, error, 'transferring funds to office');
+  }
+};
+
+// @desc    Record a disbursement paid out of trust
+// @route   POST /api/trust/disbursements
+// @access  Private (Admin/Advocate)
+const createTrustDisbursement = async (req, res) => {
+  try {
+    const { caseId, amount, category, payee, reference, description, transactionDate } = req.body;
+
+    const caseItem = await findAccessibleCase(req.user, caseId);
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found or access denied'
+      });
+    }
+
+    const transaction = await recordDisbursement({
+      clientId: caseItem.clientId,
+      caseId: caseItem._id,
+      amount,
+      category,
+      payee,
+      reference,
+      description,
+      transactionDate,
+      userId: req.user._id
+    });
+
+    await caseItem.addTimelineEvent(
+      'trust_disbursement',
+      `${disbursementCategories[category].label} of ${transaction.currency} ${transaction.amount.toLocaleString()} paid to ${payee} from client account`,
+      req.user._id,
+      { trustTransactionId: transaction._id, amount: transaction.amount }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Disbursement recorded',
+      data: transaction
+    });
+  } catch (error) {
+    handleTrustError(res, error, 'recording disbursement');
+  }
+};
+
+// @desc    Trust account reconciliation report
+// @route   GET /api/trust/reconciliation
+// @access  Private (Admin/Advocate)
+const getReconciliationReport = async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    if (asOf && isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be a valid date'
+      });
+    }
+
+    const report = await buildReconciliationReport({ asOf });
+    await TrustTransaction.populate(report.subLedgers, [
+      { path: 'clientId', select: 'firstName lastName', model: 'User' },
+      { path: 'caseId', select: 'caseNumber title', model: 'Case' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    handleTrustError(res, error, 'building reconciliation report');
+  }
+};
+
+// @desc    Get disbursement categories
+// @route   GET /api/trust/disbursement-categories
+// @access  Private (Admin/Advocate)
+const getDisbursementCategories = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(disbursementCategories).map(([code, category]) => ({
+      code,
+      label: category.label
+    }))
+  });
+};
+
+module.exports = {
+  getTrustBalances,
+  getCaseTrustLedger,
+  createTrustDeposit,
+  createTrustTransfer,
+  createTrustDisbursement,
+  getReconciliationReport,
+  getDisbursementCategories
+};
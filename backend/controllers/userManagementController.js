@@ -1,7 +1,9 @@
 // User Management Controller for LegalPro v1.0.1 - Advocate (Superuser) Functions
 const User = require('../models/User');
+const Case = require('../models/Case');
 const crypto = require('crypto');
 const { sendNotification } = require('../utils/notificationService');
+const { findConflicts, buildCandidates, evaluateConflictOverride, summarizeHits } = require('../utils/conflictCheck');
 
 // Generate secure random password
 const generateSecurePassword = () => {
@@ -96,7 +98,7 @@ const createAdmin = async (req, res) => {
 // @access  Private (Advocate/Admin with permission)
 const createClient = async (req, res) => {
   try {
-    const { firstName, lastName, email, phone } = req.body;
+    const { firstName, lastName, email, phone, conflictOverride } = req.body;
 
     // Check permissions for admin users
     if (req.user.role === 'admin' && !req.user.permissions.canAdmitClients) {
@@ -123,6 +125,18 @@ const createClient = async (req, res) => {
       });
     }
 
+    // Conflict-of-interest check: is the new client an opposing party in one of our matters?
+    const conflicts = await findConflicts(buildCandidates({ firstName, lastName, email, phone }));
+    const override = evaluateConflictOverride(conflicts, conflictOverride, req.user);
+    if (!override.allowed) {
+      return res.status(override.status).json({
+        success: false,
+        code: 'CONFLICT_OF_INTEREST',
+        message: override.message,
+        conflicts
+      });
+    }
+
     // Generate secure password
     const temporaryPassword = generateSecurePassword();
 
@@ -140,6 +154,24 @@ const createClient = async (req, res) => {
       isActive: true
     });
 
+    // Record the override on every matter the new client conflicts with
+    if (override.reason) {
+      const caseIds = [...new Set(conflicts.hits.flatMap(hit => hit.cases.map(c => c._id.toString())))];
+      const matchedCases = await Case.find({ _id: { $in: caseIds } });
+      for (const matchedCase of matchedCases) {
+        await matchedCase.addTimelineEvent(
+          'conflict_override',
+          `Client ${firstName} ${lastName} admitted despite conflict match: ${override.reason}`,
+          req.user._id,
+          {
+            reason: override.reason,
+            clientId: clientUser._id,
+            hits: summarizeHits(conflicts.hits.filter(hit => hit.cases.some(c => c._id.toString() === matchedCase._id.toString())))
+          }
+        );
+      }
+    }
+
     // Remove password from response
     clientUser.password = undefined;
 
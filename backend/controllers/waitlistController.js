@@ -0,0 +1,327 @@
+// Appointment waitlist controller for LegalPro v1.0.1
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendNotification } = require('../utils/notificationService');
+const { toDateKey } = require('../utils/courtCalendar');
+const { syncAppointmentReminders } = require('../utils/appointmentReminders');
+const { buildAppointmentAttachment } = require('../utils/calendarFeed');
+const { passOffer, clearOfferExpiry } = require('../utils/appointmentWaitlist');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const isOwner = (entry, user) => entry.clientId.toString() === user._id.toString();
+
+// Clients manage their own entries; advocates see those for their diary; admins see all
+const canAccessEntry = (entry, user) =>
+  user.role === 'admin' ||
+  isOwner(entry, user) ||
+  (user.role === 'advocate' && entry.advocateId.toString() === user._id.toString());
+
+const handleWaitlistError = (res, error, action) => {
+  console.error(`${action} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)[0].message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action.toLowerCase()}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/appointments/waitlist
+// @access  Private
+const getWaitlist = async (req, res) => {
+  try {
+    // Days that have passed can no longer produce an offer
+    await WaitlistEntry.updateMany(
+      { status: 'waiting', date: { $lt: toDateKey(new Date()) } },
+      { status: 'expired' }
+    );
+
+    const query = {};
+    if (req.user.role === 'client') query.clientId = req.user._id;
+    else if (req.user.role === 'advocate') query.advocateId = req.user._id;
+    else if (req.query.advocateId) query.advocateId = req.query.advocateId;
+
+    if (req.query.date) query.date = req.query.date;
+    query.status = req.query.status || { $in: ACTIVE_STATUSES };
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('clientId', 'firstName lastName phone')
+      .populate('advocateId', 'firstName lastName')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Retrieve waitlist');
+  }
+};
+
+// @desc    Join the waitlist for an advocate on a given day
+// @route   POST /api/appointments/waitlist
+// @access  Private
+const joinWaitlist = async (req, res) => {
+  try {
+    const { advocateId, date, duration, title, type, notes } = req.body;
+    const clientId = req.user.role === 'client' ? req.user._id : req.body.clientId;
+
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client is required'
+      });
+    }
+
+    if (date < toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot join the waitlist for a past date'
+      });
+    }
+
+    const [client, advocate] = await Promise.all([
+      User.findById(clientId),
+      User.findById(advocateId)
+    ]);
+
+    if (!client || client.role !== 'client') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client'
+      });
+    }
+
+    if (!advocate || advocate.role !== 'advocate') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid advocate'
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      clientId,
+      advocateId,
+      date,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already on the waitlist for this advocate and date',
+        data: existing
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      clientId,
+      advocateId,
+      date,
+      duration,
+      title,
+      type,
+      notes,
+      addedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      message: 'Added to the waitlist. We will text you if a slot opens up'
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Join waitlist');
+  }
+};
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/appointments/waitlist/:id
+// @access  Private
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || !canAccessEntry(entry, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    // An outstanding offer goes to the next client in line
+    if (entry.status === 'offered') {
+      await passOffer(entry);
+    }
+
+    const updated = await WaitlistEntry.findByIdAndUpdate(
+      entry._id,
+      { status: 'cancelled', $unset: { offer: 1 } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Leave waitlist');
+  }
+};
+
+// @desc    Book the slot offered from the waitlist
+// @route   POST /api/appointments/waitlist/:id/accept
+// @access  Private (the waitlisted client)
+const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || !isOwner(entry, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status !== 'offered' || entry.offer.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer available'
+      });
+    }
+
+    const { startDateTime, endDateTime } = entry.offer;
+    const conflicts = await Appointment.findConflicts(entry.advocateId, startDateTime, endDateTime);
+    if (conflicts.length > 0) {
+      await passOffer(entry);
+      return res.status(409).json({
+        success: false,
+        message: 'Sorry, this slot has just been taken'
+      });
+    }
+
+    // Claim the offer before booking so it can't be accepted twice
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.startDateTime': startDateTime },
+      { status: 'booked' },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer available'
+      });
+    }
+
+    const appointment = await Appointment.create({
+      title: entry.title,
+      description: entry.notes,
+      clientId: entry.clientId,
+      advocateId: entry.advocateId,
+      startDateTime,
+      endDateTime,
+      type: entry.type,
+      bookedBy: req.user._id
+    });
+
+    claimed.appointmentId = appointment._id;
+    await claimed.save();
+    await clearOfferExpiry(entry);
+    await syncAppointmentReminders([appointment]);
+
+    await appointment.populate([
+      { path: 'clientId', select: 'firstName lastName email phone' },
+      { path: 'advocateId', select: 'firstName lastName email phone' }
+    ]);
+
+    try {
+      const client = appointment.clientId;
+      const advocate = appointment.advocateId;
+      const calendarOptions = { attachments: [buildAppointmentAttachment(appointment)] };
+
+      await sendNotification(client, 'appointmentConfirmation', {
+        title: appointment.title,
+        date: appointment.formattedDate,
+        time: appointment.formattedTime,
+        advocateName: `${advocate.firstName} ${advocate.lastName}`,
+        location: appointment.location?.type || 'office'
+      }, calendarOptions);
+
+      await sendNotification(advocate, 'appointmentScheduled', {
+        title: appointment.title,
+        date: appointment.formattedDate,
+        time: appointment.formattedTime,
+        clientName: `${client.firstName} ${client.lastName}`,
+        location: appointment.location?.type || 'office'
+      }, calendarOptions);
+    } catch (notificationError) {
+      console.error('Waitlist booking notification error:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment booked from the waitlist'
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Accept waitlist offer');
+  }
+};
+
+// @desc    Turn down the slot offered from the waitlist (stay on the waitlist)
+// @route   POST /api/appointments/waitlist/:id/decline
+// @access  Private (the waitlisted client)
+const declineWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || !isOwner(entry, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no offer to decline'
+      });
+    }
+
+    const updated = await passOffer(entry);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: 'Offer declined. You are still on the waitlist'
+    });
+  } catch (error) {
+    handleWaitlistError(res, error, 'Decline waitlist offer');
+  }
+};
+
+module.exports = {
+  getWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+};
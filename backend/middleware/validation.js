@@ -2,6 +2,8 @@
 const { body, validationResult } = require('express-validator');
 const { validateRegistrationData } = require('../utils/validationUtils');
 const User = require('../models/User');
+const { activityCodes, disbursementCategories, instalmentPlanConfig } = require('../config/billingConfig');
+const { DEADLINE_TYPES } = require('../config/deadlineRules');
 
 /**
  * Middleware to handle JSON parsing errors
@@ -48,6 +50,21 @@ const validateContentType = (req, res, next) => {
   next();
 };
 
+/**
+ * Reject the request with 400 and the express-validator errors, if any
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
 /**
  * Comprehensive registration validation middleware
  */
@@ -144,6 +161,42 @@ const VALID_CATEGORIES = [
   'Environmental Law'
 ];
 
+// Validators for opposing/related party lists and conflict overrides
+const partyListValidators = ['opposingParties', 'relatedParties'].flatMap(field => [
+  body(field)
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage(`${field} must be an array of at most 50 parties`),
+  body(`${field}.*.name`)
+    .notEmpty()
+    .withMessage('Party name is required')
+    .isLength({ max: 200 })
+    .withMessage('Party name must be at most 200 characters')
+    .trim(),
+  body(`${field}.*.email`)
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Party email must be a valid email address'),
+  body(`${field}.*.phone`)
+    .optional({ checkFalsy: true })
+    .isLength({ max: 30 })
+    .withMessage('Party phone must be at most 30 characters'),
+  body(`${field}.*.relationship`)
+    .optional({ checkFalsy: true })
+    .isLength({ max: 100 })
+    .withMessage('Party relationship must be at most 100 characters')
+]);
+
+const conflictOverrideValidators = [
+  body('conflictOverride.reason')
+    .optional()
+    .isString()
+    .withMessage('Override reason must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Override reason must be at most 1000 characters')
+    .trim()
+];
+
 // Middleware to validate case creation
 const validateCase = [
   body('title')
@@ -152,7 +205,9 @@ const validateCase = [
     .isLength({ max: 200 })
     .withMessage('Title must be at most 200 characters')
     .trim(),
+  // A case template can supply the description
   body('description')
+    .if((value, { req }) => value || !req.body.templateId)
     .notEmpty()
     .withMessage('Description is required')
     .isLength({ max: 5000 })
@@ -176,6 +231,10 @@ const validateCase = [
     .optional()
     .isMongoId()
     .withMessage('Assigned user ID must be a valid MongoDB ObjectId'),
+  body('templateId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Template ID must be a valid MongoDB ObjectId'),
   body('courtDate')
     .optional()
     .isISO8601()
@@ -186,17 +245,9 @@ const validateCase = [
       }
       return true;
     }),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  ...partyListValidators,
+  ...conflictOverrideValidators,
+  handleValidationErrors
 ];
 
 // Middleware to validate case update
@@ -241,17 +292,9 @@ const validateCaseUpdate = [
       }
       return true;
     }),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  ...partyListValidators,
+  ...conflictOverrideValidators,
+  handleValidationErrors
 ];
 
 // Middleware to validate case note
@@ -266,44 +309,918 @@ const validateCaseNote = [
     .optional()
     .isBoolean()
     .withMessage('isPrivate must be a boolean value'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  handleValidationErrors
 ];
 
 // Middleware to validate status update
+// Allowed stages depend on the case category and are checked by the workflow engine
 const validateStatusUpdate = [
   body('status')
+    .if(body('stage').not().exists())
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(['pending', 'in_progress', 'completed', 'closed'])
-    .withMessage('Status must be one of: pending, in_progress, completed, closed'),
+    .isString()
+    .withMessage('Status must be a string'),
+  body('stage')
+    .optional()
+    .isString()
+    .withMessage('Stage must be a string'),
   body('reason')
     .optional()
     .isLength({ max: 500 })
     .withMessage('Reason must be at most 500 characters')
     .trim(),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-    next();
-  }
+  body('outcomeNote')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Outcome note must be at most 2000 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate conflict-of-interest check
+const validateConflictCheck = [
+  body('clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Client ID must be a valid MongoDB ObjectId'),
+  body('client.name')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Client name must be at most 200 characters')
+    .trim(),
+  body('client.email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Client email must be a valid email address'),
+  body('excludeCaseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Case ID must be a valid MongoDB ObjectId'),
+  ...partyListValidators,
+  handleValidationErrors
+];
+
+// Shared time entry field validators
+const timeEntryFieldValidators = [
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters')
+    .trim(),
+  body('billable')
+    .optional()
+    .isBoolean()
+    .withMessage('Billable must be a boolean value')
+    .toBoolean(),
+  body('hourlyRate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Hourly rate must be a positive number')
+    .toFloat()
+];
+
+const timeEntryPeriodValidators = [
+  body('workDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Work date must be a valid date'),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+  body('endTime')
+    .if(body('startTime').exists())
+    .notEmpty()
+    .withMessage('End time is required when a start time is given')
+    .isISO8601()
+    .withMessage('End time must be a valid date'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a whole number of minutes')
+    .toInt()
 ];
 
+// Middleware to validate manual time entry
+const validateTimeEntry = [
+  body('activityCode')
+    .notEmpty()
+    .withMessage('Activity code is required')
+    .isIn(Object.keys(activityCodes))
+    .withMessage('Invalid activity code'),
+  ...timeEntryFieldValidators,
+  ...timeEntryPeriodValidators,
+  handleValidationErrors
+];
+
+// Middleware to validate time entry update
+const validateTimeEntryUpdate = [
+  body('activityCode')
+    .optional()
+    .isIn(Object.keys(activityCodes))
+    .withMessage('Invalid activity code'),
+  ...timeEntryFieldValidators,
+  ...timeEntryPeriodValidators,
+  handleValidationErrors
+];
+
+// Middleware to validate timer start
+const validateTimerStart = [
+  body('activityCode')
+    .notEmpty()
+    .withMessage('Activity code is required')
+    .isIn(Object.keys(activityCodes))
+    .withMessage('Invalid activity code'),
+  ...timeEntryFieldValidators,
+  handleValidationErrors
+];
+
+// Shared invoice field validators
+const invoiceFieldValidators = [
+  body('lineItems')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Line items must be an array of at most 200 items'),
+  // Lines with an _id edit an existing line; new lines must be complete fees or disbursements
+  body('lineItems.*')
+    .custom(item => {
+      if (!item || typeof item !== 'object') {
+        throw new Error('Invalid line item');
+      }
+      if (item._id) return true;
+      if (!['fee', 'expense'].includes(item.type)) {
+        throw new Error('Only fee and expense lines can be added by hand');
+      }
+      if (typeof item.description !== 'string' || !item.description.trim()) {
+        throw new Error('Line item description is required');
+      }
+      if (item.unitPrice === undefined) {
+        throw new Error('Line item unit price is required');
+      }
+      return true;
+    }),
+  body('lineItems.*.description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Line item description must be at most 500 characters')
+    .trim(),
+  body('lineItems.*.quantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quantity must be a positive number'),
+  body('lineItems.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+  body('lineItems.*.taxable')
+    .optional()
+    .isBoolean()
+    .withMessage('Taxable must be a boolean value'),
+  body('discount.type')
+    .optional()
+    .isIn(['percent', 'fixed'])
+    .withMessage('Discount type must be percent or fixed'),
+  body('discount.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a positive number'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be at most 2000 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate invoice creation
+const validateInvoice = [
+  body('caseId')
+    .notEmpty()
+    .withMessage('Case is required')
+    .isMongoId()
+    .withMessage('Case ID must be a valid MongoDB ObjectId'),
+  body('includeTimeEntries')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTimeEntries must be a boolean value')
+    .toBoolean(),
+  body('includeAppointments')
+    .optional()
+    .isBoolean()
+    .withMessage('includeAppointments must be a boolean value')
+    .toBoolean(),
+  body('periodStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Period start must be a valid date'),
+  body('periodEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Period end must be a valid date'),
+  ...invoiceFieldValidators
+];
+
+// Middleware to validate draft invoice update
+const validateInvoiceUpdate = [...invoiceFieldValidators];
+
+const trustAmountValidator = (required) => {
+  const amount = body('amount');
+  return (required ? amount.notEmpty().withMessage('Amount is required') : amount.optional())
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number')
+    .toFloat();
+};
+
+const trustDescriptionValidator = body('description')
+  .optional()
+  .isLength({ max: 500 })
+  .withMessage('Description must be at most 500 characters')
+  .trim();
+
+// Middleware to validate crediting a payment to the trust ledger
+const validateTrustDeposit = [
+  body('paymentId')
+    .notEmpty()
+    .withMessage('Payment is required')
+    .isMongoId()
+    .withMessage('Payment ID must be a valid MongoDB ObjectId'),
+  trustDescriptionValidator,
+  handleValidationErrors
+];
+
+// Middleware to validate a transfer from trust to the office account
+const validateTrustTransfer = [
+  body('invoiceId')
+    .notEmpty()
+    .withMessage('Invoice is required')
+    .isMongoId()
+    .withMessage('Invoice ID must be a valid MongoDB ObjectId'),
+  trustAmountValidator(false),
+  trustDescriptionValidator,
+  handleValidationErrors
+];
+
+// Middleware to validate a disbursement paid out of trust
+const validateTrustDisbursement = [
+  body('caseId')
+    .notEmpty()
+    .withMessage('Case is required')
+    .isMongoId()
+    .withMessage('Case ID must be a valid MongoDB ObjectId'),
+  trustAmountValidator(true),
+  body('category')
+    .notEmpty()
+    .withMessage('Disbursement category is required')
+    .isIn(Object.keys(disbursementCategories))
+    .withMessage('Invalid disbursement category'),
+  body('payee')
+    .trim()
+    .notEmpty()
+    .withMessage('Payee is required')
+    .isLength({ max: 200 })
+    .withMessage('Payee must be at most 200 characters'),
+  body('reference')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Reference must be at most 100 characters')
+    .trim(),
+  body('transactionDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Transaction date must be a valid date')
+    .custom(value => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Transaction date cannot be in the future');
+      }
+      return true;
+    }),
+  trustDescriptionValidator,
+  handleValidationErrors
+];
+
+// Middleware to validate a bank or M-Pesa statement upload; the file itself is checked by the upload middleware
+const validateStatementUpload = [
+  body('source')
+    .optional({ checkFalsy: true })
+    .isIn(['bank_csv', 'bank_ofx', 'mpesa_csv'])
+    .withMessage('Statement source must be bank_csv, bank_ofx or mpesa_csv'),
+  handleValidationErrors
+];
+
+// Middleware to validate confirming or rejecting an imported statement line
+const validateStatementLineReview = [
+  body('paymentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Payment ID must be a valid MongoDB ObjectId'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate a new instalment plan for a case fee or invoice
+const validatePaymentPlan = [
+  body('caseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Case ID must be a valid MongoDB ObjectId'),
+  body('invoiceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invoice ID must be a valid MongoDB ObjectId'),
+  body()
+    .custom(value => {
+      if (!value.caseId && !value.invoiceId) {
+        throw new Error('A case or invoice is required');
+      }
+      return true;
+    }),
+  body('totalAmount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Total amount must be at least 1')
+    .toFloat(),
+  body('depositAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Deposit cannot be negative')
+    .toFloat(),
+  body('numberOfInstalments')
+    .notEmpty()
+    .withMessage('Number of instalments is required')
+    .isInt({ min: 1, max: instalmentPlanConfig.maxInstalments })
+    .withMessage(`Number of instalments must be between 1 and ${instalmentPlanConfig.maxInstalments}`)
+    .toInt(),
+  body('frequency')
+    .notEmpty()
+    .withMessage('Frequency is required')
+    .isIn(Object.keys(instalmentPlanConfig.frequencies))
+    .withMessage(`Frequency must be one of: ${Object.keys(instalmentPlanConfig.frequencies).join(', ')}`),
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('collectionMethod')
+    .optional()
+    .isIn(['stk_push', 'reminder'])
+    .withMessage('Collection method must be stk_push or reminder'),
+  body('phoneNumber')
+    .optional()
+    .matches(/^(\+?254|0)?[17]\d{8}$/)
+    .withMessage('Please provide a valid Kenyan phone number'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate paying a plan instalment early or after it was missed
+const validateInstalmentPayment = [
+  body('phoneNumber')
+    .optional()
+    .matches(/^(\+?254|0)?[17]\d{8}$/)
+    .withMessage('Please provide a valid Kenyan phone number'),
+  handleValidationErrors
+];
+
+// Middleware to validate a refund request; amount defaults to what is left to refund
+const validateRefundRequest = [
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Refund amount must be a whole number of shillings, at least 1')
+    .toInt(),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Refund reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('phoneNumber')
+    .optional()
+    .matches(/^(\+?254|0)?[17]\d{8}$/)
+    .withMessage('Please provide a valid Kenyan phone number'),
+  handleValidationErrors
+];
+
+// Middleware to validate a refund approval or rejection
+const validateRefundDecision = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Offsets for template tasks and deadlines, counted from the day the case is opened
+const relativeDueValidators = (field) => [
+  body(`${field}.*.dueIn.length`)
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Due offset must be a whole number between 0 and 3650')
+    .toInt(),
+  body(`${field}.*.dueIn.unit`)
+    .optional()
+    .isIn(['calendar_days', 'court_days', 'months'])
+    .withMessage('Due offset unit must be calendar_days, court_days or months')
+];
+
+// Case template fields; on update every field is optional and arrays replace the stored lists
+const caseTemplateValidators = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.notEmpty().withMessage(message));
+
+  return [
+    required(body('name'), 'Template name is required')
+      .isLength({ max: 100 })
+      .withMessage('Template name must be at most 100 characters')
+      .trim(),
+    required(body('category'), 'Category is required')
+      .isIn(VALID_CATEGORIES)
+      .withMessage(`Category must be one of: ${VALID_CATEGORIES.join(', ')}`),
+    body('description')
+      .optional()
+      .isLength({ max: 5000 })
+      .withMessage('Description must be at most 5000 characters')
+      .trim(),
+    body('defaultPriority')
+      .optional()
+      .isIn(['low', 'medium', 'high', 'urgent'])
+      .withMessage('Priority must be one of: low, medium, high, urgent'),
+    body('documentChecklist')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Document checklist must be an array of at most 100 items'),
+    body('documentChecklist.*.name')
+      .notEmpty()
+      .withMessage('Checklist document name is required')
+      .isLength({ max: 200 })
+      .withMessage('Checklist document name must be at most 200 characters')
+      .trim(),
+    body('documentChecklist.*.required')
+      .optional()
+      .isBoolean()
+      .withMessage('Checklist required flag must be a boolean value'),
+    body('tasks')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Tasks must be an array of at most 100 items'),
+    body('tasks.*.title')
+      .notEmpty()
+      .withMessage('Task title is required')
+      .isLength({ max: 200 })
+      .withMessage('Task title must be at most 200 characters')
+      .trim(),
+    body('tasks.*.priority')
+      .optional()
+      .isIn(['low', 'medium', 'high', 'urgent'])
+      .withMessage('Task priority must be one of: low, medium, high, urgent'),
+    ...relativeDueValidators('tasks'),
+    body('deadlines')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Deadlines must be an array of at most 50 items'),
+    body('deadlines.*.title')
+      .notEmpty()
+      .withMessage('Deadline title is required')
+      .isLength({ max: 200 })
+      .withMessage('Deadline title must be at most 200 characters')
+      .trim(),
+    body('deadlines.*.type')
+      .optional()
+      .isIn(DEADLINE_TYPES)
+      .withMessage(`Deadline type must be one of: ${DEADLINE_TYPES.join(', ')}`),
+    ...relativeDueValidators('deadlines'),
+    body('notes')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Notes must be an array of at most 20 items'),
+    body('notes.*.content')
+      .notEmpty()
+      .withMessage('Note content is required')
+      .isLength({ max: 2000 })
+      .withMessage('Note must be at most 2000 characters')
+      .trim(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+// Middleware to validate case template creation
+const validateCaseTemplate = caseTemplateValidators(false);
+
+// Middleware to validate case template update
+const validateCaseTemplateUpdate = caseTemplateValidators(true);
+
+// Middleware to validate a checklist item status change
+const validateChecklistUpdate = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['pending', 'received', 'waived'])
+    .withMessage('Status must be one of: pending, received, waived'),
+  body('documentId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Document ID must be a valid MongoDB ObjectId'),
+  handleValidationErrors
+];
+
+// Shared task field validators
+const taskFieldValidators = [
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters')
+    .trim(),
+  body('assignedTo')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Assignee must be a valid MongoDB ObjectId'),
+  body('dueDate')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be one of: low, medium, high, urgent')
+];
+
+// Middleware to validate task creation
+const validateTask = [
+  body('title')
+    .notEmpty()
+    .withMessage('Task title is required')
+    .isLength({ max: 200 })
+    .withMessage('Task title must be at most 200 characters')
+    .trim(),
+  ...taskFieldValidators,
+  body('checklist')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Checklist must be an array of at most 50 items'),
+  handleValidationErrors
+];
+
+// Middleware to validate task update
+const validateTaskUpdate = [
+  body('title')
+    .optional()
+    .notEmpty()
+    .withMessage('Task title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Task title must be at most 200 characters')
+    .trim(),
+  ...taskFieldValidators,
+  body('status')
+    .optional()
+    .isIn(['open', 'in_progress', 'completed', 'cancelled'])
+    .withMessage('Status must be one of: open, in_progress, completed, cancelled'),
+  body('addChecklistItems')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Checklist items must be an array of at most 50 items'),
+  body('addChecklistItems.*')
+    .isString()
+    .withMessage('Checklist items must be text')
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required'),
+  handleValidationErrors
+];
+
+// Middleware to validate ticking a task checklist item
+const validateTaskChecklistItem = [
+  body('isDone')
+    .exists()
+    .withMessage('isDone is required')
+    .isBoolean()
+    .withMessage('isDone must be a boolean value')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Middleware to validate task comment
+const validateTaskComment = [
+  body('content')
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be at most 2000 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const timeOfDay = (field, label) => body(field)
+  .matches(TIME_OF_DAY)
+  .withMessage(`${label} must be in HH:mm format`);
+
+const calendarDate = (field, label) => body(field)
+  .matches(CALENDAR_DATE)
+  .withMessage(`${label} must be in YYYY-MM-DD format`)
+  .bail()
+  .isISO8601({ strict: true })
+  .withMessage(`${label} must be a valid date`);
+
+// Middleware to validate weekly hours, breaks and slot settings
+const validateAvailabilityProfile = [
+  body('weeklyHours')
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage('Weekly hours must be an array of at most 21 periods'),
+  body('weeklyHours.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  timeOfDay('weeklyHours.*.start', 'Start time'),
+  timeOfDay('weeklyHours.*.end', 'End time'),
+  body('breaks')
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage('Breaks must be an array of at most 21 periods'),
+  body('breaks.*.dayOfWeek')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  timeOfDay('breaks.*.start', 'Break start'),
+  timeOfDay('breaks.*.end', 'Break end'),
+  body('slotInterval')
+    .optional()
+    .isIn([15, 30, 60])
+    .withMessage('Slot interval must be one of: 15, 30, 60')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Middleware to validate a date override
+const validateAvailabilityOverride = [
+  calendarDate('date', 'Date'),
+  body('isClosed')
+    .optional()
+    .isBoolean()
+    .withMessage('isClosed must be a boolean value')
+    .toBoolean(),
+  body('hours')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Hours must be an array of at most 6 periods'),
+  timeOfDay('hours.*.start', 'Start time'),
+  timeOfDay('hours.*.end', 'End time'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate a leave period
+const validateLeave = [
+  calendarDate('startDate', 'Start date'),
+  calendarDate('endDate', 'End date'),
+  body('type')
+    .optional()
+    .isIn(['annual', 'sick', 'court', 'training', 'other'])
+    .withMessage('Leave type must be one of: annual, sick, court, training, other'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate a firm holiday
+const validateHoliday = [
+  calendarDate('date', 'Date'),
+  body('name')
+    .notEmpty()
+    .withMessage('Holiday name is required')
+    .isLength({ max: 100 })
+    .withMessage('Holiday name must be at most 100 characters')
+    .trim(),
+  body('type')
+    .optional()
+    .isIn(['public', 'firm_closure'])
+    .withMessage('Holiday type must be one of: public, firm_closure'),
+  handleValidationErrors
+];
+
+// Middleware to validate a new calendar feed link
+const validateCalendarFeedToken = [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Label must be between 1 and 100 characters'),
+  handleValidationErrors
+];
+
+// Middleware to validate moving an appointment to a new time
+const validateReschedule = [
+  body('startDateTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid date and time'),
+  body('endDateTime')
+    .isISO8601()
+    .withMessage('End time must be a valid date and time'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate joining the appointment waitlist
+const validateWaitlistEntry = [
+  body('advocateId')
+    .isMongoId()
+    .withMessage('A valid advocate is required'),
+  body('clientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid client ID'),
+  calendarDate('date', 'Date'),
+  body('duration')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Duration must be between 15 and 240 minutes')
+    .toInt(),
+  body('title')
+    .optional()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters')
+    .trim(),
+  body('type')
+    .optional()
+    .isIn(['consultation', 'follow_up', 'court_preparation', 'document_review', 'mediation', 'other'])
+    .withMessage('Invalid appointment type'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters')
+    .trim(),
+  handleValidationErrors
+];
+
+// Middleware to validate an answer to an appointment invitation
+const validateRsvp = [
+  body('status')
+    .isIn(['accepted', 'declined', 'tentative'])
+    .withMessage('Response must be accepted, declined or tentative'),
+  body('participantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid participant ID'),
+  handleValidationErrors
+];
+
+// Case details chosen when converting a consultation; anything left out comes from the appointment
+const validateCaseConversion = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('category')
+    .optional()
+    .isIn(VALID_CATEGORIES)
+    .withMessage(`Category must be one of: ${VALID_CATEGORIES.join(', ')}`),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be low, medium, high or urgent'),
+  handleValidationErrors
+];
+
+// Shared rules for bookable rooms and equipment; name is only required on create
+const resourceRules = (nameRequired) => [
+  nameRequired
+    ? body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters')
+    : body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('type')
+    .optional()
+    .isIn(['room', 'projector', 'equipment', 'other'])
+    .withMessage('Type must be room, projector, equipment or other'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters')
+    .trim(),
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be between 1 and 1000')
+    .toInt(),
+  body('location')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Location must be at most 200 characters')
+    .trim(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Middleware to validate creating a bookable resource
+const validateResource = resourceRules(true);
+
+// Middleware to validate updating a bookable resource
+const validateResourceUpdate = resourceRules(false);
+
+// Intake form fields; on update every field is optional and the field list replaces the stored one
+const intakeFormRules = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.notEmpty().withMessage(message));
+
+  return [
+    required(body('name'), 'Form name is required')
+      .isLength({ max: 100 })
+      .withMessage('Form name must be at most 100 characters')
+      .trim(),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be at most 1000 characters')
+      .trim(),
+    required(body('appointmentType'), 'Appointment type is required')
+      .isIn(['consultation', 'follow_up', 'court_preparation', 'document_review', 'mediation', 'other'])
+      .withMessage('Invalid appointment type'),
+    body('practiceArea')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(VALID_CATEGORIES)
+      .withMessage(`Practice area must be one of: ${VALID_CATEGORIES.join(', ')}`),
+    required(body('fields'), 'At least one field is required')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Fields must be an array of 1 to 50 items'),
+    body('fields.*.key')
+      .matches(/^[a-z][a-z0-9_]{0,49}$/)
+      .withMessage('Field key must start with a letter and use lowercase letters, digits or underscores'),
+    body('fields.*.label')
+      .notEmpty()
+      .withMessage('Field label is required')
+      .isLength({ max: 200 })
+      .withMessage('Field label must be at most 200 characters')
+      .trim(),
+    body('fields.*.type')
+      .optional()
+      .isIn(['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'checkbox', 'file'])
+      .withMessage('Field type must be one of: text, textarea, number, date, select, multiselect, checkbox, file'),
+    body('fields.*.required')
+      .optional()
+      .isBoolean()
+      .withMessage('Field required flag must be a boolean value'),
+    body('fields.*.options')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Field options must be an array of at most 50 items'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+// Middleware to validate creating an intake form
+const validateIntakeForm = intakeFormRules(false);
+
+// Middleware to validate updating an intake form
+const validateIntakeFormUpdate = intakeFormRules(true);
+
 /**
  * Login validation middleware
  */
@@ -457,6 +1374,7 @@ const validateResetPassword = [
 module.exports = {
   handleJSONError,
   validateContentType,
+  handleValidationErrors,
   validateRegistration,
   validateLogin,
   validatePasswordUpdate,
@@ -466,5 +1384,40 @@ module.exports = {
   validateCaseUpdate,
   validateCaseNote,
   validateStatusUpdate,
+  validateConflictCheck,
+  validateTimeEntry,
+  validateTimeEntryUpdate,
+  validateTimerStart,
+  validateInvoice,
+  validateInvoiceUpdate,
+  validateTrustDeposit,
+  validateTrustTransfer,
+  validateTrustDisbursement,
+  validateStatementUpload,
+  validateStatementLineReview,
+  validatePaymentPlan,
+  validateInstalmentPayment,
+  validateRefundRequest,
+  validateRefundDecision,
+  validateCaseTemplate,
+  validateCaseTemplateUpdate,
+  validateChecklistUpdate,
+  validateTask,
+  validateTaskUpdate,
+  validateTaskChecklistItem,
+  validateTaskComment,
+  validateAvailabilityProfile,
+  validateAvailabilityOverride,
+  validateLeave,
+  validateHoliday,
+  validateCalendarFeedToken,
+  validateReschedule,
+  validateWaitlistEntry,
+  validateRsvp,
+  validateCaseConversion,
+  validateResource,
+  validateResourceUpdate,
+  validateIntakeForm,
+  validateIntakeFormUpdate,
   VALID_CATEGORIES
 };
@@ -1,4 +1,5 @@
 // Enhanced Appointment model for LegalPro v1.0.1
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 // Appointment reminder schema
@@ -19,6 +20,79 @@ const reminderSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Recurring series exception schema (recorded on the series parent)
+const recurrenceExceptionSchema = new mongoose.Schema({
+  originalStartDateTime: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['skipped', 'cancelled', 'modified'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Exception reason cannot exceed 500 characters']
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Reschedule history schema
+const rescheduleSchema = new mongoose.Schema({
+  fromStartDateTime: {
+    type: Date,
+    required: true
+  },
+  fromEndDateTime: {
+    type: Date,
+    required: true
+  },
+  toStartDateTime: {
+    type: Date,
+    required: true
+  },
+  toEndDateTime: {
+    type: Date,
+    required: true
+  },
+  rescheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reschedule reason cannot exceed 500 characters']
+  },
+  rescheduledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Appointment timeline event schema (same shape as the case timeline)
+const timelineEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { timestamps: true });
+
 // Appointment note schema
 const appointmentNoteSchema = new mongoose.Schema({
   content: {
@@ -42,6 +116,61 @@ const appointmentNoteSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Additional participant schema: other advocates, opposing counsel, witnesses.
+// Firm users are linked by `user`; outside parties are recorded by name and contact.
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Participant name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['advocate', 'client', 'opposing_counsel', 'witness', 'interpreter', 'other'],
+    default: 'other'
+  },
+  rsvpStatus: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'tentative'],
+    default: 'pending'
+  },
+  respondedAt: Date
+});
+
+participantSchema.pre('validate', function(next) {
+  if (!this.user && !this.name) {
+    return next(new Error('Each participant needs a user or a name'));
+  }
+  next();
+});
+
+// Intake questionnaire answer, stored with the label the client saw
+const intakeAnswerSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: String,
+  type: {
+    type: String
+  },
+  // Text, number, date, choice list, boolean or uploaded file list depending on type
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
 // Main appointment schema
 const appointmentSchema = new mongoose.Schema({
   // Basic Information
@@ -70,6 +199,9 @@ const appointmentSchema = new mongoose.Schema({
     required: [true, 'Advocate is required']
   },
 
+  // Everyone else attending, with their RSVP
+  participants: [participantSchema],
+
   // Scheduling
   startDateTime: {
     type: Date,
@@ -118,12 +250,68 @@ const appointmentSchema = new mongoose.Schema({
     instructions: String
   },
 
+  // Built-in meeting room, created for virtual appointments booked without a pasted link.
+  // The room ID is the unguessable part of the join link.
+  meetingRoom: {
+    roomId: String,
+    createdAt: Date
+  },
+
+  // Who was in the meeting room and when, for billing
+  attendance: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: String,
+    joinedAt: {
+      type: Date,
+      required: true
+    },
+    leftAt: Date
+  }],
+
+  // Rooms and equipment reserved for the appointment
+  resources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }],
+
   // Case Association (Optional)
   caseId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Case'
   },
 
+  // Practice area the client is asking about; picks the intake form
+  practiceArea: {
+    type: String,
+    enum: [
+      'Family Law',
+      'Corporate Law',
+      'Criminal Defense',
+      'Property Law',
+      'Employment Law',
+      'Constitutional Law',
+      'Tax Law',
+      'Immigration Law',
+      'Intellectual Property',
+      'Environmental Law'
+    ]
+  },
+
+  // Intake questionnaire answered when booking
+  intake: {
+    form: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IntakeForm'
+    },
+    formName: String,
+    answers: [intakeAnswerSchema],
+    submittedAt: Date
+  },
+
   // Recurring Appointments
   isRecurring: {
     type: Boolean,
@@ -143,7 +331,8 @@ const appointmentSchema = new mongoose.Schema({
     endDate: Date,
     daysOfWeek: [Number], // 0-6 (Sunday-Saturday)
     dayOfMonth: Number,   // 1-31
-    occurrences: Number   // Total number of occurrences
+    occurrences: Number,  // Total number of occurrences
+    exceptions: [recurrenceExceptionSchema] // Dates skipped, cancelled or moved
   },
 
   parentAppointmentId: {
@@ -151,6 +340,9 @@ const appointmentSchema = new mongoose.Schema({
     ref: 'Appointment'
   },
 
+  // Where the series pattern placed this occurrence before any reschedule
+  originalStartDateTime: Date,
+
   // Notifications and Reminders
   reminders: [reminderSchema],
 
@@ -176,8 +368,12 @@ const appointmentSchema = new mongoose.Schema({
   attachments: [{
     name: String,
     url: String,
-    type: String,
+    // MIME type; spelled out so Mongoose does not read the attachment as a string
+    type: {
+      type: String
+    },
     size: Number,
+    publicId: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -200,6 +396,15 @@ const appointmentSchema = new mongoose.Schema({
     default: Date.now
   },
 
+  // Rescheduling Information (rescheduleCount only counts moves made by the client)
+  rescheduleCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  rescheduleHistory: [rescheduleSchema],
+
   // Cancellation Information
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -213,6 +418,44 @@ const appointmentSchema = new mongoose.Schema({
     maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
   },
 
+  // Late-cancellation fee charged under the firm's policy
+  cancellationFee: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  },
+
+  // No-show review: set by the sweep once the appointment is overdue, resolved by the advocate
+  noShowReview: {
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'dismissed']
+    },
+    flaggedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+
+  // No-show fee charged under the firm's policy
+  noShowFee: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  },
+
   // Completion Information
   completedAt: Date,
 
@@ -244,6 +487,14 @@ const appointmentSchema = new mongoose.Schema({
     min: 0
   },
 
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  // Case history recorded on the appointment (conversion, linking)
+  timeline: [timelineEventSchema],
+
   // Metadata
   isArchived: {
     type: Boolean,
@@ -262,6 +513,11 @@ appointmentSchema.index({ startDateTime: 1, endDateTime: 1 });
 appointmentSchema.index({ status: 1, startDateTime: 1 });
 appointmentSchema.index({ caseId: 1 });
 appointmentSchema.index({ bookedBy: 1 });
+appointmentSchema.index({ parentAppointmentId: 1, startDateTime: 1 });
+appointmentSchema.index({ status: 1, endDateTime: 1 });
+appointmentSchema.index({ 'participants.user': 1, startDateTime: 1 });
+appointmentSchema.index({ resources: 1, startDateTime: 1 });
+appointmentSchema.index({ 'meetingRoom.roomId': 1 }, { unique: true, sparse: true });
 
 // Virtual for duration in minutes
 appointmentSchema.virtual('duration').get(function() {
@@ -323,6 +579,16 @@ appointmentSchema.pre('validate', function(next) {
   next();
 });
 
+// Virtual appointments without a pasted link get a built-in meeting room
+appointmentSchema.pre('validate', function(next) {
+  if (this.location?.type === 'virtual' && !this.location.meetingLink && !this.meetingRoom?.roomId) {
+    const roomId = crypto.randomBytes(16).toString('hex');
+    this.meetingRoom = { roomId, createdAt: new Date() };
+    this.location.meetingLink = `${process.env.CLIENT_URL || 'http://localhost:5173'}/meetings/${roomId}`;
+  }
+  next();
+});
+
 // Validation: Cannot schedule appointments in the past (except for updates)
 appointmentSchema.pre('validate', function(next) {
   if (this.isNew && this.startDateTime && this.startDateTime < new Date()) {
@@ -373,4 +639,38 @@ appointmentSchema.statics.findConflicts = function(advocateId, startDateTime, en
   return this.find(query);
 };
 
+/**
+ * Find active appointments that tie up any of the given people or resources
+ * People count as busy as the appointment's advocate, its client, or a
+ * participant who hasn't declined.
+ * @param {Object} options - { userIds, resourceIds, startDateTime, endDateTime, excludeId }
+ * @returns {Query} Overlapping appointments
+ */
+appointmentSchema.statics.findScheduleConflicts = function({ userIds = [], resourceIds = [], startDateTime, endDateTime, excludeId = null }) {
+  const involved = [];
+  if (userIds.length > 0) {
+    involved.push(
+      { advocateId: { $in: userIds } },
+      { clientId: { $in: userIds } },
+      { participants: { $elemMatch: { user: { $in: userIds }, rsvpStatus: { $ne: 'declined' } } } }
+    );
+  }
+  if (resourceIds.length > 0) {
+    involved.push({ resources: { $in: resourceIds } });
+  }
+
+  const query = {
+    status: { $in: ['scheduled', 'confirmed', 'in_progress'] },
+    startDateTime: { $lt: endDateTime },
+    endDateTime: { $gt: startDateTime },
+    $or: involved
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return this.find(query).select('title startDateTime endDateTime advocateId clientId participants resources');
+};
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,166 @@
+// Advocate availability profile model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LEAVE_TYPES = ['annual', 'sick', 'court', 'training', 'other'];
+const SLOT_INTERVALS = [15, 30, 60];
+
+// Used for advocates who have not set up a profile yet: weekdays 8 AM - 6 PM with a lunch hour
+const DEFAULT_WEEKLY_HOURS = [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '08:00', end: '18:00' }));
+const DEFAULT_BREAKS = [{ dayOfWeek: null, start: '13:00', end: '14:00', label: 'Lunch' }];
+
+const timeField = (label) => ({
+  type: String,
+  required: [true, `${label} is required`],
+  match: [TIME_PATTERN, `${label} must be in HH:mm format`]
+});
+
+const dateField = (label) => ({
+  type: String,
+  required: [true, `${label} is required`],
+  match: [DATE_PATTERN, `${label} must be in YYYY-MM-DD format`]
+});
+
+// Times are wall-clock HH:mm in the firm's timezone, so string comparison orders them
+function endsAfterStart(end) {
+  return !this.start || end > this.start;
+}
+
+const timeRangeSchema = new mongoose.Schema({
+  start: timeField('Start time'),
+  end: {
+    ...timeField('End time'),
+    validate: [endsAfterStart, 'End time must be after start time']
+  }
+}, { _id: false });
+
+const weeklyHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  start: timeField('Start time'),
+  end: {
+    ...timeField('End time'),
+    validate: [endsAfterStart, 'End time must be after start time']
+  }
+}, { _id: false });
+
+const breakSchema = new mongoose.Schema({
+  // null applies the break on every working day
+  dayOfWeek: {
+    type: Number,
+    default: null,
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  start: timeField('Break start'),
+  end: {
+    ...timeField('Break end'),
+    validate: [endsAfterStart, 'Break end must be after break start']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Break label cannot exceed 50 characters']
+  }
+}, { _id: false });
+
+// Replaces the weekly hours for one date: a closed day, or different hours (e.g. a Saturday clinic)
+const overrideSchema = new mongoose.Schema({
+  date: dateField('Override date'),
+  isClosed: {
+    type: Boolean,
+    default: false
+  },
+  hours: [timeRangeSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+});
+
+const leaveSchema = new mongoose.Schema({
+  startDate: dateField('Leave start date'),
+  endDate: {
+    ...dateField('Leave end date'),
+    validate: [
+      function(endDate) { return !this.startDate || endDate >= this.startDate; },
+      'Leave cannot end before it starts'
+    ]
+  },
+  type: {
+    type: String,
+    enum: {
+      values: LEAVE_TYPES,
+      message: 'Leave type must be one of: ' + LEAVE_TYPES.join(', ')
+    },
+    default: 'annual'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+});
+
+const availabilityProfileSchema = new mongoose.Schema({
+  advocateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Advocate is required'],
+    unique: true
+  },
+
+  weeklyHours: {
+    type: [weeklyHoursSchema],
+    default: () => DEFAULT_WEEKLY_HOURS.map(hours => ({ ...hours }))
+  },
+
+  breaks: {
+    type: [breakSchema],
+    default: () => DEFAULT_BREAKS.map(item => ({ ...item }))
+  },
+
+  overrides: [overrideSchema],
+  leave: [leaveSchema],
+
+  // Minutes between offered slot start times
+  slotInterval: {
+    type: Number,
+    enum: {
+      values: SLOT_INTERVALS,
+      message: 'Slot interval must be one of: ' + SLOT_INTERVALS.join(', ')
+    },
+    default: 30
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Hours set for a date must not be empty unless the day is closed
+availabilityProfileSchema.path('overrides').validate(function(overrides) {
+  return overrides.every(override => override.isClosed || override.hours.length > 0);
+}, 'An override must either close the day or give working hours');
+
+// Only one override per date
+availabilityProfileSchema.path('overrides').validate(function(overrides) {
+  const dates = overrides.map(override => override.date);
+  return new Set(dates).size === dates.length;
+}, 'There is already an override for that date');
+
+availabilityProfileSchema.statics.DEFAULT_WEEKLY_HOURS = DEFAULT_WEEKLY_HOURS;
+availabilityProfileSchema.statics.DEFAULT_BREAKS = DEFAULT_BREAKS;
+availabilityProfileSchema.statics.LEAVE_TYPES = LEAVE_TYPES;
+availabilityProfileSchema.statics.SLOT_INTERVALS = SLOT_INTERVALS;
+
+module.exports = mongoose.model('AvailabilityProfile', availabilityProfileSchema);
@@ -0,0 +1,53 @@
+// Calendar feed token model for LegalPro v1.0.1
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A secret link to a user's webcal feed. Calendar apps can't send our auth
+// headers, so the token in the URL is the credential; only its hash is stored
+// and revoking it stops the feed immediately.
+const calendarFeedTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters'],
+    default: 'Calendar feed'
+  },
+
+  lastUsedAt: Date,
+
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+calendarFeedTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+calendarFeedTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create a token for a user; the plain token is only available on the return value
+calendarFeedTokenSchema.statics.issue = async function(userId, label) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const feedToken = await this.create({
+    userId,
+    label,
+    tokenHash: this.hashToken(token)
+  });
+  return { feedToken, token };
+};
+
+module.exports = mongoose.model('CalendarFeedToken', calendarFeedTokenSchema);
@@ -1,5 +1,25 @@
 // Case model for LegalPro v1.0.1
 const mongoose = require('mongoose');
+const { resolveStage, getStageStatus, validateTransition } = require('../utils/caseWorkflow');
+const { buildConflictKeys, updateTouches } = require('../utils/conflictKeys');
+
+// Per-case document limits; every stored version counts towards the size limit
+const MAX_DOCUMENTS = 50;
+const MAX_TOTAL_DOCUMENT_SIZE = 524288000; // 500MB
+
+// Intake questionnaire answer carried over from the first appointment
+const intakeAnswerSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: String,
+  type: {
+    type: String
+  },
+  // Text, number, date, choice list, boolean or uploaded file list depending on type
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
 
 const caseNoteSchema = new mongoose.Schema({
   content: {
@@ -19,6 +39,54 @@ const caseNoteSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Earlier revision of a document, kept when a newer version is uploaded
+const documentVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    required: true
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Version comment cannot exceed 500 characters']
+  },
+  metadata: {
+    width: Number,
+    height: Number,
+    pages: Number,
+    format: String
+  }
+}, { _id: false });
+
 const documentSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -98,11 +166,47 @@ const documentSchema = new mongoose.Schema({
     pages: Number,      // For PDFs
     duration: Number,   // For videos
     format: String      // File format details
+  },
+
+  // Versioning: the file fields above always describe the current version.
+  // uploadedBy stays the document's original uploader.
+  version: {
+    type: Number,
+    default: 1
+  },
+  versionComment: {
+    type: String,
+    maxlength: [500, 'Version comment cannot exceed 500 characters']
+  },
+  versionUploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  versionUploadedAt: Date,
+  versions: [documentVersionSchema],
+
+  // Check-out lock while someone is editing the document
+  checkedOutBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  checkedOutAt: Date,
+  checkoutNote: {
+    type: String,
+    maxlength: [200, 'Check-out note cannot exceed 200 characters']
   }
 }, {
   timestamps: true
 });
 
+// Bytes a document occupies in storage. A restored version reuses its original
+// file, so each stored file is counted once.
+const getDocumentStorageSize = (document) => {
+  const files = new Map([[document.publicId, document.size]]);
+  (document.versions || []).forEach(version => files.set(version.publicId, version.size));
+  return [...files.values()].reduce((sum, size) => sum + size, 0);
+};
+
 const timelineEventSchema = new mongoose.Schema({
   event: {
     type: String,
@@ -123,6 +227,136 @@ const timelineEventSchema = new mongoose.Schema({
   timestamps: true
 });
 
+const deadlineReminderSchema = new mongoose.Schema({
+  // Days-before threshold that triggered the reminder, or 'overdue'
+  level: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  recipients: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  escalated: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const deadlineSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Deadline title is required'],
+    trim: true,
+    maxlength: [200, 'Deadline title cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['filing', 'appeal', 'limitation', 'hearing', 'other'],
+    default: 'other'
+  },
+  // Rule from config/deadlineRules.js used to compute the due date (empty for manual deadlines)
+  ruleKey: String,
+  trigger: {
+    event: String,
+    date: Date
+  },
+  period: {
+    length: Number,
+    unit: {
+      type: String,
+      enum: ['calendar_days', 'court_days', 'months', 'years']
+    }
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed', 'waived'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Deadline notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  reminders: [deadlineReminderSchema]
+}, {
+  timestamps: true
+});
+
+// Document the matter needs, usually seeded from a case template
+const checklistItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Checklist document name is required'],
+    trim: true,
+    maxlength: [200, 'Checklist document name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Checklist description cannot exceed 500 characters']
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'received', 'waived'],
+    default: 'pending'
+  },
+  // Uploaded case document that satisfies the item
+  documentId: {
+    type: mongoose.Schema.ObjectId
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  statusChangedAt: Date
+});
+
+// Opposing or related party on a case, searched by the conflict-of-interest check
+const partySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [200, 'Party name cannot exceed 200 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // e.g. spouse, employer, director, insurer
+  relationship: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Relationship cannot exceed 100 characters']
+  }
+});
+
 const caseSchema = new mongoose.Schema({
   caseNumber: {
     type: String,
@@ -160,6 +394,11 @@ const caseSchema = new mongoose.Schema({
     enum: ['pending', 'in_progress', 'completed', 'closed'],
     default: 'pending'
   },
+  // Category workflow stage; see config/caseWorkflows.js
+  stage: {
+    type: String,
+    trim: true
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -177,8 +416,33 @@ const caseSchema = new mongoose.Schema({
   courtDate: {
     type: Date
   },
+  opposingParties: [partySchema],
+  relatedParties: [partySchema],
+  // Name, email and phone keys of the parties above, searched by the conflict-of-interest check
+  partyConflictKeys: {
+    type: [String],
+    select: false,
+    default: undefined
+  },
+  deadlines: [deadlineSchema],
+  documentChecklist: [checklistItemSchema],
+  // Template the case was opened from, if any
+  templateId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CaseTemplate'
+  },
   documents: [documentSchema],
   notes: [caseNoteSchema],
+  // Intake answers from the appointment the matter started with
+  intake: {
+    appointmentId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Appointment'
+    },
+    formName: String,
+    answers: [intakeAnswerSchema],
+    submittedAt: Date
+  },
   timeline: [timelineEventSchema],
   isArchived: {
     type: Boolean,
@@ -203,17 +467,54 @@ caseSchema.pre('save', async function(next) {
   next();
 });
 
+// Keep workflow stage and lifecycle status in sync
+caseSchema.pre('save', function(next) {
+  if (this.isModified('stage') && this.stage) {
+    const status = getStageStatus(this.category, this.stage);
+    if (!status) {
+      return next(new Error(`Invalid stage "${this.stage}" for ${this.category} cases`));
+    }
+    this.status = status;
+  } else if (!this.stage || this.isModified('status') || this.isModified('category')) {
+    // Stage missing, status set directly, or category changed: realign from status
+    if (!this.stage || getStageStatus(this.category, this.stage) !== this.status) {
+      this.stage = resolveStage({ category: this.category, status: this.status });
+    }
+  }
+  next();
+});
+
+const partyConflictKeys = (caseItem) =>
+  buildConflictKeys([...(caseItem.opposingParties || []), ...(caseItem.relatedParties || [])]);
+
+// Keep conflict search keys in step with the opposing and related parties
+caseSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('opposingParties') || this.isModified('relatedParties')) {
+    this.partyConflictKeys = partyConflictKeys(this);
+  }
+  next();
+});
+
+caseSchema.post('findOneAndUpdate', async function() {
+  if (!updateTouches(this.getUpdate(), ['opposingParties', 'relatedParties'])) return;
+  const caseItem = await this.model.findOne(this.getQuery()).select('opposingParties relatedParties').lean();
+  if (caseItem) {
+    await this.model.updateOne({ _id: caseItem._id }, { $set: { partyConflictKeys: partyConflictKeys(caseItem) } });
+  }
+});
+
+caseSchema.statics.partyConflictKeysFor = partyConflictKeys;
+
 // Validate document limits before saving
 caseSchema.pre('save', function(next) {
-  // Check maximum number of documents (50)
-  if (this.documents && this.documents.length > 50) {
+  // Check maximum number of documents (50); versions of a document share its slot
+  if (this.documents && this.documents.length > MAX_DOCUMENTS) {
     return next(new Error('Maximum 50 documents allowed per case'));
   }
 
-  // Check total document size (500MB = 524288000 bytes)
+  // Check total document size (500MB = 524288000 bytes), including prior versions
   if (this.documents && this.documents.length > 0) {
-    const totalSize = this.documents.reduce((sum, doc) => sum + doc.size, 0);
-    if (totalSize > 524288000) {
+    if (this.getTotalDocumentSize() > MAX_TOTAL_DOCUMENT_SIZE) {
       return next(new Error('Total document size cannot exceed 500MB'));
     }
   }
@@ -233,29 +534,46 @@ caseSchema.methods.addTimelineEvent = async function(event, description, userId,
 };
 
 // Update status method
-caseSchema.methods.updateStatus = async function(newStatus, userId, reason = '') {
+// Moves the case to a workflow stage, enforcing the category workflow.
+// `options.role` applies role guards; `options.fields` carries required transition fields.
+caseSchema.methods.updateStatus = async function(newStage, userId, reason = '', options = {}) {
+  const oldStage = resolveStage(this);
   const oldStatus = this.status;
-  this.status = newStatus;
+  const fields = { reason, ...options.fields };
+
+  const result = validateTransition(this.category, oldStage, newStage, {
+    role: options.role,
+    fields
+  });
+
+  if (!result.isValid) {
+    const error = new Error(result.errors.join('; '));
+    error.code = result.code;
+    error.missingFields = result.missingFields;
+    throw error;
+  }
+
+  this.stage = newStage;
+  this.status = getStageStatus(this.category, newStage);
 
   await this.addTimelineEvent(
     'status_changed',
-    `Status changed from ${oldStatus} to ${newStatus}`,
+    `Status changed from ${oldStage} to ${newStage}`,
     userId,
-    { oldStatus, newStatus, reason }
+    { oldStatus, newStatus: this.status, oldStage, newStage, ...fields }
   );
 
-  return this.save();
+  return this;
 };
 
 // Add document method
 caseSchema.methods.addDocument = async function(documentData, userId) {
   // Check document limits
-  if (this.documents.length >= 50) {
+  if (this.documents.length >= MAX_DOCUMENTS) {
     throw new Error('Maximum 50 documents allowed per case');
   }
 
-  const totalSize = this.documents.reduce((sum, doc) => sum + doc.size, 0);
-  if (totalSize + documentData.size > 524288000) {
+  if (this.getTotalDocumentSize() + documentData.size > MAX_TOTAL_DOCUMENT_SIZE) {
     throw new Error('Total document size would exceed 500MB limit');
   }
 
@@ -281,6 +599,16 @@ caseSchema.methods.removeDocument = async function(documentId, userId) {
   const documentName = document.name;
   this.documents.pull(documentId);
 
+  // A checklist item is outstanding again once its document is gone
+  this.documentChecklist.forEach(item => {
+    if (item.documentId && item.documentId.toString() === documentId.toString()) {
+      item.status = 'pending';
+      item.documentId = undefined;
+      item.updatedBy = userId;
+      item.statusChangedAt = new Date();
+    }
+  });
+
   await this.addTimelineEvent(
     'document_removed',
     `Document "${documentName}" removed`,
@@ -291,9 +619,188 @@ caseSchema.methods.removeDocument = async function(documentId, userId) {
   return this.save();
 };
 
+// Document errors carry a code so controllers can pick the HTTP status
+const documentError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const findDocument = (caseItem, documentId) => {
+  const document = caseItem.documents.id(documentId);
+  if (!document) {
+    throw documentError('Document not found', 'DOCUMENT_NOT_FOUND');
+  }
+  return document;
+};
+
+const assertNotCheckedOutByOther = (document, userId) => {
+  if (document.checkedOutBy && document.checkedOutBy.toString() !== userId.toString()) {
+    throw documentError('Document is checked out by another user', 'DOCUMENT_LOCKED');
+  }
+};
+
+const releaseCheckout = (document) => {
+  document.checkedOutBy = undefined;
+  document.checkedOutAt = undefined;
+  document.checkoutNote = undefined;
+};
+
+// Copy the current file fields into a history entry
+const snapshotCurrentVersion = (document) => ({
+  version: document.version || 1,
+  originalName: document.originalName,
+  type: document.type,
+  size: document.size,
+  url: document.url,
+  publicId: document.publicId,
+  uploadedBy: document.versionUploadedBy || document.uploadedBy,
+  uploadedAt: document.versionUploadedAt || document.createdAt,
+  comment: document.versionComment,
+  metadata: document.metadata
+});
+
+const applyVersion = (document, fileData, userId, comment) => {
+  const latest = Math.max(document.version || 1, ...document.versions.map(version => version.version));
+  document.versions.push(snapshotCurrentVersion(document));
+
+  document.originalName = fileData.originalName;
+  document.type = fileData.type;
+  document.size = fileData.size;
+  document.url = fileData.url;
+  document.publicId = fileData.publicId;
+  document.metadata = fileData.metadata;
+  document.version = latest + 1;
+  document.versionComment = comment;
+  document.versionUploadedBy = userId;
+  document.versionUploadedAt = new Date();
+};
+
+// Also exposed for lean query results
+caseSchema.statics.getDocumentStorageSize = getDocumentStorageSize;
+
+// Storage used by all documents and their versions
+caseSchema.methods.getTotalDocumentSize = function() {
+  return this.documents.reduce((sum, doc) => sum + getDocumentStorageSize(doc), 0);
+};
+
+// Upload a new version of an existing document; checks the document back in
+// unless keepCheckedOut is set
+caseSchema.methods.addDocumentVersion = async function(documentId, fileData, userId, options = {}) {
+  const document = findDocument(this, documentId);
+  assertNotCheckedOutByOther(document, userId);
+
+  if (this.getTotalDocumentSize() + fileData.size > MAX_TOTAL_DOCUMENT_SIZE) {
+    throw documentError('Total document size would exceed 500MB limit', 'DOCUMENT_LIMIT');
+  }
+
+  applyVersion(document, fileData, userId, options.comment);
+  if (!options.keepCheckedOut) {
+    releaseCheckout(document);
+  }
+
+  return this.addTimelineEvent(
+    'document_version_uploaded',
+    `Version ${document.version} of "${document.name}" uploaded`,
+    userId,
+    { documentId, fileName: document.name, version: document.version }
+  );
+};
+
+// Make an earlier version current again by adding it as the newest version
+caseSchema.methods.restoreDocumentVersion = async function(documentId, versionNumber, userId) {
+  const document = findDocument(this, documentId);
+  assertNotCheckedOutByOther(document, userId);
+
+  if (versionNumber === document.version) {
+    throw documentError(`Version ${versionNumber} is already the current version`, 'VERSION_CURRENT');
+  }
+  const previous = document.versions.find(version => version.version === versionNumber);
+  if (!previous) {
+    throw documentError('Version not found', 'VERSION_NOT_FOUND');
+  }
+
+  applyVersion(document, previous, userId, `Restored from version ${versionNumber}`);
+
+  return this.addTimelineEvent(
+    'document_version_restored',
+    `"${document.name}" restored to version ${versionNumber} (now version ${document.version})`,
+    userId,
+    { documentId, fileName: document.name, restoredVersion: versionNumber, version: document.version }
+  );
+};
+
+// Lock a document while the user edits it
+caseSchema.methods.checkOutDocument = async function(documentId, userId, note = '') {
+  const document = findDocument(this, documentId);
+  assertNotCheckedOutByOther(document, userId);
+
+  document.checkedOutBy = userId;
+  document.checkedOutAt = new Date();
+  document.checkoutNote = note || undefined;
+
+  return this.addTimelineEvent(
+    'document_checked_out',
+    `Document "${document.name}" checked out`,
+    userId,
+    { documentId, fileName: document.name }
+  );
+};
+
+// Release the lock without uploading a new version; force lets a supervisor
+// release someone else's check-out
+caseSchema.methods.checkInDocument = async function(documentId, userId, options = {}) {
+  const document = findDocument(this, documentId);
+  if (!document.checkedOutBy) {
+    throw documentError('Document is not checked out', 'DOCUMENT_NOT_CHECKED_OUT');
+  }
+
+  const heldBy = document.checkedOutBy;
+  if (!options.force) {
+    assertNotCheckedOutByOther(document, userId);
+  }
+  releaseCheckout(document);
+
+  const forced = heldBy.toString() !== userId.toString();
+  return this.addTimelineEvent(
+    'document_checked_in',
+    forced
+      ? `Check-out of "${document.name}" released by a supervisor`
+      : `Document "${document.name}" checked in`,
+    userId,
+    { documentId, fileName: document.name, forced, checkedOutBy: heldBy }
+  );
+};
+
+// Mark a required-documents checklist item received (optionally against an
+// uploaded document), waived, or pending again
+caseSchema.methods.updateChecklistItem = async function(itemId, { status, documentId }, userId) {
+  const item = this.documentChecklist.id(itemId);
+  if (!item) {
+    throw documentError('Checklist item not found', 'CHECKLIST_ITEM_NOT_FOUND');
+  }
+
+  if (documentId) {
+    findDocument(this, documentId);
+  }
+
+  item.status = status;
+  item.documentId = status === 'received' && documentId ? documentId : undefined;
+  item.updatedBy = userId;
+  item.statusChangedAt = new Date();
+
+  const labels = { received: 'received', waived: 'waived', pending: 'marked outstanding' };
+  return this.addTimelineEvent(
+    'checklist_updated',
+    `Checklist item "${item.name}" ${labels[status]}`,
+    userId,
+    { checklistItemId: item._id, status, documentId: item.documentId }
+  );
+};
+
 // Get document statistics
 caseSchema.methods.getDocumentStats = function() {
-  const totalSize = this.documents.reduce((sum, doc) => sum + doc.size, 0);
+  const totalSize = this.getTotalDocumentSize();
   const typeCount = this.documents.reduce((acc, doc) => {
     const type = doc.type.split('/')[1] || 'unknown';
     acc[type] = (acc[type] || 0) + 1;
@@ -302,9 +809,10 @@ caseSchema.methods.getDocumentStats = function() {
 
   return {
     totalDocuments: this.documents.length,
+    totalVersions: this.documents.reduce((sum, doc) => sum + 1 + doc.versions.length, 0),
     totalSize,
-    remainingSlots: 50 - this.documents.length,
-    remainingSize: 524288000 - totalSize,
+    remainingSlots: MAX_DOCUMENTS - this.documents.length,
+    remainingSize: MAX_TOTAL_DOCUMENT_SIZE - totalSize,
     typeBreakdown: typeCount
   };
 };
@@ -314,8 +822,11 @@ caseSchema.index({ caseNumber: 1 });
 caseSchema.index({ clientId: 1, status: 1 });
 caseSchema.index({ assignedTo: 1, status: 1 });
 caseSchema.index({ category: 1, status: 1 });
+caseSchema.index({ category: 1, stage: 1 });
 caseSchema.index({ createdAt: -1 });
 caseSchema.index({ courtDate: 1 });
+caseSchema.index({ 'deadlines.status': 1, 'deadlines.dueDate': 1 });
 caseSchema.index({ 'documents.uploadedBy': 1 });
+caseSchema.index({ partyConflictKeys: 1 });
 
 module.exports = mongoose.model('Case', caseSchema);
\ No newline at end of file
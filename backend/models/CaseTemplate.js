@@ -0,0 +1,163 @@
+// Case template model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const { DEADLINE_TYPES } = require('../config/deadlineRules');
+
+const CASE_CATEGORIES = [
+  'Family Law',
+  'Corporate Law',
+  'Criminal Defense',
+  'Property Law',
+  'Employment Law',
+  'Constitutional Law',
+  'Tax Law',
+  'Immigration Law',
+  'Intellectual Property',
+  'Environmental Law'
+];
+
+// Offsets count from the day the case is opened
+const RELATIVE_UNITS = ['calendar_days', 'court_days', 'months'];
+
+const checklistTemplateItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Checklist document name is required'],
+    trim: true,
+    maxlength: [200, 'Checklist document name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Checklist description cannot exceed 500 characters']
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const taskTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Task title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Task description cannot exceed 1000 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  dueIn: {
+    length: {
+      type: Number,
+      required: [true, 'Task due offset is required'],
+      min: [0, 'Task due offset cannot be negative'],
+      max: [3650, 'Task due offset cannot exceed 3650']
+    },
+    unit: {
+      type: String,
+      enum: RELATIVE_UNITS,
+      default: 'calendar_days'
+    }
+  }
+});
+
+const deadlineTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Deadline title is required'],
+    trim: true,
+    maxlength: [200, 'Deadline title cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: DEADLINE_TYPES,
+    default: 'other'
+  },
+  dueIn: {
+    length: {
+      type: Number,
+      required: [true, 'Deadline due offset is required'],
+      min: [0, 'Deadline due offset cannot be negative'],
+      max: [3650, 'Deadline due offset cannot exceed 3650']
+    },
+    unit: {
+      type: String,
+      enum: RELATIVE_UNITS,
+      default: 'calendar_days'
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Deadline notes cannot exceed 1000 characters']
+  }
+});
+
+const noteTemplateSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: [true, 'Note content is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  isPrivate: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const caseTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Template category is required'],
+    enum: CASE_CATEGORIES
+  },
+  // Starting text for the case description; the user edits it per matter
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Template description cannot exceed 5000 characters']
+  },
+  defaultPriority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  documentChecklist: [checklistTemplateItemSchema],
+  tasks: [taskTemplateSchema],
+  deadlines: [deadlineTemplateSchema],
+  notes: [noteTemplateSchema],
+  // Retired templates stay readable for cases that used them but can't be applied
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+caseTemplateSchema.index({ category: 1, name: 1 }, { unique: true });
+caseTemplateSchema.index({ isActive: 1, category: 1 });
+
+module.exports = mongoose.model('CaseTemplate', caseTemplateSchema);
@@ -0,0 +1,64 @@
+// Extracted document text (full-text search index) model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+// One entry per stored file, so restoring an earlier version only has to
+// switch which entry is current instead of re-downloading and re-extracting
+const documentTextSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Document is required']
+  },
+  publicId: {
+    type: String,
+    required: [true, 'File public ID is required']
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Set when the text was cut at the indexing limit
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  extractedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+documentTextSchema.index({ publicId: 1 }, { unique: true });
+documentTextSchema.index({ documentId: 1, isCurrent: 1 });
+documentTextSchema.index({ caseId: 1, isCurrent: 1 });
+documentTextSchema.index(
+  { name: 'text', originalName: 'text', text: 'text' },
+  { weights: { name: 5, originalName: 3, text: 1 }, name: 'document_text_search' }
+);
+
+module.exports = mongoose.model('DocumentText', documentTextSchema);
@@ -0,0 +1,43 @@
+// Firm holiday calendar model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const HOLIDAY_TYPES = ['public', 'firm_closure'];
+
+// Days added on top of the statutory holidays in config/publicHolidays.js:
+// gazetted one-offs (Idd-ul-Fitr, special public holidays) and office closures
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format'],
+    unique: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: HOLIDAY_TYPES,
+      message: 'Holiday type must be one of: ' + HOLIDAY_TYPES.join(', ')
+    },
+    default: 'public'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.statics.HOLIDAY_TYPES = HOLIDAY_TYPES;
+
+module.exports = mongoose.model('Holiday', holidaySchema);
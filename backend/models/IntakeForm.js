@@ -0,0 +1,124 @@
+// Appointment intake questionnaire model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const APPOINTMENT_TYPES = ['consultation', 'follow_up', 'court_preparation', 'document_review', 'mediation', 'other'];
+
+const PRACTICE_AREAS = [
+  'Family Law',
+  'Corporate Law',
+  'Criminal Defense',
+  'Property Law',
+  'Employment Law',
+  'Constitutional Law',
+  'Tax Law',
+  'Immigration Law',
+  'Intellectual Property',
+  'Environmental Law'
+];
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'select', 'multiselect', 'checkbox', 'file'];
+
+const intakeFieldSchema = new mongoose.Schema({
+  // Stable name the answer is stored under; labels can be reworded later
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,49}$/, 'Field key must start with a letter and use lowercase letters, digits or underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [200, 'Field label cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for select and multiselect fields
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Option cannot exceed 100 characters']
+  }],
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Help text cannot exceed 500 characters']
+  }
+});
+
+const intakeFormSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true,
+    maxlength: [100, 'Form name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Form description cannot exceed 1000 characters']
+  },
+  appointmentType: {
+    type: String,
+    required: [true, 'Appointment type is required'],
+    enum: APPOINTMENT_TYPES
+  },
+  // Leave empty for the form used when no practice area has its own
+  practiceArea: {
+    type: String,
+    enum: PRACTICE_AREAS
+  },
+  fields: {
+    type: [intakeFieldSchema],
+    validate: {
+      validator: (fields) => fields.length > 0 && fields.length <= 50,
+      message: 'A form needs between 1 and 50 fields'
+    }
+  },
+  // Retired forms stay on appointments that used them but are no longer asked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active form per appointment type and practice area
+intakeFormSchema.index(
+  { appointmentType: 1, practiceArea: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+intakeFormSchema.pre('validate', function(next) {
+  const keys = new Set();
+  for (const field of this.fields) {
+    if (keys.has(field.key)) {
+      this.invalidate('fields', `Field key "${field.key}" is used more than once`);
+    }
+    keys.add(field.key);
+
+    if (['select', 'multiselect'].includes(field.type) && field.options.length === 0) {
+      this.invalidate('fields', `Field "${field.label}" needs at least one option`);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('IntakeForm', intakeFormSchema);
@@ -0,0 +1,313 @@
+// Invoice model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const { billingConfig, lineItemTypes } = require('../config/billingConfig');
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Invoice line item schema
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(lineItemTypes),
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Line item description is required'],
+    trim: true,
+    maxlength: [500, 'Line item description cannot exceed 500 characters']
+  },
+  date: Date,
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: 1
+  },
+  unit: {
+    type: String,
+    enum: ['hours', 'session', 'item'],
+    default: 'item'
+  },
+  unitPrice: {
+    type: Number,
+    min: [0, 'Unit price cannot be negative'],
+    required: [true, 'Unit price is required']
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  taxable: Boolean,
+
+  // Source records, so billed work is not invoiced twice
+  timeEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimeEntry'
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+});
+
+// Payment allocated against the invoice, either received directly or transferred from trust
+const paymentAllocationSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: function() {
+      return !this.trustTransactionId;
+    }
+  },
+  trustTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrustTransaction'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocated amount must be positive']
+  },
+  method: String,
+  reference: String,
+  allocatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Assigned when the invoice is issued; drafts have no number
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'partially_paid', 'paid', 'void'],
+    default: 'draft'
+  },
+
+  lineItems: [lineItemSchema],
+
+  currency: {
+    type: String,
+    default: billingConfig.currency
+  },
+
+  // Work period the invoice covers
+  periodStart: Date,
+  periodEnd: Date,
+
+  discount: {
+    type: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      default: 'fixed'
+    },
+    value: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      default: 0
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Discount reason cannot exceed 200 characters']
+    }
+  },
+
+  taxRate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: billingConfig.vatRate
+  },
+
+  // Derived amounts, recomputed on every save
+  subtotal: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 },
+  taxableAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  amountPaid: { type: Number, default: 0 },
+  balance: { type: Number, default: 0 },
+
+  payments: [paymentAllocationSchema],
+
+  issueDate: Date,
+  dueDate: Date,
+  paidAt: Date,
+
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+
+  // Void Information
+  voidReason: {
+    type: String,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Audit fields
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+invoiceSchema.index({ caseId: 1, createdAt: -1 });
+invoiceSchema.index({ clientId: 1, status: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual for overdue invoices
+invoiceSchema.virtual('isOverdue').get(function() {
+  return ['issued', 'partially_paid'].includes(this.status) && !!this.dueDate && this.dueDate < new Date();
+});
+
+// Recompute line amounts, discount, VAT, total and payment status
+invoiceSchema.pre('validate', function(next) {
+  let subtotal = 0;
+  let taxableSubtotal = 0;
+
+  this.lineItems.forEach(item => {
+    if (item.taxable === undefined || item.taxable === null) {
+      item.taxable = lineItemTypes[item.type]?.taxable !== false;
+    }
+    item.amount = roundMoney((item.quantity || 0) * (item.unitPrice || 0));
+    subtotal += item.amount;
+    if (item.taxable) {
+      taxableSubtotal += item.amount;
+    }
+  });
+
+  this.subtotal = roundMoney(subtotal);
+
+  const discountValue = this.discount?.value || 0;
+  this.discountAmount = this.discount?.type === 'percent'
+    ? roundMoney(this.subtotal * Math.min(discountValue, 100) / 100)
+    : roundMoney(Math.min(discountValue, this.subtotal));
+
+  // The discount reduces taxable and exempt items in proportion
+  this.taxableAmount = this.subtotal > 0
+    ? roundMoney(taxableSubtotal - this.discountAmount * (taxableSubtotal / this.subtotal))
+    : 0;
+  this.taxAmount = roundMoney(this.taxableAmount * this.taxRate);
+  this.total = roundMoney(this.subtotal - this.discountAmount + this.taxAmount);
+
+  this.amountPaid = roundMoney(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.balance = roundMoney(this.total - this.amountPaid);
+
+  if (!['draft', 'void'].includes(this.status)) {
+    if (this.total > 0 && this.balance <= 0) {
+      this.status = 'paid';
+      this.paidAt = this.paidAt || new Date();
+    } else {
+      this.status = this.amountPaid > 0 ? 'partially_paid' : 'issued';
+      this.paidAt = undefined;
+    }
+  }
+
+  next();
+});
+
+const resolveAllocation = (invoice, amount) => {
+  if (!['issued', 'partially_paid'].includes(invoice.status)) {
+    throw new Error(`Cannot allocate a payment to a ${invoice.status} invoice`);
+  }
+
+  const allocation = roundMoney(amount);
+  if (!(allocation > 0)) {
+    throw new Error('Allocated amount must be positive');
+  }
+  if (allocation > invoice.balance) {
+    throw new Error('Allocated amount exceeds the invoice balance');
+  }
+  return allocation;
+};
+
+// Method to allocate a completed payment to the invoice
+invoiceSchema.methods.allocatePayment = function(payment, amount, userId = null) {
+  if (this.payments.some(allocation => allocation.paymentId?.equals(payment._id))) {
+    throw new Error('Payment is already allocated to this invoice');
+  }
+
+  const allocation = resolveAllocation(this, amount !== undefined ? amount : Math.min(payment.amount, this.balance));
+
+  this.payments.push({
+    paymentId: payment._id,
+    amount: allocation,
+    method: payment.method,
+    reference: payment.mpesaDetails?.mpesaReceiptNumber || payment.transactionId,
+    allocatedBy: userId
+  });
+
+  return this.save();
+};
+
+// Method to apply a transfer from the client's trust sub-ledger to the invoice
+invoiceSchema.methods.allocateTrustTransfer = function(transaction, userId = null) {
+  if (this.payments.some(allocation => allocation.trustTransactionId?.equals(transaction._id))) {
+    throw new Error('Trust transfer is already applied to this invoice');
+  }
+
+  this.payments.push({
+    trustTransactionId: transaction._id,
+    amount: resolveAllocation(this, transaction.amount),
+    method: 'trust_transfer',
+    reference: transaction.reference,
+    allocatedBy: userId
+  });
+
+  return this.save();
+};
+
+/**
+ * Next invoice number for the year, e.g. INV-2026-0001
+ * @param {Date} date - Issue date
+ * @returns {String} Invoice number
+ */
+invoiceSchema.statics.generateInvoiceNumber = async function(date = new Date()) {
+  const prefix = `${billingConfig.invoicePrefix}-${date.getFullYear()}-`;
+  const last = await this.findOne({ invoiceNumber: { $regex: `^${prefix}` } })
+    .sort({ invoiceNumber: -1 })
+    .select('invoiceNumber');
+
+  const lastSequence = last ? parseInt(last.invoiceNumber.slice(prefix.length), 10) : 0;
+  return `${prefix}${String(lastSequence + 1).padStart(4, '0')}`;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
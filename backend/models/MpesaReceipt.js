@@ -0,0 +1,103 @@
+// M-Pesa Paybill/Till (C2B) receipt model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+// verifying -> matched | suspense -> allocated; receipts Daraja can't vouch for are rejected
+const RECEIPT_STATUSES = ['verifying', 'matched', 'suspense', 'allocated', 'rejected'];
+const MATCH_TYPES = ['case', 'invoice', 'phone', 'manual'];
+
+// One row per C2B confirmation from Safaricom. Each is checked with the
+// Transaction Status API first; verified receipts matched to a case, invoice or
+// client then become a completed Payment, and the rest wait in suspense until
+// an admin allocates them.
+const mpesaReceiptSchema = new mongoose.Schema({
+  // M-Pesa transaction ID (TransID), e.g. RKTQDM7W6S
+  transId: {
+    type: String,
+    required: [true, 'Transaction ID is required'],
+    unique: true,
+    trim: true
+  },
+  transactionType: String,
+  transTime: Date,
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  businessShortCode: String,
+  // Account number the client typed at the Paybill (BillRefNumber)
+  accountReference: {
+    type: String,
+    trim: true
+  },
+  phoneNumber: String,
+  payerName: String,
+
+  status: {
+    type: String,
+    enum: {
+      values: RECEIPT_STATUSES,
+      message: 'Receipt status must be one of: ' + RECEIPT_STATUSES.join(', ')
+    },
+    default: 'verifying'
+  },
+  matchedBy: {
+    type: String,
+    enum: MATCH_TYPES
+  },
+
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  // Set when an admin allocates a receipt out of suspense
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  allocatedAt: Date,
+  allocationNote: {
+    type: String,
+    maxlength: [500, 'Allocation note cannot exceed 500 characters']
+  },
+
+  // Transaction Status check with Daraja
+  verification: {
+    conversationID: String,
+    requestedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    verifiedAt: Date,
+    resultCode: Number,
+    resultDesc: String,
+    resultPayload: mongoose.Schema.Types.Mixed
+  },
+
+  rawPayload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+mpesaReceiptSchema.index({ status: 1, createdAt: -1 });
+mpesaReceiptSchema.index({ accountReference: 1 });
+mpesaReceiptSchema.index({ 'verification.conversationID': 1 }, { sparse: true });
+
+mpesaReceiptSchema.statics.RECEIPT_STATUSES = RECEIPT_STATUSES;
+mpesaReceiptSchema.statics.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = mongoose.model('MpesaReceipt', mpesaReceiptSchema);
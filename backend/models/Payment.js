@@ -3,6 +3,13 @@ const mongoose = require('mongoose');
 
 // M-Pesa specific schema for detailed transaction tracking
 const mpesaDetailsSchema = new mongoose.Schema({
+  // How the money came in: an STK push we sent, or the client paying the Paybill/Till directly
+  channel: {
+    type: String,
+    enum: ['stk_push', 'c2b'],
+    default: 'stk_push'
+  },
+
   // STK Push specific fields
   merchantRequestID: {
     type: String,
@@ -125,6 +132,17 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Case',
     index: true
   },
+  // Invoice the payment settles, allocated once the payment completes
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    index: true
+  },
+  // Trust ledger deposit, when the payment is client money held on account
+  trustTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrustTransaction'
+  },
 
   // Payment details
   amount: {
@@ -141,7 +159,7 @@ const paymentSchema = new mongoose.Schema({
   // Payment status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'timeout', 'refunded', 'partially_refunded'],
     default: 'pending',
     index: true
   },
@@ -157,7 +175,7 @@ const paymentSchema = new mongoose.Schema({
   // Payment type
   paymentType: {
     type: String,
-    enum: ['consultation_fee', 'case_fee', 'document_fee', 'court_fee', 'other'],
+    enum: ['consultation_fee', 'case_fee', 'document_fee', 'court_fee', 'cancellation_fee', 'no_show_fee', 'other'],
     default: 'consultation_fee'
   },
 
@@ -180,11 +198,39 @@ const paymentSchema = new mongoose.Schema({
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
 
-  // Refund information
+  // Instalment of a payment plan this payment collects
+  paymentPlan: {
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentPlan'
+    },
+    instalmentNumber: Number
+  },
+
+  // Set once the payment is confirmed against an imported bank or M-Pesa statement
+  reconciliation: {
+    statementImportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StatementImport'
+    },
+    statementLineId: mongoose.Schema.Types.ObjectId,
+    reconciledAt: Date,
+    reconciledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Refund information; refundAmount counts refunds paid out, refundPending those
+  // still awaiting approval or the B2C result
   refundAmount: {
     type: Number,
     default: 0
   },
+  refundPending: {
+    type: Number,
+    default: 0
+  },
   refundReason: {
     type: String
   },
@@ -229,6 +275,7 @@ paymentSchema.index({ appointmentId: 1, status: 1 });
 paymentSchema.index({ method: 1, status: 1 });
 paymentSchema.index({ 'mpesaDetails.checkoutRequestID': 1 });
 paymentSchema.index({ 'mpesaDetails.mpesaReceiptNumber': 1 });
+paymentSchema.index({ 'paymentPlan.planId': 1 }, { sparse: true });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 
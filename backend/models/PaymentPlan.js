@@ -0,0 +1,165 @@
+// Instalment payment plan model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const PLAN_STATUSES = ['active', 'completed', 'cancelled'];
+const INSTALMENT_STATUSES = ['scheduled', 'requested', 'paid', 'missed', 'cancelled'];
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const COLLECTION_METHODS = ['stk_push', 'reminder'];
+
+// Instalment 0 is the deposit when the plan has one
+const instalmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Instalment amount must be at least 1']
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: INSTALMENT_STATUSES,
+    default: 'scheduled'
+  },
+  // Latest payment raised for this instalment; earlier attempts stay on the payment history
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // When the STK push or reminder went out
+  requestedAt: Date,
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  paidAt: Date,
+  missedAt: Date
+}, { _id: false });
+
+const paymentPlanSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [1, 'Total amount must be at least 1']
+  },
+  depositAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative']
+  },
+  numberOfInstalments: {
+    type: Number,
+    required: [true, 'Number of instalments is required'],
+    min: [1, 'A plan needs at least one instalment']
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: FREQUENCIES,
+      message: 'Frequency must be one of: ' + FREQUENCIES.join(', ')
+    },
+    required: [true, 'Frequency is required']
+  },
+  // Due date of the first instalment after the deposit
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+
+  // Whether due instalments are requested by STK push or only reminded
+  collectionMethod: {
+    type: String,
+    enum: COLLECTION_METHODS,
+    default: 'stk_push'
+  },
+  phoneNumber: {
+    type: String,
+    required: function() {
+      return this.collectionMethod === 'stk_push';
+    }
+  },
+
+  instalments: [instalmentSchema],
+
+  status: {
+    type: String,
+    enum: PLAN_STATUSES,
+    default: 'active'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+paymentPlanSchema.index({ status: 1, 'instalments.status': 1, 'instalments.dueDate': 1 });
+paymentPlanSchema.index({ caseId: 1 });
+paymentPlanSchema.index({ invoiceId: 1 });
+
+paymentPlanSchema.virtual('amountPaid').get(function() {
+  return (this.instalments || [])
+    .filter(instalment => instalment.status === 'paid')
+    .reduce((sum, instalment) => sum + instalment.amount, 0);
+});
+
+paymentPlanSchema.virtual('amountOutstanding').get(function() {
+  return Math.max(this.totalAmount - this.amountPaid, 0);
+});
+
+paymentPlanSchema.virtual('percentPaid').get(function() {
+  return this.totalAmount > 0 ? Math.min(Math.round((this.amountPaid / this.totalAmount) * 100), 100) : 0;
+});
+
+paymentPlanSchema.virtual('missedCount').get(function() {
+  return (this.instalments || []).filter(instalment => instalment.status === 'missed').length;
+});
+
+// Earliest instalment still to be paid
+paymentPlanSchema.virtual('nextInstalment').get(function() {
+  return (this.instalments || []).find(instalment => ['scheduled', 'requested', 'missed'].includes(instalment.status)) || null;
+});
+
+paymentPlanSchema.statics.PLAN_STATUSES = PLAN_STATUSES;
+paymentPlanSchema.statics.INSTALMENT_STATUSES = INSTALMENT_STATUSES;
+paymentPlanSchema.statics.FREQUENCIES = FREQUENCIES;
+paymentPlanSchema.statics.COLLECTION_METHODS = COLLECTION_METHODS;
+
+module.exports = mongoose.model('PaymentPlan', paymentPlanSchema);
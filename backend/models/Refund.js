@@ -0,0 +1,149 @@
+// Refund request model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+// requested -> approved -> disbursing -> disbursed | failed; requests can also be rejected
+const REFUND_STATUSES = ['requested', 'approved', 'rejected', 'disbursing', 'disbursed', 'failed'];
+
+const approvalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  // Payment being refunded
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [1, 'Refund amount must be at least 1'],
+    // B2C pays whole shillings
+    validate: {
+      validator: Number.isInteger,
+      message: 'Refund amount must be a whole number of shillings'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // M-Pesa number the refund is paid to
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'requested'
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The requester counts as the first approval; refunds above the threshold need a second admin
+  requiredApprovals: {
+    type: Number,
+    default: 1
+  },
+  approvals: [approvalSchema],
+  approvedAt: Date,
+
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: String,
+
+  // B2C payout
+  disbursement: {
+    conversationID: String,
+    originatorConversationID: String,
+    requestPayload: mongoose.Schema.Types.Mixed,
+    responsePayload: mongoose.Schema.Types.Mixed,
+    initiatedAt: Date,
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    callbackPayload: mongoose.Schema.Types.Mixed,
+    callbackReceivedAt: Date,
+    resultCode: Number,
+    resultDesc: String,
+    transactionReceipt: String,
+    // Safaricom's queue timed out the request; the payout may still have gone through
+    timedOutAt: Date,
+    // Transaction Status queries for a payout with no B2C result
+    statusQuery: {
+      conversationID: String,
+      requestedAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      resultCode: Number,
+      resultDesc: String,
+      resultPayload: mongoose.Schema.Types.Mixed
+    }
+  },
+  disbursedAt: Date,
+  // Withdrawal from the client's trust sub-ledger when the original payment was held in trust
+  trustTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrustTransaction'
+  },
+  failedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ 'disbursement.conversationID': 1 }, { sparse: true });
+refundSchema.index({ 'disbursement.statusQuery.conversationID': 1 }, { sparse: true });
+
+refundSchema.virtual('approvalsRemaining').get(function() {
+  return Math.max(this.requiredApprovals - (this.approvals || []).length, 0);
+});
+
+refundSchema.virtual('formattedAmount').get(function() {
+  return `${this.currency} ${this.amount.toLocaleString()}`;
+});
+
+refundSchema.statics.REFUND_STATUSES = REFUND_STATUSES;
+
+module.exports = mongoose.model('Refund', refundSchema);
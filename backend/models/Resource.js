@@ -0,0 +1,62 @@
+// Bookable resource model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const RESOURCE_TYPES = ['room', 'projector', 'equipment', 'other'];
+
+// Meeting rooms and equipment that appointments can reserve. A resource's
+// calendar is the set of active appointments listing it in `resources`.
+const resourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Resource name is required'],
+    trim: true,
+    maxlength: [100, 'Resource name cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: RESOURCE_TYPES,
+      message: 'Resource type must be one of: ' + RESOURCE_TYPES.join(', ')
+    },
+    default: 'room'
+  },
+
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Seats, for rooms
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1']
+  },
+
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+
+  // Retired resources stay on past appointments but can't be booked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+resourceSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+resourceSchema.index({ isActive: 1, type: 1 });
+
+resourceSchema.statics.RESOURCE_TYPES = RESOURCE_TYPES;
+
+module.exports = mongoose.model('Resource', resourceSchema);
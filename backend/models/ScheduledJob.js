@@ -0,0 +1,69 @@
+// Scheduled background job model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+// One row per unit of deferred work (e.g. a single appointment reminder on a
+// single channel). Kept in MongoDB so queued work survives server restarts.
+const scheduledJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+
+  runAt: {
+    type: Date,
+    required: [true, 'Job run time is required']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: JOB_STATUSES,
+      message: 'Job status must be one of: ' + JOB_STATUSES.join(', ')
+    },
+    default: 'pending'
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Identifies the same piece of work so it is only queued once
+  dedupeKey: {
+    type: String,
+    trim: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+
+  // Set while a worker holds the job; stale locks are released after a timeout
+  lockedAt: Date,
+  lockedBy: String,
+
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+scheduledJobSchema.index({ type: 1, 'payload.appointmentId': 1, status: 1 });
+
+scheduledJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,100 @@
+// Bank and M-Pesa statement import model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const STATEMENT_SOURCES = ['bank_csv', 'bank_ofx', 'mpesa_csv'];
+const MATCH_STATUSES = ['matched', 'unmatched', 'discrepancy'];
+const REVIEW_STATUSES = ['pending', 'confirmed', 'rejected'];
+
+// One money-in line from the statement and what it was matched to
+const statementLineSchema = new mongoose.Schema({
+  lineNumber: Number,
+  date: Date,
+  amount: {
+    type: Number,
+    required: true
+  },
+  description: String,
+  // Bank reference or M-Pesa receipt number
+  reference: String,
+  phoneNumber: String,
+  payerName: String,
+
+  matchStatus: {
+    type: String,
+    enum: MATCH_STATUSES,
+    default: 'unmatched'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // How the line was matched: receipt, amount_date, or manual
+  matchedBy: String,
+  // Fields that differ from the matched payment, e.g. ['amount', 'date']
+  discrepancies: [String],
+
+  reviewStatus: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  },
+
+  raw: mongoose.Schema.Types.Mixed
+});
+
+const statementImportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: {
+      values: STATEMENT_SOURCES,
+      message: 'Statement source must be one of: ' + STATEMENT_SOURCES.join(', ')
+    },
+    required: [true, 'Statement source is required']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // First and last transaction dates on the statement
+  periodStart: Date,
+  periodEnd: Date,
+
+  lines: [statementLineSchema],
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+statementImportSchema.index({ createdAt: -1 });
+statementImportSchema.index({ 'lines.paymentId': 1 });
+
+// Line counts per match status, plus how many are still to review
+statementImportSchema.virtual('summary').get(function() {
+  const summary = { total: this.lines.length, matched: 0, unmatched: 0, discrepancy: 0, pendingReview: 0 };
+  this.lines.forEach(line => {
+    summary[line.matchStatus]++;
+    if (line.reviewStatus === 'pending') summary.pendingReview++;
+  });
+  return summary;
+});
+
+statementImportSchema.statics.STATEMENT_SOURCES = STATEMENT_SOURCES;
+statementImportSchema.statics.MATCH_STATUSES = MATCH_STATUSES;
+
+module.exports = mongoose.model('StatementImport', statementImportSchema);
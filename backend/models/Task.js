@@ -0,0 +1,190 @@
+// Case task model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+const TASK_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Statuses that still need someone to act
+const ACTIVE_TASK_STATUSES = ['open', 'in_progress'];
+
+const taskChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [300, 'Checklist item cannot exceed 300 characters']
+  },
+  isDone: {
+    type: Boolean,
+    default: false
+  },
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  doneAt: Date
+});
+
+const taskCommentSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One row per reminder sent, so each level goes out once (overdue once per day)
+const taskReminderSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['due_soon', 'due_today', 'overdue'],
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const taskSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Task title cannot exceed 200 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Task description cannot exceed 2000 characters']
+  },
+
+  // Advocate or admin responsible for the work
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  dueDate: Date,
+
+  status: {
+    type: String,
+    enum: {
+      values: TASK_STATUSES,
+      message: 'Status must be one of: ' + TASK_STATUSES.join(', ')
+    },
+    default: 'open'
+  },
+
+  priority: {
+    type: String,
+    enum: {
+      values: TASK_PRIORITIES,
+      message: 'Priority must be one of: ' + TASK_PRIORITIES.join(', ')
+    },
+    default: 'medium'
+  },
+
+  checklist: [taskChecklistItemSchema],
+  comments: [taskCommentSchema],
+  reminders: [taskReminderSchema],
+
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Set when the task came from a case template
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CaseTemplate'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+taskSchema.index({ caseId: 1, status: 1, dueDate: 1 });
+taskSchema.index({ assignedTo: 1, status: 1, dueDate: 1 });
+
+taskSchema.virtual('isOverdue').get(function() {
+  return ACTIVE_TASK_STATUSES.includes(this.status) && !!this.dueDate && this.dueDate < new Date();
+});
+
+taskSchema.virtual('checklistProgress').get(function() {
+  const items = this.checklist || [];
+  return {
+    done: items.filter(item => item.isDone).length,
+    total: items.length
+  };
+});
+
+// Keep completion details in step with the status
+taskSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    if (this.status === 'completed') {
+      this.completedAt = this.completedAt || new Date();
+    } else {
+      this.completedAt = undefined;
+      this.completedBy = undefined;
+    }
+  }
+
+  // A new due date or assignee starts the reminder schedule again
+  if (!this.isNew && (this.isModified('dueDate') || this.isModified('assignedTo'))) {
+    this.reminders = [];
+  }
+
+  next();
+});
+
+// Tick or untick a checklist item
+taskSchema.methods.setChecklistItem = function(itemId, isDone, userId) {
+  const item = this.checklist.id(itemId);
+  if (!item) {
+    const error = new Error('Checklist item not found');
+    error.code = 'CHECKLIST_ITEM_NOT_FOUND';
+    throw error;
+  }
+
+  item.isDone = isDone;
+  item.doneBy = isDone ? userId : undefined;
+  item.doneAt = isDone ? new Date() : undefined;
+  return this.save();
+};
+
+taskSchema.methods.addComment = function(content, userId) {
+  this.comments.push({ content, author: userId });
+  return this.save();
+};
+
+taskSchema.statics.TASK_STATUSES = TASK_STATUSES;
+taskSchema.statics.TASK_PRIORITIES = TASK_PRIORITIES;
+taskSchema.statics.ACTIVE_TASK_STATUSES = ACTIVE_TASK_STATUSES;
+
+module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,187 @@
+// Time entry model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const { activityCodes, billingConfig, roundToIncrement } = require('../config/billingConfig');
+
+const timeEntrySchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+
+  // Staff member who did the work
+  advocateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Advocate is required']
+  },
+
+  activityCode: {
+    type: String,
+    enum: {
+      values: Object.keys(activityCodes),
+      message: 'Invalid activity code'
+    },
+    required: [true, 'Activity code is required']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  entryType: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+
+  // Day the work was done
+  workDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Timer entries record start and end; manual entries may give duration only
+  startTime: Date,
+  endTime: Date,
+
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: 0
+  },
+
+  // Duration rounded up to the billing increment
+  billedMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Billing Information
+  billable: {
+    type: Boolean,
+    default: true
+  },
+
+  hourlyRate: {
+    type: Number,
+    min: [0, 'Hourly rate cannot be negative']
+  },
+
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Set once the entry is billed, so it is not invoiced twice
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+timeEntrySchema.index({ caseId: 1, workDate: -1 });
+timeEntrySchema.index({ advocateId: 1, workDate: -1 });
+timeEntrySchema.index({ caseId: 1, invoiceId: 1 });
+// One running timer per staff member
+timeEntrySchema.index(
+  { advocateId: 1, isRunning: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+// Virtual for hours, for display
+timeEntrySchema.virtual('hours').get(function() {
+  return Math.round((this.durationMinutes / 60) * 100) / 100;
+});
+
+// Derive duration, billed minutes and amount before validation
+timeEntrySchema.pre('validate', function(next) {
+  if (this.isRunning) {
+    this.endTime = undefined;
+    this.durationMinutes = 0;
+  } else if (this.startTime && this.endTime) {
+    if (this.endTime <= this.startTime) {
+      this.invalidate('endTime', 'End time must be after start time');
+      return next();
+    }
+    this.durationMinutes = Math.round((this.endTime - this.startTime) / (1000 * 60));
+  }
+
+  if (!this.isRunning && !(this.durationMinutes > 0)) {
+    this.invalidate('durationMinutes', 'Duration must be at least one minute');
+  } else if (this.durationMinutes > billingConfig.maxEntryMinutes) {
+    this.invalidate('durationMinutes', `A single time entry cannot exceed ${billingConfig.maxEntryMinutes / 60} hours`);
+  }
+
+  if (this.hourlyRate === undefined || this.hourlyRate === null) {
+    this.hourlyRate = billingConfig.defaultHourlyRate;
+  }
+
+  this.billedMinutes = this.billable ? roundToIncrement(this.durationMinutes) : 0;
+  this.amount = Math.round((this.billedMinutes / 60) * this.hourlyRate * 100) / 100;
+
+  next();
+});
+
+// Method to stop a running timer
+timeEntrySchema.methods.stopTimer = function(endTime = new Date()) {
+  if (!this.isRunning) {
+    throw new Error('Timer is not running');
+  }
+  this.isRunning = false;
+  this.endTime = endTime;
+  return this.save();
+};
+
+/**
+ * Sum time per case, for case statistics and billing
+ * @param {Object} match - Query on time entries (e.g. { caseId: { $in: ids } })
+ * @returns {Object} Totals in minutes and amount
+ */
+timeEntrySchema.statics.getTotals = async function(match = {}) {
+  const [totals] = await this.aggregate([
+    { $match: { ...match, isRunning: false } },
+    {
+      $group: {
+        _id: null,
+        entries: { $sum: 1 },
+        totalMinutes: { $sum: '$durationMinutes' },
+        billableMinutes: {
+          $sum: { $cond: ['$billable', '$durationMinutes', 0] }
+        },
+        nonBillableMinutes: {
+          $sum: { $cond: ['$billable', 0, '$durationMinutes'] }
+        },
+        billedMinutes: { $sum: '$billedMinutes' },
+        billableAmount: { $sum: '$amount' }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+
+  return totals || {
+    entries: 0,
+    totalMinutes: 0,
+    billableMinutes: 0,
+    nonBillableMinutes: 0,
+    billedMinutes: 0,
+    billableAmount: 0
+  };
+};
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -19,7 +19,11 @@ const transactionLogSchema = new mongoose.Schema({
       'B2C_PAYMENT',
       'ACCOUNT_BALANCE',
       'TRANSACTION_REVERSAL',
-      'CALLBACK_RECEIVED'
+      'TRANSACTION_STATUS_QUERY',
+      'CALLBACK_RECEIVED',
+      'C2B_REGISTER_URL',
+      'C2B_VALIDATION',
+      'C2B_CONFIRMATION'
     ],
     index: true
   },
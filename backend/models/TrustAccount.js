@@ -0,0 +1,69 @@
+// Client trust sub-ledger model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const { billingConfig } = require('../config/billingConfig');
+
+// Running balance of client money held for one client on one matter.
+// The journal in TrustTransaction is the source of truth; this balance is what
+// debits are checked against so a sub-ledger cannot be overdrawn concurrently.
+const trustAccountSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required']
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+  balance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: billingConfig.currency
+  },
+  lastTransactionAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+trustAccountSchema.index({ clientId: 1, caseId: 1 }, { unique: true });
+trustAccountSchema.index({ caseId: 1 });
+
+// Static method to add client money to the sub-ledger, opening it if needed
+trustAccountSchema.statics.credit = async function(clientId, caseId, amount) {
+  const update = {
+    $inc: { balance: amount },
+    $set: { lastTransactionAt: new Date() }
+  };
+
+  try {
+    return await this.findOneAndUpdate({ clientId, caseId }, update, { new: true, upsert: true });
+  } catch (error) {
+    // Two first deposits raced to open the sub-ledger; the other one created it
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate({ clientId, caseId }, update, { new: true });
+  }
+};
+
+/**
+ * Take money out of the sub-ledger only if it holds enough
+ * @returns {Object|null} Updated sub-ledger, or null if funds are insufficient
+ */
+trustAccountSchema.statics.debit = function(clientId, caseId, amount) {
+  return this.findOneAndUpdate(
+    // Half a cent of slack absorbs floating point drift in the running balance
+    { clientId, caseId, balance: { $gte: amount - 0.005 } },
+    {
+      $inc: { balance: -amount },
+      $set: { lastTransactionAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('TrustAccount', trustAccountSchema);
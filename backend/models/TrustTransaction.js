@@ -0,0 +1,227 @@
+// Client trust ledger journal model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const { billingConfig, disbursementCategories } = require('../config/billingConfig');
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Ledger accounts: the client bank account (asset) and the money owed back to
+// each client on each matter (liability)
+const TRUST_ACCOUNTS = ['trust_bank', 'client_ledger'];
+
+const journalEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: TRUST_ACCOUNTS,
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  debit: {
+    type: Number,
+    min: [0, 'Debit cannot be negative'],
+    default: 0
+  },
+  credit: {
+    type: Number,
+    min: [0, 'Credit cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+// Journal entries are append-only; mistakes are corrected by posting a new transaction
+const trustTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['deposit', 'transfer_to_office', 'disbursement'],
+    required: [true, 'Transaction type is required']
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required']
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: [true, 'Case is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: billingConfig.currency
+  },
+  entries: [journalEntrySchema],
+
+  // Source and destination documents
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  disbursement: {
+    category: {
+      type: String,
+      enum: Object.keys(disbursementCategories)
+    },
+    payee: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Payee cannot exceed 200 characters']
+    }
+  },
+
+  // M-Pesa receipt, invoice number or the payee's receipt number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  transactionDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Empty for deposits posted automatically from M-Pesa callbacks
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+trustTransactionSchema.index({ caseId: 1, transactionDate: 1 });
+trustTransactionSchema.index({ clientId: 1, transactionDate: 1 });
+trustTransactionSchema.index({ invoiceId: 1 });
+// A payment can only be credited to trust once
+trustTransactionSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: 'deposit', paymentId: { $exists: true } } }
+);
+
+// Net effect on the client sub-ledger (positive for money in)
+trustTransactionSchema.virtual('ledgerEffect').get(function() {
+  return roundMoney((this.entries || [])
+    .filter(entry => entry.account === 'client_ledger')
+    .reduce((sum, entry) => sum + entry.credit - entry.debit, 0));
+});
+
+// Every transaction must balance and every client line must name its matter
+trustTransactionSchema.pre('validate', function(next) {
+  if (this.entries.length < 2) {
+    this.invalidate('entries', 'A transaction needs at least two journal entries');
+    return next();
+  }
+
+  let debits = 0;
+  let credits = 0;
+  this.entries.forEach((entry, index) => {
+    entry.debit = roundMoney(entry.debit || 0);
+    entry.credit = roundMoney(entry.credit || 0);
+    if ((entry.debit > 0) === (entry.credit > 0)) {
+      this.invalidate(`entries.${index}`, 'Each journal entry must be either a debit or a credit');
+    }
+    if (entry.account === 'client_ledger' && (!entry.clientId || !entry.caseId)) {
+      this.invalidate(`entries.${index}`, 'Client ledger entries must name the client and case');
+    }
+    debits += entry.debit;
+    credits += entry.credit;
+  });
+
+  if (roundMoney(debits) !== roundMoney(credits)) {
+    this.invalidate('entries', 'Journal entries do not balance');
+  }
+
+  if (this.type === 'deposit' && !this.paymentId) {
+    this.invalidate('paymentId', 'Deposits must reference the payment received');
+  }
+  if (this.type === 'transfer_to_office' && !this.invoiceId) {
+    this.invalidate('invoiceId', 'Transfers to office must be applied to an invoice');
+  }
+  if (this.type === 'disbursement' && !this.disbursement?.category) {
+    this.invalidate('disbursement.category', 'Disbursement category is required');
+  }
+
+  next();
+});
+
+/**
+ * Client sub-ledger balances derived from the journal
+ * @param {Object} match - Filter on clientId/caseId (optional)
+ * @param {Date} asOf - Only count transactions up to this date (optional)
+ * @returns {Array} [{ clientId, caseId, credits, debits, balance, transactions }]
+ */
+trustTransactionSchema.statics.getSubLedgerBalances = function(match = {}, asOf = null) {
+  const transactionMatch = asOf ? { transactionDate: { $lte: new Date(asOf) } } : {};
+  const entryMatch = { 'entries.account': 'client_ledger' };
+  if (match.clientId) entryMatch['entries.clientId'] = new mongoose.Types.ObjectId(match.clientId);
+  if (match.caseId) entryMatch['entries.caseId'] = new mongoose.Types.ObjectId(match.caseId);
+
+  return this.aggregate([
+    { $match: transactionMatch },
+    { $unwind: '$entries' },
+    { $match: entryMatch },
+    {
+      $group: {
+        _id: { clientId: '$entries.clientId', caseId: '$entries.caseId' },
+        credits: { $sum: '$entries.credit' },
+        debits: { $sum: '$entries.debit' },
+        transactions: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        clientId: '$_id.clientId',
+        caseId: '$_id.caseId',
+        credits: { $round: ['$credits', 2] },
+        debits: { $round: ['$debits', 2] },
+        balance: { $round: [{ $subtract: ['$credits', '$debits'] }, 2] },
+        transactions: 1
+      }
+    },
+    { $sort: { balance: 1 } }
+  ]);
+};
+
+/**
+ * Trust bank balance derived from the journal
+ * @param {Date} asOf - Only count transactions up to this date (optional)
+ * @returns {Number} Money that should be sitting in the client account
+ */
+trustTransactionSchema.statics.getTrustBankBalance = async function(asOf = null) {
+  const transactionMatch = asOf ? { transactionDate: { $lte: new Date(asOf) } } : {};
+  const [result] = await this.aggregate([
+    { $match: transactionMatch },
+    { $unwind: '$entries' },
+    { $match: { 'entries.account': 'trust_bank' } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: { $subtract: ['$entries.debit', '$entries.credit'] } }
+      }
+    }
+  ]);
+  return roundMoney(result ? result.balance : 0);
+};
+
+module.exports = mongoose.model('TrustTransaction', trustTransactionSchema);
@@ -1,6 +1,10 @@
 // User model for LegalPro v1.0.1
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { buildConflictKeys, updateTouches } = require('../utils/conflictKeys');
+
+// Fields the conflict-of-interest search keys are built from
+const CONFLICT_KEY_FIELDS = ['firstName', 'lastName', 'email', 'phone'];
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -136,11 +140,43 @@ const userSchema = new mongoose.Schema({
   },
   // Password reset fields
   resetPasswordToken: String,
-  resetPasswordExpire: Date
+  resetPasswordExpire: Date,
+  // Name, email and phone keys searched by the conflict-of-interest check
+  conflictKeys: {
+    type: [String],
+    select: false,
+    default: undefined
+  }
 }, {
   timestamps: true
 });
 
+userSchema.index({ conflictKeys: 1 });
+
+const userConflictKeys = (user) => buildConflictKeys([{
+  name: `${user.firstName || ''} ${user.lastName || ''}`,
+  email: user.email,
+  phone: user.phone
+}]);
+
+// Keep conflict search keys in step with the user's name and contact details
+userSchema.pre('save', function(next) {
+  if (this.isNew || CONFLICT_KEY_FIELDS.some(field => this.isModified(field))) {
+    this.conflictKeys = userConflictKeys(this);
+  }
+  next();
+});
+
+userSchema.post('findOneAndUpdate', async function() {
+  if (!updateTouches(this.getUpdate(), CONFLICT_KEY_FIELDS)) return;
+  const user = await this.model.findOne(this.getQuery()).select(CONFLICT_KEY_FIELDS.join(' ')).lean();
+  if (user) {
+    await this.model.updateOne({ _id: user._id }, { $set: { conflictKeys: userConflictKeys(user) } });
+  }
+});
+
+userSchema.statics.conflictKeysFor = userConflictKeys;
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
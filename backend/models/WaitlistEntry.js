@@ -0,0 +1,104 @@
+// Appointment waitlist model for LegalPro v1.0.1
+const mongoose = require('mongoose');
+
+// A slot held for a waitlisted client until they accept, decline or the hold expires
+const waitlistOfferSchema = new mongoose.Schema({
+  startDateTime: {
+    type: Date,
+    required: true
+  },
+  endDateTime: {
+    type: Date,
+    required: true
+  },
+  // The freed slot the offer was cut from; passed to the next client if this one says no
+  slotEndDateTime: {
+    type: Date,
+    required: true
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// A client waiting for an opening with an advocate on a given day
+const waitlistEntrySchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  advocateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Firm-timezone calendar day (YYYY-MM-DD)
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+
+  duration: {
+    type: Number,
+    default: 60,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [240, 'Duration cannot exceed 4 hours']
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+    default: 'Consultation'
+  },
+
+  type: {
+    type: String,
+    enum: ['consultation', 'follow_up', 'court_preparation', 'document_review', 'mediation', 'other'],
+    default: 'consultation'
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+
+  offer: waitlistOfferSchema,
+
+  // Slot start times this client has declined or let lapse, so they are not offered again
+  passedSlots: [Date],
+
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ advocateId: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ clientId: 1, status: 1 });
+waitlistEntrySchema.index({ advocateId: 1, status: 1, 'offer.startDateTime': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -2,6 +2,7 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { protect, authorize } = require('../middleware/auth');
+const { validateReschedule, validateWaitlistEntry, validateRsvp, validateCaseConversion } = require('../middleware/validation');
 const {
   getAppointments,
   getAppointment,
@@ -9,8 +10,26 @@ const {
   updateAppointment,
   deleteAppointment,
   cancelAppointment,
+  rescheduleAppointment,
+  resolveNoShowReview,
+  respondToInvitation,
+  getFreeBusy,
+  getAppointmentPolicy,
+  getAppointmentStatistics,
+  getAppointmentSeries,
+  getAppointmentIcs,
+  getMeetingRoom,
+  getAppointmentAttendance,
+  convertAppointmentToCase,
   getAvailability
 } = require('../controllers/appointmentController');
+const {
+  getWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+} = require('../controllers/waitlistController');
 
 const router = express.Router();
 
@@ -50,26 +69,106 @@ router.get('/', getAppointments);
 // @access  Private (All authenticated users)
 router.get('/availability/:advocateId', getAvailability);
 
+// @desc    Get the client reschedule, cancellation and waitlist policy
+// @route   GET /api/appointments/policy
+// @access  Private (All authenticated users)
+router.get('/policy', getAppointmentPolicy);
+
+// @desc    Get appointment statistics, including no-show rates per client and advocate
+// @route   GET /api/appointments/statistics
+// @access  Private (All authenticated users, scoped to their own appointments)
+router.get('/statistics', getAppointmentStatistics);
+
+// @desc    Show which people and resources are free for a proposed time
+// @route   GET /api/appointments/free-busy
+// @access  Private (All authenticated users; clients see busy/free only)
+router.get('/free-busy', getFreeBusy);
+
+// @desc    Get a virtual meeting room and whether it is open to join
+// @route   GET /api/appointments/meetings/:roomId
+// @access  Private (Client, Advocate or participants of the appointment)
+router.get('/meetings/:roomId', getMeetingRoom);
+
+// @desc    Get waitlist entries (own for clients, own diary for advocates)
+// @route   GET /api/appointments/waitlist
+// @access  Private (All authenticated users)
+router.get('/waitlist', getWaitlist);
+
+// @desc    Join the waitlist for an advocate on a given day
+// @route   POST /api/appointments/waitlist
+// @access  Private (Clients, or staff on a client's behalf)
+router.post('/waitlist', validateWaitlistEntry, joinWaitlist);
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/appointments/waitlist/:id
+// @access  Private (Client, Advocate involved, or Admin)
+router.delete('/waitlist/:id', leaveWaitlist);
+
+// @desc    Book the slot offered from the waitlist
+// @route   POST /api/appointments/waitlist/:id/accept
+// @access  Private (Waitlisted client)
+router.post('/waitlist/:id/accept', acceptWaitlistOffer);
+
+// @desc    Decline the slot offered from the waitlist
+// @route   POST /api/appointments/waitlist/:id/decline
+// @access  Private (Waitlisted client)
+router.post('/waitlist/:id/decline', declineWaitlistOffer);
+
 // @desc    Get single appointment
 // @route   GET /api/appointments/:id
 // @access  Private (Client, Advocate involved, or Admin)
 router.get('/:id', getAppointment);
 
+// @desc    Get every occurrence of the recurring series an appointment belongs to
+// @route   GET /api/appointments/:id/series
+// @access  Private (Client, Advocate involved, or Admin)
+router.get('/:id/series', getAppointmentSeries);
+
+// @desc    Download an appointment as an iCalendar (.ics) file
+// @route   GET /api/appointments/:id/ics
+// @access  Private (Client, Advocate involved, or Admin)
+router.get('/:id/ics', getAppointmentIcs);
+
+// @desc    Get meeting room join and leave times for billing
+// @route   GET /api/appointments/:id/attendance
+// @access  Private (Advocate involved, or Admin)
+router.get('/:id/attendance', getAppointmentAttendance);
+
 // @desc    Create new appointment
 // @route   POST /api/appointments
 // @access  Private (All authenticated users with rate limiting)
 router.post('/', createAppointmentLimiter, createAppointment);
 
-// @desc    Update appointment
+// @desc    Open a case from a completed consultation
+// @route   POST /api/appointments/:id/convert-to-case
+// @access  Private (Advocate involved, or Admin)
+router.post('/:id/convert-to-case', authorize('advocate', 'admin'), validateCaseConversion, convertAppointmentToCase);
+
+// @desc    Update appointment (scope: this, following or series for recurring ones)
 // @route   PUT /api/appointments/:id
 // @access  Private (Client, Advocate involved, or Admin)
 router.put('/:id', updateAppointment);
 
-// @desc    Cancel appointment
+// @desc    Cancel appointment (scope: this, following or series for recurring ones)
 // @route   PUT /api/appointments/:id/cancel
 // @access  Private (Client, Advocate involved, or Admin)
 router.put('/:id/cancel', cancelAppointment);
 
+// @desc    Move an appointment to a new time (clients: within the firm's reschedule policy)
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private (Client, Advocate involved, or Admin)
+router.put('/:id/reschedule', validateReschedule, rescheduleAppointment);
+
+// @desc    Confirm a flagged no-show or mark the appointment completed
+// @route   PUT /api/appointments/:id/no-show-review
+// @access  Private (Advocate involved or Admin)
+router.put('/:id/no-show-review', authorize('advocate', 'admin'), resolveNoShowReview);
+
+// @desc    Accept, decline or tentatively accept an appointment invitation
+// @route   PUT /api/appointments/:id/rsvp
+// @access  Private (Participant, or Advocate involved/Admin for outside participants)
+router.put('/:id/rsvp', validateRsvp, respondToInvitation);
+
 // @desc    Delete appointment
 // @route   DELETE /api/appointments/:id
 // @access  Private (Admin or appointment creator only)
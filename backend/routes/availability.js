@@ -0,0 +1,77 @@
+// Advocate availability and holiday calendar routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateAvailabilityProfile,
+  validateAvailabilityOverride,
+  validateLeave,
+  validateHoliday
+} = require('../middleware/validation');
+const {
+  getAvailabilityProfile,
+  updateAvailabilityProfile,
+  addAvailabilityOverride,
+  removeAvailabilityOverride,
+  addLeave,
+  removeLeave,
+  getAdvocateSchedule,
+  getHolidayCalendar,
+  createHoliday,
+  deleteHoliday
+} = require('../controllers/availabilityController');
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/availability/holidays
+// @desc    Get statutory and firm holidays for a year
+// @access  Private (All authenticated users)
+router.get('/holidays', getHolidayCalendar);
+
+// @route   POST /api/availability/holidays
+// @desc    Add a firm holiday or closure
+// @access  Private (Advocate, or Admin with scheduling permission)
+router.post('/holidays', authorize('admin', 'advocate'), validateHoliday, createHoliday);
+
+// @route   DELETE /api/availability/holidays/:id
+// @desc    Remove a firm holiday
+// @access  Private (Advocate, or Admin with scheduling permission)
+router.delete('/holidays/:id', authorize('admin', 'advocate'), deleteHoliday);
+
+// @route   GET /api/availability/advocates/:advocateId/schedule
+// @desc    Get an advocate's working hours day by day
+// @access  Private (All authenticated users)
+router.get('/advocates/:advocateId/schedule', getAdvocateSchedule);
+
+// @route   GET /api/availability/advocates/:advocateId
+// @desc    Get an advocate's availability profile
+// @access  Private (Admin/Advocate)
+router.get('/advocates/:advocateId', authorize('admin', 'advocate'), getAvailabilityProfile);
+
+// @route   PUT /api/availability/advocates/:advocateId
+// @desc    Update weekly hours, breaks and slot interval
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+router.put('/advocates/:advocateId', authorize('admin', 'advocate'), validateAvailabilityProfile, updateAvailabilityProfile);
+
+// @route   POST /api/availability/advocates/:advocateId/overrides
+// @desc    Set hours for, or close, a single date
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+router.post('/advocates/:advocateId/overrides', authorize('admin', 'advocate'), validateAvailabilityOverride, addAvailabilityOverride);
+
+// @route   DELETE /api/availability/advocates/:advocateId/overrides/:overrideId
+// @desc    Remove a date override
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+router.delete('/advocates/:advocateId/overrides/:overrideId', authorize('admin', 'advocate'), removeAvailabilityOverride);
+
+// @route   POST /api/availability/advocates/:advocateId/leave
+// @desc    Record a leave period
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+router.post('/advocates/:advocateId/leave', authorize('admin', 'advocate'), validateLeave, addLeave);
+
+// @route   DELETE /api/availability/advocates/:advocateId/leave/:leaveId
+// @desc    Remove a leave period
+// @access  Private (Advocate themself, or Admin with scheduling permission)
+router.delete('/advocates/:advocateId/leave/:leaveId', authorize('admin', 'advocate'), removeLeave);
+
+module.exports = router;
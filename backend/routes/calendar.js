@@ -0,0 +1,33 @@
+// Calendar feed routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { validateCalendarFeedToken } = require('../middleware/validation');
+const {
+  getFeedTokens,
+  createFeedToken,
+  revokeFeedToken,
+  getCalendarFeed
+} = require('../controllers/calendarController');
+
+// @route   GET /api/calendar/feed-tokens
+// @desc    List the current user's calendar feed links
+// @access  Private
+router.get('/feed-tokens', protect, getFeedTokens);
+
+// @route   POST /api/calendar/feed-tokens
+// @desc    Create a calendar feed link
+// @access  Private
+router.post('/feed-tokens', protect, validateCalendarFeedToken, createFeedToken);
+
+// @route   DELETE /api/calendar/feed-tokens/:id
+// @desc    Revoke a calendar feed link
+// @access  Private
+router.delete('/feed-tokens/:id', protect, revokeFeedToken);
+
+// @route   GET /api/calendar/:token.ics
+// @desc    Subscribable iCalendar feed (calendar apps authenticate with the token)
+// @access  Public
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
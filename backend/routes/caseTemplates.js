@@ -0,0 +1,39 @@
+// Case template routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { validateCaseTemplate, validateCaseTemplateUpdate } = require('../middleware/validation');
+const {
+  getCaseTemplates,
+  getCaseTemplate,
+  createCaseTemplate,
+  updateCaseTemplate,
+  deleteCaseTemplate
+} = require('../controllers/caseTemplateController');
+
+// @route   GET /api/case-templates
+// @desc    Get case templates (optionally by category)
+// @access  Private (Admin/Advocate)
+router.get('/', protect, authorize('admin', 'advocate'), getCaseTemplates);
+
+// @route   GET /api/case-templates/:id
+// @desc    Get single case template
+// @access  Private (Admin/Advocate)
+router.get('/:id', protect, authorize('admin', 'advocate'), getCaseTemplate);
+
+// @route   POST /api/case-templates
+// @desc    Create case template
+// @access  Private (Advocate, or Admin with case management permission)
+router.post('/', protect, authorize('admin', 'advocate'), validateCaseTemplate, createCaseTemplate);
+
+// @route   PUT /api/case-templates/:id
+// @desc    Update case template
+// @access  Private (Advocate, or Admin with case management permission)
+router.put('/:id', protect, authorize('admin', 'advocate'), validateCaseTemplateUpdate, updateCaseTemplate);
+
+// @route   DELETE /api/case-templates/:id
+// @desc    Retire case template
+// @access  Private (Advocate, or Admin with case management permission)
+router.delete('/:id', protect, authorize('admin', 'advocate'), deleteCaseTemplate);
+
+module.exports = router;
@@ -2,8 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
-const { validateCase, validateCaseUpdate } = require('../middleware/validation');
+const { validateCase, validateCaseUpdate, validateStatusUpdate, validateConflictCheck, validateChecklistUpdate, validateTask, validateTaskUpdate, validateTaskChecklistItem, validateTaskComment, validateTimeEntry, validateTimeEntryUpdate, validateTimerStart } = require('../middleware/validation');
 const caseController = require('../controllers/caseController');
+const deadlineController = require('../controllers/deadlineController');
+const timeEntryController = require('../controllers/timeEntryController');
+const taskController = require('../controllers/taskController');
 
 const { uploadSingle } = require('../middleware/upload');
 
@@ -19,6 +22,26 @@ router.get('/stats', protect, caseController.getCaseStats);
 // @access  Private
 router.get('/search', protect, caseController.searchCases);
 
+// @route   GET /api/cases/search/documents
+// @desc    Full-text search across case documents
+// @access  Private
+router.get('/search/documents', protect, caseController.searchDocuments);
+
+// @route   POST /api/cases/conflict-check
+// @desc    Check client and parties for conflicts of interest
+// @access  Private (Admin/Advocate)
+router.post('/conflict-check', protect, authorize('admin', 'advocate'), validateConflictCheck, caseController.checkConflicts);
+
+// @route   GET /api/cases/deadline-rules
+// @desc    Get deadline rules for a case category
+// @access  Private (Admin/Advocate)
+router.get('/deadline-rules', protect, authorize('admin', 'advocate'), deadlineController.getDeadlineRules);
+
+// @route   GET /api/cases/time-entries/activity-codes
+// @desc    Get time entry activity codes and billing defaults
+// @access  Private (Admin/Advocate)
+router.get('/time-entries/activity-codes', protect, authorize('admin', 'advocate'), timeEntryController.getActivityCodes);
+
 
 // @route   GET /api/cases
 // @desc    Get all cases (filtered by user role)
@@ -78,6 +101,36 @@ router.get('/:id/documents/:docId/download', protect, caseController.downloadDoc
 // @access  Private
 router.delete('/:id/documents/:docId', protect, caseController.deleteDocument);
 
+// @route   GET /api/cases/:id/documents/:docId/versions
+// @desc    Get document version history
+// @access  Private
+router.get('/:id/documents/:docId/versions', protect, caseController.getDocumentVersions);
+
+// @route   POST /api/cases/:id/documents/:docId/versions
+// @desc    Upload a new version of a document
+// @access  Private
+router.post('/:id/documents/:docId/versions', protect, upload.single('document'), validateFileSize, handleUploadError, caseController.uploadDocumentVersion);
+
+// @route   POST /api/cases/:id/documents/:docId/versions/:version/restore
+// @desc    Restore an earlier document version
+// @access  Private
+router.post('/:id/documents/:docId/versions/:version/restore', protect, caseController.restoreDocumentVersion);
+
+// @route   POST /api/cases/:id/documents/:docId/checkout
+// @desc    Check out (lock) a document for editing
+// @access  Private
+router.post('/:id/documents/:docId/checkout', protect, caseController.checkOutDocument);
+
+// @route   POST /api/cases/:id/documents/:docId/checkin
+// @desc    Check in (unlock) a document
+// @access  Private
+router.post('/:id/documents/:docId/checkin', protect, caseController.checkInDocument);
+
+
+// @route   PUT /api/cases/:id/checklist/:itemId
+// @desc    Mark a required-documents checklist item received, waived or pending
+// @access  Private (Admin/Advocate)
+router.put('/:id/checklist/:itemId', protect, authorize('admin', 'advocate'), validateChecklistUpdate, caseController.updateChecklistItem);
 
 // @route   POST /api/cases/:id/notes
 // @desc    Add case note
@@ -85,9 +138,89 @@ router.delete('/:id/documents/:docId', protect, caseController.deleteDocument);
 router.post('/:id/notes', protect, caseController.addCaseNote);
 
 // @route   PUT /api/cases/:id/status
-// @desc    Update case status
+// @desc    Move case to another workflow stage
+// @access  Private (Admin/Advocate)
+router.put('/:id/status', protect, authorize('admin', 'advocate'), validateStatusUpdate, caseController.updateCaseStatus);
+
+// @route   GET /api/cases/:id/deadlines
+// @desc    Get case deadlines
+// @access  Private
+router.get('/:id/deadlines', protect, deadlineController.getCaseDeadlines);
+
+// @route   POST /api/cases/:id/deadlines
+// @desc    Add case deadline (from a rule or a manual due date)
+// @access  Private (Admin/Advocate)
+router.post('/:id/deadlines', protect, authorize('admin', 'advocate'), deadlineController.addCaseDeadline);
+
+// @route   PUT /api/cases/:id/deadlines/:deadlineId
+// @desc    Complete, waive or reopen case deadline
+// @access  Private (Admin/Advocate)
+router.put('/:id/deadlines/:deadlineId', protect, authorize('admin', 'advocate'), deadlineController.updateCaseDeadline);
+
+// @route   GET /api/cases/:id/tasks
+// @desc    Get case tasks
+// @access  Private (Admin/Advocate)
+router.get('/:id/tasks', protect, authorize('admin', 'advocate'), taskController.getCaseTasks);
+
+// @route   POST /api/cases/:id/tasks
+// @desc    Create case task
+// @access  Private (Admin/Advocate)
+router.post('/:id/tasks', protect, authorize('admin', 'advocate'), validateTask, taskController.createTask);
+
+// @route   GET /api/cases/:id/tasks/:taskId
+// @desc    Get single case task
+// @access  Private (Admin/Advocate)
+router.get('/:id/tasks/:taskId', protect, authorize('admin', 'advocate'), taskController.getTask);
+
+// @route   PUT /api/cases/:id/tasks/:taskId
+// @desc    Update case task
+// @access  Private (Admin/Advocate)
+router.put('/:id/tasks/:taskId', protect, authorize('admin', 'advocate'), validateTaskUpdate, taskController.updateTask);
+
+// @route   PUT /api/cases/:id/tasks/:taskId/checklist/:itemId
+// @desc    Tick or untick a task checklist item
+// @access  Private (Admin/Advocate)
+router.put('/:id/tasks/:taskId/checklist/:itemId', protect, authorize('admin', 'advocate'), validateTaskChecklistItem, taskController.updateTaskChecklistItem);
+
+// @route   POST /api/cases/:id/tasks/:taskId/comments
+// @desc    Comment on a case task
+// @access  Private (Admin/Advocate)
+router.post('/:id/tasks/:taskId/comments', protect, authorize('admin', 'advocate'), validateTaskComment, taskController.addTaskComment);
+
+// @route   DELETE /api/cases/:id/tasks/:taskId
+// @desc    Delete case task
+// @access  Private (Admin/Advocate)
+router.delete('/:id/tasks/:taskId', protect, authorize('admin', 'advocate'), taskController.deleteTask);
+
+// @route   GET /api/cases/:id/time-entries
+// @desc    Get case time entries with totals
+// @access  Private (Admin/Advocate)
+router.get('/:id/time-entries', protect, authorize('admin', 'advocate'), timeEntryController.getTimeEntries);
+
+// @route   POST /api/cases/:id/time-entries
+// @desc    Add manual time entry
+// @access  Private (Admin/Advocate)
+router.post('/:id/time-entries', protect, authorize('admin', 'advocate'), validateTimeEntry, timeEntryController.createTimeEntry);
+
+// @route   POST /api/cases/:id/time-entries/start
+// @desc    Start a timer on the case
+// @access  Private (Admin/Advocate)
+router.post('/:id/time-entries/start', protect, authorize('admin', 'advocate'), validateTimerStart, timeEntryController.startTimer);
+
+// @route   PUT /api/cases/:id/time-entries/:entryId/stop
+// @desc    Stop a running timer
+// @access  Private (Admin/Advocate)
+router.put('/:id/time-entries/:entryId/stop', protect, authorize('admin', 'advocate'), timeEntryController.stopTimer);
+
+// @route   PUT /api/cases/:id/time-entries/:entryId
+// @desc    Update time entry
+// @access  Private (Admin/Advocate)
+router.put('/:id/time-entries/:entryId', protect, authorize('admin', 'advocate'), validateTimeEntryUpdate, timeEntryController.updateTimeEntry);
+
+// @route   DELETE /api/cases/:id/time-entries/:entryId
+// @desc    Delete time entry
 // @access  Private (Admin/Advocate)
-router.put('/:id/status', protect, authorize('admin', 'advocate'), caseController.updateCaseStatus);
+router.delete('/:id/time-entries/:entryId', protect, authorize('admin', 'advocate'), timeEntryController.deleteTimeEntry);
 
 // @route   GET /api/cases/:id/timeline
 // @desc    Get case timeline
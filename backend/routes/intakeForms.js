@@ -0,0 +1,45 @@
+// Appointment intake form routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { validateIntakeForm, validateIntakeFormUpdate } = require('../middleware/validation');
+const {
+  getIntakeForms,
+  getMatchingIntakeForm,
+  getIntakeForm,
+  createIntakeForm,
+  updateIntakeForm,
+  deleteIntakeForm
+} = require('../controllers/intakeFormController');
+
+// @route   GET /api/intake-forms
+// @desc    Get intake forms (optionally by appointment type and practice area)
+// @access  Private (Admin/Advocate)
+router.get('/', protect, authorize('admin', 'advocate'), getIntakeForms);
+
+// @route   GET /api/intake-forms/match
+// @desc    Get the form to fill in when booking (?appointmentType=&practiceArea=)
+// @access  Private (All authenticated users)
+router.get('/match', protect, getMatchingIntakeForm);
+
+// @route   GET /api/intake-forms/:id
+// @desc    Get single intake form
+// @access  Private (Admin/Advocate)
+router.get('/:id', protect, authorize('admin', 'advocate'), getIntakeForm);
+
+// @route   POST /api/intake-forms
+// @desc    Create intake form
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), validateIntakeForm, createIntakeForm);
+
+// @route   PUT /api/intake-forms/:id
+// @desc    Update intake form
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), validateIntakeFormUpdate, updateIntakeForm);
+
+// @route   DELETE /api/intake-forms/:id
+// @desc    Retire intake form
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), deleteIntakeForm);
+
+module.exports = router;
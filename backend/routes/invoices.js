@@ -0,0 +1,69 @@
+// Invoice routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { validateInvoice, validateInvoiceUpdate } = require('../middleware/validation');
+const {
+  getInvoices,
+  getInvoice,
+  getUnbilledItems,
+  createInvoice,
+  updateInvoice,
+  issueInvoice,
+  voidInvoice,
+  deleteInvoice,
+  downloadInvoicePdf,
+  allocateInvoicePayment
+} = require('../controllers/invoiceController');
+
+// @route   GET /api/invoices
+// @desc    Get invoices (filtered by user role)
+// @access  Private
+router.get('/', protect, getInvoices);
+
+// @route   GET /api/invoices/unbilled
+// @desc    Preview unbilled time entries and appointments for a case
+// @access  Private (Admin/Advocate)
+router.get('/unbilled', protect, authorize('admin', 'advocate'), getUnbilledItems);
+
+// @route   POST /api/invoices
+// @desc    Create draft invoice for a case
+// @access  Private (Admin/Advocate)
+router.post('/', protect, authorize('admin', 'advocate'), validateInvoice, createInvoice);
+
+// @route   GET /api/invoices/:id
+// @desc    Get single invoice
+// @access  Private
+router.get('/:id', protect, getInvoice);
+
+// @route   PUT /api/invoices/:id
+// @desc    Update draft invoice
+// @access  Private (Admin/Advocate)
+router.put('/:id', protect, authorize('admin', 'advocate'), validateInvoiceUpdate, updateInvoice);
+
+// @route   DELETE /api/invoices/:id
+// @desc    Delete draft invoice
+// @access  Private (Admin/Advocate)
+router.delete('/:id', protect, authorize('admin', 'advocate'), deleteInvoice);
+
+// @route   POST /api/invoices/:id/issue
+// @desc    Issue draft invoice
+// @access  Private (Admin/Advocate)
+router.post('/:id/issue', protect, authorize('admin', 'advocate'), issueInvoice);
+
+// @route   POST /api/invoices/:id/void
+// @desc    Void invoice
+// @access  Private (Admin/Advocate)
+router.post('/:id/void', protect, authorize('admin', 'advocate'), voidInvoice);
+
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download invoice PDF
+// @access  Private
+router.get('/:id/pdf', protect, downloadInvoicePdf);
+
+// @route   POST /api/invoices/:id/payments
+// @desc    Allocate a completed payment to the invoice
+// @access  Private (Admin/Advocate)
+router.post('/:id/payments', protect, authorize('admin', 'advocate'), allocateInvoicePayment);
+
+module.exports = router;
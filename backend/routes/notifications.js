@@ -8,6 +8,8 @@ const {
   sendCaseUpdateNotification,
   sendPaymentConfirmation,
   sendAppointmentReminder,
+  sendDeadlineReminderNotifications,
+  sendTaskReminderNotifications,
   sendBulkNotification
 } = require('../controllers/notificationController');
 
@@ -32,10 +34,20 @@ router.post('/case-update', protect, authorize('admin', 'advocate'), sendCaseUpd
 router.post('/payment-confirmation', protect, sendPaymentConfirmation);
 
 // @route   POST /api/notifications/appointment-reminder
-// @desc    Send appointment reminders (for scheduled job)
+// @desc    Queue missing appointment reminders and send those already due
 // @access  Private (System/Admin)
 router.post('/appointment-reminder', protect, authorize('admin', 'advocate'), sendAppointmentReminder);
 
+// @route   POST /api/notifications/deadline-reminders
+// @desc    Send escalating case deadline reminders (for scheduled job)
+// @access  Private (System/Admin)
+router.post('/deadline-reminders', protect, authorize('admin', 'advocate'), sendDeadlineReminderNotifications);
+
+// @route   POST /api/notifications/task-reminders
+// @desc    Send due and overdue case task reminders (for scheduled job)
+// @access  Private (System/Admin)
+router.post('/task-reminders', protect, authorize('admin', 'advocate'), sendTaskReminderNotifications);
+
 // @route   POST /api/notifications/bulk
 // @desc    Send bulk notification
 // @access  Private (Admin/Super Admin)
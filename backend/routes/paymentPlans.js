@@ -0,0 +1,42 @@
+// Instalment payment plan routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validatePaymentPlan,
+  validateInstalmentPayment
+} = require('../middleware/validation');
+const {
+  createPlan,
+  getPlans,
+  getPlan,
+  payInstalment,
+  cancelPlan
+} = require('../controllers/paymentPlanController');
+
+// @route   POST /api/payment-plans
+// @desc    Set up an instalment plan for a case fee or invoice
+// @access  Private (Admin/Advocate)
+router.post('/', protect, authorize('admin', 'advocate'), validatePaymentPlan, createPlan);
+
+// @route   GET /api/payment-plans
+// @desc    List payment plans (clients see their own)
+// @access  Private
+router.get('/', protect, getPlans);
+
+// @route   GET /api/payment-plans/:id
+// @desc    Get a payment plan with its instalments
+// @access  Private
+router.get('/:id', protect, getPlan);
+
+// @route   POST /api/payment-plans/:id/instalments/:number/pay
+// @desc    Pay an instalment now by STK push
+// @access  Private
+router.post('/:id/instalments/:number/pay', protect, validateInstalmentPayment, payInstalment);
+
+// @route   POST /api/payment-plans/:id/cancel
+// @desc    Cancel a payment plan
+// @access  Private (Admin/Advocate)
+router.post('/:id/cancel', protect, authorize('admin', 'advocate'), cancelPlan);
+
+module.exports = router;
@@ -2,15 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const { protect, adminOnly } = require('../middleware/auth');
+const { validateRefundRequest } = require('../middleware/validation');
+const { createRefund } = require('../controllers/refundController');
 const {
   initiateSTKPush,
   validatePaymentInitiation,
   getPayments,
   queryPaymentStatus,
-  initiateRefund,
   handleSTKCallback,
   handleB2CCallback,
+  handleMpesaTimeout,
+  handleB2CStatusResult,
   getTransactionAnalytics,
+  registerC2BUrls,
+  handleC2BValidation,
+  handleC2BConfirmation,
+  handleC2BStatusResult,
+  verifyC2BCallbackToken,
+  getC2BReceipts,
+  allocateC2BReceipt,
+  validateC2BAllocation,
   // Legacy support
   initiatePayment,
   paymentCallback
@@ -24,21 +35,30 @@ router.post('/initiate', protect, validatePaymentInitiation, initiateSTKPush); /
 router.get('/', protect, getPayments);
 router.get('/:paymentId/status', protect, queryPaymentStatus);
 
-// Refund routes (admin only)
-router.post('/:paymentId/refund', protect, adminOnly, initiateRefund);
+// Refund requests (admin only); approvals are under /api/refunds
+router.post('/:paymentId/refund', protect, adminOnly, validateRefundRequest, createRefund);
 
 // M-Pesa callback routes (public routes - no authentication required)
 router.post('/mpesa/stk-callback', handleSTKCallback);
 router.post('/mpesa/b2c-callback', handleB2CCallback);
-router.post('/mpesa/timeout', (req, res) => {
-  console.log('M-Pesa timeout callback:', req.body);
-  res.status(200).json({ success: true });
-});
+router.post('/mpesa/timeout', handleMpesaTimeout);
 router.post('/mpesa/result', (req, res) => {
   console.log('M-Pesa result callback:', req.body);
   res.status(200).json({ success: true });
 });
 
+// M-Pesa Paybill/Till (C2B) callbacks (called by Safaricom with the callback token)
+router.post('/mpesa/c2b/validation', verifyC2BCallbackToken, handleC2BValidation);
+router.post('/mpesa/c2b/confirmation', verifyC2BCallbackToken, handleC2BConfirmation);
+router.post('/mpesa/c2b/status-result', verifyC2BCallbackToken, handleC2BStatusResult);
+// Transaction Status results for refund payouts (called by Safaricom with the same token)
+router.post('/mpesa/b2c/status-result', verifyC2BCallbackToken, handleB2CStatusResult);
+
+// Paybill/Till URL registration and suspense queue (admin only)
+router.post('/mpesa/c2b/register', protect, adminOnly, registerC2BUrls);
+router.get('/mpesa/c2b/receipts', protect, adminOnly, getC2BReceipts);
+router.post('/mpesa/c2b/receipts/:receiptId/allocate', protect, adminOnly, validateC2BAllocation, allocateC2BReceipt);
+
 // Legacy callback support
 router.post('/callback', handleSTKCallback);
 
@@ -0,0 +1,35 @@
+// Refund approval routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, adminOnly } = require('../middleware/auth');
+const { validateRefundDecision } = require('../middleware/validation');
+const {
+  getRefunds,
+  getRefund,
+  approve,
+  reject
+} = require('../controllers/refundController');
+
+// Refunds are requested from the payment: POST /api/payments/:paymentId/refund
+
+// @route   GET /api/refunds
+// @desc    List refunds, optionally by status or payment
+// @access  Private (Admin)
+router.get('/', protect, adminOnly, getRefunds);
+
+// @route   GET /api/refunds/:id
+// @desc    Get a refund with its approvals and payout result
+// @access  Private (Admin)
+router.get('/:id', protect, adminOnly, getRefund);
+
+// @route   POST /api/refunds/:id/approve
+// @desc    Approve a refund request; the final approval sends the B2C payout
+// @access  Private (Admin)
+router.post('/:id/approve', protect, adminOnly, validateRefundDecision, approve);
+
+// @route   POST /api/refunds/:id/reject
+// @desc    Reject a refund request and release the amount it held
+// @access  Private (Admin)
+router.post('/:id/reject', protect, adminOnly, validateRefundDecision, reject);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// Meeting room and equipment routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { validateResource, validateResourceUpdate } = require('../middleware/validation');
+const {
+  getResources,
+  createResource,
+  updateResource,
+  deactivateResource,
+  getResourceSchedule
+} = require('../controllers/resourceController');
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/resources
+// @desc    List bookable rooms and equipment
+// @access  Private (All authenticated users)
+router.get('/', getResources);
+
+// @route   POST /api/resources
+// @desc    Add a meeting room or piece of equipment
+// @access  Private (Admin/Advocate)
+router.post('/', authorize('admin', 'advocate'), validateResource, createResource);
+
+// @route   GET /api/resources/:id/schedule
+// @desc    Get a resource's bookings between two dates
+// @access  Private (All authenticated users)
+router.get('/:id/schedule', getResourceSchedule);
+
+// @route   PUT /api/resources/:id
+// @desc    Update a resource, or retire/restore it
+// @access  Private (Admin/Advocate)
+router.put('/:id', authorize('admin', 'advocate'), validateResourceUpdate, updateResource);
+
+// @route   DELETE /api/resources/:id
+// @desc    Retire a resource
+// @access  Private (Admin/Advocate)
+router.delete('/:id', authorize('admin', 'advocate'), deactivateResource);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// Bank and M-Pesa statement reconciliation routes for LegalPro v1.0.1
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+  validateStatementUpload,
+  validateStatementLineReview
+} = require('../middleware/validation');
+const {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  confirmLine,
+  rejectLine
+} = require('../controllers/statementController');
+const { statementReconciliationConfig } = require('../config/billingConfig');
+
+const STATEMENT_EXTENSIONS = ['.csv', '.ofx', '.qfx', '.txt'];
+
+// Statements are parsed straight from memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: statementReconciliationConfig.maxFileSizeBytes,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!STATEMENT_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`Statement must be one of: ${STATEMENT_EXTENSIONS.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+const receiveStatement = (req, res, next) => {
+  statementUpload.single('statement')(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Statement exceeds ${statementReconciliationConfig.maxFileSizeBytes / (1024 * 1024)}MB`
+        : error.message
+    });
+  });
+};
+
+// @route   POST /api/statements
+// @desc    Upload a bank (CSV/OFX) or M-Pesa (CSV) statement for reconciliation
+// @access  Private (Admin)
+router.post('/', protect, adminOnly, receiveStatement, validateStatementUpload, uploadStatement);
+
+// @route   GET /api/statements
+// @desc    List imported statements with match counts
+// @access  Private (Admin)
+router.get('/', protect, adminOnly, getStatements);
+
+// @route   GET /api/statements/:id
+// @desc    Get a statement's lines and the payments they matched
+// @access  Private (Admin)
+router.get('/:id', protect, adminOnly, getStatement);
+
+// @route   POST /api/statements/:id/lines/:lineId/confirm
+// @desc    Confirm a line against a payment, completing the payment if needed
+// @access  Private (Admin)
+router.post('/:id/lines/:lineId/confirm', protect, adminOnly, validateStatementLineReview, confirmLine);
+
+// @route   POST /api/statements/:id/lines/:lineId/reject
+// @desc    Reject a line's suggested match
+// @access  Private (Admin)
+router.post('/:id/lines/:lineId/reject', protect, adminOnly, validateStatementLineReview, rejectLine);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// Task routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getMyTasks } = require('../controllers/taskController');
+
+// @route   GET /api/tasks/mine
+// @desc    Get tasks assigned to the current user across cases
+// @access  Private (Admin/Advocate)
+router.get('/mine', protect, authorize('admin', 'advocate'), getMyTasks);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// Client trust account routes for LegalPro v1.0.1
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateTrustDeposit,
+  validateTrustTransfer,
+  validateTrustDisbursement
+} = require('../middleware/validation');
+const {
+  getTrustBalances,
+  getCaseTrustLedger,
+  createTrustDeposit,
+  createTrustTransfer,
+  createTrustDisbursement,
+  getReconciliationReport,
+  getDisbursementCategories
+} = require('../controllers/trustController');
+
+// @route   GET /api/trust/balances
+// @desc    Get client trust balances per case (filtered by user role)
+// @access  Private
+router.get('/balances', protect, getTrustBalances);
+
+// @route   GET /api/trust/cases/:caseId
+// @desc    Get trust ledger statement for a case
+// @access  Private
+router.get('/cases/:caseId', protect, getCaseTrustLedger);
+
+// @route   GET /api/trust/disbursement-categories
+// @desc    Get disbursement categories
+// @access  Private (Admin/Advocate)
+router.get('/disbursement-categories', protect, authorize('admin', 'advocate'), getDisbursementCategories);
+
+// @route   GET /api/trust/reconciliation
+// @desc    Reconcile the client account against the client sub-ledgers
+// @access  Private (Admin/Advocate)
+router.get('/reconciliation', protect, authorize('admin', 'advocate'), getReconciliationReport);
+
+// @route   POST /api/trust/deposits
+// @desc    Credit a completed payment to the client's trust sub-ledger
+// @access  Private (Admin/Advocate)
+router.post('/deposits', protect, authorize('admin', 'advocate'), validateTrustDeposit, createTrustDeposit);
+
+// @route   POST /api/trust/transfers
+// @desc    Transfer earned fees from trust to office against an invoice
+// @access  Private (Admin/Advocate)
+router.post('/transfers', protect, authorize('admin', 'advocate'), validateTrustTransfer, createTrustTransfer);
+
+// @route   POST /api/trust/disbursements
+// @desc    Record a disbursement paid out of trust
+// @access  Private (Admin/Advocate)
+router.post('/disbursements', protect, authorize('admin', 'advocate'), validateTrustDisbursement, createTrustDisbursement);
+
+module.exports = router;
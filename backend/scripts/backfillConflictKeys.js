@@ -0,0 +1,18 @@
+// Conflict key backfill script for LegalPro v1.0.1
+// Stores conflict-of-interest search keys on users and cases created before the
+// keys existed. Until it runs, the conflict check compares those records in full.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillConflictKeys } = require('../utils/conflictCheck');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const { users, cases } = await backfillConflictKeys();
+  console.log(`Conflict keys stored on ${users} users and ${cases} cases`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Conflict key backfill failed:', error);
+  process.exit(1);
+});
@@ -15,10 +15,21 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const caseRoutes = require('./routes/cases');
+const caseTemplateRoutes = require('./routes/caseTemplates');
+const intakeFormRoutes = require('./routes/intakeForms');
+const taskRoutes = require('./routes/tasks');
+const availabilityRoutes = require('./routes/availability');
 const appointmentRoutes = require('./routes/appointments');
+const resourceRoutes = require('./routes/resources');
+const calendarRoutes = require('./routes/calendar');
 const chatRoutes = require('./routes/chat');
 const dashboardRoutes = require('./routes/dashboard');
 const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const trustRoutes = require('./routes/trust');
+const statementRoutes = require('./routes/statements');
+const paymentPlanRoutes = require('./routes/paymentPlans');
+const refundRoutes = require('./routes/refunds');
 const notificationRoutes = require('./routes/notifications');
 const whatsappRoutes = require('./routes/whatsapp');
 
@@ -113,6 +124,15 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 const { sendEmail, sendSMS } = require('./utils/notificationService');
+const jobScheduler = require('./utils/jobScheduler');
+const { scheduleUpcomingReminders } = require('./utils/appointmentReminders');
+const { scheduleNoShowSweep } = require('./utils/noShowDetection');
+const { scheduleReconciliationSweep } = require('./utils/paymentReconciliation');
+const { scheduleVerificationSweep } = require('./utils/mpesaC2B');
+const { scheduleInstalmentSweep } = require('./utils/paymentPlans');
+const { scheduleStaleRefundSweep } = require('./utils/refunds');
+const { scheduleDeadlineReminderSweep } = require('./utils/deadlineUtils');
+const { scheduleTaskReminderSweep } = require('./utils/taskUtils');
 
 // Connect to MongoDB Atlas
 mongoose.connect(process.env.MONGODB_URI, {
@@ -121,6 +141,33 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(async () => {
   console.log('MongoDB connected');
 
+  // Start background jobs (appointment reminders, no-show sweep, M-Pesa reconciliation, Paybill verification, instalment plans, stale refund payouts, case deadline and task reminders); tests drive the scheduler directly
+  if (process.env.NODE_ENV !== 'test' && process.env.JOB_SCHEDULER_ENABLED !== 'false') {
+    try {
+      const queued = await scheduleUpcomingReminders();
+      console.log(`Queued ${queued} upcoming appointment reminders`);
+    } catch (schedulerError) {
+      console.error('Reminder backfill error:', schedulerError);
+    }
+    const sweeps = [
+      ['No-show sweep', scheduleNoShowSweep],
+      ['M-Pesa reconciliation', scheduleReconciliationSweep],
+      ['Paybill verification sweep', scheduleVerificationSweep],
+      ['Instalment sweep', scheduleInstalmentSweep],
+      ['Stale refund sweep', scheduleStaleRefundSweep],
+      ['Deadline reminder sweep', scheduleDeadlineReminderSweep],
+      ['Task reminder sweep', scheduleTaskReminderSweep]
+    ];
+    for (const [label, scheduleSweep] of sweeps) {
+      try {
+        await scheduleSweep();
+      } catch (schedulerError) {
+        console.error(`${label} scheduling error:`, schedulerError);
+      }
+    }
+    jobScheduler.start();
+  }
+
   // Send notification on successful connection
   try {
     const message = 'MongoDB connection established successfully for Advocate backend.';
@@ -147,10 +194,21 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/cases', caseRoutes);
+app.use('/api/case-templates', caseTemplateRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/availability', availabilityRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/intake-forms', intakeFormRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/trust', trustRoutes);
+app.use('/api/statements', statementRoutes);
+app.use('/api/payment-plans', paymentPlanRoutes);
+app.use('/api/refunds', refundRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/files', fileRoutes);
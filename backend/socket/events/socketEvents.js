@@ -61,6 +61,21 @@ const SOCKET_EVENTS = {
   ERROR: 'error',
   UNAUTHORIZED: 'unauthorized',
 
+  // Virtual meeting room events (WebRTC signalling)
+  MEETING_JOIN: 'meeting_join',
+  MEETING_JOINED: 'meeting_joined',
+  MEETING_WAITING: 'meeting_waiting',
+  MEETING_WAITING_LIST: 'meeting_waiting_list',
+  MEETING_ADMIT: 'meeting_admit',
+  MEETING_DENY: 'meeting_deny',
+  MEETING_DENIED: 'meeting_denied',
+  MEETING_PEER_JOINED: 'meeting_peer_joined',
+  MEETING_PEER_LEFT: 'meeting_peer_left',
+  MEETING_SIGNAL: 'meeting_signal',
+  MEETING_LEAVE: 'meeting_leave',
+  MEETING_END: 'meeting_end',
+  MEETING_ENDED: 'meeting_ended',
+
   // Admin events
   ADMIN_MESSAGE: 'admin_message',
   USER_BANNED: 'user_banned',
@@ -154,6 +169,35 @@ const EVENT_SCHEMAS = {
     properties: {
       conversationId: { type: 'string', pattern: /^[0-9a-fA-F]{24}$/ }
     }
+  },
+
+  [SOCKET_EVENTS.MEETING_JOIN]: {
+    required: ['roomId'],
+    properties: {
+      roomId: { type: 'string', pattern: /^[0-9a-f]{32}$/ }
+    }
+  },
+
+  [SOCKET_EVENTS.MEETING_ADMIT]: {
+    required: ['socketId'],
+    properties: {
+      socketId: { type: 'string', maxLength: 100 }
+    }
+  },
+
+  [SOCKET_EVENTS.MEETING_DENY]: {
+    required: ['socketId'],
+    properties: {
+      socketId: { type: 'string', maxLength: 100 }
+    }
+  },
+
+  [SOCKET_EVENTS.MEETING_SIGNAL]: {
+    required: ['to', 'signal'],
+    properties: {
+      to: { type: 'string', maxLength: 100 },
+      signal: { type: 'object' }
+    }
   }
 };
 
@@ -265,6 +309,16 @@ const RATE_LIMITS = {
     duration: 60, // Per minute
     blockDuration: 30 // Block for 30 seconds
   },
+  [SOCKET_EVENTS.MEETING_SIGNAL]: {
+    points: 600, // Offers, answers and ICE candidates
+    duration: 60, // Per minute
+    blockDuration: 10 // Block for 10 seconds
+  },
+  [SOCKET_EVENTS.MEETING_JOIN]: {
+    points: 20, // Join attempts
+    duration: 60, // Per minute
+    blockDuration: 60 // Block for 1 minute
+  },
   [SOCKET_EVENTS.FILE_UPLOAD_START]: {
     points: 10, // Number of file uploads
     duration: 3600, // Per hour
@@ -4,9 +4,11 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const Appointment = require('../models/Appointment');
 const { rateLimiter } = require('./middleware/rateLimiter');
 const { validateMessage } = require('./middleware/validation');
-const socketEvents = require('./events/socketEvents');
+const { SOCKET_EVENTS: socketEvents, validateEventData } = require('./events/socketEvents');
+const { checkMeetingAccess, recordMeetingJoin, recordMeetingLeave } = require('../utils/meetingRooms');
 
 class ChatSocketServer {
   constructor(httpServer) {
@@ -23,6 +25,8 @@ class ChatSocketServer {
     this.onlineUsers = new Map(); // userId -> { socketId, lastSeen, status }
     this.userSockets = new Map(); // socketId -> userId
     this.typingUsers = new Map(); // conversationId -> Set of userIds
+    // roomId -> { appointmentId, members: Map(socketId -> member), waiting: Map(socketId -> member), admitted: Set of userIds }
+    this.meetings = new Map();
 
     this.setupMiddleware();
     this.setupEventHandlers();
@@ -126,6 +130,9 @@ class ChatSocketServer {
     // Clear typing indicators
     this.clearUserTyping(userId);
 
+    // Leave any meeting room, closing the attendance entry
+    await this.handleMeetingLeave(socket);
+
     // Broadcast user offline status
     await this.broadcastUserStatus(userId, 'offline');
 
@@ -183,6 +190,31 @@ class ChatSocketServer {
     socket.on(socketEvents.REMOVE_REACTION, async (data) => {
       await this.handleRemoveReaction(socket, data);
     });
+
+    // Virtual meeting rooms
+    socket.on(socketEvents.MEETING_JOIN, async (data) => {
+      await this.handleMeetingJoin(socket, data);
+    });
+
+    socket.on(socketEvents.MEETING_ADMIT, async (data) => {
+      await this.handleMeetingAdmit(socket, data);
+    });
+
+    socket.on(socketEvents.MEETING_DENY, (data) => {
+      this.handleMeetingDeny(socket, data);
+    });
+
+    socket.on(socketEvents.MEETING_SIGNAL, (data) => {
+      this.handleMeetingSignal(socket, data);
+    });
+
+    socket.on(socketEvents.MEETING_LEAVE, async () => {
+      await this.handleMeetingLeave(socket);
+    });
+
+    socket.on(socketEvents.MEETING_END, async () => {
+      await this.handleMeetingEnd(socket);
+    });
   }
 
   async handleSendMessage(socket, data) {
@@ -593,6 +625,189 @@ class ChatSocketServer {
     }
   }
 
+  // Virtual meeting rooms: the server checks access, keeps the waiting room and
+  // relays WebRTC offers, answers and ICE candidates between admitted members
+  async handleMeetingJoin(socket, data = {}) {
+    try {
+      const errors = validateEventData(socketEvents.MEETING_JOIN, data);
+      if (errors) {
+        return socket.emit(socketEvents.ERROR, { message: errors[0] });
+      }
+
+      const appointment = await Appointment.findOne({ 'meetingRoom.roomId': data.roomId })
+        .select('advocateId clientId participants status startDateTime endDateTime meetingRoom');
+      const access = checkMeetingAccess(appointment, socket.user);
+      if (access.error) {
+        return socket.emit(socketEvents.ERROR, { message: access.error });
+      }
+      if (access.state !== 'open') {
+        return socket.emit(socketEvents.ERROR, {
+          message: access.state === 'not_open'
+            ? `The meeting room opens at ${access.opensAt.toISOString()}`
+            : 'This meeting has closed'
+        });
+      }
+
+      // One meeting per connection
+      if (socket.meeting) {
+        await this.handleMeetingLeave(socket);
+      }
+
+      let meeting = this.meetings.get(data.roomId);
+      if (!meeting) {
+        meeting = { appointmentId: appointment._id, members: new Map(), waiting: new Map(), admitted: new Set() };
+        this.meetings.set(data.roomId, meeting);
+      }
+
+      const member = {
+        socketId: socket.id,
+        userId: socket.userId,
+        name: `${socket.user.firstName} ${socket.user.lastName}`,
+        role: access.role
+      };
+      socket.meeting = { roomId: data.roomId };
+
+      // Guests the advocate let in earlier can rejoin after a dropped connection
+      if (access.role === 'host' || meeting.admitted.has(socket.userId)) {
+        return await this.admitToMeeting(socket, meeting, member);
+      }
+
+      meeting.waiting.set(socket.id, member);
+      socket.emit(socketEvents.MEETING_WAITING, { roomId: data.roomId });
+      this.sendWaitingList(meeting);
+    } catch (error) {
+      console.error('Error joining meeting:', error);
+      socket.emit(socketEvents.ERROR, { message: 'Failed to join meeting' });
+    }
+  }
+
+  async admitToMeeting(socket, meeting, member) {
+    const { roomId } = socket.meeting;
+    const peers = [...meeting.members.values()];
+
+    meeting.members.set(socket.id, member);
+    meeting.admitted.add(member.userId);
+    socket.join(`meeting_${roomId}`);
+    socket.meeting.attendanceId = await recordMeetingJoin(meeting.appointmentId, socket.user);
+
+    // The newcomer calls everyone already in the room
+    socket.emit(socketEvents.MEETING_JOINED, { roomId, role: member.role, self: socket.id, peers });
+    socket.to(`meeting_${roomId}`).emit(socketEvents.MEETING_PEER_JOINED, member);
+    if (member.role === 'host') {
+      this.sendWaitingList(meeting);
+    }
+  }
+
+  // Only the advocate sees who is waiting
+  sendWaitingList(meeting) {
+    const waiting = [...meeting.waiting.values()];
+    for (const member of meeting.members.values()) {
+      if (member.role === 'host') {
+        this.io.to(member.socketId).emit(socketEvents.MEETING_WAITING_LIST, { waiting });
+      }
+    }
+  }
+
+  // The meeting the socket is hosting, or null
+  getHostedMeeting(socket) {
+    const meeting = socket.meeting && this.meetings.get(socket.meeting.roomId);
+    if (!meeting || meeting.members.get(socket.id)?.role !== 'host') {
+      socket.emit(socketEvents.ERROR, { message: 'Only the advocate can manage the meeting' });
+      return null;
+    }
+    return meeting;
+  }
+
+  async handleMeetingAdmit(socket, data = {}) {
+    try {
+      const meeting = this.getHostedMeeting(socket);
+      if (!meeting) return;
+
+      const guest = meeting.waiting.get(data.socketId);
+      const guestSocket = this.io.sockets.sockets.get(data.socketId);
+      meeting.waiting.delete(data.socketId);
+      if (guest && guestSocket) {
+        await this.admitToMeeting(guestSocket, meeting, guest);
+      }
+      this.sendWaitingList(meeting);
+    } catch (error) {
+      console.error('Error admitting to meeting:', error);
+      socket.emit(socketEvents.ERROR, { message: 'Failed to admit participant' });
+    }
+  }
+
+  handleMeetingDeny(socket, data = {}) {
+    const meeting = this.getHostedMeeting(socket);
+    if (!meeting) return;
+
+    if (meeting.waiting.delete(data.socketId)) {
+      const guestSocket = this.io.sockets.sockets.get(data.socketId);
+      if (guestSocket) {
+        guestSocket.meeting = null;
+        guestSocket.emit(socketEvents.MEETING_DENIED, { message: 'The advocate did not admit you to this meeting' });
+      }
+    }
+    this.sendWaitingList(meeting);
+  }
+
+  // Relay an offer, answer or ICE candidate between two members of the same meeting
+  handleMeetingSignal(socket, data = {}) {
+    const errors = validateEventData(socketEvents.MEETING_SIGNAL, data);
+    if (errors) {
+      return socket.emit(socketEvents.ERROR, { message: errors[0] });
+    }
+
+    const meeting = socket.meeting && this.meetings.get(socket.meeting.roomId);
+    if (!meeting || !meeting.members.has(socket.id) || !meeting.members.has(data.to)) {
+      return socket.emit(socketEvents.ERROR, { message: 'Not in this meeting' });
+    }
+
+    this.io.to(data.to).emit(socketEvents.MEETING_SIGNAL, { from: socket.id, signal: data.signal });
+  }
+
+  async handleMeetingLeave(socket) {
+    const roomId = socket.meeting?.roomId;
+    const meeting = roomId && this.meetings.get(roomId);
+    const attendanceId = socket.meeting?.attendanceId;
+    socket.meeting = null;
+    if (!meeting) return;
+
+    try {
+      if (meeting.waiting.delete(socket.id)) {
+        this.sendWaitingList(meeting);
+      }
+
+      if (meeting.members.delete(socket.id)) {
+        socket.leave(`meeting_${roomId}`);
+        socket.to(`meeting_${roomId}`).emit(socketEvents.MEETING_PEER_LEFT, { socketId: socket.id });
+        if (attendanceId) {
+          await recordMeetingLeave(meeting.appointmentId, attendanceId);
+        }
+      }
+    } catch (error) {
+      console.error('Error leaving meeting:', error);
+    } finally {
+      if (meeting.members.size === 0 && meeting.waiting.size === 0) {
+        this.meetings.delete(roomId);
+      }
+    }
+  }
+
+  // The advocate ends the meeting for everyone
+  async handleMeetingEnd(socket) {
+    const meeting = this.getHostedMeeting(socket);
+    if (!meeting) return;
+
+    const sockets = [...meeting.members.keys(), ...meeting.waiting.keys()]
+      .map(socketId => this.io.sockets.sockets.get(socketId))
+      .filter(Boolean);
+
+    for (const memberSocket of sockets) {
+      memberSocket.emit(socketEvents.MEETING_ENDED, { message: 'The advocate ended the meeting' });
+      await this.handleMeetingLeave(memberSocket);
+    }
+  }
+
   getOnlineParticipants(conversation) {
     return conversation.participants
       .filter(p => !p.leftAt)
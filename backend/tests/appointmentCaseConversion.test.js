@@ -0,0 +1,136 @@
+// Consultation-to-case conversion API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Case = require('../models/Case');
+const Payment = require('../models/Payment');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Appointment Case Conversion API', () => {
+  let advocateToken, clientToken;
+  let advocateUser, clientUser;
+  let appointment;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'convert-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV081',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'convert-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({}),
+      Case.deleteMany({}),
+      Payment.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Appointment.deleteMany({}),
+      Case.deleteMany({}),
+      Payment.deleteMany({})
+    ]);
+
+    // Appointments can't be created in the past, so create one and move it back
+    appointment = await Appointment.create({
+      title: 'Custody consultation',
+      description: 'Client wants custody of two children',
+      clientId: clientUser._id,
+      advocateId: advocateUser._id,
+      bookedBy: clientUser._id,
+      type: 'consultation',
+      practiceArea: 'Family Law',
+      startDateTime: new Date(Date.now() + HOUR_MS),
+      endDateTime: new Date(Date.now() + 2 * HOUR_MS),
+      notes: [{ content: 'Bring the birth certificates', author: advocateUser._id }]
+    });
+    await Appointment.updateOne({ _id: appointment._id }, {
+      status: 'completed',
+      startDateTime: new Date(Date.now() - 3 * HOUR_MS),
+      endDateTime: new Date(Date.now() - 2 * HOUR_MS),
+      completedAt: new Date(Date.now() - 2 * HOUR_MS)
+    });
+  });
+
+  const convert = (body = {}, token = advocateToken) => request(app)
+    .post(`/api/appointments/${appointment._id}/convert-to-case`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  test('should open a case linked to the appointment and its consultation fee', async () => {
+    const payment = await Payment.create({
+      clientId: clientUser._id,
+      appointmentId: appointment._id,
+      amount: 3000,
+      method: 'mpesa',
+      paymentType: 'consultation_fee',
+      status: 'completed'
+    });
+
+    const response = await convert().expect(201);
+    expect(response.body.linkedPayments).toBe(1);
+
+    const caseItem = await Case.findById(response.body.data._id);
+    expect(caseItem).toMatchObject({ title: 'Custody consultation', category: 'Family Law' });
+    expect(caseItem.notes[0].content).toBe('Bring the birth certificates');
+    expect(caseItem.timeline.map(event => event.event)).toEqual([
+      'consultation_booked',
+      'consultation_completed',
+      'opened_from_consultation'
+    ]);
+
+    const updated = await Appointment.findById(appointment._id);
+    expect(updated.caseId.toString()).toBe(caseItem._id.toString());
+    expect(updated.timeline[0].event).toBe('converted_to_case');
+
+    const linkedPayment = await Payment.findById(payment._id);
+    expect(linkedPayment.caseId.toString()).toBe(caseItem._id.toString());
+  });
+
+  test('should not convert an appointment twice', async () => {
+    await convert().expect(201);
+    await convert().expect(409);
+
+    expect(await Case.countDocuments()).toBe(1);
+  });
+
+  test('should not convert an appointment that has not happened', async () => {
+    await Appointment.updateOne({ _id: appointment._id }, { status: 'scheduled' });
+
+    await convert().expect(400);
+  });
+
+  test('should not let clients convert appointments', async () => {
+    await convert({}, clientToken).expect(403);
+  });
+});
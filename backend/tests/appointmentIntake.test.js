@@ -0,0 +1,175 @@
+// Appointment intake questionnaire API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Case = require('../models/Case');
+const IntakeForm = require('../models/IntakeForm');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Appointment Intake API', () => {
+  let adminToken, advocateToken, clientToken, colleagueToken;
+  let advocateUser, clientUser, colleagueUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    const adminUser = await User.create({
+      firstName: 'Ann',
+      lastName: 'Admin',
+      email: 'intake-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'intake-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV071',
+      isVerified: true,
+      isActive: true
+    });
+
+    colleagueUser = await User.create({
+      firstName: 'Mary',
+      lastName: 'Counsel',
+      email: 'intake-colleague@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV072',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'intake-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET);
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    colleagueToken = jwt.sign({ id: colleagueUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({}),
+      Case.deleteMany({}),
+      IntakeForm.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Appointment.deleteMany({}),
+      IntakeForm.deleteMany({})
+    ]);
+
+    await request(app)
+      .post('/api/intake-forms')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Family consultation',
+        appointmentType: 'consultation',
+        practiceArea: 'Family Law',
+        fields: [
+          { key: 'summary', label: 'What happened?', type: 'textarea', required: true },
+          { key: 'county', label: 'County', type: 'select', options: ['Nairobi', 'Mombasa'], required: true }
+        ]
+      })
+      .expect(201);
+  });
+
+  const book = (body, token = clientToken) => request(app)
+    .post('/api/appointments')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title: 'Custody consultation',
+      clientId: clientUser._id,
+      advocateId: advocateUser._id,
+      type: 'consultation',
+      practiceArea: 'Family Law',
+      startDateTime: new Date(Date.now() + 48 * HOUR_MS).toISOString(),
+      endDateTime: new Date(Date.now() + 49 * HOUR_MS).toISOString(),
+      ...body
+    });
+
+  test('should find the form for the appointment type and practice area', async () => {
+    const response = await request(app)
+      .get('/api/intake-forms/match')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .query({ appointmentType: 'consultation', practiceArea: 'Family Law' })
+      .expect(200);
+
+    expect(response.body.data.name).toBe('Family consultation');
+  });
+
+  test('should not let advocates define forms', async () => {
+    await request(app)
+      .post('/api/intake-forms')
+      .set('Authorization', `Bearer ${advocateToken}`)
+      .send({ name: 'Other', appointmentType: 'mediation', fields: [{ key: 'notes', label: 'Notes' }] })
+      .expect(403);
+  });
+
+  test('should refuse a client booking without the intake answers', async () => {
+    const response = await book({}).expect(400);
+
+    expect(response.body.errors).toContain('What happened? is required');
+  });
+
+  test('should store the answers and hide them from other participants', async () => {
+    const created = await book({
+      intakeAnswers: { summary: 'Custody of two children', county: 'Nairobi' },
+      participants: [{ user: colleagueUser._id }]
+    }).expect(201);
+
+    const own = await request(app)
+      .get(`/api/appointments/${created.body.data._id}`)
+      .set('Authorization', `Bearer ${advocateToken}`)
+      .expect(200);
+    expect(own.body.data.intake.answers).toHaveLength(2);
+
+    const invited = await request(app)
+      .get(`/api/appointments/${created.body.data._id}`)
+      .set('Authorization', `Bearer ${colleagueToken}`)
+      .expect(200);
+    expect(invited.body.data.intake).toBeUndefined();
+  });
+
+  test('should carry the answers over when the appointment is linked to a case', async () => {
+    const created = await book({ intakeAnswers: { summary: 'Custody of two children', county: 'Nairobi' } }).expect(201);
+    const caseDoc = await Case.create({
+      title: 'Custody matter',
+      description: 'Custody of two children',
+      category: 'Family Law',
+      clientId: clientUser._id,
+      assignedTo: advocateUser._id
+    });
+
+    await request(app)
+      .put(`/api/appointments/${created.body.data._id}`)
+      .set('Authorization', `Bearer ${advocateToken}`)
+      .send({ caseId: caseDoc._id })
+      .expect(200);
+
+    const updated = await Case.findById(caseDoc._id);
+    expect(updated.intake.formName).toBe('Family consultation');
+    expect(updated.intake.answers.map(answer => answer.key)).toEqual(['summary', 'county']);
+  });
+});
@@ -0,0 +1,145 @@
+// No-show detection and follow-up API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const { flagOverdueAppointments } = require('../utils/noShowDetection');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Appointment No-show API', () => {
+  let advocateToken, clientToken;
+  let advocateUser, clientUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'noshow-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV051',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'noshow-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Appointment.deleteMany({});
+  });
+
+  // Appointments can't be created in the past, so create one and move it back
+  const pastAppointment = async (hoursAgo = 3) => {
+    const appointment = await Appointment.create({
+      title: 'Consultation',
+      clientId: clientUser._id,
+      advocateId: advocateUser._id,
+      bookedBy: clientUser._id,
+      startDateTime: new Date(Date.now() + HOUR_MS),
+      endDateTime: new Date(Date.now() + 2 * HOUR_MS)
+    });
+    await Appointment.updateOne({ _id: appointment._id }, {
+      startDateTime: new Date(Date.now() - hoursAgo * HOUR_MS),
+      endDateTime: new Date(Date.now() - (hoursAgo - 1) * HOUR_MS)
+    });
+    return appointment;
+  };
+
+  describe('Sweep', () => {
+    test('should flag overdue appointments for review once', async () => {
+      const appointment = await pastAppointment();
+
+      expect(await flagOverdueAppointments()).toBe(1);
+      expect(await flagOverdueAppointments()).toBe(0);
+
+      const flagged = await Appointment.findById(appointment._id);
+      expect(flagged.noShowReview.status).toBe('pending');
+      expect(flagged.status).toBe('scheduled');
+    });
+  });
+
+  describe('PUT /api/appointments/:id/no-show-review', () => {
+    test('should record a confirmed no-show with a follow-up note', async () => {
+      const appointment = await pastAppointment();
+      await flagOverdueAppointments();
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}/no-show-review`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ outcome: 'no_show' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('no_show');
+      expect(response.body.data.noShowReview.status).toBe('confirmed');
+      expect(response.body.data.notes.some(note => note.type === 'follow_up')).toBe(true);
+    });
+
+    test('should let the advocate mark a flagged appointment completed instead', async () => {
+      const appointment = await pastAppointment();
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}/no-show-review`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ outcome: 'completed' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.noShowReview.status).toBe('dismissed');
+    });
+
+    test('should not let clients review appointments', async () => {
+      const appointment = await pastAppointment();
+
+      await request(app)
+        .put(`/api/appointments/${appointment._id}/no-show-review`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ outcome: 'completed' })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/appointments/statistics', () => {
+    test('should report no-show rates per client and advocate', async () => {
+      const missed = await pastAppointment(5);
+      const attended = await pastAppointment(3);
+      await Appointment.updateOne({ _id: missed._id }, { status: 'no_show' });
+      await Appointment.updateOne({ _id: attended._id }, { status: 'completed' });
+
+      const response = await request(app)
+        .get('/api/appointments/statistics')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .query({ startDate: new Date(Date.now() - 24 * HOUR_MS).toISOString() })
+        .expect(200);
+
+      expect(response.body.data.totals.noShow).toBe(1);
+      expect(response.body.data.noShowRate).toBe('50.00');
+      expect(response.body.data.noShowRates.byClient[0]).toMatchObject({ noShows: 1, attended: 1, noShowRate: 50 });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// Multi-participant appointment and resource booking API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Resource = require('../models/Resource');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Appointment Participants and Resources API', () => {
+  let advocateToken, colleagueToken, clientToken;
+  let advocateUser, colleagueUser, clientUser;
+  let room;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'participants-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV061',
+      isVerified: true,
+      isActive: true
+    });
+
+    colleagueUser = await User.create({
+      firstName: 'Mary',
+      lastName: 'Counsel',
+      email: 'participants-colleague@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV062',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'participants-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    colleagueToken = jwt.sign({ id: colleagueUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({}),
+      Resource.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Appointment.deleteMany({}),
+      Resource.deleteMany({})
+    ]);
+    room = await Resource.create({ name: 'Boardroom', type: 'room', capacity: 10, createdBy: advocateUser._id });
+  });
+
+  const slot = (hoursAhead) => ({
+    startDateTime: new Date(Date.now() + hoursAhead * HOUR_MS).toISOString(),
+    endDateTime: new Date(Date.now() + (hoursAhead + 1) * HOUR_MS).toISOString()
+  });
+
+  const book = (body, token = advocateToken) => request(app)
+    .post('/api/appointments')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Strategy meeting', clientId: clientUser._id, advocateId: advocateUser._id, ...slot(48), ...body });
+
+  describe('POST /api/appointments', () => {
+    test('should book participants and a room', async () => {
+      const response = await book({
+        participants: [{ user: colleagueUser._id, role: 'advocate' }, { name: 'Jane Witness', role: 'witness' }],
+        resources: [room._id]
+      }).expect(201);
+
+      expect(response.body.data.participants).toHaveLength(2);
+      expect(response.body.data.participants[0].rsvpStatus).toBe('pending');
+      expect(response.body.data.resources[0].name).toBe('Boardroom');
+    });
+
+    test('should refuse a room that is already booked', async () => {
+      await book({ resources: [room._id] }).expect(201);
+
+      const response = await book({ resources: [room._id] }, colleagueToken)
+        .send({ advocateId: colleagueUser._id })
+        .expect(409);
+
+      expect(response.body.busy.resources[0].name).toBe('Boardroom');
+    });
+
+    test('should refuse a participant who is busy elsewhere', async () => {
+      await book({}, colleagueToken).send({ advocateId: colleagueUser._id }).expect(201);
+
+      const response = await book({ participants: [{ user: colleagueUser._id }] }).expect(409);
+
+      expect(response.body.message).toContain('Mary Counsel');
+    });
+  });
+
+  describe('PUT /api/appointments/:id/rsvp', () => {
+    test('should record a participant declining and free their time', async () => {
+      const created = await book({ participants: [{ user: colleagueUser._id }] }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/appointments/${created.body.data._id}/rsvp`)
+        .set('Authorization', `Bearer ${colleagueToken}`)
+        .send({ status: 'declined' })
+        .expect(200);
+
+      expect(response.body.data.participants[0].rsvpStatus).toBe('declined');
+
+      const freeBusy = await request(app)
+        .get('/api/appointments/free-busy')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .query({ ...slot(48), userIds: colleagueUser._id.toString() })
+        .expect(200);
+
+      expect(freeBusy.body.data.users[0].free).toBe(true);
+    });
+
+    test('should let participants see the appointment', async () => {
+      const created = await book({ participants: [{ user: colleagueUser._id }] }).expect(201);
+
+      await request(app)
+        .get(`/api/appointments/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${colleagueToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('Resources', () => {
+    test('should show a room\'s bookings on its schedule', async () => {
+      await book({ resources: [room._id] }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/resources/${room._id}/schedule`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .query({ from: new Date().toISOString() })
+        .expect(200);
+
+      expect(response.body.data.bookings).toHaveLength(1);
+    });
+
+    test('should not let clients add resources', async () => {
+      await request(app)
+        .post('/api/resources')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ name: 'Projector 1', type: 'projector' })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+// Recurring appointment series API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+// Mondays in March 2027, 10:00-11:00 Nairobi time
+const FIRST_START = '2027-03-01T10:00:00+03:00';
+const FIRST_END = '2027-03-01T11:00:00+03:00';
+
+describe('Recurring Appointment Series API', () => {
+  let advocateToken, clientToken;
+  let advocateUser, clientUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'series-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV021',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'series-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Appointment.deleteMany({});
+  });
+
+  const createSeries = (overrides = {}) => request(app)
+    .post('/api/appointments')
+    .set('Authorization', `Bearer ${advocateToken}`)
+    .send({
+      title: 'Weekly case review',
+      clientId: clientUser._id,
+      advocateId: advocateUser._id,
+      startDateTime: FIRST_START,
+      endDateTime: FIRST_END,
+      isRecurring: true,
+      recurrence: { pattern: 'weekly', interval: 1, occurrences: 4 },
+      ...overrides
+    });
+
+  const occurrencesOf = (seriesId) => Appointment.find({
+    $or: [{ _id: seriesId }, { parentAppointmentId: seriesId }]
+  }).sort({ startDateTime: 1 });
+
+  describe('POST /api/appointments', () => {
+    test('should create one appointment per occurrence', async () => {
+      const response = await createSeries().expect(201);
+
+      expect(response.body.series.occurrences).toBe(4);
+      const occurrences = await occurrencesOf(response.body.data._id);
+      expect(occurrences).toHaveLength(4);
+      expect(occurrences[3].startDateTime.toISOString()).toBe('2027-03-22T07:00:00.000Z');
+    });
+
+    test('should reject a series that clashes with an existing booking', async () => {
+      await Appointment.create({
+        title: 'Existing consultation',
+        clientId: clientUser._id,
+        advocateId: advocateUser._id,
+        startDateTime: new Date('2027-03-15T10:00:00+03:00'),
+        endDateTime: new Date('2027-03-15T11:00:00+03:00'),
+        bookedBy: advocateUser._id
+      });
+
+      const response = await createSeries().expect(409);
+      expect(response.body.unavailableOccurrences).toHaveLength(1);
+
+      const skipped = await createSeries({ skipConflicts: true }).expect(201);
+      expect(skipped.body.series.occurrences).toBe(3);
+      expect(skipped.body.data.recurrence.exceptions[0]).toMatchObject({
+        originalStartDateTime: '2027-03-15T07:00:00.000Z',
+        type: 'skipped'
+      });
+    });
+
+    test('should require an end date or count', async () => {
+      await createSeries({ recurrence: { pattern: 'weekly' } }).expect(400);
+    });
+  });
+
+  describe('Editing and cancelling occurrences', () => {
+    let seriesId, occurrences;
+
+    beforeEach(async () => {
+      const response = await createSeries();
+      seriesId = response.body.data._id;
+      occurrences = await occurrencesOf(seriesId);
+    });
+
+    test('should cancel a single occurrence and record the exception', async () => {
+      await request(app)
+        .put(`/api/appointments/${occurrences[1]._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ reason: 'Travelling', scope: 'this' })
+        .expect(200);
+
+      const series = await request(app)
+        .get(`/api/appointments/${occurrences[0]._id}/series`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(series.body.data.exceptions).toEqual([
+        expect.objectContaining({ type: 'cancelled', reason: 'Travelling' })
+      ]);
+      expect(series.body.data.occurrences.filter(o => o.status === 'cancelled')).toHaveLength(1);
+    });
+
+    test('should cancel this and following occurrences', async () => {
+      const response = await request(app)
+        .put(`/api/appointments/${occurrences[2]._id}/cancel`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ scope: 'following' })
+        .expect(200);
+
+      expect(response.body.cancelledCount).toBe(2);
+      const parent = await Appointment.findById(seriesId);
+      expect(parent.recurrence.endDate.toISOString()).toBe('2027-03-14T00:00:00.000Z');
+    });
+
+    test('should move the whole series', async () => {
+      const response = await request(app)
+        .put(`/api/appointments/${occurrences[0]._id}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({
+          scope: 'series',
+          startDateTime: '2027-03-01T14:00:00+03:00',
+          endDateTime: '2027-03-01T15:30:00+03:00'
+        })
+        .expect(200);
+
+      expect(response.body.updatedCount).toBe(4);
+      const moved = await occurrencesOf(seriesId);
+      expect(moved[3].startDateTime.toISOString()).toBe('2027-03-22T11:00:00.000Z');
+      expect(moved[3].endDateTime.toISOString()).toBe('2027-03-22T12:30:00.000Z');
+    });
+
+    test('should split the series when editing this and following', async () => {
+      await request(app)
+        .put(`/api/appointments/${occurrences[2]._id}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ scope: 'following', title: 'Fortnightly review' })
+        .expect(200);
+
+      const [oldSeries, newSeries] = await Promise.all([
+        occurrencesOf(seriesId),
+        occurrencesOf(occurrences[2]._id)
+      ]);
+      expect(oldSeries.map(o => o.title)).toEqual(['Weekly case review', 'Weekly case review']);
+      expect(newSeries.map(o => o.title)).toEqual(['Fortnightly review', 'Fortnightly review']);
+    });
+
+    test('should refuse series scope on a one-off appointment', async () => {
+      const single = await Appointment.create({
+        title: 'One-off',
+        clientId: clientUser._id,
+        advocateId: advocateUser._id,
+        startDateTime: new Date('2027-04-05T10:00:00+03:00'),
+        endDateTime: new Date('2027-04-05T11:00:00+03:00'),
+        bookedBy: advocateUser._id
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${single._id}/cancel`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ scope: 'series' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Appointment is not part of a recurring series');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+// Client rescheduling, late cancellation and waitlist API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+// Monday 1 March 2027, 10:00-11:00 Nairobi time
+const START = '2027-03-01T10:00:00+03:00';
+const END = '2027-03-01T11:00:00+03:00';
+
+describe('Appointment Rescheduling and Waitlist API', () => {
+  let advocateToken, clientToken, waitingClientToken;
+  let advocateUser, clientUser, waitingClient;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'waitlist-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV041',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'waitlist-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    waitingClient = await User.create({
+      firstName: 'Alice',
+      lastName: 'Waiting',
+      email: 'waitlist-waiting@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+    waitingClientToken = jwt.sign({ id: waitingClient._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({}),
+      Payment.deleteMany({}),
+      WaitlistEntry.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Appointment.deleteMany({}),
+      Payment.deleteMany({}),
+      WaitlistEntry.deleteMany({})
+    ]);
+  });
+
+  const bookAppointment = (startDateTime = START, endDateTime = END) => Appointment.create({
+    title: 'Consultation',
+    clientId: clientUser._id,
+    advocateId: advocateUser._id,
+    bookedBy: advocateUser._id,
+    startDateTime: new Date(startDateTime),
+    endDateTime: new Date(endDateTime)
+  });
+
+  describe('PUT /api/appointments/:id/reschedule', () => {
+    test('should let a client move their appointment and count it', async () => {
+      const appointment = await bookAppointment();
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}/reschedule`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ startDateTime: '2027-03-08T10:00:00+03:00', endDateTime: '2027-03-08T11:00:00+03:00', reason: 'Travelling' })
+        .expect(200);
+
+      expect(response.body.reschedulesRemaining).toBe(1);
+      const updated = await Appointment.findById(appointment._id);
+      expect(updated.rescheduleCount).toBe(1);
+      expect(updated.rescheduleHistory[0]).toMatchObject({ reason: 'Travelling' });
+    });
+
+    test('should refuse once the client has used up their reschedules', async () => {
+      const appointment = await bookAppointment();
+      await Appointment.updateOne({ _id: appointment._id }, { rescheduleCount: 2 });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}/reschedule`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ startDateTime: '2027-03-08T10:00:00+03:00', endDateTime: '2027-03-08T11:00:00+03:00' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/rescheduled 2 time/);
+    });
+
+    test('should send clients to the reschedule endpoint instead of editing times directly', async () => {
+      const appointment = await bookAppointment();
+      await Appointment.updateOne({ _id: appointment._id }, { bookedBy: clientUser._id });
+
+      await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ startDateTime: '2027-03-08T10:00:00+03:00', endDateTime: '2027-03-08T11:00:00+03:00' })
+        .expect(400);
+    });
+  });
+
+  describe('Late cancellation', () => {
+    test('should raise a pending fee when a client cancels late', async () => {
+      const soon = Date.now() + 5 * 60 * 60 * 1000;
+      const appointment = await bookAppointment(new Date(soon), new Date(soon + 60 * 60 * 1000));
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ reason: 'Sick' })
+        .expect(200);
+
+      expect(response.body.cancellationFee).toBeGreaterThan(0);
+      const payment = await Payment.findOne({ appointmentId: appointment._id });
+      expect(payment).toMatchObject({ status: 'pending', paymentType: 'cancellation_fee' });
+    });
+
+    test('should not charge when the advocate cancels', async () => {
+      const soon = Date.now() + 5 * 60 * 60 * 1000;
+      const appointment = await bookAppointment(new Date(soon), new Date(soon + 60 * 60 * 1000));
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}/cancel`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ reason: 'Court' })
+        .expect(200);
+
+      expect(response.body.cancellationFee).toBe(0);
+      expect(await Payment.countDocuments({ appointmentId: appointment._id })).toBe(0);
+    });
+  });
+
+  describe('Waitlist', () => {
+    const joinWaitlist = () => request(app)
+      .post('/api/appointments/waitlist')
+      .set('Authorization', `Bearer ${waitingClientToken}`)
+      .send({ advocateId: advocateUser._id, date: '2027-03-01' });
+
+    test('should offer a cancelled slot to the waiting client, who can book it', async () => {
+      const appointment = await bookAppointment();
+      const joined = await joinWaitlist().expect(201);
+
+      await request(app)
+        .put(`/api/appointments/${appointment._id}/cancel`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      const offered = await WaitlistEntry.findById(joined.body.data._id);
+      expect(offered.status).toBe('offered');
+      expect(offered.offer.startDateTime).toEqual(new Date(START));
+
+      const booked = await request(app)
+        .post(`/api/appointments/waitlist/${offered._id}/accept`)
+        .set('Authorization', `Bearer ${waitingClientToken}`)
+        .expect(201);
+
+      expect(booked.body.data.clientId._id).toBe(waitingClient._id.toString());
+      expect((await WaitlistEntry.findById(offered._id)).status).toBe('booked');
+    });
+
+    test('should keep a declined client on the waitlist without re-offering the slot', async () => {
+      const appointment = await bookAppointment();
+      const joined = await joinWaitlist().expect(201);
+
+      await request(app)
+        .put(`/api/appointments/${appointment._id}/cancel`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/appointments/waitlist/${joined.body.data._id}/decline`)
+        .set('Authorization', `Bearer ${waitingClientToken}`)
+        .expect(200);
+
+      const entry = await WaitlistEntry.findById(joined.body.data._id);
+      expect(entry.status).toBe('waiting');
+      expect(entry.passedSlots).toHaveLength(1);
+    });
+
+    test('should not add the same client twice for one day', async () => {
+      await joinWaitlist().expect(201);
+      await joinWaitlist().expect(409);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// Advocate availability API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const AvailabilityProfile = require('../models/AvailabilityProfile');
+const Holiday = require('../models/Holiday');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+// 2027-06-01 is Madaraka Day (a Tuesday); 2027-06-02 is an ordinary Wednesday
+const MADARAKA_DAY = '2027-06-01';
+const WORKING_DAY = '2027-06-02';
+
+describe('Availability API', () => {
+  let advocateToken, otherAdvocateToken, clientToken;
+  let advocateUser, otherAdvocate, clientUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'availability-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV011',
+      isVerified: true,
+      isActive: true
+    });
+
+    otherAdvocate = await User.create({
+      firstName: 'Mary',
+      lastName: 'Advocate',
+      email: 'availability-other@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV012',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'availability-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    otherAdvocateToken = jwt.sign({ id: otherAdvocate._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({}),
+      AvailabilityProfile.deleteMany({}),
+      Holiday.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Appointment.deleteMany({}),
+      AvailabilityProfile.deleteMany({}),
+      Holiday.deleteMany({})
+    ]);
+  });
+
+  const getSlots = (date, token = clientToken) => request(app)
+    .get(`/api/appointments/availability/${advocateUser._id}?date=${date}&duration=60`)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('GET /api/availability/advocates/:advocateId', () => {
+    test('should return the default hours when no profile is saved', async () => {
+      const response = await request(app)
+        .get(`/api/availability/advocates/${advocateUser._id}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      expect(response.body.data.isDefault).toBe(true);
+      expect(response.body.data.canEdit).toBe(true);
+      expect(response.body.data.weeklyHours).toHaveLength(5);
+    });
+  });
+
+  describe('PUT /api/availability/advocates/:advocateId', () => {
+    test('should save weekly hours that drive the slots offered', async () => {
+      await request(app)
+        .put(`/api/availability/advocates/${advocateUser._id}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ weeklyHours: [{ dayOfWeek: 3, start: '09:00', end: '11:00' }], breaks: [], slotInterval: 60 })
+        .expect(200);
+
+      const response = await getSlots(WORKING_DAY).expect(200);
+      expect(response.body.data.workingHours).toEqual([{ start: '09:00', end: '11:00' }]);
+      expect(response.body.data.availableSlots).toHaveLength(2);
+    });
+
+    test('should not let an advocate edit someone else\'s hours', async () => {
+      await request(app)
+        .put(`/api/availability/advocates/${advocateUser._id}`)
+        .set('Authorization', `Bearer ${otherAdvocateToken}`)
+        .send({ slotInterval: 15 })
+        .expect(403);
+    });
+
+    test('should reject malformed times', async () => {
+      const response = await request(app)
+        .put(`/api/availability/advocates/${advocateUser._id}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ weeklyHours: [{ dayOfWeek: 1, start: '9am', end: '17:00' }] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('Holidays and leave', () => {
+    test('should offer no slots on Madaraka Day', async () => {
+      const response = await getSlots(MADARAKA_DAY).expect(200);
+
+      expect(response.body.data.isWorkingDay).toBe(false);
+      expect(response.body.data.reason).toBe('Madaraka Day');
+      expect(response.body.data.availableSlots).toHaveLength(0);
+    });
+
+    test('should stop clients booking on a public holiday', async () => {
+      const response = await request(app)
+        .post('/api/appointments')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({
+          title: 'Consultation',
+          clientId: clientUser._id,
+          advocateId: advocateUser._id,
+          startDateTime: `${MADARAKA_DAY}T10:00:00+03:00`,
+          endDateTime: `${MADARAKA_DAY}T11:00:00+03:00`
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('Madaraka Day');
+    });
+
+    test('should close days inside a leave period and report bookings already made', async () => {
+      await Appointment.create({
+        title: 'Existing consultation',
+        clientId: clientUser._id,
+        advocateId: advocateUser._id,
+        startDateTime: new Date(`${WORKING_DAY}T10:00:00+03:00`),
+        endDateTime: new Date(`${WORKING_DAY}T11:00:00+03:00`),
+        bookedBy: advocateUser._id
+      });
+
+      const leave = await request(app)
+        .post(`/api/availability/advocates/${advocateUser._id}/leave`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ startDate: WORKING_DAY, endDate: '2027-06-04', type: 'annual' })
+        .expect(201);
+
+      expect(leave.body.affectedAppointments).toHaveLength(1);
+
+      const response = await getSlots(WORKING_DAY).expect(200);
+      expect(response.body.data.reason).toBe('On leave');
+      expect(response.body.data.availableSlots).toHaveLength(0);
+    });
+
+    test('should reject overlapping leave', async () => {
+      const leaveUrl = `/api/availability/advocates/${advocateUser._id}/leave`;
+      await request(app)
+        .post(leaveUrl)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ startDate: '2027-07-05', endDate: '2027-07-09' })
+        .expect(201);
+
+      await request(app)
+        .post(leaveUrl)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ startDate: '2027-07-08', endDate: '2027-07-12' })
+        .expect(409);
+    });
+
+    test('should add firm holidays to the calendar and close the day', async () => {
+      await request(app)
+        .post('/api/availability/holidays')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ date: WORKING_DAY, name: 'Staff Retreat', type: 'firm_closure' })
+        .expect(201);
+
+      const calendar = await request(app)
+        .get('/api/availability/holidays?year=2027')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(calendar.body.data).toEqual(expect.arrayContaining([
+        expect.objectContaining({ date: MADARAKA_DAY, name: 'Madaraka Day', source: 'statutory' }),
+        expect.objectContaining({ date: WORKING_DAY, name: 'Staff Retreat', source: 'firm' })
+      ]));
+
+      const response = await getSlots(WORKING_DAY).expect(200);
+      expect(response.body.data.reason).toBe('Staff Retreat');
+    });
+
+    test('should not let clients change the holiday calendar', async () => {
+      await request(app)
+        .post('/api/availability/holidays')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ date: WORKING_DAY, name: 'Day off' })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// Calendar export and feed API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const CalendarFeedToken = require('../models/CalendarFeedToken');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+describe('Calendar API', () => {
+  let advocateToken, clientToken, otherToken;
+  let advocateUser, clientUser;
+  let appointment;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'calendar-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV031',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'calendar-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    const otherUser = await User.create({
+      firstName: 'Eve',
+      lastName: 'Client',
+      email: 'calendar-other@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+    otherToken = jwt.sign({ id: otherUser._id }, process.env.JWT_SECRET);
+
+    appointment = await Appointment.create({
+      title: 'Consultation',
+      clientId: clientUser._id,
+      advocateId: advocateUser._id,
+      bookedBy: advocateUser._id,
+      startDateTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      endDateTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000 + 60 * 60 * 1000)
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Appointment.deleteMany({}),
+      CalendarFeedToken.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  describe('GET /api/appointments/:id/ics', () => {
+    test('should download the appointment as an .ics file', async () => {
+      const response = await request(app)
+        .get(`/api/appointments/${appointment._id}/ics`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/calendar/);
+      expect(response.headers['content-disposition']).toContain(`appointment-${appointment._id}.ics`);
+      expect(response.text).toContain(`UID:appointment-${appointment._id}@legalpro.co.ke`);
+      expect(response.text).toContain('TZID:Africa/Nairobi');
+    });
+
+    test('should not export other users\' appointments', async () => {
+      await request(app)
+        .get(`/api/appointments/${appointment._id}/ics`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Calendar feeds', () => {
+    test('should issue a feed link and serve the feed with it', async () => {
+      const created = await request(app)
+        .post('/api/calendar/feed-tokens')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ label: 'Phone' })
+        .expect(201);
+
+      expect(created.body.data.webcalUrl).toMatch(/^webcal:\/\/.+\.ics$/);
+      expect(created.body.data.tokenHash).toBeUndefined();
+
+      const feedPath = new URL(created.body.data.url).pathname;
+      const feed = await request(app).get(feedPath).expect(200);
+
+      expect(feed.headers['content-type']).toMatch(/text\/calendar/);
+      expect(feed.text).toContain('X-WR-CALNAME:LegalPro - John Advocate');
+      expect(feed.text).toContain(`UID:appointment-${appointment._id}@legalpro.co.ke`);
+
+      const stored = await CalendarFeedToken.findById(created.body.data._id);
+      expect(stored.lastUsedAt).toBeDefined();
+    });
+
+    test('should stop serving a revoked feed', async () => {
+      const created = await request(app)
+        .post('/api/calendar/feed-tokens')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(201);
+      const feedPath = new URL(created.body.data.url).pathname;
+
+      await request(app)
+        .delete(`/api/calendar/feed-tokens/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/calendar/feed-tokens/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      await request(app).get(feedPath).expect(404);
+
+      const list = await request(app)
+        .get('/api/calendar/feed-tokens')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+      expect(list.body.data).toHaveLength(0);
+    });
+
+    test('should return 404 when revoking a malformed feed id', async () => {
+      await request(app)
+        .delete('/api/calendar/feed-tokens/not-an-id')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(404);
+    });
+
+    test('should reject unknown tokens', async () => {
+      await request(app).get('/api/calendar/not-a-real-token.ics').expect(404);
+    });
+  });
+});
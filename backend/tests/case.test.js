@@ -4,6 +4,12 @@ const mongoose = require('mongoose');
 const app = require('../server');
 const Case = require('../models/Case');
 const User = require('../models/User');
+const TimeEntry = require('../models/TimeEntry');
+const CaseTemplate = require('../models/CaseTemplate');
+const Task = require('../models/Task');
+const DocumentText = require('../models/DocumentText');
+const ScheduledJob = require('../models/ScheduledJob');
+const { DEADLINE_REMINDER_SWEEP_JOB, runDeadlineReminderSweep } = require('../utils/deadlineUtils');
 const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
@@ -164,6 +170,141 @@ describe('Case Management API', () => {
     });
   });
 
+  describe('Conflict of Interest Check', () => {
+    beforeEach(async () => {
+      testCase = await Case.create({
+        title: 'Existing Matter',
+        description: 'Existing matter description',
+        category: 'Family Law',
+        clientId: clientUser._id,
+        assignedTo: adminUser._id,
+        opposingParties: [{ name: 'Mary Wanjiku Otieno', phone: '0712345678' }]
+      });
+    });
+
+    test('should flag an existing client named as an opposing party', async () => {
+      const response = await request(app)
+        .post('/api/cases/conflict-check')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ opposingParties: [{ name: 'Robert (Bob) Client', email: 'CLIENT@test.com' }] })
+        .expect(200);
+
+      expect(response.body.data.clear).toBe(false);
+      expect(response.body.data.hits[0].severity).toBe('conflict');
+      expect(response.body.data.hits[0].matchedOn).toContain('email');
+      expect(response.body.data.hits[0].cases[0].caseNumber).toBe(testCase.caseNumber);
+    });
+
+    test('should flag a prospective client who is an opposing party by phone', async () => {
+      const response = await request(app)
+        .post('/api/cases/conflict-check')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ client: { name: 'M. Otieno', phone: '+254 712 345 678' } })
+        .expect(200);
+
+      expect(response.body.data.summary.conflicts).toBe(1);
+      expect(response.body.data.hits[0].source).toBe('opposing_party');
+    });
+
+    test('should return clear when nothing matches', async () => {
+      const response = await request(app)
+        .post('/api/cases/conflict-check')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ opposingParties: [{ name: 'Acme Holdings Ltd' }] })
+        .expect(200);
+
+      expect(response.body.data.clear).toBe(true);
+    });
+
+    test('should keep party search keys current when a case is updated', async () => {
+      await Case.findByIdAndUpdate(testCase._id, { relatedParties: [{ name: 'Peter Kamau', email: 'peter@test.com' }] });
+
+      const stored = await Case.findById(testCase._id).select('+partyConflictKeys');
+      expect(stored.partyConflictKeys).toEqual(expect.arrayContaining(['n:kam', 'n:pet', 'e:peter@test.com', 'p:712345678']));
+
+      const response = await request(app)
+        .post('/api/cases/conflict-check')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ client: { name: 'Peter Kamao' } })
+        .expect(200);
+
+      expect(response.body.data.hits[0].source).toBe('related_party');
+    });
+
+    test('should still check cases saved before party search keys existed', async () => {
+      await Case.collection.updateOne({ _id: testCase._id }, { $unset: { partyConflictKeys: '' } });
+
+      const response = await request(app)
+        .post('/api/cases/conflict-check')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ client: { name: 'Mary Wanjiku Otieno' } })
+        .expect(200);
+
+      expect(response.body.data.summary.conflicts).toBe(1);
+    });
+
+    test('should block case creation on a conflict until overridden with a reason', async () => {
+      const caseData = {
+        title: 'New Matter',
+        description: 'New matter description',
+        category: 'Family Law',
+        clientId: clientUser._id.toString(),
+        relatedParties: [{ name: 'Mary Otieno Wanjiku', relationship: 'witness' }]
+      };
+
+      const blocked = await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(caseData)
+        .expect(409);
+
+      expect(blocked.body.code).toBe('CONFLICT_OF_INTEREST');
+      expect(blocked.body.conflicts.summary.potential).toBe(1);
+
+      const response = await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...caseData, conflictOverride: { reason: 'Witness only, no adverse interest' } })
+        .expect(201);
+
+      const created = await Case.findById(response.body.data._id);
+      const override = created.timeline.find(event => event.event === 'conflict_override');
+      expect(override.metadata.reason).toBe('Witness only, no adverse interest');
+    });
+
+    test('should only let an advocate override a direct conflict', async () => {
+      const otherClient = await User.create({
+        firstName: 'Mary',
+        lastName: 'Otieno',
+        email: 'mary@test.com',
+        password: 'password123',
+        role: 'client'
+      });
+
+      const caseData = {
+        title: 'Conflicting Matter',
+        description: 'Conflicting matter description',
+        category: 'Family Law',
+        clientId: otherClient._id.toString(),
+        conflictOverride: { reason: 'Former matter concluded' }
+      };
+
+      await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(caseData)
+        .expect(403);
+
+      await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send(caseData)
+        .expect(201);
+
+      await User.findByIdAndDelete(otherClient._id);
+    });
+  });
+
   describe('GET /api/cases', () => {
     beforeEach(async () => {
       // Create test cases
@@ -461,14 +602,68 @@ describe('Case Management API', () => {
     });
 
     test('should update case status as admin with permissions', async () => {
+      await Case.findByIdAndUpdate(testCase._id, { status: 'in_progress', stage: 'hearing' });
+
       const response = await request(app)
         .put(`/api/cases/${testCase._id}/status`)
         .set('Authorization', `Bearer ${adminToken}`)
-        .send({ status: 'completed' })
+        .send({ status: 'completed', outcomeNote: 'Custody granted to client' })
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.status).toBe('completed');
+      expect(response.body.workflow.allowedTransitions.map(t => t.to)).toContain('closed');
+    });
+
+    test('should return allowed next stages for the case category', async () => {
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/status`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      expect(response.body.data.stage).toBe('in_progress');
+      expect(response.body.workflow.allowedTransitions.map(t => t.to)).toEqual(
+        expect.arrayContaining(['mediation', 'hearing'])
+      );
+    });
+
+    test('should reject transitions not defined by the workflow', async () => {
+      await Case.findByIdAndUpdate(testCase._id, { status: 'closed', stage: 'closed' });
+
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/status`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ status: 'pending' })
+        .expect(400);
+
+      expect(response.body.code).toBe('TRANSITION_NOT_ALLOWED');
+      expect(response.body.allowedTransitions.map(t => t.to)).toEqual(['in_progress']);
+    });
+
+    test('should require an outcome note before closing', async () => {
+      await Case.findByIdAndUpdate(testCase._id, { status: 'completed', stage: 'completed' });
+
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/status`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ status: 'closed' })
+        .expect(400);
+
+      expect(response.body.code).toBe('MISSING_FIELDS');
+      expect(response.body.missingFields[0].name).toBe('outcomeNote');
+    });
+
+    test('should only let advocates reopen closed cases', async () => {
+      await Case.findByIdAndUpdate(testCase._id, { status: 'closed', stage: 'closed' });
+
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'in_progress', reason: 'New evidence' })
+        .expect(403);
+
+      expect(response.body.code).toBe('ROLE_NOT_ALLOWED');
     });
 
     test('should fail with invalid status', async () => {
@@ -482,6 +677,294 @@ describe('Case Management API', () => {
     });
   });
 
+  describe('Case Deadlines', () => {
+    beforeEach(async () => {
+      testCase = await Case.create({
+        title: 'Test Case',
+        description: 'Test description',
+        category: 'Family Law',
+        priority: 'high',
+        clientId: clientUser._id,
+        assignedTo: adminUser._id
+      });
+    });
+
+    test('should compute a deadline from a rule and skip public holidays', async () => {
+      const response = await request(app)
+        .post(`/api/cases/${testCase._id}/deadlines`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ ruleKey: 'notice_of_appeal', triggerDate: '2026-05-18' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.dueDate).toBe('2026-06-02');
+      expect(response.body.calculation.skipped[0].reason).toBe('Madaraka Day');
+
+      const updatedCase = await Case.findById(testCase._id);
+      expect(updatedCase.deadlines).toHaveLength(1);
+      expect(updatedCase.timeline.some(event => event.event === 'deadline_added')).toBe(true);
+    });
+
+    test('should fail with a rule from another category', async () => {
+      const response = await request(app)
+        .post(`/api/cases/${testCase._id}/deadlines`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ ruleKey: 'criminal_appeal', triggerDate: '2026-05-18' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should fail to add a deadline as client', async () => {
+      await request(app)
+        .post(`/api/cases/${testCase._id}/deadlines`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ title: 'File defence', dueDate: '2026-11-02' })
+        .expect(403);
+    });
+
+    test('should list deadlines for the case client', async () => {
+      testCase.deadlines.push({ title: 'File defence', dueDate: new Date('2026-11-02'), createdBy: advocateUser._id });
+      await testCase.save();
+
+      const response = await request(app)
+        .get(`/api/cases/${testCase._id}/deadlines`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].dueDate).toBe('2026-11-02');
+    });
+
+    test('should require a note to waive a deadline', async () => {
+      testCase.deadlines.push({ title: 'File defence', dueDate: new Date('2026-11-02'), createdBy: advocateUser._id });
+      await testCase.save();
+      const deadlineId = testCase.deadlines[0]._id;
+
+      await request(app)
+        .put(`/api/cases/${testCase._id}/deadlines/${deadlineId}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ status: 'waived' })
+        .expect(400);
+
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/deadlines/${deadlineId}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ status: 'waived', notes: 'Matter settled out of court' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('waived');
+      expect(response.body.data.daysLeft).toBeNull();
+    });
+
+    test('should send due reminders from the scheduled sweep and queue the next one', async () => {
+      testCase.deadlines.push({
+        title: 'File defence',
+        dueDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+        createdBy: advocateUser._id
+      });
+      await testCase.save();
+
+      await runDeadlineReminderSweep();
+
+      const reminded = await Case.findById(testCase._id);
+      expect(reminded.deadlines[0].reminders).toHaveLength(1);
+      expect(reminded.deadlines[0].reminders[0].escalated).toBe(true);
+
+      const next = await ScheduledJob.find({ type: DEADLINE_REMINDER_SWEEP_JOB, status: 'pending' });
+      expect(next).toHaveLength(1);
+      expect(next[0].runAt > new Date()).toBe(true);
+
+      await ScheduledJob.deleteMany({ type: DEADLINE_REMINDER_SWEEP_JOB });
+    });
+  });
+
+  describe('Case Templates', () => {
+    let template;
+
+    beforeEach(async () => {
+      await CaseTemplate.deleteMany({});
+      template = await CaseTemplate.create({
+        name: 'Divorce petition',
+        category: 'Family Law',
+        description: 'Petition for dissolution of marriage.',
+        defaultPriority: 'high',
+        documentChecklist: [{ name: 'Marriage certificate' }],
+        tasks: [{ title: 'Draft petition', dueIn: { length: 7 } }],
+        deadlines: [{ title: 'File petition', type: 'filing', dueIn: { length: 14 } }],
+        notes: [{ content: 'Confirm where the marriage was registered.' }],
+        createdBy: advocateUser._id
+      });
+    });
+
+    test('should create a case from a template', async () => {
+      const response = await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({
+          title: 'Templated Case',
+          category: 'Family Law',
+          clientId: clientUser._id.toString(),
+          templateId: template._id.toString()
+        })
+        .expect(201);
+
+      expect(response.body.data.description).toBe('Petition for dissolution of marriage.');
+      expect(response.body.data.priority).toBe('high');
+
+      const createdCase = await Case.findById(response.body.data._id);
+      expect(createdCase.templateId).toEqual(template._id);
+      expect(createdCase.documentChecklist).toHaveLength(1);
+      expect(createdCase.deadlines).toHaveLength(1);
+      expect(createdCase.notes).toHaveLength(1);
+
+      const tasks = await Task.find({ caseId: createdCase._id });
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0].assignedTo).toEqual(advocateUser._id);
+      expect(createdCase.timeline.some(event => event.event === 'template_applied')).toBe(true);
+    });
+
+    test('should fail with a template from another category', async () => {
+      const response = await request(app)
+        .post('/api/cases')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({
+          title: 'Templated Case',
+          category: 'Corporate Law',
+          clientId: clientUser._id.toString(),
+          templateId: template._id.toString()
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should mark a checklist item waived', async () => {
+      testCase = await Case.create({
+        title: 'Test Case',
+        description: 'Test description',
+        category: 'Family Law',
+        clientId: clientUser._id,
+        documentChecklist: [{ name: 'Marriage certificate' }]
+      });
+      const itemId = testCase.documentChecklist[0]._id;
+
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/checklist/${itemId}`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ status: 'waived' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('waived');
+
+      await request(app)
+        .put(`/api/cases/${testCase._id}/checklist/${itemId}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ status: 'received' })
+        .expect(403);
+    });
+  });
+
+  describe('Case Time Entries', () => {
+    beforeEach(async () => {
+      await TimeEntry.deleteMany({});
+      testCase = await Case.create({
+        title: 'Test Case',
+        description: 'Test description',
+        category: 'Family Law',
+        priority: 'high',
+        clientId: clientUser._id,
+        assignedTo: adminUser._id
+      });
+    });
+
+    test('should add a manual time entry with billed amount', async () => {
+      const response = await request(app)
+        .post(`/api/cases/${testCase._id}/time-entries`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ activityCode: 'drafting', description: 'Draft plaint', durationMinutes: 50, hourlyRate: 6000 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.entryType).toBe('manual');
+      expect(response.body.data.billedMinutes).toBe(54);
+      expect(response.body.data.amount).toBe(5400);
+    });
+
+    test('should default billable from the activity code', async () => {
+      const response = await request(app)
+        .post(`/api/cases/${testCase._id}/time-entries`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ activityCode: 'internal', durationMinutes: 30 })
+        .expect(201);
+
+      expect(response.body.data.billable).toBe(false);
+      expect(response.body.data.amount).toBe(0);
+    });
+
+    test('should allow only one running timer per user', async () => {
+      const started = await request(app)
+        .post(`/api/cases/${testCase._id}/time-entries/start`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ activityCode: 'research' })
+        .expect(201);
+
+      expect(started.body.data.isRunning).toBe(true);
+
+      await request(app)
+        .post(`/api/cases/${testCase._id}/time-entries/start`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ activityCode: 'drafting' })
+        .expect(409);
+
+      const stopped = await request(app)
+        .put(`/api/cases/${testCase._id}/time-entries/${started.body.data._id}/stop`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      expect(stopped.body.data.isRunning).toBe(false);
+      expect(stopped.body.data.durationMinutes).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should not expose time entries to clients', async () => {
+      await request(app)
+        .get(`/api/cases/${testCase._id}/time-entries`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(403);
+    });
+
+    test('should stop admins editing other users entries', async () => {
+      const entry = await TimeEntry.create({
+        caseId: testCase._id,
+        advocateId: advocateUser._id,
+        activityCode: 'drafting',
+        durationMinutes: 30
+      });
+
+      await request(app)
+        .delete(`/api/cases/${testCase._id}/time-entries/${entry._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+    });
+
+    test('should return entries with totals', async () => {
+      await TimeEntry.create([
+        { caseId: testCase._id, advocateId: advocateUser._id, activityCode: 'drafting', durationMinutes: 60 },
+        { caseId: testCase._id, advocateId: advocateUser._id, activityCode: 'internal', durationMinutes: 30, billable: false }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/cases/${testCase._id}/time-entries`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.totals.totalMinutes).toBe(90);
+      expect(response.body.totals.billableMinutes).toBe(60);
+      expect(response.body.totals.nonBillableMinutes).toBe(30);
+    });
+  });
+
   describe('GET /api/cases/stats', () => {
     beforeEach(async () => {
       await Case.create([
@@ -524,6 +1007,7 @@ describe('Case Management API', () => {
       expect(response.body.data.overview.inProgressCases).toBe(1);
       expect(response.body.data.overview.completedCases).toBe(1);
       expect(response.body.data.categoryBreakdown).toHaveLength(2);
+      expect(response.body.data.timeTracking.totalMinutes).toBe(0);
     });
 
     test('should get filtered statistics as client', async () => {
@@ -533,7 +1017,7 @@ describe('Case Management API', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data.overview.totalCases).toBe(3);
+      expect(response.body.data.overview.totalCases).toBe(3);      expect(response.body.data.timeTracking).toBeNull();
     });
   });
 
@@ -714,5 +1198,189 @@ describe('Case Management API', () => {
         expect(response.body.success).toBe(false);
       });
     });
+
+    describe('Document versions and check-out', () => {
+      let documentId;
+
+      beforeEach(async () => {
+        const updatedCase = await Case.findByIdAndUpdate(testCase._id, {
+          $push: {
+            documents: {
+              name: 'Plaint',
+              originalName: 'plaint-v1.pdf',
+              type: 'application/pdf',
+              size: 1024,
+              url: 'https://example.com/plaint-v1.pdf',
+              publicId: 'plaint-v1',
+              uploadedBy: clientUser._id,
+              version: 2,
+              versions: [{
+                version: 1,
+                originalName: 'plaint-draft.pdf',
+                type: 'application/pdf',
+                size: 512,
+                url: 'https://example.com/plaint-draft.pdf',
+                publicId: 'plaint-draft',
+                uploadedBy: clientUser._id,
+                uploadedAt: new Date('2026-01-05')
+              }]
+            }
+          }
+        }, { new: true });
+
+        documentId = updatedCase.documents[0]._id;
+      });
+
+      test('should list versions newest first', async () => {
+        const response = await request(app)
+          .get(`/api/cases/${testCase._id}/documents/${documentId}/versions`)
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(200);
+
+        expect(response.body.data.currentVersion).toBe(2);
+        expect(response.body.data.versions.map(version => version.version)).toEqual([2, 1]);
+        expect(response.body.data.versions[1].uploadedBy.firstName).toBe(clientUser.firstName);
+      });
+
+      test('should restore an earlier version', async () => {
+        const response = await request(app)
+          .post(`/api/cases/${testCase._id}/documents/${documentId}/versions/1/restore`)
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(200);
+
+        expect(response.body.data.version).toBe(3);
+        expect(response.body.data.originalName).toBe('plaint-draft.pdf');
+      });
+
+      test('should lock a checked-out document against other users', async () => {
+        await request(app)
+          .post(`/api/cases/${testCase._id}/documents/${documentId}/checkout`)
+          .set('Authorization', `Bearer ${clientToken}`)
+          .send({ note: 'Adding annexures' })
+          .expect(200);
+
+        await request(app)
+          .post(`/api/cases/${testCase._id}/documents/${documentId}/versions/1/restore`)
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(423);
+
+        await request(app)
+          .delete(`/api/cases/${testCase._id}/documents/${documentId}`)
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(423);
+
+        // Advocates can release another user's check-out
+        await request(app)
+          .post(`/api/cases/${testCase._id}/documents/${documentId}/checkin`)
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(200);
+      });
+
+      test('should download an earlier version', async () => {
+        const response = await request(app)
+          .get(`/api/cases/${testCase._id}/documents/${documentId}/download?version=1`)
+          .set('Authorization', `Bearer ${clientToken}`)
+          .expect(200);
+
+        expect(response.body.data.filename).toBe('plaint-draft.pdf');
+        expect(response.body.data.version).toBe(1);
+      });
+    });
+
+    describe('GET /api/cases/search/documents', () => {
+      let otherCase;
+
+      beforeAll(async () => {
+        await DocumentText.init();
+      });
+
+      beforeEach(async () => {
+        otherCase = await Case.create({
+          title: 'Other Client Case',
+          description: 'Unrelated matter',
+          category: 'Commercial Law',
+          priority: 'low',
+          clientId: advocateUser._id
+        });
+
+        await DocumentText.create([
+          {
+            caseId: testCase._id,
+            documentId: new mongoose.Types.ObjectId(),
+            publicId: 'custody-v2',
+            version: 2,
+            name: 'Custody Affidavit',
+            originalName: 'affidavit.pdf',
+            type: 'application/pdf',
+            text: 'The applicant seeks joint custody of the minor and reasonable access on weekends.'
+          },
+          {
+            caseId: testCase._id,
+            documentId: new mongoose.Types.ObjectId(),
+            publicId: 'custody-v1',
+            isCurrent: false,
+            name: 'Superseded Draft',
+            text: 'An earlier custody draft that should not match.'
+          },
+          {
+            caseId: otherCase._id,
+            documentId: new mongoose.Types.ObjectId(),
+            publicId: 'supply-agreement',
+            name: 'Supply Agreement',
+            text: 'Custody of goods passes to the buyer on delivery.'
+          }
+        ]);
+      });
+
+      afterEach(async () => {
+        await DocumentText.deleteMany({});
+      });
+
+      test('should return highlighted snippets from current versions', async () => {
+        const response = await request(app)
+          .get('/api/cases/search/documents?q=custody')
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(200);
+
+        expect(response.body.total).toBe(2);
+        const affidavit = response.body.data.find(result => result.name === 'Custody Affidavit');
+        expect(affidavit.case.caseNumber).toBe(testCase.caseNumber);
+        expect(affidavit.version).toBe(2);
+
+        const [snippet] = affidavit.snippets;
+        const [highlight] = snippet.highlights;
+        expect(snippet.text.substr(highlight.start, highlight.length)).toBe('custody');
+      });
+
+      test('should limit clients to their own cases', async () => {
+        const response = await request(app)
+          .get('/api/cases/search/documents?q=custody')
+          .set('Authorization', `Bearer ${clientToken}`)
+          .expect(200);
+
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0].name).toBe('Custody Affidavit');
+      });
+
+      test('should require file access for admins', async () => {
+        await User.findByIdAndUpdate(adminUser._id, { 'permissions.canOpenFiles': false });
+
+        await request(app)
+          .get('/api/cases/search/documents?q=custody')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(403);
+
+        await User.findByIdAndUpdate(adminUser._id, { 'permissions.canOpenFiles': true });
+      });
+
+      test('should reject a query that is too short', async () => {
+        const response = await request(app)
+          .get('/api/cases/search/documents?q=a')
+          .set('Authorization', `Bearer ${advocateToken}`)
+          .expect(400);
+
+        expect(response.body.success).toBe(false);
+      });
+    });
   });
 });
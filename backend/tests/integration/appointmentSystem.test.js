@@ -6,6 +6,7 @@ const Appointment = require('../../models/Appointment');
 const User = require('../../models/User');
 const Case = require('../../models/Case');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const { rollForwardToCourtDay, toDateKey } = require('../../utils/courtCalendar');
 
 // Create test app without starting server
 const app = express();
@@ -127,10 +128,10 @@ describe('Appointment System Integration', () => {
 
   describe('Complete Appointment Workflow', () => {
     it('should handle complete appointment lifecycle', async () => {
-      // Step 1: Check availability
+      // Step 1: Check availability on the next working day (default hours skip weekends and holidays)
       const tomorrow = new Date();
       tomorrow.setDate(tomorrow.getDate() + 1);
-      const dateString = tomorrow.toISOString().split('T')[0];
+      const dateString = toDateKey(rollForwardToCourtDay(tomorrow).date);
 
       const availabilityResponse = await request(app)
         .get(`/api/appointments/availability/${testAdvocate._id}?date=${dateString}&duration=60`)
@@ -0,0 +1,243 @@
+// Invoice API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const TimeEntry = require('../models/TimeEntry');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { allocatePaymentToInvoice } = require('../utils/invoiceUtils');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+describe('Invoice API', () => {
+  let advocateToken, clientToken;
+  let advocateUser, clientUser;
+  let testCase;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'invoice-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV002',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'invoice-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      User.deleteMany({}),
+      TimeEntry.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      TimeEntry.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({})
+    ]);
+
+    testCase = await Case.create({
+      title: 'Test Case',
+      description: 'Test description',
+      category: 'Family Law',
+      clientId: clientUser._id,
+      assignedTo: advocateUser._id
+    });
+
+    await TimeEntry.create([
+      { caseId: testCase._id, advocateId: advocateUser._id, activityCode: 'drafting', durationMinutes: 60, hourlyRate: 5000 },
+      { caseId: testCase._id, advocateId: advocateUser._id, activityCode: 'internal', durationMinutes: 30, billable: false }
+    ]);
+  });
+
+  const createDraft = (body = {}) => request(app)
+    .post('/api/invoices')
+    .set('Authorization', `Bearer ${advocateToken}`)
+    .send({ caseId: testCase._id, ...body });
+
+  describe('POST /api/invoices', () => {
+    test('should build a draft from billable time and extra charges', async () => {
+      const response = await createDraft({
+        lineItems: [{ type: 'expense', description: 'Court filing fees', unitPrice: 1500 }]
+      }).expect(201);
+
+      const invoice = response.body.data;
+      expect(invoice.status).toBe('draft');
+      expect(invoice.invoiceNumber).toBeUndefined();
+      expect(invoice.lineItems).toHaveLength(2);
+      expect(invoice.subtotal).toBe(6500);
+      expect(invoice.taxAmount).toBe(800);
+      expect(invoice.total).toBe(7300);
+
+      const billed = await TimeEntry.findOne({ activityCode: 'drafting' });
+      expect(billed.invoiceId.toString()).toBe(invoice._id);
+    });
+
+    test('should not bill the same time twice', async () => {
+      await createDraft().expect(201);
+
+      const response = await createDraft().expect(400);
+      expect(response.body.message).toContain('No unbilled');
+    });
+
+    test('should reject hand-typed time lines', async () => {
+      await createDraft({
+        lineItems: [{ type: 'time', description: 'Extra hours', unitPrice: 5000 }]
+      }).expect(400);
+    });
+
+    test('should fail as client', async () => {
+      await request(app)
+        .post('/api/invoices')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ caseId: testCase._id })
+        .expect(403);
+    });
+  });
+
+  describe('Issuing and voiding', () => {
+    test('should number issued invoices sequentially', async () => {
+      const first = await createDraft();
+      const issued = await request(app)
+        .post(`/api/invoices/${first.body.data._id}/issue`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      const year = new Date().getFullYear();
+      expect(issued.body.data.invoiceNumber).toBe(`INV-${year}-0001`);
+      expect(issued.body.data.status).toBe('issued');
+      expect(issued.body.data.dueDate).toBeDefined();
+
+      const second = await createDraft({ lineItems: [{ type: 'fee', description: 'Advice', unitPrice: 1000 }] });
+      const issuedSecond = await request(app)
+        .post(`/api/invoices/${second.body.data._id}/issue`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      expect(issuedSecond.body.data.invoiceNumber).toBe(`INV-${year}-0002`);
+    });
+
+    test('should hide drafts from the client', async () => {
+      const draft = await createDraft();
+
+      await request(app)
+        .get(`/api/invoices/${draft.body.data._id}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(404);
+    });
+
+    test('should release billed time when voided', async () => {
+      const draft = await createDraft();
+      await request(app)
+        .post(`/api/invoices/${draft.body.data._id}/issue`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/invoices/${draft.body.data._id}/void`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/invoices/${draft.body.data._id}/void`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ reason: 'Billed to the wrong matter' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('void');
+      const released = await TimeEntry.findOne({ activityCode: 'drafting' });
+      expect(released.invoiceId).toBeUndefined();
+    });
+  });
+
+  describe('Payments', () => {
+    test('should allocate a completed payment and update the balance', async () => {
+      const draft = await createDraft();
+      await request(app)
+        .post(`/api/invoices/${draft.body.data._id}/issue`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      const payment = await Payment.create({
+        clientId: clientUser._id,
+        amount: 3000,
+        method: 'cash',
+        status: 'completed'
+      });
+
+      const response = await request(app)
+        .post(`/api/invoices/${draft.body.data._id}/payments`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ paymentId: payment._id })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('partially_paid');
+      expect(response.body.data.amountPaid).toBe(3000);
+      expect(response.body.data.balance).toBe(2800);
+    });
+
+    test('should allocate a payment once when it is settled twice at the same time', async () => {
+      const draft = await createDraft();
+      const issued = await request(app)
+        .post(`/api/invoices/${draft.body.data._id}/issue`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      const payment = await Payment.create({
+        clientId: clientUser._id,
+        invoiceId: issued.body.data._id,
+        amount: issued.body.data.total,
+        method: 'mpesa',
+        status: 'completed'
+      });
+
+      await Promise.all([allocatePaymentToInvoice(payment), allocatePaymentToInvoice(payment)]);
+
+      const invoice = await Invoice.findById(issued.body.data._id);
+      expect(invoice.payments).toHaveLength(1);
+      expect(invoice.amountPaid).toBe(issued.body.data.total);
+      expect(invoice.balance).toBe(0);
+      expect(invoice.status).toBe('paid');
+      expect(invoice.paidAt).toBeDefined();
+    });
+
+    test('should download the invoice PDF', async () => {
+      const draft = await createDraft();
+
+      const response = await request(app)
+        .get(`/api/invoices/${draft.body.data._id}/pdf`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+    });
+  });
+});
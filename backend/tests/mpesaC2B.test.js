@@ -0,0 +1,399 @@
+// M-Pesa Paybill/Till (C2B) API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const CALLBACK_TOKEN = 'test-c2b-callback-token';
+process.env.MPESA_C2B_SHORTCODE = '600638';
+process.env.MPESA_C2B_CALLBACK_TOKEN = CALLBACK_TOKEN;
+
+const app = require('../server');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const MpesaReceipt = require('../models/MpesaReceipt');
+const mpesaService = require('../utils/mpesaService');
+const { verifyPendingReceipts } = require('../utils/mpesaC2B');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+describe('M-Pesa C2B API', () => {
+  let adminToken, clientToken;
+  let advocateUser, clientUser;
+  let testCase;
+  let statusSpy;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    const adminUser = await User.create({
+      firstName: 'Ann',
+      lastName: 'Admin',
+      email: 'c2b-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'c2b-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV061',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'c2b-client@test.com',
+      password: 'password123',
+      role: 'client',
+      phone: '0708374149'
+    });
+
+    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+
+    statusSpy = jest.spyOn(mpesaService, 'queryTransactionStatus').mockImplementation(async (transId) => ({
+      success: true,
+      conversationID: `AG_STATUS_${transId}`,
+      originatorConversationID: `ORIG_${transId}`,
+      responseCode: '0'
+    }));
+  });
+
+  afterAll(async () => {
+    statusSpy.mockRestore();
+    await Promise.all([
+      Case.deleteMany({}),
+      User.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      MpesaReceipt.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      MpesaReceipt.deleteMany({})
+    ]);
+
+    statusSpy.mockClear();
+
+    testCase = await Case.create({
+      title: 'Land dispute',
+      description: 'Boundary dispute in Kiambu',
+      category: 'Property Law',
+      clientId: clientUser._id,
+      assignedTo: advocateUser._id
+    });
+  });
+
+  const c2bPayload = (overrides = {}) => ({
+    TransactionType: 'Pay Bill',
+    TransID: `RKT${Date.now().toString().slice(-7)}`,
+    TransTime: '20270301100700',
+    TransAmount: '2500.00',
+    BusinessShortCode: '600638',
+    BillRefNumber: testCase.caseNumber,
+    MSISDN: '254722000000',
+    FirstName: 'Bob',
+    LastName: 'Client',
+    ...overrides
+  });
+
+  const confirm = (payload) => request(app)
+    .post('/api/payments/mpesa/c2b/confirmation')
+    .query({ token: CALLBACK_TOKEN })
+    .send(payload)
+    .expect(200);
+
+  // Transaction Status result as Daraja sends it for a confirmed payload
+  const statusResult = (payload, parameters = {}, resultCode = 0) => ({
+    Result: {
+      ResultType: 0,
+      ResultCode: resultCode,
+      ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The initiator information is invalid.',
+      OriginatorConversationID: `ORIG_${payload.TransID}`,
+      ConversationID: `AG_STATUS_${payload.TransID}`,
+      TransactionID: 'RKT0000000',
+      ResultParameters: {
+        ResultParameter: Object.entries({
+          ReceiptNo: payload.TransID,
+          TransactionStatus: 'Completed',
+          Amount: Number(payload.TransAmount),
+          ...parameters
+        }).map(([Key, Value]) => ({ Key, Value }))
+      }
+    }
+  });
+
+  const verify = (payload, parameters, resultCode) => request(app)
+    .post('/api/payments/mpesa/c2b/status-result')
+    .query({ token: CALLBACK_TOKEN })
+    .send(statusResult(payload, parameters, resultCode))
+    .expect(200);
+
+  const confirmAndVerify = async (payload) => {
+    await confirm(payload);
+    await verify(payload);
+  };
+
+  describe('Callback token', () => {
+    test('should refuse callbacks without the registered token', async () => {
+      await request(app)
+        .post('/api/payments/mpesa/c2b/confirmation')
+        .send(c2bPayload())
+        .expect(403);
+
+      await request(app)
+        .post('/api/payments/mpesa/c2b/status-result')
+        .query({ token: 'guessed-token' })
+        .send(statusResult(c2bPayload()))
+        .expect(403);
+
+      expect(await MpesaReceipt.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should accept a known case number typed loosely', async () => {
+      const response = await request(app)
+        .post('/api/payments/mpesa/c2b/validation')
+        .query({ token: CALLBACK_TOKEN })
+        .send(c2bPayload({ BillRefNumber: ` ${testCase.caseNumber.toLowerCase()} ` }))
+        .expect(200);
+
+      expect(response.body.ResultCode).toBe(0);
+    });
+
+    test('should reject unknown account numbers', async () => {
+      const response = await request(app)
+        .post('/api/payments/mpesa/c2b/validation')
+        .query({ token: CALLBACK_TOKEN })
+        .send(c2bPayload({ BillRefNumber: 'NOT-A-CASE' }))
+        .expect(200);
+
+      expect(response.body.ResultCode).toBe('C2B00012');
+    });
+
+    test('should reject payments to another shortcode', async () => {
+      const response = await request(app)
+        .post('/api/payments/mpesa/c2b/validation')
+        .query({ token: CALLBACK_TOKEN })
+        .send(c2bPayload({ BusinessShortCode: '999999' }))
+        .expect(200);
+
+      expect(response.body.ResultCode).toBe('C2B00015');
+    });
+  });
+
+  describe('Confirmation', () => {
+    test('should hold a receipt until M-Pesa verifies it', async () => {
+      const payload = c2bPayload();
+      await confirm(payload);
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.status).toBe('verifying');
+      expect(receipt.verification.conversationID).toBe(`AG_STATUS_${payload.TransID}`);
+      expect(receipt.verification.attempts).toBe(1);
+      expect(statusSpy).toHaveBeenCalledWith(payload.TransID);
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+
+    test('should refuse a confirmation for another shortcode', async () => {
+      await request(app)
+        .post('/api/payments/mpesa/c2b/confirmation')
+        .query({ token: CALLBACK_TOKEN })
+        .send(c2bPayload({ BusinessShortCode: '999999' }))
+        .expect(400);
+
+      expect(await MpesaReceipt.countDocuments()).toBe(0);
+    });
+
+    test('should reject a receipt whose amount M-Pesa does not confirm', async () => {
+      const payload = c2bPayload({ TransAmount: '250000.00' });
+      await confirm(payload);
+      await verify(payload, { Amount: 2500 });
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.status).toBe('rejected');
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+
+    test('should leave a receipt verifying when the status query fails', async () => {
+      const payload = c2bPayload();
+      await confirm(payload);
+      await verify(payload, {}, 2001);
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.status).toBe('verifying');
+      expect(receipt.verification.resultCode).toBe(2001);
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+
+    test('should match a receipt to the case by case number', async () => {
+      const payload = c2bPayload();
+      await confirmAndVerify(payload);
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.status).toBe('matched');
+      expect(receipt.matchedBy).toBe('case');
+
+      const payment = await Payment.findById(receipt.paymentId);
+      expect(payment.status).toBe('completed');
+      expect(payment.caseId.toString()).toBe(testCase._id.toString());
+      expect(payment.clientId.toString()).toBe(clientUser._id.toString());
+      expect(payment.mpesaDetails.channel).toBe('c2b');
+      expect(payment.mpesaDetails.mpesaReceiptNumber).toBe(payload.TransID);
+    });
+
+    test('should match and settle an open invoice by invoice number', async () => {
+      const invoice = await Invoice.create({
+        invoiceNumber: 'INV-2027-0042',
+        caseId: testCase._id,
+        clientId: clientUser._id,
+        status: 'issued',
+        taxRate: 0,
+        lineItems: [{ type: 'fee', description: 'Advice', unitPrice: 2500 }]
+      });
+
+      await confirmAndVerify(c2bPayload({ BillRefNumber: 'inv-2027-0042' }));
+
+      const updated = await Invoice.findById(invoice._id);
+      expect(updated.status).toBe('paid');
+      expect(updated.payments).toHaveLength(1);
+    });
+
+    test('should fall back to the client phone number', async () => {
+      const payload = c2bPayload({ BillRefNumber: 'legal fees', MSISDN: '254708374149' });
+      await confirmAndVerify(payload);
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.matchedBy).toBe('phone');
+      expect(receipt.clientId.toString()).toBe(clientUser._id.toString());
+    });
+
+    test('should hold unmatched receipts in suspense', async () => {
+      const payload = c2bPayload({ BillRefNumber: 'UNKNOWN' });
+      await confirmAndVerify(payload);
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.status).toBe('suspense');
+      expect(receipt.paymentId).toBeUndefined();
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+
+    test('should record a repeated confirmation once', async () => {
+      const payload = c2bPayload();
+      await confirm(payload);
+      await confirm(payload);
+      await verify(payload);
+      await verify(payload);
+
+      expect(await MpesaReceipt.countDocuments({ transId: payload.TransID })).toBe(1);
+      expect(await Payment.countDocuments()).toBe(1);
+      expect(statusSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Verification sweep', () => {
+    test('should query again, then reject receipts M-Pesa never confirms', async () => {
+      const payload = c2bPayload();
+      await confirm(payload);
+
+      const config = { retryAfterMinutes: 10, maxAttempts: 2, batchSize: 50 };
+      const later = new Date(Date.now() + 11 * 60 * 1000);
+      expect(await verifyPendingReceipts(later, config)).toEqual({ queried: 1, rejected: 0 });
+
+      const muchLater = new Date(Date.now() + 22 * 60 * 1000);
+      expect(await verifyPendingReceipts(muchLater, config)).toEqual({ queried: 0, rejected: 1 });
+
+      const receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+      expect(receipt.status).toBe('rejected');
+      expect(receipt.verification.attempts).toBe(2);
+      expect(await Payment.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Suspense allocation', () => {
+    let receipt;
+
+    beforeEach(async () => {
+      const payload = c2bPayload({ BillRefNumber: 'UNKNOWN' });
+      await confirmAndVerify(payload);
+      receipt = await MpesaReceipt.findOne({ transId: payload.TransID });
+    });
+
+    test('should list receipts in suspense for admins only', async () => {
+      const response = await request(app)
+        .get('/api/payments/mpesa/c2b/receipts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.receipts).toHaveLength(1);
+      expect(response.body.receipts[0].transId).toBe(receipt.transId);
+
+      await request(app)
+        .get('/api/payments/mpesa/c2b/receipts')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(403);
+    });
+
+    test('should search receipts as literal text', async () => {
+      const matched = await request(app)
+        .get('/api/payments/mpesa/c2b/receipts')
+        .query({ search: 'unknown' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(matched.body.receipts).toHaveLength(1);
+
+      const literal = await request(app)
+        .get('/api/payments/mpesa/c2b/receipts')
+        .query({ search: '(.*' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(literal.body.receipts).toHaveLength(0);
+    });
+
+    test('should allocate a receipt to a case once', async () => {
+      const response = await request(app)
+        .post(`/api/payments/mpesa/c2b/receipts/${receipt._id}/allocate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reference: testCase.caseNumber, note: 'Client called to confirm' })
+        .expect(200);
+
+      expect(response.body.data.receipt.status).toBe('allocated');
+      expect(response.body.data.receipt.matchedBy).toBe('manual');
+
+      const payment = await Payment.findById(response.body.data.receipt.paymentId);
+      expect(payment.caseId.toString()).toBe(testCase._id.toString());
+
+      await request(app)
+        .post(`/api/payments/mpesa/c2b/receipts/${receipt._id}/allocate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reference: testCase.caseNumber })
+        .expect(409);
+    });
+
+    test('should reject an unknown case or invoice number', async () => {
+      await request(app)
+        .post(`/api/payments/mpesa/c2b/receipts/${receipt._id}/allocate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reference: 'CASE-1999-9999' })
+        .expect(404);
+
+      const unchanged = await MpesaReceipt.findById(receipt._id);
+      expect(unchanged.status).toBe('suspense');
+    });
+  });
+});
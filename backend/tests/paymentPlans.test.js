@@ -0,0 +1,213 @@
+// Instalment payment plan API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Case = require('../models/Case');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const PaymentPlan = require('../models/PaymentPlan');
+const { processDueInstalments, applyPaymentToPlan } = require('../utils/paymentPlans');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Payment Plan API', () => {
+  let advocateToken, clientToken, otherClientToken;
+  let advocateUser, clientUser;
+  let testCase, invoice;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'Alice',
+      lastName: 'Advocate',
+      email: 'plan-advocate@test.com',
+      password: 'password123',
+      role: 'advocate'
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'plan-client@test.com',
+      password: 'password123',
+      role: 'client',
+      phone: '+254708374149'
+    });
+
+    const otherClient = await User.create({
+      firstName: 'Carol',
+      lastName: 'Client',
+      email: 'plan-other-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+    otherClientToken = jwt.sign({ id: otherClient._id }, process.env.JWT_SECRET);
+
+    testCase = await Case.create({
+      title: 'Test Case',
+      description: 'Test description',
+      category: 'Family Law',
+      clientId: clientUser._id,
+      assignedTo: advocateUser._id
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Case.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      PaymentPlan.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      PaymentPlan.deleteMany({})
+    ]);
+
+    invoice = await Invoice.create({
+      invoiceNumber: 'INV-2026-0100',
+      caseId: testCase._id,
+      clientId: clientUser._id,
+      createdBy: advocateUser._id,
+      status: 'issued',
+      taxRate: 0,
+      lineItems: [{ type: 'fee', description: 'Divorce petition', quantity: 1, unitPrice: 60000 }]
+    });
+  });
+
+  const createPlan = (body = {}, token = advocateToken) => request(app)
+    .post('/api/payment-plans')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      invoiceId: invoice._id.toString(),
+      depositAmount: 15000,
+      numberOfInstalments: 3,
+      frequency: 'monthly',
+      startDate: new Date(Date.now() + 30 * DAY_MS).toISOString(),
+      collectionMethod: 'reminder',
+      ...body
+    });
+
+  describe('Create', () => {
+    test('should split the invoice balance and request the deposit at once', async () => {
+      const response = await createPlan().expect(201);
+      const plan = response.body.data;
+
+      expect(plan.totalAmount).toBe(invoice.balance);
+      expect(plan.clientId._id).toBe(clientUser._id.toString());
+      expect(plan.caseId._id).toBe(testCase._id.toString());
+      expect(plan.instalments.map(({ number, amount, status }) => [number, amount, status])).toEqual([
+        [0, 15000, 'requested'],
+        [1, 15000, 'scheduled'],
+        [2, 15000, 'scheduled'],
+        [3, 15000, 'scheduled']
+      ]);
+      expect(plan.percentPaid).toBe(0);
+    });
+
+    test('should refuse a second active plan and totals above the balance', async () => {
+      await createPlan({ totalAmount: invoice.balance + 1 }).expect(400);
+      await createPlan().expect(201);
+      await createPlan().expect(409);
+    });
+
+    test('should not let clients create plans', async () => {
+      await createPlan({}, clientToken).expect(403);
+      expect(await PaymentPlan.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Access', () => {
+    test('should show clients only their own plans', async () => {
+      const { body } = await createPlan().expect(201);
+
+      const own = await request(app)
+        .get('/api/payment-plans')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+      expect(own.body.count).toBe(1);
+
+      const other = await request(app)
+        .get('/api/payment-plans')
+        .set('Authorization', `Bearer ${otherClientToken}`)
+        .expect(200);
+      expect(other.body.count).toBe(0);
+
+      await request(app)
+        .get(`/api/payment-plans/${body.data._id}`)
+        .set('Authorization', `Bearer ${otherClientToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Collection', () => {
+    test('should mark an instalment paid and complete the plan when all are paid', async () => {
+      const { body } = await createPlan({ depositAmount: 0, numberOfInstalments: 2 }).expect(201);
+
+      for (const number of [1, 2]) {
+        const payment = await Payment.create({
+          clientId: clientUser._id,
+          amount: 30000,
+          method: 'mpesa',
+          paymentType: 'case_fee',
+          status: 'completed',
+          completedAt: new Date(),
+          paymentPlan: { planId: body.data._id, instalmentNumber: number }
+        });
+        await applyPaymentToPlan(payment);
+      }
+
+      const plan = await PaymentPlan.findById(body.data._id);
+      expect(plan.status).toBe('completed');
+      expect(plan.percentPaid).toBe(100);
+    });
+
+    test('should request due instalments and mark overdue ones missed', async () => {
+      const { body } = await createPlan({ depositAmount: 0, startDate: new Date(Date.now() - 10 * DAY_MS).toISOString() })
+        .expect(201);
+      expect(body.data.instalments[0].status).toBe('requested');
+
+      const summary = await processDueInstalments(new Date());
+      expect(summary.missed).toBe(1);
+
+      const plan = await PaymentPlan.findById(body.data._id);
+      expect(plan.instalments[0].status).toBe('missed');
+      expect(plan.instalments[1].status).toBe('scheduled');
+      expect(plan.missedCount).toBe(1);
+    });
+
+    test('should cancel the unpaid instalments of a cancelled plan', async () => {
+      const { body } = await createPlan().expect(201);
+
+      await request(app)
+        .post(`/api/payment-plans/${body.data._id}/cancel`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ reason: 'Client settled in full by bank transfer' })
+        .expect(200);
+
+      const plan = await PaymentPlan.findById(body.data._id);
+      expect(plan.status).toBe('cancelled');
+      expect(plan.instalments.every(instalment => instalment.status === 'cancelled')).toBe(true);
+
+      await request(app)
+        .post(`/api/payment-plans/${body.data._id}/instalments/1/pay`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+// Pending M-Pesa payment reconciliation tests for LegalPro v1.0.1
+// Runs against a local mock of the Daraja OAuth and STK Push query endpoints.
+const http = require('http');
+const mongoose = require('mongoose');
+
+const MOCK_DARAJA_PORT = 18089;
+process.env.MPESA_BASE_URL = `http://127.0.0.1:${MOCK_DARAJA_PORT}`;
+process.env.MPESA_CONSUMER_KEY = 'test-key';
+process.env.MPESA_CONSUMER_SECRET = 'test-secret';
+
+const Payment = require('../models/Payment');
+const TransactionLog = require('../models/TransactionLog');
+const { reconcilePendingPayments, reconcilePayment, applySTKResult } = require('../utils/paymentReconciliation');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+const MINUTE_MS = 60 * 1000;
+
+// checkoutRequestID -> STK query answer; unknown IDs get Daraja's "still processing" error
+const queryResults = {};
+
+const mockDaraja = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.url.startsWith('/oauth/v1/generate')) {
+      res.end(JSON.stringify({ access_token: 'mock-token', expires_in: '3599' }));
+      return;
+    }
+
+    if (req.url === '/mpesa/stkpushquery/v1/query') {
+      const { CheckoutRequestID } = JSON.parse(body);
+      const result = queryResults[CheckoutRequestID];
+      if (!result) {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' }));
+        return;
+      }
+      res.end(JSON.stringify({
+        ResponseCode: '0',
+        MerchantRequestID: `merchant-${CheckoutRequestID}`,
+        CheckoutRequestID,
+        ResultCode: result.resultCode,
+        ResultDesc: result.resultDesc
+      }));
+      return;
+    }
+
+    res.statusCode = 404;
+    res.end('{}');
+  });
+});
+
+describe('M-Pesa Payment Reconciliation', () => {
+  const clientId = new mongoose.Types.ObjectId();
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+    await new Promise(resolve => mockDaraja.listen(MOCK_DARAJA_PORT, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      Payment.deleteMany({}),
+      TransactionLog.deleteMany({})
+    ]);
+    await new Promise(resolve => mockDaraja.close(resolve));
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Payment.deleteMany({}),
+      TransactionLog.deleteMany({})
+    ]);
+    Object.keys(queryResults).forEach(key => delete queryResults[key]);
+  });
+
+  const pendingPayment = (checkoutRequestID, minutesAgo = 10, overrides = {}) => Payment.create({
+    clientId,
+    amount: 1500,
+    method: 'mpesa',
+    paymentType: 'consultation_fee',
+    status: 'processing',
+    initiatedAt: new Date(Date.now() - minutesAgo * MINUTE_MS),
+    mpesaDetails: {
+      phoneNumber: '254708374149',
+      checkoutRequestID,
+      merchantRequestID: `merchant-${checkoutRequestID}`,
+      stkPushStatus: 'pending'
+    },
+    ...overrides
+  });
+
+  test('should complete payments Daraja reports as successful', async () => {
+    const payment = await pendingPayment('ws_CO_success');
+    queryResults.ws_CO_success = { resultCode: '0', resultDesc: 'The service request is processed successfully.' };
+
+    const summary = await reconcilePendingPayments();
+
+    expect(summary.completed).toBe(1);
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.mpesaDetails.stkPushStatus).toBe('success');
+
+    const log = await TransactionLog.findOne({ paymentId: payment._id });
+    expect(log.transactionType).toBe('STK_PUSH_QUERY');
+    expect(log.success).toBe(true);
+    expect(log.mpesaResponseCode).toBe('0');
+  });
+
+  test('should fail payments the customer cancelled', async () => {
+    const payment = await pendingPayment('ws_CO_cancelled');
+    queryResults.ws_CO_cancelled = { resultCode: '1032', resultDesc: 'Request cancelled by user' };
+
+    await reconcilePendingPayments();
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('failed');
+    expect(updated.mpesaDetails.resultCode).toBe(1032);
+  });
+
+  test('should leave recent payments for the callback', async () => {
+    await pendingPayment('ws_CO_recent', 1);
+
+    const summary = await reconcilePendingPayments();
+
+    expect(summary.checked).toBe(0);
+    expect(await TransactionLog.countDocuments()).toBe(0);
+  });
+
+  test('should back off while Daraja is still processing and time out after maxRetries', async () => {
+    const payment = await pendingPayment('ws_CO_silent');
+
+    expect((await reconcilePendingPayments()).retry).toBe(1);
+    let updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('processing');
+    expect(updated.mpesaDetails.retryCount).toBe(1);
+    expect(updated.mpesaDetails.nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due again until nextRetryAt
+    expect((await reconcilePendingPayments()).checked).toBe(0);
+
+    await Payment.updateOne({ _id: payment._id }, { 'mpesaDetails.retryCount': 2, 'mpesaDetails.nextRetryAt': new Date(Date.now() - MINUTE_MS) });
+    expect((await reconcilePendingPayments()).timeout).toBe(1);
+
+    updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('timeout');
+    expect(updated.mpesaDetails.stkPushStatus).toBe('timeout');
+
+    const logs = await TransactionLog.find({ paymentId: payment._id, transactionType: 'STK_PUSH_QUERY' });
+    expect(logs).toHaveLength(2);
+    expect(logs.every(log => log.success === false)).toBe(true);
+  });
+
+  test('should not reopen a completed payment when a late callback reports failure', async () => {
+    const payment = await pendingPayment('ws_CO_late', 10, { status: 'completed' });
+
+    await applySTKResult(payment, { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' });
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('completed');
+  });
+
+  test('should not time out a payment the callback completed during the last query', async () => {
+    const payment = await pendingPayment('ws_CO_raced', 10, {
+      mpesaDetails: {
+        phoneNumber: '254708374149',
+        checkoutRequestID: 'ws_CO_raced',
+        stkPushStatus: 'pending',
+        retryCount: 2,
+        maxRetries: 3
+      }
+    });
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'completed' } });
+
+    expect(await reconcilePayment(payment)).toBe('settled');
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('completed');
+  });
+
+  test('should settle a payment once when the callback and the sweep both report success', async () => {
+    const payment = await pendingPayment('ws_CO_twice');
+    const result = { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+
+    const first = await applySTKResult(payment, result);
+    const second = await applySTKResult(payment, result);
+
+    expect(first.status).toBe('completed');
+    expect(second).toBeNull();
+  });
+
+  test('should complete a timed-out payment when a late callback reports success', async () => {
+    const payment = await pendingPayment('ws_CO_slow', 10, { status: 'timeout' });
+
+    await applySTKResult(payment, {
+      resultCode: 0,
+      resultDesc: 'The service request is processed successfully.',
+      callbackMetadata: {
+        Item: [
+          { Name: 'MpesaReceiptNumber', Value: 'RKT1SLOW00' },
+          { Name: 'TransactionDate', Value: 20270301100700 }
+        ]
+      }
+    });
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.mpesaDetails.mpesaReceiptNumber).toBe('RKT1SLOW00');
+  });
+});
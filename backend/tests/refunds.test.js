@@ -0,0 +1,481 @@
+// Refund approval and B2C payout API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const CALLBACK_TOKEN = 'test-refund-callback-token';
+process.env.MPESA_C2B_CALLBACK_TOKEN = CALLBACK_TOKEN;
+
+const app = require('../server');
+const User = require('../models/User');
+const Case = require('../models/Case');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const TrustAccount = require('../models/TrustAccount');
+const TrustTransaction = require('../models/TrustTransaction');
+const mpesaService = require('../utils/mpesaService');
+const { allocatePaymentToInvoice } = require('../utils/invoiceUtils');
+const { creditPaymentToTrust } = require('../utils/trustLedger');
+const { queryStaleRefunds } = require('../utils/refunds');
+const { refundConfig } = require('../config/billingConfig');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+describe('Refund API', () => {
+  let firstAdminToken, secondAdminToken, clientToken;
+  let clientUser;
+  let b2cSpy;
+  let conversationCount = 0;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    const firstAdmin = await User.create({
+      firstName: 'Ann',
+      lastName: 'Admin',
+      email: 'refund-admin-1@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const secondAdmin = await User.create({
+      firstName: 'Ben',
+      lastName: 'Admin',
+      email: 'refund-admin-2@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'refund-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    firstAdminToken = jwt.sign({ id: firstAdmin._id }, process.env.JWT_SECRET);
+    secondAdminToken = jwt.sign({ id: secondAdmin._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    b2cSpy.mockRestore();
+    await Promise.all([
+      User.deleteMany({}),
+      Case.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      Refund.deleteMany({}),
+      TrustAccount.deleteMany({}),
+      TrustTransaction.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      Refund.deleteMany({}),
+      TrustAccount.deleteMany({}),
+      TrustTransaction.deleteMany({})
+    ]);
+
+    if (b2cSpy) b2cSpy.mockRestore();
+    b2cSpy = jest.spyOn(mpesaService, 'initiateB2CPayment').mockImplementation(async () => {
+      conversationCount += 1;
+      return {
+        conversationID: `AG_20270301_${conversationCount}`,
+        originatorConversationID: `12345-${conversationCount}`,
+        responseCode: '0',
+        responseDescription: 'Accept the service request successfully.'
+      };
+    });
+  });
+
+  const completedPayment = (amount, fields = {}) => Payment.create({
+    clientId: clientUser._id,
+    amount,
+    method: 'mpesa',
+    paymentType: 'case_fee',
+    status: 'completed',
+    ...fields,
+    completedAt: new Date(),
+    mpesaDetails: {
+      phoneNumber: '254708374149',
+      mpesaReceiptNumber: `RKT${amount}`,
+      stkPushStatus: 'success'
+    }
+  });
+
+  const requestRefund = (payment, body, token = firstAdminToken) => request(app)
+    .post(`/api/payments/${payment._id}/refund`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason: 'Matter withdrawn', ...body });
+
+  const b2cResult = (refund, resultCode = 0) => request(app)
+    .post('/api/payments/mpesa/b2c-callback')
+    .send({
+      Result: {
+        ResultType: 0,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The balance is insufficient for the transaction.',
+        OriginatorConversationID: refund.disbursement.originatorConversationID,
+        ConversationID: refund.disbursement.conversationID,
+        TransactionID: 'RKT9REFUND',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: refund.amount },
+            { Key: 'TransactionReceipt', Value: 'RKT9REFUND' }
+          ]
+        }
+      }
+    });
+
+  describe('Approval chain', () => {
+    test('should pay out refunds within the threshold straight away', async () => {
+      const payment = await completedPayment(refundConfig.approvalThreshold);
+
+      const response = await requestRefund(payment, {}).expect(201);
+
+      expect(response.body.data.status).toBe('disbursing');
+      expect(response.body.data.amount).toBe(refundConfig.approvalThreshold);
+      expect(b2cSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should hold, send and record the same whole-shilling amount', async () => {
+      const payment = await completedPayment(1500.6);
+
+      const { body } = await requestRefund(payment, {}).expect(201);
+
+      expect(body.data.amount).toBe(1500);
+      expect(b2cSpy).toHaveBeenCalledWith('254708374149', 1500, 'Matter withdrawn', 'Refund');
+      expect(body.data.disbursement.requestPayload.amount).toBe(1500);
+      expect((await Payment.findById(payment._id)).refundPending).toBe(1500);
+    });
+
+    test('should refuse amounts in fractions of a shilling', async () => {
+      const payment = await completedPayment(3000);
+
+      const response = await requestRefund(payment, { amount: 1000.5 }).expect(400);
+
+      expect(response.body.errors[0].msg).toMatch(/whole number of shillings/);
+      expect(b2cSpy).not.toHaveBeenCalled();
+    });
+
+    test('should hold larger refunds for a second administrator', async () => {
+      const payment = await completedPayment(refundConfig.approvalThreshold + 5000);
+
+      const { body } = await requestRefund(payment, {}).expect(201);
+      expect(body.data.status).toBe('requested');
+      expect(body.data.requiredApprovals).toBe(2);
+      expect(b2cSpy).not.toHaveBeenCalled();
+
+      await request(app)
+        .post(`/api/refunds/${body.data._id}/approve`)
+        .set('Authorization', `Bearer ${firstAdminToken}`)
+        .send({})
+        .expect(403);
+
+      const approved = await request(app)
+        .post(`/api/refunds/${body.data._id}/approve`)
+        .set('Authorization', `Bearer ${secondAdminToken}`)
+        .send({ note: 'Checked against the engagement letter' })
+        .expect(200);
+
+      expect(approved.body.data.status).toBe('disbursing');
+      expect(approved.body.data.approvals).toHaveLength(2);
+      expect(b2cSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should count earlier refunds of the payment towards the threshold', async () => {
+      const payment = await completedPayment(refundConfig.approvalThreshold + 5000);
+
+      const first = await requestRefund(payment, { amount: refundConfig.approvalThreshold }).expect(201);
+      expect(first.body.data.requiredApprovals).toBe(1);
+
+      const second = await requestRefund(payment, { amount: 1000 }).expect(201);
+      expect(second.body.data.status).toBe('requested');
+      expect(second.body.data.requiredApprovals).toBe(2);
+    });
+
+    test('should release the held amount when a request is rejected', async () => {
+      const payment = await completedPayment(refundConfig.approvalThreshold + 5000);
+      const { body } = await requestRefund(payment, {}).expect(201);
+
+      await request(app)
+        .post(`/api/refunds/${body.data._id}/reject`)
+        .set('Authorization', `Bearer ${secondAdminToken}`)
+        .send({ reason: 'Fee was earned' })
+        .expect(200);
+
+      const updated = await Payment.findById(payment._id);
+      expect(updated.refundPending).toBe(0);
+      expect(updated.status).toBe('completed');
+    });
+
+    test('should only let administrators request refunds', async () => {
+      const payment = await completedPayment(1000);
+      await requestRefund(payment, {}, clientToken).expect(403);
+      expect(await Refund.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Partial refunds', () => {
+    test('should cap refunds, including those still in flight, at the original amount', async () => {
+      const payment = await completedPayment(3000);
+
+      await requestRefund(payment, { amount: 2000 }).expect(201);
+      const response = await requestRefund(payment, { amount: 1500 }).expect(400);
+      expect(response.body.message).toContain('KES 1,000');
+
+      await requestRefund(payment, { amount: 1000 }).expect(201);
+      await requestRefund(payment, { amount: 1 }).expect(400);
+    });
+  });
+
+  describe('B2C result', () => {
+    test('should mark the payment partially refunded, then refunded', async () => {
+      const payment = await completedPayment(3000);
+
+      const first = await requestRefund(payment, { amount: 1000 }).expect(201);
+      await b2cResult(await Refund.findById(first.body.data._id)).expect(200);
+
+      let updated = await Payment.findById(payment._id);
+      expect(updated.status).toBe('partially_refunded');
+      expect(updated.refundAmount).toBe(1000);
+      expect(updated.refundPending).toBe(0);
+
+      const refund = await Refund.findById(first.body.data._id);
+      expect(refund.status).toBe('disbursed');
+      expect(refund.disbursement.transactionReceipt).toBe('RKT9REFUND');
+
+      const second = await requestRefund(payment, {}).expect(201);
+      expect(second.body.data.amount).toBe(2000);
+      await b2cResult(await Refund.findById(second.body.data._id)).expect(200);
+
+      updated = await Payment.findById(payment._id);
+      expect(updated.status).toBe('refunded');
+      expect(updated.refundAmount).toBe(3000);
+      expect(updated.refundedAt).toBeDefined();
+    });
+
+    test('should take the refund off the invoice the payment paid', async () => {
+      const testCase = await Case.create({
+        title: 'Tenancy dispute',
+        description: 'Deposit withheld by landlord',
+        category: 'Property Law',
+        clientId: clientUser._id
+      });
+      const invoice = await Invoice.create({
+        invoiceNumber: 'INV-2027-0101',
+        caseId: testCase._id,
+        clientId: clientUser._id,
+        status: 'issued',
+        taxRate: 0,
+        lineItems: [{ type: 'fee', description: 'Advice', unitPrice: 3000 }]
+      });
+      const payment = await completedPayment(3000, { caseId: testCase._id, invoiceId: invoice._id });
+      await allocatePaymentToInvoice(payment);
+
+      const { body } = await requestRefund(payment, { amount: 1000 }).expect(201);
+      await b2cResult(await Refund.findById(body.data._id)).expect(200);
+
+      const updated = await Invoice.findById(invoice._id);
+      expect(updated.status).toBe('partially_paid');
+      expect(updated.amountPaid).toBe(2000);
+      expect(updated.balance).toBe(1000);
+      expect(updated.payments[0].amount).toBe(2000);
+      expect(updated.paidAt).toBeUndefined();
+    });
+
+    test('should pay a refund of client money out of trust', async () => {
+      const testCase = await Case.create({
+        title: 'Land registration',
+        description: 'Filing fees held in trust',
+        category: 'Property Law',
+        clientId: clientUser._id
+      });
+      const payment = await completedPayment(3000, { caseId: testCase._id, paymentType: 'court_fee' });
+      await creditPaymentToTrust(payment);
+
+      const { body } = await requestRefund(payment, { amount: 1000 }).expect(201);
+      await b2cResult(await Refund.findById(body.data._id)).expect(200);
+
+      const refund = await Refund.findById(body.data._id);
+      const withdrawal = await TrustTransaction.findById(refund.trustTransactionId);
+      expect(withdrawal.type).toBe('disbursement');
+      expect(withdrawal.amount).toBe(1000);
+      expect(withdrawal.disbursement.category).toBe('client_refund');
+      expect(withdrawal.reference).toBe('RKT9REFUND');
+
+      const account = await TrustAccount.findOne({ caseId: testCase._id });
+      expect(account.balance).toBe(2000);
+    });
+
+    test('should fail the refund and free the amount when the payout fails', async () => {
+      const payment = await completedPayment(3000);
+      const { body } = await requestRefund(payment, { amount: 3000 }).expect(201);
+      const refund = await Refund.findById(body.data._id);
+
+      await b2cResult(refund, 2001).expect(200);
+      // A repeated result is ignored
+      await b2cResult(refund, 0).expect(200);
+
+      expect((await Refund.findById(refund._id)).status).toBe('failed');
+      const updated = await Payment.findById(payment._id);
+      expect(updated.status).toBe('completed');
+      expect(updated.refundAmount).toBe(0);
+      expect(updated.refundPending).toBe(0);
+    });
+
+    test('should keep the hold on a payout that times out and settle a late result', async () => {
+      const payment = await completedPayment(3000);
+      const { body } = await requestRefund(payment, { amount: 3000 }).expect(201);
+      const refund = await Refund.findById(body.data._id);
+
+      await request(app)
+        .post('/api/payments/mpesa/timeout')
+        .send({
+          Result: {
+            ResultType: 1,
+            ResultCode: 1,
+            ResultDesc: 'The request timed out.',
+            OriginatorConversationID: refund.disbursement.originatorConversationID,
+            ConversationID: refund.disbursement.conversationID
+          }
+        })
+        .expect(200);
+
+      const timedOut = await Refund.findById(refund._id);
+      expect(timedOut.status).toBe('disbursing');
+      expect(timedOut.disbursement.timedOutAt).toBeDefined();
+      expect((await Payment.findById(payment._id)).refundPending).toBe(3000);
+
+      await b2cResult(refund).expect(200);
+
+      expect((await Refund.findById(refund._id)).status).toBe('disbursed');
+      const updated = await Payment.findById(payment._id);
+      expect(updated.status).toBe('refunded');
+      expect(updated.refundPending).toBe(0);
+    });
+
+    describe('Payouts with no result', () => {
+      const config = { staleAfterMinutes: 60, maxStatusQueries: 3, batchSize: 50 };
+      const later = () => new Date(Date.now() + 61 * 60 * 1000);
+      let statusSpy;
+      let statusCount = 0;
+
+      beforeEach(() => {
+        statusSpy = jest.spyOn(mpesaService, 'queryB2CStatus').mockImplementation(async () => {
+          statusCount += 1;
+          return { conversationID: `AG_STATUS_${statusCount}`, responseCode: '0' };
+        });
+      });
+
+      afterEach(() => {
+        statusSpy.mockRestore();
+      });
+
+      const statusResult = (refund, transactionStatus, resultCode = 0) => request(app)
+        .post('/api/payments/mpesa/b2c/status-result')
+        .query({ token: CALLBACK_TOKEN })
+        .send({
+          Result: {
+            ResultType: 0,
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The transaction could not be found.',
+            OriginatorConversationID: `status-${refund._id}`,
+            ConversationID: refund.disbursement.statusQuery.conversationID,
+            ResultParameters: {
+              ResultParameter: [
+                { Key: 'ReceiptNo', Value: 'RKT9STATUS' },
+                { Key: 'TransactionStatus', Value: transactionStatus },
+                { Key: 'Amount', Value: refund.amount }
+              ]
+            }
+          }
+        });
+
+      const staleRefund = async (amount = 1000) => {
+        const payment = await completedPayment(3000);
+        const { body } = await requestRefund(payment, { amount }).expect(201);
+        expect(await queryStaleRefunds(later(), config)).toEqual({ queried: 1 });
+        return { payment, refund: await Refund.findById(body.data._id) };
+      };
+
+      test('should query the status of a payout without failing it', async () => {
+        const payment = await completedPayment(3000);
+        const { body } = await requestRefund(payment, { amount: 1000 }).expect(201);
+
+        expect(await queryStaleRefunds(new Date(), config)).toEqual({ queried: 0 });
+        expect(await queryStaleRefunds(later(), config)).toEqual({ queried: 1 });
+
+        const refund = await Refund.findById(body.data._id);
+        expect(statusSpy).toHaveBeenCalledWith(refund.disbursement.originatorConversationID);
+        expect(refund.status).toBe('disbursing');
+        expect(refund.disbursement.statusQuery.attempts).toBe(1);
+        expect((await Payment.findById(payment._id)).refundPending).toBe(1000);
+      });
+
+      test('should release the hold only when M-Pesa reports the payout failed', async () => {
+        const { payment, refund } = await staleRefund();
+
+        await statusResult(refund, 'Pending', 2001).expect(200);
+        expect((await Refund.findById(refund._id)).status).toBe('disbursing');
+        expect((await Payment.findById(payment._id)).refundPending).toBe(1000);
+
+        await statusResult(refund, 'Failed').expect(200);
+        const failed = await Refund.findById(refund._id);
+        expect(failed.status).toBe('failed');
+        expect(failed.failureReason).toMatch(/Failed/);
+        expect((await Payment.findById(payment._id)).refundPending).toBe(0);
+      });
+
+      test('should settle a payout M-Pesa reports as completed', async () => {
+        const { payment, refund } = await staleRefund();
+
+        await statusResult(refund, 'Completed').expect(200);
+
+        const settled = await Refund.findById(refund._id);
+        expect(settled.status).toBe('disbursed');
+        expect(settled.disbursement.transactionReceipt).toBe('RKT9STATUS');
+        const updated = await Payment.findById(payment._id);
+        expect(updated.status).toBe('partially_refunded');
+        expect(updated.refundAmount).toBe(1000);
+        expect(updated.refundPending).toBe(0);
+      });
+
+      test('should stop querying after the last status query and keep the hold', async () => {
+        const { payment, refund } = await staleRefund();
+        await Refund.updateOne({ _id: refund._id }, { $set: { 'disbursement.statusQuery.attempts': 3 } });
+
+        const muchLater = new Date(Date.now() + 6 * 60 * 60 * 1000);
+        expect(await queryStaleRefunds(muchLater, config)).toEqual({ queried: 0 });
+        expect((await Refund.findById(refund._id)).status).toBe('disbursing');
+        expect((await Payment.findById(payment._id)).refundPending).toBe(1000);
+      });
+
+      test('should refuse status results without the callback token', async () => {
+        await request(app)
+          .post('/api/payments/mpesa/b2c/status-result')
+          .send({ Result: { ResultCode: 0 } })
+          .expect(403);
+      });
+    });
+
+    test('should fail the refund when the B2C request cannot be sent', async () => {
+      b2cSpy.mockRejectedValueOnce(new Error('B2C callback URLs not configured'));
+      const payment = await completedPayment(1000);
+
+      const response = await requestRefund(payment, {}).expect(201);
+
+      expect(response.body.data.status).toBe('failed');
+      expect((await Payment.findById(payment._id)).refundPending).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+// Bank and M-Pesa statement reconciliation API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const StatementImport = require('../models/StatementImport');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statement timestamps are printed in Nairobi time
+const nairobiTime = (date) => new Date(date.getTime() + 3 * HOUR_MS).toISOString().replace('T', ' ').slice(0, 19);
+
+describe('Statement Reconciliation API', () => {
+  let adminToken, clientToken;
+  let clientUser;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    const adminUser = await User.create({
+      firstName: 'Ann',
+      lastName: 'Admin',
+      email: 'statement-admin@test.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'statement-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      User.deleteMany({}),
+      Payment.deleteMany({}),
+      StatementImport.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Payment.deleteMany({}),
+      StatementImport.deleteMany({})
+    ]);
+  });
+
+  const mpesaPayment = (overrides = {}) => Payment.create({
+    clientId: clientUser._id,
+    amount: 2500,
+    method: 'mpesa',
+    paymentType: 'case_fee',
+    status: 'processing',
+    mpesaDetails: {
+      phoneNumber: '254708374149',
+      stkPushStatus: 'pending'
+    },
+    ...overrides
+  });
+
+  const mpesaStatement = (rows) => [
+    'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Other Party Info',
+    ...rows.map(({ receipt, amount, phone = '254708374149', at = new Date() }) =>
+      `${receipt},${nairobiTime(at)},${nairobiTime(at)},Pay Bill Online,Completed,${amount},,,${phone} - JANE DOE`)
+  ].join('\n');
+
+  const upload = (csv, fileName = 'statement.csv', token = adminToken) => request(app)
+    .post('/api/statements')
+    .set('Authorization', `Bearer ${token}`)
+    .attach('statement', Buffer.from(csv), fileName);
+
+  describe('Import', () => {
+    test('should sort M-Pesa lines into matched, discrepancy and unmatched', async () => {
+      const completed = await mpesaPayment({
+        status: 'completed',
+        completedAt: new Date(),
+        mpesaDetails: { phoneNumber: '254708374149', mpesaReceiptNumber: 'RKT0000001', stkPushStatus: 'success' }
+      });
+      const lost = await mpesaPayment({ amount: 1800 });
+      const shortPaid = await mpesaPayment({
+        amount: 3000,
+        status: 'completed',
+        mpesaDetails: { phoneNumber: '254708374149', mpesaReceiptNumber: 'RKT0000003', stkPushStatus: 'success' }
+      });
+
+      const response = await upload(mpesaStatement([
+        { receipt: 'RKT0000001', amount: '2500.00' },
+        { receipt: 'RKT0000002', amount: '1800.00' },
+        { receipt: 'RKT0000003', amount: '2000.00' },
+        { receipt: 'RKT0000004', amount: '999.00' }
+      ])).expect(201);
+
+      const statement = response.body.data;
+      expect(statement.source).toBe('mpesa_csv');
+      expect(statement.summary).toMatchObject({ total: 4, matched: 2, discrepancy: 1, unmatched: 1 });
+
+      const [first, second, third, fourth] = statement.lines;
+      expect(first).toMatchObject({ matchStatus: 'matched', matchedBy: 'receipt', paymentId: completed._id.toString() });
+      expect(second).toMatchObject({ matchStatus: 'matched', matchedBy: 'amount_date', paymentId: lost._id.toString() });
+      expect(third).toMatchObject({ matchStatus: 'discrepancy', paymentId: shortPaid._id.toString() });
+      expect(third.discrepancies).toEqual(['amount']);
+      expect(fourth.matchStatus).toBe('unmatched');
+    });
+
+    test('should match bank lines by transaction reference', async () => {
+      const transfer = await Payment.create({
+        clientId: clientUser._id,
+        amount: 150000,
+        method: 'bank_transfer',
+        paymentType: 'case_fee',
+        status: 'pending',
+        transactionId: 'FT27060ABCD'
+      });
+
+      const csv = [
+        'Tran Date,Narration,Reference,Debit,Credit',
+        `${nairobiTime(new Date()).slice(0, 10)},RTGS FROM BOB CLIENT,FT27060ABCD,,"150,000.00"`
+      ].join('\n');
+
+      const response = await upload(csv).expect(201);
+
+      expect(response.body.data.source).toBe('bank_csv');
+      expect(response.body.data.lines[0]).toMatchObject({
+        matchStatus: 'matched',
+        paymentId: transfer._id.toString()
+      });
+    });
+
+    test('should reject unreadable files and non-admins', async () => {
+      await upload('name,email\nJane,jane@test.com').expect(400);
+      await upload('%PDF-1.4', 'statement.pdf').expect(400);
+      await upload(mpesaStatement([{ receipt: 'RKT0000009', amount: '100.00' }]), 'statement.csv', clientToken)
+        .expect(403);
+
+      expect(await StatementImport.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Review', () => {
+    test('should complete a matched payment and record an audit entry', async () => {
+      const lost = await mpesaPayment({ amount: 1800 });
+      const { body } = await upload(mpesaStatement([{ receipt: 'RKT0000002', amount: '1800.00' }])).expect(201);
+      const line = body.data.lines[0];
+
+      await request(app)
+        .post(`/api/statements/${body.data._id}/lines/${line._id}/confirm`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Callback never arrived' })
+        .expect(200);
+
+      const payment = await Payment.findById(lost._id);
+      expect(payment.status).toBe('completed');
+      expect(payment.mpesaDetails.mpesaReceiptNumber).toBe('RKT0000002');
+      expect(payment.reconciliation.statementImportId.toString()).toBe(body.data._id);
+
+      const audit = await mongoose.model('AuditLog').findOne({ action: 'PAYMENT_RECONCILED', resourceId: lost._id.toString() });
+      expect(audit.details.previousStatus).toBe('processing');
+      expect(audit.details.newStatus).toBe('completed');
+
+      await request(app)
+        .post(`/api/statements/${body.data._id}/lines/${line._id}/confirm`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(409);
+    });
+
+    test('should let an admin pick the payment for an unmatched line', async () => {
+      const payment = await mpesaPayment({ amount: 2000, mpesaDetails: { phoneNumber: '254722000000', stkPushStatus: 'pending' } });
+      const { body } = await upload(mpesaStatement([{ receipt: 'RKT0000005', amount: '2000.00' }])).expect(201);
+      const line = body.data.lines[0];
+      expect(line.matchStatus).toBe('unmatched');
+
+      const response = await request(app)
+        .post(`/api/statements/${body.data._id}/lines/${line._id}/confirm`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ paymentId: payment._id.toString(), note: 'Paid from spouse\'s phone' })
+        .expect(200);
+
+      expect(response.body.data.line).toMatchObject({ matchStatus: 'matched', matchedBy: 'manual', reviewStatus: 'confirmed' });
+    });
+
+    test('should reject a line without touching payments', async () => {
+      const lost = await mpesaPayment({ amount: 1800 });
+      const { body } = await upload(mpesaStatement([{ receipt: 'RKT0000002', amount: '1800.00' }])).expect(201);
+
+      await request(app)
+        .post(`/api/statements/${body.data._id}/lines/${body.data.lines[0]._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Not a client payment' })
+        .expect(200);
+
+      const payment = await Payment.findById(lost._id);
+      expect(payment.status).toBe('processing');
+      expect(payment.reconciliation?.reconciledAt).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+// Case task API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const ScheduledJob = require('../models/ScheduledJob');
+const { TASK_REMINDER_SWEEP_JOB, runTaskReminderSweep } = require('../utils/taskUtils');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+describe('Case Task API', () => {
+  let advocateToken, adminToken, clientToken;
+  let advocateUser, adminUser, clientUser;
+  let testCase;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'task-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV003',
+      isVerified: true,
+      isActive: true
+    });
+
+    adminUser = await User.create({
+      firstName: 'Jane',
+      lastName: 'Admin',
+      email: 'task-admin@test.com',
+      password: 'password123',
+      role: 'admin',
+      createdBy: advocateUser._id,
+      permissions: { canManageCases: true }
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'task-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      User.deleteMany({}),
+      Task.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      Task.deleteMany({})
+    ]);
+
+    testCase = await Case.create({
+      title: 'Test Case',
+      description: 'Test description',
+      category: 'Family Law',
+      clientId: clientUser._id,
+      assignedTo: adminUser._id
+    });
+  });
+
+  const createTask = (body = {}, token = advocateToken) => request(app)
+    .post(`/api/cases/${testCase._id}/tasks`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'File replying affidavit', assignedTo: adminUser._id, dueDate: '2026-11-02', ...body });
+
+  describe('POST /api/cases/:id/tasks', () => {
+    test('should create a task and record it on the case timeline', async () => {
+      const response = await createTask({ checklist: ['Draft', 'Commission'] }).expect(201);
+
+      expect(response.body.data.status).toBe('open');
+      expect(response.body.data.assignedTo._id).toBe(adminUser._id.toString());
+      expect(response.body.data.checklist).toHaveLength(2);
+
+      const updatedCase = await Case.findById(testCase._id);
+      expect(updatedCase.timeline.some(event => event.event === 'task_created')).toBe(true);
+    });
+
+    test('should refuse to assign a task to a client', async () => {
+      const response = await createTask({ assignedTo: clientUser._id }).expect(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should fail as client', async () => {
+      await createTask({}, clientToken).expect(403);
+    });
+  });
+
+  describe('PUT /api/cases/:id/tasks/:taskId', () => {
+    test('should let the assignee complete the task', async () => {
+      const created = await createTask().expect(201);
+
+      const response = await request(app)
+        .put(`/api/cases/${testCase._id}/tasks/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.completedAt).toBeDefined();
+
+      const updatedCase = await Case.findById(testCase._id);
+      expect(updatedCase.timeline.some(event => event.event === 'task_completed')).toBe(true);
+    });
+
+    test('should tick checklist items and take comments', async () => {
+      const created = await createTask({ checklist: ['Draft'] }).expect(201);
+      const { _id: taskId, checklist } = created.body.data;
+
+      const ticked = await request(app)
+        .put(`/api/cases/${testCase._id}/tasks/${taskId}/checklist/${checklist[0]._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isDone: true })
+        .expect(200);
+      expect(ticked.body.data.checklistProgress).toEqual({ done: 1, total: 1 });
+
+      const commented = await request(app)
+        .post(`/api/cases/${testCase._id}/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ content: 'Filed at the registry' })
+        .expect(201);
+      expect(commented.body.data.comments[0].author.firstName).toBe('John');
+    });
+  });
+
+  describe('GET /api/tasks/mine', () => {
+    test('should list open tasks assigned to the current user, soonest first', async () => {
+      await createTask({ title: 'Later', dueDate: '2026-12-01' }).expect(201);
+      await createTask({ title: 'Sooner', dueDate: '2026-11-01' }).expect(201);
+      await createTask({ title: 'Someone else', assignedTo: advocateUser._id }).expect(201);
+
+      const response = await request(app)
+        .get('/api/tasks/mine')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(task => task.title)).toEqual(['Sooner', 'Later']);
+      expect(response.body.data[0].caseId.caseNumber).toBe(testCase.caseNumber);
+    });
+  });
+
+  describe('Reminder sweep', () => {
+    test('should remind the assignee of an overdue task and queue the next sweep', async () => {
+      const created = await createTask().expect(201);
+      await Task.updateOne({ _id: created.body.data._id }, { dueDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+
+      await runTaskReminderSweep();
+
+      const task = await Task.findById(created.body.data._id);
+      expect(task.reminders).toHaveLength(1);
+      expect(task.reminders[0].level).toBe('overdue');
+
+      const next = await ScheduledJob.find({ type: TASK_REMINDER_SWEEP_JOB, status: 'pending' });
+      expect(next).toHaveLength(1);
+      expect(next[0].runAt > new Date()).toBe(true);
+
+      await ScheduledJob.deleteMany({ type: TASK_REMINDER_SWEEP_JOB });
+    });
+  });
+});
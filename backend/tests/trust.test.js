@@ -0,0 +1,194 @@
+// Client trust account API tests for LegalPro v1.0.1
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const TrustAccount = require('../models/TrustAccount');
+const TrustTransaction = require('../models/TrustTransaction');
+const jwt = require('jsonwebtoken');
+
+// Test database setup
+const MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/legalpro_test';
+
+describe('Trust Account API', () => {
+  let advocateToken, clientToken;
+  let advocateUser, clientUser;
+  let testCase, payment;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI);
+
+    advocateUser = await User.create({
+      firstName: 'John',
+      lastName: 'Advocate',
+      email: 'trust-advocate@test.com',
+      password: 'password123',
+      role: 'advocate',
+      licenseNumber: 'ADV003',
+      isVerified: true,
+      isActive: true
+    });
+
+    clientUser = await User.create({
+      firstName: 'Bob',
+      lastName: 'Client',
+      email: 'trust-client@test.com',
+      password: 'password123',
+      role: 'client'
+    });
+
+    advocateToken = jwt.sign({ id: advocateUser._id }, process.env.JWT_SECRET);
+    clientToken = jwt.sign({ id: clientUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      User.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      TrustAccount.deleteMany({}),
+      TrustTransaction.deleteMany({})
+    ]);
+    await mongoose.connection.close();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Case.deleteMany({}),
+      Invoice.deleteMany({}),
+      Payment.deleteMany({}),
+      TrustAccount.deleteMany({}),
+      TrustTransaction.deleteMany({})
+    ]);
+
+    testCase = await Case.create({
+      title: 'Test Case',
+      description: 'Test description',
+      category: 'Family Law',
+      clientId: clientUser._id,
+      assignedTo: advocateUser._id
+    });
+
+    payment = await Payment.create({
+      clientId: clientUser._id,
+      caseId: testCase._id,
+      amount: 20000,
+      method: 'cash',
+      paymentType: 'case_fee',
+      status: 'completed'
+    });
+  });
+
+  const deposit = () => request(app)
+    .post('/api/trust/deposits')
+    .set('Authorization', `Bearer ${advocateToken}`)
+    .send({ paymentId: payment._id });
+
+  const disburse = (amount) => request(app)
+    .post('/api/trust/disbursements')
+    .set('Authorization', `Bearer ${advocateToken}`)
+    .send({ caseId: testCase._id, amount, category: 'court_fee', payee: 'Milimani Law Courts' });
+
+  describe('Deposits', () => {
+    test('should credit a payment to the case sub-ledger once', async () => {
+      const response = await deposit().expect(201);
+
+      expect(response.body.data.type).toBe('deposit');
+      const account = await TrustAccount.findOne({ caseId: testCase._id });
+      expect(account.balance).toBe(20000);
+
+      await deposit().expect(409);
+    });
+
+    test('should fail as client', async () => {
+      await request(app)
+        .post('/api/trust/deposits')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ paymentId: payment._id })
+        .expect(403);
+    });
+  });
+
+  describe('Disbursements', () => {
+    test('should pay out of trust and show on the statement', async () => {
+      await deposit().expect(201);
+      await disburse(3500).expect(201);
+
+      const response = await request(app)
+        .get(`/api/trust/cases/${testCase._id}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(response.body.data.balance).toBe(16500);
+      expect(response.body.data.transactions).toHaveLength(2);
+      expect(response.body.data.transactions[1].runningBalance).toBe(16500);
+    });
+
+    test('should not overdraw the client sub-ledger', async () => {
+      await deposit().expect(201);
+
+      const response = await disburse(25000).expect(400);
+      expect(response.body.message).toContain('Insufficient client funds');
+    });
+  });
+
+  describe('Transfers to office', () => {
+    test('should apply trust funds to an issued invoice', async () => {
+      await deposit().expect(201);
+      const invoice = await Invoice.create({
+        invoiceNumber: 'INV-2026-0001',
+        caseId: testCase._id,
+        clientId: clientUser._id,
+        createdBy: advocateUser._id,
+        status: 'issued',
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 10000 }]
+      });
+
+      const response = await request(app)
+        .post('/api/trust/transfers')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .send({ invoiceId: invoice._id })
+        .expect(201);
+
+      expect(response.body.data.transaction.amount).toBe(11600);
+      expect(response.body.data.invoice.status).toBe('paid');
+      const account = await TrustAccount.findOne({ caseId: testCase._id });
+      expect(account.balance).toBe(8400);
+    });
+  });
+
+  describe('GET /api/trust/reconciliation', () => {
+    test('should reconcile the client account with the sub-ledgers', async () => {
+      await deposit().expect(201);
+      await disburse(5000).expect(201);
+
+      const response = await request(app)
+        .get('/api/trust/reconciliation')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      const report = response.body.data;
+      expect(report.reconciled).toBe(true);
+      expect(report.trustBankBalance).toBe(15000);
+      expect(report.clientLedgerTotal).toBe(15000);
+      expect(report.negativeBalances).toHaveLength(0);
+    });
+
+    test('should flag a sub-ledger that disagrees with the journal', async () => {
+      await deposit().expect(201);
+      await TrustAccount.updateOne({ caseId: testCase._id }, { balance: 1 });
+
+      const response = await request(app)
+        .get('/api/trust/reconciliation')
+        .set('Authorization', `Bearer ${advocateToken}`)
+        .expect(200);
+
+      expect(response.body.data.reconciled).toBe(false);
+      expect(response.body.data.mismatchedSubLedgers).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+// Advocate availability profile model unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const AvailabilityProfile = require('../../../models/AvailabilityProfile');
+
+describe('AvailabilityProfile Model Unit Tests', () => {
+  const advocateId = new mongoose.Types.ObjectId();
+
+  test('should default to weekday hours with a lunch break', () => {
+    const profile = new AvailabilityProfile({ advocateId });
+
+    expect(profile.weeklyHours.map(hours => hours.dayOfWeek)).toEqual([1, 2, 3, 4, 5]);
+    expect(profile.weeklyHours[0]).toMatchObject({ start: '08:00', end: '18:00' });
+    expect(profile.breaks[0]).toMatchObject({ dayOfWeek: null, start: '13:00', end: '14:00' });
+    expect(profile.slotInterval).toBe(30);
+    expect(profile.validateSync()).toBeUndefined();
+  });
+
+  test('should reject malformed times and hours that end before they start', () => {
+    const profile = new AvailabilityProfile({
+      advocateId,
+      weeklyHours: [
+        { dayOfWeek: 1, start: '8am', end: '17:00' },
+        { dayOfWeek: 2, start: '17:00', end: '09:00' }
+      ]
+    });
+
+    const error = profile.validateSync();
+    expect(error.errors['weeklyHours.0.start'].message).toContain('HH:mm');
+    expect(error.errors['weeklyHours.1.end'].message).toBe('End time must be after start time');
+  });
+
+  test('should reject leave that ends before it starts', () => {
+    const profile = new AvailabilityProfile({
+      advocateId,
+      leave: [{ startDate: '2026-06-10', endDate: '2026-06-08' }]
+    });
+
+    expect(profile.validateSync().errors['leave.0.endDate'].message).toBe('Leave cannot end before it starts');
+  });
+
+  test('should require override hours unless the day is closed', () => {
+    const open = new AvailabilityProfile({ advocateId, overrides: [{ date: '2026-06-06', hours: [] }] });
+    expect(open.validateSync().errors.overrides.message).toBe('An override must either close the day or give working hours');
+
+    const closed = new AvailabilityProfile({ advocateId, overrides: [{ date: '2026-06-06', isClosed: true }] });
+    expect(closed.validateSync()).toBeUndefined();
+  });
+
+  test('should reject a second override for the same date', () => {
+    const profile = new AvailabilityProfile({
+      advocateId,
+      overrides: [
+        { date: '2026-06-06', isClosed: true },
+        { date: '2026-06-06', hours: [{ start: '09:00', end: '12:00' }] }
+      ]
+    });
+
+    expect(profile.validateSync().errors.overrides.message).toBe('There is already an override for that date');
+  });
+});
@@ -0,0 +1,76 @@
+// Case document checklist unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const Case = require('../../../models/Case');
+
+describe('Case Document Checklist Unit Tests', () => {
+  const advocate = new mongoose.Types.ObjectId();
+  let caseItem;
+  let documentId;
+  let itemId;
+
+  beforeEach(() => {
+    caseItem = new Case({
+      title: 'Templated Case',
+      description: 'Case opened from a template',
+      category: 'Family Law',
+      clientId: new mongoose.Types.ObjectId(),
+      documents: [{
+        name: 'Marriage certificate',
+        originalName: 'certificate.pdf',
+        type: 'application/pdf',
+        size: 1000,
+        url: 'https://res.cloudinary.com/demo/certificate.pdf',
+        publicId: 'certificate',
+        uploadedBy: advocate
+      }],
+      documentChecklist: [
+        { name: 'Marriage certificate', required: true },
+        { name: 'Children birth certificates', required: false }
+      ]
+    });
+    documentId = caseItem.documents[0]._id;
+    itemId = caseItem.documentChecklist[0]._id;
+    // Resolve saves without a database so the methods can run in isolation
+    caseItem.save = jest.fn().mockResolvedValue(caseItem);
+  });
+
+  test('should start checklist items as pending', () => {
+    expect(caseItem.documentChecklist.map(item => item.status)).toEqual(['pending', 'pending']);
+  });
+
+  test('should mark an item received against an uploaded document', async () => {
+    await caseItem.updateChecklistItem(itemId, { status: 'received', documentId }, advocate);
+
+    const item = caseItem.documentChecklist.id(itemId);
+    expect(item.status).toBe('received');
+    expect(item.documentId).toEqual(documentId);
+    expect(item.updatedBy).toEqual(advocate);
+    expect(item.statusChangedAt).toBeInstanceOf(Date);
+    expect(caseItem.timeline[0].event).toBe('checklist_updated');
+  });
+
+  test('should drop the linked document when an item is waived', async () => {
+    await caseItem.updateChecklistItem(itemId, { status: 'received', documentId }, advocate);
+    await caseItem.updateChecklistItem(itemId, { status: 'waived', documentId }, advocate);
+
+    const item = caseItem.documentChecklist.id(itemId);
+    expect(item.status).toBe('waived');
+    expect(item.documentId).toBeUndefined();
+  });
+
+  test('should reject unknown checklist items and documents', async () => {
+    await expect(caseItem.updateChecklistItem(new mongoose.Types.ObjectId(), { status: 'waived' }, advocate))
+      .rejects.toMatchObject({ code: 'CHECKLIST_ITEM_NOT_FOUND' });
+    await expect(caseItem.updateChecklistItem(itemId, { status: 'received', documentId: new mongoose.Types.ObjectId() }, advocate))
+      .rejects.toMatchObject({ code: 'DOCUMENT_NOT_FOUND' });
+  });
+
+  test('should reopen an item when its document is removed', async () => {
+    await caseItem.updateChecklistItem(itemId, { status: 'received', documentId }, advocate);
+    await caseItem.removeDocument(documentId, advocate);
+
+    const item = caseItem.documentChecklist.id(itemId);
+    expect(item.status).toBe('pending');
+    expect(item.documentId).toBeUndefined();
+  });
+});
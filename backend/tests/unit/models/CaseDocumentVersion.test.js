@@ -0,0 +1,117 @@
+// Case document versioning unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const Case = require('../../../models/Case');
+
+describe('Case Document Versioning Unit Tests', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const colleague = new mongoose.Types.ObjectId();
+  let caseItem;
+  let documentId;
+
+  const buildFile = (publicId, size = 1000) => ({
+    originalName: `${publicId}.pdf`,
+    type: 'application/pdf',
+    size,
+    url: `https://res.cloudinary.com/demo/${publicId}.pdf`,
+    publicId
+  });
+
+  beforeEach(() => {
+    caseItem = new Case({
+      title: 'Versioned Case',
+      description: 'Case with a revised pleading',
+      category: 'Civil Litigation',
+      clientId: new mongoose.Types.ObjectId(),
+      documents: [{
+        name: 'Plaint',
+        ...buildFile('plaint-v1'),
+        uploadedBy: owner
+      }]
+    });
+    documentId = caseItem.documents[0]._id;
+    // Resolve saves without a database so the methods can run in isolation
+    caseItem.save = jest.fn().mockResolvedValue(caseItem);
+  });
+
+  test('should keep the previous file when a new version is uploaded', async () => {
+    await caseItem.addDocumentVersion(documentId, buildFile('plaint-v2', 1500), colleague, { comment: 'Amended prayers' });
+
+    const document = caseItem.documents.id(documentId);
+    expect(document.version).toBe(2);
+    expect(document.publicId).toBe('plaint-v2');
+    expect(document.versionComment).toBe('Amended prayers');
+    expect(document.uploadedBy).toEqual(owner);
+    expect(document.versions).toHaveLength(1);
+    expect(document.versions[0].version).toBe(1);
+    expect(document.versions[0].publicId).toBe('plaint-v1');
+    expect(document.versions[0].uploadedBy).toEqual(owner);
+    expect(caseItem.timeline[0].event).toBe('document_version_uploaded');
+  });
+
+  test('should count every stored version towards the size limit but not the document count', async () => {
+    await caseItem.addDocumentVersion(documentId, buildFile('plaint-v2', 1500), owner);
+
+    const stats = caseItem.getDocumentStats();
+    expect(stats.totalDocuments).toBe(1);
+    expect(stats.totalVersions).toBe(2);
+    expect(stats.totalSize).toBe(2500);
+    expect(stats.remainingSlots).toBe(49);
+  });
+
+  test('should refuse a version that would exceed 500MB', async () => {
+    caseItem.documents[0].size = 524288000 - 100;
+
+    await expect(caseItem.addDocumentVersion(documentId, buildFile('plaint-v2', 200), owner))
+      .rejects.toMatchObject({ code: 'DOCUMENT_LIMIT' });
+  });
+
+  test('should restore an old version as the newest without storing the file twice', async () => {
+    await caseItem.addDocumentVersion(documentId, buildFile('plaint-v2', 1500), owner);
+    await caseItem.restoreDocumentVersion(documentId, 1, owner);
+
+    const document = caseItem.documents.id(documentId);
+    expect(document.version).toBe(3);
+    expect(document.publicId).toBe('plaint-v1');
+    expect(document.versionComment).toBe('Restored from version 1');
+    expect(document.versions.map(version => version.version)).toEqual([1, 2]);
+    expect(caseItem.getTotalDocumentSize()).toBe(2500);
+  });
+
+  test('should not restore the current or an unknown version', async () => {
+    await expect(caseItem.restoreDocumentVersion(documentId, 1, owner)).rejects.toMatchObject({ code: 'VERSION_CURRENT' });
+    await expect(caseItem.restoreDocumentVersion(documentId, 7, owner)).rejects.toMatchObject({ code: 'VERSION_NOT_FOUND' });
+  });
+
+  describe('Check-out', () => {
+    test('should block other users while a document is checked out', async () => {
+      await caseItem.checkOutDocument(documentId, owner, 'Redrafting');
+
+      await expect(caseItem.addDocumentVersion(documentId, buildFile('plaint-v2'), colleague))
+        .rejects.toMatchObject({ code: 'DOCUMENT_LOCKED' });
+      await expect(caseItem.checkOutDocument(documentId, colleague)).rejects.toMatchObject({ code: 'DOCUMENT_LOCKED' });
+      await expect(caseItem.checkInDocument(documentId, colleague)).rejects.toMatchObject({ code: 'DOCUMENT_LOCKED' });
+    });
+
+    test('should check the document back in with the new version', async () => {
+      await caseItem.checkOutDocument(documentId, owner);
+      await caseItem.addDocumentVersion(documentId, buildFile('plaint-v2'), owner);
+
+      expect(caseItem.documents.id(documentId).checkedOutBy).toBeUndefined();
+    });
+
+    test('should stay checked out when asked to', async () => {
+      await caseItem.checkOutDocument(documentId, owner);
+      await caseItem.addDocumentVersion(documentId, buildFile('plaint-v2'), owner, { keepCheckedOut: true });
+
+      expect(caseItem.documents.id(documentId).checkedOutBy).toEqual(owner);
+    });
+
+    test('should let a supervisor release someone else\'s check-out', async () => {
+      await caseItem.checkOutDocument(documentId, owner);
+      await caseItem.checkInDocument(documentId, colleague, { force: true });
+
+      expect(caseItem.documents.id(documentId).checkedOutBy).toBeUndefined();
+      expect(caseItem.timeline[caseItem.timeline.length - 1].metadata.forced).toBe(true);
+    });
+  });
+});
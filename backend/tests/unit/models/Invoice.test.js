@@ -0,0 +1,155 @@
+// Invoice model unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const Invoice = require('../../../models/Invoice');
+
+describe('Invoice Model Unit Tests', () => {
+  const buildInvoice = (data = {}) => new Invoice({
+    caseId: new mongoose.Types.ObjectId(),
+    clientId: new mongoose.Types.ObjectId(),
+    createdBy: new mongoose.Types.ObjectId(),
+    taxRate: 0.16,
+    ...data
+  });
+
+  const buildPayment = (amount) => ({
+    _id: new mongoose.Types.ObjectId(),
+    amount,
+    method: 'mpesa',
+    mpesaDetails: { mpesaReceiptNumber: 'QAB123XYZ' }
+  });
+
+  // Resolve saves without a database so allocation can run in isolation
+  const stubSave = (invoice) => {
+    invoice.save = jest.fn().mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    return invoice;
+  };
+
+  describe('Totals', () => {
+    test('should compute line amounts, VAT and total', async () => {
+      const invoice = buildInvoice({
+        lineItems: [
+          { type: 'time', description: 'Drafting', quantity: 1.5, unit: 'hours', unitPrice: 5000 },
+          { type: 'fee', description: 'Filing fee', quantity: 1, unitPrice: 2000 }
+        ]
+      });
+
+      await invoice.validate();
+
+      expect(invoice.lineItems[0].amount).toBe(7500);
+      expect(invoice.subtotal).toBe(9500);
+      expect(invoice.taxAmount).toBe(1520);
+      expect(invoice.total).toBe(11020);
+      expect(invoice.balance).toBe(11020);
+    });
+
+    test('should not charge VAT on disbursements', async () => {
+      const invoice = buildInvoice({
+        lineItems: [
+          { type: 'fee', description: 'Advice', quantity: 1, unitPrice: 10000 },
+          { type: 'expense', description: 'Court filing fees', quantity: 1, unitPrice: 3000 }
+        ]
+      });
+
+      await invoice.validate();
+
+      expect(invoice.lineItems[1].taxable).toBe(false);
+      expect(invoice.taxableAmount).toBe(10000);
+      expect(invoice.taxAmount).toBe(1600);
+      expect(invoice.total).toBe(14600);
+    });
+
+    test('should spread a discount across taxable and exempt lines', async () => {
+      const invoice = buildInvoice({
+        lineItems: [
+          { type: 'fee', description: 'Advice', quantity: 1, unitPrice: 8000 },
+          { type: 'expense', description: 'Search fees', quantity: 1, unitPrice: 2000 }
+        ],
+        discount: { type: 'percent', value: 10 }
+      });
+
+      await invoice.validate();
+
+      expect(invoice.discountAmount).toBe(1000);
+      expect(invoice.taxableAmount).toBe(7200);
+      expect(invoice.taxAmount).toBe(1152);
+      expect(invoice.total).toBe(10152);
+    });
+
+    test('should cap a fixed discount at the subtotal', async () => {
+      const invoice = buildInvoice({
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 1000 }],
+        discount: { type: 'fixed', value: 5000 }
+      });
+
+      await invoice.validate();
+
+      expect(invoice.discountAmount).toBe(1000);
+      expect(invoice.total).toBe(0);
+    });
+  });
+
+  describe('Payments', () => {
+    test('should move from issued to partially paid to paid', async () => {
+      const invoice = stubSave(buildInvoice({
+        status: 'issued',
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 10000 }]
+      }));
+      await invoice.validate();
+
+      await invoice.allocatePayment(buildPayment(5000), 5000);
+      expect(invoice.status).toBe('partially_paid');
+      expect(invoice.balance).toBe(6600);
+
+      await invoice.allocatePayment(buildPayment(6600));
+      expect(invoice.status).toBe('paid');
+      expect(invoice.balance).toBe(0);
+      expect(invoice.paidAt).toBeDefined();
+      expect(invoice.payments[0].reference).toBe('QAB123XYZ');
+    });
+
+    test('should refuse to allocate to a draft invoice', async () => {
+      const invoice = stubSave(buildInvoice({
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 1000 }]
+      }));
+      await invoice.validate();
+
+      expect(() => invoice.allocatePayment(buildPayment(1000))).toThrow('Cannot allocate a payment to a draft invoice');
+    });
+
+    test('should refuse to allocate more than the balance', async () => {
+      const invoice = stubSave(buildInvoice({
+        status: 'issued',
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 1000 }]
+      }));
+      await invoice.validate();
+
+      expect(() => invoice.allocatePayment(buildPayment(5000), 5000)).toThrow('exceeds the invoice balance');
+    });
+
+    test('should refuse to allocate the same payment twice', async () => {
+      const invoice = stubSave(buildInvoice({
+        status: 'issued',
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 1000 }]
+      }));
+      await invoice.validate();
+      const payment = buildPayment(100);
+
+      await invoice.allocatePayment(payment);
+
+      expect(() => invoice.allocatePayment(payment)).toThrow('already allocated');
+    });
+
+    test('should leave draft and void invoices in their status', async () => {
+      const invoice = buildInvoice({
+        status: 'void',
+        lineItems: [{ type: 'fee', description: 'Advice', quantity: 1, unitPrice: 1000 }]
+      });
+
+      await invoice.validate();
+
+      expect(invoice.status).toBe('void');
+    });
+  });
+});
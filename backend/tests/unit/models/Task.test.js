@@ -0,0 +1,66 @@
+// Case task model unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const Task = require('../../../models/Task');
+
+describe('Task Model Unit Tests', () => {
+  const advocate = new mongoose.Types.ObjectId();
+  let task;
+
+  beforeEach(() => {
+    task = new Task({
+      caseId: new mongoose.Types.ObjectId(),
+      title: 'File replying affidavit',
+      assignedTo: advocate,
+      dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      checklist: [{ text: 'Draft affidavit' }, { text: 'Commission affidavit' }],
+      createdBy: advocate
+    });
+    // Resolve saves without a database so the methods can run in isolation
+    task.save = jest.fn().mockResolvedValue(task);
+  });
+
+  test('should default to an open, medium priority task', () => {
+    expect(task.status).toBe('open');
+    expect(task.priority).toBe('medium');
+    expect(task.validateSync()).toBeUndefined();
+  });
+
+  test('should reject unknown statuses and missing titles', () => {
+    const invalid = new Task({ caseId: task.caseId, createdBy: advocate, status: 'done' });
+    const error = invalid.validateSync();
+    expect(error.errors.title).toBeDefined();
+    expect(error.errors.status.message).toContain('open, in_progress, completed, cancelled');
+  });
+
+  test('should flag open tasks past their due date as overdue', () => {
+    expect(task.isOverdue).toBe(true);
+
+    task.status = 'completed';
+    expect(task.isOverdue).toBe(false);
+  });
+
+  test('should tick checklist items and report progress', async () => {
+    await task.setChecklistItem(task.checklist[0]._id, true, advocate);
+
+    expect(task.checklist[0].isDone).toBe(true);
+    expect(task.checklist[0].doneBy).toEqual(advocate);
+    expect(task.checklistProgress).toEqual({ done: 1, total: 2 });
+
+    await task.setChecklistItem(task.checklist[0]._id, false, advocate);
+    expect(task.checklist[0].doneBy).toBeUndefined();
+    expect(task.checklistProgress).toEqual({ done: 0, total: 2 });
+  });
+
+  test('should reject unknown checklist items', () => {
+    expect(() => task.setChecklistItem(new mongoose.Types.ObjectId(), true, advocate))
+      .toThrow('Checklist item not found');
+  });
+
+  test('should record comments with their author', async () => {
+    await task.addComment('Client has signed', advocate);
+
+    expect(task.comments).toHaveLength(1);
+    expect(task.comments[0].author).toEqual(advocate);
+    expect(task.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+// Time entry model unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const TimeEntry = require('../../../models/TimeEntry');
+const { billingConfig, roundToIncrement } = require('../../../config/billingConfig');
+
+describe('TimeEntry Model Unit Tests', () => {
+  const buildEntry = (data = {}) => new TimeEntry({
+    caseId: new mongoose.Types.ObjectId(),
+    advocateId: new mongoose.Types.ObjectId(),
+    activityCode: 'drafting',
+    ...data
+  });
+
+  describe('Billing Increments', () => {
+    test('should round worked minutes up to the billing increment', () => {
+      expect(roundToIncrement(1)).toBe(billingConfig.billingIncrementMinutes);
+      expect(roundToIncrement(billingConfig.billingIncrementMinutes)).toBe(billingConfig.billingIncrementMinutes);
+      expect(roundToIncrement(billingConfig.billingIncrementMinutes + 1)).toBe(billingConfig.billingIncrementMinutes * 2);
+      expect(roundToIncrement(0)).toBe(0);
+    });
+  });
+
+  describe('Duration and Amount', () => {
+    test('should derive duration from start and end time', async () => {
+      const entry = buildEntry({
+        startTime: new Date('2026-05-18T09:00:00Z'),
+        endTime: new Date('2026-05-18T10:20:00Z'),
+        hourlyRate: 6000
+      });
+
+      await entry.validate();
+
+      expect(entry.durationMinutes).toBe(80);
+      expect(entry.billedMinutes).toBe(roundToIncrement(80));
+      expect(entry.amount).toBe(Math.round((entry.billedMinutes / 60) * 6000 * 100) / 100);
+    });
+
+    test('should accept a manual duration and apply the default rate', async () => {
+      const entry = buildEntry({ durationMinutes: 60 });
+
+      await entry.validate();
+
+      expect(entry.hourlyRate).toBe(billingConfig.defaultHourlyRate);
+      expect(entry.amount).toBe(billingConfig.defaultHourlyRate);
+    });
+
+    test('should not bill non-billable time', async () => {
+      const entry = buildEntry({ activityCode: 'internal', durationMinutes: 45, billable: false });
+
+      await entry.validate();
+
+      expect(entry.durationMinutes).toBe(45);
+      expect(entry.billedMinutes).toBe(0);
+      expect(entry.amount).toBe(0);
+    });
+
+    test('should reject an end time before the start time', async () => {
+      const entry = buildEntry({
+        startTime: new Date('2026-05-18T10:00:00Z'),
+        endTime: new Date('2026-05-18T09:00:00Z')
+      });
+
+      await expect(entry.validate()).rejects.toThrow('End time must be after start time');
+    });
+
+    test('should reject entries without any duration', async () => {
+      await expect(buildEntry().validate()).rejects.toThrow('Duration must be at least one minute');
+    });
+
+    test('should reject entries longer than the maximum', async () => {
+      const entry = buildEntry({ durationMinutes: billingConfig.maxEntryMinutes + 1 });
+
+      await expect(entry.validate()).rejects.toThrow('cannot exceed');
+    });
+
+    test('should reject unknown activity codes', async () => {
+      const entry = buildEntry({ activityCode: 'golf', durationMinutes: 30 });
+
+      await expect(entry.validate()).rejects.toThrow('Invalid activity code');
+    });
+  });
+
+  describe('Timers', () => {
+    test('should keep a running timer at zero minutes', async () => {
+      const entry = buildEntry({ entryType: 'timer', startTime: new Date(), isRunning: true });
+
+      await entry.validate();
+
+      expect(entry.durationMinutes).toBe(0);
+      expect(entry.endTime).toBeUndefined();
+    });
+
+    test('should compute duration when the timer stops', async () => {
+      const startTime = new Date('2026-05-18T09:00:00Z');
+      const entry = buildEntry({ entryType: 'timer', startTime, isRunning: true });
+      entry.save = jest.fn().mockImplementation(function() {
+        return this.validate().then(() => this);
+      });
+
+      await entry.stopTimer(new Date('2026-05-18T09:25:00Z'));
+
+      expect(entry.isRunning).toBe(false);
+      expect(entry.durationMinutes).toBe(25);
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    test('should refuse to stop a timer that is not running', () => {
+      const entry = buildEntry({ durationMinutes: 30 });
+
+      expect(() => entry.stopTimer()).toThrow('Timer is not running');
+    });
+  });
+});
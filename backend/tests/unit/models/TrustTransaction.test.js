@@ -0,0 +1,83 @@
+// Trust ledger model unit tests for LegalPro v1.0.1
+const mongoose = require('mongoose');
+const TrustTransaction = require('../../../models/TrustTransaction');
+const { buildJournalEntries } = require('../../../utils/trustLedger');
+
+describe('TrustTransaction Model Unit Tests', () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const caseId = new mongoose.Types.ObjectId();
+
+  const buildTransaction = (data = {}) => new TrustTransaction({
+    type: 'deposit',
+    clientId,
+    caseId,
+    amount: 5000,
+    paymentId: new mongoose.Types.ObjectId(),
+    entries: buildJournalEntries(data.type || 'deposit', clientId, caseId, data.amount || 5000),
+    ...data
+  });
+
+  test('should accept a balanced deposit', async () => {
+    const transaction = buildTransaction();
+
+    await expect(transaction.validate()).resolves.toBeUndefined();
+    expect(transaction.ledgerEffect).toBe(5000);
+  });
+
+  test('should show payouts as a reduction of the client sub-ledger', async () => {
+    const transaction = buildTransaction({
+      type: 'disbursement',
+      paymentId: undefined,
+      disbursement: { category: 'court_fee', payee: 'Milimani Law Courts' }
+    });
+
+    await transaction.validate();
+
+    expect(transaction.ledgerEffect).toBe(-5000);
+  });
+
+  test('should reject unbalanced entries', async () => {
+    const transaction = buildTransaction({
+      entries: [
+        { account: 'trust_bank', debit: 5000 },
+        { account: 'client_ledger', clientId, caseId, credit: 4000 }
+      ]
+    });
+
+    await expect(transaction.validate()).rejects.toThrow('Journal entries do not balance');
+  });
+
+  test('should reject an entry that is both debit and credit', async () => {
+    const transaction = buildTransaction({
+      entries: [
+        { account: 'trust_bank', debit: 5000, credit: 5000 },
+        { account: 'client_ledger', clientId, caseId, credit: 0 }
+      ]
+    });
+
+    await expect(transaction.validate()).rejects.toThrow('either a debit or a credit');
+  });
+
+  test('should require client ledger entries to name the matter', async () => {
+    const transaction = buildTransaction({
+      entries: [
+        { account: 'trust_bank', debit: 5000 },
+        { account: 'client_ledger', clientId, credit: 5000 }
+      ]
+    });
+
+    await expect(transaction.validate()).rejects.toThrow('must name the client and case');
+  });
+
+  test('should require the source payment for deposits', async () => {
+    const transaction = buildTransaction({ paymentId: undefined });
+
+    await expect(transaction.validate()).rejects.toThrow('Deposits must reference the payment received');
+  });
+
+  test('should require an invoice for transfers to office', async () => {
+    const transaction = buildTransaction({ type: 'transfer_to_office', paymentId: undefined });
+
+    await expect(transaction.validate()).rejects.toThrow('Transfers to office must be applied to an invoice');
+  });
+});
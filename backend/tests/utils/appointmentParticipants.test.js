@@ -0,0 +1,83 @@
+// Unit tests for appointment participant lists and conflict grouping
+const { normalizeParticipants, getBusyUserIds, groupConflicts } = require('../../utils/appointmentParticipants');
+
+describe('Appointment Participant Utilities', () => {
+  const advocateId = '64b000000000000000000001';
+  const clientId = '64b000000000000000000002';
+  const colleagueId = '64b000000000000000000003';
+  const roomId = '64b0000000000000000000a1';
+
+  describe('normalizeParticipants', () => {
+    test('should drop the primary client, advocate and repeated users', () => {
+      const { participants } = normalizeParticipants([
+        { user: clientId },
+        { user: advocateId },
+        { user: colleagueId, role: 'advocate' },
+        { user: colleagueId }
+      ], { clientId, advocateId });
+
+      expect(participants).toHaveLength(1);
+      expect(participants[0]).toMatchObject({ user: colleagueId, role: 'advocate', rsvpStatus: 'pending' });
+    });
+
+    test('should require a name for people without an account', () => {
+      expect(normalizeParticipants([{ email: 'witness@example.com' }], { clientId, advocateId }).error)
+        .toBe('Each participant needs a user or a name');
+
+      const { participants } = normalizeParticipants([{ name: '  Jane Witness ', role: 'witness' }], { clientId, advocateId });
+      expect(participants[0]).toMatchObject({ name: 'Jane Witness', role: 'witness' });
+    });
+
+    test('should reject lists that are not arrays or are too long', () => {
+      expect(normalizeParticipants('nobody').error).toBe('Participants must be a list');
+      expect(normalizeParticipants(Array.from({ length: 21 }, (_, i) => ({ name: `Person ${i}` }))).error)
+        .toMatch(/at most 20/);
+    });
+  });
+
+  describe('getBusyUserIds', () => {
+    test('should include the advocate and participants who have not declined', () => {
+      const ids = getBusyUserIds({
+        advocateId,
+        participants: [
+          { user: colleagueId, rsvpStatus: 'accepted' },
+          { user: '64b000000000000000000004', rsvpStatus: 'declined' },
+          { name: 'Interpreter', rsvpStatus: 'pending' }
+        ]
+      });
+
+      expect(ids).toEqual([advocateId, colleagueId]);
+    });
+  });
+
+  describe('groupConflicts', () => {
+    const conflicts = [
+      {
+        _id: 'a1',
+        title: 'Board meeting',
+        advocateId: '64b000000000000000000009',
+        participants: [{ user: colleagueId, rsvpStatus: 'accepted' }],
+        resources: [roomId]
+      },
+      {
+        _id: 'a2',
+        title: 'Mediation',
+        advocateId: '64b000000000000000000009',
+        participants: [{ user: advocateId, rsvpStatus: 'declined' }],
+        resources: []
+      }
+    ];
+
+    test('should list only the people and resources that are busy', () => {
+      const busy = groupConflicts(conflicts, { userIds: [advocateId, colleagueId], resourceIds: [roomId] });
+
+      expect(busy.users.map(entry => entry.id)).toEqual([colleagueId]);
+      expect(busy.users[0].conflicts[0]).toMatchObject({ id: 'a1', title: 'Board meeting' });
+      expect(busy.resources.map(entry => entry.id)).toEqual([roomId]);
+    });
+
+    test('should treat declined invitations as free time', () => {
+      expect(groupConflicts(conflicts, { userIds: [advocateId] }).users).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// Unit tests for client reschedule/cancellation policy and waitlist offers
+const { checkReschedulePolicy, getLateCancellationFee } = require('../../utils/appointmentPolicy');
+const { pickCandidate } = require('../../utils/appointmentWaitlist');
+
+describe('Appointment Policy Utilities', () => {
+  const policy = {
+    minRescheduleNoticeHours: 24,
+    maxReschedules: 2,
+    lateCancellationHours: 24,
+    lateCancellationFee: 1000
+  };
+  const now = new Date('2027-03-01T06:00:00Z');
+  const inHours = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  describe('checkReschedulePolicy', () => {
+    test('should allow moves with enough notice and reschedules left', () => {
+      expect(checkReschedulePolicy({ startDateTime: inHours(48), rescheduleCount: 1 }, now, policy)).toBeNull();
+    });
+
+    test('should refuse moves inside the notice period', () => {
+      expect(checkReschedulePolicy({ startDateTime: inHours(23), rescheduleCount: 0 }, now, policy))
+        .toMatch(/at least 24 hours/);
+    });
+
+    test('should refuse once the reschedule limit is reached', () => {
+      expect(checkReschedulePolicy({ startDateTime: inHours(72), rescheduleCount: 2 }, now, policy))
+        .toMatch(/2 time\(s\)/);
+    });
+  });
+
+  describe('getLateCancellationFee', () => {
+    test('should charge the fee inside the late-cancellation window', () => {
+      expect(getLateCancellationFee({ startDateTime: inHours(5) }, now, policy)).toBe(1000);
+    });
+
+    test('should not charge cancellations made in time', () => {
+      expect(getLateCancellationFee({ startDateTime: inHours(25) }, now, policy)).toBe(0);
+    });
+
+    test('should not charge when the fee is turned off', () => {
+      expect(getLateCancellationFee({ startDateTime: inHours(5) }, now, { ...policy, lateCancellationFee: 0 })).toBe(0);
+    });
+  });
+
+  describe('pickCandidate', () => {
+    const slot = {
+      startDateTime: new Date('2027-03-02T07:00:00Z'),
+      endDateTime: new Date('2027-03-02T08:00:00Z')
+    };
+
+    test('should offer the slot to the earliest entry that fits', () => {
+      const entries = [
+        { _id: 'long', duration: 90, passedSlots: [] },
+        { _id: 'first', duration: 30, passedSlots: [] },
+        { _id: 'second', duration: 60, passedSlots: [] }
+      ];
+
+      const pick = pickCandidate(entries, slot);
+
+      expect(pick.entry._id).toBe('first');
+      expect(pick.startDateTime).toEqual(slot.startDateTime);
+      expect(pick.endDateTime).toEqual(new Date('2027-03-02T07:30:00Z'));
+    });
+
+    test('should skip clients who already passed on the slot', () => {
+      const entries = [
+        { _id: 'declined', duration: 60, passedSlots: [new Date('2027-03-02T07:00:00Z')] },
+        { _id: 'next', duration: 60, passedSlots: [] }
+      ];
+
+      expect(pickCandidate(entries, slot).entry._id).toBe('next');
+    });
+
+    test('should return null when nobody fits', () => {
+      expect(pickCandidate([{ _id: 'long', duration: 120, passedSlots: [] }], slot)).toBeNull();
+    });
+  });
+});
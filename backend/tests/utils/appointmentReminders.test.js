@@ -0,0 +1,48 @@
+// Unit tests for scheduled appointment reminder planning
+const { describeLead, planReminders } = require('../../utils/appointmentReminders');
+
+describe('Appointment Reminder Utilities', () => {
+  const now = new Date('2027-03-01T06:00:00Z');
+  const startDateTime = new Date('2027-03-03T07:00:00Z');
+
+  describe('describeLead', () => {
+    test('should describe reminder intervals in words', () => {
+      expect(describeLead(1440)).toBe('in 24 hours');
+      expect(describeLead(60)).toBe('in 1 hour');
+      expect(describeLead(4320)).toBe('in 3 days');
+      expect(describeLead(30)).toBe('in 30 minutes');
+    });
+  });
+
+  describe('planReminders', () => {
+    test('should plan one reminder per interval and channel', () => {
+      const plan = planReminders({
+        startDateTime,
+        status: 'scheduled',
+        reminderSettings: { enabled: true, intervals: [1440, 60], methods: ['email', 'sms'] }
+      }, now);
+
+      expect(plan).toHaveLength(4);
+      expect(plan[0]).toEqual({ runAt: new Date('2027-03-02T07:00:00Z'), interval: 1440, method: 'email' });
+      expect(plan[3]).toEqual({ runAt: new Date('2027-03-03T06:00:00Z'), interval: 60, method: 'sms' });
+    });
+
+    test('should fall back to 24 hours and 1 hour by email', () => {
+      const plan = planReminders({ startDateTime, status: 'confirmed', reminderSettings: { enabled: true } }, now);
+
+      expect(plan.map(reminder => [reminder.interval, reminder.method])).toEqual([[1440, 'email'], [60, 'email']]);
+    });
+
+    test('should leave out reminders that are already due', () => {
+      const soon = new Date('2027-03-01T20:00:00Z');
+      const plan = planReminders({ startDateTime: soon, status: 'scheduled', reminderSettings: {} }, now);
+
+      expect(plan.map(reminder => reminder.interval)).toEqual([60]);
+    });
+
+    test('should plan nothing for cancelled appointments or disabled reminders', () => {
+      expect(planReminders({ startDateTime, status: 'cancelled' }, now)).toEqual([]);
+      expect(planReminders({ startDateTime, status: 'scheduled', reminderSettings: { enabled: false } }, now)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Unit tests for recurring appointment series utilities
+const {
+  MAX_SERIES_OCCURRENCES,
+  validateRecurrence,
+  generateOccurrences,
+  getSeriesId,
+  getOriginalStart
+} = require('../../utils/appointmentSeries');
+
+// Start times of the generated occurrences as UTC ISO strings
+const startsOf = (occurrences) => occurrences.map(occurrence => occurrence.startDateTime.toISOString());
+
+describe('Appointment Series Utilities', () => {
+
+  describe('validateRecurrence', () => {
+    test('should accept a weekly rule with a count', () => {
+      expect(validateRecurrence({ pattern: 'weekly', interval: 1, occurrences: 6 })).toBeNull();
+    });
+
+    test('should require an end date or a number of occurrences', () => {
+      expect(validateRecurrence({ pattern: 'weekly' }))
+        .toBe('Recurring appointments need an end date or a number of occurrences');
+    });
+
+    test('should reject unknown patterns and out-of-range values', () => {
+      expect(validateRecurrence({ pattern: 'hourly', occurrences: 3 })).toContain('Recurrence pattern must be one of');
+      expect(validateRecurrence({ pattern: 'daily', interval: 13, occurrences: 3 })).toContain('interval');
+      expect(validateRecurrence({ pattern: 'daily', occurrences: 1 })).toContain('between 2 and');
+      expect(validateRecurrence({ pattern: 'weekly', occurrences: 3, daysOfWeek: [7] })).toContain('Days of week');
+    });
+  });
+
+  describe('generateOccurrences', () => {
+    // Monday 1 March 2027, 10:00-11:00 Nairobi time
+    const start = '2027-03-01T10:00:00+03:00';
+    const end = '2027-03-01T11:00:00+03:00';
+
+    test('should repeat weekly at the same local time', () => {
+      const occurrences = generateOccurrences(start, end, { pattern: 'weekly', interval: 1, occurrences: 4 });
+
+      expect(startsOf(occurrences)).toEqual([
+        '2027-03-01T07:00:00.000Z',
+        '2027-03-08T07:00:00.000Z',
+        '2027-03-15T07:00:00.000Z',
+        '2027-03-22T07:00:00.000Z'
+      ]);
+      expect(occurrences[3].endDateTime.toISOString()).toBe('2027-03-22T08:00:00.000Z');
+    });
+
+    test('should repeat on several weekdays', () => {
+      const occurrences = generateOccurrences(start, end, { pattern: 'weekly', daysOfWeek: [1, 3], occurrences: 4 });
+
+      expect(startsOf(occurrences)).toEqual([
+        '2027-03-01T07:00:00.000Z',
+        '2027-03-03T07:00:00.000Z',
+        '2027-03-08T07:00:00.000Z',
+        '2027-03-10T07:00:00.000Z'
+      ]);
+    });
+
+    test('should stop at the end date', () => {
+      const occurrences = generateOccurrences(start, end, { pattern: 'daily', interval: 2, endDate: '2027-03-07' });
+
+      expect(startsOf(occurrences)).toEqual([
+        '2027-03-01T07:00:00.000Z',
+        '2027-03-03T07:00:00.000Z',
+        '2027-03-05T07:00:00.000Z',
+        '2027-03-07T07:00:00.000Z'
+      ]);
+    });
+
+    test('should fall back to the last day of shorter months', () => {
+      const occurrences = generateOccurrences(
+        '2027-01-31T09:00:00+03:00',
+        '2027-01-31T10:00:00+03:00',
+        { pattern: 'monthly', occurrences: 3 }
+      );
+
+      expect(startsOf(occurrences)).toEqual([
+        '2027-01-31T06:00:00.000Z',
+        '2027-02-28T06:00:00.000Z',
+        '2027-03-31T06:00:00.000Z'
+      ]);
+    });
+
+    test('should repeat yearly from a leap day', () => {
+      const occurrences = generateOccurrences(
+        '2028-02-29T09:00:00+03:00',
+        '2028-02-29T10:00:00+03:00',
+        { pattern: 'yearly', occurrences: 2 }
+      );
+
+      expect(startsOf(occurrences)[1]).toBe('2029-02-28T06:00:00.000Z');
+    });
+
+    test('should reject an end date before the first appointment', () => {
+      expect(() => generateOccurrences(start, end, { pattern: 'daily', endDate: '2027-02-01' }))
+        .toThrow('Recurrence end date is before the first appointment');
+    });
+
+    test('should cap the length of a series', () => {
+      let error;
+      try {
+        generateOccurrences(start, end, { pattern: 'daily', endDate: '2028-03-01' });
+      } catch (seriesError) {
+        error = seriesError;
+      }
+
+      expect(error.code).toBe('INVALID_RECURRENCE');
+      expect(error.message).toContain(`at most ${MAX_SERIES_OCCURRENCES}`);
+    });
+  });
+
+  describe('series membership', () => {
+    test('should resolve the parent for every occurrence', () => {
+      const parent = { _id: 'parent', isRecurring: true };
+      const child = { _id: 'child', isRecurring: true, parentAppointmentId: 'parent' };
+
+      expect(getSeriesId(parent)).toBe('parent');
+      expect(getSeriesId(child)).toBe('parent');
+      expect(getSeriesId({ _id: 'single', isRecurring: false })).toBeNull();
+    });
+
+    test('should prefer the original start of a moved occurrence', () => {
+      const originalStartDateTime = new Date('2027-03-08T07:00:00Z');
+      const startDateTime = new Date('2027-03-09T07:00:00Z');
+
+      expect(getOriginalStart({ startDateTime, originalStartDateTime })).toBe(originalStartDateTime);
+      expect(getOriginalStart({ startDateTime })).toBe(startDateTime);
+    });
+  });
+});
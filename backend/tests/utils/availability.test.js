@@ -0,0 +1,159 @@
+// Unit tests for advocate availability utilities
+const {
+  toZonedDate,
+  getDaySchedule,
+  buildSlots,
+  checkWithinSchedule
+} = require('../../utils/availability');
+
+// Plain profile with the same shape as an AvailabilityProfile document
+const buildProfile = (overrides = {}) => ({
+  weeklyHours: [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '08:00', end: '18:00' })),
+  breaks: [{ dayOfWeek: null, start: '13:00', end: '14:00', label: 'Lunch' }],
+  overrides: [],
+  leave: [],
+  slotInterval: 30,
+  ...overrides
+});
+
+describe('Availability Utilities', () => {
+
+  describe('toZonedDate', () => {
+    test('should convert Nairobi wall-clock time to UTC', () => {
+      expect(toZonedDate('2026-06-02', 8 * 60).toISOString()).toBe('2026-06-02T05:00:00.000Z');
+    });
+
+    test('should roll past midnight into the next day', () => {
+      expect(toZonedDate('2026-06-02', 24 * 60).toISOString()).toBe('2026-06-02T21:00:00.000Z');
+    });
+  });
+
+  describe('getDaySchedule', () => {
+    test('should split the working day around the lunch break', () => {
+      expect(getDaySchedule(buildProfile(), '2026-06-02')).toEqual({
+        date: '2026-06-02',
+        isWorkingDay: true,
+        reason: null,
+        windows: [{ start: '08:00', end: '13:00' }, { start: '14:00', end: '18:00' }]
+      });
+    });
+
+    test('should close on days without weekly hours', () => {
+      const schedule = getDaySchedule(buildProfile(), '2026-06-06');
+      expect(schedule.isWorkingDay).toBe(false);
+      expect(schedule.reason).toBe('Not a working day');
+    });
+
+    test('should close on public holidays such as Madaraka Day', () => {
+      const schedule = getDaySchedule(buildProfile(), '2026-06-01');
+      expect(schedule.isWorkingDay).toBe(false);
+      expect(schedule.reason).toBe('Madaraka Day');
+    });
+
+    test('should close on firm holidays', () => {
+      const schedule = getDaySchedule(buildProfile(), '2026-06-03', [{ date: '2026-06-03', name: 'Staff Retreat' }]);
+      expect(schedule.reason).toBe('Staff Retreat');
+    });
+
+    test('should close on any day inside a leave period', () => {
+      const profile = buildProfile({ leave: [{ startDate: '2026-06-08', endDate: '2026-06-12', type: 'annual' }] });
+      expect(getDaySchedule(profile, '2026-06-10').reason).toBe('On leave');
+      expect(getDaySchedule(profile, '2026-06-12').isWorkingDay).toBe(false);
+      expect(getDaySchedule(profile, '2026-06-15').isWorkingDay).toBe(true);
+    });
+
+    test('should use override hours in place of the weekly hours', () => {
+      const profile = buildProfile({
+        overrides: [{ date: '2026-06-06', isClosed: false, hours: [{ start: '09:00', end: '12:00' }] }]
+      });
+      expect(getDaySchedule(profile, '2026-06-06').windows).toEqual([{ start: '09:00', end: '12:00' }]);
+    });
+
+    test('should let an override open a public holiday', () => {
+      const profile = buildProfile({
+        overrides: [{ date: '2026-06-01', isClosed: false, hours: [{ start: '10:00', end: '12:00' }] }]
+      });
+      expect(getDaySchedule(profile, '2026-06-01').isWorkingDay).toBe(true);
+    });
+
+    test('should close a date with a closed override', () => {
+      const profile = buildProfile({
+        overrides: [{ date: '2026-06-02', isClosed: true, hours: [], reason: 'High Court hearing' }]
+      });
+      expect(getDaySchedule(profile, '2026-06-02').reason).toBe('High Court hearing');
+    });
+
+    test('should only apply breaks set for the weekday', () => {
+      const profile = buildProfile({
+        breaks: [{ dayOfWeek: 5, start: '12:00', end: '14:00', label: 'Friday prayers' }]
+      });
+      expect(getDaySchedule(profile, '2026-06-02').windows).toEqual([{ start: '08:00', end: '18:00' }]);
+      expect(getDaySchedule(profile, '2026-06-05').windows).toEqual([
+        { start: '08:00', end: '12:00' },
+        { start: '14:00', end: '18:00' }
+      ]);
+    });
+  });
+
+  describe('buildSlots', () => {
+    const now = new Date('2026-06-01T00:00:00.000Z');
+    const schedule = getDaySchedule(buildProfile(), '2026-06-02');
+
+    test('should keep every slot inside a working window', () => {
+      const slots = buildSlots(schedule, { duration: 60, slotInterval: 30, now });
+
+      expect(slots[0].startTime.toISOString()).toBe('2026-06-02T05:00:00.000Z');
+      // No slot may run into lunch (10:00Z - 11:00Z)
+      expect(slots.some(slot => slot.startTime < new Date('2026-06-02T11:00:00.000Z') &&
+        slot.endTime > new Date('2026-06-02T10:00:00.000Z'))).toBe(false);
+      expect(slots[slots.length - 1].endTime.toISOString()).toBe('2026-06-02T15:00:00.000Z');
+      expect(slots).toHaveLength(16);
+    });
+
+    test('should skip slots that clash with booked appointments', () => {
+      const busy = [{
+        startDateTime: new Date('2026-06-02T05:00:00.000Z'),
+        endDateTime: new Date('2026-06-02T06:00:00.000Z')
+      }];
+      const slots = buildSlots(schedule, { duration: 60, slotInterval: 30, busy, now });
+      expect(slots[0].startTime.toISOString()).toBe('2026-06-02T06:00:00.000Z');
+    });
+
+    test('should skip slots already in the past', () => {
+      const slots = buildSlots(schedule, { duration: 60, slotInterval: 60, now: new Date('2026-06-02T12:30:00.000Z') });
+      expect(slots.map(slot => slot.startTime.toISOString())).toEqual([
+        '2026-06-02T13:00:00.000Z',
+        '2026-06-02T14:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('checkWithinSchedule', () => {
+    test('should accept a booking inside working hours', () => {
+      const result = checkWithinSchedule(
+        buildProfile(),
+        new Date('2026-06-02T06:00:00.000Z'),
+        new Date('2026-06-02T07:00:00.000Z')
+      );
+      expect(result).toEqual({ available: true, reason: null });
+    });
+
+    test('should reject a booking that runs into a break', () => {
+      const result = checkWithinSchedule(
+        buildProfile(),
+        new Date('2026-06-02T09:30:00.000Z'),
+        new Date('2026-06-02T10:30:00.000Z')
+      );
+      expect(result).toEqual({ available: false, reason: 'Outside working hours' });
+    });
+
+    test('should reject a booking on a public holiday', () => {
+      const result = checkWithinSchedule(
+        buildProfile(),
+        new Date('2026-06-01T06:00:00.000Z'),
+        new Date('2026-06-01T07:00:00.000Z')
+      );
+      expect(result).toEqual({ available: false, reason: 'Madaraka Day' });
+    });
+  });
+});
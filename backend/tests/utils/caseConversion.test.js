@@ -0,0 +1,85 @@
+// Unit tests for consultation-to-case conversion
+const { attachmentsToDocuments, buildCaseFromAppointment } = require('../../utils/caseConversion');
+
+describe('Case Conversion Utilities', () => {
+  const userId = '64b0000000000000000000c1';
+  const appointment = {
+    _id: '64b0000000000000000000a1',
+    title: 'Custody consultation',
+    description: 'Client wants custody of two children',
+    practiceArea: 'Family Law',
+    priority: 'high',
+    clientId: '64b0000000000000000000b1',
+    advocateId: '64b0000000000000000000b2',
+    bookedBy: '64b0000000000000000000b1',
+    bookedAt: new Date('2026-03-01T08:00:00Z'),
+    completedAt: new Date('2026-03-05T11:00:00Z'),
+    outcome: 'Advised to file for custody',
+    notes: [
+      { content: 'Bring the birth certificates', author: '64b0000000000000000000b2', isPrivate: false, type: 'preparation' }
+    ],
+    attachments: [
+      { name: 'birth-cert.pdf', url: 'https://res.cloudinary.com/x/birth-cert.pdf', publicId: 'legalpro/birth-cert', type: 'application/pdf', size: 2048 }
+    ],
+    intake: {
+      formName: 'Family consultation',
+      submittedAt: new Date('2026-03-01T08:00:00Z'),
+      answers: [{ key: 'county', label: 'County', type: 'select', value: 'Nairobi' }]
+    }
+  };
+
+  describe('buildCaseFromAppointment', () => {
+    test('should pre-fill the case from the consultation', () => {
+      const { caseData, skippedAttachments } = buildCaseFromAppointment(appointment, {}, userId);
+
+      expect(caseData).toMatchObject({
+        title: 'Custody consultation',
+        description: 'Client wants custody of two children',
+        category: 'Family Law',
+        priority: 'high',
+        clientId: appointment.clientId,
+        assignedTo: appointment.advocateId
+      });
+      expect(caseData.notes).toEqual([
+        { content: 'Bring the birth certificates', author: appointment.advocateId, isPrivate: false },
+        { content: 'Consultation outcome: Advised to file for custody', author: appointment.advocateId }
+      ]);
+      expect(caseData.documents).toHaveLength(1);
+      expect(caseData.documents[0]).toMatchObject({ name: 'birth-cert.pdf', originalName: 'birth-cert.pdf', uploadedBy: userId });
+      expect(caseData.intake).toMatchObject({ appointmentId: appointment._id, formName: 'Family consultation' });
+      expect(skippedAttachments).toEqual([]);
+    });
+
+    test('should start the timeline at the booking', () => {
+      const { caseData } = buildCaseFromAppointment(appointment, {}, userId);
+
+      expect(caseData.timeline.map(event => [event.event, event.createdAt])).toEqual([
+        ['consultation_booked', appointment.bookedAt],
+        ['consultation_completed', appointment.completedAt]
+      ]);
+    });
+
+    test('should prefer the details chosen when converting', () => {
+      const { caseData } = buildCaseFromAppointment(appointment, {
+        title: ' Doe custody ',
+        category: 'Constitutional Law',
+        priority: 'urgent'
+      }, userId);
+
+      expect(caseData).toMatchObject({ title: 'Doe custody', category: 'Constitutional Law', priority: 'urgent' });
+    });
+  });
+
+  describe('attachmentsToDocuments', () => {
+    test('should skip files a case cannot hold', () => {
+      const { documents, skipped } = attachmentsToDocuments([
+        { name: 'recording.mp4', url: 'https://res.cloudinary.com/x/recording.mp4', publicId: 'legalpro/recording', type: 'video/mp4', size: 1024 },
+        { name: 'link-only.pdf', url: 'https://example.com/link-only.pdf', type: 'application/pdf', size: 1024 },
+        { name: 'huge.pdf', url: 'https://res.cloudinary.com/x/huge.pdf', publicId: 'legalpro/huge', type: 'application/pdf', size: 20971520 }
+      ], userId);
+
+      expect(documents).toEqual([]);
+      expect(skipped).toEqual(['recording.mp4', 'link-only.pdf', 'huge.pdf']);
+    });
+  });
+});
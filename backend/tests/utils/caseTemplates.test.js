@@ -0,0 +1,92 @@
+// Unit tests for case template expansion
+const { expandTemplate, describeExpansion, resolveRelativeDueDate } = require('../../utils/caseTemplates');
+const { toDateKey } = require('../../utils/courtCalendar');
+
+describe('Case Template Utilities', () => {
+  const userId = 'advocate-1';
+  const startDate = new Date('2026-05-18T09:00:00Z'); // Monday
+
+  const template = {
+    name: 'Divorce petition',
+    category: 'Family Law',
+    description: 'Petition for dissolution of marriage.',
+    defaultPriority: 'high',
+    documentChecklist: [
+      { name: 'Marriage certificate', required: true },
+      { name: 'Children birth certificates', description: 'If any', required: false }
+    ],
+    tasks: [
+      { title: 'Draft petition', description: 'Use the standard grounds', dueIn: { length: 7 } },
+      { title: 'Serve respondent', dueIn: { length: 5, unit: 'court_days' } }
+    ],
+    deadlines: [
+      { title: 'File petition', type: 'filing', dueIn: { length: 14, unit: 'calendar_days' } }
+    ],
+    notes: [
+      { content: 'Confirm the marriage was registered in Kenya.', isPrivate: true }
+    ]
+  };
+
+  describe('resolveRelativeDueDate', () => {
+    test('should roll calendar offsets past public holidays', () => {
+      // 1 June is Madaraka Day
+      expect(toDateKey(resolveRelativeDueDate(startDate, { length: 14, unit: 'calendar_days' }))).toBe('2026-06-02');
+    });
+
+    test('should count court days when asked', () => {
+      expect(toDateKey(resolveRelativeDueDate(startDate, { length: 5, unit: 'court_days' }))).toBe('2026-05-25');
+    });
+
+    test('should default to calendar days', () => {
+      expect(toDateKey(resolveRelativeDueDate(startDate, { length: 7 }))).toBe('2026-05-25');
+    });
+  });
+
+  describe('expandTemplate', () => {
+    test('should copy the description, priority, checklist and notes', () => {
+      const expansion = expandTemplate(template, { startDate, userId });
+
+      expect(expansion.priority).toBe('high');
+      expect(expansion.description).toBe('Petition for dissolution of marriage.');
+      expect(expansion.documentChecklist).toEqual([
+        { name: 'Marriage certificate', description: undefined, required: true, status: 'pending' },
+        { name: 'Children birth certificates', description: 'If any', required: false, status: 'pending' }
+      ]);
+      expect(expansion.notes).toEqual([
+        { content: 'Confirm the marriage was registered in Kenya.', isPrivate: true, author: userId }
+      ]);
+    });
+
+    test('should date template deadlines from the opening date', () => {
+      const { deadlines } = expandTemplate(template, { startDate, userId });
+
+      expect(deadlines).toHaveLength(1);
+      expect(deadlines[0].type).toBe('filing');
+      expect(toDateKey(deadlines[0].dueDate)).toBe('2026-06-02');
+      expect(deadlines[0].createdBy).toBe(userId);
+    });
+
+    test('should turn template tasks into dated task data, soonest first', () => {
+      const { tasks } = expandTemplate({ ...template, _id: 'template-1' }, { startDate, userId });
+
+      expect(tasks.map(task => [task.title, toDateKey(task.dueDate)])).toEqual([
+        ['Draft petition', '2026-05-25'],
+        ['Serve respondent', '2026-05-25']
+      ]);
+      expect(tasks[0].description).toBe('Use the standard grounds');
+      expect(tasks[0].priority).toBe('medium');
+      expect(tasks.every(task => task.createdBy === userId && task.templateId === 'template-1')).toBe(true);
+    });
+  });
+
+  describe('describeExpansion', () => {
+    test('should summarise what was added', () => {
+      expect(describeExpansion(expandTemplate(template, { startDate }))).toBe('2 checklist documents, 2 tasks, 1 deadline, 1 note');
+    });
+
+    test('should handle an empty template', () => {
+      const empty = { ...template, documentChecklist: [], tasks: [], deadlines: [], notes: [] };
+      expect(describeExpansion(expandTemplate(empty, { startDate }))).toBe('no items');
+    });
+  });
+});
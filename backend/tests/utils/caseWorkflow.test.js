@@ -0,0 +1,125 @@
+// Unit tests for the case workflow engine
+const {
+  resolveStage,
+  getStageStatus,
+  getAllowedTransitions,
+  validateTransition,
+  getWorkflowState
+} = require('../../utils/caseWorkflow');
+
+describe('Case Workflow Engine', () => {
+
+  describe('resolveStage', () => {
+    test('should use the stored stage when it belongs to the workflow', () => {
+      expect(resolveStage({ category: 'Criminal Defense', status: 'in_progress', stage: 'trial' })).toBe('trial');
+    });
+
+    test('should fall back to the lifecycle status for legacy cases', () => {
+      expect(resolveStage({ category: 'Tax Law', status: 'completed' })).toBe('completed');
+    });
+
+    test('should ignore stages from another category', () => {
+      expect(resolveStage({ category: 'Tax Law', status: 'in_progress', stage: 'trial' })).toBe('in_progress');
+    });
+  });
+
+  describe('getStageStatus', () => {
+    test('should map category stages onto lifecycle statuses', () => {
+      expect(getStageStatus('Family Law', 'mediation')).toBe('in_progress');
+      expect(getStageStatus('Criminal Defense', 'completed')).toBe('completed');
+    });
+
+    test('should return null for unknown stages', () => {
+      expect(getStageStatus('Family Law', 'trial')).toBeNull();
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    test('should list next stages for the category', () => {
+      const next = getAllowedTransitions('Criminal Defense', 'plea', 'advocate').map(t => t.to);
+      expect(next).toEqual(['trial', 'sentencing']);
+    });
+
+    test('should apply role guards', () => {
+      expect(getAllowedTransitions('Family Law', 'closed', 'advocate').map(t => t.to)).toEqual(['in_progress']);
+      expect(getAllowedTransitions('Family Law', 'closed', 'admin')).toHaveLength(0);
+    });
+
+    test('should describe required fields', () => {
+      const closing = getAllowedTransitions('Tax Law', 'completed', 'advocate').find(t => t.to === 'closed');
+      expect(closing.requiredFields).toEqual([{ name: 'outcomeNote', label: 'Outcome note' }]);
+    });
+  });
+
+  describe('validateTransition', () => {
+    test('should accept a defined transition', () => {
+      const result = validateTransition('Family Law', 'pending', 'in_progress', { role: 'admin' });
+      expect(result.isValid).toBe(true);
+    });
+
+    test('should reject jumping from closed back to pending', () => {
+      const result = validateTransition('Family Law', 'closed', 'pending', { role: 'advocate' });
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe('TRANSITION_NOT_ALLOWED');
+    });
+
+    test('should reject unknown stages', () => {
+      const result = validateTransition('Family Law', 'pending', 'invalid_status', { role: 'advocate' });
+      expect(result.isValid).toBe(false);
+      expect(result.code).toBe('UNKNOWN_STAGE');
+    });
+
+    test('should reject staying in the same stage', () => {
+      const result = validateTransition('Family Law', 'pending', 'pending', { role: 'advocate' });
+      expect(result.code).toBe('SAME_STAGE');
+    });
+
+    test('should require an outcome note before closing', () => {
+      const missing = validateTransition('Property Law', 'completed', 'closed', { role: 'advocate' });
+      expect(missing.isValid).toBe(false);
+      expect(missing.code).toBe('MISSING_FIELDS');
+      expect(missing.missingFields[0].name).toBe('outcomeNote');
+
+      const blank = validateTransition('Property Law', 'completed', 'closed', {
+        role: 'advocate',
+        fields: { outcomeNote: '   ' }
+      });
+      expect(blank.isValid).toBe(false);
+
+      const provided = validateTransition('Property Law', 'completed', 'closed', {
+        role: 'advocate',
+        fields: { outcomeNote: 'Title transferred' }
+      });
+      expect(provided.isValid).toBe(true);
+    });
+
+    test('should block roles not listed on the transition', () => {
+      const result = validateTransition('Criminal Defense', 'completed', 'appeal', {
+        role: 'admin',
+        fields: { reason: 'Conviction appealed' }
+      });
+      expect(result.code).toBe('ROLE_NOT_ALLOWED');
+    });
+
+    test('should skip role guards for system transitions', () => {
+      const result = validateTransition('Criminal Defense', 'completed', 'appeal', {
+        fields: { reason: 'Conviction appealed' }
+      });
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('getWorkflowState', () => {
+    test('should describe the current stage and next actions', () => {
+      const state = getWorkflowState({ category: 'Family Law', status: 'in_progress', stage: 'mediation' }, 'advocate');
+      expect(state.stage).toBe('mediation');
+      expect(state.stageLabel).toBe('Mediation');
+      expect(state.allowedTransitions.map(t => t.to)).toEqual(['hearing', 'completed']);
+    });
+
+    test('should not offer transitions to clients', () => {
+      const state = getWorkflowState({ category: 'Family Law', status: 'pending' }, 'client');
+      expect(state.allowedTransitions).toHaveLength(0);
+    });
+  });
+});
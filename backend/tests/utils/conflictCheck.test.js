@@ -0,0 +1,91 @@
+// Unit tests for conflict-of-interest matching
+const {
+  normalizeName,
+  normalizePhone,
+  normalizeEmail,
+  nameSimilarity,
+  compareParties,
+  sanitizeParties,
+  buildCandidates,
+  evaluateConflictOverride
+} = require('../../utils/conflictCheck');
+
+describe('Conflict Check', () => {
+
+  describe('normalization', () => {
+    test('should drop titles, company suffixes and word order from names', () => {
+      expect(normalizeName('Dr. Jane  Muthoni-Kamau')).toEqual(['jane', 'kamau', 'muthoni']);
+      expect(normalizeName('Acme Holdings Ltd.')).toEqual(normalizeName('ACME Holdings Limited'));
+    });
+
+    test('should compare Kenyan phone numbers in any format', () => {
+      expect(normalizePhone('0712 345 678')).toBe(normalizePhone('+254712345678'));
+      expect(normalizePhone('12345')).toBeNull();
+    });
+
+    test('should ignore case and +tags in emails', () => {
+      expect(normalizeEmail(' Jane+court@Example.com ')).toBe('jane@example.com');
+      expect(normalizeEmail('not-an-email')).toBeNull();
+    });
+  });
+
+  describe('nameSimilarity', () => {
+    test('should match reordered names and a missing middle name', () => {
+      expect(nameSimilarity('Otieno Mary', 'Mary Otieno')).toBe(1);
+      expect(nameSimilarity('Mary Otieno', 'Mary Wanjiku Otieno')).toBe(1);
+    });
+
+    test('should tolerate small spelling slips', () => {
+      expect(nameSimilarity('Mary Otieno', 'Marry Otieno')).toBeGreaterThanOrEqual(0.85);
+    });
+
+    test('should not match on a single shared first name', () => {
+      expect(nameSimilarity('John', 'John Kamau')).toBeLessThan(0.85);
+      expect(nameSimilarity('John Mwangi', 'John Kamau')).toBeLessThan(0.85);
+    });
+  });
+
+  describe('compareParties', () => {
+    test('should report every field that matched', () => {
+      const match = compareParties(
+        { name: 'Mary Otieno', phone: '0712345678', email: 'mary@example.com' },
+        { name: 'Otieno, Mary', phone: '254712345678', email: 'MARY@example.com' }
+      );
+
+      expect(match.matchedOn).toEqual(['email', 'phone', 'name']);
+    });
+
+    test('should return null when nothing matches', () => {
+      expect(compareParties({ name: 'Acme Ltd' }, { name: 'Zenith Bank' })).toBeNull();
+    });
+  });
+
+  describe('candidates', () => {
+    test('should keep named parties and tag their role', () => {
+      const parties = sanitizeParties([{ name: ' Acme Ltd ', email: 'INFO@acme.co.ke', extra: 'x' }, { phone: '0712' }]);
+      expect(parties).toEqual([{ name: 'Acme Ltd', email: 'info@acme.co.ke', phone: undefined, relationship: undefined }]);
+
+      const candidates = buildCandidates({ firstName: 'Bob', lastName: 'Client' }, parties, []);
+      expect(candidates.map(c => [c.name, c.role])).toEqual([['Bob Client', 'client'], ['Acme Ltd', 'opposing']]);
+    });
+  });
+
+  describe('evaluateConflictOverride', () => {
+    const conflict = { hits: [{}], summary: { conflicts: 1, potential: 0 } };
+    const potential = { hits: [{}], summary: { conflicts: 0, potential: 1 } };
+
+    test('should allow requests without hits', () => {
+      expect(evaluateConflictOverride({ hits: [], summary: {} }, null, { role: 'admin' }).allowed).toBe(true);
+    });
+
+    test('should require a reason when there are hits', () => {
+      expect(evaluateConflictOverride(potential, { reason: '  ' }, { role: 'advocate' }).status).toBe(409);
+    });
+
+    test('should only let advocates override direct conflicts', () => {
+      expect(evaluateConflictOverride(conflict, { reason: 'Consent obtained' }, { role: 'admin' }).status).toBe(403);
+      expect(evaluateConflictOverride(conflict, { reason: 'Consent obtained' }, { role: 'advocate' })).toEqual({ allowed: true, reason: 'Consent obtained' });
+      expect(evaluateConflictOverride(potential, { reason: 'Witness only' }, { role: 'admin' }).allowed).toBe(true);
+    });
+  });
+});
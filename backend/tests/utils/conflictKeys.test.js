@@ -0,0 +1,40 @@
+// Unit tests for conflict-of-interest search keys
+const { buildConflictKeys, updateTouches } = require('../../utils/conflictKeys');
+
+describe('Conflict Keys', () => {
+
+  describe('buildConflictKeys', () => {
+    test('should key name word prefixes, email and phone', () => {
+      const keys = buildConflictKeys([{ name: 'Dr. Jane Muthoni', email: 'Jane+court@Example.com', phone: '0712 345 678' }]);
+
+      expect(keys.sort()).toEqual(['e:jane@example.com', 'n:jan', 'n:mut', 'p:712345678']);
+    });
+
+    test('should give spellings that fuzzy match the same name keys', () => {
+      expect(buildConflictKeys([{ name: 'Mary Wanjiku' }])).toEqual(buildConflictKeys([{ name: 'Wanjiko Marie' }]));
+    });
+
+    test('should combine several parties without duplicates', () => {
+      const keys = buildConflictKeys([
+        { name: 'John Kamau', phone: '+254712345678' },
+        { name: 'Johnny Kamau', phone: '254712345678' },
+        null
+      ]);
+
+      expect(keys.sort()).toEqual(['n:joh', 'n:kam', 'p:712345678']);
+    });
+  });
+
+  describe('updateTouches', () => {
+    test('should detect fields set directly, through $set or by array operators', () => {
+      expect(updateTouches({ phone: '0712345678' }, ['phone'])).toBe(true);
+      expect(updateTouches({ $set: { 'opposingParties.0.name': 'Acme' } }, ['opposingParties'])).toBe(true);
+      expect(updateTouches({ $push: { relatedParties: { name: 'Acme' } } }, ['relatedParties'])).toBe(true);
+    });
+
+    test('should ignore updates to other fields', () => {
+      expect(updateTouches({ $set: { lastLogin: new Date() } }, ['firstName', 'phone'])).toBe(false);
+      expect(updateTouches(undefined, ['phone'])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// Unit tests for the court calendar utilities
+const {
+  toDateKey,
+  getEasterSunday,
+  getHolidayName,
+  isCourtDay,
+  addCourtDays,
+  addMonths,
+  calculateDueDate,
+  daysBetween
+} = require('../../utils/courtCalendar');
+
+describe('Court Calendar', () => {
+
+  describe('toDateKey', () => {
+    test('should use the firm timezone for the calendar date', () => {
+      expect(toDateKey('2026-03-01T22:30:00.000Z')).toBe('2026-03-02');
+    });
+
+    test('should pass YYYY-MM-DD strings through unchanged', () => {
+      expect(toDateKey('2026-07-15')).toBe('2026-07-15');
+    });
+  });
+
+  describe('holidays', () => {
+    test('should compute Easter and its public holidays', () => {
+      expect(toDateKey(getEasterSunday(2026))).toBe('2026-04-05');
+      expect(getHolidayName('2026-04-03')).toBe('Good Friday');
+      expect(getHolidayName('2026-04-06')).toBe('Easter Monday');
+    });
+
+    test('should observe a Sunday holiday on the Monday', () => {
+      // Madaraka Day 2025 fell on a Sunday
+      expect(getHolidayName('2025-06-02')).toBe('Madaraka Day (observed)');
+    });
+
+    test('should treat weekends, holidays and extra closures as non-court days', () => {
+      expect(isCourtDay('2026-10-17')).toBe(false);
+      expect(isCourtDay('2026-10-20')).toBe(false);
+      expect(isCourtDay('2026-03-20', [{ date: '2026-03-20', name: 'Idd-ul-Fitr' }])).toBe(false);
+      expect(isCourtDay('2026-10-21')).toBe(true);
+    });
+  });
+
+  describe('addCourtDays', () => {
+    test('should skip the Easter weekend when counting court days', () => {
+      const { date, skipped } = addCourtDays('2026-04-01', 3);
+
+      expect(toDateKey(date)).toBe('2026-04-08');
+      expect(skipped.map(day => day.date)).toEqual(['2026-04-03', '2026-04-04', '2026-04-05', '2026-04-06']);
+    });
+  });
+
+  describe('addMonths', () => {
+    test('should clamp to the last day of shorter months', () => {
+      expect(toDateKey(addMonths('2026-08-31', 6))).toBe('2027-02-28');
+      expect(toDateKey(addMonths('2028-01-31', 1))).toBe('2028-02-29');
+    });
+  });
+
+  describe('calculateDueDate', () => {
+    test('should extend a calendar period ending on a holiday to the next court day', () => {
+      const result = calculateDueDate('2026-05-18', { length: 14, unit: 'calendar_days' });
+
+      expect(toDateKey(result.unadjustedDate)).toBe('2026-06-01');
+      expect(toDateKey(result.dueDate)).toBe('2026-06-02');
+      expect(result.skipped).toEqual([{ date: '2026-06-01', reason: 'Madaraka Day' }]);
+    });
+
+    test('should roll past Christmas, Boxing Day and the weekend', () => {
+      const result = calculateDueDate('2026-12-10', { length: 15, unit: 'calendar_days' });
+
+      expect(toDateKey(result.dueDate)).toBe('2026-12-28');
+      expect(result.skipped).toHaveLength(3);
+    });
+
+    test('should count limitation periods in years', () => {
+      const result = calculateDueDate('2020-02-29', { length: 6, unit: 'years' });
+
+      expect(toDateKey(result.unadjustedDate)).toBe('2026-02-28');
+      expect(toDateKey(result.dueDate)).toBe('2026-03-02');
+    });
+
+    test('should leave the date alone when extension is disabled', () => {
+      const result = calculateDueDate('2026-05-18', { length: 14, unit: 'calendar_days' }, { extendToCourtDay: false });
+
+      expect(toDateKey(result.dueDate)).toBe('2026-06-01');
+    });
+
+    test('should reject unknown units and invalid lengths', () => {
+      expect(() => calculateDueDate('2026-05-18', { length: 2, unit: 'weeks' })).toThrow('Unsupported period unit');
+      expect(() => calculateDueDate('2026-05-18', { length: -1, unit: 'calendar_days' })).toThrow();
+    });
+  });
+
+  describe('daysBetween', () => {
+    test('should count whole calendar days in either direction', () => {
+      expect(daysBetween('2026-10-18', '2026-10-25')).toBe(7);
+      expect(daysBetween('2026-10-25', '2026-10-18')).toBe(-7);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// Unit tests for case deadline utilities
+const { buildDeadline, getDueReminder } = require('../../utils/deadlineUtils');
+const { toDateKey } = require('../../utils/courtCalendar');
+
+describe('Deadline Utilities', () => {
+
+  describe('buildDeadline', () => {
+    test('should compute a rule-based deadline from the trigger date', () => {
+      const { deadline, calculation } = buildDeadline('Family Law', {
+        ruleKey: 'notice_of_appeal',
+        triggerDate: '2026-05-18'
+      });
+
+      expect(deadline.type).toBe('appeal');
+      expect(deadline.trigger.event).toBe('judgment_delivered');
+      expect(toDateKey(deadline.dueDate)).toBe('2026-06-02');
+      expect(calculation.unadjustedDate).toBe('2026-06-01');
+    });
+
+    test('should reject rules that do not belong to the category', () => {
+      expect(() => buildDeadline('Criminal Defense', {
+        ruleKey: 'limitation_tort',
+        triggerDate: '2026-05-18'
+      })).toThrow('Unknown deadline rule');
+    });
+
+    test('should require a trigger date for rule-based deadlines', () => {
+      expect(() => buildDeadline('Family Law', { ruleKey: 'notice_of_appeal' })).toThrow('trigger date');
+    });
+
+    test('should accept a manual deadline with a title and due date', () => {
+      const { deadline, calculation } = buildDeadline('Tax Law', {
+        title: 'Serve witness statements',
+        dueDate: '2026-11-02',
+        type: 'filing'
+      });
+
+      expect(toDateKey(deadline.dueDate)).toBe('2026-11-02');
+      expect(calculation).toBeNull();
+    });
+  });
+
+  describe('getDueReminder', () => {
+    const now = new Date('2026-10-19T06:00:00.000Z');
+    const deadlineDue = (dueDate, overrides = {}) => ({
+      status: 'open',
+      type: 'filing',
+      dueDate: new Date(`${dueDate}T00:00:00.000Z`),
+      reminders: [],
+      ...overrides
+    });
+
+    test('should pick the tightest threshold reached', () => {
+      expect(getDueReminder(deadlineDue('2026-10-24'), now)).toEqual({ level: '7', daysLeft: 5, escalate: false });
+    });
+
+    test('should not repeat a reminder level already sent', () => {
+      const deadline = deadlineDue('2026-10-24', { reminders: [{ level: '7', sentAt: now }] });
+      expect(getDueReminder(deadline, now)).toBeNull();
+    });
+
+    test('should escalate close to the due date', () => {
+      expect(getDueReminder(deadlineDue('2026-10-21'), now)).toEqual({ level: '3', daysLeft: 2, escalate: true });
+    });
+
+    test('should use the longer schedule for limitation periods', () => {
+      const deadline = deadlineDue('2027-01-05', { type: 'limitation' });
+      expect(getDueReminder(deadline, now).level).toBe('90');
+    });
+
+    test('should chase overdue deadlines once a day', () => {
+      const deadline = deadlineDue('2026-10-16');
+      expect(getDueReminder(deadline, now)).toEqual({ level: 'overdue', daysLeft: -3, escalate: true });
+
+      deadline.reminders.push({ level: 'overdue', sentAt: new Date('2026-10-19T05:00:00.000Z') });
+      expect(getDueReminder(deadline, now)).toBeNull();
+    });
+
+    test('should ignore completed and waived deadlines', () => {
+      expect(getDueReminder(deadlineDue('2026-10-20', { status: 'completed' }), now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// Unit tests for document text extraction and search snippets
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const {
+  MAX_INDEXED_LENGTH,
+  getTextKind,
+  stripRtf,
+  normalizeText,
+  extractDocumentText,
+  parseSearchTerms,
+  buildSnippets
+} = require('../../utils/documentText');
+
+describe('Document Text Utilities', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legalpro-text-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getTextKind', () => {
+    test('should pick the extractor from the MIME type', () => {
+      expect(getTextKind('application/pdf', 'scan')).toBe('pdf');
+      expect(getTextKind('application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'plaint')).toBe('docx');
+      expect(getTextKind('text/rtf', 'notes')).toBe('rtf');
+    });
+
+    test('should fall back to the file extension', () => {
+      expect(getTextKind('application/octet-stream', 'Ruling.RTF')).toBe('rtf');
+      expect(getTextKind(undefined, 'notes.txt')).toBe('txt');
+    });
+
+    test('should not support images or legacy Word files', () => {
+      expect(getTextKind('image/png', 'exhibit.png')).toBeNull();
+      expect(getTextKind('application/msword', 'old.doc')).toBeNull();
+    });
+  });
+
+  describe('stripRtf', () => {
+    test('should keep body text and drop formatting tables', () => {
+      const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Times New Roman;}}{\\colortbl;\\red0\\green0\\blue0;}' +
+        '{\\*\\generator Riched20;}\\f0\\fs24 Plaint for \\b breach\\b0  of contract\\par Second line}';
+
+      expect(stripRtf(rtf)).toBe('Plaint for breach of contract\nSecond line');
+    });
+
+    test('should decode escaped and unicode characters', () => {
+      const rtf = '{\\rtf1 Caf\\\'e9 \\{costs\\} \\u8364? 500\\emdash paid}';
+
+      expect(stripRtf(rtf)).toBe('Café {costs} € 500—paid');
+    });
+  });
+
+  describe('normalizeText', () => {
+    test('should collapse whitespace but keep paragraphs', () => {
+      const { text } = normalizeText('﻿  First   line\r\n\r\n\r\n\tSecond line  ');
+
+      expect(text).toBe('First line\n\nSecond line');
+    });
+
+    test('should truncate very long text', () => {
+      const result = normalizeText('a'.repeat(MAX_INDEXED_LENGTH + 10));
+
+      expect(result.truncated).toBe(true);
+      expect(result.text).toHaveLength(MAX_INDEXED_LENGTH);
+    });
+  });
+
+  describe('extractDocumentText', () => {
+    test('should read plain text files', async () => {
+      const filePath = path.join(tempDir, 'note.txt');
+      fs.writeFileSync(filePath, 'Hearing adjourned   to 12 March.');
+
+      const result = await extractDocumentText(filePath, { mimeType: 'text/plain', originalName: 'note.txt' });
+
+      expect(result).toEqual({ kind: 'txt', text: 'Hearing adjourned to 12 March.', truncated: false });
+    });
+
+    test('should read RTF files', async () => {
+      const filePath = path.join(tempDir, 'memo.rtf');
+      fs.writeFileSync(filePath, '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}\\f0 Memo on \\i costs\\i0\\par}', 'latin1');
+
+      const result = await extractDocumentText(filePath, { mimeType: 'application/rtf', originalName: 'memo.rtf' });
+
+      expect(result.text).toBe('Memo on costs');
+    });
+
+    test('should read PDF files', async () => {
+      const filePath = path.join(tempDir, 'ruling.pdf');
+      await new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = fs.createWriteStream(filePath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        doc.text('Ruling on the preliminary objection');
+        doc.end();
+      });
+
+      const result = await extractDocumentText(filePath, { mimeType: 'application/pdf', originalName: 'ruling.pdf' });
+
+      expect(result.kind).toBe('pdf');
+      expect(result.text).toContain('Ruling on the preliminary objection');
+    });
+
+    test('should return null for unsupported files', async () => {
+      const result = await extractDocumentText(path.join(tempDir, 'missing.png'), { mimeType: 'image/png', originalName: 'exhibit.png' });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('parseSearchTerms', () => {
+    test('should keep phrases and drop excluded and short words', () => {
+      expect(parseSearchTerms('"joint custody" access -draft a')).toEqual(['joint custody', 'access']);
+    });
+
+    test('should strip surrounding punctuation', () => {
+      expect(parseSearchTerms('(Plaint), costs?')).toEqual(['plaint', 'costs']);
+    });
+  });
+
+  describe('buildSnippets', () => {
+    const text = `${'Preamble text. '.repeat(20)}The court awarded costs to the plaintiff. ` +
+      `${'Middle text. '.repeat(30)}Costs were assessed at KES 50,000.`;
+
+    test('should highlight each match within its snippet', () => {
+      const snippets = buildSnippets(text, ['costs'], { radius: 30 });
+
+      expect(snippets).toHaveLength(2);
+      snippets.forEach(snippet => {
+        const [highlight] = snippet.highlights;
+        expect(snippet.text.substr(highlight.start, highlight.length).toLowerCase()).toBe('costs');
+      });
+      expect(snippets[0].text.startsWith('…')).toBe(true);
+      expect(snippets[1].text.endsWith('…')).toBe(false);
+    });
+
+    test('should match word stems and phrases across whitespace', () => {
+      const [snippet] = buildSnippets('The parties\nsettled the contracts dispute.', ['contract', 'parties settled']);
+
+      expect(snippet.highlights.map(({ start, length }) => snippet.text.substr(start, length)))
+        .toEqual(['parties settled', 'contracts']);
+    });
+
+    test('should merge nearby matches and cap the number of snippets', () => {
+      const repeated = 'fee '.repeat(10) + 'filler '.repeat(100) + 'fee '.repeat(2) + 'filler '.repeat(100) + 'fee';
+
+      const snippets = buildSnippets(repeated, ['fee'], { maxSnippets: 2, radius: 20 });
+
+      expect(snippets).toHaveLength(2);
+      expect(snippets[0].highlights.length).toBe(10);
+    });
+
+    test('should fall back to the opening text when only the title matched', () => {
+      const [snippet] = buildSnippets('Opening words of the document that go on for a while.', ['affidavit'], { radius: 10 });
+
+      expect(snippet.text).toBe('Opening words of the…');
+      expect(snippet.highlights).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// Unit tests for iCalendar formatting
+const {
+  escapeText,
+  foldLine,
+  formatOffset,
+  formatLocalDateTime,
+  buildTimezone,
+  buildCalendar
+} = require('../../utils/icalendar');
+const {
+  appointmentToEvent,
+  courtDateToEvent,
+  deadlineToEvent
+} = require('../../utils/calendarFeed');
+
+describe('iCalendar Utilities', () => {
+  describe('escapeText', () => {
+    test('should escape commas, semicolons, backslashes and newlines', () => {
+      expect(escapeText('Mombasa Rd, Suite 4; Floor 2\nGate C\\B')).toBe('Mombasa Rd\\, Suite 4\\; Floor 2\\nGate C\\\\B');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('should fold long lines at 75 octets with a leading space', () => {
+      const folded = foldLine(`DESCRIPTION:${'a'.repeat(150)}`);
+      const segments = folded.split('\r\n');
+
+      expect(segments[0]).toHaveLength(75);
+      expect(segments.slice(1).every(segment => segment.startsWith(' '))).toBe(true);
+      expect(segments.every(segment => Buffer.byteLength(segment) <= 75)).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'a'.repeat(150)}`);
+    });
+
+    test('should not split multi-byte characters', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+      expect(folded.split('\r\n').every(segment => Buffer.byteLength(segment) <= 75)).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    });
+  });
+
+  describe('timezones', () => {
+    test('should format UTC offsets', () => {
+      expect(formatOffset(180)).toBe('+0300');
+      expect(formatOffset(-330)).toBe('-0530');
+    });
+
+    test('should format wall-clock time in the timezone', () => {
+      expect(formatLocalDateTime(new Date('2027-03-01T07:00:00Z'), 'Africa/Nairobi')).toBe('20270301T100000');
+    });
+
+    test('should describe Africa/Nairobi with a single standard rule', () => {
+      const lines = buildTimezone('Africa/Nairobi', new Date('2027-03-01T07:00:00Z'));
+
+      expect(lines).toEqual([
+        'BEGIN:VTIMEZONE',
+        'TZID:Africa/Nairobi',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0300',
+        'TZOFFSETTO:+0300',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+      ]);
+    });
+
+    test('should include daylight saving transitions where the zone has them', () => {
+      const lines = buildTimezone('Europe/London', new Date('2027-06-01T00:00:00Z'));
+
+      expect(lines).toContain('BEGIN:DAYLIGHT');
+      expect(lines).toContain('DTSTART:20270328T010000');
+      expect(lines).toContain('DTSTART:20271031T020000');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const appointment = {
+      _id: 'a1',
+      title: 'Consultation',
+      description: 'Land dispute',
+      startDateTime: new Date('2027-03-01T07:00:00Z'),
+      endDateTime: new Date('2027-03-01T08:00:00Z'),
+      type: 'consultation',
+      status: 'scheduled',
+      location: { type: 'office', room: 'Boardroom' },
+      advocateId: { firstName: 'Jane', lastName: 'Wanjiru' },
+      clientId: { firstName: 'Peter', lastName: 'Otieno' }
+    };
+
+    test('should write timed events in local time with a VTIMEZONE', () => {
+      const ics = buildCalendar({ events: [appointmentToEvent(appointment)] });
+      const lines = ics.split('\r\n');
+
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('TZID:Africa/Nairobi');
+      expect(lines).toContain('UID:appointment-a1@legalpro.co.ke');
+      expect(lines).toContain('DTSTART;TZID=Africa/Nairobi:20270301T100000');
+      expect(lines).toContain('DTEND;TZID=Africa/Nairobi:20270301T110000');
+      expect(lines).toContain('LOCATION:Office\\, Boardroom');
+      expect(lines).toContain('DESCRIPTION:Land dispute\\nAdvocate: Jane Wanjiru\\nClient: Peter Otieno');
+    });
+
+    test('should leave out the VTIMEZONE when every event is all-day', () => {
+      const ics = buildCalendar({
+        name: 'LegalPro',
+        events: [deadlineToEvent(
+          { caseNumber: 'CASE-2027-0001', title: 'Otieno v. Kamau' },
+          { _id: 'd1', title: 'File defence', type: 'filing', dueDate: new Date('2027-03-01T20:59:00Z') }
+        )]
+      });
+
+      expect(ics).not.toContain('BEGIN:VTIMEZONE');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20270301\r\n');
+      expect(ics).toContain('DTEND;VALUE=DATE:20270302\r\n');
+      expect(ics).toContain('X-WR-CALNAME:LegalPro\r\n');
+    });
+  });
+
+  describe('court dates', () => {
+    const caseDoc = { _id: 'c1', caseNumber: 'CASE-2027-0001', title: 'Otieno v. Kamau' };
+
+    test('should treat a court date at local midnight as all-day', () => {
+      const event = courtDateToEvent({ ...caseDoc, courtDate: new Date('2027-03-01T21:00:00Z') });
+
+      expect(event.allDay).toBe(true);
+      expect(event.startDate).toBe('2027-03-02');
+      expect(event.endDate).toBe('2027-03-03');
+      expect(event.uid).toBe('court-c1-2027-03-02@legalpro.co.ke');
+    });
+
+    test('should give a court date with a time an hour-long slot', () => {
+      const event = courtDateToEvent({ ...caseDoc, courtDate: new Date('2027-03-02T06:30:00Z') });
+
+      expect(event.allDay).toBe(false);
+      expect(event.end.getTime() - event.start.getTime()).toBe(60 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Unit tests for appointment intake form answers
+const IntakeForm = require('../../models/IntakeForm');
+const { findIntakeForm, validateIntakeAnswers, copyIntakeToCase } = require('../../utils/intakeForms');
+
+describe('Intake Form Utilities', () => {
+  const form = {
+    _id: '64b0000000000000000000f1',
+    name: 'Family consultation',
+    fields: [
+      { key: 'summary', label: 'What happened?', type: 'textarea', required: true, options: [] },
+      { key: 'children', label: 'Number of children', type: 'number', required: false, options: [] },
+      { key: 'married_on', label: 'Date of marriage', type: 'date', required: false, options: [] },
+      { key: 'county', label: 'County', type: 'select', required: true, options: ['Nairobi', 'Mombasa'] },
+      { key: 'documents', label: 'Documents you hold', type: 'multiselect', required: false, options: ['Title deed', 'Marriage certificate'] },
+      { key: 'consent', label: 'I agree to the terms', type: 'checkbox', required: true, options: [] },
+      { key: 'evidence', label: 'Supporting documents', type: 'file', required: false, options: [] }
+    ]
+  };
+  const now = new Date('2026-03-02T09:00:00Z');
+
+  describe('validateIntakeAnswers', () => {
+    test('should store answers with the labels the client saw', () => {
+      const { intake } = validateIntakeAnswers(form, {
+        summary: '  Separation since 2024 ',
+        children: '2',
+        married_on: '2015-06-20',
+        county: 'Nairobi',
+        documents: ['Marriage certificate', 'Marriage certificate'],
+        consent: true,
+        evidence: [{ name: 'certificate.pdf', url: 'https://res.cloudinary.com/x/certificate.pdf', size: 1024 }]
+      }, now);
+
+      expect(intake).toMatchObject({ form: form._id, formName: 'Family consultation', submittedAt: now });
+      expect(intake.answers.map(answer => [answer.key, answer.value])).toEqual([
+        ['summary', 'Separation since 2024'],
+        ['children', 2],
+        ['married_on', new Date('2015-06-20')],
+        ['county', 'Nairobi'],
+        ['documents', ['Marriage certificate']],
+        ['consent', true],
+        ['evidence', [{ name: 'certificate.pdf', url: 'https://res.cloudinary.com/x/certificate.pdf', publicId: undefined, size: 1024 }]]
+      ]);
+      expect(intake.answers[0].label).toBe('What happened?');
+    });
+
+    test('should list every missing or invalid answer', () => {
+      const result = validateIntakeAnswers(form, {
+        children: 'several',
+        county: 'Kisumu',
+        consent: false,
+        evidence: [{ name: 'notes.txt', url: 'file:///tmp/notes.txt' }]
+      });
+
+      expect(result.error).toBe('Please complete the intake form');
+      expect(result.errors).toEqual([
+        'What happened? is required',
+        'Number of children must be a number',
+        'County must be one of: Nairobi, Mombasa',
+        'I agree to the terms must be ticked',
+        'Supporting documents must list uploaded files with a name and URL'
+      ]);
+    });
+
+    test('should reject answers that are not an object', () => {
+      expect(validateIntakeAnswers(form, ['Nairobi']).error).toBe('Intake answers must be an object keyed by question');
+    });
+  });
+
+  describe('findIntakeForm', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('should prefer the practice area\'s own form over the general one', async () => {
+      const general = { name: 'General consultation' };
+      const family = { name: 'Family consultation', practiceArea: 'Family Law' };
+      jest.spyOn(IntakeForm, 'find').mockResolvedValue([general, family]);
+
+      await expect(findIntakeForm('consultation', 'Family Law')).resolves.toBe(family);
+      expect(IntakeForm.find).toHaveBeenCalledWith({
+        appointmentType: 'consultation',
+        isActive: true,
+        practiceArea: { $in: ['Family Law', null] }
+      });
+    });
+
+    test('should return null when no form applies', async () => {
+      jest.spyOn(IntakeForm, 'find').mockResolvedValue([]);
+
+      await expect(findIntakeForm('mediation')).resolves.toBeNull();
+    });
+  });
+
+  describe('copyIntakeToCase', () => {
+    const appointment = {
+      _id: '64b0000000000000000000a1',
+      intake: {
+        formName: 'Family consultation',
+        submittedAt: now,
+        answers: [{ key: 'county', label: 'County', type: 'select', value: 'Nairobi' }]
+      }
+    };
+
+    test('should carry the answers over to a case without intake', () => {
+      const caseDoc = {};
+
+      expect(copyIntakeToCase(appointment, caseDoc)).toBe(true);
+      expect(caseDoc.intake).toEqual({
+        appointmentId: appointment._id,
+        formName: 'Family consultation',
+        answers: [{ key: 'county', label: 'County', type: 'select', value: 'Nairobi' }],
+        submittedAt: now
+      });
+    });
+
+    test('should keep the intake a case already has', () => {
+      const caseDoc = { intake: { appointmentId: '64b0000000000000000000a2' } };
+
+      expect(copyIntakeToCase(appointment, caseDoc)).toBe(false);
+      expect(caseDoc.intake.appointmentId).toBe('64b0000000000000000000a2');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// Unit tests for invoice utilities
+const mongoose = require('mongoose');
+const Invoice = require('../../models/Invoice');
+const { timeEntryToLineItem, appointmentToLineItem } = require('../../utils/invoiceUtils');
+const { renderInvoicePdf } = require('../../utils/invoicePdf');
+const { billingConfig } = require('../../config/billingConfig');
+
+describe('Invoice Utilities', () => {
+
+  describe('timeEntryToLineItem', () => {
+    test('should bill rounded minutes as hours at the entry rate', () => {
+      const item = timeEntryToLineItem({
+        _id: new mongoose.Types.ObjectId(),
+        activityCode: 'drafting',
+        description: 'Draft plaint',
+        workDate: new Date('2026-05-18'),
+        billedMinutes: 54,
+        hourlyRate: 6000,
+        advocateId: { firstName: 'Jane', lastName: 'Wanjiku' }
+      });
+
+      expect(item.type).toBe('time');
+      expect(item.quantity).toBe(0.9);
+      expect(item.unitPrice).toBe(6000);
+      expect(item.description).toBe('Drafting: Draft plaint (Jane Wanjiku)');
+    });
+  });
+
+  describe('appointmentToLineItem', () => {
+    const appointment = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Initial consultation',
+      startDateTime: new Date('2026-05-18T09:00:00Z'),
+      duration: 90
+    };
+
+    test('should bill a fixed cost as one session', () => {
+      const item = appointmentToLineItem({ ...appointment, totalCost: 3000 });
+
+      expect(item.quantity).toBe(1);
+      expect(item.unit).toBe('session');
+      expect(item.unitPrice).toBe(3000);
+      expect(item.description).toBe('Initial consultation (2026-05-18)');
+    });
+
+    test('should bill duration at the hourly rate', () => {
+      const item = appointmentToLineItem({ ...appointment, hourlyRate: 4000 });
+
+      expect(item.quantity).toBe(1.5);
+      expect(item.unit).toBe('hours');
+      expect(item.unitPrice).toBe(4000);
+    });
+
+    test('should fall back to the default hourly rate', () => {
+      const item = appointmentToLineItem(appointment);
+
+      expect(item.unitPrice).toBe(billingConfig.defaultHourlyRate);
+    });
+  });
+
+  describe('renderInvoicePdf', () => {
+    test('should render a PDF document', async () => {
+      const invoice = new Invoice({
+        invoiceNumber: 'INV-2026-0001',
+        caseId: new mongoose.Types.ObjectId(),
+        clientId: new mongoose.Types.ObjectId(),
+        createdBy: new mongoose.Types.ObjectId(),
+        status: 'issued',
+        issueDate: new Date('2026-05-18'),
+        dueDate: new Date('2026-06-01'),
+        lineItems: [
+          { type: 'time', description: 'Drafting', quantity: 1.5, unit: 'hours', unitPrice: 5000 },
+          { type: 'expense', description: 'Court filing fees', quantity: 1, unitPrice: 2000 }
+        ],
+        notes: 'Payable via M-Pesa'
+      });
+      await invoice.validate();
+
+      const pdf = await renderInvoicePdf(invoice);
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// Unit tests for the persistent job scheduler's job runner
+const { JobScheduler, nextRunAt } = require('../../utils/jobScheduler');
+
+// Claimed job with the same shape as a ScheduledJob document
+const buildJob = (overrides = {}) => ({
+  _id: 'job1',
+  type: 'testJob',
+  payload: { value: 1 },
+  attempts: 1,
+  maxAttempts: 3,
+  status: 'running',
+  lockedAt: new Date(),
+  lockedBy: 'worker',
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('JobScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new JobScheduler({ pollInterval: 1000 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('should run the registered handler and store its result', async () => {
+    const handler = jest.fn().mockResolvedValue({ sent: true });
+    scheduler.register('testJob', handler);
+    const job = buildJob();
+
+    await scheduler.runJob(job);
+
+    expect(handler).toHaveBeenCalledWith({ value: 1 }, job);
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ sent: true });
+    expect(job.lockedBy).toBeUndefined();
+    expect(job.save).toHaveBeenCalled();
+  });
+
+  test('should retry a failed job later while attempts remain', async () => {
+    scheduler.register('testJob', jest.fn().mockRejectedValue(new Error('SMTP down')));
+    const job = buildJob();
+    const before = Date.now();
+
+    await scheduler.runJob(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toBe('SMTP down');
+    expect(job.runAt.getTime()).toBeGreaterThan(before);
+  });
+
+  test('should give up after the last attempt', async () => {
+    scheduler.register('testJob', jest.fn().mockRejectedValue(new Error('SMTP down')));
+    const job = buildJob({ attempts: 3 });
+
+    await scheduler.runJob(job);
+
+    expect(job.status).toBe('failed');
+  });
+
+  test('should fail jobs with no registered handler', async () => {
+    const job = buildJob({ type: 'unknownJob', maxAttempts: 1 });
+
+    await scheduler.runJob(job);
+
+    expect(job.status).toBe('failed');
+    expect(job.lastError).toBe('No handler registered for job type unknownJob');
+  });
+
+  describe('scheduleRecurring', () => {
+    test('should queue the next run even when the handler throws', async () => {
+      const sweep = scheduler.scheduleRecurring('testSweep', 15, jest.fn().mockRejectedValue(new Error('DB down')));
+      jest.spyOn(scheduler, 'schedule').mockResolvedValue({});
+
+      await expect(sweep.run()).rejects.toThrow('DB down');
+
+      expect(scheduler.schedule).toHaveBeenCalledWith('testSweep', expect.any(Date), {}, {
+        dedupeKey: expect.stringMatching(/^testSweep:/)
+      });
+    });
+
+    test('should register the run as the job handler', () => {
+      const sweep = scheduler.scheduleRecurring('testSweep', 15, jest.fn());
+
+      expect(scheduler.handlers.get('testSweep')).toBe(sweep.run);
+    });
+  });
+
+  describe('nextRunAt', () => {
+    test('should round up to the next interval', () => {
+      expect(nextRunAt(new Date('2027-03-01T10:07:00Z'), 15)).toEqual(new Date('2027-03-01T10:15:00Z'));
+      expect(nextRunAt(new Date('2026-10-19T06:20:00Z'), 60)).toEqual(new Date('2026-10-19T07:00:00Z'));
+    });
+
+    test('should move on a full interval when exactly on a boundary', () => {
+      expect(nextRunAt(new Date('2027-03-01T10:15:00Z'), 15)).toEqual(new Date('2027-03-01T10:30:00Z'));
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// Unit tests for virtual meeting room access and attendance
+const { getMeetingRole, checkMeetingAccess, summarizeAttendance } = require('../../utils/meetingRooms');
+
+describe('Meeting Room Utilities', () => {
+  const advocateId = '64b000000000000000000001';
+  const clientId = '64b000000000000000000002';
+  const colleagueId = '64b000000000000000000003';
+  const strangerId = '64b000000000000000000004';
+  const policy = { meetingRoomOpenMinutes: 15, meetingRoomCloseMinutes: 30 };
+
+  const start = new Date('2026-03-02T09:00:00Z');
+  const end = new Date('2026-03-02T10:00:00Z');
+  const appointment = {
+    advocateId,
+    clientId,
+    participants: [{ user: colleagueId }, { name: 'Interpreter' }],
+    status: 'confirmed',
+    startDateTime: start,
+    endDateTime: end,
+    meetingRoom: { roomId: 'a'.repeat(32) }
+  };
+  const at = (iso) => new Date(iso);
+
+  describe('getMeetingRole', () => {
+    test('should make the advocate the host and invitees guests', () => {
+      expect(getMeetingRole(appointment, { _id: advocateId })).toBe('host');
+      expect(getMeetingRole(appointment, { _id: clientId })).toBe('guest');
+      expect(getMeetingRole(appointment, { _id: colleagueId })).toBe('guest');
+      expect(getMeetingRole(appointment, { _id: strangerId })).toBeNull();
+    });
+  });
+
+  describe('checkMeetingAccess', () => {
+    test('should turn away people who were not invited', () => {
+      expect(checkMeetingAccess(appointment, { _id: strangerId }, start, policy))
+        .toMatchObject({ statusCode: 403 });
+      expect(checkMeetingAccess({ ...appointment, meetingRoom: undefined }, { _id: clientId }, start, policy))
+        .toMatchObject({ statusCode: 404 });
+    });
+
+    test('should open the room shortly before the start and close it after the end', () => {
+      const user = { _id: clientId };
+      expect(checkMeetingAccess(appointment, user, at('2026-03-02T08:40:00Z'), policy).state).toBe('not_open');
+      expect(checkMeetingAccess(appointment, user, at('2026-03-02T08:45:00Z'), policy).state).toBe('open');
+      expect(checkMeetingAccess(appointment, user, at('2026-03-02T10:30:00Z'), policy).state).toBe('open');
+      expect(checkMeetingAccess(appointment, user, at('2026-03-02T10:31:00Z'), policy).state).toBe('closed');
+    });
+
+    test('should keep the room closed for cancelled appointments', () => {
+      const access = checkMeetingAccess({ ...appointment, status: 'cancelled' }, { _id: advocateId }, start, policy);
+      expect(access).toMatchObject({ role: 'host', state: 'closed' });
+    });
+  });
+
+  describe('summarizeAttendance', () => {
+    test('should add up each person\'s sessions', () => {
+      const summary = summarizeAttendance([
+        { user: clientId, name: 'Bob Client', joinedAt: at('2026-03-02T09:02:00Z'), leftAt: at('2026-03-02T09:20:00Z') },
+        { user: advocateId, name: 'John Advocate', joinedAt: at('2026-03-02T08:55:00Z'), leftAt: at('2026-03-02T10:00:00Z') },
+        { user: clientId, name: 'Bob Client', joinedAt: at('2026-03-02T09:25:00Z'), leftAt: at('2026-03-02T09:58:00Z') }
+      ]);
+
+      expect(summary).toEqual([
+        {
+          user: clientId,
+          name: 'Bob Client',
+          sessions: 2,
+          firstJoinedAt: at('2026-03-02T09:02:00Z'),
+          lastLeftAt: at('2026-03-02T09:58:00Z'),
+          minutes: 51
+        },
+        {
+          user: advocateId,
+          name: 'John Advocate',
+          sessions: 1,
+          firstJoinedAt: at('2026-03-02T08:55:00Z'),
+          lastLeftAt: at('2026-03-02T10:00:00Z'),
+          minutes: 65
+        }
+      ]);
+    });
+
+    test('should count sessions still open up to the given time', () => {
+      const [summary] = summarizeAttendance(
+        [{ user: clientId, name: 'Bob Client', joinedAt: at('2026-03-02T09:00:00Z') }],
+        at('2026-03-02T09:30:00Z')
+      );
+      expect(summary.minutes).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Unit tests for Paybill/Till (C2B) payload parsing
+const {
+  normalizeAccountReference,
+  parseTransTime,
+  parseC2BPayload,
+  phoneVariants,
+  checkTransactionStatus
+} = require('../../utils/mpesaC2B');
+
+describe('M-Pesa C2B Utilities', () => {
+  describe('normalizeAccountReference', () => {
+    test('should ignore letter case and spaces', () => {
+      expect(normalizeAccountReference(' case-2026 -0001 ')).toBe('CASE-2026-0001');
+    });
+
+    test('should handle a missing account number', () => {
+      expect(normalizeAccountReference(undefined)).toBe('');
+    });
+  });
+
+  describe('parseTransTime', () => {
+    test('should read TransTime as Nairobi time', () => {
+      expect(parseTransTime('20270301100700')).toEqual(new Date('2027-03-01T07:07:00Z'));
+    });
+  });
+
+  describe('parseC2BPayload', () => {
+    test('should pick out the receipt fields', () => {
+      const fields = parseC2BPayload({
+        TransactionType: 'Pay Bill',
+        TransID: 'RKTQDM7W6S',
+        TransTime: '20270301100700',
+        TransAmount: '2500.00',
+        BusinessShortCode: '600638',
+        BillRefNumber: 'inv-2027-0004',
+        MSISDN: '254708374149',
+        FirstName: 'Jane',
+        LastName: 'Wanjiku'
+      });
+
+      expect(fields.transId).toBe('RKTQDM7W6S');
+      expect(fields.amount).toBe(2500);
+      expect(fields.accountReference).toBe('INV-2027-0004');
+      expect(fields.phoneNumber).toBe('254708374149');
+      expect(fields.payerName).toBe('Jane Wanjiku');
+    });
+  });
+
+  describe('checkTransactionStatus', () => {
+    const receipt = { transId: 'RKTQDM7W6S', amount: 2500 };
+    const parameters = { ReceiptNo: 'RKTQDM7W6S', TransactionStatus: 'Completed', Amount: 2500 };
+
+    test('should accept a completed transaction for the same receipt and amount', () => {
+      expect(checkTransactionStatus(receipt, parameters)).toBeNull();
+      expect(checkTransactionStatus(receipt, { ...parameters, Amount: '2500.00' })).toBeNull();
+    });
+
+    test('should flag a different receipt number', () => {
+      expect(checkTransactionStatus(receipt, { ...parameters, ReceiptNo: 'RKTQDM7W6X' })).toMatch(/RKTQDM7W6X/);
+    });
+
+    test('should flag a transaction that did not complete', () => {
+      expect(checkTransactionStatus(receipt, { ...parameters, TransactionStatus: 'Reversed' })).toMatch(/Reversed/);
+    });
+
+    test('should flag a different amount', () => {
+      expect(checkTransactionStatus(receipt, { ...parameters, Amount: 25 })).toMatch(/25/);
+    });
+  });
+
+  describe('phoneVariants', () => {
+    test('should list the formats a profile number may be saved in', () => {
+      expect(phoneVariants('254708374149')).toEqual(['254708374149', '+254708374149', '0708374149', '708374149']);
+    });
+
+    test('should not match masked or malformed numbers', () => {
+      expect(phoneVariants('2547 ***149')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+// Unit tests for no-show sweep timing and rebooking links
+const { buildOverdueQuery, buildRebookingUrl } = require('../../utils/noShowDetection');
+
+describe('No-show Detection Utilities', () => {
+  const policy = { noShowGraceMinutes: 30, noShowSweepMinutes: 15 };
+  const now = new Date('2027-03-01T10:07:00Z');
+
+  describe('buildOverdueQuery', () => {
+    test('should look for open, unreviewed appointments past the grace period', () => {
+      const query = buildOverdueQuery(now, policy);
+
+      expect(query.status).toEqual({ $in: ['scheduled', 'confirmed'] });
+      expect(query.endDateTime.$lte).toEqual(new Date('2027-03-01T09:37:00Z'));
+      expect(query['noShowReview.status']).toEqual({ $exists: false });
+    });
+
+    test('should ignore appointments that ended more than a week ago', () => {
+      expect(buildOverdueQuery(now, policy).endDateTime.$gte).toEqual(new Date('2027-02-22T10:07:00Z'));
+    });
+  });
+
+
+  describe('buildRebookingUrl', () => {
+    test('should link to the booking form for the same advocate and appointment type', () => {
+      const url = new URL(buildRebookingUrl({
+        advocateId: { _id: '64b000000000000000000001', firstName: 'John' },
+        type: 'consultation',
+        title: 'Land dispute'
+      }));
+
+      expect(url.pathname).toBe('/appointments');
+      expect(url.searchParams.get('book')).toBe('1');
+      expect(url.searchParams.get('advocateId')).toBe('64b000000000000000000001');
+      expect(url.searchParams.get('title')).toBe('Land dispute');
+    });
+  });
+});
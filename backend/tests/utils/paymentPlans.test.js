@@ -0,0 +1,96 @@
+// Unit tests for instalment plan scheduling
+const {
+  addPeriods,
+  buildSchedule,
+  describeInstalment
+} = require('../../utils/paymentPlans');
+
+describe('Payment Plan Utilities', () => {
+  const config = {
+    frequencies: {
+      weekly: { label: 'Weekly', days: 7 },
+      biweekly: { label: 'Every two weeks', days: 14 },
+      monthly: { label: 'Monthly', months: 1 }
+    },
+    maxInstalments: 12,
+    graceDays: 3,
+    sweepMinutes: 60,
+    batchSize: 100
+  };
+
+  describe('addPeriods', () => {
+    test('should add whole weeks for weekly and fortnightly plans', () => {
+      const start = new Date('2027-03-01T06:00:00Z');
+
+      expect(addPeriods(start, 'weekly', 2, config)).toEqual(new Date('2027-03-15T06:00:00Z'));
+      expect(addPeriods(start, 'biweekly', 1, config)).toEqual(new Date('2027-03-15T06:00:00Z'));
+    });
+
+    test('should keep the day of the month for monthly plans', () => {
+      expect(addPeriods(new Date('2027-01-15T06:00:00Z'), 'monthly', 3, config))
+        .toEqual(new Date('2027-04-15T06:00:00Z'));
+    });
+
+    test('should fall back to the last day of shorter months', () => {
+      const start = new Date('2027-01-31T06:00:00Z');
+
+      expect(addPeriods(start, 'monthly', 1, config)).toEqual(new Date('2027-02-28T06:00:00Z'));
+      expect(addPeriods(start, 'monthly', 2, config)).toEqual(new Date('2027-03-31T06:00:00Z'));
+      expect(addPeriods(new Date('2028-01-31T06:00:00Z'), 'monthly', 1, config))
+        .toEqual(new Date('2028-02-29T06:00:00Z'));
+    });
+
+    test('should reject unknown frequencies', () => {
+      expect(() => addPeriods(new Date(), 'daily', 1, config)).toThrow('Unknown plan frequency');
+    });
+  });
+
+  describe('buildSchedule', () => {
+    const terms = {
+      totalAmount: 100000,
+      depositAmount: 25000,
+      numberOfInstalments: 3,
+      frequency: 'monthly',
+      startDate: new Date('2027-04-01T06:00:00Z'),
+      depositDueDate: new Date('2027-03-01T06:00:00Z')
+    };
+
+    test('should put the deposit first and spread the rest evenly', () => {
+      const schedule = buildSchedule(terms, config);
+
+      expect(schedule.map(({ number, amount }) => [number, amount])).toEqual([
+        [0, 25000], [1, 25000], [2, 25000], [3, 25000]
+      ]);
+      expect(schedule[0].dueDate).toEqual(terms.depositDueDate);
+      expect(schedule[3].dueDate).toEqual(new Date('2027-06-01T06:00:00Z'));
+    });
+
+    test('should charge whole shillings and leave the remainder to the last instalment', () => {
+      const schedule = buildSchedule({ ...terms, totalAmount: 10000.5, depositAmount: 0 }, config);
+
+      expect(schedule.map(instalment => instalment.amount)).toEqual([3333, 3333, 3334.5]);
+      expect(schedule.reduce((sum, instalment) => sum + instalment.amount, 0)).toBe(10000.5);
+    });
+
+    test('should reject a deposit covering the whole fee', () => {
+      expect(() => buildSchedule({ ...terms, depositAmount: 100000 }, config))
+        .toThrow('Deposit must be less than the total amount');
+    });
+
+    test('should enforce the instalment limit', () => {
+      expect(() => buildSchedule({ ...terms, numberOfInstalments: 13 }, config))
+        .toThrow('between 1 and 12');
+      expect(() => buildSchedule({ ...terms, numberOfInstalments: 0 }, config))
+        .toThrow('between 1 and 12');
+    });
+  });
+
+  describe('describeInstalment', () => {
+    test('should name the deposit and number the rest', () => {
+      const plan = { numberOfInstalments: 6 };
+
+      expect(describeInstalment(plan, { number: 0 })).toBe('Deposit');
+      expect(describeInstalment(plan, { number: 2 })).toBe('Instalment 2 of 6');
+    });
+  });
+});
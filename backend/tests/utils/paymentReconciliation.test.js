@@ -0,0 +1,25 @@
+// Unit tests for pending M-Pesa payment selection
+const { buildReconciliationQuery } = require('../../utils/paymentReconciliation');
+
+describe('Payment Reconciliation Utilities', () => {
+  const config = { queryAfterMinutes: 5, sweepMinutes: 5, batchSize: 50 };
+  const now = new Date('2027-03-01T10:07:00Z');
+
+  describe('buildReconciliationQuery', () => {
+    test('should look for pending STK pushes older than the threshold', () => {
+      const query = buildReconciliationQuery(now, config);
+
+      expect(query.method).toBe('mpesa');
+      expect(query.status).toEqual({ $in: ['pending', 'processing'] });
+      expect(query['mpesaDetails.checkoutRequestID']).toEqual({ $exists: true });
+      expect(query.initiatedAt.$lte).toEqual(new Date('2027-03-01T10:02:00Z'));
+    });
+
+    test('should skip payments whose next query is not due yet', () => {
+      expect(buildReconciliationQuery(now, config).$or).toEqual([
+        { 'mpesaDetails.nextRetryAt': { $exists: false } },
+        { 'mpesaDetails.nextRetryAt': { $lte: now } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// Unit tests for refund approval thresholds and amounts
+const {
+  requiredApprovalsFor,
+  refundableAmount,
+  refundedStatus,
+  buildStaleRefundQuery
+} = require('../../utils/refunds');
+const { parseResultParameters } = require('../../utils/mpesaService');
+
+describe('Refund Utilities', () => {
+  const config = { approvalThreshold: 10000 };
+
+  describe('requiredApprovalsFor', () => {
+    test('should need a second approver only above the threshold', () => {
+      expect(requiredApprovalsFor(500, config)).toBe(1);
+      expect(requiredApprovalsFor(10000, config)).toBe(1);
+      expect(requiredApprovalsFor(10000.5, config)).toBe(2);
+    });
+
+    test('should need two approvers for every refund when the threshold is zero', () => {
+      expect(requiredApprovalsFor(1, { approvalThreshold: 0 })).toBe(2);
+    });
+  });
+
+  describe('refundableAmount', () => {
+    test('should leave out refunds paid and refunds in flight', () => {
+      expect(refundableAmount({ amount: 5000 })).toBe(5000);
+      expect(refundableAmount({ amount: 5000, refundAmount: 1000, refundPending: 1500 })).toBe(2500);
+    });
+
+    test('should never go below zero', () => {
+      expect(refundableAmount({ amount: 5000, refundAmount: 5000, refundPending: 100 })).toBe(0);
+    });
+  });
+
+  describe('refundedStatus', () => {
+    test('should tell full refunds from partial ones', () => {
+      expect(refundedStatus({ amount: 3000, refundAmount: 1000 })).toBe('partially_refunded');
+      expect(refundedStatus({ amount: 3000, refundAmount: 3000 })).toBe('refunded');
+    });
+  });
+
+  describe('buildStaleRefundQuery', () => {
+    const staleConfig = { staleAfterMinutes: 60, maxStatusQueries: 3 };
+    const now = new Date('2027-03-01T10:00:00Z');
+
+    test('should pick payouts sent before the cutoff that have queries left', () => {
+      const query = buildStaleRefundQuery(now, staleConfig);
+
+      expect(query.status).toBe('disbursing');
+      expect(query['disbursement.initiatedAt']).toEqual({ $lte: new Date('2027-03-01T09:00:00Z') });
+      expect(query['disbursement.statusQuery.attempts']).toEqual({ $not: { $gte: 3 } });
+    });
+
+    test('should wait an interval between status queries', () => {
+      expect(buildStaleRefundQuery(now, staleConfig).$or).toEqual([
+        { 'disbursement.statusQuery.requestedAt': { $exists: false } },
+        { 'disbursement.statusQuery.requestedAt': { $lte: new Date('2027-03-01T09:00:00Z') } }
+      ]);
+    });
+  });
+
+  describe('parseResultParameters', () => {
+    test('should flatten a list of result parameters', () => {
+      expect(parseResultParameters({
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: 1000 },
+          { Key: 'TransactionReceipt', Value: 'RKT9REFUND' }
+        ]
+      })).toEqual({ TransactionAmount: 1000, TransactionReceipt: 'RKT9REFUND' });
+    });
+
+    test('should accept a single parameter or none', () => {
+      expect(parseResultParameters({ ResultParameter: { Key: 'TransactionReceipt', Value: 'RKT9REFUND' } }))
+        .toEqual({ TransactionReceipt: 'RKT9REFUND' });
+      expect(parseResultParameters(undefined)).toEqual({});
+    });
+  });
+});
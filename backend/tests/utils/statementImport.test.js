@@ -0,0 +1,151 @@
+// Unit tests for bank and M-Pesa statement parsing
+const {
+  parseCSV,
+  parseAmount,
+  parseStatementDate,
+  parseOFXDate,
+  parseCSVStatement,
+  parseOFXStatement,
+  detectSource,
+  compareLineToPayment
+} = require('../../utils/statementImport');
+
+const MPESA_CSV = [
+  'Receipt No.,Completion Time,Initiation Time,Details,Transaction Status,Paid In,Withdrawn,Balance,Other Party Info',
+  'RKT1A2B3C4,2027-03-01 10:07:00,2027-03-01 10:07:00,Pay Bill from 254708374149 - JANE DOE Acc. CASE-2027-0001,Completed,"2,500.00",,"12,500.00",254708374149 - JANE DOE',
+  'RKT1A2B3C5,2027-03-01 11:00:00,2027-03-01 11:00:00,Business Payment to 254722000000,Completed,,"1,000.00","11,500.00",254722000000 - JOHN KAMAU',
+  'RKT1A2B3C6,2027-03-01 12:00:00,2027-03-01 12:00:00,Pay Bill from 254711000000,Failed,"900.00",,"11,500.00",254711000000 - MARY NJERI'
+].join('\n');
+
+describe('Statement Import Utilities', () => {
+  describe('parseCSV', () => {
+    test('should keep commas and escaped quotes inside quoted fields', () => {
+      expect(parseCSV('a,"b, c","say ""hi"""\r\n\r\n1,2,3')).toEqual([
+        ['a', 'b, c', 'say "hi"'],
+        ['1', '2', '3']
+      ]);
+    });
+  });
+
+  describe('parseAmount', () => {
+    test('should read amounts as banks print them', () => {
+      expect(parseAmount('1,250.00')).toBe(1250);
+      expect(parseAmount('KES 2,500')).toBe(2500);
+      expect(parseAmount('Ksh. 300')).toBe(300);
+      expect(parseAmount('(300.00)')).toBe(-300);
+      expect(parseAmount('')).toBeNull();
+    });
+  });
+
+  describe('parseStatementDate', () => {
+    test('should read dates day-first in Nairobi time', () => {
+      expect(parseStatementDate('2027-03-01 10:07:00')).toEqual(new Date('2027-03-01T07:07:00Z'));
+      expect(parseStatementDate('02/03/2027')).toEqual(new Date('2027-03-01T21:00:00Z'));
+      expect(parseStatementDate('02-Mar-2027')).toEqual(new Date('2027-03-01T21:00:00Z'));
+    });
+
+    test('should reject text that is not a date', () => {
+      expect(parseStatementDate('Opening balance')).toBeNull();
+    });
+  });
+
+  describe('parseOFXDate', () => {
+    test('should honour the timezone offset and default to Nairobi', () => {
+      expect(parseOFXDate('20270301100700[0:GMT]')).toEqual(new Date('2027-03-01T10:07:00Z'));
+      expect(parseOFXDate('20270301100700')).toEqual(new Date('2027-03-01T07:07:00Z'));
+    });
+  });
+
+  describe('parseCSVStatement', () => {
+    test('should keep only completed money-in lines from an M-Pesa statement', () => {
+      const lines = parseCSVStatement(MPESA_CSV, 'mpesa_csv');
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0].reference).toBe('RKT1A2B3C4');
+      expect(lines[0].amount).toBe(2500);
+      expect(lines[0].phoneNumber).toBe('254708374149');
+      expect(lines[0].payerName).toBe('JANE DOE');
+    });
+
+    test('should find the header below a bank statement preamble', () => {
+      const csv = [
+        'Account Name,LEGALPRO ADVOCATES',
+        'Account Number,0123456789',
+        '',
+        'Tran Date,Value Date,Narration,Reference,Debit,Credit,Balance',
+        '01/03/2027,01/03/2027,RTGS FROM ACME LTD,FT27060ABCD,,"150,000.00","250,000.00"',
+        '02/03/2027,02/03/2027,BANK CHARGES,CHG001,350.00,,"249,650.00"'
+      ].join('\n');
+
+      const lines = parseCSVStatement(csv, 'bank_csv');
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0].amount).toBe(150000);
+      expect(lines[0].reference).toBe('FT27060ABCD');
+      expect(lines[0].description).toBe('RTGS FROM ACME LTD');
+    });
+
+    test('should reject a file without date and amount columns', () => {
+      expect(() => parseCSVStatement('name,email\nJane,jane@test.com', 'bank_csv'))
+        .toThrow('Could not find the date and amount columns');
+    });
+  });
+
+  describe('parseOFXStatement', () => {
+    test('should read credits from an SGML statement', () => {
+      const ofx = [
+        'OFXHEADER:100',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20270301100700<TRNAMT>5000.00<FITID>FT27060XYZ<NAME>JANE DOE<MEMO>Case fees',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20270302<TRNAMT>-350.00<FITID>CHG002<NAME>CHARGES',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+      ].join('\n');
+
+      const lines = parseOFXStatement(ofx);
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0].amount).toBe(5000);
+      expect(lines[0].reference).toBe('FT27060XYZ');
+      expect(lines[0].description).toBe('JANE DOE - Case fees');
+    });
+  });
+
+  describe('detectSource', () => {
+    test('should tell the statement types apart', () => {
+      expect(detectSource('march.ofx', '')).toBe('bank_ofx');
+      expect(detectSource('march.csv', MPESA_CSV)).toBe('mpesa_csv');
+      expect(detectSource('march.csv', 'Date,Narration,Credit\n')).toBe('bank_csv');
+    });
+  });
+
+  describe('compareLineToPayment', () => {
+    const config = { dateToleranceDays: 3 };
+    const line = {
+      amount: 2500,
+      date: new Date('2027-03-01T07:07:00Z'),
+      phoneNumber: '254708374149'
+    };
+
+    test('should report no differences for a clean match', () => {
+      const payment = {
+        amount: 2500,
+        status: 'pending',
+        createdAt: new Date('2027-03-01T07:06:00Z'),
+        mpesaDetails: { phoneNumber: '0708374149' }
+      };
+
+      expect(compareLineToPayment(line, payment, config)).toEqual([]);
+    });
+
+    test('should flag amount, date, phone and status differences', () => {
+      const payment = {
+        amount: 2000,
+        status: 'failed',
+        createdAt: new Date('2027-02-20T07:06:00Z'),
+        mpesaDetails: { phoneNumber: '254722000000' }
+      };
+
+      expect(compareLineToPayment(line, payment, config)).toEqual(['amount', 'date', 'phone', 'status']);
+    });
+  });
+});
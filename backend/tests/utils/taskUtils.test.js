@@ -0,0 +1,82 @@
+// Unit tests for case task utilities
+const { getTaskReminder, buildTaskNotificationData } = require('../../utils/taskUtils');
+
+describe('Task Utilities', () => {
+
+  describe('getTaskReminder', () => {
+    const now = new Date('2026-10-19T06:00:00.000Z');
+    const taskDue = (dueDate, overrides = {}) => ({
+      status: 'open',
+      assignedTo: 'advocate-1',
+      dueDate: new Date(`${dueDate}T00:00:00.000Z`),
+      reminders: [],
+      ...overrides
+    });
+
+    test('should remind the day before a task is due', () => {
+      expect(getTaskReminder(taskDue('2026-10-20'), now)).toEqual({ level: 'due_soon', daysLeft: 1 });
+    });
+
+    test('should remind on the due date', () => {
+      expect(getTaskReminder(taskDue('2026-10-19'), now)).toEqual({ level: 'due_today', daysLeft: 0 });
+    });
+
+    test('should stay quiet for tasks due later', () => {
+      expect(getTaskReminder(taskDue('2026-10-25'), now)).toBeNull();
+    });
+
+    test('should not repeat a reminder level already sent', () => {
+      const task = taskDue('2026-10-20', { reminders: [{ level: 'due_soon', sentAt: now }] });
+      expect(getTaskReminder(task, now)).toBeNull();
+    });
+
+    test('should chase overdue tasks once per day', () => {
+      const task = taskDue('2026-10-16', {
+        reminders: [{ level: 'overdue', sentAt: new Date('2026-10-18T06:00:00.000Z') }]
+      });
+      expect(getTaskReminder(task, now)).toEqual({ level: 'overdue', daysLeft: -3 });
+
+      task.reminders.push({ level: 'overdue', sentAt: now });
+      expect(getTaskReminder(task, now)).toBeNull();
+    });
+
+    test('should skip finished, unassigned and undated tasks', () => {
+      expect(getTaskReminder(taskDue('2026-10-19', { status: 'completed' }), now)).toBeNull();
+      expect(getTaskReminder(taskDue('2026-10-19', { status: 'cancelled' }), now)).toBeNull();
+      expect(getTaskReminder(taskDue('2026-10-19', { assignedTo: null }), now)).toBeNull();
+      expect(getTaskReminder(taskDue('2026-10-19', { dueDate: null }), now)).toBeNull();
+    });
+
+    test('should keep reminding tasks that are in progress', () => {
+      expect(getTaskReminder(taskDue('2026-10-19', { status: 'in_progress' }), now)).toEqual({ level: 'due_today', daysLeft: 0 });
+    });
+  });
+
+  describe('buildTaskNotificationData', () => {
+    const task = {
+      title: 'File replying affidavit',
+      priority: 'high',
+      dueDate: new Date('2026-10-20T00:00:00.000Z')
+    };
+    const caseItem = { caseNumber: 'CASE-2026-0001', title: 'Doe v Roe' };
+
+    test('should describe how soon the task is due', () => {
+      expect(buildTaskNotificationData(task, caseItem, 1)).toEqual({
+        taskTitle: 'File replying affidavit',
+        taskPriority: 'high',
+        caseNumber: 'CASE-2026-0001',
+        caseTitle: 'Doe v Roe',
+        dueDate: '2026-10-20',
+        urgency: 'Due in 1 day(s)'
+      });
+      expect(buildTaskNotificationData(task, caseItem, 0).urgency).toBe('Due TODAY');
+      expect(buildTaskNotificationData(task, caseItem, -2).urgency).toBe('OVERDUE by 2 day(s)');
+    });
+
+    test('should fall back to the priority when no countdown applies', () => {
+      const data = buildTaskNotificationData({ ...task, dueDate: null }, caseItem);
+      expect(data.dueDate).toBe('No due date');
+      expect(data.urgency).toBe('Priority: high');
+    });
+  });
+});
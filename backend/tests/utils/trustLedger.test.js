@@ -0,0 +1,110 @@
+// Unit tests for trust ledger utilities
+const mongoose = require('mongoose');
+const TrustTransaction = require('../../models/TrustTransaction');
+const TrustAccount = require('../../models/TrustAccount');
+const {
+  buildJournalEntries,
+  isTrustDeposit,
+  postTrustTransaction,
+  transferToOffice
+} = require('../../utils/trustLedger');
+
+describe('Trust Ledger Utilities', () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const caseId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildJournalEntries', () => {
+    test('should debit the bank and credit the client for deposits', () => {
+      const [bank, client] = buildJournalEntries('deposit', clientId, caseId, 1000);
+
+      expect(bank).toEqual({ account: 'trust_bank', debit: 1000 });
+      expect(client).toEqual({ account: 'client_ledger', clientId, caseId, credit: 1000 });
+    });
+
+    test('should debit the client and credit the bank for payouts', () => {
+      const [client, bank] = buildJournalEntries('disbursement', clientId, caseId, 1000);
+
+      expect(client.debit).toBe(1000);
+      expect(bank.credit).toBe(1000);
+    });
+  });
+
+  describe('isTrustDeposit', () => {
+    const payment = {
+      status: 'completed',
+      caseId,
+      paymentType: 'court_fee'
+    };
+
+    test('should hold completed court fee deposits in trust', () => {
+      expect(isTrustDeposit(payment)).toBe(true);
+    });
+
+    test('should leave office payments and invoice payments alone', () => {
+      expect(isTrustDeposit({ ...payment, paymentType: 'consultation_fee' })).toBe(false);
+      expect(isTrustDeposit({ ...payment, invoiceId: new mongoose.Types.ObjectId() })).toBe(false);
+      expect(isTrustDeposit({ ...payment, caseId: undefined })).toBe(false);
+      expect(isTrustDeposit({ ...payment, status: 'pending' })).toBe(false);
+    });
+
+    test('should not credit the same payment twice', () => {
+      expect(isTrustDeposit({ ...payment, trustTransactionId: new mongoose.Types.ObjectId() })).toBe(false);
+    });
+  });
+
+  describe('postTrustTransaction', () => {
+    const disbursement = {
+      type: 'disbursement',
+      clientId,
+      caseId,
+      amount: 2500,
+      disbursement: { category: 'filing_fee', payee: 'High Court Registry' }
+    };
+
+    test('should refuse to overdraw a client sub-ledger', async () => {
+      jest.spyOn(TrustAccount, 'debit').mockResolvedValue(null);
+      jest.spyOn(TrustAccount, 'findOne').mockResolvedValue({ balance: 1000 });
+      const save = jest.spyOn(TrustTransaction.prototype, 'save');
+
+      await expect(postTrustTransaction(disbursement)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Insufficient client funds: trust balance is 1000'
+      });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    test('should restore the sub-ledger if the journal write fails', async () => {
+      jest.spyOn(TrustAccount, 'debit').mockResolvedValue({ balance: 0 });
+      const credit = jest.spyOn(TrustAccount, 'credit').mockResolvedValue({});
+      jest.spyOn(TrustTransaction.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+      await expect(postTrustTransaction(disbursement)).rejects.toThrow('write failed');
+      expect(credit).toHaveBeenCalledWith(clientId, caseId, 2500);
+    });
+
+    test('should reject non-positive amounts', async () => {
+      await expect(postTrustTransaction({ ...disbursement, amount: 0 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('transferToOffice', () => {
+    test('should not transfer more than the invoice balance', async () => {
+      const invoice = { status: 'issued', balance: 1000, clientId, caseId };
+
+      await expect(transferToOffice(invoice, { amount: 1500 })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Transfer exceeds the invoice balance'
+      });
+    });
+
+    test('should not transfer to a draft invoice', async () => {
+      const invoice = { status: 'draft', balance: 1000, clientId, caseId };
+
+      await expect(transferToOffice(invoice)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// Appointment participants and resource conflicts for LegalPro v1.0.1
+// Besides the primary client and advocate, an appointment can list other
+// people (co-counsel, opposing counsel, witnesses) and reserve rooms or
+// equipment. Booking checks that the advocate, every participant with an
+// account and every resource is free. The primary client is not checked, as
+// before: a client may hold overlapping bookings with different advocates.
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+
+const MAX_PARTICIPANTS = 20;
+const MAX_RESOURCES = 10;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const summarize = (appointment) => ({
+  id: appointment._id,
+  title: appointment.title,
+  startDateTime: appointment.startDateTime,
+  endDateTime: appointment.endDateTime
+});
+
+/**
+ * Clean up a participant list sent by the client
+ * Drops the appointment's own client/advocate and repeated users; outside
+ * parties must have a name.
+ * @param {Array} participants - Raw participants from the request
+ * @param {Object} primary - { clientId, advocateId }
+ * @returns {Object} { participants } or { error }
+ */
+const normalizeParticipants = (participants = [], { clientId, advocateId } = {}) => {
+  if (!Array.isArray(participants)) {
+    return { error: 'Participants must be a list' };
+  }
+  if (participants.length > MAX_PARTICIPANTS) {
+    return { error: `An appointment can have at most ${MAX_PARTICIPANTS} participants` };
+  }
+
+  const seen = new Set([idOf(clientId), idOf(advocateId)]);
+  const cleaned = [];
+  for (const participant of participants) {
+    const user = idOf(participant.user);
+    if (user) {
+      if (seen.has(user)) continue;
+      seen.add(user);
+    } else if (!participant.name?.trim()) {
+      return { error: 'Each participant needs a user or a name' };
+    }
+
+    cleaned.push({
+      ...(participant._id ? { _id: participant._id } : {}),
+      user: user || undefined,
+      name: participant.name?.trim() || undefined,
+      email: participant.email || undefined,
+      phone: participant.phone || undefined,
+      role: participant.role || 'other',
+      rsvpStatus: participant.rsvpStatus || 'pending',
+      respondedAt: participant.respondedAt
+    });
+  }
+
+  return { participants: cleaned };
+};
+
+// People whose diaries an appointment ties up (see module note about the client)
+const getBusyUserIds = ({ advocateId, participants = [] }) => [
+  idOf(advocateId),
+  ...participants
+    .filter(participant => participant.user && participant.rsvpStatus !== 'declined')
+    .map(participant => idOf(participant.user))
+].filter(Boolean);
+
+/**
+ * Sort overlapping appointments by who or what they tie up
+ * @param {Array} conflicts - Overlapping appointments
+ * @param {Object} wanted - { userIds, resourceIds } being checked
+ * @returns {Object} { users: [{ id, conflicts }], resources: [{ id, conflicts }] }, busy ones only
+ */
+const groupConflicts = (conflicts, { userIds = [], resourceIds = [] }) => {
+  const involves = (appointment, userId) =>
+    idOf(appointment.advocateId) === userId ||
+    idOf(appointment.clientId) === userId ||
+    (appointment.participants || []).some(participant =>
+      idOf(participant.user) === userId && participant.rsvpStatus !== 'declined');
+
+  const users = userIds.map(id => ({
+    id,
+    conflicts: conflicts.filter(appointment => involves(appointment, id)).map(summarize)
+  }));
+  const resources = resourceIds.map(id => ({
+    id,
+    conflicts: conflicts
+      .filter(appointment => (appointment.resources || []).some(resource => idOf(resource) === id))
+      .map(summarize)
+  }));
+
+  return {
+    users: users.filter(entry => entry.conflicts.length > 0),
+    resources: resources.filter(entry => entry.conflicts.length > 0)
+  };
+};
+
+/**
+ * Find which people and resources are already booked in a time window
+ * @param {Object} options - { userIds, resourceIds, startDateTime, endDateTime, excludeId }
+ * @returns {Object} { users, resources } as from groupConflicts
+ */
+const findBusy = async ({ userIds = [], resourceIds = [], startDateTime, endDateTime, excludeId = null }) => {
+  const ids = [...new Set(userIds.map(idOf))];
+  const resources = [...new Set(resourceIds.map(idOf))];
+  if (ids.length === 0 && resources.length === 0) {
+    return { users: [], resources: [] };
+  }
+
+  const conflicts = await Appointment.findScheduleConflicts({
+    userIds: ids,
+    resourceIds: resources,
+    startDateTime: new Date(startDateTime),
+    endDateTime: new Date(endDateTime),
+    excludeId
+  });
+  return groupConflicts(conflicts, { userIds: ids, resourceIds: resources });
+};
+
+// Attach display names to busy entries, e.g. for a 409 response
+const nameBusy = async ({ users, resources }) => {
+  const [people, rooms] = await Promise.all([
+    users.length ? User.find({ _id: { $in: users.map(entry => entry.id) } }).select('firstName lastName') : [],
+    resources.length ? Resource.find({ _id: { $in: resources.map(entry => entry.id) } }).select('name') : []
+  ]);
+  const names = new Map([
+    ...people.map(person => [person._id.toString(), `${person.firstName} ${person.lastName}`]),
+    ...rooms.map(room => [room._id.toString(), room.name])
+  ]);
+
+  return {
+    users: users.map(entry => ({ ...entry, name: names.get(entry.id) || 'Unknown user' })),
+    resources: resources.map(entry => ({ ...entry, name: names.get(entry.id) || 'Unknown resource' }))
+  };
+};
+
+/**
+ * Check participant users and resources exist and can be booked
+ * @param {Array} participants - Normalized participants
+ * @param {Array} resourceIds - Requested resources
+ * @returns {String|null} Error message, or null when everything is valid
+ */
+const validateParticipantsAndResources = async (participants = [], resourceIds = []) => {
+  if (!Array.isArray(resourceIds)) return 'Resources must be a list';
+  if (resourceIds.length > MAX_RESOURCES) {
+    return `An appointment can reserve at most ${MAX_RESOURCES} resources`;
+  }
+
+  const userIds = participants.filter(participant => participant.user).map(participant => participant.user);
+  if (userIds.length > 0) {
+    const found = await User.countDocuments({ _id: { $in: userIds } });
+    if (found !== userIds.length) return 'One or more participants could not be found';
+  }
+
+  const uniqueResources = [...new Set(resourceIds.map(idOf))];
+  if (uniqueResources.length > 0) {
+    const active = await Resource.countDocuments({ _id: { $in: uniqueResources }, isActive: true });
+    if (active !== uniqueResources.length) return 'One or more resources are unavailable for booking';
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeParticipants,
+  getBusyUserIds,
+  groupConflicts,
+  findBusy,
+  nameBusy,
+  validateParticipantsAndResources
+};
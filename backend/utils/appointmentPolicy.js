@@ -0,0 +1,43 @@
+// Client rescheduling and cancellation rules for LegalPro v1.0.1
+const { appointmentPolicy } = require('../config/appointmentPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursUntilStart = (appointment, now) =>
+  (new Date(appointment.startDateTime).getTime() - now.getTime()) / HOUR_MS;
+
+/**
+ * Check whether a client may move an appointment
+ * @param {Object} appointment - Appointment being moved
+ * @param {Date} now - Reference time
+ * @param {Object} policy - Firm policy (defaults to config/appointmentPolicy)
+ * @returns {String|null} Reason the move is refused, or null when allowed
+ */
+const checkReschedulePolicy = (appointment, now = new Date(), policy = appointmentPolicy) => {
+  if ((appointment.rescheduleCount || 0) >= policy.maxReschedules) {
+    return `This appointment has already been rescheduled ${policy.maxReschedules} time(s), the most allowed. Please contact the firm`;
+  }
+
+  if (hoursUntilStart(appointment, now) < policy.minRescheduleNoticeHours) {
+    return `Appointments can only be rescheduled at least ${policy.minRescheduleNoticeHours} hours before they start. Please contact the firm`;
+  }
+
+  return null;
+};
+
+/**
+ * Fee a client owes for cancelling an appointment now
+ * @param {Object} appointment - Appointment being cancelled
+ * @param {Date} now - Reference time
+ * @param {Object} policy - Firm policy (defaults to config/appointmentPolicy)
+ * @returns {Number} Fee in KES (0 when the cancellation is in time or fees are off)
+ */
+const getLateCancellationFee = (appointment, now = new Date(), policy = appointmentPolicy) => {
+  if (!policy.lateCancellationFee || policy.lateCancellationFee <= 0) return 0;
+  return hoursUntilStart(appointment, now) < policy.lateCancellationHours ? policy.lateCancellationFee : 0;
+};
+
+module.exports = {
+  checkReschedulePolicy,
+  getLateCancellationFee
+};
@@ -0,0 +1,186 @@
+// Scheduled appointment reminders for LegalPro v1.0.1
+// Each appointment gets one queued job per reminder interval and channel
+// (reminderSettings.intervals x reminderSettings.methods). Jobs are keyed on the
+// appointment's start time, so moving an appointment queues fresh reminders and
+// cancelling it drops the pending ones.
+const Appointment = require('../models/Appointment');
+const { sendNotification } = require('./notificationService');
+const jobScheduler = require('./jobScheduler');
+
+const REMINDER_JOB = 'appointmentReminder';
+const DEFAULT_INTERVALS = [1440, 60]; // 24 hours and 1 hour before
+const DEFAULT_METHODS = ['email'];
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// "in 24 hours", "in 1 hour", "in 3 days", "in 30 minutes"
+const describeLead = (minutes) => {
+  const plural = (count, unit) => `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (minutes >= 2880 && minutes % 1440 === 0) return plural(minutes / 1440, 'day');
+  if (minutes >= 60 && minutes % 60 === 0) return plural(minutes / 60, 'hour');
+  return plural(minutes, 'minute');
+};
+
+const reminderKey = (appointmentId, startDateTime, interval, method) =>
+  `${REMINDER_JOB}:${appointmentId}:${new Date(startDateTime).toISOString()}:${interval}:${method}`;
+
+/**
+ * Work out which reminders an appointment should have
+ * @param {Object} appointment - Appointment document or plain object
+ * @param {Date} now - Reference time; reminders already due are left out
+ * @returns {Array} [{ runAt, interval, method }]
+ */
+const planReminders = (appointment, now = new Date()) => {
+  const settings = appointment.reminderSettings || {};
+  if (!ACTIVE_STATUSES.includes(appointment.status) || settings.enabled === false) {
+    return [];
+  }
+
+  const intervals = settings.intervals?.length ? settings.intervals : DEFAULT_INTERVALS;
+  const methods = settings.methods?.length ? settings.methods : DEFAULT_METHODS;
+  const start = new Date(appointment.startDateTime).getTime();
+
+  const plan = [];
+  for (const interval of new Set(intervals)) {
+    const runAt = new Date(start - interval * 60 * 1000);
+    if (runAt <= now) continue;
+    for (const method of new Set(methods)) {
+      plan.push({ runAt, interval, method });
+    }
+  }
+  return plan;
+};
+
+// Drop pending reminders for an appointment; returns how many were cancelled
+const cancelAppointmentReminders = (appointmentId) => jobScheduler.cancel({
+  type: REMINDER_JOB,
+  'payload.appointmentId': appointmentId.toString()
+});
+
+/**
+ * Bring an appointment's queued reminders in line with its current time and status
+ * @param {Object} appointment - Appointment document
+ * @returns {Array} Queued ScheduledJob documents
+ */
+const scheduleAppointmentReminders = async (appointment) => {
+  const appointmentId = appointment._id.toString();
+  await cancelAppointmentReminders(appointmentId);
+
+  const jobs = [];
+  for (const { runAt, interval, method } of planReminders(appointment)) {
+    jobs.push(await jobScheduler.schedule(
+      REMINDER_JOB,
+      runAt,
+      { appointmentId, startDateTime: appointment.startDateTime, interval, method },
+      { dedupeKey: reminderKey(appointmentId, appointment.startDateTime, interval, method) }
+    ));
+  }
+  return jobs;
+};
+
+// Reschedule reminders after appointments change without failing the request that changed them
+const syncAppointmentReminders = async (appointments) => {
+  for (const appointment of appointments) {
+    try {
+      await scheduleAppointmentReminders(appointment);
+    } catch (error) {
+      console.error(`Reminder scheduling error for appointment ${appointment._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Queue reminders for every upcoming appointment that is missing them
+ * Safe to run repeatedly (e.g. on start-up) because jobs are de-duplicated.
+ * @returns {Number} Reminder jobs queued or confirmed
+ */
+const scheduleUpcomingReminders = async () => {
+  const appointments = await Appointment.find({
+    status: { $in: ACTIVE_STATUSES },
+    startDateTime: { $gt: new Date() },
+    'reminderSettings.enabled': { $ne: false }
+  }).select('startDateTime status reminderSettings');
+
+  let queued = 0;
+  for (const appointment of appointments) {
+    const plan = planReminders(appointment);
+    for (const { runAt, interval, method } of plan) {
+      await jobScheduler.schedule(
+        REMINDER_JOB,
+        runAt,
+        { appointmentId: appointment._id.toString(), startDateTime: appointment.startDateTime, interval, method },
+        { dedupeKey: reminderKey(appointment._id, appointment.startDateTime, interval, method) }
+      );
+    }
+    queued += plan.length;
+  }
+
+  return queued;
+};
+
+/**
+ * Job handler: send one reminder on one channel and record it on the appointment
+ * Reminders for appointments that have since moved, started or been cancelled are skipped.
+ * @param {Object} payload - { appointmentId, startDateTime, interval, method }
+ * @returns {Object} Delivery outcome stored on the job
+ */
+const deliverAppointmentReminder = async ({ appointmentId, startDateTime, interval, method }) => {
+  const appointment = await Appointment.findById(appointmentId)
+    .populate('clientId', 'firstName lastName email phone')
+    .populate('advocateId', 'firstName lastName');
+
+  if (!appointment || !ACTIVE_STATUSES.includes(appointment.status)) {
+    return { skipped: 'appointment_inactive' };
+  }
+  if (appointment.startDateTime.getTime() !== new Date(startDateTime).getTime()) {
+    return { skipped: 'rescheduled' };
+  }
+  if (appointment.startDateTime <= new Date()) {
+    return { skipped: 'already_started' };
+  }
+
+  const client = appointment.clientId;
+  const advocateName = `${appointment.advocateId.firstName} ${appointment.advocateId.lastName}`;
+  const result = await sendNotification(client, 'appointmentReminder', {
+    name: client.firstName,
+    clientName: client.firstName,
+    title: appointment.title,
+    date: appointment.formattedDate,
+    time: appointment.formattedTime,
+    appointmentDate: appointment.formattedDate,
+    appointmentTime: appointment.formattedTime,
+    advocateName,
+    location: appointment.location?.type || 'office',
+    reminderLead: describeLead(interval),
+    hoursAhead: Math.round(interval / 60)
+  }, { channels: [method] });
+
+  const outcome = result.error ? { error: result.error } : (result.channels[method] || {});
+  if (outcome.skipped) {
+    return { channel: method, skipped: outcome.skipped };
+  }
+
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    { $push: { reminders: { type: method, sentAt: new Date(), status: outcome.error ? 'failed' : 'sent' } } }
+  );
+
+  // Throwing lets the scheduler retry the delivery
+  if (outcome.error) {
+    throw new Error(`${method} reminder failed: ${outcome.error}`);
+  }
+
+  return { channel: method, sent: true };
+};
+
+jobScheduler.register(REMINDER_JOB, deliverAppointmentReminder);
+
+module.exports = {
+  REMINDER_JOB,
+  describeLead,
+  planReminders,
+  scheduleAppointmentReminders,
+  syncAppointmentReminders,
+  cancelAppointmentReminders,
+  scheduleUpcomingReminders,
+  deliverAppointmentReminder
+};
@@ -0,0 +1,377 @@
+// Recurring appointment series utilities for LegalPro v1.0.1
+// A series is anchored on its first appointment (the parent, which holds the
+// recurrence rule and the exception list); every later occurrence is its own
+// Appointment with parentAppointmentId pointing at the parent.
+const Appointment = require('../models/Appointment');
+const { checkAppointmentConflicts, checkAdvocateAvailability } = require('./appointmentUtils');
+const { toDateKey, toCalendarDay } = require('./courtCalendar');
+const { toZonedDate } = require('./availability');
+const { getBusyUserIds, findBusy } = require('./appointmentParticipants');
+
+const MAX_SERIES_OCCURRENCES = 52;
+const RECURRENCE_PATTERNS = ['daily', 'weekly', 'monthly', 'yearly'];
+const SERIES_SCOPES = ['this', 'following', 'series'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields copied from an edited occurrence to the others in scope
+const SERIES_FIELDS = ['title', 'description', 'type', 'priority', 'location'];
+
+const seriesError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_RECURRENCE';
+  return error;
+};
+
+/**
+ * Check a recurrence rule before expanding it
+ * @param {Object} recurrence - { pattern, interval, endDate, occurrences, daysOfWeek, dayOfMonth }
+ * @returns {String|null} Error message, or null when the rule is usable
+ */
+const validateRecurrence = (recurrence) => {
+  if (!recurrence || !RECURRENCE_PATTERNS.includes(recurrence.pattern)) {
+    return 'Recurrence pattern must be one of: ' + RECURRENCE_PATTERNS.join(', ');
+  }
+
+  const interval = recurrence.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return 'Recurrence interval must be a whole number between 1 and 12';
+  }
+
+  if (!recurrence.endDate && !recurrence.occurrences) {
+    return 'Recurring appointments need an end date or a number of occurrences';
+  }
+
+  if (recurrence.endDate && isNaN(new Date(recurrence.endDate).getTime())) {
+    return 'Recurrence end date is invalid';
+  }
+
+  if (recurrence.occurrences !== undefined && recurrence.occurrences !== null &&
+    (!Number.isInteger(recurrence.occurrences) || recurrence.occurrences < 2 || recurrence.occurrences > MAX_SERIES_OCCURRENCES)) {
+    return `Number of occurrences must be between 2 and ${MAX_SERIES_OCCURRENCES}`;
+  }
+
+  if ((recurrence.daysOfWeek || []).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Days of week must be between 0 (Sunday) and 6 (Saturday)';
+  }
+
+  if (recurrence.dayOfMonth !== undefined && recurrence.dayOfMonth !== null &&
+    (!Number.isInteger(recurrence.dayOfMonth) || recurrence.dayOfMonth < 1 || recurrence.dayOfMonth > 31)) {
+    return 'Day of month must be between 1 and 31';
+  }
+
+  return null;
+};
+
+// Day `dayOfMonth` of the month `months` after the first day's month, clamped to the month's length
+const monthDay = (firstDay, months, dayOfMonth) => {
+  const target = new Date(Date.UTC(firstDay.getUTCFullYear(), firstDay.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return target;
+};
+
+// Calendar days after the first one on which the pattern repeats, in order
+function* patternDays(firstDay, { pattern, interval = 1, daysOfWeek, dayOfMonth }) {
+  if (pattern === 'daily') {
+    for (let n = 1; ; n++) yield new Date(firstDay.getTime() + n * interval * DAY_MS);
+  }
+
+  if (pattern === 'weekly') {
+    const days = daysOfWeek?.length ? [...new Set(daysOfWeek)].sort() : [firstDay.getUTCDay()];
+    const weekStart = firstDay.getTime() - firstDay.getUTCDay() * DAY_MS;
+    for (let week = 0; ; week += interval) {
+      for (const day of days) {
+        const date = new Date(weekStart + (week * 7 + day) * DAY_MS);
+        if (date > firstDay) yield date;
+      }
+    }
+  }
+
+  const step = pattern === 'yearly' ? 12 * interval : interval;
+  const day = pattern === 'monthly' && dayOfMonth ? dayOfMonth : firstDay.getUTCDate();
+  for (let months = step; ; months += step) {
+    const date = monthDay(firstDay, months, day);
+    if (date > firstDay) yield date;
+  }
+}
+
+/**
+ * Expand a recurrence rule into occurrences, starting with the booked slot itself
+ * Every occurrence keeps the first one's wall-clock time in the firm's timezone.
+ * @param {Date|String} startDateTime - First occurrence start
+ * @param {Date|String} endDateTime - First occurrence end
+ * @param {Object} recurrence - Validated recurrence rule
+ * @returns {Array} [{ startDateTime, endDateTime }]
+ */
+const generateOccurrences = (startDateTime, endDateTime, recurrence) => {
+  const start = new Date(startDateTime);
+  const duration = new Date(endDateTime) - start;
+  const firstKey = toDateKey(start);
+  const minutes = Math.round((start - toZonedDate(firstKey, 0)) / 60000);
+  const lastKey = recurrence.endDate ? toDateKey(recurrence.endDate) : null;
+  const count = recurrence.occurrences || Infinity;
+
+  if (lastKey && lastKey < firstKey) {
+    throw seriesError('Recurrence end date is before the first appointment');
+  }
+
+  const occurrences = [{ startDateTime: start, endDateTime: new Date(start.getTime() + duration) }];
+  for (const day of patternDays(toCalendarDay(firstKey), recurrence)) {
+    const dateKey = toDateKey(day);
+    if (occurrences.length >= count || (lastKey && dateKey > lastKey)) break;
+    if (occurrences.length >= MAX_SERIES_OCCURRENCES) {
+      throw seriesError(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences; choose an earlier end date`);
+    }
+
+    const occurrenceStart = toZonedDate(dateKey, minutes);
+    occurrences.push({
+      startDateTime: occurrenceStart,
+      endDateTime: new Date(occurrenceStart.getTime() + duration)
+    });
+  }
+
+  if (occurrences.length < 2) {
+    throw seriesError('The recurrence rule produces no occurrences after the first appointment');
+  }
+
+  return occurrences;
+};
+
+/**
+ * Find occurrences that cannot be booked: clashes with other appointments and,
+ * when requested, days or times outside the advocate's working hours, and
+ * busy participants or resources
+ * @param {String} advocateId - Advocate's user ID
+ * @param {Array} occurrences - [{ startDateTime, endDateTime, _id? }]
+ * @param {Object} options - { checkAvailability, userIds, resourceIds }
+ * @returns {Array} [{ startDateTime, endDateTime, reason, conflicts }]
+ */
+const findOccurrenceProblems = async (advocateId, occurrences, { checkAvailability = false, userIds = [], resourceIds = [] } = {}) => {
+  const problems = [];
+
+  for (const occurrence of occurrences) {
+    if (checkAvailability) {
+      const availability = await checkAdvocateAvailability(advocateId, occurrence.startDateTime, occurrence.endDateTime);
+      if (!availability.available) {
+        problems.push({ ...occurrence, reason: availability.reason, conflicts: [] });
+        continue;
+      }
+    }
+
+    const conflicts = await checkAppointmentConflicts(
+      advocateId,
+      occurrence.startDateTime,
+      occurrence.endDateTime,
+      occurrence._id || null
+    );
+    if (conflicts.length > 0) {
+      problems.push({
+        ...occurrence,
+        reason: 'Conflicts with an existing appointment',
+        conflicts: conflicts.map(c => ({ id: c._id, title: c.title, startDateTime: c.startDateTime, endDateTime: c.endDateTime }))
+      });
+      continue;
+    }
+
+    const busy = await findBusy({
+      userIds,
+      resourceIds,
+      startDateTime: occurrence.startDateTime,
+      endDateTime: occurrence.endDateTime,
+      excludeId: occurrence._id || null
+    });
+    if (busy.users.length > 0 || busy.resources.length > 0) {
+      problems.push({
+        ...occurrence,
+        reason: 'A participant or resource is already booked',
+        conflicts: [...busy.users, ...busy.resources].flatMap(entry => entry.conflicts)
+      });
+    }
+  }
+
+  return problems.map(({ _id, startDateTime, endDateTime, reason, conflicts }) => ({
+    ...(_id ? { id: _id } : {}),
+    startDateTime,
+    endDateTime,
+    reason,
+    conflicts
+  }));
+};
+
+// The parent's ID for any member of a series, or null for one-off appointments
+const getSeriesId = (appointment) => {
+  if (appointment.parentAppointmentId) return appointment.parentAppointmentId;
+  return appointment.isRecurring ? appointment._id : null;
+};
+
+// Where the series pattern put an occurrence, even if it has since been moved
+const getOriginalStart = (appointment) => appointment.originalStartDateTime || appointment.startDateTime;
+
+/**
+ * Occurrences of a series that can still change, in order
+ * @param {String} seriesId - Parent appointment ID
+ * @param {Date} fromOriginalStart - Only occurrences the pattern placed at or after this time
+ * @returns {Array} Appointment documents
+ */
+const findActiveOccurrences = (seriesId, fromOriginalStart = null) => {
+  const query = {
+    $or: [{ _id: seriesId }, { parentAppointmentId: seriesId }],
+    status: { $in: ['scheduled', 'confirmed'] },
+    startDateTime: { $gt: new Date() }
+  };
+  if (fromOriginalStart) {
+    query.$and = [{
+      $or: [
+        { originalStartDateTime: { $gte: fromOriginalStart } },
+        { originalStartDateTime: null, startDateTime: { $gte: fromOriginalStart } }
+      ]
+    }];
+  }
+  return Appointment.find(query).sort({ startDateTime: 1 });
+};
+
+/**
+ * Record a skipped, cancelled or moved occurrence on the series parent
+ * Replaces any earlier entry for the same occurrence, so the latest change wins.
+ * @param {String} seriesId - Parent appointment ID
+ * @param {Date} originalStartDateTime - Where the pattern placed the occurrence
+ * @param {String} type - skipped, cancelled or modified
+ * @param {String} reason - Optional note
+ */
+const addSeriesException = async (seriesId, originalStartDateTime, type, reason) => {
+  await Appointment.updateOne(
+    { _id: seriesId },
+    { $pull: { 'recurrence.exceptions': { originalStartDateTime } } }
+  );
+  return Appointment.updateOne(
+    { _id: seriesId },
+    { $push: { 'recurrence.exceptions': { originalStartDateTime, type, reason } } }
+  );
+};
+
+/**
+ * Stop a series' rule the day before an occurrence
+ * @param {String} seriesId - Parent appointment ID
+ * @param {Date} originalStartDateTime - First occurrence that no longer belongs to the rule
+ */
+const endSeriesBefore = (seriesId, originalStartDateTime) => Appointment.updateOne(
+  { _id: seriesId },
+  {
+    $set: { 'recurrence.endDate': new Date(toCalendarDay(originalStartDateTime).getTime() - DAY_MS) },
+    $unset: { 'recurrence.occurrences': 1 }
+  }
+);
+
+/**
+ * Start a new series at an occurrence so "this and following" edits leave earlier ones alone
+ * The old series ends the day before; later occurrences and their exceptions move across.
+ * @param {Object} appointment - Occurrence that becomes the new parent
+ * @returns {Object} The appointment, now a series parent
+ */
+const splitSeries = async (appointment) => {
+  const seriesId = appointment.parentAppointmentId;
+  if (!seriesId) return appointment;
+
+  const parent = await Appointment.findById(seriesId);
+  const splitAt = getOriginalStart(appointment);
+  const lastOccurrence = await Appointment.findOne({ parentAppointmentId: seriesId })
+    .sort({ originalStartDateTime: -1, startDateTime: -1 });
+
+  const { occurrences, exceptions = [], ...rule } = parent.toObject().recurrence;
+
+  appointment.parentAppointmentId = undefined;
+  appointment.isRecurring = true;
+  appointment.recurrence = {
+    ...rule,
+    endDate: parent.recurrence.endDate || getOriginalStart(lastOccurrence),
+    exceptions: exceptions.filter(exception => exception.originalStartDateTime >= splitAt)
+  };
+  appointment.originalStartDateTime = splitAt;
+  await appointment.save();
+
+  await Appointment.updateMany(
+    {
+      parentAppointmentId: seriesId,
+      _id: { $ne: appointment._id },
+      $or: [
+        { originalStartDateTime: { $gt: splitAt } },
+        { originalStartDateTime: null, startDateTime: { $gt: splitAt } }
+      ]
+    },
+    { $set: { parentAppointmentId: appointment._id } }
+  );
+
+  parent.recurrence.exceptions = exceptions.filter(exception => exception.originalStartDateTime < splitAt);
+  await parent.save();
+  await endSeriesBefore(seriesId, splitAt);
+
+  return appointment;
+};
+
+/**
+ * Apply an edit to several occurrences at once
+ * Times move by the same offset as the edited occurrence and take its new length.
+ * @param {Array} targets - Occurrences to change (including the edited one)
+ * @param {Object} anchor - The occurrence the user edited, before the change
+ * @param {Object} changes - Request body fields
+ * @param {Object} options - { checkAvailability }
+ * @returns {Object} { problems } when any new time cannot be booked, otherwise { updated }
+ */
+const updateOccurrences = async (targets, anchor, changes, { checkAvailability = false } = {}) => {
+  const newStart = changes.startDateTime ? new Date(changes.startDateTime) : anchor.startDateTime;
+  const newEnd = changes.endDateTime ? new Date(changes.endDateTime) : anchor.endDateTime;
+  const timeChanged = newStart.getTime() !== anchor.startDateTime.getTime() ||
+    newEnd.getTime() !== anchor.endDateTime.getTime();
+  const offset = newStart - anchor.startDateTime;
+  const duration = newEnd - newStart;
+
+  const moves = targets.map(target => {
+    const startDateTime = new Date(target.startDateTime.getTime() + offset);
+    return { _id: target._id, startDateTime, endDateTime: new Date(startDateTime.getTime() + duration) };
+  });
+
+  if (timeChanged) {
+    const problems = await findOccurrenceProblems(anchor.advocateId, moves, {
+      checkAvailability,
+      userIds: getBusyUserIds(anchor),
+      resourceIds: anchor.resources || []
+    });
+    if (problems.length > 0) {
+      return { problems };
+    }
+  }
+
+  for (const [index, target] of targets.entries()) {
+    SERIES_FIELDS.forEach(field => {
+      if (changes[field] === undefined) return;
+      target[field] = field === 'location'
+        ? { ...target.location, ...changes.location }
+        : changes[field];
+    });
+
+    if (timeChanged) {
+      target.originalStartDateTime = getOriginalStart(target);
+      target.startDateTime = moves[index].startDateTime;
+      target.endDateTime = moves[index].endDateTime;
+    }
+
+    await target.save();
+  }
+
+  return { updated: targets };
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SERIES_SCOPES,
+  validateRecurrence,
+  generateOccurrences,
+  findOccurrenceProblems,
+  getSeriesId,
+  getOriginalStart,
+  findActiveOccurrences,
+  addSeriesException,
+  endSeriesBefore,
+  splitSeries,
+  updateOccurrences
+};
@@ -1,6 +1,16 @@
 // Appointment utility functions for LegalPro v1.0.1
 const Appointment = require('../models/Appointment');
 const { sendNotification } = require('./notificationService');
+const { holidayConfig } = require('../config/publicHolidays');
+const { toDateKey } = require('./courtCalendar');
+const {
+  toZonedDate,
+  getDaySchedule,
+  buildSlots,
+  checkWithinSchedule,
+  loadAvailabilityProfile,
+  getFirmHolidays
+} = require('./availability');
 
 /**
  * Check for appointment conflicts
@@ -36,79 +46,87 @@ const checkAppointmentConflicts = async (advocateId, startDateTime, endDateTime,
   }
 };
 
+const formatSlotTime = (date) => date.toLocaleTimeString('en-US', {
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: true,
+  timeZone: holidayConfig.timezone
+});
+
 /**
  * Generate available time slots for a specific date and advocate
+ * Slots come from the advocate's availability profile: weekly hours less breaks,
+ * with leave, date overrides and public or firm holidays applied.
  * @param {String} advocateId - Advocate's user ID
- * @param {Date} date - Date to check availability
+ * @param {Date|String} date - Date to check availability
  * @param {Number} duration - Appointment duration in minutes
- * @param {Number} slotInterval - Time slot interval in minutes (default: 30)
- * @returns {Array} Array of available time slots
+ * @param {Number} slotInterval - Time slot interval in minutes (defaults to the profile's)
+ * @returns {Object} { date, isWorkingDay, reason, workingHours, slots }
  */
-const generateAvailableSlots = async (advocateId, date, duration = 60, slotInterval = 30) => {
+const generateAvailableSlots = async (advocateId, date, duration = 60, slotInterval = null) => {
   try {
-    const requestedDate = new Date(date);
-    const startOfDay = new Date(requestedDate);
-    startOfDay.setHours(8, 0, 0, 0); // 8 AM
+    const dateKey = toDateKey(date);
+    const [profile, extraHolidays] = await Promise.all([
+      loadAvailabilityProfile(advocateId),
+      getFirmHolidays(dateKey, dateKey)
+    ]);
+
+    const schedule = getDaySchedule(profile, dateKey, extraHolidays);
+    const result = {
+      date: dateKey,
+      isWorkingDay: schedule.isWorkingDay,
+      reason: schedule.reason,
+      workingHours: schedule.windows,
+      slots: []
+    };
 
-    const endOfDay = new Date(requestedDate);
-    endOfDay.setHours(18, 0, 0, 0); // 6 PM
+    if (!schedule.isWorkingDay) {
+      return result;
+    }
 
-    // Get existing appointments for the day
+    // Get existing appointments overlapping the day
     const existingAppointments = await Appointment.find({
       advocateId,
-      startDateTime: { $gte: startOfDay, $lt: endOfDay },
+      startDateTime: { $lt: toZonedDate(dateKey, 24 * 60) },
+      endDateTime: { $gt: toZonedDate(dateKey, 0) },
       status: { $in: ['scheduled', 'confirmed', 'in_progress'] }
     }).sort({ startDateTime: 1 });
 
-    const slots = [];
-    const now = new Date();
-
-    // Generate time slots
-    for (let hour = 8; hour < 18; hour++) {
-      for (let minute = 0; minute < 60; minute += slotInterval) {
-        const slotStart = new Date(requestedDate);
-        slotStart.setHours(hour, minute, 0, 0);
-
-        const slotEnd = new Date(slotStart);
-        slotEnd.setMinutes(slotEnd.getMinutes() + duration);
-
-        // Skip if slot would extend beyond business hours
-        if (slotEnd > endOfDay) continue;
-
-        // Skip if slot is in the past
-        if (slotStart <= now) continue;
-
-        // Check for conflicts with existing appointments
-        const hasConflict = existingAppointments.some(apt => 
-          slotStart < apt.endDateTime && slotEnd > apt.startDateTime
-        );
-
-        if (!hasConflict) {
-          slots.push({
-            startTime: slotStart.toISOString(),
-            endTime: slotEnd.toISOString(),
-            available: true,
-            formattedTime: `${slotStart.toLocaleTimeString('en-US', {
-              hour: '2-digit',
-              minute: '2-digit',
-              hour12: true
-            })} - ${slotEnd.toLocaleTimeString('en-US', {
-              hour: '2-digit',
-              minute: '2-digit',
-              hour12: true
-            })}`
-          });
-        }
-      }
-    }
-
-    return slots;
+    result.slots = buildSlots(schedule, {
+      duration,
+      slotInterval: slotInterval || profile.slotInterval,
+      busy: existingAppointments
+    }).map(({ startTime, endTime }) => ({
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      available: true,
+      formattedTime: `${formatSlotTime(startTime)} - ${formatSlotTime(endTime)}`
+    }));
+
+    return result;
   } catch (error) {
     console.error('Error generating available slots:', error);
     throw error;
   }
 };
 
+/**
+ * Check whether a booking falls within the advocate's working hours
+ * @param {String} advocateId - Advocate's user ID
+ * @param {Date} startDateTime - Appointment start time
+ * @param {Date} endDateTime - Appointment end time
+ * @returns {Object} { available, reason }
+ */
+const checkAdvocateAvailability = async (advocateId, startDateTime, endDateTime) => {
+  const dateKey = toDateKey(startDateTime);
+  const [profile, extraHolidays] = await Promise.all([
+    loadAvailabilityProfile(advocateId),
+    getFirmHolidays(dateKey, dateKey)
+  ]);
+
+  return checkWithinSchedule(profile, startDateTime, endDateTime, extraHolidays);
+};
+
 /**
  * Send appointment reminders for upcoming appointments
  * @param {Number} hoursAhead - How many hours ahead to send reminders
@@ -194,6 +212,39 @@ const sendAppointmentReminders = async (hoursAhead = 24) => {
   }
 };
 
+/**
+ * No-show rate per client or advocate, out of appointments that were either attended or missed
+ * @param {Object} baseQuery - Period and user filter
+ * @param {String} field - 'clientId' or 'advocateId'
+ * @returns {Array} [{ _id, firstName, lastName, attended, noShows, total, noShowRate }], highest rate first
+ */
+const getNoShowRates = (baseQuery, field) => Appointment.aggregate([
+  { $match: { ...baseQuery, status: { $in: ['completed', 'no_show'] } } },
+  {
+    $group: {
+      _id: `$${field}`,
+      attended: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+      noShows: { $sum: { $cond: [{ $eq: ['$status', 'no_show'] }, 1, 0] } }
+    }
+  },
+  { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+  { $unwind: '$user' },
+  {
+    $project: {
+      firstName: '$user.firstName',
+      lastName: '$user.lastName',
+      attended: 1,
+      noShows: 1,
+      total: { $add: ['$attended', '$noShows'] },
+      noShowRate: {
+        $round: [{ $multiply: [{ $divide: ['$noShows', { $add: ['$attended', '$noShows'] }] }, 100] }, 2]
+      }
+    }
+  },
+  { $sort: { noShowRate: -1, noShows: -1 } },
+  { $limit: 20 }
+]);
+
 /**
  * Get appointment statistics for dashboard
  * @param {String} userId - User ID (optional, for user-specific stats)
@@ -236,14 +287,18 @@ const getAppointmentStatistics = async (userId = null, role = 'admin', startDate
       scheduledAppointments,
       completedAppointments,
       cancelledAppointments,
+      noShowAppointments,
       upcomingAppointments,
       appointmentsByType,
-      appointmentsByStatus
+      appointmentsByStatus,
+      noShowsByClient,
+      noShowsByAdvocate
     ] = await Promise.all([
       Appointment.countDocuments(baseQuery),
       Appointment.countDocuments({ ...baseQuery, status: 'scheduled' }),
       Appointment.countDocuments({ ...baseQuery, status: 'completed' }),
       Appointment.countDocuments({ ...baseQuery, status: 'cancelled' }),
+      Appointment.countDocuments({ ...baseQuery, status: 'no_show' }),
       Appointment.countDocuments({
         ...baseQuery,
         startDateTime: { $gte: new Date() },
@@ -258,7 +313,9 @@ const getAppointmentStatistics = async (userId = null, role = 'admin', startDate
         { $match: baseQuery },
         { $group: { _id: '$status', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
-      ])
+      ]),
+      getNoShowRates(baseQuery, 'clientId'),
+      getNoShowRates(baseQuery, 'advocateId')
     ]);
 
     return {
@@ -271,6 +328,7 @@ const getAppointmentStatistics = async (userId = null, role = 'admin', startDate
         scheduled: scheduledAppointments,
         completed: completedAppointments,
         cancelled: cancelledAppointments,
+        noShow: noShowAppointments,
         upcoming: upcomingAppointments
       },
       breakdown: {
@@ -280,7 +338,14 @@ const getAppointmentStatistics = async (userId = null, role = 'admin', startDate
       completionRate: totalAppointments > 0 ? 
         ((completedAppointments / totalAppointments) * 100).toFixed(2) : 0,
       cancellationRate: totalAppointments > 0 ? 
-        ((cancelledAppointments / totalAppointments) * 100).toFixed(2) : 0
+        ((cancelledAppointments / totalAppointments) * 100).toFixed(2) : 0,
+      // Out of appointments that were attended or missed, so upcoming and cancelled ones don't dilute it
+      noShowRate: completedAppointments + noShowAppointments > 0 ?
+        ((noShowAppointments / (completedAppointments + noShowAppointments)) * 100).toFixed(2) : 0,
+      noShowRates: {
+        byClient: noShowsByClient,
+        byAdvocate: noShowsByAdvocate
+      }
     };
 
   } catch (error) {
@@ -347,6 +412,7 @@ const validateAppointmentRules = (appointmentData) => {
 module.exports = {
   checkAppointmentConflicts,
   generateAvailableSlots,
+  checkAdvocateAvailability,
   sendAppointmentReminders,
   getAppointmentStatistics,
   validateAppointmentRules
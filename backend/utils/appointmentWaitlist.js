@@ -0,0 +1,239 @@
+// Appointment waitlist for LegalPro v1.0.1
+// When a booked slot frees up (cancellation or reschedule), the earliest waiting
+// client for that advocate and day is offered it by SMS/WhatsApp. The slot is
+// held for them for appointmentPolicy.waitlistOfferMinutes; if they decline or
+// let the hold lapse, it moves on to the next client in line.
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { appointmentPolicy } = require('../config/appointmentPolicy');
+const { holidayConfig } = require('../config/publicHolidays');
+const { toDateKey } = require('./courtCalendar');
+const { sendNotification } = require('./notificationService');
+const jobScheduler = require('./jobScheduler');
+
+const OFFER_EXPIRY_JOB = 'waitlistOfferExpiry';
+// Slots starting sooner than this are not worth offering
+const MIN_OFFER_LEAD_MINUTES = 30;
+const MINUTE_MS = 60 * 1000;
+
+const offerKey = (entryId, startDateTime) =>
+  `${OFFER_EXPIRY_JOB}:${entryId}:${new Date(startDateTime).toISOString()}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  timeZone: holidayConfig.timezone,
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-US', {
+  timeZone: holidayConfig.timezone,
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Pick the first waiting entry (oldest first) that fits in a freed slot
+ * @param {Array} entries - Waiting entries sorted by createdAt
+ * @param {Object} slot - { startDateTime, endDateTime }
+ * @returns {Object|null} { entry, startDateTime, endDateTime } for the offer
+ */
+const pickCandidate = (entries, slot) => {
+  const start = new Date(slot.startDateTime);
+  const slotMinutes = (new Date(slot.endDateTime) - start) / MINUTE_MS;
+
+  for (const entry of entries) {
+    const passed = (entry.passedSlots || []).some(time => new Date(time).getTime() === start.getTime());
+    if (passed || entry.duration > slotMinutes) continue;
+    return {
+      entry,
+      startDateTime: start,
+      endDateTime: new Date(start.getTime() + entry.duration * MINUTE_MS)
+    };
+  }
+  return null;
+};
+
+/**
+ * Offers currently holding slots for an advocate
+ * @param {String} advocateId - Advocate's user ID
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @param {String} exceptClientId - Leave out holds for this client (they may book their own offer)
+ * @returns {Array} Offered WaitlistEntry documents overlapping the window
+ */
+const findHeldSlots = (advocateId, from, to, exceptClientId = null) => {
+  const query = {
+    advocateId,
+    status: 'offered',
+    'offer.expiresAt': { $gt: new Date() },
+    'offer.startDateTime': { $lt: to },
+    'offer.endDateTime': { $gt: from }
+  };
+  if (exceptClientId) query.clientId = { $ne: exceptClientId };
+  return WaitlistEntry.find(query);
+};
+
+// Tell a client a slot has opened up for them
+const notifyOffer = async (entry) => {
+  const [client, advocate] = await Promise.all([
+    User.findById(entry.clientId).select('firstName lastName email phone'),
+    User.findById(entry.advocateId).select('firstName lastName')
+  ]);
+  if (!client) return null;
+
+  return sendNotification(client, 'waitlistOffer', {
+    name: client.firstName,
+    advocateName: advocate ? `${advocate.firstName} ${advocate.lastName}` : 'your advocate',
+    appointmentDate: formatDate(entry.offer.startDateTime),
+    appointmentTime: formatTime(entry.offer.startDateTime),
+    offerExpires: formatTime(entry.offer.expiresAt)
+  }, { channels: ['sms', 'whatsapp'] });
+};
+
+/**
+ * Offer a free slot to the next waitlisted client for that advocate and day
+ * Nothing is offered if the slot is too close, already booked or already held.
+ * @param {Object} slot - { advocateId, startDateTime, endDateTime }
+ * @param {Date} now - Reference time
+ * @returns {Object|null} The WaitlistEntry that received the offer
+ */
+const offerSlot = async (slot, now = new Date()) => {
+  const startDateTime = new Date(slot.startDateTime);
+  const endDateTime = new Date(slot.endDateTime);
+  if (startDateTime.getTime() - now.getTime() < MIN_OFFER_LEAD_MINUTES * MINUTE_MS) {
+    return null;
+  }
+
+  const [conflicts, holds] = await Promise.all([
+    Appointment.findConflicts(slot.advocateId, startDateTime, endDateTime),
+    findHeldSlots(slot.advocateId, startDateTime, endDateTime)
+  ]);
+  if (conflicts.length > 0 || holds.length > 0) return null;
+
+  const waiting = await WaitlistEntry.find({
+    advocateId: slot.advocateId,
+    date: toDateKey(startDateTime),
+    status: 'waiting'
+  }).sort({ createdAt: 1 });
+
+  // Another request may claim an entry first, so keep trying down the list
+  let candidates = waiting;
+  while (candidates.length > 0) {
+    const pick = pickCandidate(candidates, { startDateTime, endDateTime });
+    if (!pick) return null;
+
+    const expiresAt = new Date(Math.min(
+      now.getTime() + appointmentPolicy.waitlistOfferMinutes * MINUTE_MS,
+      startDateTime.getTime()
+    ));
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: pick.entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: {
+          startDateTime: pick.startDateTime,
+          endDateTime: pick.endDateTime,
+          slotEndDateTime: endDateTime,
+          offeredAt: now,
+          expiresAt
+        }
+      },
+      { new: true }
+    );
+
+    if (entry) {
+      await jobScheduler.schedule(
+        OFFER_EXPIRY_JOB,
+        expiresAt,
+        { entryId: entry._id.toString(), startDateTime: pick.startDateTime },
+        { dedupeKey: offerKey(entry._id, pick.startDateTime) }
+      );
+      try {
+        await notifyOffer(entry);
+      } catch (error) {
+        console.error(`Waitlist offer notification error for entry ${entry._id}:`, error);
+      }
+      return entry;
+    }
+
+    candidates = candidates.filter(candidate => !candidate._id.equals(pick.entry._id));
+  }
+
+  return null;
+};
+
+// Offer slots freed by cancelled or moved appointments without failing the request that freed them
+const offerFreedSlots = async (slots) => {
+  for (const slot of slots) {
+    try {
+      await offerSlot(slot);
+    } catch (error) {
+      console.error(`Waitlist offer error for slot ${new Date(slot.startDateTime).toISOString()}:`, error);
+    }
+  }
+};
+
+/**
+ * Return an offered entry to the queue (declined or lapsed) and pass the slot on
+ * The client keeps their place for other openings but is not offered this slot again.
+ * @param {Object} entry - Offered WaitlistEntry
+ * @returns {Object|null} Updated entry, or null if the offer had already changed
+ */
+const passOffer = async (entry) => {
+  const { offer } = entry;
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.startDateTime': offer.startDateTime },
+    {
+      status: 'waiting',
+      $unset: { offer: 1 },
+      $push: { passedSlots: offer.startDateTime }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await jobScheduler.cancel({ dedupeKey: offerKey(entry._id, offer.startDateTime) });
+  await offerFreedSlots([{
+    advocateId: entry.advocateId,
+    startDateTime: offer.startDateTime,
+    endDateTime: offer.slotEndDateTime
+  }]);
+
+  return updated;
+};
+
+// Stop the expiry job once an offer has been taken up
+const clearOfferExpiry = (entry) => jobScheduler.cancel({
+  dedupeKey: offerKey(entry._id, entry.offer.startDateTime)
+});
+
+/**
+ * Job handler: a hold has lapsed, so pass the slot to the next client
+ * @param {Object} payload - { entryId, startDateTime }
+ * @returns {Object} Outcome stored on the job
+ */
+const expireWaitlistOffer = async ({ entryId, startDateTime }) => {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry || entry.status !== 'offered' ||
+      entry.offer.startDateTime.getTime() !== new Date(startDateTime).getTime()) {
+    return { skipped: 'offer_closed' };
+  }
+
+  await passOffer(entry);
+  return { expired: true };
+};
+
+jobScheduler.register(OFFER_EXPIRY_JOB, expireWaitlistOffer);
+
+module.exports = {
+  OFFER_EXPIRY_JOB,
+  pickCandidate,
+  findHeldSlots,
+  offerSlot,
+  offerFreedSlots,
+  passOffer,
+  clearOfferExpiry,
+  expireWaitlistOffer
+};
@@ -0,0 +1,193 @@
+// Advocate availability utilities for LegalPro v1.0.1
+// Working hours are wall-clock HH:mm times in the firm's timezone; every
+// schedule is resolved for one calendar day (YYYY-MM-DD) at a time.
+const AvailabilityProfile = require('../models/AvailabilityProfile');
+const Holiday = require('../models/Holiday');
+const { holidayConfig } = require('../config/publicHolidays');
+const { toDateKey, toCalendarDay, getHolidayName } = require('./courtCalendar');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Milliseconds the timezone is ahead of UTC at a given moment
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert minutes past midnight on a calendar day in the firm's timezone to an instant
+ * @param {String} dateKey - YYYY-MM-DD
+ * @param {Number} minutes - Minutes past local midnight (1440 is the following midnight)
+ * @param {String} timezone - IANA timezone (defaults to the firm's)
+ * @returns {Date} The moment as a Date
+ */
+const toZonedDate = (dateKey, minutes, timezone = holidayConfig.timezone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  return new Date(wallClock - getTimezoneOffset(new Date(wallClock), timezone));
+};
+
+// Remove a break from a list of [start, end) minute windows
+const subtractWindow = (windows, cut) => windows.flatMap(window => {
+  if (cut.end <= window.start || cut.start >= window.end) return [window];
+  return [
+    { start: window.start, end: cut.start },
+    { start: cut.end, end: window.end }
+  ].filter(part => part.end > part.start);
+});
+
+/**
+ * Resolve an advocate's working windows for one day
+ * Leave beats everything, then a date override, then public holidays, then the weekly hours.
+ * Recurring breaks are cut out of whatever hours apply.
+ * @param {Object} profile - AvailabilityProfile (or plain object with the same shape)
+ * @param {Date|String} date - Day to resolve
+ * @param {Array} extraHolidays - Firm holidays on top of the statutory ones
+ * @returns {Object} { date, isWorkingDay, reason, windows: [{ start, end }] } with times as HH:mm
+ */
+const getDaySchedule = (profile, date, extraHolidays = []) => {
+  const dateKey = toDateKey(date);
+  const dayOfWeek = toCalendarDay(dateKey).getUTCDay();
+  const closed = (reason) => ({ date: dateKey, isWorkingDay: false, reason, windows: [] });
+
+  const leave = (profile.leave || []).find(period => period.startDate <= dateKey && dateKey <= period.endDate);
+  if (leave) {
+    return closed('On leave');
+  }
+
+  let hours;
+  const override = (profile.overrides || []).find(item => item.date === dateKey);
+  if (override) {
+    if (override.isClosed) {
+      return closed(override.reason || 'Unavailable');
+    }
+    hours = override.hours;
+  } else {
+    const holiday = getHolidayName(dateKey, extraHolidays);
+    if (holiday) {
+      return closed(holiday);
+    }
+    hours = (profile.weeklyHours || []).filter(item => item.dayOfWeek === dayOfWeek);
+  }
+
+  let windows = hours
+    .map(item => ({ start: toMinutes(item.start), end: toMinutes(item.end) }))
+    .sort((a, b) => a.start - b.start);
+
+  (profile.breaks || [])
+    .filter(item => item.dayOfWeek === null || item.dayOfWeek === undefined || item.dayOfWeek === dayOfWeek)
+    .forEach(item => {
+      windows = subtractWindow(windows, { start: toMinutes(item.start), end: toMinutes(item.end) });
+    });
+
+  if (windows.length === 0) {
+    return closed('Not a working day');
+  }
+
+  return {
+    date: dateKey,
+    isWorkingDay: true,
+    reason: null,
+    windows: windows.map(window => ({ start: toTime(window.start), end: toTime(window.end) }))
+  };
+};
+
+/**
+ * Build bookable slots from a day's schedule
+ * @param {Object} schedule - Result of getDaySchedule
+ * @param {Object} options - { duration, slotInterval, busy: [{ startDateTime, endDateTime }], now }
+ * @returns {Array} Slots as { startTime, endTime } Dates, each inside one working window
+ */
+const buildSlots = (schedule, { duration = 60, slotInterval = 30, busy = [], now = new Date() } = {}) => {
+  const slots = [];
+
+  schedule.windows.forEach(window => {
+    const windowEnd = toMinutes(window.end);
+    for (let minute = toMinutes(window.start); minute + duration <= windowEnd; minute += slotInterval) {
+      const startTime = toZonedDate(schedule.date, minute);
+      const endTime = toZonedDate(schedule.date, minute + duration);
+
+      if (startTime <= now) continue;
+
+      const hasConflict = busy.some(item => startTime < item.endDateTime && endTime > item.startDateTime);
+      if (!hasConflict) {
+        slots.push({ startTime, endTime });
+      }
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Check that a booking sits entirely inside one of the advocate's working windows
+ * @param {Object} profile - AvailabilityProfile
+ * @param {Date} start - Booking start
+ * @param {Date} end - Booking end
+ * @param {Array} extraHolidays - Firm holidays
+ * @returns {Object} { available, reason }
+ */
+const checkWithinSchedule = (profile, start, end, extraHolidays = []) => {
+  const schedule = getDaySchedule(profile, start, extraHolidays);
+  if (!schedule.isWorkingDay) {
+    return { available: false, reason: schedule.reason };
+  }
+
+  const fits = schedule.windows.some(window =>
+    start >= toZonedDate(schedule.date, toMinutes(window.start)) &&
+    end <= toZonedDate(schedule.date, toMinutes(window.end))
+  );
+
+  return fits
+    ? { available: true, reason: null }
+    : { available: false, reason: 'Outside working hours' };
+};
+
+/**
+ * Load an advocate's profile, falling back to the default hours when none is saved
+ * @param {String} advocateId - Advocate's user ID
+ * @returns {Object} AvailabilityProfile document (unsaved when defaulted)
+ */
+const loadAvailabilityProfile = async (advocateId) => {
+  const profile = await AvailabilityProfile.findOne({ advocateId });
+  return profile || new AvailabilityProfile({ advocateId });
+};
+
+/**
+ * Firm holidays between two calendar days, in the shape courtCalendar expects
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD
+ * @returns {Array} [{ date, name }]
+ */
+const getFirmHolidays = async (from, to) => {
+  const holidays = await Holiday.find({ date: { $gte: from, $lte: to } }).select('date name').lean();
+  return holidays.map(({ date, name }) => ({ date, name }));
+};
+
+module.exports = {
+  toMinutes,
+  toZonedDate,
+  getDaySchedule,
+  buildSlots,
+  checkWithinSchedule,
+  loadAvailabilityProfile,
+  getFirmHolidays
+};
@@ -0,0 +1,182 @@
+// Calendar export for LegalPro v1.0.1
+// Turns appointments, court dates and case deadlines into iCalendar events for
+// .ics downloads, email attachments and per-user webcal feeds.
+const Appointment = require('../models/Appointment');
+const Case = require('../models/Case');
+const { holidayConfig } = require('../config/publicHolidays');
+const { toDateKey } = require('./courtCalendar');
+const { UID_DOMAIN, buildCalendar, formatLocalDateTime } = require('./icalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_PAST_DAYS = 60;
+const FEED_FUTURE_DAYS = 365;
+const FEED_REFRESH_INTERVAL = 'PT1H';
+const COURT_DATE_MINUTES = 60;
+
+const humanize = (value) => String(value || '').replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase());
+
+const fullName = (person) => (person && person.firstName ? `${person.firstName} ${person.lastName}` : null);
+
+// Next calendar day as YYYY-MM-DD (all-day DTEND is exclusive)
+const nextDateKey = (dateKey) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+
+const describeLocation = (location = {}) => [
+  location.type ? humanize(location.type) : null,
+  location.room,
+  location.address,
+  location.meetingLink
+].filter(Boolean).join(', ');
+
+/**
+ * Map an appointment to an iCalendar event
+ * @param {Object} appointment - Appointment (clientId/advocateId may be populated)
+ * @returns {Object} Event for utils/icalendar
+ */
+const appointmentToEvent = (appointment) => {
+  const details = [
+    appointment.description,
+    fullName(appointment.advocateId) && `Advocate: ${fullName(appointment.advocateId)}`,
+    fullName(appointment.clientId) && `Client: ${fullName(appointment.clientId)}`,
+    appointment.location?.meetingLink && `Join: ${appointment.location.meetingLink}`,
+    appointment.location?.instructions
+  ].filter(Boolean);
+
+  return {
+    uid: `appointment-${appointment._id}@${UID_DOMAIN}`,
+    start: appointment.startDateTime,
+    end: appointment.endDateTime,
+    summary: appointment.title,
+    description: details.join('\n'),
+    location: describeLocation(appointment.location),
+    categories: ['Appointment', humanize(appointment.type)],
+    status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: appointment.updatedAt
+  };
+};
+
+/**
+ * Map a case's court date to an event; dates without a time of day become all-day events
+ * @param {Object} caseDoc - Case with courtDate
+ * @param {String} timezone - Firm timezone
+ * @returns {Object} Event for utils/icalendar
+ */
+const courtDateToEvent = (caseDoc, timezone = holidayConfig.timezone) => {
+  const courtDate = new Date(caseDoc.courtDate);
+  const allDay = formatLocalDateTime(courtDate, timezone).endsWith('T000000');
+  const dateKey = toDateKey(courtDate);
+
+  return {
+    uid: `court-${caseDoc._id}-${dateKey}@${UID_DOMAIN}`,
+    allDay,
+    start: courtDate,
+    end: new Date(courtDate.getTime() + COURT_DATE_MINUTES * 60 * 1000),
+    startDate: dateKey,
+    endDate: nextDateKey(dateKey),
+    summary: `Court: ${caseDoc.caseNumber} - ${caseDoc.title}`,
+    description: `Court date for case ${caseDoc.caseNumber}`,
+    categories: ['Court date'],
+    status: 'CONFIRMED',
+    lastModified: caseDoc.updatedAt
+  };
+};
+
+/**
+ * Map a case deadline to an all-day event on its due date
+ * @param {Object} caseDoc - Case the deadline belongs to
+ * @param {Object} deadline - Case deadline subdocument
+ * @returns {Object} Event for utils/icalendar
+ */
+const deadlineToEvent = (caseDoc, deadline) => {
+  const dateKey = toDateKey(deadline.dueDate);
+
+  return {
+    uid: `deadline-${deadline._id}@${UID_DOMAIN}`,
+    allDay: true,
+    startDate: dateKey,
+    endDate: nextDateKey(dateKey),
+    summary: `Deadline: ${deadline.title} (${caseDoc.caseNumber})`,
+    description: [`${humanize(deadline.type)} deadline for ${caseDoc.caseNumber} - ${caseDoc.title}`, deadline.notes]
+      .filter(Boolean).join('\n'),
+    categories: ['Deadline', humanize(deadline.type)],
+    status: 'CONFIRMED',
+    lastModified: deadline.updatedAt
+  };
+};
+
+/**
+ * .ics text for one appointment
+ * @param {Object} appointment - Appointment (populated names appear in the description)
+ * @returns {String} iCalendar document
+ */
+const buildAppointmentCalendar = (appointment) => buildCalendar({
+  events: [appointmentToEvent(appointment)],
+  timezone: appointment.timezone || holidayConfig.timezone
+});
+
+// Nodemailer attachment so the appointment can be added to the recipient's calendar
+const buildAppointmentAttachment = (appointment) => ({
+  filename: 'appointment.ics',
+  content: buildAppointmentCalendar(appointment),
+  contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+});
+
+/**
+ * Personal calendar feed: the user's appointments, court dates for their cases
+ * and, for staff, open case deadlines
+ * @param {Object} user - User the feed belongs to
+ * @param {Date} now - Reference time for the feed window
+ * @returns {String} iCalendar document
+ */
+const buildUserFeed = async (user, now = new Date()) => {
+  const from = new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS);
+  const to = new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS);
+  const isClient = user.role === 'client';
+
+  const appointmentFilter = {
+    status: { $ne: 'cancelled' },
+    startDateTime: { $gte: from, $lte: to }
+  };
+  if (isClient) appointmentFilter.clientId = user._id;
+  else if (user.role === 'advocate') appointmentFilter.advocateId = user._id;
+  else appointmentFilter.bookedBy = user._id;
+
+  const caseFilter = { isArchived: false };
+  if (isClient) caseFilter.clientId = user._id;
+  else caseFilter.assignedTo = user._id;
+
+  const [appointments, cases] = await Promise.all([
+    Appointment.find(appointmentFilter)
+      .populate('clientId', 'firstName lastName')
+      .populate('advocateId', 'firstName lastName')
+      .sort({ startDateTime: 1 }),
+    Case.find(caseFilter).select('title caseNumber courtDate deadlines updatedAt')
+  ]);
+
+  const events = appointments.map(appointmentToEvent);
+  for (const caseDoc of cases) {
+    if (caseDoc.courtDate && caseDoc.courtDate >= from && caseDoc.courtDate <= to) {
+      events.push(courtDateToEvent(caseDoc));
+    }
+    if (isClient) continue;
+    for (const deadline of caseDoc.deadlines || []) {
+      if (deadline.status === 'open' && deadline.dueDate >= from && deadline.dueDate <= to) {
+        events.push(deadlineToEvent(caseDoc, deadline));
+      }
+    }
+  }
+
+  return buildCalendar({
+    name: `LegalPro - ${user.firstName} ${user.lastName}`,
+    events,
+    refreshInterval: FEED_REFRESH_INTERVAL
+  });
+};
+
+module.exports = {
+  appointmentToEvent,
+  courtDateToEvent,
+  deadlineToEvent,
+  buildAppointmentCalendar,
+  buildAppointmentAttachment,
+  buildUserFeed
+};
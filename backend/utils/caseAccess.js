@@ -0,0 +1,37 @@
+// Case access helpers for LegalPro v1.0.1
+
+/**
+ * Build the query that scopes a case lookup to what the user may see
+ * Clients see their own cases, admins see assigned cases unless they can view all,
+ * advocates see every case.
+ * @param {Object} user - Authenticated user
+ * @param {String} caseId - Case ID (optional, omit to scope a list query)
+ * @returns {Object|null} Mongo query, or null if the role has no case access
+ */
+const buildCaseAccessQuery = (user, caseId = null) => {
+  const query = { isArchived: false };
+  if (caseId) {
+    query._id = caseId;
+  }
+
+  switch (user.role) {
+    case 'client':
+      query.clientId = user._id;
+      break;
+    case 'admin':
+      if (!user.permissions?.canViewAllCases) {
+        query.assignedTo = user._id;
+      }
+      break;
+    case 'advocate':
+      break;
+    default:
+      return null;
+  }
+
+  return query;
+};
+
+module.exports = {
+  buildCaseAccessQuery
+};
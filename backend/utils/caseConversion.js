@@ -0,0 +1,99 @@
+// Consultation-to-case conversion helpers for LegalPro v1.0.1
+// A completed appointment becomes a case pre-filled with its client, advocate,
+// description, notes, attachments and intake answers. The case timeline is
+// backdated to the booking so the matter history starts at first contact.
+const Case = require('../models/Case');
+const { copyIntakeToCase } = require('./intakeForms');
+
+const DOCUMENT_TYPES = Case.schema.path('documents').schema.path('type').enumValues;
+const MAX_DOCUMENT_SIZE = 10485760; // 10MB, as on case documents
+
+/**
+ * Split appointment attachments into case documents and files the case cannot hold
+ * @param {Array} attachments - Appointment attachments
+ * @param {ObjectId} userId - User converting the appointment, for attachments without an uploader
+ * @returns {Object} { documents, skipped } where skipped lists the names of files to upload again
+ */
+const attachmentsToDocuments = (attachments = [], userId) => {
+  const documents = [];
+  const skipped = [];
+
+  attachments.forEach(attachment => {
+    const usable = attachment.url && attachment.publicId &&
+      DOCUMENT_TYPES.includes(attachment.type) &&
+      attachment.size > 0 && attachment.size <= MAX_DOCUMENT_SIZE;
+
+    if (!usable) {
+      skipped.push(attachment.name || attachment.url);
+      return;
+    }
+
+    documents.push({
+      name: attachment.name,
+      originalName: attachment.name,
+      type: attachment.type,
+      size: attachment.size,
+      url: attachment.url,
+      publicId: attachment.publicId,
+      uploadedBy: attachment.uploadedBy || userId,
+      description: 'Attached to the consultation'
+    });
+  });
+
+  return { documents, skipped };
+};
+
+/**
+ * Build the case for a completed consultation
+ * @param {Object} appointment - Completed appointment
+ * @param {Object} overrides - title, description, category and priority chosen when converting
+ * @param {ObjectId} userId - User converting the appointment
+ * @returns {Object} { caseData, skippedAttachments }
+ */
+const buildCaseFromAppointment = (appointment, overrides = {}, userId) => {
+  const { documents, skipped } = attachmentsToDocuments(appointment.attachments, userId);
+
+  const notes = (appointment.notes || []).map(note => ({
+    content: note.content,
+    author: note.author,
+    isPrivate: note.isPrivate
+  }));
+  if (appointment.outcome) {
+    notes.push({ content: `Consultation outcome: ${appointment.outcome}`, author: appointment.advocateId });
+  }
+
+  const caseData = {
+    title: (overrides.title || appointment.title || '').trim(),
+    description: (overrides.description || appointment.description || appointment.outcome || '').trim(),
+    category: overrides.category || appointment.practiceArea,
+    priority: overrides.priority || appointment.priority || 'medium',
+    clientId: appointment.clientId,
+    assignedTo: appointment.advocateId,
+    notes,
+    documents,
+    timeline: [
+      {
+        event: 'consultation_booked',
+        description: `Consultation "${appointment.title}" booked`,
+        user: appointment.bookedBy,
+        metadata: { appointmentId: appointment._id },
+        createdAt: appointment.bookedAt || appointment.createdAt
+      },
+      {
+        event: 'consultation_completed',
+        description: `Consultation "${appointment.title}" held`,
+        user: appointment.advocateId,
+        metadata: { appointmentId: appointment._id },
+        createdAt: appointment.completedAt || appointment.endDateTime
+      }
+    ]
+  };
+  copyIntakeToCase(appointment, caseData);
+
+  return { caseData, skippedAttachments: skipped };
+};
+
+module.exports = {
+  attachmentsToDocuments,
+  buildCaseFromAppointment
+};
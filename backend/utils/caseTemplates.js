@@ -0,0 +1,85 @@
+// Case template expansion for LegalPro v1.0.1
+const { calculateDueDate } = require('./courtCalendar');
+
+/**
+ * Due date for an offset counted from the day the case is opened.
+ * Calendar offsets that land on a weekend or public holiday roll forward to the next court day.
+ * @param {Date} startDate - Case opening date
+ * @param {Object} dueIn - { length, unit }
+ * @returns {Date} Due date
+ */
+const resolveRelativeDueDate = (startDate, dueIn) =>
+  calculateDueDate(startDate, {
+    length: dueIn.length,
+    unit: dueIn.unit || 'calendar_days'
+  }).dueDate;
+
+/**
+ * Case fields and tasks a template contributes to a new case
+ * Tasks come back as Task data without caseId or assignee; the caller fills those in.
+ * @param {Object} template - CaseTemplate document
+ * @param {Object} options - { startDate (defaults to now), userId }
+ * @returns {Object} { priority, description, documentChecklist, deadlines, notes, tasks }
+ */
+const expandTemplate = (template, { startDate = new Date(), userId = null } = {}) => {
+  const byDueDate = (a, b) => a.dueDate - b.dueDate;
+
+  const deadlines = template.deadlines.map(deadline => ({
+    title: deadline.title,
+    type: deadline.type || 'other',
+    dueDate: resolveRelativeDueDate(startDate, deadline.dueIn),
+    notes: deadline.notes,
+    createdBy: userId
+  })).sort(byDueDate);
+
+  const tasks = template.tasks.map(task => ({
+    title: task.title,
+    description: task.description,
+    priority: task.priority || 'medium',
+    dueDate: resolveRelativeDueDate(startDate, task.dueIn),
+    createdBy: userId,
+    templateId: template._id
+  })).sort(byDueDate);
+
+  return {
+    priority: template.defaultPriority,
+    description: template.description,
+    documentChecklist: template.documentChecklist.map(item => ({
+      name: item.name,
+      description: item.description,
+      required: item.required !== false,
+      status: 'pending'
+    })),
+    deadlines,
+    notes: template.notes.map(note => ({
+      content: note.content,
+      isPrivate: note.isPrivate !== false,
+      author: userId
+    })),
+    tasks
+  };
+};
+
+/**
+ * One-line summary of what a template added, for the case timeline
+ * @param {Object} expansion - Result of expandTemplate
+ * @returns {String} e.g. "3 checklist documents, 2 tasks, 2 deadlines, 1 note"
+ */
+const describeExpansion = (expansion) => {
+  const parts = [
+    [expansion.documentChecklist.length, 'checklist document'],
+    [expansion.tasks.length, 'task'],
+    [expansion.deadlines.length, 'deadline'],
+    [expansion.notes.length, 'note']
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+
+  return parts.length ? parts.join(', ') : 'no items';
+};
+
+module.exports = {
+  resolveRelativeDueDate,
+  expandTemplate,
+  describeExpansion
+};
@@ -0,0 +1,151 @@
+// Case workflow engine for LegalPro v1.0.1
+const { STAFF_ROLES, TRANSITION_FIELDS, getWorkflow } = require('../config/caseWorkflows');
+
+/**
+ * Resolve the current workflow stage of a case
+ * Cases created before workflows existed only carry a lifecycle status,
+ * which is always a valid stage key in every workflow.
+ * @param {Object} caseItem - Case document or plain object
+ * @returns {String} Stage key
+ */
+const resolveStage = (caseItem) => {
+  const workflow = getWorkflow(caseItem.category);
+  if (caseItem.stage && workflow.stages[caseItem.stage]) {
+    return caseItem.stage;
+  }
+  return caseItem.status || workflow.initialStage;
+};
+
+/**
+ * Get the lifecycle status a stage maps to
+ * @param {String} category - Case category
+ * @param {String} stage - Stage key
+ * @returns {String|null} Lifecycle status or null if the stage is unknown
+ */
+const getStageStatus = (category, stage) => {
+  const stageDef = getWorkflow(category).stages[stage];
+  return stageDef ? stageDef.status : null;
+};
+
+const describeFields = (fields = []) => fields.map(name => ({
+  name,
+  label: TRANSITION_FIELDS[name] || name
+}));
+
+const isRoleAllowed = (transition, role) => {
+  // Transitions triggered by the system itself (no role) skip role guards
+  if (!role) return true;
+  return (transition.roles || STAFF_ROLES).includes(role);
+};
+
+/**
+ * Get the transitions available from a stage
+ * @param {String} category - Case category
+ * @param {String} fromStage - Current stage key
+ * @param {String} role - Role of the acting user (omit for system transitions)
+ * @returns {Array} Allowed transitions with target stage, label and required fields
+ */
+const getAllowedTransitions = (category, fromStage, role = null) => {
+  const workflow = getWorkflow(category);
+
+  return workflow.transitions
+    .filter(transition => transition.from === fromStage && isRoleAllowed(transition, role))
+    .map(transition => ({
+      to: transition.to,
+      label: workflow.stages[transition.to].label,
+      status: workflow.stages[transition.to].status,
+      requiredFields: describeFields(transition.requiredFields)
+    }));
+};
+
+/**
+ * Validate a stage transition against the category workflow
+ * @param {String} category - Case category
+ * @param {String} fromStage - Current stage key
+ * @param {String} toStage - Requested stage key
+ * @param {Object} options - { role, fields } acting role and submitted transition fields
+ * @returns {Object} Validation result with isValid, errors and an error code
+ */
+const validateTransition = (category, fromStage, toStage, { role = null, fields = {} } = {}) => {
+  const workflow = getWorkflow(category);
+
+  if (!toStage || !workflow.stages[toStage]) {
+    return {
+      isValid: false,
+      code: 'UNKNOWN_STAGE',
+      errors: [`"${toStage}" is not a valid stage for ${category} cases`]
+    };
+  }
+
+  if (fromStage === toStage) {
+    return {
+      isValid: false,
+      code: 'SAME_STAGE',
+      errors: [`Case is already in stage "${workflow.stages[toStage].label}"`]
+    };
+  }
+
+  const transition = workflow.transitions.find(t => t.from === fromStage && t.to === toStage);
+  if (!transition) {
+    const fromLabel = workflow.stages[fromStage]?.label || fromStage;
+    return {
+      isValid: false,
+      code: 'TRANSITION_NOT_ALLOWED',
+      errors: [`Cannot move a case from "${fromLabel}" to "${workflow.stages[toStage].label}"`]
+    };
+  }
+
+  if (!isRoleAllowed(transition, role)) {
+    return {
+      isValid: false,
+      code: 'ROLE_NOT_ALLOWED',
+      errors: [`User role ${role} is not allowed to move this case to "${workflow.stages[toStage].label}"`]
+    };
+  }
+
+  const missingFields = (transition.requiredFields || []).filter(name => {
+    const value = fields[name];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+
+  if (missingFields.length > 0) {
+    return {
+      isValid: false,
+      code: 'MISSING_FIELDS',
+      missingFields: describeFields(missingFields),
+      errors: missingFields.map(name => `${TRANSITION_FIELDS[name] || name} is required for this transition`)
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    transition
+  };
+};
+
+/**
+ * Build the workflow state returned to clients alongside a case
+ * @param {Object} caseItem - Case document or plain object
+ * @param {String} role - Role of the requesting user
+ * @returns {Object} Workflow name, current stage and allowed next transitions
+ */
+const getWorkflowState = (caseItem, role) => {
+  const workflow = getWorkflow(caseItem.category);
+  const stage = resolveStage(caseItem);
+
+  return {
+    name: workflow.name,
+    stage,
+    stageLabel: workflow.stages[stage]?.label || stage,
+    allowedTransitions: role === 'client' ? [] : getAllowedTransitions(caseItem.category, stage, role)
+  };
+};
+
+module.exports = {
+  resolveStage,
+  getStageStatus,
+  getAllowedTransitions,
+  validateTransition,
+  getWorkflowState
+};
@@ -0,0 +1,308 @@
+// Conflict-of-interest check utilities for LegalPro v1.0.1
+const Case = require('../models/Case');
+const User = require('../models/User');
+const { normalizeName, normalizePhone, normalizeEmail, buildConflictKeys } = require('./conflictKeys');
+
+// Minimum name similarity (0-1) treated as a match
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.CONFLICT_NAME_THRESHOLD) || 0.85;
+
+/**
+ * Severity of a match, by the role of the person being checked and where the match was found.
+ * A missing entry means the match is not a conflict (e.g. the same adversary in two matters).
+ */
+const SEVERITY = {
+  client: { opposing_party: 'conflict', related_party: 'potential' },
+  opposing: { client: 'conflict', related_party: 'potential' },
+  related: { client: 'potential', opposing_party: 'potential' }
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const stringSimilarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * Fuzzy similarity between two names (0-1), tolerant of word order, titles,
+ * spelling slips and an omitted middle name
+ * @param {String} a - First name
+ * @param {String} b - Second name
+ * @returns {Number} Similarity score
+ */
+const nameSimilarity = (a, b) => {
+  const tokensA = normalizeName(a);
+  const tokensB = normalizeName(b);
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const tokenTotal = shorter.reduce((sum, token) => {
+    return sum + Math.max(...longer.map(other => stringSimilarity(token, other)));
+  }, 0);
+
+  // A single shared word ("John") is not enough to match a longer name
+  const tokenScore = tokenTotal / (shorter.length >= 2 ? shorter.length : longer.length);
+  const wholeScore = stringSimilarity(tokensA.join(' '), tokensB.join(' '));
+
+  return Math.max(tokenScore, wholeScore);
+};
+
+/**
+ * Compare a candidate against an existing client or party
+ * @param {Object} candidate - { name, email, phone }
+ * @param {Object} existing - { name, email, phone }
+ * @returns {Object|null} { matchedOn, nameScore } or null if nothing matched
+ */
+const compareParties = (candidate, existing) => {
+  const matchedOn = [];
+
+  const email = normalizeEmail(candidate.email);
+  if (email && email === normalizeEmail(existing.email)) {
+    matchedOn.push('email');
+  }
+
+  const phone = normalizePhone(candidate.phone);
+  if (phone && phone === normalizePhone(existing.phone)) {
+    matchedOn.push('phone');
+  }
+
+  const nameScore = nameSimilarity(candidate.name, existing.name);
+  if (nameScore >= NAME_MATCH_THRESHOLD) {
+    matchedOn.push('name');
+  }
+
+  return matchedOn.length ? { matchedOn, nameScore: Math.round(nameScore * 100) / 100 } : null;
+};
+
+const summarizeCase = (caseItem) => ({
+  _id: caseItem._id,
+  caseNumber: caseItem.caseNumber,
+  title: caseItem.title,
+  status: caseItem.status
+});
+
+/**
+ * Search existing clients and case parties for conflicts of interest
+ * @param {Array} candidates - [{ name, email, phone, role }] where role is client, opposing or related
+ * @param {Object} options - { excludeCaseId, excludeClientId } to skip the matter or client being checked
+ * @returns {Object} { hits, summary: { conflicts, potential } }
+ */
+const findConflicts = async (candidates, { excludeCaseId = null, excludeClientId = null } = {}) => {
+  const toCheck = candidates.filter(candidate => candidate && (candidate.name || candidate.email || candidate.phone));
+  if (toCheck.length === 0) {
+    return { hits: [], summary: { conflicts: 0, potential: 0 } };
+  }
+
+  // Narrow to clients and cases sharing a name prefix, email or phone key, then
+  // fuzzy match only those. Records saved before conflict keys existed have none
+  // and are always compared until backfilled (scripts/backfillConflictKeys.js).
+  const keys = buildConflictKeys(toCheck);
+  const keyFilter = (field) => ({ $or: [{ [field]: { $in: keys } }, { [field]: null }] });
+  const caseFields = 'caseNumber title status clientId opposingParties relatedParties';
+
+  // Closed and archived matters still count: duties to former clients survive the matter
+  const [clients, partyCases] = await Promise.all([
+    User.find({ role: 'client', ...keyFilter('conflictKeys') }).select('firstName lastName email phone').lean(),
+    Case.find(keyFilter('partyConflictKeys')).select(caseFields).lean()
+  ]);
+  const clientCases = clients.length
+    ? await Case.find({ clientId: { $in: clients.map(client => client._id) } }).select(caseFields).lean()
+    : [];
+
+  const casesByClient = new Map();
+  clientCases.forEach(caseItem => {
+    if (excludeCaseId && caseItem._id.toString() === excludeCaseId.toString()) return;
+    const key = caseItem.clientId?.toString();
+    if (!casesByClient.has(key)) casesByClient.set(key, []);
+    casesByClient.get(key).push(summarizeCase(caseItem));
+  });
+
+  // Everyone the check can match against, tagged with where they come from
+  const records = [
+    ...clients
+      .filter(client => !excludeClientId || client._id.toString() !== excludeClientId.toString())
+      .map(client => ({
+        source: 'client',
+        party: { _id: client._id, name: `${client.firstName} ${client.lastName}`, email: client.email, phone: client.phone },
+        cases: casesByClient.get(client._id.toString()) || []
+      })),
+    ...partyCases
+      .filter(caseItem => !excludeCaseId || caseItem._id.toString() !== excludeCaseId.toString())
+      .flatMap(caseItem => [
+        ...(caseItem.opposingParties || []).map(party => ({ source: 'opposing_party', party, cases: [summarizeCase(caseItem)] })),
+        ...(caseItem.relatedParties || []).map(party => ({ source: 'related_party', party, cases: [summarizeCase(caseItem)] }))
+      ])
+  ];
+
+  const hits = [];
+  toCheck.forEach(candidate => {
+    const severities = SEVERITY[candidate.role] || {};
+
+    records.forEach(record => {
+      const severity = severities[record.source];
+      if (!severity) return;
+
+      const match = compareParties(candidate, record.party);
+      if (!match) return;
+
+      hits.push({
+        severity,
+        candidate: { name: candidate.name, role: candidate.role },
+        source: record.source,
+        matched: {
+          name: record.party.name,
+          email: record.party.email,
+          phone: record.party.phone,
+          relationship: record.party.relationship
+        },
+        matchedOn: match.matchedOn,
+        nameScore: match.nameScore,
+        cases: record.cases
+      });
+    });
+  });
+
+  hits.sort((a, b) => {
+    if (a.severity !== b.severity) return a.severity === 'conflict' ? -1 : 1;
+    return b.matchedOn.length - a.matchedOn.length || b.nameScore - a.nameScore;
+  });
+
+  return {
+    hits,
+    summary: {
+      conflicts: hits.filter(hit => hit.severity === 'conflict').length,
+      potential: hits.filter(hit => hit.severity === 'potential').length
+    }
+  };
+};
+
+/**
+ * Store conflict search keys on clients and cases saved before the keys existed
+ * @returns {Object} { users, cases } counts updated
+ */
+const backfillConflictKeys = async () => {
+  let users = 0;
+  const userCursor = User.find({ conflictKeys: null }).select('firstName lastName email phone').lean().cursor();
+  for await (const user of userCursor) {
+    await User.updateOne({ _id: user._id }, { $set: { conflictKeys: User.conflictKeysFor(user) } });
+    users++;
+  }
+
+  let cases = 0;
+  const caseItems = Case.find({ partyConflictKeys: null }).select('opposingParties relatedParties').lean().cursor();
+  for await (const caseItem of caseItems) {
+    await Case.updateOne({ _id: caseItem._id }, { $set: { partyConflictKeys: Case.partyConflictKeysFor(caseItem) } });
+    cases++;
+  }
+
+  return { users, cases };
+};
+
+/**
+ * Keep only the known party fields from request input
+ * @param {Array} parties - Raw party list
+ * @returns {Array} Parties with a name
+ */
+const sanitizeParties = (parties) => {
+  if (!Array.isArray(parties)) return [];
+  return parties
+    .filter(party => party && typeof party.name === 'string' && party.name.trim())
+    .map(({ name, email, phone, relationship }) => ({
+      name: name.trim(),
+      email: email ? String(email).trim().toLowerCase() : undefined,
+      phone: phone ? String(phone).trim() : undefined,
+      relationship: relationship ? String(relationship).trim() : undefined
+    }));
+};
+
+/**
+ * Build conflict check candidates for a matter
+ * @param {Object} client - Client user or { name, email, phone } (optional)
+ * @param {Array} opposingParties - Opposing parties
+ * @param {Array} relatedParties - Related parties
+ * @returns {Array} Candidates for findConflicts
+ */
+const buildCandidates = (client, opposingParties = [], relatedParties = []) => [
+  ...(client ? [{
+    name: client.name || `${client.firstName || ''} ${client.lastName || ''}`.trim(),
+    email: client.email,
+    phone: client.phone,
+    role: 'client'
+  }] : []),
+  ...opposingParties.map(party => ({ ...party, role: 'opposing' })),
+  ...relatedParties.map(party => ({ ...party, role: 'related' }))
+];
+
+/**
+ * Decide whether a request with conflict hits may proceed.
+ * Any hit needs an override reason; only an advocate may override a direct conflict.
+ * @param {Object} result - findConflicts result
+ * @param {Object} conflictOverride - { reason } from the request (optional)
+ * @param {Object} user - Authenticated user
+ * @returns {Object} { allowed, reason } or { allowed: false, status, message }
+ */
+const evaluateConflictOverride = (result, conflictOverride, user) => {
+  if (result.hits.length === 0) {
+    return { allowed: true, reason: null };
+  }
+
+  const reason = typeof conflictOverride?.reason === 'string' ? conflictOverride.reason.trim() : '';
+  if (!reason) {
+    return {
+      allowed: false,
+      status: 409,
+      message: 'Possible conflict of interest found. Review the matches and give a reason to proceed.'
+    };
+  }
+
+  if (result.summary.conflicts > 0 && user.role !== 'advocate') {
+    return {
+      allowed: false,
+      status: 403,
+      message: 'Only an advocate can override a direct conflict of interest'
+    };
+  }
+
+  return { allowed: true, reason };
+};
+
+/**
+ * Compact hit list for the case timeline
+ * @param {Array} hits - Conflict hits
+ * @returns {Array} Hit summaries
+ */
+const summarizeHits = (hits) => hits.map(hit => ({
+  severity: hit.severity,
+  candidate: hit.candidate.name,
+  matched: hit.matched.name,
+  source: hit.source,
+  matchedOn: hit.matchedOn,
+  caseNumbers: hit.cases.map(caseItem => caseItem.caseNumber)
+}));
+
+module.exports = {
+  NAME_MATCH_THRESHOLD,
+  normalizeName,
+  normalizePhone,
+  normalizeEmail,
+  nameSimilarity,
+  compareParties,
+  findConflicts,
+  backfillConflictKeys,
+  sanitizeParties,
+  buildCandidates,
+  evaluateConflictOverride,
+  summarizeHits
+};
@@ -0,0 +1,94 @@
+// Conflict-of-interest search keys for LegalPro v1.0.1
+// Clients and case parties store these keys in an indexed array so the conflict
+// check can narrow its search before fuzzy matching. Kept apart from
+// conflictCheck so the models can use it without a require cycle.
+
+// Words ignored when comparing names
+const NAME_NOISE_WORDS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'hon', 'adv', 'eng', 'rev',
+  'ltd', 'limited', 'plc', 'inc', 'llc', 'llp', 'co', 'company', 'the'
+]);
+
+// Leading characters of each name word used as a search key; a spelling slip
+// after these still reaches the fuzzy match
+const NAME_KEY_LENGTH = 3;
+
+/**
+ * Normalize a person or organization name into sorted tokens
+ * @param {String} name - Name to normalize
+ * @returns {Array} Name tokens
+ */
+const normalizeName = (name = '') => {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NAME_NOISE_WORDS.has(token))
+    .sort();
+};
+
+/**
+ * Normalize a phone number to its last nine digits (Kenyan subscriber number)
+ * so 0712 345 678, +254712345678 and 254712345678 compare equal
+ * @param {String} phone - Phone number
+ * @returns {String|null} Normalized number or null if too short
+ */
+const normalizePhone = (phone = '') => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(-9) : null;
+};
+
+/**
+ * Normalize an email address, dropping +tags from the local part
+ * @param {String} email - Email address
+ * @returns {String|null} Normalized email or null
+ */
+const normalizeEmail = (email = '') => {
+  const value = String(email || '').trim().toLowerCase();
+  if (!value.includes('@')) return null;
+  const [local, domain] = value.split('@');
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+/**
+ * Search keys for a list of people: name word prefixes, normalized email and phone
+ * @param {Array} parties - [{ name, email, phone }]
+ * @returns {Array} Unique keys, e.g. ['n:jan', 'e:jane@example.com', 'p:712345678']
+ */
+const buildConflictKeys = (parties = []) => {
+  const keys = new Set();
+  parties.forEach(party => {
+    if (!party) return;
+    normalizeName(party.name).forEach(token => keys.add(`n:${token.slice(0, NAME_KEY_LENGTH)}`));
+
+    const email = normalizeEmail(party.email);
+    if (email) keys.add(`e:${email}`);
+
+    const phone = normalizePhone(party.phone);
+    if (phone) keys.add(`p:${phone}`);
+  });
+  return [...keys];
+};
+
+/**
+ * Whether a query update changes any of the given fields, directly or through $set, $push or $pull
+ * @param {Object} update - Mongoose query update
+ * @param {Array} fields - Top-level field names
+ * @returns {Boolean} True if the update touches one of them
+ */
+const updateTouches = (update = {}, fields) => {
+  const paths = [update, update?.$set, update?.$push, update?.$pull]
+    .flatMap(part => Object.keys(part || {}));
+  return paths.some(path => fields.includes(path.split('.')[0]));
+};
+
+module.exports = {
+  NAME_KEY_LENGTH,
+  normalizeName,
+  normalizePhone,
+  normalizeEmail,
+  buildConflictKeys,
+  updateTouches
+};
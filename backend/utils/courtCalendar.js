@@ -0,0 +1,233 @@
+// Court calendar utilities for LegalPro v1.0.1
+// Dates are handled as calendar days in the firm's timezone and represented
+// as Date objects at UTC midnight so that day arithmetic is DST and offset safe.
+const { holidayConfig } = require('../config/publicHolidays');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the YYYY-MM-DD calendar date of a moment in the firm's timezone
+ * @param {Date|String} value - Date, timestamp or YYYY-MM-DD string
+ * @returns {String} Calendar date key
+ */
+const toDateKey = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error('Invalid date');
+  }
+  // en-CA formats as YYYY-MM-DD
+  return date.toLocaleDateString('en-CA', { timeZone: holidayConfig.timezone });
+};
+
+/**
+ * Convert a calendar date (any accepted input) to a UTC-midnight Date
+ * @param {Date|String} value - Date, timestamp or YYYY-MM-DD string
+ * @returns {Date} Calendar day as UTC midnight
+ */
+const toCalendarDay = (value) => new Date(`${toDateKey(value)}T00:00:00.000Z`);
+
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+/**
+ * Compute Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {Number} year - Calendar year
+ * @returns {Date} Easter Sunday as UTC midnight
+ */
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Get public holidays for a year
+ * @param {Number} year - Calendar year
+ * @param {Array} extraHolidays - Additional { date: 'YYYY-MM-DD', name } entries (e.g. firm closures)
+ * @returns {Map} Map of YYYY-MM-DD to holiday name
+ */
+const getHolidays = (year, extraHolidays = []) => {
+  const holidays = new Map();
+  const add = (day, name) => {
+    const key = toDateKey(day);
+    if (!holidays.has(key)) holidays.set(key, name);
+  };
+
+  holidayConfig.fixedHolidays.forEach(({ month, day, name }) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    add(date, name);
+
+    if (holidayConfig.observeSundayOnMonday && date.getUTCDay() === 0) {
+      add(addDays(date, 1), `${name} (observed)`);
+    }
+  });
+
+  const easter = getEasterSunday(year);
+  holidayConfig.easterHolidays.forEach(({ offset, name }) => add(addDays(easter, offset), name));
+
+  [...holidayConfig.configuredHolidays, ...extraHolidays]
+    .filter(holiday => holiday.date && toDateKey(holiday.date).startsWith(String(year)))
+    .forEach(holiday => add(holiday.date, holiday.name || 'Public Holiday'));
+
+  return holidays;
+};
+
+const isWeekend = (value) => {
+  const day = toCalendarDay(value).getUTCDay();
+  return day === 0 || day === 6;
+};
+
+/**
+ * Get the holiday name for a date, if any
+ * @param {Date|String} value - Date to check
+ * @param {Array} extraHolidays - Additional holidays
+ * @returns {String|null} Holiday name or null
+ */
+const getHolidayName = (value, extraHolidays = []) => {
+  const key = toDateKey(value);
+  return getHolidays(Number(key.slice(0, 4)), extraHolidays).get(key) || null;
+};
+
+/**
+ * Check whether courts sit on a date (not a weekend or public holiday)
+ * @param {Date|String} value - Date to check
+ * @param {Array} extraHolidays - Additional holidays
+ * @returns {Boolean} True if it is a court day
+ */
+const isCourtDay = (value, extraHolidays = []) => {
+  return !isWeekend(value) && !getHolidayName(value, extraHolidays);
+};
+
+const describeClosure = (day, extraHolidays) => ({
+  date: toDateKey(day),
+  reason: getHolidayName(day, extraHolidays) || 'Weekend'
+});
+
+/**
+ * Move forward to the next court day if the date is not one
+ * @param {Date|String} value - Date to roll
+ * @param {Array} extraHolidays - Additional holidays
+ * @returns {Object} { date, skipped } where skipped lists the closed days passed over
+ */
+const rollForwardToCourtDay = (value, extraHolidays = []) => {
+  let day = toCalendarDay(value);
+  const skipped = [];
+  while (!isCourtDay(day, extraHolidays)) {
+    skipped.push(describeClosure(day, extraHolidays));
+    day = addDays(day, 1);
+  }
+  return { date: day, skipped };
+};
+
+/**
+ * Add court days, skipping weekends and public holidays. The trigger day itself is not counted.
+ * @param {Date|String} value - Start date
+ * @param {Number} days - Number of court days
+ * @param {Array} extraHolidays - Additional holidays
+ * @returns {Object} { date, skipped }
+ */
+const addCourtDays = (value, days, extraHolidays = []) => {
+  let day = toCalendarDay(value);
+  let counted = 0;
+  const skipped = [];
+
+  while (counted < days) {
+    day = addDays(day, 1);
+    if (isCourtDay(day, extraHolidays)) {
+      counted++;
+    } else {
+      skipped.push(describeClosure(day, extraHolidays));
+    }
+  }
+
+  return { date: day, skipped };
+};
+
+// Add whole months, clamping to the last day of shorter months (31 Jan + 1 month = 28/29 Feb)
+const addMonths = (value, months) => {
+  const day = toCalendarDay(value);
+  const target = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day.getUTCDate(), lastDay));
+  return target;
+};
+
+/**
+ * Calculate a due date from a trigger date and a period
+ * Calendar periods that end on a weekend or holiday are extended to the next court day.
+ * @param {Date|String} triggerDate - Date of the trigger event
+ * @param {Object} period - { length, unit } where unit is calendar_days, court_days, months or years
+ * @param {Object} options - { extraHolidays, extendToCourtDay }
+ * @returns {Object} { dueDate, unadjustedDate, skipped }
+ */
+const calculateDueDate = (triggerDate, { length, unit }, { extraHolidays = [], extendToCourtDay = true } = {}) => {
+  if (!Number.isInteger(length) || length < 0) {
+    throw new Error('Period length must be a non-negative whole number');
+  }
+
+  if (unit === 'court_days') {
+    const { date, skipped } = addCourtDays(triggerDate, length, extraHolidays);
+    return { dueDate: date, unadjustedDate: date, skipped };
+  }
+
+  let unadjusted;
+  switch (unit) {
+    case 'calendar_days':
+      unadjusted = addDays(toCalendarDay(triggerDate), length);
+      break;
+    case 'months':
+      unadjusted = addMonths(triggerDate, length);
+      break;
+    case 'years':
+      unadjusted = addMonths(triggerDate, length * 12);
+      break;
+    default:
+      throw new Error(`Unsupported period unit: ${unit}`);
+  }
+
+  if (!extendToCourtDay) {
+    return { dueDate: unadjusted, unadjustedDate: unadjusted, skipped: [] };
+  }
+
+  const { date, skipped } = rollForwardToCourtDay(unadjusted, extraHolidays);
+  return { dueDate: date, unadjustedDate: unadjusted, skipped };
+};
+
+/**
+ * Whole calendar days from one date to another (negative when `to` is earlier)
+ * @param {Date|String} from - Start date
+ * @param {Date|String} to - End date
+ * @returns {Number} Number of days
+ */
+const daysBetween = (from, to) => {
+  return Math.round((toCalendarDay(to) - toCalendarDay(from)) / DAY_MS);
+};
+
+module.exports = {
+  toDateKey,
+  toCalendarDay,
+  getEasterSunday,
+  getHolidays,
+  getHolidayName,
+  isWeekend,
+  isCourtDay,
+  rollForwardToCourtDay,
+  addCourtDays,
+  addMonths,
+  calculateDueDate,
+  daysBetween
+};
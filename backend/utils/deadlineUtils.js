@@ -0,0 +1,208 @@
+// Case deadline utility functions for LegalPro v1.0.1
+const Case = require('../models/Case');
+const User = require('../models/User');
+const { sendNotification } = require('./notificationService');
+const jobScheduler = require('./jobScheduler');
+const { calculateDueDate, toCalendarDay, toDateKey, daysBetween } = require('./courtCalendar');
+const {
+  TRIGGER_EVENTS,
+  DEADLINE_TYPES,
+  ESCALATION_DAYS,
+  REMINDER_SWEEP_MINUTES,
+  reminderSchedules,
+  findRule
+} = require('../config/deadlineRules');
+
+const DEADLINE_REMINDER_SWEEP_JOB = 'deadlineReminderSweep';
+
+/**
+ * Build deadline data for a case, either from a rule and trigger date or from a manual due date
+ * @param {String} category - Case category
+ * @param {Object} input - { ruleKey, triggerDate, title, dueDate, type, notes }
+ * @param {Object} options - { extraHolidays }
+ * @returns {Object} { deadline, calculation } where calculation explains skipped days
+ */
+const buildDeadline = (category, input, { extraHolidays = [] } = {}) => {
+  const { ruleKey, triggerDate, title, dueDate, type, notes } = input;
+
+  if (ruleKey) {
+    const rule = findRule(category, ruleKey);
+    if (!rule) {
+      throw new Error(`Unknown deadline rule "${ruleKey}" for ${category} cases`);
+    }
+    if (!triggerDate || isNaN(new Date(triggerDate).getTime())) {
+      throw new Error(`A valid trigger date (${TRIGGER_EVENTS[rule.trigger]}) is required`);
+    }
+
+    const calculation = calculateDueDate(triggerDate, rule.period, { extraHolidays });
+
+    return {
+      deadline: {
+        title: title || rule.label,
+        type: rule.type,
+        ruleKey: rule.key,
+        trigger: { event: rule.trigger, date: toCalendarDay(triggerDate) },
+        period: rule.period,
+        dueDate: calculation.dueDate,
+        notes
+      },
+      calculation: {
+        trigger: TRIGGER_EVENTS[rule.trigger],
+        period: rule.period,
+        unadjustedDate: toDateKey(calculation.unadjustedDate),
+        dueDate: toDateKey(calculation.dueDate),
+        skipped: calculation.skipped
+      }
+    };
+  }
+
+  if (!title || !dueDate || isNaN(new Date(dueDate).getTime())) {
+    throw new Error('Either a rule and trigger date, or a title and due date, are required');
+  }
+  if (type && !DEADLINE_TYPES.includes(type)) {
+    throw new Error(`Deadline type must be one of: ${DEADLINE_TYPES.join(', ')}`);
+  }
+
+  return {
+    deadline: {
+      title,
+      type: type || 'other',
+      dueDate: toCalendarDay(dueDate),
+      notes
+    },
+    calculation: null
+  };
+};
+
+/**
+ * Work out which reminder, if any, is due for a deadline
+ * @param {Object} deadline - Deadline subdocument
+ * @param {Date} now - Current time
+ * @returns {Object|null} { level, daysLeft, escalate } or null if nothing is due
+ */
+const getDueReminder = (deadline, now = new Date()) => {
+  if (deadline.status !== 'open') return null;
+
+  const daysLeft = daysBetween(now, deadline.dueDate);
+  const sent = deadline.reminders || [];
+
+  if (daysLeft < 0) {
+    // Overdue deadlines are chased once per day until completed or waived
+    const today = toDateKey(now);
+    const sentToday = sent.some(r => r.level === 'overdue' && toDateKey(r.sentAt) === today);
+    return sentToday ? null : { level: 'overdue', daysLeft, escalate: true };
+  }
+
+  const schedule = reminderSchedules[deadline.type] || reminderSchedules.default;
+  // The tightest threshold already reached, e.g. 10 days left with [14, 7, ...] is the 14-day reminder
+  const reached = schedule.filter(threshold => daysLeft <= threshold);
+  if (reached.length === 0) return null;
+
+  const threshold = Math.min(...reached);
+  const level = String(threshold);
+  if (sent.some(r => r.level === level)) return null;
+
+  return { level, daysLeft, escalate: daysLeft <= ESCALATION_DAYS };
+};
+
+/**
+ * Send escalating reminders for open case deadlines
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Object} Results of reminder sending
+ */
+const sendDeadlineReminders = async (now = new Date()) => {
+  try {
+    const maxThreshold = Math.max(...Object.values(reminderSchedules).flat());
+    const horizon = new Date(toCalendarDay(now).getTime() + (maxThreshold + 1) * 24 * 60 * 60 * 1000);
+
+    const cases = await Case.find({
+      isArchived: false,
+      deadlines: { $elemMatch: { status: 'open', dueDate: { $lte: horizon } } }
+    }).populate('assignedTo', 'firstName lastName email phone isActive');
+
+    let advocates = null;
+    const results = [];
+
+    for (const caseItem of cases) {
+      let changed = false;
+
+      for (const deadline of caseItem.deadlines) {
+        const due = getDueReminder(deadline, now);
+        if (!due) continue;
+
+        const recipients = [];
+        if (caseItem.assignedTo && caseItem.assignedTo.isActive !== false) {
+          recipients.push(caseItem.assignedTo);
+        }
+        if (due.escalate) {
+          advocates = advocates || await User.find({ role: 'advocate', isActive: true })
+            .select('firstName lastName email phone');
+          advocates
+            .filter(advocate => !recipients.some(r => r._id.toString() === advocate._id.toString()))
+            .forEach(advocate => recipients.push(advocate));
+        }
+
+        const reminderData = {
+          caseNumber: caseItem.caseNumber,
+          caseTitle: caseItem.title,
+          deadlineTitle: deadline.title,
+          deadlineType: deadline.type,
+          dueDate: toDateKey(deadline.dueDate),
+          daysLeft: due.daysLeft,
+          urgency: due.level === 'overdue'
+            ? `OVERDUE by ${Math.abs(due.daysLeft)} day(s)`
+            : due.daysLeft === 0 ? 'Due TODAY' : `Due in ${due.daysLeft} day(s)`
+        };
+
+        for (const recipient of recipients) {
+          try {
+            const result = await sendNotification(recipient, 'deadlineReminder', reminderData);
+            results.push({ caseId: caseItem._id, deadlineId: deadline._id, userId: recipient._id, level: due.level, result });
+          } catch (error) {
+            results.push({ caseId: caseItem._id, deadlineId: deadline._id, userId: recipient._id, level: due.level, error: error.message });
+          }
+        }
+
+        deadline.reminders.push({
+          level: due.level,
+          sentAt: now,
+          recipients: recipients.map(r => r._id),
+          escalated: due.escalate
+        });
+        changed = true;
+      }
+
+      if (changed) {
+        await caseItem.save();
+      }
+    }
+
+    return {
+      success: true,
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error sending deadline reminders:', error);
+    throw error;
+  }
+};
+
+// Send due deadline reminders every few minutes
+const deadlineReminderSweep = jobScheduler.scheduleRecurring(
+  DEADLINE_REMINDER_SWEEP_JOB,
+  REMINDER_SWEEP_MINUTES,
+  async () => {
+    const { processed } = await sendDeadlineReminders();
+    return { processed };
+  }
+);
+
+module.exports = {
+  DEADLINE_REMINDER_SWEEP_JOB,
+  buildDeadline,
+  getDueReminder,
+  sendDeadlineReminders,
+  scheduleDeadlineReminderSweep: deadlineReminderSweep.schedule,
+  runDeadlineReminderSweep: deadlineReminderSweep.run
+};
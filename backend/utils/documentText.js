@@ -0,0 +1,447 @@
+// Document text extraction and full-text search for LegalPro v1.0.1
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const DocumentText = require('../models/DocumentText');
+
+// Keep index entries well inside the 16MB BSON document limit
+const MAX_INDEXED_LENGTH = 500000;
+
+const TEXT_KINDS = {
+  pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  txt: { mimeTypes: ['text/plain'], extensions: ['.txt'] },
+  rtf: { mimeTypes: ['application/rtf', 'text/rtf'], extensions: ['.rtf'] }
+};
+
+// RTF groups that hold formatting tables and metadata rather than body text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'listtable', 'listoverridetable',
+  'rsidtbl', 'xmlnstbl', 'generator', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  tab: '\t',
+  cell: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+/**
+ * Which extractor handles a file, by MIME type with the extension as a fallback
+ * @param {String} mimeType - MIME type reported at upload
+ * @param {String} fileName - Original file name
+ * @returns {String|null} 'pdf', 'docx', 'txt', 'rtf' or null if unsupported
+ */
+const getTextKind = (mimeType, fileName = '') => {
+  const extension = path.extname(fileName).toLowerCase();
+  const byMime = Object.keys(TEXT_KINDS).find(kind => TEXT_KINDS[kind].mimeTypes.includes(mimeType));
+  if (byMime) return byMime;
+  return Object.keys(TEXT_KINDS).find(kind => TEXT_KINDS[kind].extensions.includes(extension)) || null;
+};
+
+/**
+ * Plain text from an RTF document, dropping control words and non-body groups
+ * @param {String} rtf - Raw RTF source
+ * @returns {String} Text content
+ */
+const stripRtf = (rtf) => {
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let output = '';
+  let i = 0;
+
+  const emit = (text) => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!skipping) output += text;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push({ skipping, unicodeSkip });
+      i++;
+      continue;
+    }
+    if (char === '}') {
+      const state = stack.pop();
+      if (state) {
+        ({ skipping, unicodeSkip } = state);
+      }
+      pendingSkip = 0;
+      i++;
+      continue;
+    }
+    if (char === '\r' || char === '\n') {
+      i++;
+      continue;
+    }
+    if (char !== '\\') {
+      emit(char);
+      i++;
+      continue;
+    }
+
+    const next = rtf[i + 1];
+    if (next === undefined) break;
+
+    if (next === '\\' || next === '{' || next === '}') {
+      emit(next);
+      i += 2;
+    } else if (next === "'") {
+      emit(String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16) || 32));
+      i += 4;
+    } else if (next === '*') {
+      // Ignorable destination: readers that don't know it must skip the group
+      skipping = true;
+      i += 2;
+    } else if (next === '~') {
+      emit(' ');
+      i += 2;
+    } else if (next === '_') {
+      emit('-');
+      i += 2;
+    } else if (next === '\r' || next === '\n') {
+      if (!skipping) output += '\n';
+      i += 2;
+    } else {
+      const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(rtf.slice(i + 1, i + 46));
+      if (!match) {
+        i += 2;
+        continue;
+      }
+      const [token, word, param] = match;
+      i += 1 + token.length;
+
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        skipping = true;
+      } else if (skipping) {
+        continue;
+      } else if (word === 'uc') {
+        unicodeSkip = Number(param) || 0;
+      } else if (word === 'u') {
+        const code = Number(param);
+        output += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = unicodeSkip;
+      } else if (RTF_SYMBOLS[word]) {
+        output += RTF_SYMBOLS[word];
+      }
+    }
+  }
+
+  return output;
+};
+
+// Control characters other than tab, newline and carriage return
+const isStrayControlChar = (code) =>
+  (code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) || code === 0x7F;
+
+const blankControlChars = (text) =>
+  Array.from(text, char => isStrayControlChar(char.charCodeAt(0)) ? ' ' : char).join('');
+
+/**
+ * Tidy extracted text for indexing and cap its length
+ * @param {String} text - Raw extracted text
+ * @returns {Object} { text, truncated }
+ */
+const normalizeText = (text) => {
+  const cleaned = blankControlChars((text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n'))
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (cleaned.length <= MAX_INDEXED_LENGTH) {
+    return { text: cleaned, truncated: false };
+  }
+  return { text: cleaned.slice(0, MAX_INDEXED_LENGTH), truncated: true };
+};
+
+// Text layer of every page; scanned PDFs without OCR come back empty
+const extractPdfText = async (filePath) => {
+  const data = new Uint8Array(await fs.promises.readFile(filePath));
+  const pdf = await pdfjs.getDocument({ data, isEvalSupported: false, useSystemFonts: true }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+      page.cleanup();
+    }
+    return pages.join('\n\n');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Extract searchable text from an uploaded file
+ * @param {String} filePath - Local (temporary) file path
+ * @param {Object} file - { mimeType, originalName }
+ * @returns {Object|null} { kind, text, truncated }, or null for unsupported types
+ */
+const extractDocumentText = async (filePath, { mimeType, originalName } = {}) => {
+  const kind = getTextKind(mimeType, originalName);
+  if (!kind) return null;
+
+  let raw;
+  switch (kind) {
+    case 'pdf':
+      raw = await extractPdfText(filePath);
+      break;
+    case 'docx': {
+      const result = await mammoth.extractRawText({ path: filePath });
+      raw = result.value;
+      break;
+    }
+    case 'txt':
+      raw = await fs.promises.readFile(filePath, 'utf8');
+      break;
+    case 'rtf':
+      raw = stripRtf(await fs.promises.readFile(filePath, 'latin1'));
+      break;
+    default:
+      return null;
+  }
+
+  return { kind, ...normalizeText(raw) };
+};
+
+/**
+ * Make the document's current file the one that search matches
+ * @param {Object} document - Case document subdoc (after an upload or restore)
+ */
+const setCurrentDocumentText = (document) => {
+  const isCurrent = { $eq: ['$publicId', document.publicId] };
+  return DocumentText.updateMany(
+    { documentId: document._id },
+    [{
+      $set: {
+        isCurrent,
+        // A restored file comes back under a new version number
+        version: { $cond: [isCurrent, document.version || 1, '$version'] }
+      }
+    }]
+  );
+};
+
+/**
+ * Extract and index the text of a freshly uploaded document version.
+ * Extraction problems are logged and never fail the upload.
+ * @param {Object} options - { caseId, document (case document subdoc), filePath }
+ * @returns {Object|null} Index entry, or null if nothing was indexed
+ */
+const indexDocumentText = async ({ caseId, document, filePath }) => {
+  try {
+    // Older versions stop matching even if the new file has no extractable text
+    await setCurrentDocumentText(document);
+
+    const extracted = await extractDocumentText(filePath, {
+      mimeType: document.type,
+      originalName: document.originalName
+    });
+    if (!extracted) return null;
+
+    return await DocumentText.findOneAndUpdate(
+      { publicId: document.publicId },
+      {
+        caseId,
+        documentId: document._id,
+        publicId: document.publicId,
+        version: document.version || 1,
+        isCurrent: true,
+        name: document.name,
+        originalName: document.originalName,
+        type: document.type,
+        text: extracted.text,
+        truncated: extracted.truncated,
+        extractedAt: new Date()
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error(`Document text extraction failed for ${document.originalName}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Remove every indexed version of a document
+ * @param {String} documentId - Case document ID
+ */
+const removeDocumentText = (documentId) => DocumentText.deleteMany({ documentId });
+
+/**
+ * Words and quoted phrases to highlight for a search query; excluded (-word) terms are dropped
+ * @param {String} query - Search query
+ * @returns {Array} Lower-case terms, longest first
+ */
+const parseSearchTerms = (query) => {
+  const terms = new Set();
+  const pattern = /(-?)"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    if (match[2] !== undefined) {
+      if (!match[1] && match[2].trim()) terms.add(match[2].trim().toLowerCase());
+      continue;
+    }
+    const word = match[3];
+    if (word.startsWith('-')) continue;
+    const cleaned = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+    if (cleaned.length >= 2) terms.add(cleaned);
+  }
+
+  return [...terms].sort((a, b) => b.length - a.length);
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Terms match at the start of a word and run to its end, so "contract" highlights "contracts"
+const buildTermPattern = (terms) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${terms.map(term => escapeRegExp(term).replace(/\s+/g, '\\s+')).join('|')})[\\p{L}\\p{N}]*`,
+  'giu'
+);
+
+const findHighlights = (text, pattern) => {
+  const highlights = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    highlights.push({ start: match.index, length: match[0].length });
+  }
+  return highlights;
+};
+
+/**
+ * Short excerpts around the search terms with the matched ranges marked
+ * @param {String} text - Document text
+ * @param {Array} terms - Terms from parseSearchTerms
+ * @param {Object} options - { maxSnippets, radius } radius is characters of context each side
+ * @returns {Array} [{ text, highlights: [{ start, length }] }]
+ */
+const buildSnippets = (text, terms, { maxSnippets = 3, radius = 80 } = {}) => {
+  if (!text) return [];
+
+  const pattern = terms.length ? buildTermPattern(terms) : null;
+  const matches = pattern ? findHighlights(text, pattern) : [];
+
+  // Nothing to centre on (e.g. the title matched); show the opening lines
+  if (!matches.length) {
+    const end = text.length > radius * 2 ? text.lastIndexOf(' ', radius * 2) : text.length;
+    const snippet = text.slice(0, end > 0 ? end : radius * 2).replace(/\s+/g, ' ').trim();
+    return snippet ? [{ text: end < text.length ? `${snippet}…` : snippet, highlights: [] }] : [];
+  }
+
+  const windows = [];
+  for (const match of matches) {
+    const start = Math.max(0, match.start - radius);
+    const end = Math.min(text.length, match.start + match.length + radius);
+    const previous = windows[windows.length - 1];
+    if (previous && start <= previous.end) {
+      previous.end = Math.max(previous.end, end);
+    } else if (windows.length < maxSnippets) {
+      windows.push({ start, end });
+    } else {
+      break;
+    }
+  }
+
+  return windows.map(({ start, end }) => {
+    // Don't cut words in half at either edge
+    let from = start;
+    if (from > 0) {
+      const space = text.indexOf(' ', from);
+      from = space !== -1 && space < start + radius / 2 ? space + 1 : from;
+    }
+    let to = end;
+    if (to < text.length) {
+      const space = text.lastIndexOf(' ', to);
+      to = space > end - radius / 2 ? space : to;
+    }
+
+    const body = text.slice(from, to).replace(/\s+/g, ' ').trim();
+    const prefix = from > 0 ? '…' : '';
+    const snippet = `${prefix}${body}${to < text.length ? '…' : ''}`;
+    return { text: snippet, highlights: findHighlights(snippet, pattern) };
+  });
+};
+
+/**
+ * Full-text search over the current version of each indexed document
+ * @param {String} query - Search query (MongoDB $text syntax: words, "phrases", -exclusions)
+ * @param {Array} caseIds - Cases the caller may see
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { total, results }
+ */
+const searchDocumentText = async (query, caseIds, { page = 1, limit = 20 } = {}) => {
+  const filter = {
+    $text: { $search: query },
+    caseId: { $in: caseIds },
+    isCurrent: true
+  };
+
+  const [total, entries] = await Promise.all([
+    DocumentText.countDocuments(filter),
+    DocumentText.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ]);
+
+  const terms = parseSearchTerms(query);
+  const results = entries.map(entry => ({
+    caseId: entry.caseId,
+    documentId: entry.documentId,
+    name: entry.name,
+    originalName: entry.originalName,
+    type: entry.type,
+    version: entry.version,
+    score: Math.round(entry.score * 1000) / 1000,
+    nameHighlights: terms.length ? findHighlights(entry.name || '', buildTermPattern(terms)) : [],
+    snippets: buildSnippets(entry.text, terms)
+  }));
+
+  return { total, results };
+};
+
+module.exports = {
+  MAX_INDEXED_LENGTH,
+  getTextKind,
+  stripRtf,
+  normalizeText,
+  extractDocumentText,
+  indexDocumentText,
+  setCurrentDocumentText,
+  removeDocumentText,
+  parseSearchTerms,
+  buildSnippets,
+  searchDocumentText
+};
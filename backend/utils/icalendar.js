@@ -0,0 +1,249 @@
+// iCalendar (RFC 5545) formatting for LegalPro v1.0.1
+// Builds .ics text for single appointments and subscribable calendar feeds.
+// Timed events are written in local time with a TZID and a matching VTIMEZONE;
+// all-day events (court dates without a time, deadlines) use VALUE=DATE.
+const { holidayConfig } = require('../config/publicHolidays');
+
+const PRODUCT_ID = '-//LegalPro//LegalPro v1.0.1//EN';
+const UID_DOMAIN = 'legalpro.co.ke';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// Minutes the timezone is ahead of UTC at a given moment
+const getOffsetMinutes = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// +0300, -0500
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// 20270301T070000Z
+const formatUtcDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20270301T100000 (wall-clock time in the timezone)
+const formatLocalDateTime = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(new Date(date), timezone);
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+// 20270301 from YYYY-MM-DD
+const formatDateValue = (dateKey) => dateKey.replace(/-/g, '');
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {String} value - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ * @param {String} line - Unfolded content line
+ * @returns {String} Folded line (CRLF + space between segments)
+ */
+const foldLine = (line) => {
+  const segments = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = segments.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      segments.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  segments.push(current);
+
+  return segments.join('\r\n ');
+};
+
+// Moments in [from, to) where the timezone's UTC offset changes, found day by day then to the minute
+const findOffsetTransitions = (timezone, from, to) => {
+  const transitions = [];
+  let previous = getOffsetMinutes(from, timezone);
+
+  for (let time = from.getTime() + DAY_MS; time <= to.getTime(); time += DAY_MS) {
+    const offset = getOffsetMinutes(new Date(time), timezone);
+    if (offset === previous) continue;
+
+    let low = time - DAY_MS;
+    let high = time;
+    while (high - low > 60 * 1000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (getOffsetMinutes(new Date(middle), timezone) === previous) low = middle;
+      else high = middle;
+    }
+
+    transitions.push({ at: new Date(high), from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build the VTIMEZONE component for a timezone over the span the events cover
+ * Zones without daylight saving (such as Africa/Nairobi) get a single STANDARD rule.
+ * @param {String} timezone - IANA timezone
+ * @param {Date} from - Earliest event
+ * @param {Date} to - Latest event
+ * @returns {Array} Content lines
+ */
+const buildTimezone = (timezone, from = new Date(), to = from) => {
+  const start = new Date(Date.UTC(new Date(from).getUTCFullYear(), 0, 1));
+  const end = new Date(Date.UTC(new Date(to).getUTCFullYear() + 1, 0, 1));
+  const transitions = findOffsetTransitions(timezone, start, end);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getOffsetMinutes(start, timezone));
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      'END:STANDARD'
+    );
+  }
+
+  for (const transition of transitions) {
+    const component = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the local time just before the change, in the old offset
+    const localStart = new Date(transition.at.getTime() + transition.from * 60 * 1000);
+    lines.push(
+      `BEGIN:${component}`,
+      `DTSTART:${formatUtcDateTime(localStart).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatOffset(transition.from)}`,
+      `TZOFFSETTO:${formatOffset(transition.to)}`,
+      `END:${component}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Build a VEVENT component
+ * @param {Object} event - { uid, start, end, allDay, startDate, endDate, summary, description,
+ *   location, url, status, categories, lastModified }; all-day events use startDate/endDate (YYYY-MM-DD)
+ * @param {String} timezone - IANA timezone for timed events
+ * @param {Date} stamp - DTSTAMP value
+ * @returns {Array} Content lines
+ */
+const buildEvent = (event, timezone, stamp = new Date()) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(event.startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDateValue(event.endDate || event.startDate)}`);
+  } else {
+    lines.push(`DTSTART;TZID=${timezone}:${formatLocalDateTime(event.start, timezone)}`);
+    lines.push(`DTEND;TZID=${timezone}:${formatLocalDateTime(event.end, timezone)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtcDateTime(event.lastModified)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} options - { name, events, timezone, method, refreshInterval }
+ * @returns {String} .ics text with CRLF line endings
+ */
+const buildCalendar = ({ name, events = [], timezone = holidayConfig.timezone, method = 'PUBLISH', refreshInterval }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  lines.push(`X-WR-TIMEZONE:${timezone}`);
+  if (refreshInterval) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  const timed = events.filter(event => !event.allDay);
+  if (timed.length > 0) {
+    const starts = timed.map(event => new Date(event.start).getTime());
+    lines.push(...buildTimezone(timezone, new Date(Math.min(...starts)), new Date(Math.max(...starts))));
+  }
+
+  const stamp = new Date();
+  for (const event of events) {
+    lines.push(...buildEvent(event, timezone, stamp));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  UID_DOMAIN,
+  escapeText,
+  foldLine,
+  formatOffset,
+  formatUtcDateTime,
+  formatLocalDateTime,
+  buildTimezone,
+  buildEvent,
+  buildCalendar
+};
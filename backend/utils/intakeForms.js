@@ -0,0 +1,157 @@
+// Appointment intake questionnaire helpers for LegalPro v1.0.1
+// Admins define a form per appointment type, optionally narrowed to a practice
+// area. Clients answer it when booking; the answers are copied onto the
+// appointment (with the labels as asked) and later onto the case it becomes.
+const IntakeForm = require('../models/IntakeForm');
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_FILES = 10;
+
+/**
+ * Find the form to ask for a booking: the practice area's own form if it has one,
+ * otherwise the appointment type's general form
+ * @param {String} appointmentType - Appointment type
+ * @param {String} practiceArea - Practice area (optional)
+ * @returns {Promise<Object|null>} Active intake form, or null when none applies
+ */
+const findIntakeForm = async (appointmentType, practiceArea) => {
+  const forms = await IntakeForm.find({
+    appointmentType,
+    isActive: true,
+    practiceArea: practiceArea ? { $in: [practiceArea, null] } : null
+  });
+
+  return forms.find(form => practiceArea && form.practiceArea === practiceArea)
+    || forms.find(form => !form.practiceArea)
+    || null;
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Check one answer against its field; returns { value } to store or { error }
+const checkAnswer = (field, value) => {
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+      if (typeof value !== 'string') return { error: `${field.label} must be text` };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `${field.label} must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { value: value.trim() };
+
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${field.label} must be a number` };
+      return { value: number };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value !== 'string' || Number.isNaN(date.getTime())) return { error: `${field.label} must be a valid date` };
+      return { value: date };
+    }
+
+    case 'select':
+      if (!field.options.includes(value)) return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      return { value };
+
+    case 'multiselect':
+      if (!Array.isArray(value) || value.some(choice => !field.options.includes(choice))) {
+        return { error: `${field.label} must only contain: ${field.options.join(', ')}` };
+      }
+      return { value: [...new Set(value)] };
+
+    case 'checkbox':
+      if (typeof value !== 'boolean') return { error: `${field.label} must be true or false` };
+      if (field.required && !value) return { error: `${field.label} must be ticked` };
+      return { value };
+
+    case 'file': {
+      // Files are uploaded through /api/files first; the answer lists what was uploaded
+      const files = Array.isArray(value) ? value : [value];
+      if (files.length > MAX_FILES) return { error: `${field.label} accepts at most ${MAX_FILES} files` };
+      const invalid = files.some(file =>
+        !file || typeof file.name !== 'string' || typeof file.url !== 'string' || !/^https?:\/\//.test(file.url)
+      );
+      if (invalid) return { error: `${field.label} must list uploaded files with a name and URL` };
+      return {
+        value: files.map(file => ({
+          name: file.name.slice(0, 255),
+          url: file.url,
+          publicId: typeof file.publicId === 'string' ? file.publicId : undefined,
+          size: Number.isFinite(file.size) ? file.size : undefined
+        }))
+      };
+    }
+
+    default:
+      return { error: `${field.label} has an unknown type` };
+  }
+};
+
+/**
+ * Check a client's answers against a form
+ * @param {Object} form - Intake form
+ * @param {Object} answers - Answers keyed by field key
+ * @param {Date} now - Submission time
+ * @returns {Object} { intake } ready to store on the appointment, or { error, errors }
+ */
+const validateIntakeAnswers = (form, answers = {}, now = new Date()) => {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return { error: 'Intake answers must be an object keyed by question', errors: [] };
+  }
+
+  const errors = [];
+  const stored = [];
+  for (const field of form.fields) {
+    const value = answers[field.key];
+    if (isBlank(value)) {
+      if (field.required) errors.push(`${field.label} is required`);
+      continue;
+    }
+
+    const result = checkAnswer(field, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      stored.push({ key: field.key, label: field.label, type: field.type, value: result.value });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { error: 'Please complete the intake form', errors };
+  }
+
+  return {
+    intake: {
+      form: form._id,
+      formName: form.name,
+      answers: stored,
+      submittedAt: now
+    }
+  };
+};
+
+/**
+ * Copy an appointment's intake answers onto the case it was linked to
+ * A case keeps the first intake it receives.
+ * @param {Object} appointment - Appointment with intake answers
+ * @param {Object} caseDoc - Case document (saved by the caller)
+ * @returns {Boolean} Whether the case was changed
+ */
+const copyIntakeToCase = (appointment, caseDoc) => {
+  if (!appointment.intake?.answers?.length || caseDoc.intake?.appointmentId) return false;
+
+  caseDoc.intake = {
+    appointmentId: appointment._id,
+    formName: appointment.intake.formName,
+    answers: appointment.intake.answers.map(({ key, label, type, value }) => ({ key, label, type, value })),
+    submittedAt: appointment.intake.submittedAt
+  };
+  return true;
+};
+
+module.exports = {
+  findIntakeForm,
+  validateIntakeAnswers,
+  copyIntakeToCase
+};
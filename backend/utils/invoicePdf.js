@@ -0,0 +1,163 @@
+// Invoice PDF rendering for LegalPro v1.0.1
+const PDFDocument = require('pdfkit');
+const { firmDetails, lineItemTypes } = require('../config/billingConfig');
+
+const STATUS_LABELS = {
+  draft: 'DRAFT',
+  issued: 'UNPAID',
+  partially_paid: 'PARTIALLY PAID',
+  paid: 'PAID',
+  void: 'VOID'
+};
+
+const formatMoney = (amount, currency) => {
+  return `${currency} ${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (date) => {
+  return date ? new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+};
+
+const formatQuantity = (item) => {
+  if (item.unit === 'hours') return `${item.quantity} h`;
+  return String(item.quantity);
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice with clientId and caseId populated
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: invoice.invoiceNumber || 'Draft Invoice' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const client = invoice.clientId || {};
+  const caseItem = invoice.caseId || {};
+  const currency = invoice.currency;
+  const left = 50;
+  const right = doc.page.width - 50;
+
+  // Firm header
+  doc.font('Helvetica-Bold').fontSize(18).text(firmDetails.name, left, 50);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  [firmDetails.address, firmDetails.email, firmDetails.phone, firmDetails.kraPin && `KRA PIN: ${firmDetails.kraPin}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+    .text('TAX INVOICE', left, 50, { align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(invoice.invoiceNumber || 'Draft', { align: 'right' })
+    .text(STATUS_LABELS[invoice.status] || invoice.status, { align: 'right' });
+
+  // Bill to and invoice details
+  doc.moveDown(3);
+  const detailsTop = doc.y;
+  doc.font('Helvetica-Bold').text('Bill To', left, detailsTop);
+  doc.font('Helvetica')
+    .text(`${client.firstName || ''} ${client.lastName || ''}`.trim() || '-')
+    .text(client.email || '')
+    .text(client.phone || '');
+
+  const detailsX = 350;
+  doc.font('Helvetica-Bold').text('Matter', detailsX, detailsTop);
+  doc.font('Helvetica')
+    .text(`${caseItem.caseNumber || ''} ${caseItem.title || ''}`.trim() || '-', detailsX, doc.y, { width: right - detailsX })
+    .text(`Issue date: ${formatDate(invoice.issueDate)}`, detailsX)
+    .text(`Due date: ${formatDate(invoice.dueDate)}`, detailsX);
+
+  // Line items table
+  const columns = [
+    { label: 'Date', x: left, width: 65 },
+    { label: 'Description', x: left + 65, width: 225 },
+    { label: 'Qty', x: left + 290, width: 45, align: 'right' },
+    { label: 'Rate', x: left + 335, width: 75, align: 'right' },
+    { label: 'Amount', x: left + 410, width: right - left - 410, align: 'right' }
+  ];
+
+  const drawRow = (values, font = 'Helvetica') => {
+    const top = doc.y;
+    doc.font(font).fontSize(9);
+    const heights = values.map((value, index) => doc.heightOfString(value, { width: columns[index].width }));
+    values.forEach((value, index) => {
+      doc.text(value, columns[index].x, top, { width: columns[index].width, align: columns[index].align || 'left' });
+    });
+    doc.y = top + Math.max(...heights) + 6;
+  };
+
+  doc.moveDown(2);
+  doc.y = Math.max(doc.y, detailsTop + 80);
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  doc.moveTo(left, doc.y - 3).lineTo(right, doc.y - 3).stroke();
+
+  invoice.lineItems.forEach(item => {
+    if (doc.y > doc.page.height - 150) {
+      doc.addPage();
+    }
+    const exempt = item.taxable ? '' : ' (VAT exempt)';
+    drawRow([
+      formatDate(item.date),
+      `${lineItemTypes[item.type]?.label || item.type}: ${item.description}${exempt}`,
+      formatQuantity(item),
+      Number(item.unitPrice).toLocaleString('en-US', { minimumFractionDigits: 2 }),
+      Number(item.amount).toLocaleString('en-US', { minimumFractionDigits: 2 })
+    ]);
+  });
+
+  // Totals
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  const totalRow = (label, amount, bold = false) => {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, 300, top, { width: 130, align: 'right' });
+    doc.text(formatMoney(amount, currency), 430, top, { width: right - 430, align: 'right' });
+    doc.moveDown(0.3);
+  };
+
+  totalRow('Subtotal', invoice.subtotal);
+  if (invoice.discountAmount > 0) {
+    const label = invoice.discount?.type === 'percent' ? `Discount (${invoice.discount.value}%)` : 'Discount';
+    totalRow(label, -invoice.discountAmount);
+  }
+  totalRow(`VAT (${Math.round(invoice.taxRate * 10000) / 100}%)`, invoice.taxAmount);
+  totalRow('Total', invoice.total, true);
+  if (invoice.amountPaid > 0) {
+    totalRow('Paid', -invoice.amountPaid);
+  }
+  totalRow('Balance Due', invoice.balance, true);
+
+  // Payment history and notes
+  if (invoice.payments.length > 0) {
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(10).text('Payments Received', left);
+    doc.font('Helvetica').fontSize(9);
+    invoice.payments.forEach(payment => {
+      const method = payment.method === 'trust_transfer' ? 'Transfer from client account' : payment.method || '';
+      doc.text(`${formatDate(payment.allocatedAt)}  ${method} ${payment.reference || ''}  ${formatMoney(payment.amount, currency)}`);
+    });
+  }
+
+  if (invoice.notes) {
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(10).text('Notes', left);
+    doc.font('Helvetica').fontSize(9).text(invoice.notes);
+  }
+
+  if (invoice.status === 'void') {
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#b91c1c')
+      .text(`This invoice was voided${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`, left);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderInvoicePdf
+};
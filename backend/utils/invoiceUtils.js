@@ -0,0 +1,289 @@
+// Invoice building and payment allocation utilities for LegalPro v1.0.1
+const Invoice = require('../models/Invoice');
+const TimeEntry = require('../models/TimeEntry');
+const Appointment = require('../models/Appointment');
+const { activityCodes, billingConfig } = require('../config/billingConfig');
+
+const OPEN_INVOICE_STATUSES = ['issued', 'partially_paid'];
+// Another payment landing between the read and the update changes the balance; try again
+const MAX_ALLOCATION_ATTEMPTS = 3;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const buildPeriodQuery = (field, periodStart, periodEnd) => {
+  if (!periodStart && !periodEnd) return {};
+  const range = {};
+  if (periodStart) range.$gte = new Date(periodStart);
+  if (periodEnd) range.$lte = new Date(periodEnd);
+  return { [field]: range };
+};
+
+/**
+ * Turn a billable time entry into an invoice line
+ * @param {Object} entry - Time entry (advocateId optionally populated)
+ * @returns {Object} Line item
+ */
+const timeEntryToLineItem = (entry) => {
+  const activity = activityCodes[entry.activityCode]?.label || entry.activityCode;
+  const advocate = entry.advocateId?.firstName ? ` (${entry.advocateId.firstName} ${entry.advocateId.lastName})` : '';
+  return {
+    type: 'time',
+    description: `${activity}${entry.description ? `: ${entry.description}` : ''}${advocate}`.slice(0, 500),
+    date: entry.workDate,
+    quantity: toHours(entry.billedMinutes),
+    unit: 'hours',
+    unitPrice: entry.hourlyRate,
+    timeEntryId: entry._id
+  };
+};
+
+/**
+ * Turn a completed billable appointment into an invoice line.
+ * A fixed totalCost is billed as one session; otherwise the duration at the hourly rate.
+ * @param {Object} appointment - Appointment
+ * @returns {Object} Line item
+ */
+const appointmentToLineItem = (appointment) => {
+  const description = `${appointment.title} (${formatDay(appointment.startDateTime)})`.slice(0, 500);
+
+  if (appointment.totalCost) {
+    return {
+      type: 'appointment',
+      description,
+      date: appointment.startDateTime,
+      quantity: 1,
+      unit: 'session',
+      unitPrice: appointment.totalCost,
+      appointmentId: appointment._id
+    };
+  }
+
+  return {
+    type: 'appointment',
+    description,
+    date: appointment.startDateTime,
+    quantity: toHours(appointment.duration),
+    unit: 'hours',
+    unitPrice: appointment.hourlyRate || billingConfig.defaultHourlyRate,
+    appointmentId: appointment._id
+  };
+};
+
+/**
+ * Collect unbilled time entries and completed billable appointments for a case
+ * @param {String} caseId - Case ID
+ * @param {Object} options - { periodStart, periodEnd, includeTimeEntries, includeAppointments }
+ * @returns {Array} Line items
+ */
+const buildCaseLineItems = async (caseId, {
+  periodStart = null,
+  periodEnd = null,
+  includeTimeEntries = true,
+  includeAppointments = true
+} = {}) => {
+  const [entries, appointments] = await Promise.all([
+    includeTimeEntries
+      ? TimeEntry.find({
+        caseId,
+        billable: true,
+        isRunning: false,
+        invoiceId: null,
+        ...buildPeriodQuery('workDate', periodStart, periodEnd)
+      }).populate('advocateId', 'firstName lastName').sort({ workDate: 1 })
+      : [],
+    includeAppointments
+      ? Appointment.find({
+        caseId,
+        billable: true,
+        status: 'completed',
+        invoiceId: null,
+        ...buildPeriodQuery('startDateTime', periodStart, periodEnd)
+      }).sort({ startDateTime: 1 })
+      : []
+  ]);
+
+  return [
+    ...entries.map(timeEntryToLineItem),
+    ...appointments.map(appointmentToLineItem)
+  ];
+};
+
+/**
+ * Mark the invoice's source time entries and appointments as billed
+ * @param {Object} invoice - Invoice
+ * @returns {Boolean} False if another invoice claimed some of them first
+ */
+const claimInvoiceSources = async (invoice) => {
+  const timeEntryIds = invoice.lineItems.filter(item => item.timeEntryId).map(item => item.timeEntryId);
+  const appointmentIds = invoice.lineItems.filter(item => item.appointmentId).map(item => item.appointmentId);
+
+  const [entries, appointments] = await Promise.all([
+    timeEntryIds.length
+      ? TimeEntry.updateMany({ _id: { $in: timeEntryIds }, invoiceId: null }, { invoiceId: invoice._id })
+      : { modifiedCount: 0 },
+    appointmentIds.length
+      ? Appointment.updateMany({ _id: { $in: appointmentIds }, invoiceId: null }, { invoiceId: invoice._id })
+      : { modifiedCount: 0 }
+  ]);
+
+  return entries.modifiedCount === timeEntryIds.length && appointments.modifiedCount === appointmentIds.length;
+};
+
+/**
+ * Return the invoice's time entries and appointments to the unbilled pool
+ * @param {Object} invoice - Invoice
+ * @param {Array} lineItems - Only release these lines (optional, defaults to all)
+ */
+const releaseInvoiceSources = async (invoice, lineItems = null) => {
+  const entryFilter = { invoiceId: invoice._id };
+  const appointmentFilter = { invoiceId: invoice._id };
+
+  if (lineItems) {
+    entryFilter._id = { $in: lineItems.filter(item => item.timeEntryId).map(item => item.timeEntryId) };
+    appointmentFilter._id = { $in: lineItems.filter(item => item.appointmentId).map(item => item.appointmentId) };
+  }
+
+  await Promise.all([
+    TimeEntry.updateMany(entryFilter, { $unset: { invoiceId: 1 } }),
+    Appointment.updateMany(appointmentFilter, { $unset: { invoiceId: 1 } })
+  ]);
+};
+
+/**
+ * Round the running totals and move the status to match, as the invoice
+ * pre-save hook would, in one atomic update
+ * @param {String} invoiceId - Invoice whose allocations just changed
+ * @returns {Object|null} Updated invoice
+ */
+const syncInvoicePaymentStatus = (invoiceId) => {
+  const settled = { $and: [{ $gt: ['$total', 0] }, { $lte: ['$balance', 0] }] };
+  return Invoice.findOneAndUpdate(
+    { _id: invoiceId, status: { $in: [...OPEN_INVOICE_STATUSES, 'paid'] } },
+    [
+      { $set: { amountPaid: { $round: ['$amountPaid', 2] }, balance: { $round: ['$balance', 2] } } },
+      {
+        $set: {
+          status: { $cond: [settled, 'paid', { $cond: [{ $gt: ['$amountPaid', 0] }, 'partially_paid', 'issued'] }] },
+          paidAt: { $cond: [settled, { $ifNull: ['$paidAt', '$$NOW'] }, '$$REMOVE'] }
+        }
+      }
+    ],
+    { new: true }
+  );
+};
+
+/**
+ * Allocate a completed payment to the invoice it was made against.
+ * Safe to call more than once for the same payment, including concurrently:
+ * the allocation is only pushed if the payment isn't on the invoice yet.
+ * @param {Object} payment - Payment with invoiceId
+ * @returns {Object|null} Updated invoice, or null if nothing was allocated
+ */
+const allocatePaymentToInvoice = async (payment) => {
+  if (!payment.invoiceId || payment.status !== 'completed') {
+    return null;
+  }
+
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const invoice = await Invoice.findById(payment.invoiceId);
+    if (!invoice) {
+      console.error(`Invoice ${payment.invoiceId} not found for payment ${payment._id}`);
+      return null;
+    }
+
+    if (invoice.payments.some(allocation => allocation.paymentId?.equals(payment._id))) {
+      return invoice;
+    }
+
+    // Overpayments and payments against closed invoices stay unallocated for staff to resolve
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status) || invoice.balance <= 0) {
+      console.warn(`Payment ${payment._id} not allocated: invoice ${invoice.invoiceNumber} is ${invoice.status}`);
+      return null;
+    }
+
+    const amount = roundMoney(Math.min(payment.amount, invoice.balance));
+    const allocated = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        status: { $in: OPEN_INVOICE_STATUSES },
+        balance: { $gte: amount },
+        'payments.paymentId': { $ne: payment._id }
+      },
+      {
+        $push: {
+          payments: {
+            paymentId: payment._id,
+            amount,
+            method: payment.method,
+            reference: payment.mpesaDetails?.mpesaReceiptNumber || payment.transactionId,
+            allocatedAt: new Date()
+          }
+        },
+        $inc: { amountPaid: amount, balance: -amount }
+      },
+      { new: true }
+    );
+    if (allocated) {
+      return syncInvoicePaymentStatus(allocated._id);
+    }
+  }
+
+  console.warn(`Payment ${payment._id} not allocated: invoice ${payment.invoiceId} kept changing`);
+  return null;
+};
+
+/**
+ * Take refunded money back off the invoice a payment was allocated to, so the
+ * allocation never exceeds what the client has left paid. Any unallocated part
+ * of the payment counts as refunded first.
+ * @param {Object} payment - Payment with the refund already added to refundAmount
+ * @returns {Object|null} Updated invoice, or null if the payment isn't allocated
+ */
+const reverseRefundedAllocation = async (payment) => {
+  if (!payment.invoiceId) {
+    return null;
+  }
+
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const invoice = await Invoice.findOne({ _id: payment.invoiceId, 'payments.paymentId': payment._id });
+    if (!invoice) {
+      return null;
+    }
+
+    const allocation = invoice.payments.find(item => item.paymentId?.equals(payment._id));
+    const kept = Math.max(roundMoney(payment.amount - (payment.refundAmount || 0)), 0);
+    const reversal = roundMoney(allocation.amount - kept);
+    if (reversal <= 0) {
+      return invoice;
+    }
+
+    const update = kept > 0
+      ? { $inc: { 'payments.$.amount': -reversal, amountPaid: -reversal, balance: reversal } }
+      : { $pull: { payments: { _id: allocation._id } }, $inc: { amountPaid: -reversal, balance: reversal } };
+    const reversed = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, payments: { $elemMatch: { _id: allocation._id, amount: allocation.amount } } },
+      update,
+      { new: true }
+    );
+    if (reversed) {
+      return syncInvoicePaymentStatus(reversed._id);
+    }
+  }
+
+  throw new Error(`Invoice ${payment.invoiceId} kept changing while reversing payment ${payment._id}`);
+};
+
+module.exports = {
+  timeEntryToLineItem,
+  appointmentToLineItem,
+  buildCaseLineItems,
+  claimInvoiceSources,
+  releaseInvoiceSources,
+  syncInvoicePaymentStatus,
+  allocatePaymentToInvoice,
+  reverseRefundedAllocation
+};
@@ -0,0 +1,201 @@
+// Persistent background job scheduler for LegalPro v1.0.1
+// Jobs live in the scheduledjobs collection, so anything queued before a
+// restart is picked up again. Each poll claims due jobs one at a time with an
+// atomic update, which keeps several server instances from running the same job.
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const DEFAULT_POLL_INTERVAL = 60 * 1000;      // 1 minute
+const DEFAULT_LOCK_TIMEOUT = 10 * 60 * 1000;  // 10 minutes
+const DEFAULT_BATCH_SIZE = 50;
+const RETRY_DELAY = 5 * 60 * 1000;            // 5 minutes, multiplied by the attempt number
+const MINUTE_MS = 60 * 1000;
+
+// Recurring runs line up on the interval so every server instance queues the same job
+const nextRunAt = (now, minutes) => {
+  const interval = minutes * MINUTE_MS;
+  return new Date((Math.floor(now.getTime() / interval) + 1) * interval);
+};
+
+class JobScheduler {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_SCHEDULER_POLL_MS, 10) || DEFAULT_POLL_INTERVAL;
+    this.lockTimeout = options.lockTimeout || DEFAULT_LOCK_TIMEOUT;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Register the function that runs jobs of a type: handler(payload, job)
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Register a job that runs every few minutes
+   * Each run queues the next one, even when the handler throws, so a sweep
+   * keeps going once its first run is queued.
+   * @param {String} type - Job type
+   * @param {Number} minutes - Minutes between runs
+   * @param {Function} handler - Does the work; its result is stored on the job
+   * @returns {Object} { schedule(now), run() } to queue the next run or run one now
+   */
+  scheduleRecurring(type, minutes, handler) {
+    const schedule = (now = new Date()) => {
+      const runAt = nextRunAt(now, minutes);
+      return this.schedule(type, runAt, {}, { dedupeKey: `${type}:${runAt.toISOString()}` });
+    };
+    const run = async (payload = {}, job) => {
+      try {
+        return await handler(payload, job);
+      } finally {
+        await schedule();
+      }
+    };
+
+    this.register(type, run);
+    return { schedule, run };
+  }
+
+  /**
+   * Queue a job
+   * With a dedupeKey the same work is only queued once: a pending or
+   * cancelled job with that key is moved to the new time instead, and a job
+   * that has already run is left alone.
+   * @param {String} type - Registered job type
+   * @param {Date} runAt - When the job becomes due
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { dedupeKey, maxAttempts }
+   * @returns {Object} ScheduledJob document
+   */
+  async schedule(type, runAt, payload = {}, { dedupeKey, maxAttempts } = {}) {
+    if (!dedupeKey) {
+      return ScheduledJob.create({ type, runAt, payload, maxAttempts });
+    }
+
+    const requeued = await ScheduledJob.findOneAndUpdate(
+      { dedupeKey, status: { $in: ['pending', 'cancelled'] } },
+      {
+        $set: { type, runAt, payload, status: 'pending', attempts: 0 },
+        $unset: { lastError: 1 }
+      },
+      { new: true }
+    );
+    if (requeued) return requeued;
+
+    try {
+      return await ScheduledJob.create({ type, runAt, payload, dedupeKey, maxAttempts });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return ScheduledJob.findOne({ dedupeKey });
+    }
+  }
+
+  // Cancel pending jobs matching a filter; returns how many were cancelled
+  async cancel(filter) {
+    const result = await ScheduledJob.updateMany(
+      { ...filter, status: 'pending' },
+      { $set: { status: 'cancelled' } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Put jobs back in the queue if the worker running them died
+  releaseStaleLocks() {
+    return ScheduledJob.updateMany(
+      { status: 'running', lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) } },
+      { $set: { status: 'pending' }, $unset: { lockedAt: 1, lockedBy: 1 } }
+    );
+  }
+
+  claimNext() {
+    return ScheduledJob.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() } },
+      {
+        $set: { status: 'running', lockedAt: new Date(), lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Run a claimed job and record the outcome, retrying failures with a growing delay
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      job.result = await handler(job.payload, job);
+      job.status = 'completed';
+      job.completedAt = new Date();
+    } catch (error) {
+      console.error(`Job ${job.type} (${job._id}) failed:`, error.message);
+      job.lastError = error.message;
+      if (job.attempts < job.maxAttempts) {
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + job.attempts * RETRY_DELAY);
+      } else {
+        job.status = 'failed';
+      }
+    }
+
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+    return job;
+  }
+
+  // Run every due job, up to the batch size; overlapping polls are skipped
+  async runDueJobs() {
+    if (this.polling) {
+      return { processed: 0, skipped: true };
+    }
+
+    this.polling = true;
+    const summary = { processed: 0, completed: 0, failed: 0 };
+    try {
+      await this.releaseStaleLocks();
+
+      while (summary.processed < this.batchSize) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        await this.runJob(job);
+        summary.processed++;
+        if (job.status === 'completed') summary.completed++;
+        else summary.failed++;
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    return summary;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const poll = () => this.runDueJobs().catch(error => console.error('Job scheduler error:', error));
+    this.timer = setInterval(poll, this.pollInterval);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+    poll();
+
+    console.log(`Job scheduler started (polling every ${this.pollInterval / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new JobScheduler();
+module.exports.JobScheduler = JobScheduler;
+module.exports.nextRunAt = nextRunAt;
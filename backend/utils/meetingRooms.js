@@ -0,0 +1,139 @@
+// Built-in virtual meeting rooms for LegalPro v1.0.1
+// Virtual appointments booked without a pasted link get a WebRTC room (see the
+// meetingRoom field on Appointment). Media flows browser to browser; the
+// Socket.IO server only relays signalling. The advocate is the host and joins
+// straight away; the client and other participants wait until admitted.
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const { appointmentPolicy } = require('../config/appointmentPolicy');
+
+const MINUTE_MS = 60 * 1000;
+const OPEN_STATUSES = ['scheduled', 'confirmed', 'in_progress'];
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// STUN/TURN servers handed to browsers; MEETING_ICE_SERVERS is a JSON list
+const getIceServers = () => {
+  if (!process.env.MEETING_ICE_SERVERS) return DEFAULT_ICE_SERVERS;
+  try {
+    return JSON.parse(process.env.MEETING_ICE_SERVERS);
+  } catch (error) {
+    console.error('MEETING_ICE_SERVERS is not valid JSON, using the default STUN server');
+    return DEFAULT_ICE_SERVERS;
+  }
+};
+
+const getMeetingWindow = (appointment, policy = appointmentPolicy) => ({
+  opensAt: new Date(new Date(appointment.startDateTime).getTime() - policy.meetingRoomOpenMinutes * MINUTE_MS),
+  closesAt: new Date(new Date(appointment.endDateTime).getTime() + policy.meetingRoomCloseMinutes * MINUTE_MS)
+});
+
+/**
+ * The user's part in an appointment's meeting
+ * @param {Object} appointment - Appointment (client, advocate and participants may be populated)
+ * @param {Object} user - User joining
+ * @returns {String|null} 'host' for the advocate, 'guest' for the client and participants, otherwise null
+ */
+const getMeetingRole = (appointment, user) => {
+  const userId = idOf(user);
+  if (idOf(appointment.advocateId) === userId) return 'host';
+  if (idOf(appointment.clientId) === userId) return 'guest';
+  if ((appointment.participants || []).some(participant => idOf(participant.user) === userId)) return 'guest';
+  return null;
+};
+
+/**
+ * Decide whether a user may enter an appointment's meeting room now
+ * @param {Object} appointment - Appointment with a meeting room
+ * @param {Object} user - User joining
+ * @param {Date} now - Reference time
+ * @param {Object} policy - Firm policy (defaults to config/appointmentPolicy)
+ * @returns {Object} { role, state: 'open' | 'not_open' | 'closed', opensAt, closesAt } or { error, statusCode }
+ */
+const checkMeetingAccess = (appointment, user, now = new Date(), policy = appointmentPolicy) => {
+  if (!appointment || !appointment.meetingRoom?.roomId) {
+    return { error: 'Meeting room not found', statusCode: 404 };
+  }
+
+  const role = getMeetingRole(appointment, user);
+  if (!role) {
+    return { error: 'Only people invited to this appointment can join its meeting', statusCode: 403 };
+  }
+
+  const { opensAt, closesAt } = getMeetingWindow(appointment, policy);
+  let state = 'open';
+  if (!OPEN_STATUSES.includes(appointment.status) || now > closesAt) {
+    state = 'closed';
+  } else if (now < opensAt) {
+    state = 'not_open';
+  }
+
+  return { role, state, opensAt, closesAt };
+};
+
+// Start an attendance entry; returns the entry's ID so the matching leave can close it
+const recordMeetingJoin = async (appointmentId, user, now = new Date()) => {
+  const entryId = new mongoose.Types.ObjectId();
+  await Appointment.updateOne({ _id: appointmentId }, {
+    $push: {
+      attendance: {
+        _id: entryId,
+        user: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        joinedAt: now
+      }
+    }
+  });
+  return entryId;
+};
+
+const recordMeetingLeave = (appointmentId, entryId, now = new Date()) => Appointment.updateOne(
+  { _id: appointmentId },
+  { $set: { 'attendance.$[entry].leftAt': now } },
+  { arrayFilters: [{ 'entry._id': entryId, 'entry.leftAt': { $exists: false } }] }
+);
+
+/**
+ * Total each person's time in the meeting room
+ * Entries still open (e.g. after a server restart) count up to `until`.
+ * @param {Array} attendance - Appointment attendance entries
+ * @param {Date} until - End time for open entries
+ * @returns {Array} [{ user, name, sessions, firstJoinedAt, lastLeftAt, minutes }]
+ */
+const summarizeAttendance = (attendance = [], until = new Date()) => {
+  const byUser = new Map();
+  for (const entry of attendance) {
+    const userId = idOf(entry.user);
+    const leftAt = entry.leftAt || until;
+    const summary = byUser.get(userId) || {
+      user: userId,
+      name: entry.name,
+      sessions: 0,
+      firstJoinedAt: entry.joinedAt,
+      lastLeftAt: leftAt,
+      milliseconds: 0
+    };
+
+    summary.sessions += 1;
+    summary.milliseconds += Math.max(new Date(leftAt) - new Date(entry.joinedAt), 0);
+    if (new Date(entry.joinedAt) < new Date(summary.firstJoinedAt)) summary.firstJoinedAt = entry.joinedAt;
+    if (new Date(leftAt) > new Date(summary.lastLeftAt)) summary.lastLeftAt = leftAt;
+    byUser.set(userId, summary);
+  }
+
+  return [...byUser.values()].map(({ milliseconds, ...summary }) => ({
+    ...summary,
+    minutes: Math.round(milliseconds / MINUTE_MS)
+  }));
+};
+
+module.exports = {
+  getIceServers,
+  getMeetingWindow,
+  getMeetingRole,
+  checkMeetingAccess,
+  recordMeetingJoin,
+  recordMeetingLeave,
+  summarizeAttendance
+};
@@ -0,0 +1,502 @@
+// M-Pesa Paybill/Till (C2B) matching for LegalPro v1.0.1
+// Clients paying the Paybill directly type an account number, usually their
+// case number or an invoice number. Validation turns away account numbers we
+// don't recognise. A confirmation is only a claim that money arrived, so each
+// one is checked with the Transaction Status API before it becomes a payment;
+// verified receipts are matched to a case, an invoice or, failing that, the
+// client's phone number. Anything else is parked in suspense.
+const Case = require('../models/Case');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const MpesaReceipt = require('../models/MpesaReceipt');
+const TransactionLog = require('../models/TransactionLog');
+const mpesaService = require('./mpesaService');
+const jobScheduler = require('./jobScheduler');
+const { settleCompletedPayment } = require('./paymentReconciliation');
+const { ErrorResponse } = require('./errorResponse');
+const { c2bVerificationConfig } = require('../config/billingConfig');
+
+const PAYABLE_INVOICE_STATUSES = ['issued', 'partially_paid'];
+// Safaricom's result codes for an invalid account number and shortcode
+const INVALID_ACCOUNT_RESULT_CODE = 'C2B00012';
+const INVALID_SHORTCODE_RESULT_CODE = 'C2B00015';
+const C2B_VERIFICATION_SWEEP_JOB = 'mpesaC2BVerificationSweep';
+const MINUTE_MS = 60 * 1000;
+
+// Account numbers are typed by hand, so ignore case and stray spaces
+const normalizeAccountReference = (reference) =>
+  (reference || '').toString().replace(/\s+/g, '').toUpperCase();
+
+// TransTime arrives as YYYYMMDDHHmmss in Nairobi time
+const parseTransTime = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec((value || '').toString());
+  if (!match) return new Date();
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+};
+
+/**
+ * Pull the fields we use out of a C2B validation or confirmation body
+ * @param {Object} body - Request body from Safaricom
+ * @returns {Object} Normalized receipt fields
+ */
+const parseC2BPayload = (body = {}) => ({
+  transId: (body.TransID || '').toString().trim(),
+  transactionType: body.TransactionType,
+  transTime: parseTransTime(body.TransTime),
+  amount: parseFloat(body.TransAmount) || 0,
+  businessShortCode: body.BusinessShortCode?.toString(),
+  accountReference: normalizeAccountReference(body.BillRefNumber),
+  phoneNumber: body.MSISDN ? body.MSISDN.toString() : undefined,
+  payerName: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' ') || undefined
+});
+
+// Only payments into our own Paybill/Till are accepted
+const isOwnShortcode = (businessShortCode) =>
+  Boolean(businessShortCode) && businessShortCode === mpesaService.getC2BShortcode();
+
+// Ways the same number may have been saved on a user profile
+const phoneVariants = (phoneNumber) => {
+  const formatted = mpesaService.formatPhoneNumber(phoneNumber || '');
+  if (!/^254\d{9}$/.test(formatted)) return [];
+  const local = formatted.slice(3);
+  return [formatted, `+${formatted}`, `0${local}`, local];
+};
+
+/**
+ * Find what an account number refers to
+ * @param {String} reference - Account number as typed by the client
+ * @returns {Object|null} { matchedBy, clientId, caseId, invoiceId, label }
+ */
+const resolveAccountReference = async (reference) => {
+  const normalized = normalizeAccountReference(reference);
+  if (!normalized) return null;
+
+  const caseItem = await Case.findOne({ caseNumber: normalized }).select('caseNumber clientId');
+  if (caseItem) {
+    return {
+      matchedBy: 'case',
+      clientId: caseItem.clientId,
+      caseId: caseItem._id,
+      label: caseItem.caseNumber
+    };
+  }
+
+  const invoice = await Invoice.findOne({
+    invoiceNumber: normalized,
+    status: { $in: PAYABLE_INVOICE_STATUSES }
+  }).select('invoiceNumber clientId caseId');
+  if (invoice) {
+    return {
+      matchedBy: 'invoice',
+      clientId: invoice.clientId,
+      caseId: invoice.caseId,
+      invoiceId: invoice._id,
+      label: invoice.invoiceNumber
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Find the one client whose profile has this phone number
+ * @param {String} phoneNumber - MSISDN from the receipt
+ * @returns {Object|null} { matchedBy, clientId }
+ */
+const resolvePhoneNumber = async (phoneNumber) => {
+  const variants = phoneVariants(phoneNumber);
+  if (!variants.length) return null;
+
+  const clients = await User.find({ role: 'client', phone: { $in: variants } }).select('_id').limit(2);
+  // Shared numbers are ambiguous, so leave those for an admin
+  if (clients.length !== 1) return null;
+  return { matchedBy: 'phone', clientId: clients[0]._id };
+};
+
+/**
+ * Decide whether Safaricom should accept a Paybill payment
+ * @param {Object} body - C2B validation request body
+ * @returns {Object} Response body for Safaricom
+ */
+const validateC2BPayment = async (body) => {
+  const { businessShortCode, accountReference } = parseC2BPayload(body);
+  if (!isOwnShortcode(businessShortCode)) {
+    return { ResultCode: INVALID_SHORTCODE_RESULT_CODE, ResultDesc: 'Rejected' };
+  }
+
+  const target = await resolveAccountReference(accountReference);
+
+  if (!target) {
+    return { ResultCode: INVALID_ACCOUNT_RESULT_CODE, ResultDesc: 'Rejected' };
+  }
+  return { ResultCode: 0, ResultDesc: 'Accepted' };
+};
+
+// Turn a receipt into a completed payment for the matched target and settle it
+const createPaymentFromReceipt = async (receipt, target, userId = null) => {
+  const payment = await Payment.create({
+    clientId: target.clientId,
+    caseId: target.caseId,
+    invoiceId: target.invoiceId,
+    amount: receipt.amount,
+    currency: 'KES',
+    method: 'mpesa',
+    paymentType: target.paymentType || (target.caseId ? 'case_fee' : 'other'),
+    status: 'completed',
+    completedAt: new Date(),
+    description: target.label
+      ? `M-Pesa Paybill payment for ${target.label}`
+      : `M-Pesa Paybill payment (account ${receipt.accountReference || 'not given'})`,
+    createdBy: userId,
+    mpesaDetails: {
+      channel: 'c2b',
+      phoneNumber: receipt.phoneNumber,
+      mpesaReceiptNumber: receipt.transId,
+      transactionDate: receipt.transTime,
+      accountReference: receipt.accountReference,
+      transactionDesc: 'Paybill payment',
+      stkPushStatus: 'success',
+      callbackReceived: true,
+      callbackReceivedAt: receipt.createdAt || new Date(),
+      callbackPayload: receipt.rawPayload
+    }
+  });
+
+  await settleCompletedPayment(payment);
+  return payment;
+};
+
+const logStatusQuery = (receipt, { response = null, error = null, startTime }) =>
+  TransactionLog.logTransaction({
+    transactionId: receipt.transId,
+    transactionType: 'TRANSACTION_STATUS_QUERY',
+    requestData: { transactionID: receipt.transId, attempt: (receipt.verification?.attempts || 0) + 1 },
+    responseData: response || {},
+    statusCode: error ? 500 : 200,
+    duration: Date.now() - startTime,
+    success: !error,
+    errorMessage: error?.message,
+    mpesaRequestId: response?.originatorConversationID,
+    mpesaResponseCode: response?.responseCode,
+    mpesaResponseDescription: response?.responseDescription,
+    environment: mpesaService.getEnvironment(),
+    isRetry: (receipt.verification?.attempts || 0) > 0,
+    retryAttempt: receipt.verification?.attempts || 0
+  });
+
+/**
+ * Ask Daraja to confirm a receipt; the answer arrives at the status result URL
+ * A failed query is left for the verification sweep to retry.
+ * @param {Object} receipt - MpesaReceipt document being verified
+ * @returns {Object} The receipt as updated
+ */
+const requestVerification = async (receipt) => {
+  const startTime = Date.now();
+  let response = null;
+
+  try {
+    response = await mpesaService.queryTransactionStatus(receipt.transId);
+    await logStatusQuery(receipt, { response, startTime });
+  } catch (error) {
+    console.error(`Transaction status query failed for C2B receipt ${receipt.transId}:`, error.message);
+    await logStatusQuery(receipt, { error, startTime });
+  }
+
+  const update = {
+    $set: { 'verification.requestedAt': new Date() },
+    $inc: { 'verification.attempts': 1 }
+  };
+  if (response) {
+    update.$set['verification.conversationID'] = response.conversationID;
+  }
+
+  return await MpesaReceipt.findOneAndUpdate(
+    { _id: receipt._id, status: 'verifying' },
+    update,
+    { new: true }
+  ) || receipt;
+};
+
+/**
+ * Compare a Transaction Status result with the confirmation we were sent
+ * @param {Object} receipt - MpesaReceipt being verified
+ * @param {Object} parameters - Result parameters keyed by name
+ * @returns {String|null} Why the receipt can't be trusted, or null if it checks out
+ */
+const checkTransactionStatus = (receipt, parameters) => {
+  if ((parameters.ReceiptNo || '').toString() !== receipt.transId) {
+    return `Transaction status is for receipt ${parameters.ReceiptNo || 'unknown'}, not ${receipt.transId}`;
+  }
+  if (parameters.TransactionStatus !== 'Completed') {
+    return `Transaction status is ${parameters.TransactionStatus || 'unknown'}`;
+  }
+  if (parseFloat(parameters.Amount) !== receipt.amount) {
+    return `M-Pesa reports ${parameters.Amount} but the confirmation said ${receipt.amount}`;
+  }
+  return null;
+};
+
+/**
+ * Record a C2B confirmation and ask Daraja to verify it
+ * Safaricom may confirm the same transaction more than once; repeats return
+ * the receipt already stored. Nothing is paid until the status result arrives.
+ * @param {Object} body - C2B confirmation request body
+ * @returns {Object} { receipt, payment, duplicate }
+ */
+const processC2BConfirmation = async (body) => {
+  const fields = parseC2BPayload(body);
+  if (!fields.transId) {
+    throw new ErrorResponse('C2B confirmation is missing TransID', 400);
+  }
+  if (!isOwnShortcode(fields.businessShortCode)) {
+    throw new ErrorResponse(`C2B confirmation is for shortcode ${fields.businessShortCode || 'unknown'}, not ours`, 400);
+  }
+
+  const existing = await MpesaReceipt.findOne({ transId: fields.transId });
+  if (existing) {
+    return { receipt: existing, payment: null, duplicate: true };
+  }
+
+  let receipt;
+  try {
+    receipt = await MpesaReceipt.create({ ...fields, status: 'verifying', rawPayload: body });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { receipt: await MpesaReceipt.findOne({ transId: fields.transId }), payment: null, duplicate: true };
+  }
+
+  receipt = await requestVerification(receipt);
+  return { receipt, payment: null, duplicate: false };
+};
+
+/**
+ * Match a verified receipt to a case, invoice or client and pay it
+ * @param {Object} receipt - MpesaReceipt in suspense
+ * @returns {Object} { receipt, payment }
+ */
+const matchReceipt = async (receipt) => {
+  const target = await resolveAccountReference(receipt.accountReference) ||
+    await resolvePhoneNumber(receipt.phoneNumber);
+  if (!target) {
+    console.log(`C2B receipt ${receipt.transId} (account ${receipt.accountReference}) held in suspense`);
+    return { receipt, payment: null };
+  }
+
+  // Claim the receipt so an admin allocating it at the same moment can't pay it twice
+  const claimed = await MpesaReceipt.findOneAndUpdate(
+    { _id: receipt._id, status: 'suspense' },
+    {
+      $set: {
+        status: 'matched',
+        matchedBy: target.matchedBy,
+        clientId: target.clientId,
+        caseId: target.caseId,
+        invoiceId: target.invoiceId
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { receipt, payment: null };
+  }
+
+  let payment;
+  try {
+    payment = await createPaymentFromReceipt(claimed, target);
+  } catch (error) {
+    await MpesaReceipt.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'suspense' }, $unset: { matchedBy: 1, clientId: 1, caseId: 1, invoiceId: 1 } }
+    );
+    throw error;
+  }
+
+  claimed.paymentId = payment._id;
+  await claimed.save();
+
+  console.log(`C2B receipt ${claimed.transId} matched by ${target.matchedBy} to payment ${payment._id}`);
+  return { receipt: claimed, payment };
+};
+
+/**
+ * Apply a Transaction Status result to the receipt it was asked about
+ * Receipts that check out are matched and paid; mismatches are rejected. An
+ * error from Daraja leaves the receipt for the sweep to query again.
+ * @param {Object} callbackData - Result body from Safaricom
+ * @returns {Object|null} { receipt, payment }, or null if no receipt is waiting on this result
+ */
+const applyVerificationResult = async (callbackData) => {
+  const { conversationID, resultCode, resultDesc, resultParameters } = mpesaService.validateCallbackData(callbackData);
+
+  const receipt = await MpesaReceipt.findOne({ 'verification.conversationID': conversationID, status: 'verifying' });
+  if (!receipt) return null;
+
+  const result = {
+    'verification.resultCode': Number(resultCode),
+    'verification.resultDesc': resultDesc,
+    'verification.resultPayload': callbackData
+  };
+
+  if (Number(resultCode) !== 0) {
+    await MpesaReceipt.updateOne({ _id: receipt._id, status: 'verifying' }, { $set: result });
+    console.log(`Transaction status query for C2B receipt ${receipt.transId} failed: ${resultDesc}`);
+    return { receipt, payment: null };
+  }
+
+  const problem = checkTransactionStatus(receipt, mpesaService.parseResultParameters(resultParameters));
+  const verified = await MpesaReceipt.findOneAndUpdate(
+    { _id: receipt._id, status: 'verifying' },
+    {
+      $set: problem
+        ? { ...result, status: 'rejected', 'verification.resultDesc': problem }
+        : { ...result, status: 'suspense', 'verification.verifiedAt': new Date() }
+    },
+    { new: true }
+  );
+  if (!verified) return null;
+
+  if (problem) {
+    console.error(`C2B receipt ${receipt.transId} rejected: ${problem}`);
+    return { receipt: verified, payment: null };
+  }
+
+  return matchReceipt(verified);
+};
+
+// Receipts whose last status query is old enough to try again
+const buildVerificationQuery = (now = new Date(), config = c2bVerificationConfig) => ({
+  status: 'verifying',
+  $or: [
+    { 'verification.requestedAt': { $exists: false } },
+    { 'verification.requestedAt': { $lte: new Date(now.getTime() - config.retryAfterMinutes * MINUTE_MS) } }
+  ]
+});
+
+/**
+ * Query again for receipts still waiting on verification, up to the batch size
+ * Receipts that have used up their queries are rejected for an admin to review.
+ * @param {Date} now - Reference time
+ * @param {Object} config - Verification settings (defaults to config/billingConfig)
+ * @returns {Object} Count of receipts queried and rejected
+ */
+const verifyPendingReceipts = async (now = new Date(), config = c2bVerificationConfig) => {
+  const receipts = await MpesaReceipt.find(buildVerificationQuery(now, config))
+    .sort({ createdAt: 1 })
+    .limit(config.batchSize);
+
+  const summary = { queried: 0, rejected: 0 };
+  for (const receipt of receipts) {
+    try {
+      if ((receipt.verification?.attempts || 0) >= config.maxAttempts) {
+        const rejected = await MpesaReceipt.updateOne(
+          { _id: receipt._id, status: 'verifying' },
+          { $set: { status: 'rejected', 'verification.resultDesc': `Not verified after ${receipt.verification.attempts} status queries` } }
+        );
+        if (rejected.modifiedCount) summary.rejected++;
+      } else {
+        await requestVerification(receipt);
+        summary.queried++;
+      }
+    } catch (error) {
+      console.error(`Verification error for C2B receipt ${receipt.transId}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Allocate a receipt held in suspense
+ * @param {Object} receipt - MpesaReceipt document in suspense
+ * @param {Object} allocation - { reference } (case or invoice number) or { clientId }, plus optional paymentType and note
+ * @param {Object} user - Admin allocating the receipt
+ * @returns {Object} { receipt, payment }
+ */
+const allocateReceipt = async (receipt, { reference, clientId, paymentType, note }, user) => {
+  if (receipt.status !== 'suspense') {
+    throw new ErrorResponse(`Receipt ${receipt.transId} is ${receipt.status}, not in suspense`, 409);
+  }
+  // Receipts parked before verification was added were never checked with Daraja
+  if (!receipt.verification?.verifiedAt) {
+    throw new ErrorResponse(`Receipt ${receipt.transId} has not been verified with M-Pesa`, 409);
+  }
+
+  let target;
+  if (reference) {
+    target = await resolveAccountReference(reference);
+    if (!target) {
+      throw new ErrorResponse(`No case or open invoice with number ${normalizeAccountReference(reference)}`, 404);
+    }
+  } else if (clientId) {
+    const client = await User.findOne({ _id: clientId, role: 'client' }).select('firstName lastName');
+    if (!client) {
+      throw new ErrorResponse('Client not found', 404);
+    }
+    target = { clientId: client._id, label: `${client.firstName} ${client.lastName}` };
+  } else {
+    throw new ErrorResponse('A case number, invoice number or client is required', 400);
+  }
+
+  // Claim the receipt first so two admins can't allocate it twice
+  const claimed = await MpesaReceipt.findOneAndUpdate(
+    { _id: receipt._id, status: 'suspense' },
+    { $set: { status: 'allocated', allocatedBy: user._id, allocatedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ErrorResponse(`Receipt ${receipt.transId} has already been allocated`, 409);
+  }
+
+  let payment;
+  try {
+    payment = await createPaymentFromReceipt(claimed, { ...target, paymentType }, user._id);
+  } catch (error) {
+    await MpesaReceipt.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'suspense' }, $unset: { allocatedBy: 1, allocatedAt: 1 } }
+    );
+    throw error;
+  }
+
+  claimed.set({
+    matchedBy: 'manual',
+    clientId: target.clientId,
+    caseId: target.caseId,
+    invoiceId: target.invoiceId,
+    paymentId: payment._id,
+    allocationNote: note
+  });
+  await claimed.save();
+
+  return { receipt: claimed, payment };
+};
+
+// Query unverified receipts again every few minutes
+const verificationSweep = jobScheduler.scheduleRecurring(
+  C2B_VERIFICATION_SWEEP_JOB,
+  c2bVerificationConfig.sweepMinutes,
+  () => verifyPendingReceipts()
+);
+
+module.exports = {
+  INVALID_ACCOUNT_RESULT_CODE,
+  INVALID_SHORTCODE_RESULT_CODE,
+  C2B_VERIFICATION_SWEEP_JOB,
+  normalizeAccountReference,
+  parseTransTime,
+  parseC2BPayload,
+  phoneVariants,
+  resolveAccountReference,
+  resolvePhoneNumber,
+  validateC2BPayment,
+  checkTransactionStatus,
+  processC2BConfirmation,
+  applyVerificationResult,
+  buildVerificationQuery,
+  verifyPendingReceipts,
+  scheduleVerificationSweep: verificationSweep.schedule,
+  runVerificationSweep: verificationSweep.run,
+  allocateReceipt
+};
@@ -10,7 +10,8 @@ const baseUrls = {
   production: 'https://api.safaricom.co.ke'
 };
 
-const mpesaBaseUrl = baseUrls[environment];
+// MPESA_BASE_URL points the service at another Daraja host, e.g. a local mock server in tests
+const mpesaBaseUrl = process.env.MPESA_BASE_URL || baseUrls[environment];
 const consumerKey = process.env.MPESA_CONSUMER_KEY;
 const consumerSecret = process.env.MPESA_CONSUMER_SECRET;
 const shortcode = process.env.MPESA_SHORTCODE || '174379';
@@ -24,6 +25,19 @@ const b2cCallbackUrl = process.env.MPESA_B2C_CALLBACK_URL;
 const timeoutUrl = process.env.MPESA_TIMEOUT_URL;
 const resultUrl = process.env.MPESA_RESULT_URL;
 
+// C2B (Paybill/Till) configuration
+const c2bShortcode = process.env.MPESA_C2B_SHORTCODE || shortcode;
+const c2bValidationUrl = process.env.MPESA_C2B_VALIDATION_URL;
+const c2bConfirmationUrl = process.env.MPESA_C2B_CONFIRMATION_URL;
+// Where Transaction Status results for Paybill receipts are sent
+const c2bStatusResultUrl = process.env.MPESA_C2B_STATUS_RESULT_URL;
+// Where Transaction Status results for refund payouts are sent
+const b2cStatusResultUrl = process.env.MPESA_B2C_STATUS_RESULT_URL;
+// Shared secret appended to the C2B and status result callback URLs; callbacks without it are refused
+const c2bCallbackToken = process.env.MPESA_C2B_CALLBACK_TOKEN;
+// What Safaricom does when the validation URL can't be reached: Completed or Cancelled
+const c2bResponseType = process.env.MPESA_C2B_RESPONSE_TYPE || 'Completed';
+
 // Token management
 let accessToken = null;
 let tokenExpiry = null;
@@ -274,7 +288,7 @@ async function initiateB2CPayment(phoneNumber, amount, remarks, occasion = 'Refu
       PartyB: formattedPhone,
       Remarks: remarks || 'B2C Payment',
       QueueTimeOutURL: timeoutUrl,
-      ResultURL: resultUrl,
+      ResultURL: b2cCallbackUrl,
       Occasion: occasion
     };
 
@@ -446,6 +460,160 @@ async function reverseTransaction(transactionID, amount, remarks) {
   }
 }
 
+// Add the C2B callback token to a URL we hand to Safaricom
+function withC2BCallbackToken(url) {
+  const signed = new URL(url);
+  signed.searchParams.set('token', c2bCallbackToken);
+  return signed.toString();
+}
+
+// Check the token on an incoming C2B callback; refuses everything when no token is configured
+function isValidC2BCallbackToken(token) {
+  if (!c2bCallbackToken || typeof token !== 'string') return false;
+  const expected = Buffer.from(c2bCallbackToken);
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Register the C2B validation and confirmation URLs for the Paybill/Till
+async function registerC2BUrls() {
+  try {
+    const token = await getAccessToken();
+
+    if (!c2bValidationUrl || !c2bConfirmationUrl) {
+      throw new Error('C2B validation and confirmation URLs not configured');
+    }
+    if (!c2bCallbackToken) {
+      throw new Error('C2B callback token not configured');
+    }
+
+    const payload = {
+      ShortCode: c2bShortcode,
+      ResponseType: c2bResponseType,
+      ConfirmationURL: withC2BCallbackToken(c2bConfirmationUrl),
+      ValidationURL: withC2BCallbackToken(c2bValidationUrl)
+    };
+
+    console.log('Registering C2B URLs for shortcode:', c2bShortcode);
+
+    const requestFn = async () => {
+      return await axios.post(`${mpesaBaseUrl}/mpesa/c2b/v1/registerurl`, payload, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+    };
+
+    const response = await makeRequest(requestFn);
+
+    console.log('C2B URL registration response:', {
+      originatorConversationID: response.data.OriginatorCoversationID || response.data.OriginatorConversationID,
+      responseCode: response.data.ResponseCode
+    });
+
+    return {
+      success: true,
+      // Leave the callback token out of what gets logged
+      request: { ...payload, ConfirmationURL: c2bConfirmationUrl, ValidationURL: c2bValidationUrl },
+      originatorConversationID: response.data.OriginatorCoversationID || response.data.OriginatorConversationID,
+      responseCode: response.data.ResponseCode,
+      responseDescription: response.data.ResponseDescription
+    };
+
+  } catch (error) {
+    console.error('C2B URL registration error:', {
+      status: error.response?.status,
+      data: error.response?.data,
+      message: error.message
+    });
+
+    throw new Error(`C2B URL registration failed: ${error.response?.data?.errorMessage || error.message}`);
+  }
+}
+
+// Send a Transaction Status query; the result arrives at the ResultURL in the payload
+async function requestTransactionStatus(payload, resultUrl) {
+  try {
+    const token = await getAccessToken();
+
+    if (!resultUrl || !timeoutUrl) {
+      throw new Error('Transaction status callback URLs not configured');
+    }
+    if (!c2bCallbackToken) {
+      throw new Error('C2B callback token not configured');
+    }
+
+    const requestPayload = {
+      Initiator: initiatorName,
+      SecurityCredential: securityCredential,
+      CommandID: 'TransactionStatusQuery',
+      IdentifierType: '4', // Organization shortcode
+      ResultURL: withC2BCallbackToken(resultUrl),
+      QueueTimeOutURL: timeoutUrl,
+      ...payload
+    };
+
+    console.log('Querying transaction status:', payload.TransactionID || payload.OriginalConversationID);
+
+    const requestFn = async () => {
+      return await axios.post(`${mpesaBaseUrl}/mpesa/transactionstatus/v1/query`, requestPayload, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+    };
+
+    const response = await makeRequest(requestFn);
+
+    console.log('Transaction status query response:', {
+      conversationID: response.data.ConversationID,
+      originatorConversationID: response.data.OriginatorConversationID,
+      responseCode: response.data.ResponseCode
+    });
+
+    return {
+      success: true,
+      conversationID: response.data.ConversationID,
+      originatorConversationID: response.data.OriginatorConversationID,
+      responseCode: response.data.ResponseCode,
+      responseDescription: response.data.ResponseDescription
+    };
+
+  } catch (error) {
+    console.error('Transaction status query error:', {
+      status: error.response?.status,
+      data: error.response?.data,
+      message: error.message
+    });
+
+    throw new Error(`Transaction status query failed: ${error.response?.data?.errorMessage || error.message}`);
+  }
+}
+
+// Ask Daraja whether a Paybill transaction really happened; the result arrives at the status result URL
+function queryTransactionStatus(transactionID) {
+  return requestTransactionStatus({
+    TransactionID: transactionID,
+    PartyA: c2bShortcode,
+    Remarks: 'Paybill receipt verification',
+    Occasion: 'Paybill receipt verification'
+  }, c2bStatusResultUrl);
+}
+
+// Ask Daraja what became of a B2C payout that sent no result; the result arrives at the B2C status result URL
+function queryB2CStatus(originatorConversationID) {
+  return requestTransactionStatus({
+    OriginalConversationID: originatorConversationID,
+    PartyA: shortcode,
+    Remarks: 'Refund payout status',
+    Occasion: 'Refund payout status'
+  }, b2cStatusResultUrl);
+}
+
 // Utility function to validate callback data
 function validateCallbackData(callbackData) {
   try {
@@ -486,6 +654,16 @@ function validateCallbackData(callbackData) {
   }
 }
 
+// Flatten Daraja ResultParameters (B2C and Transaction Status results) into { Key: Value }
+function parseResultParameters(resultParameters) {
+  const list = resultParameters?.ResultParameter;
+  if (!list) return {};
+  return (Array.isArray(list) ? list : [list]).reduce((parameters, { Key, Value }) => {
+    parameters[Key] = Value;
+    return parameters;
+  }, {});
+}
+
 // Module exports
 module.exports = {
   // Main payment functions
@@ -494,17 +672,23 @@ module.exports = {
   initiateB2CPayment,
   queryAccountBalance,
   reverseTransaction,
+  registerC2BUrls,
+  queryTransactionStatus,
+  queryB2CStatus,
 
   // Utility functions
   formatPhoneNumber,
   validateCallbackData,
+  parseResultParameters,
   generateTimestamp,
   generatePassword,
+  isValidC2BCallbackToken,
 
   // Legacy support (deprecated)
   initiatePayment: initiateSTKPush,
 
   // Configuration
   getEnvironment: () => environment,
-  getBaseUrl: () => mpesaBaseUrl
+  getBaseUrl: () => mpesaBaseUrl,
+  getC2BShortcode: () => c2bShortcode
 };
@@ -0,0 +1,176 @@
+// No-show detection for LegalPro v1.0.1
+// A recurring sweep flags appointments still scheduled/confirmed a grace period
+// after they end and asks the advocate whether the client attended. Confirming
+// the no-show runs the firm's follow-up: a rebooking link for the client, an
+// optional no-show fee and a follow_up note on the appointment.
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const { appointmentPolicy } = require('../config/appointmentPolicy');
+const { sendNotification } = require('./notificationService');
+const jobScheduler = require('./jobScheduler');
+
+const NO_SHOW_SWEEP_JOB = 'noShowSweep';
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+// Older appointments are left alone so the first sweep doesn't flag years of stale bookings
+const LOOKBACK_DAYS = 7;
+const BATCH_SIZE = 200;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Query for open appointments past their end time plus the grace period
+ * @param {Date} now - Reference time
+ * @param {Object} policy - Firm policy (defaults to config/appointmentPolicy)
+ * @returns {Object} Mongo filter
+ */
+const buildOverdueQuery = (now = new Date(), policy = appointmentPolicy) => ({
+  status: { $in: OPEN_STATUSES },
+  endDateTime: {
+    $lte: new Date(now.getTime() - policy.noShowGraceMinutes * MINUTE_MS),
+    $gte: new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * MINUTE_MS)
+  },
+  'noShowReview.status': { $exists: false }
+});
+
+const buildRebookingUrl = (appointment) => {
+  const params = new URLSearchParams({
+    book: '1',
+    advocateId: (appointment.advocateId._id || appointment.advocateId).toString(),
+    type: appointment.type,
+    title: appointment.title
+  });
+  return `${process.env.CLIENT_URL || 'http://localhost:5173'}/appointments?${params.toString()}`;
+};
+
+// Ask the advocate to confirm a flagged appointment
+const notifyAdvocate = (appointment) => {
+  const client = appointment.clientId;
+  return sendNotification(appointment.advocateId, 'noShowReview', {
+    title: appointment.title,
+    clientName: client ? `${client.firstName} ${client.lastName}` : 'your client',
+    appointmentDate: appointment.formattedDate,
+    appointmentTime: appointment.formattedTime
+  });
+};
+
+/**
+ * Flag overdue appointments for no-show review and notify their advocates
+ * @param {Date} now - Reference time
+ * @param {Object} policy - Firm policy (defaults to config/appointmentPolicy)
+ * @returns {Number} How many appointments were flagged
+ */
+const flagOverdueAppointments = async (now = new Date(), policy = appointmentPolicy) => {
+  const overdue = await Appointment.find(buildOverdueQuery(now, policy))
+    .populate('clientId', 'firstName lastName')
+    .populate('advocateId', 'firstName lastName email phone')
+    .sort({ endDateTime: 1 })
+    .limit(BATCH_SIZE);
+
+  let flagged = 0;
+  for (const appointment of overdue) {
+    // Another instance may have flagged it since the find
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, status: { $in: OPEN_STATUSES }, 'noShowReview.status': { $exists: false } },
+      { $set: { noShowReview: { status: 'pending', flaggedAt: now } } }
+    );
+    if (!result.modifiedCount) continue;
+    flagged++;
+
+    try {
+      await notifyAdvocate(appointment);
+    } catch (error) {
+      console.error(`No-show review notification error for appointment ${appointment._id}:`, error);
+    }
+  }
+
+  return flagged;
+};
+
+/**
+ * Record a confirmed no-show and run the firm's follow-up
+ * @param {Object} appointment - Appointment document (client and advocate may be populated)
+ * @param {Object} user - Advocate or admin confirming the no-show
+ * @param {Object} policy - Firm policy (defaults to config/appointmentPolicy)
+ * @returns {Object} { payment, notified }
+ */
+const applyNoShowFollowUp = async (appointment, user, policy = appointmentPolicy) => {
+  const now = new Date();
+  const clientId = appointment.clientId._id || appointment.clientId;
+  const rebookingUrl = policy.noShowRebookingLink ? buildRebookingUrl(appointment) : null;
+
+  appointment.status = 'no_show';
+  appointment.noShowReview = {
+    status: 'confirmed',
+    flaggedAt: appointment.noShowReview?.flaggedAt || now,
+    resolvedBy: user._id,
+    resolvedAt: now
+  };
+
+  let payment = null;
+  if (policy.noShowFee > 0 && !appointment.noShowFee?.paymentId) {
+    payment = await Payment.create({
+      clientId,
+      appointmentId: appointment._id,
+      caseId: appointment.caseId?._id || appointment.caseId,
+      amount: policy.noShowFee,
+      currency: 'KES',
+      method: 'mpesa',
+      paymentType: 'no_show_fee',
+      status: 'pending',
+      description: `No-show fee: ${appointment.title} on ${appointment.formattedDate}`,
+      createdBy: user._id
+    });
+    appointment.noShowFee = { amount: policy.noShowFee, paymentId: payment._id };
+  }
+
+  const followUp = ['Client did not attend.'];
+  if (payment) followUp.push(`No-show fee of KES ${policy.noShowFee} raised.`);
+  if (rebookingUrl) followUp.push('Rebooking link sent to the client.');
+  appointment.notes.push({
+    content: followUp.join(' '),
+    author: user._id,
+    type: 'follow_up'
+  });
+  appointment.followUpRequired = true;
+
+  await appointment.save();
+
+  let notified = false;
+  try {
+    await appointment.populate([
+      { path: 'clientId', select: 'firstName lastName email phone' },
+      { path: 'advocateId', select: 'firstName lastName email' }
+    ]);
+    const advocate = appointment.advocateId;
+    // The SMS is only the rebooking link, so without one the client just gets the email
+    await sendNotification(appointment.clientId, 'appointmentNoShow', {
+      title: appointment.title,
+      appointmentDate: appointment.formattedDate,
+      appointmentTime: appointment.formattedTime,
+      advocateName: `${advocate.firstName} ${advocate.lastName}`,
+      rebookingUrl,
+      feeAmount: payment ? policy.noShowFee : null
+    }, rebookingUrl ? {} : { channels: ['email'] });
+    notified = true;
+  } catch (error) {
+    console.error(`No-show follow-up notification error for appointment ${appointment._id}:`, error);
+  }
+
+  return { payment, notified };
+};
+
+// Flag overdue appointments every few minutes
+const noShowSweep = jobScheduler.scheduleRecurring(
+  NO_SHOW_SWEEP_JOB,
+  appointmentPolicy.noShowSweepMinutes,
+  async () => ({ flagged: await flagOverdueAppointments() })
+);
+
+module.exports = {
+  NO_SHOW_SWEEP_JOB,
+  buildOverdueQuery,
+  buildRebookingUrl,
+  flagOverdueAppointments,
+  scheduleNoShowSweep: noShowSweep.schedule,
+  runNoShowSweep: noShowSweep.run,
+  applyNoShowFollowUp
+};
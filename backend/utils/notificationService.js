@@ -82,7 +82,8 @@ if (process.env.TWILIO_ACCOUNT_SID &&
 }
 
 // Enhanced email sending with retry logic and better error handling
-async function sendEmail(to, subject, text, html, retryCount = 0) {
+// attachments uses the nodemailer format, e.g. [{ filename, content, contentType }]
+async function sendEmail(to, subject, text, html, attachments = [], retryCount = 0) {
   if (!transporter) {
     throw new Error('Email transporter not configured');
   }
@@ -98,6 +99,7 @@ async function sendEmail(to, subject, text, html, retryCount = 0) {
     subject,
     text,
     html,
+    attachments,
     // Additional headers for better deliverability
     headers: {
       'X-Mailer': 'LegalPro v1.0.1',
@@ -129,7 +131,7 @@ async function sendEmail(to, subject, text, html, retryCount = 0) {
     if (retryCount < notificationConfig.email.retryAttempts) {
       console.log(`Retrying email send in ${notificationConfig.email.retryDelay}ms...`);
       await new Promise(resolve => setTimeout(resolve, notificationConfig.email.retryDelay));
-      return sendEmail(to, subject, text, html, retryCount + 1);
+      return sendEmail(to, subject, text, html, attachments, retryCount + 1);
     }
 
     throw new Error(`Failed to send email after ${notificationConfig.email.retryAttempts + 1} attempts: ${error.message}`);
@@ -381,7 +383,7 @@ const smsTemplates = {
 };
 
 // Enhanced templated email sending
-async function sendTemplatedEmail(to, templateName, data) {
+async function sendTemplatedEmail(to, templateName, data, attachments = []) {
   try {
     // Validate template data
     const validation = templateEngine.validateTemplateData(templateName, data, 'email');
@@ -393,7 +395,7 @@ async function sendTemplatedEmail(to, templateName, data) {
     const rendered = await templateEngine.renderEmailTemplate(templateName, data);
 
     // Send email
-    return await sendEmail(to, rendered.subject, rendered.text, rendered.html);
+    return await sendEmail(to, rendered.subject, rendered.text, rendered.html, attachments);
   } catch (error) {
     console.error(`Error sending templated email ${templateName}:`, error);
     throw error;
@@ -420,6 +422,8 @@ async function sendTemplatedSMS(to, templateName, data) {
 }
 
 // Enhanced notification sending with configuration support
+// options.channels limits delivery to some of the configured channels;
+// options.attachments are added to the email
 async function sendNotification(user, eventType, data, options = {}) {
   const results = {
     eventType,
@@ -452,6 +456,11 @@ async function sendNotification(user, eventType, data, options = {}) {
   for (const channel of channels) {
     const channelConfig = getEventConfig(eventType, channel);
 
+    if (options.channels && !options.channels.includes(channel)) {
+      results.channels[channel] = { skipped: 'not_requested' };
+      continue;
+    }
+
     if (!channelConfig || !channelConfig.enabled) {
       results.channels[channel] = { skipped: 'disabled' };
       continue;
@@ -487,7 +496,7 @@ async function sendNotification(user, eventType, data, options = {}) {
         let result;
         switch (channel) {
           case 'email':
-            result = await sendTemplatedEmail(user.email, channelConfig.template, templateData);
+            result = await sendTemplatedEmail(user.email, channelConfig.template, templateData, options.attachments);
             break;
           case 'sms':
             result = await sendTemplatedSMS(user.phone, channelConfig.template, templateData);
@@ -578,6 +587,48 @@ async function sendWhatsAppNotification(to, type, data) {
           data.nextSteps
         );
 
+      case 'deadlineReminder':
+        return await whatsappService.sendDeadlineReminder(
+          to,
+          data.firstName,
+          data.deadlineTitle,
+          data.caseNumber,
+          data.dueDate,
+          data.urgency
+        );
+
+      case 'taskAssigned':
+      case 'taskReminder':
+        return await whatsappService.sendTaskReminder(
+          to,
+          data.firstName,
+          data.taskTitle,
+          data.caseNumber,
+          data.dueDate,
+          type === 'taskAssigned' ? `Assigned by ${data.assignedBy}` : data.urgency
+        );
+
+      case 'waitlistOffer':
+        return await whatsappService.sendWaitlistOffer(
+          to,
+          data.name,
+          data.advocateName,
+          data.appointmentDate,
+          data.appointmentTime,
+          data.offerExpires
+        );
+
+      case 'appointmentRescheduled':
+        return await whatsappService.sendAppointmentRescheduled(
+          to,
+          data.firstName,
+          data.title,
+          data.appointmentDate,
+          data.appointmentTime,
+          data.previousDate,
+          data.previousTime
+        );
+
       case 'paymentConfirmation':
         return await whatsappService.sendPaymentConfirmation(
           to,
@@ -0,0 +1,553 @@
+// Instalment payment plans for LegalPro v1.0.1
+// Case fees are often paid over months. A plan splits the fee into an optional
+// deposit and equal instalments on a weekly, fortnightly or monthly schedule.
+// A recurring sweep requests each instalment on its due date, by STK push or a
+// reminder, and marks it missed once the grace period passes unpaid.
+const PaymentPlan = require('../models/PaymentPlan');
+const Payment = require('../models/Payment');
+const Case = require('../models/Case');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const TransactionLog = require('../models/TransactionLog');
+const mpesaService = require('./mpesaService');
+const { sendNotification } = require('./notificationService');
+const { buildCaseAccessQuery } = require('./caseAccess');
+const { ErrorResponse } = require('./errorResponse');
+const { instalmentPlanConfig } = require('../config/billingConfig');
+const { holidayConfig } = require('../config/publicHolidays');
+const jobScheduler = require('./jobScheduler');
+
+const INSTALMENT_SWEEP_JOB = 'instalmentPlanSweep';
+const PAYABLE_INVOICE_STATUSES = ['issued', 'partially_paid'];
+const OPEN_INSTALMENT_STATUSES = ['scheduled', 'requested', 'missed'];
+// An STK push younger than this may still be waiting on the client's phone
+const PENDING_PUSH_MINUTES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  timeZone: holidayConfig.timezone,
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+/**
+ * Move a due date on by a number of plan periods
+ * Monthly plans keep the day of the month, falling back to the month's last
+ * day (a plan starting 31 January is next due 28 or 29 February).
+ * @param {Date} date - Starting due date
+ * @param {String} frequency - weekly, biweekly or monthly
+ * @param {Number} periods - How many periods to add
+ * @param {Object} config - Plan settings (defaults to config/billingConfig)
+ * @returns {Date}
+ */
+const addPeriods = (date, frequency, periods, config = instalmentPlanConfig) => {
+  const period = config.frequencies[frequency];
+  if (!period) {
+    throw new ErrorResponse(`Unknown plan frequency: ${frequency}`, 400);
+  }
+
+  const start = new Date(date);
+  if (period.days) {
+    return new Date(start.getTime() + period.days * periods * DAY_MS);
+  }
+
+  const result = new Date(start);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + period.months * periods);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return result;
+};
+
+/**
+ * Split a fee into a deposit and equal instalments
+ * Instalments are whole shillings, since M-Pesa only takes whole amounts; the
+ * last one absorbs the remainder.
+ * @param {Object} terms - { totalAmount, depositAmount, numberOfInstalments, frequency, startDate, depositDueDate }
+ * @param {Object} config - Plan settings (defaults to config/billingConfig)
+ * @returns {Array<Object>} Instalments, deposit first as number 0
+ */
+const buildSchedule = ({
+  totalAmount,
+  depositAmount = 0,
+  numberOfInstalments,
+  frequency,
+  startDate,
+  depositDueDate = new Date()
+}, config = instalmentPlanConfig) => {
+  const count = parseInt(numberOfInstalments);
+  if (!count || count < 1 || count > config.maxInstalments) {
+    throw new ErrorResponse(`Number of instalments must be between 1 and ${config.maxInstalments}`, 400);
+  }
+  if (depositAmount < 0 || depositAmount >= totalAmount) {
+    throw new ErrorResponse('Deposit must be less than the total amount', 400);
+  }
+
+  const remaining = roundMoney(totalAmount - depositAmount);
+  const regular = Math.floor(remaining / count);
+  if (regular < 1) {
+    throw new ErrorResponse('Each instalment must be at least KES 1', 400);
+  }
+
+  const instalments = [];
+  if (depositAmount > 0) {
+    instalments.push({ number: 0, amount: roundMoney(depositAmount), dueDate: new Date(depositDueDate) });
+  }
+  for (let i = 0; i < count; i++) {
+    const isLast = i === count - 1;
+    instalments.push({
+      number: i + 1,
+      amount: isLast ? roundMoney(remaining - regular * (count - 1)) : regular,
+      dueDate: addPeriods(startDate, frequency, i, config)
+    });
+  }
+  return instalments;
+};
+
+// "Deposit" or "Instalment 2 of 6"
+const describeInstalment = (plan, instalment) =>
+  instalment.number === 0 ? 'Deposit' : `Instalment ${instalment.number} of ${plan.numberOfInstalments}`;
+
+// Case or invoice number the plan is for
+const planReference = async (plan) => {
+  if (plan.invoiceId) {
+    const invoice = await Invoice.findById(plan.invoiceId).select('invoiceNumber');
+    if (invoice) return invoice.invoiceNumber;
+  }
+  if (plan.caseId) {
+    const caseItem = await Case.findById(plan.caseId).select('caseNumber');
+    if (caseItem) return caseItem.caseNumber;
+  }
+  return `PLAN-${plan._id.toString().slice(-6).toUpperCase()}`;
+};
+
+/**
+ * Create a plan for a case fee or an issued invoice
+ * @param {Object} data - { caseId | invoiceId, totalAmount, depositAmount, numberOfInstalments, frequency, startDate, collectionMethod, phoneNumber, description }
+ * @param {Object} user - Advocate or admin setting up the plan
+ * @returns {Object} Saved PaymentPlan
+ */
+const createPaymentPlan = async (data, user) => {
+  let { caseId, totalAmount } = data;
+  let clientId;
+
+  if (data.invoiceId) {
+    const invoice = await Invoice.findById(data.invoiceId);
+    if (!invoice) {
+      throw new ErrorResponse('Invoice not found', 404);
+    }
+    if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new ErrorResponse(`Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot be put on a plan`, 400);
+    }
+    totalAmount = totalAmount || invoice.balance;
+    if (totalAmount > invoice.balance) {
+      throw new ErrorResponse(`Plan total exceeds the invoice balance of ${invoice.currency} ${invoice.balance.toLocaleString()}`, 400);
+    }
+    caseId = invoice.caseId;
+    clientId = invoice.clientId;
+  } else if (!caseId) {
+    throw new ErrorResponse('A case or invoice is required', 400);
+  } else if (!totalAmount) {
+    throw new ErrorResponse('Total amount is required for a case fee plan', 400);
+  }
+
+  if (caseId) {
+    const scope = buildCaseAccessQuery(user, caseId);
+    const caseItem = scope && await Case.findOne(scope).select('clientId');
+    if (!caseItem) {
+      throw new ErrorResponse('Case not found', 404);
+    }
+    clientId = clientId || caseItem.clientId;
+  }
+
+  const openPlan = await PaymentPlan.exists({
+    status: 'active',
+    ...(data.invoiceId ? { invoiceId: data.invoiceId } : { caseId, invoiceId: { $exists: false } })
+  });
+  if (openPlan) {
+    throw new ErrorResponse(`There is already an active plan for this ${data.invoiceId ? 'invoice' : 'case'}`, 409);
+  }
+
+  const collectionMethod = data.collectionMethod || 'stk_push';
+  let phoneNumber = data.phoneNumber;
+  if (!phoneNumber && collectionMethod === 'stk_push') {
+    const client = await User.findById(clientId).select('phone');
+    phoneNumber = client?.phone;
+    if (!phoneNumber) {
+      throw new ErrorResponse('The client has no phone number; give one for STK push collection', 400);
+    }
+  }
+
+  const depositAmount = data.depositAmount || 0;
+  const instalments = buildSchedule({
+    totalAmount,
+    depositAmount,
+    numberOfInstalments: data.numberOfInstalments,
+    frequency: data.frequency,
+    startDate: data.startDate
+  });
+
+  return PaymentPlan.create({
+    clientId,
+    caseId,
+    invoiceId: data.invoiceId,
+    totalAmount,
+    depositAmount,
+    numberOfInstalments: data.numberOfInstalments,
+    frequency: data.frequency,
+    startDate: data.startDate,
+    collectionMethod,
+    phoneNumber: phoneNumber ? mpesaService.formatPhoneNumber(phoneNumber) : undefined,
+    instalments,
+    description: data.description,
+    createdBy: user._id
+  });
+};
+
+const logSTKPush = (payment, { response = null, error = null, startTime }) =>
+  TransactionLog.logTransaction({
+    transactionId: response?.checkoutRequestID || `failed-${Date.now()}`,
+    transactionType: 'STK_PUSH',
+    paymentId: payment._id,
+    userId: payment.createdBy,
+    requestData: { ...payment.mpesaDetails.requestPayload, source: 'payment_plan' },
+    responseData: response || {},
+    statusCode: error ? 500 : 200,
+    duration: Date.now() - startTime,
+    success: !error,
+    errorMessage: error?.message,
+    mpesaRequestId: response?.merchantRequestID,
+    mpesaResponseCode: response?.responseCode,
+    mpesaResponseDescription: response?.responseDescription,
+    environment: mpesaService.getEnvironment()
+  });
+
+// Raise a payment for the instalment and push it to the client's phone
+const pushInstalment = async (plan, instalment, { phoneNumber, reference, userId }) => {
+  const startTime = Date.now();
+  const formattedPhone = mpesaService.formatPhoneNumber(phoneNumber);
+  const label = describeInstalment(plan, instalment);
+
+  const payment = await Payment.create({
+    clientId: plan.clientId,
+    caseId: plan.caseId,
+    invoiceId: plan.invoiceId,
+    amount: Math.round(instalment.amount),
+    currency: 'KES',
+    method: 'mpesa',
+    paymentType: 'case_fee',
+    description: `${label} for ${reference}`,
+    status: 'pending',
+    createdBy: userId || plan.createdBy,
+    paymentPlan: { planId: plan._id, instalmentNumber: instalment.number },
+    mpesaDetails: {
+      phoneNumber: formattedPhone,
+      accountReference: reference,
+      transactionDesc: label,
+      stkPushStatus: 'initiated',
+      requestPayload: {
+        phoneNumber: formattedPhone,
+        amount: Math.round(instalment.amount),
+        accountReference: reference,
+        transactionDesc: label
+      }
+    }
+  });
+
+  try {
+    const response = await mpesaService.initiateSTKPush(formattedPhone, payment.amount, reference, label);
+    payment.mpesaDetails.merchantRequestID = response.merchantRequestID;
+    payment.mpesaDetails.checkoutRequestID = response.checkoutRequestID;
+    payment.mpesaDetails.responsePayload = response;
+    payment.mpesaDetails.stkPushStatus = 'pending';
+    payment.status = 'processing';
+    payment.transactionId = response.checkoutRequestID;
+    await payment.save();
+    await logSTKPush(payment, { response, startTime });
+  } catch (error) {
+    console.error(`STK push for plan ${plan._id} instalment ${instalment.number} failed:`, error.message);
+    await payment.markAsFailed(`STK push could not be sent: ${error.message}`);
+    await logSTKPush(payment, { error, startTime });
+  }
+
+  return payment;
+};
+
+const notifyClient = async (plan, eventType, instalment, extra = {}) => {
+  const client = plan.clientId?.firstName ? plan.clientId : await User.findById(plan.clientId);
+  if (!client) return;
+
+  await sendNotification(client, eventType, {
+    instalmentLabel: describeInstalment(plan, instalment),
+    amount: instalment.amount.toLocaleString(),
+    dueDate: formatDate(instalment.dueDate),
+    reference: await planReference(plan),
+    outstanding: plan.amountOutstanding.toLocaleString(),
+    paymentUrl: `${process.env.CLIENT_URL || 'http://localhost:5173'}/payments`,
+    ...extra
+  });
+};
+
+/**
+ * Ask the client for an instalment: an STK push when the plan collects by
+ * M-Pesa (or a phone number is given), otherwise a reminder
+ * A push that can't be sent falls back to the reminder.
+ * @param {Object} plan - PaymentPlan document
+ * @param {Object} instalment - Instalment subdocument on the plan
+ * @param {Object} options - { phoneNumber, userId }
+ * @returns {Object} { payment, channel: 'stk_push' | 'reminder' }
+ */
+const requestInstalment = async (plan, instalment, { phoneNumber, userId } = {}) => {
+  const reference = await planReference(plan);
+  const pushTo = phoneNumber || (plan.collectionMethod === 'stk_push' ? plan.phoneNumber : null);
+
+  let payment = null;
+  if (pushTo) {
+    payment = await pushInstalment(plan, instalment, { phoneNumber: pushTo, reference, userId });
+  }
+  const pushed = payment && payment.status === 'processing';
+
+  instalment.paymentId = payment ? payment._id : instalment.paymentId;
+  instalment.requestedAt = new Date();
+  await plan.save();
+
+  // A client paying from the app is already looking at their phone
+  if (!pushed || !userId) {
+    try {
+      await notifyClient(plan, 'instalmentDue', instalment, { stkPushSent: pushed });
+    } catch (error) {
+      console.error(`Instalment reminder error for plan ${plan._id}:`, error);
+    }
+  }
+
+  return { payment, channel: pushed ? 'stk_push' : 'reminder' };
+};
+
+// Claim a due instalment so only one sweep requests it
+const claimInstalment = (plan, instalment, now) => PaymentPlan.updateOne(
+  {
+    _id: plan._id,
+    status: 'active',
+    instalments: { $elemMatch: { number: instalment.number, status: 'scheduled' } }
+  },
+  {
+    $set: { 'instalments.$.status': 'requested', 'instalments.$.requestedAt': now },
+    $inc: { 'instalments.$.requestCount': 1 }
+  }
+);
+
+// Mark a requested instalment missed if it is still unpaid
+const markMissed = (plan, instalment, now) => PaymentPlan.updateOne(
+  {
+    _id: plan._id,
+    status: 'active',
+    instalments: { $elemMatch: { number: instalment.number, status: 'requested' } }
+  },
+  { $set: { 'instalments.$.status': 'missed', 'instalments.$.missedAt': now } }
+);
+
+/**
+ * Request every instalment on a plan that has fallen due
+ * Used by the sweep and straight after a plan is created, so a deposit due
+ * today goes out without waiting for the next sweep.
+ * @param {Object} plan - PaymentPlan document
+ * @param {Date} now - Reference time
+ * @returns {Object} { pushed, reminded }
+ */
+const requestDueInstalments = async (plan, now = new Date()) => {
+  const summary = { pushed: 0, reminded: 0 };
+  const due = plan.instalments.filter(instalment => instalment.status === 'scheduled' && instalment.dueDate <= now);
+
+  for (const instalment of due) {
+    const result = await claimInstalment(plan, instalment, now);
+    if (!result.modifiedCount) continue;
+
+    // Keep the in-memory copy in step with the claim before requestInstalment saves it
+    instalment.status = 'requested';
+    instalment.requestCount += 1;
+    try {
+      const { channel } = await requestInstalment(plan, instalment);
+      summary[channel === 'stk_push' ? 'pushed' : 'reminded']++;
+    } catch (error) {
+      console.error(`Error requesting plan ${plan._id} instalment ${instalment.number}:`, error);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Request instalments that have fallen due and mark overdue ones missed
+ * @param {Date} now - Reference time
+ * @param {Object} config - Plan settings (defaults to config/billingConfig)
+ * @returns {Object} { pushed, reminded, missed }
+ */
+const processDueInstalments = async (now = new Date(), config = instalmentPlanConfig) => {
+  const summary = { pushed: 0, reminded: 0, missed: 0 };
+  const missedBefore = new Date(now.getTime() - config.graceDays * DAY_MS);
+
+  const duePlans = await PaymentPlan.find({
+    status: 'active',
+    instalments: { $elemMatch: { status: 'scheduled', dueDate: { $lte: now } } }
+  }).limit(config.batchSize);
+
+  for (const plan of duePlans) {
+    const { pushed, reminded } = await requestDueInstalments(plan, now);
+    summary.pushed += pushed;
+    summary.reminded += reminded;
+  }
+
+  const overduePlans = await PaymentPlan.find({
+    status: 'active',
+    instalments: { $elemMatch: { status: 'requested', dueDate: { $lte: missedBefore } } }
+  }).limit(config.batchSize);
+
+  for (const plan of overduePlans) {
+    const overdue = plan.instalments.filter(instalment => instalment.status === 'requested' && instalment.dueDate <= missedBefore);
+    for (const instalment of overdue) {
+      const result = await markMissed(plan, instalment, now);
+      if (!result.modifiedCount) continue;
+      summary.missed++;
+
+      instalment.status = 'missed';
+      try {
+        await notifyClient(plan, 'instalmentMissed', instalment);
+      } catch (error) {
+        console.error(`Missed instalment notification error for plan ${plan._id}:`, error);
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Client (or staff) paying an instalment now rather than waiting for the due date
+ * @param {Object} plan - PaymentPlan document
+ * @param {Number} number - Instalment number (0 for the deposit)
+ * @param {Object} options - { phoneNumber, userId }
+ * @returns {Object} { payment, instalment }
+ */
+const payInstalmentNow = async (plan, number, { phoneNumber, userId }) => {
+  if (plan.status !== 'active') {
+    throw new ErrorResponse(`Plan is ${plan.status}`, 400);
+  }
+
+  const instalment = plan.instalments.find(item => item.number === Number(number));
+  if (!instalment) {
+    throw new ErrorResponse('Instalment not found', 404);
+  }
+  if (!OPEN_INSTALMENT_STATUSES.includes(instalment.status)) {
+    throw new ErrorResponse(`${describeInstalment(plan, instalment)} is already ${instalment.status}`, 409);
+  }
+
+  if (instalment.paymentId) {
+    const previous = await Payment.findById(instalment.paymentId).select('status initiatedAt createdAt');
+    const startedAt = previous && (previous.initiatedAt || previous.createdAt);
+    if (previous && ['pending', 'processing'].includes(previous.status) &&
+        startedAt > new Date(Date.now() - PENDING_PUSH_MINUTES * MINUTE_MS)) {
+      throw new ErrorResponse('A payment request for this instalment is already waiting on the phone', 409);
+    }
+  }
+
+  const target = phoneNumber || plan.phoneNumber;
+  if (!target) {
+    throw new ErrorResponse('Phone number is required', 400);
+  }
+
+  if (instalment.status === 'scheduled') {
+    instalment.status = 'requested';
+  }
+  instalment.requestCount += 1;
+  const { payment } = await requestInstalment(plan, instalment, { phoneNumber: target, userId });
+  if (payment.status === 'failed') {
+    throw new ErrorResponse('Failed to send the M-Pesa request; please try again', 502);
+  }
+  return { payment, instalment };
+};
+
+/**
+ * Record a completed payment against its plan instalment
+ * Called whenever a payment completes; payments outside a plan are ignored and
+ * repeats are harmless.
+ * @param {Object} payment - Completed Payment document
+ * @returns {Object|null} Updated PaymentPlan
+ */
+const applyPaymentToPlan = async (payment) => {
+  const { planId, instalmentNumber } = payment.paymentPlan || {};
+  if (!planId || instalmentNumber === undefined) return null;
+
+  const plan = await PaymentPlan.findOneAndUpdate(
+    {
+      _id: planId,
+      instalments: { $elemMatch: { number: instalmentNumber, status: { $ne: 'paid' } } }
+    },
+    {
+      $set: {
+        'instalments.$.status': 'paid',
+        'instalments.$.paidAt': payment.completedAt || new Date(),
+        'instalments.$.paymentId': payment._id
+      }
+    },
+    { new: true }
+  );
+  if (!plan) return null;
+
+  const settled = plan.instalments.every(instalment => ['paid', 'cancelled'].includes(instalment.status));
+  if (settled && plan.status === 'active') {
+    plan.status = 'completed';
+    plan.completedAt = new Date();
+    await plan.save();
+  }
+  return plan;
+};
+
+/**
+ * Stop a plan; instalments not yet paid are cancelled
+ * @param {Object} plan - PaymentPlan document
+ * @param {Object} user - Staff cancelling the plan
+ * @param {String} reason - Why the plan was stopped
+ * @returns {Object} PaymentPlan
+ */
+const cancelPaymentPlan = async (plan, user, reason) => {
+  if (plan.status !== 'active') {
+    throw new ErrorResponse(`Plan is already ${plan.status}`, 409);
+  }
+
+  plan.instalments.forEach(instalment => {
+    if (OPEN_INSTALMENT_STATUSES.includes(instalment.status)) {
+      instalment.status = 'cancelled';
+    }
+  });
+  plan.status = 'cancelled';
+  plan.cancelledAt = new Date();
+  plan.cancelledBy = user._id;
+  plan.cancellationReason = reason;
+  return plan.save();
+};
+
+// Request due instalments every few minutes
+const instalmentSweep = jobScheduler.scheduleRecurring(
+  INSTALMENT_SWEEP_JOB,
+  instalmentPlanConfig.sweepMinutes,
+  () => processDueInstalments()
+);
+
+module.exports = {
+  INSTALMENT_SWEEP_JOB,
+  addPeriods,
+  buildSchedule,
+  describeInstalment,
+  createPaymentPlan,
+  requestInstalment,
+  requestDueInstalments,
+  processDueInstalments,
+  payInstalmentNow,
+  applyPaymentToPlan,
+  cancelPaymentPlan,
+  scheduleInstalmentSweep: instalmentSweep.schedule,
+  runInstalmentSweep: instalmentSweep.run
+};
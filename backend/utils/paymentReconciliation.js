@@ -0,0 +1,235 @@
+// Pending M-Pesa payment reconciliation for LegalPro v1.0.1
+// Safaricom's STK callback doesn't always reach us. A recurring sweep queries
+// Daraja for STK pushes still pending a few minutes after initiation and
+// settles them exactly as the callback would have. Payments Daraja still
+// can't confirm after their maxRetries queries are marked timeout.
+const Payment = require('../models/Payment');
+const TransactionLog = require('../models/TransactionLog');
+const mpesaService = require('./mpesaService');
+const { allocatePaymentToInvoice } = require('./invoiceUtils');
+const { isTrustDeposit, creditPaymentToTrust } = require('./trustLedger');
+const { applyPaymentToPlan } = require('./paymentPlans');
+const { mpesaReconciliationConfig } = require('../config/billingConfig');
+const jobScheduler = require('./jobScheduler');
+
+const RECONCILIATION_SWEEP_JOB = 'mpesaReconciliationSweep';
+const PENDING_STATUSES = ['pending', 'processing'];
+const MINUTE_MS = 60 * 1000;
+
+// Allocate to the invoice, mark the plan instalment paid and credit client money
+// to trust; each skips work already done
+const settleCompletedPayment = async (payment) => {
+  try {
+    const invoice = await allocatePaymentToInvoice(payment);
+    if (invoice) {
+      console.log(`Payment ${payment._id} allocated to invoice ${invoice.invoiceNumber}. Balance: ${invoice.balance}`);
+    }
+  } catch (error) {
+    console.error(`Failed to allocate payment ${payment._id} to invoice:`, error);
+  }
+
+  try {
+    const plan = await applyPaymentToPlan(payment);
+    if (plan) {
+      console.log(`Payment ${payment._id} recorded against payment plan ${plan._id} (${plan.percentPaid}% paid)`);
+    }
+  } catch (error) {
+    console.error(`Failed to record payment ${payment._id} against its payment plan:`, error);
+  }
+
+  if (!isTrustDeposit(payment)) return;
+  try {
+    await creditPaymentToTrust(payment);
+    console.log(`Payment ${payment._id} credited to trust for case ${payment.caseId}`);
+  } catch (error) {
+    console.error(`Failed to credit payment ${payment._id} to trust:`, error);
+  }
+};
+
+/**
+ * Move a payment out of pending, unless something else already has
+ * The update only matches while the payment is in one of the given statuses,
+ * so when the callback and the sweep race only one of them wins.
+ * @param {Object} payment - Payment document
+ * @param {Array} statuses - Statuses the payment may still be in
+ * @param {Object} fields - Fields to set
+ * @returns {Object|null} Updated payment, or null if another caller won
+ */
+const closePayment = (payment, statuses, fields) => Payment.findOneAndUpdate(
+  { _id: payment._id, status: { $in: statuses } },
+  { $set: { ...fields, updatedAt: new Date() } },
+  { new: true }
+);
+
+/**
+ * Apply an STK Push result, from the callback or a status query, to its payment
+ * Only a pending payment takes the result, so a late callback can't undo or
+ * repeat what the reconciler settled. A success still completes a payment the
+ * reconciler timed out, since the customer has paid.
+ * @param {Object} payment - Payment document
+ * @param {Object} result - { resultCode, resultDesc, callbackMetadata }
+ * @returns {Object|null} Updated payment, or null if it was already settled
+ */
+const applySTKResult = async (payment, { resultCode, resultDesc, callbackMetadata }) => {
+  const code = Number(resultCode);
+  const now = new Date();
+  const fields = {
+    'mpesaDetails.resultCode': code,
+    'mpesaDetails.resultDesc': resultDesc,
+    'mpesaDetails.callbackReceived': true,
+    'mpesaDetails.callbackReceivedAt': now
+  };
+
+  if (code !== 0) {
+    const failed = await closePayment(payment, PENDING_STATUSES, {
+      ...fields,
+      status: 'failed',
+      failedAt: now,
+      'mpesaDetails.stkPushStatus': 'failed'
+    });
+    if (failed) {
+      console.log(`Payment ${payment._id} failed. Code: ${code}, Desc: ${resultDesc}`);
+    }
+    return failed;
+  }
+
+  // Only the callback carries the receipt; a status query just confirms success
+  if (callbackMetadata && callbackMetadata.Item) {
+    const metadata = {};
+    callbackMetadata.Item.forEach(item => {
+      metadata[item.Name] = item.Value;
+    });
+
+    fields['mpesaDetails.mpesaReceiptNumber'] = metadata.MpesaReceiptNumber;
+    fields['mpesaDetails.transactionDate'] = new Date(metadata.TransactionDate);
+    fields['mpesaDetails.phoneNumber'] = metadata.PhoneNumber;
+  }
+
+  const completed = await closePayment(payment, [...PENDING_STATUSES, 'timeout'], {
+    ...fields,
+    status: 'completed',
+    completedAt: now,
+    'mpesaDetails.stkPushStatus': 'success'
+  });
+  if (!completed) {
+    return null;
+  }
+  console.log(`Payment ${completed._id} completed successfully. Receipt: ${completed.mpesaDetails.mpesaReceiptNumber}`);
+
+  await settleCompletedPayment(completed);
+  return completed;
+};
+
+/**
+ * Query for STK pushes still pending past the threshold and due for another query
+ * @param {Date} now - Reference time
+ * @param {Object} config - Reconciliation settings (defaults to config/billingConfig)
+ * @returns {Object} Mongo filter
+ */
+const buildReconciliationQuery = (now = new Date(), config = mpesaReconciliationConfig) => ({
+  method: 'mpesa',
+  status: { $in: PENDING_STATUSES },
+  'mpesaDetails.checkoutRequestID': { $exists: true },
+  initiatedAt: { $lte: new Date(now.getTime() - config.queryAfterMinutes * MINUTE_MS) },
+  $or: [
+    { 'mpesaDetails.nextRetryAt': { $exists: false } },
+    { 'mpesaDetails.nextRetryAt': { $lte: now } }
+  ]
+});
+
+const logStatusQuery = (payment, { response = null, error = null, startTime }) =>
+  TransactionLog.logTransaction({
+    transactionId: payment.mpesaDetails.checkoutRequestID,
+    transactionType: 'STK_PUSH_QUERY',
+    paymentId: payment._id,
+    requestData: { checkoutRequestID: payment.mpesaDetails.checkoutRequestID, source: 'reconciliation' },
+    responseData: response || {},
+    statusCode: error ? 500 : 200,
+    duration: Date.now() - startTime,
+    success: !error,
+    errorMessage: error?.message,
+    mpesaRequestId: payment.mpesaDetails.merchantRequestID,
+    mpesaResponseCode: response ? String(response.resultCode) : undefined,
+    mpesaResponseDescription: response?.resultDesc,
+    environment: mpesaService.getEnvironment(),
+    isRetry: payment.mpesaDetails.retryCount > 0,
+    retryAttempt: payment.mpesaDetails.retryCount
+  });
+
+/**
+ * Query Daraja for one pending payment and apply the result
+ * Daraja answers with an error while the customer hasn't responded yet, so a
+ * failed query counts as a retry; the last one marks the payment timeout.
+ * @param {Object} payment - Pending M-Pesa payment document
+ * @returns {String} Outcome: completed, failed, retry or timeout
+ */
+const reconcilePayment = async (payment) => {
+  const startTime = Date.now();
+  let statusResponse;
+
+  try {
+    statusResponse = await mpesaService.querySTKPushStatus(payment.mpesaDetails.checkoutRequestID);
+  } catch (error) {
+    await logStatusQuery(payment, { error, startTime });
+    await payment.incrementRetry();
+    if (payment.mpesaDetails.retryCount >= payment.mpesaDetails.maxRetries) {
+      // The callback may have landed while the query was in flight
+      const timedOut = await closePayment(payment, PENDING_STATUSES, {
+        status: 'timeout',
+        failedAt: new Date(),
+        'mpesaDetails.stkPushStatus': 'timeout',
+        'mpesaDetails.resultDesc': `No STK Push result after ${payment.mpesaDetails.retryCount} status queries: ${error.message}`
+      });
+      return timedOut ? 'timeout' : 'settled';
+    }
+    return 'retry';
+  }
+
+  await logStatusQuery(payment, { response: statusResponse, startTime });
+
+  const updated = await applySTKResult(payment, statusResponse);
+  return updated ? updated.status : 'settled';
+};
+
+/**
+ * Reconcile every pending payment that is due, up to the batch size
+ * @param {Date} now - Reference time
+ * @param {Object} config - Reconciliation settings (defaults to config/billingConfig)
+ * @returns {Object} Count of payments per outcome
+ */
+const reconcilePendingPayments = async (now = new Date(), config = mpesaReconciliationConfig) => {
+  const payments = await Payment.find(buildReconciliationQuery(now, config))
+    .sort({ initiatedAt: 1 })
+    .limit(config.batchSize);
+
+  const summary = { checked: 0, completed: 0, failed: 0, retry: 0, timeout: 0, settled: 0 };
+  for (const payment of payments) {
+    try {
+      const outcome = await reconcilePayment(payment);
+      summary.checked++;
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    } catch (error) {
+      console.error(`Reconciliation error for payment ${payment._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Reconcile due payments every few minutes
+const reconciliationSweep = jobScheduler.scheduleRecurring(
+  RECONCILIATION_SWEEP_JOB,
+  mpesaReconciliationConfig.sweepMinutes,
+  () => reconcilePendingPayments()
+);
+
+module.exports = {
+  RECONCILIATION_SWEEP_JOB,
+  settleCompletedPayment,
+  applySTKResult,
+  buildReconciliationQuery,
+  reconcilePayment,
+  reconcilePendingPayments,
+  scheduleReconciliationSweep: reconciliationSweep.schedule,
+  runReconciliationSweep: reconciliationSweep.run
+};
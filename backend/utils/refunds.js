@@ -0,0 +1,623 @@
+// Refund workflow for LegalPro v1.0.1
+// A refund starts as a request. The requester's approval counts as the first;
+// refunds above the approval threshold need a second admin before any money
+// moves. Approved refunds are paid out by M-Pesa B2C and settled when the B2C
+// result arrives, or when a Transaction Status query confirms a payout that
+// sent no result. The amount is held against the original payment from the
+// request until it is paid out, rejected or confirmed failed, so partial
+// refunds can never add up to more than was paid. A paid-out refund comes back
+// off the invoice the payment was allocated to, or out of trust if the payment
+// was client money.
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const TransactionLog = require('../models/TransactionLog');
+const mpesaService = require('./mpesaService');
+const auditLogger = require('./auditLogger');
+const jobScheduler = require('./jobScheduler');
+const { reverseRefundedAllocation } = require('./invoiceUtils');
+const { withdrawRefundFromTrust } = require('./trustLedger');
+const { ErrorResponse } = require('./errorResponse');
+const { refundConfig } = require('../config/billingConfig');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+const STALE_REFUND_SWEEP_JOB = 'staleRefundSweep';
+// Transaction statuses that mean a payout never reached the client
+const FAILED_PAYOUT_STATUSES = ['Failed', 'Cancelled', 'Expired', 'Reversed'];
+const MINUTE_MS = 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * How many admins must approve a refund
+ * Splitting a large refund into small ones doesn't avoid the second approval.
+ * @param {Number} amount - Total refunded and held against the payment, this refund included
+ * @param {Object} config - Refund settings (defaults to config/billingConfig)
+ * @returns {Number} 1, or 2 above the threshold
+ */
+const requiredApprovalsFor = (amount, config = refundConfig) =>
+  amount > config.approvalThreshold ? 2 : 1;
+
+/**
+ * Amount of a payment still open to refund requests
+ * @param {Object} payment - Payment document
+ * @returns {Number}
+ */
+const refundableAmount = (payment) =>
+  Math.max(roundMoney(payment.amount - (payment.refundAmount || 0) - (payment.refundPending || 0)), 0);
+
+/**
+ * Status of a payment once a refund has been paid out
+ * @param {Object} payment - Payment with refundAmount updated
+ * @returns {String} refunded or partially_refunded
+ */
+const refundedStatus = (payment) =>
+  (payment.refundAmount || 0) >= payment.amount ? 'refunded' : 'partially_refunded';
+
+const auditRefund = (refund, action, user, details = {}) => auditLogger.log({
+  eventType: 'DATA_MODIFICATION',
+  action,
+  resource: 'Refund',
+  resourceId: refund._id.toString(),
+  userId: user?._id,
+  userEmail: user?.email,
+  userRole: user?.role,
+  status: action === 'REFUND_FAILED' ? 'FAILURE' : 'SUCCESS',
+  details: {
+    paymentId: refund.paymentId.toString(),
+    amount: refund.amount,
+    ...details
+  }
+});
+
+// Reserve the amount against the payment so concurrent requests can't overshoot it
+const holdRefundAmount = (paymentId, amount) => Payment.findOneAndUpdate(
+  {
+    _id: paymentId,
+    status: { $in: REFUNDABLE_STATUSES },
+    $expr: {
+      $lte: [
+        { $add: [{ $ifNull: ['$refundAmount', 0] }, { $ifNull: ['$refundPending', 0] }, amount] },
+        '$amount'
+      ]
+    }
+  },
+  { $inc: { refundPending: amount } },
+  { new: true }
+);
+
+const releaseRefundAmount = (refund) => Payment.updateOne(
+  { _id: refund.paymentId },
+  { $inc: { refundPending: -refund.amount } }
+);
+
+/**
+ * Pay out an approved refund by B2C
+ * The refund is claimed before the request goes out, so it is only ever sent once.
+ * @param {Object} refund - Refund document
+ * @param {Object} user - Admin whose approval completed the chain
+ * @returns {Object} Refund document
+ */
+const disburseRefund = async (refund, user) => {
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'approved' },
+    {
+      $set: {
+        status: 'disbursing',
+        'disbursement.initiatedAt': new Date(),
+        'disbursement.initiatedBy': user._id
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ErrorResponse('Refund is not awaiting payout', 409);
+  }
+
+  const startTime = Date.now();
+  const requestPayload = {
+    phoneNumber: claimed.phoneNumber,
+    amount: claimed.amount,
+    remarks: claimed.reason
+  };
+
+  try {
+    const response = await mpesaService.initiateB2CPayment(
+      claimed.phoneNumber,
+      claimed.amount,
+      claimed.reason.slice(0, 100),
+      'Refund'
+    );
+
+    claimed.disbursement.conversationID = response.conversationID;
+    claimed.disbursement.originatorConversationID = response.originatorConversationID;
+    claimed.disbursement.requestPayload = requestPayload;
+    claimed.disbursement.responsePayload = response;
+    await claimed.save();
+
+    await TransactionLog.logTransaction({
+      transactionId: response.conversationID,
+      transactionType: 'B2C_PAYMENT',
+      paymentId: claimed.paymentId,
+      userId: user._id,
+      requestData: { ...requestPayload, refundId: claimed._id },
+      responseData: response,
+      statusCode: 200,
+      duration: Date.now() - startTime,
+      success: true,
+      mpesaRequestId: response.originatorConversationID,
+      mpesaResponseCode: response.responseCode,
+      mpesaResponseDescription: response.responseDescription,
+      environment: mpesaService.getEnvironment()
+    });
+  } catch (error) {
+    console.error(`B2C payout for refund ${claimed._id} failed:`, error.message);
+    claimed.disbursement.requestPayload = requestPayload;
+    claimed.status = 'failed';
+    claimed.failedAt = new Date();
+    claimed.failureReason = `B2C request could not be sent: ${error.message}`;
+    await claimed.save();
+    await releaseRefundAmount(claimed);
+
+    await TransactionLog.logTransaction({
+      transactionId: `refund-failed-${claimed._id}`,
+      transactionType: 'B2C_PAYMENT',
+      paymentId: claimed.paymentId,
+      userId: user._id,
+      requestData: { ...requestPayload, refundId: claimed._id },
+      responseData: {},
+      statusCode: 500,
+      duration: Date.now() - startTime,
+      success: false,
+      errorMessage: error.message,
+      environment: mpesaService.getEnvironment()
+    });
+    await auditRefund(claimed, 'REFUND_FAILED', user, { reason: claimed.failureReason });
+  }
+
+  return claimed;
+};
+
+/**
+ * Raise a refund request against a completed payment
+ * Refunds that keep the payment's total refunded within the approval threshold
+ * are approved by the requester and paid out at once.
+ * @param {String} paymentId - Payment to refund
+ * @param {Object} data - { amount, reason, phoneNumber }
+ * @param {Object} user - Admin requesting the refund
+ * @param {Object} config - Refund settings (defaults to config/billingConfig)
+ * @returns {Object} Refund document
+ */
+const requestRefund = async (paymentId, { amount, reason, phoneNumber }, user, config = refundConfig) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw new ErrorResponse('Original payment not found', 404);
+  }
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new ErrorResponse('Can only refund completed payments', 400);
+  }
+
+  // B2C pays whole shillings, so the amount held is exactly the amount sent
+  const refundAmount = amount ? Number(amount) : Math.floor(refundableAmount(payment));
+  if (!Number.isInteger(refundAmount)) {
+    throw new ErrorResponse('Refund amount must be a whole number of shillings', 400);
+  }
+  if (refundAmount < 1) {
+    throw new ErrorResponse('This payment has nothing left to refund', 400);
+  }
+
+  const payTo = phoneNumber || payment.mpesaDetails?.phoneNumber;
+  if (!payTo) {
+    throw new ErrorResponse('Phone number is required to refund a payment not made by M-Pesa', 400);
+  }
+
+  const held = await holdRefundAmount(payment._id, refundAmount);
+  if (!held) {
+    throw new ErrorResponse(
+      `Refund exceeds the refundable amount of ${payment.currency} ${refundableAmount(payment).toLocaleString()}`,
+      400
+    );
+  }
+
+  const requiredApprovals = requiredApprovalsFor(roundMoney((held.refundAmount || 0) + held.refundPending), config);
+  const approved = requiredApprovals <= 1;
+  let refund;
+  try {
+    refund = await Refund.create({
+      paymentId: payment._id,
+      clientId: payment.clientId,
+      caseId: payment.caseId,
+      amount: refundAmount,
+      currency: payment.currency,
+      reason,
+      phoneNumber: mpesaService.formatPhoneNumber(payTo),
+      requestedBy: user._id,
+      requiredApprovals,
+      approvals: [{ userId: user._id }],
+      status: approved ? 'approved' : 'requested',
+      approvedAt: approved ? new Date() : undefined
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundPending: -refundAmount } });
+    throw error;
+  }
+
+  await auditRefund(refund, 'REFUND_REQUESTED', user, { reason, requiredApprovals });
+
+  return approved ? disburseRefund(refund, user) : refund;
+};
+
+/**
+ * Add an admin's approval; the last approval needed sends the payout
+ * @param {Object} refund - Refund document
+ * @param {Object} user - Approving admin
+ * @param {String} note - Optional note
+ * @returns {Object} Refund document
+ */
+const approveRefund = async (refund, user, note) => {
+  if (refund.status !== 'requested') {
+    throw new ErrorResponse(`Refund is ${refund.status}`, 409);
+  }
+  if (refund.approvals.some(approval => approval.userId.equals(user._id))) {
+    throw new ErrorResponse('A different administrator must approve this refund', 403);
+  }
+
+  // Only add the approval if no one else has decided the request meanwhile
+  const updated = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'requested', 'approvals.userId': { $ne: user._id } },
+    { $push: { approvals: { userId: user._id, approvedAt: new Date(), note } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ErrorResponse('Refund has already been decided', 409);
+  }
+
+  await auditRefund(updated, 'REFUND_APPROVED', user, { note, approvals: updated.approvals.length });
+
+  if (updated.approvals.length < updated.requiredApprovals) {
+    return updated;
+  }
+
+  const approved = await Refund.findOneAndUpdate(
+    { _id: updated._id, status: 'requested' },
+    { $set: { status: 'approved', approvedAt: new Date() } },
+    { new: true }
+  );
+  return approved ? disburseRefund(approved, user) : updated;
+};
+
+/**
+ * Turn down a refund request and release the amount it held
+ * @param {Object} refund - Refund document
+ * @param {Object} user - Rejecting admin
+ * @param {String} reason - Why it was rejected
+ * @returns {Object} Refund document
+ */
+const rejectRefund = async (refund, user, reason) => {
+  const rejected = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'requested' },
+    {
+      $set: {
+        status: 'rejected',
+        rejectedBy: user._id,
+        rejectedAt: new Date(),
+        rejectionReason: reason
+      }
+    },
+    { new: true }
+  );
+  if (!rejected) {
+    throw new ErrorResponse(`Refund is ${refund.status}`, 409);
+  }
+
+  await releaseRefundAmount(rejected);
+  await auditRefund(rejected, 'REFUND_REJECTED', user, { reason });
+  return rejected;
+};
+
+/**
+ * Mark a payout still disbursing as paid and take it off the original payment
+ * Only the caller that moves the refund out of disbursing applies it, so a
+ * repeated result is harmless.
+ * @param {Object} refund - Refund document
+ * @param {Object} fields - Result fields to record on the refund
+ * @returns {Object} Refund document
+ */
+const completeDisbursingRefund = async (refund, fields) => {
+  const now = new Date();
+  const settled = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'disbursing' },
+    { $set: { ...fields, status: 'disbursed', disbursedAt: now } },
+    { new: true }
+  );
+  if (!settled) {
+    return refund;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    { _id: settled.paymentId },
+    { $inc: { refundAmount: settled.amount, refundPending: -settled.amount } },
+    { new: true }
+  );
+  // The money has already left, so a failed reversal is recorded for an admin rather than undone
+  const reversalErrors = {};
+  if (payment) {
+    if (payment.trustTransactionId) {
+      try {
+        const withdrawal = await withdrawRefundFromTrust(payment, settled);
+        settled.trustTransactionId = withdrawal._id;
+        await settled.save();
+      } catch (error) {
+        console.error(`Trust withdrawal for refund ${settled._id} failed:`, error);
+        reversalErrors.trustError = error.message;
+      }
+    }
+
+    try {
+      await reverseRefundedAllocation(payment);
+    } catch (error) {
+      console.error(`Invoice reversal for refund ${settled._id} failed:`, error);
+      reversalErrors.invoiceError = error.message;
+    }
+
+    payment.status = refundedStatus(payment);
+    payment.refundReason = settled.reason;
+    payment.refundedBy = settled.requestedBy;
+    if (payment.status === 'refunded') {
+      payment.refundedAt = now;
+    }
+    await payment.save();
+  }
+
+  await auditRefund(settled, 'REFUND_DISBURSED', null, {
+    receipt: settled.disbursement.transactionReceipt,
+    paymentStatus: payment?.status,
+    trustTransactionId: settled.trustTransactionId?.toString(),
+    ...reversalErrors
+  });
+  return settled;
+};
+
+/**
+ * Fail a payout still disbursing and release the amount it held
+ * @param {Object} refund - Refund document
+ * @param {String} reason - Why the payout failed
+ * @param {Object} fields - Extra fields to record on the refund
+ * @returns {Object} Refund document
+ */
+const failDisbursingRefund = async (refund, reason, fields = {}) => {
+  const failed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'disbursing' },
+    { $set: { ...fields, status: 'failed', failedAt: new Date(), failureReason: reason } },
+    { new: true }
+  );
+  if (!failed) {
+    return refund;
+  }
+
+  await releaseRefundAmount(failed);
+  await auditRefund(failed, 'REFUND_FAILED', null, { reason });
+  return failed;
+};
+
+/**
+ * Apply a B2C result to its refund and the original payment
+ * Results for refunds no longer disbursing are ignored. A payout that timed
+ * out in Safaricom's queue is still disbursing, so a late result settles it.
+ * @param {Object} refund - Refund document
+ * @param {Object} result - { resultCode, resultDesc, resultParameters, callbackData }
+ * @returns {Object} Refund document
+ */
+const applyB2CResult = async (refund, { resultCode, resultDesc, resultParameters, callbackData }) => {
+  const fields = {
+    'disbursement.callbackPayload': callbackData,
+    'disbursement.callbackReceivedAt': new Date(),
+    'disbursement.resultCode': Number(resultCode),
+    'disbursement.resultDesc': resultDesc
+  };
+
+  if (Number(resultCode) !== 0) {
+    return failDisbursingRefund(refund, resultDesc, fields);
+  }
+
+  const parameters = mpesaService.parseResultParameters(resultParameters);
+  return completeDisbursingRefund(refund, {
+    ...fields,
+    'disbursement.transactionReceipt': parameters.TransactionReceipt || parameters.TransactionID
+  });
+};
+
+/**
+ * Record a queue timeout from Safaricom on the refund it belongs to
+ * A timeout doesn't say whether the payout went through, so the refund stays
+ * disbursing, with its hold, until a result or a status query settles it.
+ * @param {Object} callbackData - Timeout body from Safaricom
+ * @returns {Object|null} Refund document, or null if no payout is waiting on it
+ */
+const applyB2CTimeout = async (callbackData) => {
+  const { ConversationID, OriginatorConversationID } = callbackData?.Result || {};
+  const ids = [];
+  if (ConversationID) ids.push({ 'disbursement.conversationID': ConversationID });
+  if (OriginatorConversationID) ids.push({ 'disbursement.originatorConversationID': OriginatorConversationID });
+  if (!ids.length) return null;
+
+  return Refund.findOneAndUpdate(
+    { status: 'disbursing', $or: ids },
+    {
+      $set: {
+        'disbursement.callbackPayload': callbackData,
+        'disbursement.callbackReceivedAt': new Date(),
+        'disbursement.timedOutAt': new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+const logStatusQuery = (refund, { response = null, error = null, startTime }) => {
+  const attempts = refund.disbursement.statusQuery?.attempts || 0;
+  return TransactionLog.logTransaction({
+    transactionId: refund.disbursement.originatorConversationID,
+    transactionType: 'TRANSACTION_STATUS_QUERY',
+    paymentId: refund.paymentId,
+    requestData: {
+      originatorConversationID: refund.disbursement.originatorConversationID,
+      refundId: refund._id,
+      attempt: attempts + 1
+    },
+    responseData: response || {},
+    statusCode: error ? 500 : 200,
+    duration: Date.now() - startTime,
+    success: !error,
+    errorMessage: error?.message,
+    mpesaRequestId: response?.originatorConversationID,
+    mpesaResponseCode: response?.responseCode,
+    mpesaResponseDescription: response?.responseDescription,
+    environment: mpesaService.getEnvironment(),
+    isRetry: attempts > 0,
+    retryAttempt: attempts
+  });
+};
+
+/**
+ * Ask Daraja what became of a payout; the answer arrives at the B2C status result URL
+ * A failed query is left for the stale payout sweep to retry.
+ * @param {Object} refund - Refund still disbursing
+ * @returns {Object} The refund as updated
+ */
+const requestPayoutStatus = async (refund) => {
+  const startTime = Date.now();
+  let response = null;
+
+  try {
+    response = await mpesaService.queryB2CStatus(refund.disbursement.originatorConversationID);
+    await logStatusQuery(refund, { response, startTime });
+  } catch (error) {
+    console.error(`Transaction status query failed for refund ${refund._id}:`, error.message);
+    await logStatusQuery(refund, { error, startTime });
+  }
+
+  const update = {
+    $set: { 'disbursement.statusQuery.requestedAt': new Date() },
+    $inc: { 'disbursement.statusQuery.attempts': 1 }
+  };
+  if (response) {
+    update.$set['disbursement.statusQuery.conversationID'] = response.conversationID;
+  }
+
+  return await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'disbursing' },
+    update,
+    { new: true }
+  ) || refund;
+};
+
+/**
+ * Apply a Transaction Status result to the payout it was asked about
+ * A completed transaction settles the refund and a failed one releases its
+ * hold. Anything else, including an error from Daraja, leaves the refund
+ * disbursing for the sweep to query again.
+ * @param {Object} callbackData - Result body from Safaricom
+ * @returns {Object|null} Refund document, or null if no payout is waiting on this result
+ */
+const applyPayoutStatusResult = async (callbackData) => {
+  const { conversationID, resultCode, resultDesc, resultParameters } = mpesaService.validateCallbackData(callbackData);
+
+  const refund = await Refund.findOne({ 'disbursement.statusQuery.conversationID': conversationID, status: 'disbursing' });
+  if (!refund) return null;
+
+  const fields = {
+    'disbursement.statusQuery.resultCode': Number(resultCode),
+    'disbursement.statusQuery.resultDesc': resultDesc,
+    'disbursement.statusQuery.resultPayload': callbackData
+  };
+  const parameters = Number(resultCode) === 0 ? mpesaService.parseResultParameters(resultParameters) : {};
+
+  if (parameters.TransactionStatus === 'Completed') {
+    return completeDisbursingRefund(refund, {
+      ...fields,
+      'disbursement.transactionReceipt': parameters.ReceiptNo
+    });
+  }
+  if (FAILED_PAYOUT_STATUSES.includes(parameters.TransactionStatus)) {
+    return failDisbursingRefund(refund, `M-Pesa reports the payout as ${parameters.TransactionStatus}`, fields);
+  }
+
+  console.log(`Transaction status query for refund ${refund._id} was inconclusive: ${resultDesc}`);
+  return await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'disbursing' },
+    { $set: fields },
+    { new: true }
+  ) || refund;
+};
+
+/**
+ * Payouts with no B2C result that are due for a status query
+ * @param {Date} now - Reference time
+ * @param {Object} config - Refund settings (defaults to config/billingConfig)
+ * @returns {Object} Mongo filter
+ */
+const buildStaleRefundQuery = (now = new Date(), config = refundConfig) => {
+  const cutoff = new Date(now.getTime() - config.staleAfterMinutes * MINUTE_MS);
+  return {
+    status: 'disbursing',
+    'disbursement.originatorConversationID': { $exists: true },
+    'disbursement.initiatedAt': { $lte: cutoff },
+    'disbursement.statusQuery.attempts': { $not: { $gte: config.maxStatusQueries } },
+    $or: [
+      { 'disbursement.statusQuery.requestedAt': { $exists: false } },
+      { 'disbursement.statusQuery.requestedAt': { $lte: cutoff } }
+    ]
+  };
+};
+
+/**
+ * Query the status of payouts that never got a B2C result, up to the batch size
+ * Nothing is failed here; a payout stays disbursing, with its hold, until
+ * M-Pesa confirms what happened to it.
+ * @param {Date} now - Reference time
+ * @param {Object} config - Refund settings (defaults to config/billingConfig)
+ * @returns {Object} Count of payouts queried
+ */
+const queryStaleRefunds = async (now = new Date(), config = refundConfig) => {
+  const refunds = await Refund.find(buildStaleRefundQuery(now, config))
+    .sort({ 'disbursement.initiatedAt': 1 })
+    .limit(config.batchSize);
+
+  const summary = { queried: 0 };
+  for (const refund of refunds) {
+    try {
+      await requestPayoutStatus(refund);
+      summary.queried++;
+    } catch (error) {
+      console.error(`Stale refund sweep error for refund ${refund._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Query stale payouts every few minutes
+const staleRefundSweep = jobScheduler.scheduleRecurring(
+  STALE_REFUND_SWEEP_JOB,
+  refundConfig.sweepMinutes,
+  () => queryStaleRefunds()
+);
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  STALE_REFUND_SWEEP_JOB,
+  requiredApprovalsFor,
+  refundableAmount,
+  refundedStatus,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  disburseRefund,
+  applyB2CResult,
+  applyB2CTimeout,
+  applyPayoutStatusResult,
+  buildStaleRefundQuery,
+  queryStaleRefunds,
+  scheduleStaleRefundSweep: staleRefundSweep.schedule,
+  runStaleRefundSweep: staleRefundSweep.run
+};
@@ -0,0 +1,616 @@
+// Bank and M-Pesa statement import for LegalPro v1.0.1
+// Finance uploads the firm's bank statement (CSV or OFX) or the M-Pesa
+// organisation statement (CSV). Every money-in line is matched to a payment,
+// first by receipt or bank reference, then by amount and date. Nothing changes
+// on a payment until an admin confirms the match.
+const Payment = require('../models/Payment');
+const StatementImport = require('../models/StatementImport');
+const mpesaService = require('./mpesaService');
+const auditLogger = require('./auditLogger');
+const { settleCompletedPayment } = require('./paymentReconciliation');
+const { ErrorResponse } = require('./errorResponse');
+const { statementReconciliationConfig } = require('../config/billingConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01;
+
+// Payments a statement line can settle, by where the statement came from
+const METHODS_BY_SOURCE = {
+  bank_csv: ['bank_transfer', 'cash'],
+  bank_ofx: ['bank_transfer', 'cash'],
+  mpesa_csv: ['mpesa']
+};
+const MATCHABLE_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'timeout'];
+// A statement shows the money arrived, so these are worth a second look
+const UNSETTLED_STATUSES = ['failed', 'cancelled'];
+const SETTLED_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+// Column names seen on Kenyan bank exports and the M-Pesa portal, compared
+// with case, spaces and punctuation removed
+const COLUMN_ALIASES = {
+  date: ['date', 'transactiondate', 'trandate', 'valuedate', 'postingdate', 'bookingdate', 'completiontime'],
+  description: ['description', 'narration', 'narrative', 'details', 'particulars', 'transactiondetails'],
+  reference: ['receiptno', 'reference', 'referenceno', 'referencenumber', 'ref', 'transactionref', 'chequeno'],
+  credit: ['paidin', 'credit', 'credits', 'creditamount', 'moneyin', 'deposit', 'deposits'],
+  debit: ['withdrawn', 'debit', 'debits', 'debitamount', 'moneyout', 'withdrawal', 'withdrawals'],
+  amount: ['amount', 'transactionamount'],
+  status: ['transactionstatus', 'status'],
+  otherParty: ['otherpartyinfo', 'otherparty']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (value) => (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows of fields, honouring quotes
+ * @param {String} text - Raw CSV
+ * @returns {Array<Array<String>>} Rows with blank lines dropped
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+};
+
+/**
+ * Read a statement amount such as "1,250.00", "KES 2,500" or "(300.00)"
+ * @param {String} value - Amount as printed
+ * @returns {Number|null} Parsed amount, or null when blank
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let text = value.toString().trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[A-Za-z]+\.?/g, '').replace(/[^0-9.]/g, '');
+  if (!text) return null;
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Read a statement date; day-first, as Kenyan banks print them, and in Nairobi time
+ * Handles 2027-03-01, 01/03/2027, 01-03-2027, 01-Mar-2027 and 01 Mar 2027,
+ * each with an optional HH:mm[:ss] time.
+ * @param {String} value - Date as printed
+ * @returns {Date|null}
+ */
+const parseStatementDate = (value) => {
+  const text = (value || '').toString().trim();
+  if (!text) return null;
+
+  let year, month, day;
+  let rest;
+  let match;
+
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})[T\s]?(.*)$/.exec(text))) {
+    [, year, month, day, rest] = match;
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\s*(.*)$/.exec(text))) {
+    [, day, month, year, rest] = match;
+  } else if ((match = /^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})\s*(.*)$/.exec(text))) {
+    [, day, month, year, rest] = match;
+    month = MONTHS.indexOf(month.toLowerCase()) + 1;
+    if (!month) return null;
+  } else {
+    return null;
+  }
+
+  year = parseInt(year);
+  if (year < 100) year += 2000;
+  const time = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(rest || '') || [];
+  const pad = (number) => String(number || 0).padStart(2, '0');
+
+  const date = new Date(
+    `${year}-${pad(month)}-${pad(day)}T${pad(time[1])}:${pad(time[2])}:${pad(time[3])}+03:00`
+  );
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// "254708374149 - JANE DOE" on the M-Pesa statement
+const parseOtherParty = (value) => {
+  const match = /^\s*(\+?\d{9,12})\s*-\s*(.*)$/.exec(value || '');
+  if (!match) return { payerName: value || undefined };
+  return {
+    phoneNumber: mpesaService.formatPhoneNumber(match[1]),
+    payerName: match[2].trim() || undefined
+  };
+};
+
+// Map each known column to its index in the header row
+const mapColumns = (headerRow) => {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    for (const alias of aliases) {
+      const index = headers.indexOf(alias);
+      if (index !== -1) {
+        columns[key] = index;
+        break;
+      }
+    }
+  });
+  return columns;
+};
+
+/**
+ * Read money-in lines from a bank or M-Pesa CSV statement
+ * Bank exports often start with account details, so the header is the first
+ * row naming a date column and an amount column.
+ * @param {String} text - Raw CSV
+ * @param {String} source - 'bank_csv' or 'mpesa_csv'
+ * @returns {Array<Object>} Statement lines
+ */
+const parseCSVStatement = (text, source) => {
+  const rows = parseCSV(text);
+  const headerIndex = rows.findIndex(row => {
+    const columns = mapColumns(row);
+    return columns.date !== undefined && (columns.credit !== undefined || columns.amount !== undefined);
+  });
+  if (headerIndex === -1) {
+    throw new ErrorResponse('Could not find the date and amount columns in the statement', 400);
+  }
+
+  const columns = mapColumns(rows[headerIndex]);
+  const headers = rows[headerIndex];
+  const lines = [];
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const cell = (key) => (columns[key] !== undefined ? row[columns[key]] : undefined);
+
+    const status = (cell('status') || '').toLowerCase();
+    if (status && status !== 'completed') return;
+
+    const amount = columns.credit !== undefined ? parseAmount(cell('credit')) : parseAmount(cell('amount'));
+    if (!amount || amount <= 0) return;
+
+    const date = parseStatementDate(cell('date'));
+    if (!date) return;
+
+    const line = {
+      lineNumber: headerIndex + offset + 2,
+      date,
+      amount,
+      description: cell('description') || undefined,
+      reference: (cell('reference') || '').toUpperCase() || undefined,
+      raw: headers.reduce((raw, header, index) => {
+        if (header) raw[header] = row[index];
+        return raw;
+      }, {})
+    };
+
+    if (source === 'mpesa_csv' && columns.otherParty !== undefined) {
+      Object.assign(line, parseOtherParty(cell('otherParty')));
+    }
+
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+// OFX dates are YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]; default to Nairobi time
+const parseOFXDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+
+  const offsetHours = offset !== undefined ? parseFloat(offset) : 3;
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second) - offsetHours * 60 * 60 * 1000;
+  return new Date(utc);
+};
+
+/**
+ * Read credit transactions from an OFX/QFX bank statement
+ * Works with both the SGML (unclosed tags) and XML flavours.
+ * @param {String} text - Raw OFX
+ * @returns {Array<Object>} Statement lines
+ */
+const parseOFXStatement = (text) => {
+  const blocks = (text || '').split(/<STMTTRN>/i).slice(1)
+    .map(block => block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+  if (!blocks.length) {
+    throw new ErrorResponse('No transactions found in the OFX statement', 400);
+  }
+
+  const tag = (block, name) => {
+    const match = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? match[1].trim() : undefined;
+  };
+
+  const lines = [];
+  blocks.forEach((block, index) => {
+    const amount = parseAmount(tag(block, 'TRNAMT'));
+    if (!amount || amount <= 0) return;
+
+    const date = parseOFXDate(tag(block, 'DTPOSTED'));
+    if (!date) return;
+
+    const name = tag(block, 'NAME');
+    const memo = tag(block, 'MEMO');
+    lines.push({
+      lineNumber: index + 1,
+      date,
+      amount,
+      description: [name, memo].filter(Boolean).join(' - ') || undefined,
+      reference: (tag(block, 'REFNUM') || tag(block, 'CHECKNUM') || tag(block, 'FITID') || '').toUpperCase() || undefined,
+      payerName: name,
+      raw: {
+        TRNTYPE: tag(block, 'TRNTYPE'),
+        FITID: tag(block, 'FITID'),
+        NAME: name,
+        MEMO: memo
+      }
+    });
+  });
+
+  return lines;
+};
+
+/**
+ * Work out the statement type when the uploader didn't say
+ * @param {String} fileName - Uploaded file name
+ * @param {String} text - File contents
+ * @returns {String} One of StatementImport.STATEMENT_SOURCES
+ */
+const detectSource = (fileName, text) => {
+  if (/\.(ofx|qfx)$/i.test(fileName || '') || /<OFX>/i.test(text || '')) return 'bank_ofx';
+
+  const header = parseCSV((text || '').split(/\r?\n/).slice(0, 20).join('\n'))
+    .map(row => row.map(normalizeHeader));
+  const isMpesa = header.some(row => row.includes('receiptno') && row.includes('paidin'));
+  return isMpesa ? 'mpesa_csv' : 'bank_csv';
+};
+
+/**
+ * Parse a statement file into money-in lines
+ * @param {String} text - File contents
+ * @param {String} source - One of StatementImport.STATEMENT_SOURCES
+ * @returns {Array<Object>} Statement lines
+ */
+const parseStatement = (text, source) => {
+  const lines = source === 'bank_ofx' ? parseOFXStatement(text) : parseCSVStatement(text, source);
+
+  if (!lines.length) {
+    throw new ErrorResponse('The statement has no money-in lines to reconcile', 400);
+  }
+  if (lines.length > statementReconciliationConfig.maxLines) {
+    throw new ErrorResponse(`Statements are limited to ${statementReconciliationConfig.maxLines} lines; split the file by date`, 400);
+  }
+  return lines;
+};
+
+// When the money actually moved, as best the payment knows it
+const paymentDate = (payment) =>
+  payment.mpesaDetails?.transactionDate || payment.completedAt || payment.initiatedAt || payment.createdAt;
+
+/**
+ * List how a payment differs from the statement line it was matched to
+ * @param {Object} line - Statement line
+ * @param {Object} payment - Payment document
+ * @param {Object} config - statementReconciliationConfig
+ * @returns {Array<String>} e.g. ['amount', 'phone']
+ */
+const compareLineToPayment = (line, payment, config = statementReconciliationConfig) => {
+  const discrepancies = [];
+
+  if (Math.abs(payment.amount - line.amount) >= AMOUNT_TOLERANCE) {
+    discrepancies.push('amount');
+  }
+
+  const paidAt = paymentDate(payment);
+  if (line.date && paidAt && Math.abs(new Date(paidAt) - line.date) > config.dateToleranceDays * DAY_MS) {
+    discrepancies.push('date');
+  }
+
+  const paymentPhone = payment.mpesaDetails?.phoneNumber;
+  if (line.phoneNumber && paymentPhone &&
+      mpesaService.formatPhoneNumber(paymentPhone) !== mpesaService.formatPhoneNumber(line.phoneNumber)) {
+    discrepancies.push('phone');
+  }
+
+  if (UNSETTLED_STATUSES.includes(payment.status)) {
+    discrepancies.push('status');
+  }
+
+  if (payment.reconciliation?.reconciledAt) {
+    discrepancies.push('already_reconciled');
+  }
+
+  return discrepancies;
+};
+
+/**
+ * Match one statement line to a payment
+ * A receipt or bank reference match is trusted even when other fields differ
+ * (those are flagged as discrepancies). Otherwise a single unreconciled payment
+ * with the same amount, method and near enough date is a match; several are
+ * flagged as ambiguous.
+ * @param {Object} line - Statement line
+ * @param {String} source - Statement source
+ * @param {Object} options - { claimed: Set of payment ids already matched in this import, config }
+ * @returns {Object} { matchStatus, paymentId, matchedBy, discrepancies }
+ */
+const matchLine = async (line, source, { claimed = new Set(), config = statementReconciliationConfig } = {}) => {
+  if (line.reference) {
+    const byReference = await Payment.findOne({
+      $or: [
+        { 'mpesaDetails.mpesaReceiptNumber': line.reference },
+        { transactionId: line.reference }
+      ]
+    });
+
+    if (byReference && !claimed.has(byReference._id.toString())) {
+      const discrepancies = compareLineToPayment(line, byReference, config);
+      return {
+        matchStatus: discrepancies.length ? 'discrepancy' : 'matched',
+        paymentId: byReference._id,
+        matchedBy: 'receipt',
+        discrepancies
+      };
+    }
+  }
+
+  const window = config.dateToleranceDays * DAY_MS;
+  const candidates = await Payment.find({
+    method: { $in: METHODS_BY_SOURCE[source] },
+    status: { $in: MATCHABLE_STATUSES },
+    amount: { $gte: line.amount - AMOUNT_TOLERANCE, $lte: line.amount + AMOUNT_TOLERANCE },
+    createdAt: { $gte: new Date(line.date.getTime() - window), $lte: new Date(line.date.getTime() + window) },
+    'reconciliation.reconciledAt': { $exists: false }
+  }).limit(20);
+
+  const eligible = candidates.filter(payment => {
+    if (claimed.has(payment._id.toString())) return false;
+    // A receipt on the payment that differs from the line means it's a different payment
+    if (line.reference && payment.mpesaDetails?.mpesaReceiptNumber) return false;
+    return !compareLineToPayment(line, payment, config).includes('phone');
+  });
+
+  if (eligible.length === 1) {
+    const discrepancies = compareLineToPayment(line, eligible[0], config);
+    return {
+      matchStatus: discrepancies.length ? 'discrepancy' : 'matched',
+      paymentId: eligible[0]._id,
+      matchedBy: 'amount_date',
+      discrepancies
+    };
+  }
+
+  if (eligible.length > 1) {
+    // Suggest the closest in time; an admin has to pick
+    const closest = eligible.reduce((best, payment) =>
+      Math.abs(new Date(paymentDate(payment)) - line.date) < Math.abs(new Date(paymentDate(best)) - line.date)
+        ? payment
+        : best
+    );
+    return {
+      matchStatus: 'discrepancy',
+      paymentId: closest._id,
+      matchedBy: 'amount_date',
+      discrepancies: ['ambiguous']
+    };
+  }
+
+  return { matchStatus: 'unmatched', discrepancies: [] };
+};
+
+/**
+ * Parse, match and store an uploaded statement
+ * @param {Object} file - { originalname, buffer } from multer
+ * @param {String} source - Statement source, detected when not given
+ * @param {Object} user - Admin uploading the statement
+ * @returns {Object} Saved StatementImport
+ */
+const importStatement = async (file, source, user) => {
+  const text = file.buffer.toString('utf8');
+  const statementSource = source || detectSource(file.originalname, text);
+  const lines = parseStatement(text, statementSource);
+
+  const claimed = new Set();
+  for (const line of lines) {
+    const match = await matchLine(line, statementSource, { claimed });
+    Object.assign(line, match);
+    if (match.paymentId && match.matchStatus === 'matched') {
+      claimed.add(match.paymentId.toString());
+    }
+  }
+
+  const dates = lines.map(line => line.date.getTime());
+  const statement = await StatementImport.create({
+    source: statementSource,
+    fileName: file.originalname,
+    periodStart: new Date(Math.min(...dates)),
+    periodEnd: new Date(Math.max(...dates)),
+    lines,
+    uploadedBy: user._id
+  });
+
+  const { summary } = statement;
+  console.log(`Statement ${statement._id} imported: ${summary.matched} matched, ${summary.discrepancy} discrepancies, ${summary.unmatched} unmatched`);
+  return statement;
+};
+
+// Look up a line that is still waiting for review
+const getPendingLine = (statement, lineId) => {
+  const line = statement.lines.id(lineId);
+  if (!line) {
+    throw new ErrorResponse('Statement line not found', 404);
+  }
+  if (line.reviewStatus !== 'pending') {
+    throw new ErrorResponse(`Statement line has already been ${line.reviewStatus}`, 409);
+  }
+  return line;
+};
+
+/**
+ * Confirm a statement line against a payment
+ * The payment is completed if it wasn't already, stamped as reconciled, and
+ * the change recorded in the audit log.
+ * @param {Object} statement - StatementImport document
+ * @param {String} lineId - Statement line id
+ * @param {Object} options - { paymentId (to override the suggested match), note }
+ * @param {Object} user - Admin confirming the line
+ * @returns {Object} { statement, line, payment }
+ */
+const confirmStatementLine = async (statement, lineId, { paymentId, note } = {}, user) => {
+  const line = getPendingLine(statement, lineId);
+  const targetId = paymentId || line.paymentId;
+  if (!targetId) {
+    throw new ErrorResponse('Choose the payment this line belongs to', 400);
+  }
+
+  // Claim the payment so it can't be reconciled against two lines
+  const now = new Date();
+  const payment = await Payment.findOneAndUpdate(
+    { _id: targetId, 'reconciliation.reconciledAt': { $exists: false } },
+    {
+      $set: {
+        reconciliation: {
+          statementImportId: statement._id,
+          statementLineId: line._id,
+          reconciledAt: now,
+          reconciledBy: user._id
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!payment) {
+    const exists = await Payment.exists({ _id: targetId });
+    throw new ErrorResponse(exists ? 'Payment has already been reconciled' : 'Payment not found', exists ? 409 : 404);
+  }
+
+  const previousStatus = payment.status;
+  if (!SETTLED_STATUSES.includes(previousStatus)) {
+    payment.status = 'completed';
+    payment.completedAt = line.date || now;
+    if (payment.method === 'mpesa') {
+      if (!payment.mpesaDetails.mpesaReceiptNumber && line.reference) {
+        payment.mpesaDetails.mpesaReceiptNumber = line.reference;
+      }
+      payment.mpesaDetails.transactionDate = payment.mpesaDetails.transactionDate || line.date;
+      payment.mpesaDetails.stkPushStatus = 'success';
+    }
+
+    try {
+      await payment.save();
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id }, { $unset: { reconciliation: 1 } });
+      throw error;
+    }
+    await settleCompletedPayment(payment);
+  }
+
+  const manual = paymentId && (!line.paymentId || line.paymentId.toString() !== paymentId.toString());
+  line.set({
+    paymentId: payment._id,
+    matchStatus: manual ? 'matched' : line.matchStatus,
+    matchedBy: manual ? 'manual' : line.matchedBy,
+    reviewStatus: 'confirmed',
+    reviewedBy: user._id,
+    reviewedAt: now,
+    reviewNote: note
+  });
+  await statement.save();
+
+  await auditLogger.log({
+    eventType: 'DATA_MODIFICATION',
+    action: 'PAYMENT_RECONCILED',
+    resource: 'Payment',
+    resourceId: payment._id.toString(),
+    userId: user._id,
+    userEmail: user.email,
+    userRole: user.role,
+    status: 'SUCCESS',
+    details: {
+      statementImportId: statement._id.toString(),
+      statementLineId: line._id.toString(),
+      source: statement.source,
+      reference: line.reference,
+      amount: line.amount,
+      previousStatus,
+      newStatus: payment.status,
+      matchedBy: line.matchedBy,
+      discrepancies: line.discrepancies,
+      note
+    }
+  });
+
+  return { statement, line, payment };
+};
+
+/**
+ * Reject a suggested match, e.g. a line that isn't a client payment at all
+ * @param {Object} statement - StatementImport document
+ * @param {String} lineId - Statement line id
+ * @param {Object} options - { note }
+ * @param {Object} user - Admin rejecting the line
+ * @returns {Object} { statement, line }
+ */
+const rejectStatementLine = async (statement, lineId, { note } = {}, user) => {
+  const line = getPendingLine(statement, lineId);
+  line.set({
+    reviewStatus: 'rejected',
+    reviewedBy: user._id,
+    reviewedAt: new Date(),
+    reviewNote: note
+  });
+  await statement.save();
+  return { statement, line };
+};
+
+module.exports = {
+  parseCSV,
+  parseAmount,
+  parseStatementDate,
+  parseOFXDate,
+  parseCSVStatement,
+  parseOFXStatement,
+  detectSource,
+  parseStatement,
+  compareLineToPayment,
+  matchLine,
+  importStatement,
+  confirmStatementLine,
+  rejectStatementLine
+};
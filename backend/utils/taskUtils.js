@@ -0,0 +1,150 @@
+// Case task utility functions for LegalPro v1.0.1
+const Task = require('../models/Task');
+const { sendNotification } = require('./notificationService');
+const { toDateKey, daysBetween } = require('./courtCalendar');
+const jobScheduler = require('./jobScheduler');
+
+const TASK_REMINDER_SWEEP_JOB = 'taskReminderSweep';
+// Minutes between task reminder sweeps; each reminder level is still sent once
+const TASK_REMINDER_SWEEP_MINUTES = parseInt(process.env.TASK_REMINDER_SWEEP_MINUTES) || 60;
+
+/**
+ * Work out which reminder, if any, is due for a task
+ * Assignees hear the day before, on the day, and once a day while overdue.
+ * @param {Object} task - Task document
+ * @param {Date} now - Current time
+ * @returns {Object|null} { level, daysLeft } or null if nothing is due
+ */
+const getTaskReminder = (task, now = new Date()) => {
+  if (!Task.ACTIVE_TASK_STATUSES.includes(task.status) || !task.dueDate || !task.assignedTo) {
+    return null;
+  }
+
+  const daysLeft = daysBetween(now, task.dueDate);
+  const sent = task.reminders || [];
+
+  if (daysLeft < 0) {
+    const today = toDateKey(now);
+    const sentToday = sent.some(r => r.level === 'overdue' && toDateKey(r.sentAt) === today);
+    return sentToday ? null : { level: 'overdue', daysLeft };
+  }
+
+  const level = daysLeft === 0 ? 'due_today' : daysLeft === 1 ? 'due_soon' : null;
+  if (!level || sent.some(r => r.level === level)) return null;
+
+  return { level, daysLeft };
+};
+
+/**
+ * Template data shared by task notifications
+ * @param {Object} task - Task document
+ * @param {Object} caseItem - Case with caseNumber and title
+ * @param {Number} daysLeft - Days until due (optional)
+ * @returns {Object} Notification data
+ */
+const buildTaskNotificationData = (task, caseItem, daysLeft = null) => ({
+  taskTitle: task.title,
+  taskPriority: task.priority,
+  caseNumber: caseItem?.caseNumber,
+  caseTitle: caseItem?.title,
+  dueDate: task.dueDate ? toDateKey(task.dueDate) : 'No due date',
+  urgency: daysLeft === null
+    ? `Priority: ${task.priority}`
+    : daysLeft < 0
+      ? `OVERDUE by ${Math.abs(daysLeft)} day(s)`
+      : daysLeft === 0 ? 'Due TODAY' : `Due in ${daysLeft} day(s)`
+});
+
+/**
+ * Tell the assignee about a task someone else gave them
+ * Failures are logged rather than thrown so the task change itself still succeeds.
+ * @param {Object} task - Task document
+ * @param {Object} caseItem - Case with caseNumber and title
+ * @param {Object} assignee - User with contact details
+ * @param {Object} assigner - User making the assignment
+ */
+const notifyTaskAssigned = async (task, caseItem, assignee, assigner) => {
+  if (!assignee || assignee._id.toString() === assigner._id.toString()) return null;
+
+  try {
+    return await sendNotification(assignee, 'taskAssigned', {
+      ...buildTaskNotificationData(task, caseItem),
+      assignedBy: `${assigner.firstName} ${assigner.lastName}`
+    });
+  } catch (error) {
+    console.error('Error sending task assignment notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Send due and overdue reminders for open tasks to their assignees
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Object} Results of reminder sending
+ */
+const sendTaskReminders = async (now = new Date()) => {
+  try {
+    // Anything due by the end of tomorrow might need a reminder today
+    const horizon = new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+      status: { $in: Task.ACTIVE_TASK_STATUSES },
+      assignedTo: { $ne: null },
+      dueDate: { $lte: horizon }
+    })
+      .populate('assignedTo', 'firstName lastName email phone isActive')
+      .populate('caseId', 'caseNumber title isArchived');
+
+    const results = [];
+
+    for (const task of tasks) {
+      if (!task.caseId || task.caseId.isArchived || task.assignedTo?.isActive === false) continue;
+
+      const due = getTaskReminder(task, now);
+      if (!due) continue;
+
+      try {
+        const result = await sendNotification(
+          task.assignedTo,
+          'taskReminder',
+          buildTaskNotificationData(task, task.caseId, due.daysLeft)
+        );
+        results.push({ taskId: task._id, userId: task.assignedTo._id, level: due.level, result });
+      } catch (error) {
+        results.push({ taskId: task._id, userId: task.assignedTo._id, level: due.level, error: error.message });
+      }
+
+      task.reminders.push({ level: due.level, sentAt: now });
+      await task.save();
+    }
+
+    return {
+      success: true,
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    console.error('Error sending task reminders:', error);
+    throw error;
+  }
+};
+
+// Send due and overdue task reminders every few minutes
+const taskReminderSweep = jobScheduler.scheduleRecurring(
+  TASK_REMINDER_SWEEP_JOB,
+  TASK_REMINDER_SWEEP_MINUTES,
+  async () => {
+    const { processed } = await sendTaskReminders();
+    return { processed };
+  }
+);
+
+module.exports = {
+  TASK_REMINDER_SWEEP_JOB,
+  getTaskReminder,
+  buildTaskNotificationData,
+  notifyTaskAssigned,
+  sendTaskReminders,
+  scheduleTaskReminderSweep: taskReminderSweep.schedule,
+  runTaskReminderSweep: taskReminderSweep.run
+};
@@ -209,12 +209,21 @@ class TemplateEngine {
     const subjects = {
       'welcome': `Welcome to LegalPro, ${data.firstName || 'Valued Client'}!`,
       'appointment-confirmation': `Appointment Confirmed - ${data.appointmentDate || 'LegalPro'}`,
-      'appointment-reminder': `Appointment Reminder - Tomorrow at ${data.appointmentTime || 'Scheduled Time'}`,
+      'appointment-reminder': `Appointment Reminder - ${data.appointmentDate || 'Upcoming'} at ${data.appointmentTime || 'Scheduled Time'}`,
+      'appointment-rescheduled': `Appointment Rescheduled - ${data.appointmentDate || 'New Date'} at ${data.appointmentTime || 'New Time'}`,
+      'appointment-no-show': `We Missed You - ${data.title || 'Your Appointment'} on ${data.appointmentDate || 'Scheduled Date'}`,
+      'appointment-invitation': `Invitation - ${data.title || 'Appointment'} on ${data.appointmentDate || 'Scheduled Date'}`,
+      'no-show-review': `Did ${data.clientName || 'Your Client'} Attend? - ${data.title || 'Appointment'}`,
       'case-update': `Case Update: ${data.caseTitle || 'Your Case'}`,
       'payment-confirmation': `Payment Confirmed - KES ${data.amount || '0'}`,
+      'instalment-due': `${data.instalmentLabel || 'Instalment'} Due - KES ${data.amount || '0'} (${data.reference || 'Payment Plan'})`,
+      'instalment-missed': `Missed Payment - ${data.instalmentLabel || 'Instalment'} (${data.reference || 'Payment Plan'})`,
       'password-reset': 'Password Reset Request - LegalPro',
       'document-request': `Documents Required - ${data.caseTitle || 'Your Case'}`,
-      'hearing-notice': `Court Hearing Notice - ${data.caseTitle || 'Your Case'}`
+      'hearing-notice': `Court Hearing Notice - ${data.caseTitle || 'Your Case'}`,
+      'deadline-reminder': `Deadline ${data.urgency || 'Reminder'}: ${data.deadlineTitle || 'Case Deadline'} (${data.caseNumber || 'Case'})`,
+      'task-assigned': `New Task: ${data.taskTitle || 'Case Task'} (${data.caseNumber || 'Case'})`,
+      'task-reminder': `Task ${data.urgency || 'Reminder'}: ${data.taskTitle || 'Case Task'} (${data.caseNumber || 'Case'})`
     };
 
     return subjects[templateName] || `Notification from LegalPro`;
@@ -0,0 +1,314 @@
+// Client trust (escrow) ledger posting and reconciliation for LegalPro v1.0.1
+const TrustTransaction = require('../models/TrustTransaction');
+const TrustAccount = require('../models/TrustAccount');
+const Case = require('../models/Case');
+const { ErrorResponse } = require('./errorResponse');
+const { trustConfig, disbursementCategories } = require('../config/billingConfig');
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Journal lines for a posting. Deposits move money into the client account and
+ * onto the client's sub-ledger; everything else moves it back out.
+ */
+const buildJournalEntries = (type, clientId, caseId, amount) => {
+  const clientLine = { account: 'client_ledger', clientId, caseId };
+  const bankLine = { account: 'trust_bank' };
+
+  if (type === 'deposit') {
+    return [
+      { ...bankLine, debit: amount },
+      { ...clientLine, credit: amount }
+    ];
+  }
+  return [
+    { ...clientLine, debit: amount },
+    { ...bankLine, credit: amount }
+  ];
+};
+
+/**
+ * Post a balanced transaction and keep the sub-ledger balance in step.
+ * Debits are taken from the sub-ledger atomically first, so two concurrent
+ * payouts cannot both spend the same client money.
+ * @param {Object} data - Transaction fields (type, clientId, caseId, amount, ...)
+ * @returns {Object} Saved transaction
+ */
+const postTrustTransaction = async (data) => {
+  const amount = roundMoney(Number(data.amount));
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Amount must be positive', 400);
+  }
+
+  const transaction = new TrustTransaction({
+    ...data,
+    amount,
+    entries: buildJournalEntries(data.type, data.clientId, data.caseId, amount)
+  });
+  await transaction.validate();
+
+  if (data.type === 'deposit') {
+    await transaction.save();
+    await TrustAccount.credit(data.clientId, data.caseId, amount);
+    return transaction;
+  }
+
+  const account = await TrustAccount.debit(data.clientId, data.caseId, amount);
+  if (!account) {
+    const current = await TrustAccount.findOne({ clientId: data.clientId, caseId: data.caseId });
+    throw new ErrorResponse(
+      `Insufficient client funds: trust balance is ${roundMoney(current ? current.balance : 0)}`,
+      400,
+      'INSUFFICIENT_TRUST_FUNDS'
+    );
+  }
+
+  try {
+    await transaction.save();
+  } catch (error) {
+    await TrustAccount.credit(data.clientId, data.caseId, amount);
+    throw error;
+  }
+  return transaction;
+};
+
+/**
+ * Whether a completed payment is client money that should go straight to trust
+ * @param {Object} payment - Payment
+ * @returns {Boolean}
+ */
+const isTrustDeposit = (payment) =>
+  payment.status === 'completed' &&
+  Boolean(payment.caseId) &&
+  !payment.invoiceId &&
+  !payment.trustTransactionId &&
+  trustConfig.depositPaymentTypes.includes(payment.paymentType);
+
+/**
+ * Credit a completed payment to the paying client's sub-ledger for its case
+ * @param {Object} payment - Payment document
+ * @param {Object} options - { userId, description }
+ * @returns {Object} Deposit transaction
+ */
+const creditPaymentToTrust = async (payment, { userId = null, description } = {}) => {
+  if (payment.status !== 'completed') {
+    throw new ErrorResponse('Only completed payments can be credited to trust', 400);
+  }
+  if (!payment.caseId) {
+    throw new ErrorResponse('Payment must be linked to a case to be held in trust', 400);
+  }
+  if (payment.invoiceId) {
+    throw new ErrorResponse('Payment is already allocated to an invoice', 409);
+  }
+  if (payment.trustTransactionId) {
+    throw new ErrorResponse('Payment is already credited to trust', 409);
+  }
+
+  const caseItem = await Case.findById(payment.caseId).select('clientId');
+  if (!caseItem) {
+    throw new ErrorResponse('Case not found', 404);
+  }
+  if (caseItem.clientId.toString() !== payment.clientId.toString()) {
+    throw new ErrorResponse('Payment was made by a different client than the case client', 400);
+  }
+
+  let transaction;
+  try {
+    transaction = await postTrustTransaction({
+      type: 'deposit',
+      clientId: payment.clientId,
+      caseId: payment.caseId,
+      amount: payment.amount - (payment.refundAmount || 0),
+      currency: payment.currency,
+      paymentId: payment._id,
+      reference: payment.mpesaDetails?.mpesaReceiptNumber || payment.transactionId,
+      description: description || payment.description,
+      transactionDate: payment.transactionDate || payment.mpesaDetails?.transactionDate || new Date(),
+      recordedBy: userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ErrorResponse('Payment is already credited to trust', 409);
+    }
+    throw error;
+  }
+
+  payment.trustTransactionId = transaction._id;
+  await payment.save();
+  return transaction;
+};
+
+/**
+ * Move earned fees from the client's sub-ledger to the office account and apply
+ * them to the invoice
+ * @param {Object} invoice - Issued invoice
+ * @param {Object} options - { amount (defaults to the invoice balance), userId, description }
+ * @returns {Object} Transfer transaction
+ */
+const transferToOffice = async (invoice, { amount, userId = null, description } = {}) => {
+  if (!['issued', 'partially_paid'].includes(invoice.status)) {
+    throw new ErrorResponse(`Cannot transfer funds to a ${invoice.status} invoice`, 400);
+  }
+
+  const transferAmount = roundMoney(amount !== undefined ? amount : invoice.balance);
+  if (transferAmount > invoice.balance) {
+    throw new ErrorResponse('Transfer exceeds the invoice balance', 400);
+  }
+
+  const transaction = await postTrustTransaction({
+    type: 'transfer_to_office',
+    clientId: invoice.clientId,
+    caseId: invoice.caseId,
+    amount: transferAmount,
+    currency: invoice.currency,
+    invoiceId: invoice._id,
+    reference: invoice.invoiceNumber,
+    description: description || `Fees transferred to office against ${invoice.invoiceNumber}`,
+    recordedBy: userId
+  });
+
+  try {
+    await invoice.allocateTrustTransfer(transaction, userId);
+  } catch (error) {
+    // The invoice changed underneath us; undo this posting rather than leave money in limbo
+    await TrustTransaction.deleteOne({ _id: transaction._id });
+    await TrustAccount.credit(invoice.clientId, invoice.caseId, transaction.amount);
+    throw new ErrorResponse(error.message, 409);
+  }
+
+  return transaction;
+};
+
+/**
+ * Pay a third party (court, registry, valuer) out of the client's sub-ledger
+ * @param {Object} data - { clientId, caseId, amount, category, payee, reference, description, transactionDate, userId }
+ * @returns {Object} Disbursement transaction
+ */
+const recordDisbursement = ({ clientId, caseId, amount, category, payee, reference, description, transactionDate, userId = null }) =>
+  postTrustTransaction({
+    type: 'disbursement',
+    clientId,
+    caseId,
+    amount,
+    disbursement: { category, payee },
+    reference,
+    description: description || `${disbursementCategories[category]?.label || category} paid to ${payee}`,
+    transactionDate: transactionDate || new Date(),
+    recordedBy: userId
+  });
+
+/**
+ * Pay a refund of client money back out of the sub-ledger it was credited to
+ * @param {Object} payment - Payment credited to trust
+ * @param {Object} refund - Refund paid out by M-Pesa
+ * @returns {Object} Disbursement transaction
+ */
+const withdrawRefundFromTrust = (payment, refund) =>
+  postTrustTransaction({
+    type: 'disbursement',
+    clientId: payment.clientId,
+    caseId: payment.caseId,
+    amount: refund.amount,
+    currency: refund.currency,
+    paymentId: payment._id,
+    disbursement: { category: 'client_refund', payee: refund.phoneNumber },
+    reference: refund.disbursement?.transactionReceipt,
+    description: `Refund of ${payment.mpesaDetails?.mpesaReceiptNumber || 'payment'}: ${refund.reason}`.slice(0, 500),
+    transactionDate: refund.disbursedAt || new Date(),
+    recordedBy: refund.disbursement?.initiatedBy
+  });
+
+/**
+ * Trust account statement for one matter, oldest first, with a running balance
+ * @param {String} caseId - Case ID
+ * @returns {Object} { balance, transactions }
+ */
+const getCaseLedger = async (caseId) => {
+  const transactions = await TrustTransaction.find({ caseId })
+    .populate('recordedBy', 'firstName lastName')
+    .populate('invoiceId', 'invoiceNumber')
+    .sort({ transactionDate: 1, createdAt: 1 });
+
+  let balance = 0;
+  const rows = transactions.map(transaction => {
+    balance = roundMoney(balance + transaction.ledgerEffect);
+    return { ...transaction.toJSON(), runningBalance: balance };
+  });
+
+  return { balance, transactions: rows };
+};
+
+/**
+ * Three-way check of the client account: the journal balances, no client
+ * sub-ledger is overdrawn, and the running sub-ledger balances agree with the journal
+ * @param {Object} options - { asOf } report date (defaults to now)
+ * @returns {Object} Reconciliation report
+ */
+const buildReconciliationReport = async ({ asOf = null } = {}) => {
+  const tolerance = trustConfig.reconciliationTolerance;
+  const asOfDate = asOf ? new Date(asOf) : new Date();
+
+  const [subLedgers, trustBankBalance, unbalanced] = await Promise.all([
+    TrustTransaction.getSubLedgerBalances({}, asOfDate),
+    TrustTransaction.getTrustBankBalance(asOfDate),
+    TrustTransaction.aggregate([
+      { $match: { transactionDate: { $lte: asOfDate } } },
+      {
+        $project: {
+          debits: { $sum: '$entries.debit' },
+          credits: { $sum: '$entries.credit' }
+        }
+      },
+      { $match: { $expr: { $gt: [{ $abs: { $subtract: ['$debits', '$credits'] } }, tolerance] } } }
+    ])
+  ]);
+
+  const clientLedgerTotal = roundMoney(subLedgers.reduce((sum, ledger) => sum + ledger.balance, 0));
+  const negativeBalances = subLedgers.filter(ledger => ledger.balance < -tolerance);
+
+  // Running balances only describe the present, so compare them for current reports only
+  let mismatchedSubLedgers = [];
+  if (!asOf) {
+    const accounts = await TrustAccount.find({});
+    const journalByKey = new Map(subLedgers.map(ledger => [`${ledger.clientId}:${ledger.caseId}`, ledger.balance]));
+    mismatchedSubLedgers = accounts
+      .map(account => ({
+        clientId: account.clientId,
+        caseId: account.caseId,
+        accountBalance: roundMoney(account.balance),
+        journalBalance: journalByKey.get(`${account.clientId}:${account.caseId}`) || 0
+      }))
+      .filter(row => Math.abs(row.accountBalance - row.journalBalance) > tolerance);
+  }
+
+  const difference = roundMoney(trustBankBalance - clientLedgerTotal);
+  const reconciled = unbalanced.length === 0 &&
+    negativeBalances.length === 0 &&
+    mismatchedSubLedgers.length === 0 &&
+    Math.abs(difference) <= tolerance;
+
+  return {
+    asOf: asOfDate,
+    reconciled,
+    trustBankBalance,
+    clientLedgerTotal,
+    difference,
+    subLedgerCount: subLedgers.length,
+    subLedgers,
+    negativeBalances,
+    mismatchedSubLedgers,
+    unbalancedTransactions: unbalanced.map(transaction => transaction._id)
+  };
+};
+
+module.exports = {
+  buildJournalEntries,
+  postTrustTransaction,
+  isTrustDeposit,
+  creditPaymentToTrust,
+  transferToOffice,
+  recordDisbursement,
+  withdrawRefundFromTrust,
+  getCaseLedger,
+  buildReconciliationReport
+};
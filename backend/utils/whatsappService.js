@@ -175,6 +175,75 @@ Please ensure you arrive at least 30 minutes early. Bring all required documents
 
 Contact your advocate if you have any questions.
 
+- LegalPro Team`;
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  // Send case deadline reminder to staff
+  async sendDeadlineReminder(to, name, deadlineTitle, caseNumber, dueDate, urgency) {
+    const message = `Deadline Reminder ⏳
+
+Hi ${name},
+
+📋 ${deadlineTitle}
+📁 Case: ${caseNumber}
+🗓️ Due: ${dueDate}
+⚠️ ${urgency}
+
+Please action the deadline or update its status in the case file.
+
+- LegalPro Team`;
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  // Send case task assignment or due reminder to staff
+  async sendTaskReminder(to, name, taskTitle, caseNumber, dueDate, urgency) {
+    const message = `Task Reminder ✅
+
+Hi ${name},
+
+📋 ${taskTitle}
+📁 Case: ${caseNumber}
+🗓️ Due: ${dueDate}
+⚠️ ${urgency}
+
+Please complete the task or update it in the case file.
+
+- LegalPro Team`;
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  // Offer a freed appointment slot to a waitlisted client
+  async sendWaitlistOffer(to, clientName, advocateName, appointmentDate, appointmentTime, offerExpires) {
+    const message = `A Slot Has Opened Up 📅
+
+Hi ${clientName},
+
+👨‍💼 Advocate: ${advocateName}
+🗓️ Date: ${appointmentDate}
+⏰ Time: ${appointmentTime}
+
+We are holding this slot for you until ${offerExpires}. Open your LegalPro dashboard to book or decline it.
+
+- LegalPro Team`;
+
+    return await this.sendTextMessage(to, message);
+  }
+
+  // Let a client or advocate know an appointment has moved
+  async sendAppointmentRescheduled(to, name, title, appointmentDate, appointmentTime, previousDate, previousTime) {
+    const message = `Appointment Rescheduled 🔁
+
+Hi ${name},
+
+📋 ${title}
+🗓️ New date: ${appointmentDate}
+⏰ New time: ${appointmentTime}
+↩️ Was: ${previousDate} ${previousTime}
+
 - LegalPro Team`;
 
     return await this.sendTextMessage(to, message);
@@ -24,6 +24,7 @@ import NotFound from './pages/NotFound';
 import Cases from './pages/Cases';
 import AppointmentDashboard from './pages/appointments/AppointmentDashboard';
 import Messages from './pages/Messages';
+import MeetingRoom from './pages/MeetingRoom';
 import WhatsAppWidget from './components/whatsapp/WhatsAppWidget';
 
 // Protected Route Component
@@ -166,6 +167,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="meetings/:roomId"
+              element={
+                <ProtectedRoute>
+                  <MeetingRoom />
+                </ProtectedRoute>
+              }
+            />
 
             {/* Placeholder routes for future implementation */}
             <Route path="profile" element={<div className="min-h-screen flex items-center justify-center"><h1 className="text-2xl">Profile - Coming Soon</h1></div>} />
@@ -1,8 +1,27 @@
 // Appointment Booking Form Component for LegalPro v1.0.1
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Calendar, Clock, User, MapPin, FileText, AlertCircle, CheckCircle } from 'lucide-react';
-import { appointmentService, CreateAppointmentData, AvailableSlot } from '../../services/appointmentService';
+import { Calendar, Clock, User, MapPin, FileText, AlertCircle, CheckCircle, Repeat, Users, X, ClipboardList, Paperclip } from 'lucide-react';
+import {
+  appointmentService,
+  CreateAppointmentData,
+  AvailableSlot,
+  UnavailableOccurrence,
+  ParticipantInput,
+  ParticipantRole
+} from '../../services/appointmentService';
+import { resourceService, Resource } from '../../services/resourceService';
+import {
+  intakeFormService,
+  IntakeAnswerValue,
+  IntakeField,
+  IntakeFile,
+  IntakeForm,
+  PracticeArea,
+  PRACTICE_AREAS
+} from '../../services/intakeFormService';
+import { fileService } from '../../services/fileService';
+import { useAuth } from '../../contexts/AuthContext';
 import { userManagementService } from '../../services/userManagementService';
 import { caseService } from '../../services/caseService';
 import toast from 'react-hot-toast';
@@ -28,11 +47,26 @@ interface Case {
   caseNumber: string;
 }
 
+const PARTICIPANT_ROLES: Array<{ value: ParticipantRole; label: string }> = [
+  { value: 'advocate', label: 'Advocate' },
+  { value: 'client', label: 'Client' },
+  { value: 'opposing_counsel', label: 'Opposing Counsel' },
+  { value: 'witness', label: 'Witness' },
+  { value: 'interpreter', label: 'Interpreter' },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_GUEST: ParticipantInput = { name: '', email: '', role: 'witness' };
+
+const isBlankAnswer = (value: IntakeAnswerValue | undefined) =>
+  value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
 const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
   onSuccess,
   onCancel,
   prefilledData
 }) => {
+  const { user } = useAuth();
   const [step, setStep] = useState(1);
   const [loading, setLoading] = useState(false);
   const [advocates, setAdvocates] = useState<User[]>([]);
@@ -40,6 +74,14 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
   const [cases, setCases] = useState<Case[]>([]);
   const [availableSlots, setAvailableSlots] = useState<AvailableSlot[]>([]);
   const [loadingSlots, setLoadingSlots] = useState(false);
+  const [closedReason, setClosedReason] = useState<string | null>(null);
+  const [resources, setResources] = useState<Resource[]>([]);
+  const [guest, setGuest] = useState<ParticipantInput>(EMPTY_GUEST);
+  // Free/busy for the chosen slot, keyed by user or resource ID
+  const [busyIds, setBusyIds] = useState<Record<string, boolean>>({});
+  // Questionnaire for the chosen appointment type and practice area
+  const [intakeForm, setIntakeForm] = useState<IntakeForm | null>(null);
+  const [uploadingField, setUploadingField] = useState<string | null>(null);
 
   const [formData, setFormData] = useState<CreateAppointmentData>({
     title: '',
@@ -79,6 +121,25 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
     }
   }, [formData.advocateId, selectedDate]);
 
+  // Check who and what is free once a slot is chosen
+  useEffect(() => {
+    loadFreeBusy();
+  }, [formData.startDateTime, formData.endDateTime, formData.participants, formData.resources]);
+
+  // Find the intake questionnaire whenever the type or practice area changes
+  useEffect(() => {
+    loadIntakeForm();
+  }, [formData.type, formData.practiceArea]);
+
+  const loadIntakeForm = async () => {
+    try {
+      setIntakeForm(await intakeFormService.getMatchingForm(formData.type || 'consultation', formData.practiceArea));
+    } catch (error) {
+      console.error('Error loading intake form:', error);
+      setIntakeForm(null);
+    }
+  };
+
   const loadInitialData = async () => {
     try {
       const [advocatesRes, clientsRes, casesRes] = await Promise.all([
@@ -94,6 +155,79 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
       console.error('Error loading initial data:', error);
       toast.error('Failed to load form data');
     }
+
+    try {
+      setResources(await resourceService.getResources());
+    } catch (error) {
+      console.error('Error loading resources:', error);
+    }
+  };
+
+  const loadFreeBusy = async () => {
+    const userIds = (formData.participants || []).map(participant => participant.user).filter(Boolean) as string[];
+    const resourceIds = formData.resources || [];
+    if (!formData.startDateTime || !formData.endDateTime || (!userIds.length && !resourceIds.length)) {
+      setBusyIds({});
+      return;
+    }
+
+    try {
+      const freeBusy = await appointmentService.getFreeBusy(formData.startDateTime, formData.endDateTime, userIds, resourceIds);
+      setBusyIds(Object.fromEntries(
+        [...freeBusy.users, ...freeBusy.resources].map(entry => [entry.id, !entry.free])
+      ));
+    } catch (error) {
+      console.error('Error checking free/busy:', error);
+      setBusyIds({});
+    }
+  };
+
+  const addParticipant = (participant: ParticipantInput) => {
+    setFormData(prev => ({
+      ...prev,
+      participants: [...(prev.participants || []), participant]
+    }));
+  };
+
+  const removeParticipant = (index: number) => {
+    setFormData(prev => ({
+      ...prev,
+      participants: (prev.participants || []).filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleAddGuest = () => {
+    if (!guest.name?.trim()) {
+      toast.error('Enter the participant\'s name');
+      return;
+    }
+    addParticipant({ ...guest, name: guest.name.trim(), email: guest.email || undefined });
+    setGuest(EMPTY_GUEST);
+  };
+
+  const toggleResource = (id: string) => {
+    setFormData(prev => {
+      const selected = prev.resources || [];
+      return {
+        ...prev,
+        resources: selected.includes(id) ? selected.filter(resourceId => resourceId !== id) : [...selected, id]
+      };
+    });
+  };
+
+  const participantName = (participant: ParticipantInput) => {
+    if (!participant.user) return participant.name;
+    const person = [...advocates, ...clients].find(candidate => candidate._id === participant.user);
+    return person ? `${person.firstName} ${person.lastName}` : 'Unknown user';
+  };
+
+  const renderAvailabilityBadge = (id?: string) => {
+    if (!id || !formData.startDateTime || busyIds[id] === undefined) return null;
+    return busyIds[id] ? (
+      <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">Busy</span>
+    ) : (
+      <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">Free</span>
+    );
   };
 
   const loadAvailableSlots = async () => {
@@ -107,15 +241,32 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
         60 // Default 1 hour duration
       );
       setAvailableSlots(availability.availableSlots);
+      setClosedReason(availability.isWorkingDay ? null : availability.reason);
     } catch (error) {
       console.error('Error loading available slots:', error);
       toast.error('Failed to load available time slots');
       setAvailableSlots([]);
+      setClosedReason(null);
     } finally {
       setLoadingSlots(false);
     }
   };
 
+  const handleJoinWaitlist = async () => {
+    try {
+      const response = await appointmentService.joinWaitlist({
+        advocateId: formData.advocateId,
+        date: selectedDate,
+        clientId: formData.clientId || undefined,
+        title: formData.title || undefined,
+        type: formData.type
+      });
+      toast.success(response.message || 'Added to the waitlist');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to join the waitlist');
+    }
+  };
+
   const handleInputChange = (field: string, value: any) => {
     setFormData(prev => ({
       ...prev,
@@ -141,6 +292,43 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
     }));
   };
 
+  const handleIntakeAnswer = (key: string, value: IntakeAnswerValue) => {
+    setFormData(prev => ({
+      ...prev,
+      intakeAnswers: { ...prev.intakeAnswers, [key]: value }
+    }));
+    if (errors[`intake.${key}`]) {
+      setErrors(prev => ({ ...prev, [`intake.${key}`]: '' }));
+    }
+  };
+
+  // Upload supporting documents first; the answer lists the stored files
+  const handleIntakeFiles = async (field: IntakeField, files: FileList | null) => {
+    if (!files || files.length === 0) return;
+
+    setUploadingField(field.key);
+    try {
+      const uploaded: IntakeFile[] = [];
+      for (const file of Array.from(files)) {
+        const response = await fileService.uploadSingleFile(file, { type: 'documents', description: field.label });
+        if (response.file) {
+          uploaded.push({
+            name: response.file.originalName,
+            url: response.file.secureUrl,
+            publicId: response.file.cloudinaryId,
+            size: response.file.size
+          });
+        }
+      }
+      const existing = (formData.intakeAnswers?.[field.key] as IntakeFile[] | undefined) || [];
+      handleIntakeAnswer(field.key, [...existing, ...uploaded]);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to upload file');
+    } finally {
+      setUploadingField(null);
+    }
+  };
+
   const handleSlotSelection = (slot: AvailableSlot) => {
     setSelectedSlot(slot);
     setFormData(prev => ({
@@ -166,6 +354,18 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
       case 3:
         if (!formData.type) newErrors.type = 'Appointment type is required';
         if (!formData.location?.type) newErrors.locationType = 'Location type is required';
+        if (formData.isRecurring && !formData.recurrence?.endDate && !formData.recurrence?.occurrences) {
+          newErrors.recurrence = 'Choose an end date or a number of occurrences';
+        }
+        // Clients must answer the questionnaire; staff can leave it for the client
+        if (intakeForm && user?.role === 'client') {
+          intakeForm.fields.forEach(field => {
+            const value = formData.intakeAnswers?.[field.key];
+            if (field.required && (isBlankAnswer(value) || (field.type === 'checkbox' && value !== true))) {
+              newErrors[`intake.${field.key}`] = `${field.label} is required`;
+            }
+          });
+        }
         break;
     }
 
@@ -195,13 +395,37 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
         return;
       }
 
-      const response = await appointmentService.createAppointment(formData);
-      toast.success('Appointment booked successfully!');
+      // Answers only go with a booking that has a questionnaire
+      const response = await appointmentService.createAppointment({
+        ...formData,
+        intakeAnswers: intakeForm ? formData.intakeAnswers || {} : undefined
+      });
+      toast.success(formData.isRecurring ? response.message : 'Appointment booked successfully!');
       onSuccess?.(response.data);
     } catch (error: any) {
       console.error('Error creating appointment:', error);
+      const unavailable: UnavailableOccurrence[] | undefined = error.response?.data?.unavailableOccurrences;
+
+      // Offer to book the rest of a series when only some dates are taken
+      if (unavailable?.length) {
+        const dates = unavailable
+          .map(occurrence => `${new Date(occurrence.startDateTime).toLocaleDateString()} (${occurrence.reason})`)
+          .join('\n');
+        if (window.confirm(`These dates cannot be booked:\n${dates}\n\nBook the remaining occurrences?`)) {
+          try {
+            const response = await appointmentService.createAppointment({ ...formData, skipConflicts: true });
+            toast.success(response.message);
+            onSuccess?.(response.data);
+          } catch (retryError: any) {
+            toast.error(retryError.response?.data?.message || 'Failed to book appointment');
+          }
+        }
+        return;
+      }
+
       const message = error.response?.data?.message || 'Failed to book appointment';
-      toast.error(message);
+      const details: string[] | undefined = error.response?.data?.errors;
+      toast.error(details?.length && typeof details[0] === 'string' ? `${message}: ${details.join(', ')}` : message);
     } finally {
       setLoading(false);
     }
@@ -219,6 +443,145 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
     return maxDate.toISOString().split('T')[0];
   };
 
+  const renderIntakeField = (field: IntakeField) => {
+    const value = formData.intakeAnswers?.[field.key];
+    const error = errors[`intake.${field.key}`];
+    const inputClass = `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white ${
+      error ? 'border-red-500' : 'border-gray-300'
+    }`;
+    const label = `${field.label}${field.required ? ' *' : ''}`;
+
+    let input: React.ReactNode;
+    switch (field.type) {
+      case 'textarea':
+        input = (
+          <textarea
+            value={(value as string) || ''}
+            onChange={(e) => handleIntakeAnswer(field.key, e.target.value)}
+            rows={3}
+            maxLength={5000}
+            className={inputClass}
+          />
+        );
+        break;
+      case 'number':
+      case 'date':
+        input = (
+          <input
+            type={field.type}
+            value={(value as string | number | undefined) ?? ''}
+            onChange={(e) => handleIntakeAnswer(field.key, e.target.value)}
+            className={inputClass}
+          />
+        );
+        break;
+      case 'select':
+        input = (
+          <select
+            value={(value as string) || ''}
+            onChange={(e) => handleIntakeAnswer(field.key, e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Select...</option>
+            {field.options?.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+        break;
+      case 'multiselect': {
+        const chosen = (value as string[] | undefined) || [];
+        input = (
+          <div className="space-y-1">
+            {field.options?.map(option => (
+              <label key={option} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={chosen.includes(option)}
+                  onChange={(e) => handleIntakeAnswer(
+                    field.key,
+                    e.target.checked ? [...chosen, option] : chosen.filter(item => item !== option)
+                  )}
+                  className="mr-2"
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        );
+        break;
+      }
+      case 'checkbox':
+        return (
+          <div key={field.key}>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={value === true}
+                onChange={(e) => handleIntakeAnswer(field.key, e.target.checked)}
+                className="mr-2"
+              />
+              {label}
+            </label>
+            {field.helpText && <p className="mt-1 text-xs text-gray-500">{field.helpText}</p>}
+            {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+          </div>
+        );
+      case 'file': {
+        const files = (value as IntakeFile[] | undefined) || [];
+        input = (
+          <div className="space-y-2">
+            {files.map((file, index) => (
+              <div key={file.url} className="flex items-center text-sm text-gray-700">
+                <Paperclip className="w-4 h-4 mr-2" />
+                <span className="flex-1 truncate">{file.name}</span>
+                <button
+                  type="button"
+                  onClick={() => handleIntakeAnswer(field.key, files.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <input
+              type="file"
+              multiple
+              disabled={uploadingField === field.key}
+              onChange={(e) => {
+                handleIntakeFiles(field, e.target.files);
+                e.target.value = '';
+              }}
+              className="block text-sm text-gray-700"
+            />
+            {uploadingField === field.key && <p className="text-xs text-gray-500">Uploading...</p>}
+          </div>
+        );
+        break;
+      }
+      default:
+        input = (
+          <input
+            type="text"
+            value={(value as string) || ''}
+            onChange={(e) => handleIntakeAnswer(field.key, e.target.value)}
+            maxLength={5000}
+            className={inputClass}
+          />
+        );
+    }
+
+    return (
+      <div key={field.key}>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+        {input}
+        {field.helpText && <p className="mt-1 text-xs text-gray-500">{field.helpText}</p>}
+        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      </div>
+    );
+  };
+
   const renderStepIndicator = () => (
     <div className="flex items-center justify-center mb-8">
       {[1, 2, 3].map((stepNumber) => (
@@ -422,8 +785,17 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
           ) : (
             <div className="text-center py-8 text-gray-500">
               <Calendar className="w-12 h-12 mx-auto mb-2 text-gray-400" />
-              <p>No available slots for this date</p>
+              <p>{closedReason ? `The advocate is not available on this date (${closedReason})` : 'No available slots for this date'}</p>
               <p className="text-sm">Please select a different date</p>
+              {!closedReason && (
+                <button
+                  type="button"
+                  onClick={handleJoinWaitlist}
+                  className="mt-3 px-4 py-2 text-sm border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 transition-colors"
+                >
+                  Join the waitlist for this day
+                </button>
+              )}
             </div>
           )}
           {errors.slot && (
@@ -557,6 +929,242 @@ const AppointmentBookingForm: React.FC<AppointmentBookingFormProps> = ({
         />
       </div>
 
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Practice Area
+        </label>
+        <select
+          value={formData.practiceArea || ''}
+          onChange={(e) => handleInputChange('practiceArea', (e.target.value || undefined) as PracticeArea | undefined)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">Not sure / General</option>
+          {PRACTICE_AREAS.map(area => (
+            <option key={area} value={area}>{area}</option>
+          ))}
+        </select>
+      </div>
+
+      {intakeForm && (
+        <div className="border border-blue-200 bg-blue-50 p-4 rounded-lg space-y-4">
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 flex items-center">
+              <ClipboardList className="w-4 h-4 mr-2" />
+              {intakeForm.name}
+            </h4>
+            <p className="mt-1 text-sm text-gray-600">
+              {intakeForm.description || 'Please answer these questions so your advocate can prepare for the appointment.'}
+            </p>
+          </div>
+          {intakeForm.fields.map(field => renderIntakeField(field))}
+        </div>
+      )}
+
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={formData.isRecurring}
+            onChange={(e) => setFormData(prev => ({
+              ...prev,
+              isRecurring: e.target.checked,
+              recurrence: e.target.checked
+                ? prev.recurrence || { pattern: 'weekly', interval: 1, occurrences: 4 }
+                : undefined
+            }))}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <Repeat className="w-4 h-4 ml-2 text-gray-500" />
+          <span className="ml-1 text-sm font-medium text-gray-900">Repeat this appointment</span>
+        </label>
+
+        {formData.isRecurring && formData.recurrence && (
+          <div className="mt-3 ml-6 grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Every</label>
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  min={1}
+                  max={12}
+                  value={formData.recurrence.interval}
+                  onChange={(e) => handleInputChange('recurrence', {
+                    ...formData.recurrence,
+                    interval: Number(e.target.value)
+                  })}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                />
+                <select
+                  value={formData.recurrence.pattern}
+                  onChange={(e) => handleInputChange('recurrence', {
+                    ...formData.recurrence,
+                    pattern: e.target.value
+                  })}
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="daily">Day(s)</option>
+                  <option value="weekly">Week(s)</option>
+                  <option value="monthly">Month(s)</option>
+                  <option value="yearly">Year(s)</option>
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Number of occurrences</label>
+              <input
+                type="number"
+                min={2}
+                max={52}
+                value={formData.recurrence.occurrences || ''}
+                onChange={(e) => handleInputChange('recurrence', {
+                  ...formData.recurrence,
+                  occurrences: e.target.value ? Number(e.target.value) : undefined,
+                  endDate: undefined
+                })}
+                className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Or until</label>
+              <input
+                type="date"
+                min={selectedDate || getMinDate()}
+                value={formData.recurrence.endDate || ''}
+                onChange={(e) => handleInputChange('recurrence', {
+                  ...formData.recurrence,
+                  endDate: e.target.value || undefined,
+                  occurrences: undefined
+                })}
+                className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          </div>
+        )}
+        {errors.recurrence && (
+          <p className="mt-2 ml-6 text-sm text-red-600">{errors.recurrence}</p>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <h4 className="font-medium text-gray-900 mb-1 flex items-center">
+          <Users className="w-4 h-4 mr-2" />
+          Other Participants
+        </h4>
+        <p className="text-xs text-gray-500 mb-3">
+          Everyone listed is invited and checked for clashes along with the advocate.
+        </p>
+
+        {(formData.participants || []).length > 0 && (
+          <ul className="space-y-2 mb-3">
+            {(formData.participants || []).map((participant, index) => (
+              <li key={participant.user || `${participant.name}-${index}`} className="flex items-center justify-between bg-white px-3 py-2 rounded-lg border border-gray-200">
+                <div className="text-sm">
+                  <span className="font-medium text-gray-900">{participantName(participant)}</span>
+                  <span className="ml-2 text-gray-500">
+                    {PARTICIPANT_ROLES.find(role => role.value === participant.role)?.label}
+                  </span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {renderAvailabilityBadge(participant.user)}
+                  <button
+                    type="button"
+                    onClick={() => removeParticipant(index)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove participant"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <select
+          value=""
+          onChange={(e) => {
+            const person = [...advocates, ...clients].find(candidate => candidate._id === e.target.value);
+            if (person) {
+              addParticipant({ user: person._id, role: person.role === 'advocate' ? 'advocate' : 'client' });
+            }
+          }}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 mb-3"
+        >
+          <option value="">Add someone with a LegalPro account...</option>
+          {[...advocates, ...clients]
+            .filter(person =>
+              person._id !== formData.clientId &&
+              person._id !== formData.advocateId &&
+              !(formData.participants || []).some(participant => participant.user === person._id))
+            .map(person => (
+              <option key={person._id} value={person._id}>
+                {person.firstName} {person.lastName} ({person.role})
+              </option>
+            ))}
+        </select>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+          <input
+            type="text"
+            value={guest.name}
+            onChange={(e) => setGuest(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Outside participant's name"
+            className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="email"
+            value={guest.email}
+            onChange={(e) => setGuest(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="Email (optional)"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <select
+            value={guest.role}
+            onChange={(e) => setGuest(prev => ({ ...prev, role: e.target.value as ParticipantRole }))}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {PARTICIPANT_ROLES.map(role => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="button"
+          onClick={handleAddGuest}
+          className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+        >
+          + Add outside participant
+        </button>
+      </div>
+
+      {resources.length > 0 && (
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <h4 className="font-medium text-gray-900 mb-3">Rooms and Equipment</h4>
+          <div className="space-y-2">
+            {resources.map(resource => (
+              <label key={resource._id} className="flex items-center justify-between">
+                <span className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={(formData.resources || []).includes(resource._id)}
+                    onChange={() => toggleResource(resource._id)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">
+                    {resource.name}
+                    {resource.capacity ? ` (seats ${resource.capacity})` : ''}
+                    {resource.location ? ` - ${resource.location}` : ''}
+                  </span>
+                </span>
+                {renderAvailabilityBadge(resource._id)}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="bg-gray-50 p-4 rounded-lg">
         <h4 className="font-medium text-gray-900 mb-3">Reminder Settings</h4>
         <div className="space-y-3">
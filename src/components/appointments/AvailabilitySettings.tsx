@@ -0,0 +1,472 @@
+// Advocate working hours, leave and holiday calendar editor for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Plus, Trash2, Save, CalendarOff, Coffee, Sun } from 'lucide-react';
+import {
+  availabilityService,
+  AvailabilityProfile,
+  AvailabilityBreak,
+  AffectedAppointment,
+  Holiday,
+  LeaveType,
+  WeeklyHours
+} from '../../services/availabilityService';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+interface AvailabilitySettingsProps {
+  advocateId: string;
+  onClose: () => void;
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const LEAVE_TYPES: LeaveType[] = ['annual', 'sick', 'court', 'training', 'other'];
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const AvailabilitySettings: React.FC<AvailabilitySettingsProps> = ({ advocateId, onClose }) => {
+  const { user } = useAuth();
+  const [profile, setProfile] = useState<AvailabilityProfile | null>(null);
+  const [weeklyHours, setWeeklyHours] = useState<WeeklyHours[]>([]);
+  const [breaks, setBreaks] = useState<AvailabilityBreak[]>([]);
+  const [slotInterval, setSlotInterval] = useState<AvailabilityProfile['slotInterval']>(30);
+  const [holidays, setHolidays] = useState<Holiday[]>([]);
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const [newOverride, setNewOverride] = useState({ date: '', isClosed: true, start: '09:00', end: '13:00', reason: '' });
+  const [newLeave, setNewLeave] = useState({ startDate: '', endDate: '', type: 'annual' as LeaveType, reason: '' });
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '', type: 'public' as Holiday['type'] });
+
+  useEffect(() => {
+    loadProfile();
+  }, [advocateId]);
+
+  useEffect(() => {
+    loadHolidays();
+  }, [year]);
+
+  const applyProfile = (data: AvailabilityProfile) => {
+    setProfile(data);
+    setWeeklyHours(data.weeklyHours);
+    setBreaks(data.breaks);
+    setSlotInterval(data.slotInterval);
+  };
+
+  const loadProfile = async () => {
+    try {
+      setLoading(true);
+      applyProfile(await availabilityService.getProfile(advocateId));
+    } catch (error) {
+      console.error('Error loading availability:', error);
+      toast.error('Failed to load availability');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadHolidays = async () => {
+    try {
+      setHolidays(await availabilityService.getHolidays(year));
+    } catch (error) {
+      console.error('Error loading holidays:', error);
+    }
+  };
+
+  // Bookings already made for a period that has just been closed
+  const warnAboutAppointments = (appointments: AffectedAppointment[]) => {
+    if (appointments.length > 0) {
+      toast(`${appointments.length} booked appointment(s) fall in this period and need rescheduling`, { icon: '⚠️' });
+    }
+  };
+
+  const updateHours = (index: number, field: 'start' | 'end', value: string) => {
+    setWeeklyHours(prev => prev.map((hours, i) => (i === index ? { ...hours, [field]: value } : hours)));
+  };
+
+  const updateBreak = (index: number, changes: Partial<AvailabilityBreak>) => {
+    setBreaks(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleSaveHours = async () => {
+    try {
+      setSaving(true);
+      applyProfile(await availabilityService.updateProfile(advocateId, { weeklyHours, breaks, slotInterval }));
+      toast.success('Working hours saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to save working hours');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddOverride = async () => {
+    if (!newOverride.date) {
+      toast.error('Choose a date');
+      return;
+    }
+
+    try {
+      const result = await availabilityService.addOverride(advocateId, {
+        date: newOverride.date,
+        isClosed: newOverride.isClosed,
+        hours: newOverride.isClosed ? [] : [{ start: newOverride.start, end: newOverride.end }],
+        reason: newOverride.reason || undefined
+      });
+      applyProfile(result.data);
+      warnAboutAppointments(result.affectedAppointments);
+      setNewOverride(prev => ({ ...prev, date: '', reason: '' }));
+      toast.success('Date override saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to save date override');
+    }
+  };
+
+  const handleAddLeave = async () => {
+    if (!newLeave.startDate || !newLeave.endDate) {
+      toast.error('Choose the first and last day of leave');
+      return;
+    }
+
+    try {
+      const result = await availabilityService.addLeave(advocateId, {
+        ...newLeave,
+        reason: newLeave.reason || undefined
+      });
+      applyProfile(result.data);
+      warnAboutAppointments(result.affectedAppointments);
+      setNewLeave({ startDate: '', endDate: '', type: 'annual', reason: '' });
+      toast.success('Leave recorded');
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to record leave');
+    }
+  };
+
+  const handleRemove = async (remove: () => Promise<AvailabilityProfile>, message: string) => {
+    try {
+      applyProfile(await remove());
+      toast.success(message);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to remove entry');
+    }
+  };
+
+  const handleAddHoliday = async () => {
+    if (!newHoliday.date || !newHoliday.name.trim()) {
+      toast.error('Give the holiday a date and a name');
+      return;
+    }
+
+    try {
+      await availabilityService.addHoliday({ ...newHoliday, name: newHoliday.name.trim() });
+      setNewHoliday({ date: '', name: '', type: 'public' });
+      toast.success('Holiday added');
+      loadHolidays();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to add holiday');
+    }
+  };
+
+  const handleRemoveHoliday = async (holiday: Holiday) => {
+    if (!holiday._id || !window.confirm(`Remove ${holiday.name} from the holiday calendar?`)) {
+      return;
+    }
+
+    try {
+      await availabilityService.removeHoliday(holiday._id);
+      toast.success('Holiday removed');
+      loadHolidays();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to remove holiday');
+    }
+  };
+
+  if (loading || !profile) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-2 text-gray-600">Loading availability...</span>
+      </div>
+    );
+  }
+
+  const canEdit = Boolean(profile.canEdit);
+  const canManageHolidays = user?.role === 'advocate' || (user?.role === 'admin' && user.permissions?.canScheduleAppointments);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <button onClick={onClose} className="mr-3 text-gray-500 hover:text-gray-700" title="Back">
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Availability</h1>
+            <p className="text-gray-600 text-sm">
+              Clients can only book inside these hours.
+              {profile.isDefault && ' You are on the default weekday hours until you save your own.'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Weekly hours and breaks */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Weekly Hours</h2>
+        <div className="space-y-2">
+          {DAY_NAMES.map((dayName, dayOfWeek) => {
+            const periods = weeklyHours
+              .map((hours, index) => ({ hours, index }))
+              .filter(({ hours }) => hours.dayOfWeek === dayOfWeek);
+            return (
+              <div key={dayName} className="flex items-start">
+                <span className="w-28 pt-2 text-sm font-medium text-gray-700">{dayName}</span>
+                <div className="flex-1 space-y-2">
+                  {periods.length === 0 && <p className="pt-2 text-sm text-gray-400">Not working</p>}
+                  {periods.map(({ hours, index }) => (
+                    <div key={index} className="flex items-center space-x-2">
+                      <input type="time" value={hours.start} disabled={!canEdit} onChange={(e) => updateHours(index, 'start', e.target.value)} className={inputClass} aria-label={`${dayName} start`} />
+                      <span className="text-gray-500">to</span>
+                      <input type="time" value={hours.end} disabled={!canEdit} onChange={(e) => updateHours(index, 'end', e.target.value)} className={inputClass} aria-label={`${dayName} end`} />
+                      {canEdit && (
+                        <button onClick={() => setWeeklyHours(prev => prev.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-600" title="Remove hours">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {canEdit && (
+                  <button
+                    onClick={() => setWeeklyHours(prev => [...prev, { dayOfWeek, start: '08:00', end: '17:00' }])}
+                    className="pt-2 text-sm text-blue-600 hover:text-blue-800 flex items-center"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add hours
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="border-t border-gray-200 pt-4">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+            <Coffee className="w-4 h-4 mr-1" />
+            Breaks
+          </h3>
+          <div className="space-y-2">
+            {breaks.map((item, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <select
+                  value={item.dayOfWeek === null ? '' : item.dayOfWeek}
+                  disabled={!canEdit}
+                  onChange={(e) => updateBreak(index, { dayOfWeek: e.target.value === '' ? null : Number(e.target.value) })}
+                  className={inputClass}
+                  aria-label="Break day"
+                >
+                  <option value="">Every day</option>
+                  {DAY_NAMES.map((dayName, dayOfWeek) => (
+                    <option key={dayName} value={dayOfWeek}>{dayName}</option>
+                  ))}
+                </select>
+                <input type="time" value={item.start} disabled={!canEdit} onChange={(e) => updateBreak(index, { start: e.target.value })} className={inputClass} aria-label="Break start" />
+                <span className="text-gray-500">to</span>
+                <input type="time" value={item.end} disabled={!canEdit} onChange={(e) => updateBreak(index, { end: e.target.value })} className={inputClass} aria-label="Break end" />
+                <input type="text" value={item.label || ''} disabled={!canEdit} onChange={(e) => updateBreak(index, { label: e.target.value })} placeholder="Label" className={inputClass} />
+                {canEdit && (
+                  <button onClick={() => setBreaks(prev => prev.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-600" title="Remove break">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => setBreaks(prev => [...prev, { dayOfWeek: null, start: '13:00', end: '14:00', label: '' }])}
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800 flex items-center"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add break
+            </button>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+          <label className="text-sm text-gray-700 flex items-center">
+            Offer a slot every
+            <select
+              value={slotInterval}
+              disabled={!canEdit}
+              onChange={(e) => setSlotInterval(Number(e.target.value) as AvailabilityProfile['slotInterval'])}
+              className={`${inputClass} mx-2`}
+            >
+              <option value={15}>15</option>
+              <option value={30}>30</option>
+              <option value={60}>60</option>
+            </select>
+            minutes
+          </label>
+          {canEdit && (
+            <button
+              onClick={handleSaveHours}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center disabled:opacity-50"
+            >
+              <Save className="w-4 h-4 mr-2" />
+              Save Hours
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Date overrides */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Date Overrides</h2>
+          <ul className="divide-y divide-gray-200">
+            {profile.overrides.length === 0 && <li className="py-2 text-sm text-gray-500">No overrides</li>}
+            {[...profile.overrides].sort((a, b) => a.date.localeCompare(b.date)).map(override => (
+              <li key={override._id} className="py-2 flex items-center justify-between text-sm">
+                <span>
+                  <span className="font-medium text-gray-900">{override.date}</span>
+                  {' — '}
+                  {override.isClosed ? 'Closed' : override.hours.map(hours => `${hours.start}–${hours.end}`).join(', ')}
+                  {override.reason && <span className="text-gray-500"> ({override.reason})</span>}
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => handleRemove(() => availabilityService.removeOverride(advocateId, override._id), 'Override removed')}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove override"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {canEdit && (
+            <div className="space-y-2 border-t border-gray-200 pt-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <input type="date" value={newOverride.date} onChange={(e) => setNewOverride(prev => ({ ...prev, date: e.target.value }))} className={inputClass} aria-label="Override date" />
+                <label className="flex items-center text-sm text-gray-700">
+                  <input type="checkbox" checked={newOverride.isClosed} onChange={(e) => setNewOverride(prev => ({ ...prev, isClosed: e.target.checked }))} className="mr-1" />
+                  Closed all day
+                </label>
+              </div>
+              {!newOverride.isClosed && (
+                <div className="flex items-center space-x-2">
+                  <input type="time" value={newOverride.start} onChange={(e) => setNewOverride(prev => ({ ...prev, start: e.target.value }))} className={inputClass} aria-label="Override start" />
+                  <span className="text-gray-500">to</span>
+                  <input type="time" value={newOverride.end} onChange={(e) => setNewOverride(prev => ({ ...prev, end: e.target.value }))} className={inputClass} aria-label="Override end" />
+                </div>
+              )}
+              <input type="text" value={newOverride.reason} onChange={(e) => setNewOverride(prev => ({ ...prev, reason: e.target.value }))} placeholder="Reason (e.g. High Court hearing)" className={`${inputClass} w-full`} />
+              <button onClick={handleAddOverride} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+                <Plus className="w-4 h-4 mr-2" />
+                Add Override
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Leave */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <CalendarOff className="w-5 h-5 mr-2" />
+            Leave
+          </h2>
+          <ul className="divide-y divide-gray-200">
+            {profile.leave.length === 0 && <li className="py-2 text-sm text-gray-500">No leave recorded</li>}
+            {[...profile.leave].sort((a, b) => a.startDate.localeCompare(b.startDate)).map(period => (
+              <li key={period._id} className="py-2 flex items-center justify-between text-sm">
+                <span>
+                  <span className="font-medium text-gray-900">{period.startDate} to {period.endDate}</span>
+                  <span className="text-gray-500"> — {period.type}{period.reason && `, ${period.reason}`}</span>
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => handleRemove(() => availabilityService.removeLeave(advocateId, period._id), 'Leave removed')}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove leave"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {canEdit && (
+            <div className="space-y-2 border-t border-gray-200 pt-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <input type="date" value={newLeave.startDate} onChange={(e) => setNewLeave(prev => ({ ...prev, startDate: e.target.value }))} className={inputClass} aria-label="Leave start" />
+                <span className="text-gray-500">to</span>
+                <input type="date" value={newLeave.endDate} min={newLeave.startDate} onChange={(e) => setNewLeave(prev => ({ ...prev, endDate: e.target.value }))} className={inputClass} aria-label="Leave end" />
+                <select value={newLeave.type} onChange={(e) => setNewLeave(prev => ({ ...prev, type: e.target.value as LeaveType }))} className={inputClass} aria-label="Leave type">
+                  {LEAVE_TYPES.map(type => (
+                    <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                  ))}
+                </select>
+              </div>
+              <input type="text" value={newLeave.reason} onChange={(e) => setNewLeave(prev => ({ ...prev, reason: e.target.value }))} placeholder="Reason (optional)" className={`${inputClass} w-full`} />
+              <button onClick={handleAddLeave} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+                <Plus className="w-4 h-4 mr-2" />
+                Add Leave
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Holiday calendar */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Sun className="w-5 h-5 mr-2" />
+            Holiday Calendar
+          </h2>
+          <select value={year} onChange={(e) => setYear(Number(e.target.value))} className={inputClass} aria-label="Year">
+            {[-1, 0, 1].map(offset => {
+              const option = new Date().getFullYear() + offset;
+              return <option key={option} value={option}>{option}</option>;
+            })}
+          </select>
+        </div>
+        <ul className="divide-y divide-gray-200">
+          {holidays.map(holiday => (
+            <li key={`${holiday.date}-${holiday.name}`} className="py-2 flex items-center justify-between text-sm">
+              <span>
+                <span className="font-medium text-gray-900">{holiday.date}</span>
+                {' — '}{holiday.name}
+                {holiday.type === 'firm_closure' && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">Firm closure</span>}
+              </span>
+              {holiday.source === 'firm' && canManageHolidays && (
+                <button onClick={() => handleRemoveHoliday(holiday)} className="text-gray-400 hover:text-red-600" title="Remove holiday">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {canManageHolidays && (
+          <div className="flex flex-wrap items-center gap-2 border-t border-gray-200 pt-4">
+            <input type="date" value={newHoliday.date} onChange={(e) => setNewHoliday(prev => ({ ...prev, date: e.target.value }))} className={inputClass} aria-label="Holiday date" />
+            <input type="text" value={newHoliday.name} onChange={(e) => setNewHoliday(prev => ({ ...prev, name: e.target.value }))} placeholder="e.g. Idd-ul-Fitr" className={inputClass} />
+            <select value={newHoliday.type} onChange={(e) => setNewHoliday(prev => ({ ...prev, type: e.target.value as Holiday['type'] }))} className={inputClass} aria-label="Holiday type">
+              <option value="public">Public holiday</option>
+              <option value="firm_closure">Firm closure</option>
+            </select>
+            <button onClick={handleAddHoliday} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+              <Plus className="w-4 h-4 mr-2" />
+              Add Holiday
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilitySettings;
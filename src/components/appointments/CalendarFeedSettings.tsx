@@ -0,0 +1,147 @@
+// Calendar subscription links for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Plus, Trash2, Copy, Rss } from 'lucide-react';
+import { calendarService, CalendarFeed, NewCalendarFeed } from '../../services/calendarService';
+import toast from 'react-hot-toast';
+
+interface CalendarFeedSettingsProps {
+  onClose: () => void;
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const CalendarFeedSettings: React.FC<CalendarFeedSettingsProps> = ({ onClose }) => {
+  const [feeds, setFeeds] = useState<CalendarFeed[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [label, setLabel] = useState('');
+  // The link is only returned once, right after the feed is created
+  const [createdFeed, setCreatedFeed] = useState<NewCalendarFeed | null>(null);
+
+  useEffect(() => {
+    loadFeeds();
+  }, []);
+
+  const loadFeeds = async () => {
+    try {
+      setLoading(true);
+      setFeeds(await calendarService.getFeeds());
+    } catch (error) {
+      console.error('Error loading calendar feeds:', error);
+      toast.error('Failed to load calendar feeds');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      const feed = await calendarService.createFeed(label.trim() || undefined);
+      setCreatedFeed(feed);
+      setLabel('');
+      loadFeeds();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to create calendar feed');
+    }
+  };
+
+  const handleCopy = async (url: string) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Copy the link manually');
+    }
+  };
+
+  const handleRevoke = async (feed: CalendarFeed) => {
+    if (!window.confirm(`Revoke "${feed.label}"? Calendars subscribed to it will stop updating.`)) return;
+
+    try {
+      await calendarService.revokeFeed(feed._id);
+      toast.success('Calendar feed revoked');
+      if (createdFeed?._id === feed._id) setCreatedFeed(null);
+      loadFeeds();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to revoke calendar feed');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center">
+        <button onClick={onClose} className="mr-3 text-gray-500 hover:text-gray-700" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Calendar Feeds</h1>
+          <p className="text-gray-600 text-sm">
+            Subscribe from Google Calendar, Outlook or Apple Calendar to see your appointments, court dates and deadlines.
+            Anyone with a link can read the feed, so revoke links you no longer use.
+          </p>
+        </div>
+      </div>
+
+      {createdFeed && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 space-y-2">
+          <p className="text-sm text-green-800">
+            Copy this link now; it will not be shown again.
+          </p>
+          {[createdFeed.webcalUrl, createdFeed.url].map(url => (
+            <div key={url} className="flex items-center gap-2">
+              <input type="text" readOnly value={url} className={`${inputClass} flex-1 text-sm bg-white`} aria-label="Calendar feed link" />
+              <button onClick={() => handleCopy(url)} className="p-2 text-gray-500 hover:text-gray-700" title="Copy link">
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Rss className="w-5 h-5 mr-2" />
+          Active Links
+        </h2>
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading calendar feeds...</p>
+        ) : feeds.length === 0 ? (
+          <p className="text-sm text-gray-500">No calendar feeds yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {feeds.map(feed => (
+              <li key={feed._id} className="py-2 flex items-center justify-between text-sm">
+                <span>
+                  <span className="font-medium text-gray-900">{feed.label}</span>
+                  <span className="ml-2 text-gray-500">
+                    {feed.lastUsedAt
+                      ? `last synced ${new Date(feed.lastUsedAt).toLocaleString()}`
+                      : 'never synced'}
+                  </span>
+                </span>
+                <button onClick={() => handleRevoke(feed)} className="text-gray-400 hover:text-red-600" title="Revoke link">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex flex-wrap items-center gap-2 border-t border-gray-200 pt-4">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="e.g. Work phone"
+            maxLength={100}
+            className={inputClass}
+          />
+          <button onClick={handleCreate} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+            <Plus className="w-4 h-4 mr-2" />
+            New Link
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedSettings;
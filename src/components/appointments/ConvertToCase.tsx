@@ -0,0 +1,125 @@
+// Consultation-to-case conversion for LegalPro v1.0.1
+import React, { useState } from 'react';
+import { ArrowLeft, Briefcase } from 'lucide-react';
+import { appointmentService, Appointment, CaseConversionData } from '../../services/appointmentService';
+import { PRACTICE_AREAS, PracticeArea } from '../../services/intakeFormService';
+import toast from 'react-hot-toast';
+
+interface ConvertToCaseProps {
+  appointment: Appointment;
+  onSuccess: () => void;
+  onClose: () => void;
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const ConvertToCase: React.FC<ConvertToCaseProps> = ({ appointment, onSuccess, onClose }) => {
+  const [form, setForm] = useState<CaseConversionData>({
+    title: appointment.title,
+    description: appointment.description || appointment.outcome || '',
+    category: appointment.practiceArea,
+    priority: appointment.priority
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      const response = await appointmentService.convertToCase(appointment._id, {
+        ...form,
+        title: form.title?.trim(),
+        description: form.description?.trim()
+      });
+      toast.success(response.message || 'Case created from the consultation');
+      onSuccess();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to create the case');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center">
+        <button onClick={onClose} className="mr-3 text-gray-500 hover:text-gray-700" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Convert to Case</h1>
+          <p className="text-gray-600 text-sm">
+            {appointment.title} with {appointment.clientId.firstName} {appointment.clientId.lastName} on {new Date(appointment.startDateTime).toLocaleDateString()}
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+        The case is assigned to {appointment.advocateId.firstName} {appointment.advocateId.lastName} and
+        takes over the consultation's notes, attachments, intake answers and consultation fee.
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Briefcase className="w-5 h-5 mr-2" />
+          Case Details
+        </h2>
+        <input
+          type="text"
+          value={form.title}
+          onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+          placeholder="Case title"
+          maxLength={200}
+          className={`${inputClass} w-full`}
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <select
+            value={form.category || ''}
+            onChange={(e) => setForm(prev => ({ ...prev, category: (e.target.value || undefined) as PracticeArea | undefined }))}
+            className={inputClass}
+          >
+            <option value="">Select practice area</option>
+            {PRACTICE_AREAS.map(area => (
+              <option key={area} value={area}>{area}</option>
+            ))}
+          </select>
+          <select
+            value={form.priority}
+            onChange={(e) => setForm(prev => ({ ...prev, priority: e.target.value as CaseConversionData['priority'] }))}
+            className={inputClass}
+          >
+            <option value="low">Low priority</option>
+            <option value="medium">Medium priority</option>
+            <option value="high">High priority</option>
+            <option value="urgent">Urgent</option>
+          </select>
+        </div>
+        <textarea
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+          placeholder="Describe the matter"
+          maxLength={5000}
+          rows={4}
+          className={`${inputClass} w-full`}
+        />
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={!form.title?.trim() || !form.category || !form.description?.trim() || saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Creating...' : 'Create Case'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConvertToCase;
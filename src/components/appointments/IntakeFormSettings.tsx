@@ -0,0 +1,316 @@
+// Appointment intake questionnaires for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Plus, ClipboardList, Edit, RotateCcw, Trash2, X } from 'lucide-react';
+import {
+  intakeFormService,
+  AppointmentType,
+  IntakeField,
+  IntakeFieldType,
+  IntakeForm,
+  IntakeFormData,
+  PracticeArea,
+  PRACTICE_AREAS
+} from '../../services/intakeFormService';
+import toast from 'react-hot-toast';
+
+interface IntakeFormSettingsProps {
+  onClose: () => void;
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const APPOINTMENT_TYPES: Array<{ value: AppointmentType; label: string }> = [
+  { value: 'consultation', label: 'Consultation' },
+  { value: 'follow_up', label: 'Follow-up' },
+  { value: 'court_preparation', label: 'Court Preparation' },
+  { value: 'document_review', label: 'Document Review' },
+  { value: 'mediation', label: 'Mediation' },
+  { value: 'other', label: 'Other' }
+];
+
+const FIELD_TYPES: Array<{ value: IntakeFieldType; label: string }> = [
+  { value: 'text', label: 'Short text' },
+  { value: 'textarea', label: 'Long text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Choose one' },
+  { value: 'multiselect', label: 'Choose several' },
+  { value: 'checkbox', label: 'Tick box' },
+  { value: 'file', label: 'File upload' }
+];
+
+const EMPTY_FIELD: IntakeField = { key: '', label: '', type: 'text', required: false, options: [] };
+const EMPTY_FORM: IntakeFormData = { name: '', description: '', appointmentType: 'consultation', practiceArea: null, fields: [EMPTY_FIELD] };
+
+// Answers are stored under the key, so derive a stable one from the first label
+const toKey = (label: string) => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 50);
+
+const IntakeFormSettings: React.FC<IntakeFormSettingsProps> = ({ onClose }) => {
+  const [forms, setForms] = useState<IntakeForm[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState<IntakeFormData | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadForms();
+  }, []);
+
+  const loadForms = async () => {
+    try {
+      setLoading(true);
+      setForms(await intakeFormService.getIntakeForms(true));
+    } catch (error) {
+      console.error('Error loading intake forms:', error);
+      toast.error('Failed to load intake forms');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (form?: IntakeForm) => {
+    setEditingId(form?._id || null);
+    setDraft(form
+      ? { name: form.name, description: form.description, appointmentType: form.appointmentType, practiceArea: form.practiceArea || null, fields: form.fields }
+      : EMPTY_FORM);
+  };
+
+  const updateField = (index: number, changes: Partial<IntakeField>) => {
+    setDraft(prev => prev && ({
+      ...prev,
+      fields: prev.fields!.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!draft?.name?.trim()) {
+      toast.error('Enter a form name');
+      return;
+    }
+
+    const fields = draft.fields!
+      .filter(field => field.label.trim())
+      .map(field => ({
+        ...field,
+        label: field.label.trim(),
+        key: field.key || toKey(field.label),
+        options: ['select', 'multiselect'].includes(field.type) ? field.options : []
+      }));
+    if (fields.length === 0) {
+      toast.error('Add at least one question');
+      return;
+    }
+
+    try {
+      const data = { ...draft, name: draft.name.trim(), fields };
+      if (editingId) {
+        await intakeFormService.updateIntakeForm(editingId, data);
+      } else {
+        await intakeFormService.createIntakeForm(data);
+      }
+      toast.success('Intake form saved');
+      setDraft(null);
+      loadForms();
+    } catch (error: any) {
+      const details: string[] | undefined = error.response?.data?.errors?.map((item: any) => item.msg || item);
+      toast.error(details?.length ? details.join(', ') : error.response?.data?.message || 'Failed to save intake form');
+    }
+  };
+
+  const handleToggleActive = async (form: IntakeForm) => {
+    if (form.isActive && !window.confirm(`Retire "${form.name}"? Clients will no longer be asked these questions.`)) return;
+
+    try {
+      if (form.isActive) {
+        await intakeFormService.retireIntakeForm(form._id);
+      } else {
+        await intakeFormService.updateIntakeForm(form._id, { isActive: true });
+      }
+      loadForms();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to update intake form');
+    }
+  };
+
+  const typeLabel = (type: AppointmentType) => APPOINTMENT_TYPES.find(item => item.value === type)?.label;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center">
+        <button onClick={onClose} className="mr-3 text-gray-500 hover:text-gray-700" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Intake Forms</h1>
+          <p className="text-gray-600 text-sm">
+            Clients answer the form for their appointment type and practice area when booking. A form without a practice area covers every area that has no form of its own.
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <ClipboardList className="w-5 h-5 mr-2" />
+            Forms
+          </h2>
+          {!draft && (
+            <button onClick={() => startEditing()} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+              <Plus className="w-4 h-4 mr-2" />
+              New Form
+            </button>
+          )}
+        </div>
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading intake forms...</p>
+        ) : forms.length === 0 ? (
+          <p className="text-sm text-gray-500">No intake forms yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {forms.map(form => (
+              <li key={form._id} className="py-2 text-sm flex items-center justify-between">
+                <span className={form.isActive ? '' : 'text-gray-400 line-through'}>
+                  <span className="font-medium text-gray-900">{form.name}</span>
+                  <span className="ml-2 text-gray-500">
+                    {typeLabel(form.appointmentType)}, {form.practiceArea || 'all practice areas'}, {form.fields.length} questions
+                  </span>
+                </span>
+                <span className="flex items-center space-x-2">
+                  <button onClick={() => startEditing(form)} className="text-gray-400 hover:text-blue-600" title="Edit">
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(form)}
+                    className="text-gray-400 hover:text-red-600"
+                    title={form.isActive ? 'Retire' : 'Restore'}
+                  >
+                    {form.isActive ? <Trash2 className="w-4 h-4" /> : <RotateCcw className="w-4 h-4" />}
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {draft && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Form' : 'New Form'}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => prev && ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Family law consultation"
+              maxLength={100}
+              className={inputClass}
+            />
+            <select
+              value={draft.appointmentType}
+              onChange={(e) => setDraft(prev => prev && ({ ...prev, appointmentType: e.target.value as AppointmentType }))}
+              className={inputClass}
+            >
+              {APPOINTMENT_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <select
+              value={draft.practiceArea || ''}
+              onChange={(e) => setDraft(prev => prev && ({ ...prev, practiceArea: (e.target.value || null) as PracticeArea | null }))}
+              className={inputClass}
+            >
+              <option value="">All practice areas</option>
+              {PRACTICE_AREAS.map(area => (
+                <option key={area} value={area}>{area}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={draft.description || ''}
+            onChange={(e) => setDraft(prev => prev && ({ ...prev, description: e.target.value }))}
+            placeholder="Shown to clients above the questions (optional)"
+            rows={2}
+            maxLength={1000}
+            className={`${inputClass} w-full`}
+          />
+
+          <div className="space-y-3">
+            {draft.fields!.map((field, index) => (
+              <div key={field._id || index} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={field.label}
+                    onChange={(e) => updateField(index, { label: e.target.value })}
+                    placeholder="Question"
+                    maxLength={200}
+                    className={`${inputClass} flex-1`}
+                  />
+                  <select
+                    value={field.type}
+                    onChange={(e) => updateField(index, { type: e.target.value as IntakeFieldType })}
+                    className={inputClass}
+                  >
+                    {FIELD_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) => updateField(index, { required: e.target.checked })}
+                      className="mr-1"
+                    />
+                    Required
+                  </label>
+                  <button
+                    onClick={() => setDraft(prev => prev && ({ ...prev, fields: prev.fields!.filter((_, i) => i !== index) }))}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove question"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+                {['select', 'multiselect'].includes(field.type) && (
+                  <input
+                    type="text"
+                    value={field.options?.join(', ') || ''}
+                    onChange={(e) => updateField(index, { options: e.target.value.split(',').map(option => option.trim()).filter(Boolean) })}
+                    placeholder="Choices, separated by commas"
+                    className={`${inputClass} w-full`}
+                  />
+                )}
+                <input
+                  type="text"
+                  value={field.helpText || ''}
+                  onChange={(e) => updateField(index, { helpText: e.target.value })}
+                  placeholder="Help text (optional)"
+                  maxLength={500}
+                  className={`${inputClass} w-full`}
+                />
+              </div>
+            ))}
+            <button
+              onClick={() => setDraft(prev => prev && ({ ...prev, fields: [...prev.fields!, EMPTY_FIELD] }))}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add question
+            </button>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => setDraft(null)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors">
+              Cancel
+            </button>
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">
+              Save Form
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IntakeFormSettings;
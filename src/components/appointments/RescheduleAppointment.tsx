@@ -0,0 +1,173 @@
+// Appointment rescheduling for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, CalendarClock } from 'lucide-react';
+import {
+  appointmentService,
+  Appointment,
+  AppointmentPolicy,
+  AvailableSlot
+} from '../../services/appointmentService';
+import toast from 'react-hot-toast';
+
+interface RescheduleAppointmentProps {
+  appointment: Appointment;
+  policy: AppointmentPolicy | null;
+  // Clients are held to the firm's notice period and reschedule limit
+  isClient: boolean;
+  onSuccess: () => void;
+  onClose: () => void;
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const RescheduleAppointment: React.FC<RescheduleAppointmentProps> = ({
+  appointment,
+  policy,
+  isClient,
+  onSuccess,
+  onClose
+}) => {
+  const [date, setDate] = useState('');
+  const [slots, setSlots] = useState<AvailableSlot[]>([]);
+  const [selectedSlot, setSelectedSlot] = useState<AvailableSlot | null>(null);
+  const [closedReason, setClosedReason] = useState<string | null>(null);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const duration = Math.round(
+    (new Date(appointment.endDateTime).getTime() - new Date(appointment.startDateTime).getTime()) / 60000
+  );
+  const reschedulesLeft = policy ? Math.max(policy.maxReschedules - (appointment.rescheduleCount || 0), 0) : null;
+
+  useEffect(() => {
+    if (date) loadSlots();
+  }, [date]);
+
+  const loadSlots = async () => {
+    try {
+      setLoadingSlots(true);
+      setSelectedSlot(null);
+      const availability = await appointmentService.getAvailability(appointment.advocateId._id, date, duration);
+      setSlots(availability.availableSlots);
+      setClosedReason(availability.isWorkingDay ? null : availability.reason);
+    } catch (error) {
+      console.error('Error loading available slots:', error);
+      toast.error('Failed to load available slots');
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!selectedSlot) return;
+
+    try {
+      setSaving(true);
+      const response = await appointmentService.rescheduleAppointment(
+        appointment._id,
+        selectedSlot.startTime,
+        selectedSlot.endTime,
+        reason.trim() || undefined
+      );
+      toast.success(response.message || 'Appointment rescheduled');
+      onSuccess();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to reschedule appointment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center">
+        <button onClick={onClose} className="mr-3 text-gray-500 hover:text-gray-700" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reschedule Appointment</h1>
+          <p className="text-gray-600 text-sm">
+            {appointment.title} on {new Date(appointment.startDateTime).toLocaleString()}
+          </p>
+        </div>
+      </div>
+
+      {isClient && policy && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+          Appointments can be moved up to {policy.minRescheduleNoticeHours} hours before they start.
+          You can reschedule this appointment {reschedulesLeft} more time(s).
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <CalendarClock className="w-5 h-5 mr-2" />
+          New Time
+        </h2>
+        <input
+          type="date"
+          value={date}
+          min={new Date().toISOString().split('T')[0]}
+          onChange={(e) => setDate(e.target.value)}
+          className={inputClass}
+          aria-label="New date"
+        />
+
+        {date && (
+          loadingSlots ? (
+            <p className="text-sm text-gray-500">Loading available slots...</p>
+          ) : slots.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {closedReason ? `The advocate is not available on this date (${closedReason})` : 'No available slots for this date'}
+            </p>
+          ) : (
+            <div className="grid grid-cols-3 md:grid-cols-4 gap-2">
+              {slots.map(slot => (
+                <button
+                  key={slot.startTime}
+                  type="button"
+                  onClick={() => setSelectedSlot(slot)}
+                  className={`px-3 py-2 text-sm border rounded-lg transition-colors ${
+                    selectedSlot?.startTime === slot.startTime
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {slot.formattedTime}
+                </button>
+              ))}
+            </div>
+          )
+        )}
+
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason (optional)"
+          maxLength={500}
+          rows={2}
+          className={`${inputClass} w-full`}
+        />
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={!selectedSlot || saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Rescheduling...' : 'Reschedule'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescheduleAppointment;
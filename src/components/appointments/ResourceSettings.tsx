@@ -0,0 +1,214 @@
+// Meeting rooms and equipment for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Plus, DoorOpen, Calendar, RotateCcw, Trash2 } from 'lucide-react';
+import { resourceService, Resource, ResourceData, ResourceSchedule, ResourceType } from '../../services/resourceService';
+import toast from 'react-hot-toast';
+
+interface ResourceSettingsProps {
+  onClose: () => void;
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const RESOURCE_TYPES: Array<{ value: ResourceType; label: string }> = [
+  { value: 'room', label: 'Meeting room' },
+  { value: 'projector', label: 'Projector' },
+  { value: 'equipment', label: 'Equipment' },
+  { value: 'other', label: 'Other' }
+];
+
+const EMPTY_RESOURCE: ResourceData = { name: '', type: 'room', location: '' };
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ResourceSettings: React.FC<ResourceSettingsProps> = ({ onClose }) => {
+  const [resources, setResources] = useState<Resource[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState<ResourceData>(EMPTY_RESOURCE);
+  const [schedule, setSchedule] = useState<ResourceSchedule | null>(null);
+
+  useEffect(() => {
+    loadResources();
+  }, []);
+
+  const loadResources = async () => {
+    try {
+      setLoading(true);
+      setResources(await resourceService.getResources(true));
+    } catch (error) {
+      console.error('Error loading resources:', error);
+      toast.error('Failed to load rooms and equipment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!draft.name?.trim()) {
+      toast.error('Enter a name');
+      return;
+    }
+
+    try {
+      await resourceService.createResource({
+        ...draft,
+        name: draft.name.trim(),
+        location: draft.location || undefined
+      });
+      toast.success('Resource added');
+      setDraft(EMPTY_RESOURCE);
+      loadResources();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to add resource');
+    }
+  };
+
+  const handleToggleActive = async (resource: Resource) => {
+    if (resource.isActive && !window.confirm(`Retire "${resource.name}"? Existing bookings keep it, but it can't be booked again.`)) return;
+
+    try {
+      if (resource.isActive) {
+        await resourceService.deactivateResource(resource._id);
+      } else {
+        await resourceService.updateResource(resource._id, { isActive: true });
+      }
+      loadResources();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to update resource');
+    }
+  };
+
+  const handleShowSchedule = async (resource: Resource) => {
+    if (schedule?.resource._id === resource._id) {
+      setSchedule(null);
+      return;
+    }
+
+    try {
+      const from = new Date();
+      setSchedule(await resourceService.getSchedule(
+        resource._id,
+        from.toISOString(),
+        new Date(from.getTime() + WEEK_MS).toISOString()
+      ));
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to load bookings');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center">
+        <button onClick={onClose} className="mr-3 text-gray-500 hover:text-gray-700" title="Back">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Rooms and Equipment</h1>
+          <p className="text-gray-600 text-sm">
+            Resources listed here can be reserved when booking an appointment. A resource can only be in one appointment at a time.
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <DoorOpen className="w-5 h-5 mr-2" />
+          Resources
+        </h2>
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading rooms and equipment...</p>
+        ) : resources.length === 0 ? (
+          <p className="text-sm text-gray-500">No rooms or equipment yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {resources.map(resource => (
+              <li key={resource._id} className="py-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className={resource.isActive ? '' : 'text-gray-400 line-through'}>
+                    <span className="font-medium text-gray-900">{resource.name}</span>
+                    <span className="ml-2 text-gray-500">
+                      {RESOURCE_TYPES.find(type => type.value === resource.type)?.label}
+                      {resource.capacity ? `, seats ${resource.capacity}` : ''}
+                      {resource.location ? `, ${resource.location}` : ''}
+                    </span>
+                  </span>
+                  <span className="flex items-center space-x-2">
+                    <button onClick={() => handleShowSchedule(resource)} className="text-gray-400 hover:text-blue-600" title="Bookings this week">
+                      <Calendar className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(resource)}
+                      className="text-gray-400 hover:text-red-600"
+                      title={resource.isActive ? 'Retire' : 'Restore'}
+                    >
+                      {resource.isActive ? <Trash2 className="w-4 h-4" /> : <RotateCcw className="w-4 h-4" />}
+                    </button>
+                  </span>
+                </div>
+                {schedule?.resource._id === resource._id && (
+                  <div className="mt-2 ml-4 text-gray-600">
+                    {schedule.bookings.length === 0 ? (
+                      <p>No bookings in the next 7 days.</p>
+                    ) : (
+                      <ul className="space-y-1">
+                        {schedule.bookings.map(booking => (
+                          <li key={booking._id}>
+                            {new Date(booking.startDateTime).toLocaleString()} - {new Date(booking.endDateTime).toLocaleTimeString()}
+                            {booking.title ? `: ${booking.title}` : ''}
+                            {booking.advocateId ? ` (${booking.advocateId.firstName} ${booking.advocateId.lastName})` : ''}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex flex-wrap items-center gap-2 border-t border-gray-200 pt-4">
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="e.g. Boardroom"
+            maxLength={100}
+            className={inputClass}
+          />
+          <select
+            value={draft.type}
+            onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value as ResourceType }))}
+            className={inputClass}
+          >
+            {RESOURCE_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          {draft.type === 'room' && (
+            <input
+              type="number"
+              min={1}
+              value={draft.capacity || ''}
+              onChange={(e) => setDraft(prev => ({ ...prev, capacity: e.target.value ? Number(e.target.value) : undefined }))}
+              placeholder="Seats"
+              className={`${inputClass} w-24`}
+            />
+          )}
+          <input
+            type="text"
+            value={draft.location}
+            onChange={(e) => setDraft(prev => ({ ...prev, location: e.target.value }))}
+            placeholder="Location (optional)"
+            maxLength={200}
+            className={inputClass}
+          />
+          <button onClick={handleCreate} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center">
+            <Plus className="w-4 h-4 mr-2" />
+            Add
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResourceSettings;
@@ -16,13 +16,20 @@ import {
   AlertCircle,
   CheckCircle,
   Eye,
-  Plus
+  Plus,
+  Timer,
+  ListChecks,
+  History,
+  Lock
 } from 'lucide-react';
 import Button from '../ui/Button';
-import { Case, Document } from '../../types';
+import { Case, CaseChecklistItem, Document, WorkflowTransition } from '../../types';
 import { caseService } from '../../services/caseService';
 import { useAuth } from '../../contexts/AuthContext';
 import DocumentUpload from './DocumentUpload';
+import TimeTracker from './TimeTracker';
+import CaseTasks from './CaseTasks';
+import DocumentVersions from './DocumentVersions';
 import toast from 'react-hot-toast';
 
 interface CaseDetailsProps {
@@ -46,6 +53,12 @@ const PRIORITIES = [
   { value: 'urgent', label: 'Urgent', color: 'text-red-600', icon: AlertCircle }
 ];
 
+const CHECKLIST_STATUSES = [
+  { value: 'pending', label: 'Outstanding', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'received', label: 'Received', color: 'bg-green-100 text-green-800' },
+  { value: 'waived', label: 'Waived', color: 'bg-gray-100 text-gray-800' }
+];
+
 const CaseDetails: React.FC<CaseDetailsProps> = ({
   isOpen,
   onClose,
@@ -57,11 +70,15 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
   const [documents, setDocuments] = useState<Document[]>([]);
   const [timeline, setTimeline] = useState<any[]>([]);
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState<'overview' | 'documents' | 'timeline' | 'notes'>('overview');
+  const [activeTab, setActiveTab] = useState<'overview' | 'documents' | 'timeline' | 'notes' | 'tasks' | 'time'>('overview');
   const [showDocumentUpload, setShowDocumentUpload] = useState(false);
+  const [expandedDocumentId, setExpandedDocumentId] = useState<string | null>(null);
   const [newNote, setNewNote] = useState('');
   const [isPrivateNote, setIsPrivateNote] = useState(false);
   const [addingNote, setAddingNote] = useState(false);
+  const [pendingTransition, setPendingTransition] = useState<WorkflowTransition | null>(null);
+  const [transitionFields, setTransitionFields] = useState<Record<string, string>>({});
+  const [changingStatus, setChangingStatus] = useState(false);
 
   // Load case data
   useEffect(() => {
@@ -91,16 +108,31 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
   };
 
   // Handle status change
-  const handleStatusChange = async (newStatus: string) => {
+  const handleStatusChange = async (transition: WorkflowTransition, fields: Record<string, string> = {}) => {
     if (!caseData) return;
 
+    // Collect required transition fields (e.g. an outcome note) before submitting
+    const missing = transition.requiredFields.some(field => !fields[field.name]?.trim());
+    if (missing) {
+      setPendingTransition(transition);
+      setTransitionFields(fields);
+      return;
+    }
+
     try {
-      await caseService.updateCaseStatus(caseId, newStatus);
-      setCaseData({ ...caseData, status: newStatus });
+      setChangingStatus(true);
+      const { reason, ...otherFields } = fields;
+      const response = await caseService.updateCaseStatus(caseId, transition.to, reason, otherFields);
+      const updatedCase = { ...caseData, ...response.data, workflow: response.workflow };
+      setCaseData(updatedCase);
+      setPendingTransition(null);
+      setTransitionFields({});
       toast.success('Case status updated successfully');
-      onCaseUpdate?.(caseData);
+      onCaseUpdate?.(updatedCase);
     } catch (error: any) {
       toast.error(error.message || 'Failed to update case status');
+    } finally {
+      setChangingStatus(false);
     }
   };
 
@@ -110,6 +142,33 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
     toast.success('Document uploaded successfully');
   };
 
+  // Handle a new version, restore or check-out on a document
+  const handleDocumentChange = (updated: Document) => {
+    const updatedId = updated.id || updated._id;
+    setDocuments(prev => prev.map(doc => ((doc.id || doc._id) === updatedId ? { ...doc, ...updated } : doc)));
+  };
+
+  // Clients may only revise documents they uploaded
+  const canReviseDocument = (document: Document) =>
+    user?.role === 'advocate' ||
+    (user?.role === 'admin' && !!user?.permissions?.canUploadFiles) ||
+    (user?.role === 'client' && document.uploadedBy === user?.id);
+
+  // Record a required document as received (against an upload), waived or outstanding
+  const handleChecklistUpdate = async (item: CaseChecklistItem, status: CaseChecklistItem['status'], documentId?: string) => {
+    if (!caseData) return;
+
+    try {
+      const updated = await caseService.updateChecklistItem(caseId, item._id, { status, documentId });
+      setCaseData({
+        ...caseData,
+        documentChecklist: caseData.documentChecklist?.map(entry => (entry._id === updated._id ? updated : entry))
+      });
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to update checklist');
+    }
+  };
+
   // Handle document delete
   const handleDocumentDelete = async (documentId: string) => {
     if (!window.confirm('Are you sure you want to delete this document?')) {
@@ -119,6 +178,13 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
     try {
       await caseService.deleteDocument(caseId, documentId);
       setDocuments(prev => prev.filter(doc => doc.id !== documentId));
+      // The server reopens checklist items that pointed at the removed document
+      setCaseData(prev => prev && {
+        ...prev,
+        documentChecklist: prev.documentChecklist?.map(item =>
+          item.documentId === documentId ? { ...item, status: 'pending', documentId: undefined } : item
+        )
+      });
       toast.success('Document deleted successfully');
     } catch (error: any) {
       toast.error(error.message || 'Failed to delete document');
@@ -223,7 +289,13 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                   { id: 'overview', label: 'Overview', icon: Eye },
                   { id: 'documents', label: `Documents (${documents.length})`, icon: FileText },
                   { id: 'timeline', label: 'Timeline', icon: Clock },
-                  { id: 'notes', label: `Notes (${caseData.notes?.length || 0})`, icon: MessageSquare }
+                  { id: 'notes', label: `Notes (${caseData.notes?.length || 0})`, icon: MessageSquare },
+                  ...(user?.role === 'advocate' || user?.role === 'admin'
+                    ? [
+                        { id: 'tasks', label: 'Tasks', icon: ListChecks },
+                        { id: 'time', label: 'Time', icon: Timer }
+                      ]
+                    : [])
                 ].map(tab => (
                   <button
                     key={tab.id}
@@ -254,22 +326,69 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                         <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
                         <div className="flex items-center space-x-2">
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusInfo(caseData.status).color}`}>
-                            {getStatusInfo(caseData.status).label}
+                            {caseData.workflow?.stageLabel || getStatusInfo(caseData.status).label}
                           </span>
-                          {(user?.role === 'advocate' || user?.role === 'admin') && (
+                          {(user?.role === 'advocate' || user?.role === 'admin') &&
+                            (caseData.workflow?.allowedTransitions.length || 0) > 0 && (
                             <select
-                              value={caseData.status}
-                              onChange={(e) => handleStatusChange(e.target.value)}
+                              value=""
+                              disabled={changingStatus}
+                              onChange={(e) => {
+                                const transition = caseData.workflow?.allowedTransitions.find(t => t.to === e.target.value);
+                                if (transition) handleStatusChange(transition);
+                              }}
                               className="text-xs border border-gray-300 rounded px-2 py-1"
+                              aria-label="Move case to stage"
                             >
-                              {STATUSES.map(status => (
-                                <option key={status.value} value={status.value}>
-                                  {status.label}
+                              <option value="" disabled>Move to...</option>
+                              {caseData.workflow?.allowedTransitions.map(transition => (
+                                <option key={transition.to} value={transition.to}>
+                                  {transition.label}
                                 </option>
                               ))}
                             </select>
                           )}
                         </div>
+                        {pendingTransition && (
+                          <div className="mt-3 space-y-2 bg-gray-50 rounded-lg p-3">
+                            <p className="text-sm font-medium text-gray-700">
+                              Move to {pendingTransition.label}
+                            </p>
+                            {pendingTransition.requiredFields.map(field => (
+                              <div key={field.name}>
+                                <label htmlFor={`transition-${field.name}`} className="block text-xs text-gray-600 mb-1">
+                                  {field.label} *
+                                </label>
+                                <textarea
+                                  id={`transition-${field.name}`}
+                                  value={transitionFields[field.name] || ''}
+                                  onChange={(e) => setTransitionFields(prev => ({ ...prev, [field.name]: e.target.value }))}
+                                  rows={2}
+                                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent resize-none"
+                                />
+                              </div>
+                            ))}
+                            <div className="flex justify-end space-x-2">
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => {
+                                  setPendingTransition(null);
+                                  setTransitionFields({});
+                                }}
+                              >
+                                Cancel
+                              </Button>
+                              <Button
+                                size="sm"
+                                disabled={changingStatus || pendingTransition.requiredFields.some(field => !transitionFields[field.name]?.trim())}
+                                onClick={() => handleStatusChange(pendingTransition, transitionFields)}
+                              >
+                                Confirm
+                              </Button>
+                            </div>
+                          </div>
+                        )}
                       </div>
 
                       <div>
@@ -370,6 +489,58 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                     </div>
                   )}
 
+                  {/* Required Documents Checklist */}
+                  {caseData.documentChecklist && caseData.documentChecklist.length > 0 && (
+                    <div>
+                      <h3 className="text-lg font-medium text-gray-900 mb-4">Required Documents</h3>
+                      <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                        {caseData.documentChecklist.map((item) => {
+                          const statusInfo = CHECKLIST_STATUSES.find(s => s.value === item.status) || CHECKLIST_STATUSES[0];
+                          return (
+                            <li key={item._id} className="flex flex-col md:flex-row md:items-center justify-between gap-2 p-3">
+                              <div>
+                                <p className="text-sm font-medium text-gray-900">
+                                  {item.name}
+                                  {!item.required && <span className="ml-2 text-xs font-normal text-gray-500">optional</span>}
+                                </p>
+                                {item.description && <p className="text-xs text-gray-500">{item.description}</p>}
+                              </div>
+                              {user?.role === 'advocate' || user?.role === 'admin' ? (
+                                <div className="flex items-center space-x-2">
+                                  <select
+                                    value={item.status}
+                                    onChange={(e) => handleChecklistUpdate(item, e.target.value as CaseChecklistItem['status'])}
+                                    className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                                  >
+                                    {CHECKLIST_STATUSES.map(status => (
+                                      <option key={status.value} value={status.value}>{status.label}</option>
+                                    ))}
+                                  </select>
+                                  {item.status === 'received' && documents.length > 0 && (
+                                    <select
+                                      value={item.documentId || ''}
+                                      onChange={(e) => handleChecklistUpdate(item, 'received', e.target.value || undefined)}
+                                      className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                                    >
+                                      <option value="">No linked document</option>
+                                      {documents.map(document => (
+                                        <option key={document.id} value={document.id}>{document.name}</option>
+                                      ))}
+                                    </select>
+                                  )}
+                                </div>
+                              ) : (
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusInfo.color}`}>
+                                  {statusInfo.label}
+                                </span>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    </div>
+                  )}
+
                   {/* Documents List */}
                   <div>
                     <h3 className="text-lg font-medium text-gray-900 mb-4">Case Documents</h3>
@@ -385,6 +556,13 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                             <div className="flex items-start justify-between mb-2">
                               <FileText className="w-5 h-5 text-gray-400 flex-shrink-0" />
                               <div className="flex space-x-1">
+                                <button
+                                  onClick={() => setExpandedDocumentId(expandedDocumentId === document.id ? null : document.id)}
+                                  className="text-gray-400 hover:text-gray-600"
+                                  title="Versions"
+                                >
+                                  <History className="w-4 h-4" />
+                                </button>
                                 <button
                                   onClick={() => handleDocumentDownload(document.id)}
                                   className="text-gray-400 hover:text-gray-600"
@@ -405,8 +583,12 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                                 )}
                               </div>
                             </div>
-                            <h4 className="font-medium text-gray-900 text-sm mb-1 truncate">
-                              {document.name}
+                            <h4 className="font-medium text-gray-900 text-sm mb-1 truncate flex items-center">
+                              {document.checkedOutBy && <Lock className="w-3 h-3 mr-1 text-amber-600 flex-shrink-0" />}
+                              <span className="truncate">{document.name}</span>
+                              {(document.version || 1) > 1 && (
+                                <span className="ml-2 text-xs font-normal text-gray-500">v{document.version}</span>
+                              )}
                             </h4>
                             <p className="text-xs text-gray-500 mb-2">
                               {formatFileSize(document.size)} • {formatDate(document.createdAt)}
@@ -414,6 +596,14 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                             <p className="text-xs text-gray-400">
                               Uploaded by {document.uploadedBy?.firstName} {document.uploadedBy?.lastName}
                             </p>
+                            {expandedDocumentId === document.id && (
+                              <DocumentVersions
+                                caseId={caseId}
+                                document={document}
+                                canRevise={canReviseDocument(document)}
+                                onDocumentChange={handleDocumentChange}
+                              />
+                            )}
                           </div>
                         ))}
                       </div>
@@ -521,6 +711,14 @@ const CaseDetails: React.FC<CaseDetailsProps> = ({
                   </div>
                 </div>
               )}
+
+              {activeTab === 'tasks' && (user?.role === 'advocate' || user?.role === 'admin') && (
+                <CaseTasks caseId={caseId} caseAssignee={caseData.assignedTo as any} />
+              )}
+
+              {activeTab === 'time' && (user?.role === 'advocate' || user?.role === 'admin') && (
+                <TimeTracker caseId={caseId} />
+              )}
             </div>
           </>
         ) : (
@@ -1,12 +1,13 @@
 // Case creation and editing form component for LegalPro v1.0.1
 import React, { useState, useEffect } from 'react';
-import { useForm } from 'react-hook-form';
+import { useForm, useFieldArray, UseFieldArrayReturn } from 'react-hook-form';
 import { motion } from 'framer-motion';
-import { X, Save, Calendar, User, AlertCircle, FileText } from 'lucide-react';
+import { X, Save, Calendar, User, AlertCircle, FileText, Plus, Trash2, ShieldAlert } from 'lucide-react';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
-import { Case } from '../../types';
+import { Case, CaseParty, CaseTemplate, ConflictCheckResult } from '../../types';
 import { userManagementService } from '../../services/userManagementService';
+import { caseService } from '../../services/caseService';
 import toast from 'react-hot-toast';
 
 interface CaseFormData {
@@ -17,6 +18,10 @@ interface CaseFormData {
   clientId: string;
   assignedTo?: string;
   courtDate?: string;
+  opposingParties: CaseParty[];
+  relatedParties: CaseParty[];
+  conflictOverride?: { reason: string };
+  templateId?: string;
 }
 
 interface CaseFormProps {
@@ -40,6 +45,14 @@ const CATEGORIES = [
   'Environmental Law'
 ];
 
+const CONFLICT_SOURCES: Record<string, string> = {
+  client: 'existing client',
+  opposing_party: 'opposing party',
+  related_party: 'related party'
+};
+
+const EMPTY_PARTY: CaseParty = { name: '', email: '', phone: '', relationship: '' };
+
 const PRIORITIES = [
   { value: 'low', label: 'Low', color: 'text-green-600' },
   { value: 'medium', label: 'Medium', color: 'text-blue-600' },
@@ -58,9 +71,13 @@ const CaseForm: React.FC<CaseFormProps> = ({
   const [clients, setClients] = useState<any[]>([]);
   const [admins, setAdmins] = useState<any[]>([]);
   const [loadingUsers, setLoadingUsers] = useState(true);
+  const [conflicts, setConflicts] = useState<ConflictCheckResult | null>(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [templates, setTemplates] = useState<CaseTemplate[]>([]);
 
   const {
     register,
+    control,
     handleSubmit,
     reset,
     setValue,
@@ -75,10 +92,20 @@ const CaseForm: React.FC<CaseFormProps> = ({
       priority: 'medium',
       clientId: '',
       assignedTo: '',
-      courtDate: ''
+      courtDate: '',
+      opposingParties: [],
+      relatedParties: [],
+      templateId: ''
     }
   });
 
+  const selectedCategory = watch('category');
+  const selectedTemplateId = watch('templateId');
+  const selectedTemplate = templates.find(template => template._id === selectedTemplateId);
+
+  const opposingFields = useFieldArray({ control, name: 'opposingParties' });
+  const relatedFields = useFieldArray({ control, name: 'relatedParties' });
+
   // Load users (clients and admins) for dropdowns
   useEffect(() => {
     const loadUsers = async () => {
@@ -104,6 +131,27 @@ const CaseForm: React.FC<CaseFormProps> = ({
     }
   }, [isOpen]);
 
+  // Templates only apply when a case is opened, and only within its category
+  useEffect(() => {
+    setTemplates([]);
+    setValue('templateId', '');
+    if (!isOpen || isEditing || !selectedCategory) return;
+
+    caseService.getCaseTemplates(selectedCategory)
+      .then(setTemplates)
+      .catch(error => console.error('Failed to load case templates:', error));
+  }, [isOpen, isEditing, selectedCategory, setValue]);
+
+  const handleTemplateChange = (templateId: string) => {
+    const template = templates.find(item => item._id === templateId);
+    if (!template) return;
+
+    setValue('priority', template.defaultPriority);
+    if (template.description && !watch('description')) {
+      setValue('description', template.description, { shouldValidate: true });
+    }
+  };
+
   // Populate form when editing
   useEffect(() => {
     if (isEditing && caseData) {
@@ -114,19 +162,57 @@ const CaseForm: React.FC<CaseFormProps> = ({
       setValue('clientId', caseData.clientId);
       setValue('assignedTo', caseData.assignedTo || '');
       setValue('courtDate', caseData.courtDate ? new Date(caseData.courtDate).toISOString().split('T')[0] : '');
+      setValue('opposingParties', caseData.opposingParties || []);
+      setValue('relatedParties', caseData.relatedParties || []);
     } else {
       reset();
     }
   }, [isEditing, caseData, setValue, reset]);
 
+  const clearConflicts = () => {
+    setConflicts(null);
+    setOverrideReason('');
+  };
+
+  const submitCase = async (data: CaseFormData) => {
+    await onSubmit(data);
+    reset();
+    clearConflicts();
+    onClose();
+  };
+
+  // New cases are checked for conflicts of interest before they are submitted
   const handleFormSubmit = async (data: CaseFormData) => {
     try {
       setLoading(true);
-      await onSubmit(data);
-      reset();
-      onClose();
+      if (!isEditing) {
+        const result = await caseService.checkConflicts({
+          clientId: data.clientId,
+          opposingParties: data.opposingParties,
+          relatedParties: data.relatedParties
+        });
+        if (!result.clear) {
+          setConflicts(result);
+          return;
+        }
+      }
+      await submitCase(data);
     } catch (error) {
       console.error('Form submission error:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to save case');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Submit despite conflict hits; the server records the override reason in the case timeline
+  const handleOverrideSubmit = async (data: CaseFormData) => {
+    try {
+      setLoading(true);
+      await submitCase({ ...data, conflictOverride: { reason: overrideReason.trim() } });
+    } catch (error) {
+      console.error('Form submission error:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to save case');
     } finally {
       setLoading(false);
     }
@@ -134,9 +220,69 @@ const CaseForm: React.FC<CaseFormProps> = ({
 
   const handleClose = () => {
     reset();
+    clearConflicts();
     onClose();
   };
 
+  const renderPartyList = (
+    title: string,
+    name: 'opposingParties' | 'relatedParties',
+    fieldArray: UseFieldArrayReturn<CaseFormData, 'opposingParties' | 'relatedParties'>
+  ) => (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <span className="block text-sm font-medium text-gray-700">{title}</span>
+        <button
+          type="button"
+          onClick={() => {
+            fieldArray.append({ ...EMPTY_PARTY });
+            clearConflicts();
+          }}
+          className="flex items-center text-sm text-navy-600 hover:text-navy-800"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add party
+        </button>
+      </div>
+      {fieldArray.fields.length === 0 && (
+        <p className="text-sm text-gray-500">None added</p>
+      )}
+      <div className="space-y-2">
+        {fieldArray.fields.map((field, index) => (
+          <div key={field.id} className="grid grid-cols-1 md:grid-cols-9 gap-2 items-start">
+            <div className="md:col-span-3">
+              <Input
+                {...register(`${name}.${index}.name` as const, { required: 'Party name is required' })}
+                placeholder="Full name or organization"
+                error={errors[name]?.[index]?.name?.message}
+              />
+            </div>
+            <div className="md:col-span-2">
+              <Input {...register(`${name}.${index}.email` as const)} type="email" placeholder="Email" />
+            </div>
+            <div className="md:col-span-2">
+              <Input {...register(`${name}.${index}.phone` as const)} placeholder="Phone" />
+            </div>
+            <div className="md:col-span-1">
+              <Input {...register(`${name}.${index}.relationship` as const)} placeholder="Role" />
+            </div>
+            <button
+              type="button"
+              aria-label="Remove party"
+              onClick={() => {
+                fieldArray.remove(index);
+                clearConflicts();
+              }}
+              className="md:col-span-1 p-2 text-gray-400 hover:text-red-600 transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
   if (!isOpen) return null;
 
   return (
@@ -246,6 +392,33 @@ const CaseForm: React.FC<CaseFormProps> = ({
             </div>
           </div>
 
+          {/* Template */}
+          {!isEditing && templates.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Template
+              </label>
+              <select
+                {...register('templateId', {
+                  onChange: (event) => handleTemplateChange(event.target.value)
+                })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+              >
+                <option value="">No template</option>
+                {templates.map(template => (
+                  <option key={template._id} value={template._id}>{template.name}</option>
+                ))}
+              </select>
+              {selectedTemplate && (
+                <p className="mt-1 text-sm text-gray-500">
+                  Adds {selectedTemplate.documentChecklist.length} checklist documents,{' '}
+                  {selectedTemplate.tasks.length + selectedTemplate.deadlines.length} dated tasks and deadlines
+                  and {selectedTemplate.notes.length} notes to the new case.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Client and Assigned To */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
@@ -334,6 +507,61 @@ const CaseForm: React.FC<CaseFormProps> = ({
             )}
           </div>
 
+          {/* Opposing and Related Parties */}
+          <div className="space-y-4">
+            {renderPartyList('Opposing Parties', 'opposingParties', opposingFields)}
+            {renderPartyList('Related Parties', 'relatedParties', relatedFields)}
+          </div>
+
+          {/* Conflict Check Results */}
+          {conflicts && (
+            <div className="p-4 border border-red-200 bg-red-50 rounded-md space-y-3">
+              <div className="flex items-center text-red-800 font-medium">
+                <ShieldAlert className="w-5 h-5 mr-2" />
+                Possible conflict of interest ({conflicts.summary.conflicts} conflict, {conflicts.summary.potential} potential)
+              </div>
+              <ul className="space-y-2 text-sm">
+                {conflicts.hits.map((hit, index) => (
+                  <li key={index} className="flex items-start">
+                    <span className={`mr-2 px-2 py-0.5 rounded text-xs font-medium ${
+                      hit.severity === 'conflict' ? 'bg-red-200 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {hit.severity}
+                    </span>
+                    <span className="text-gray-800">
+                      <strong>{hit.candidate.name}</strong> matches {CONFLICT_SOURCES[hit.source]}{' '}
+                      <strong>{hit.matched.name}</strong> on {hit.matchedOn.join(', ')}
+                      {hit.cases.length > 0 && (
+                        <> in {hit.cases.map(c => c.caseNumber).join(', ')}</>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <textarea
+                value={overrideReason}
+                onChange={(e) => setOverrideReason(e.target.value)}
+                rows={2}
+                maxLength={1000}
+                placeholder="Reason for proceeding (recorded in the case timeline)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent resize-none"
+              />
+              <div className="flex justify-end space-x-3">
+                <Button type="button" variant="outline" size="sm" onClick={clearConflicts} disabled={loading}>
+                  Review Case
+                </Button>
+                <Button
+                  type="button"
+                  size="sm"
+                  onClick={handleSubmit(handleOverrideSubmit)}
+                  disabled={loading || !overrideReason.trim()}
+                >
+                  Proceed Anyway
+                </Button>
+              </div>
+            </div>
+          )}
+
           {/* Form Actions */}
           <div className="flex justify-end space-x-3 pt-6 border-t border-gray-200">
             <Button
@@ -346,7 +574,7 @@ const CaseForm: React.FC<CaseFormProps> = ({
             </Button>
             <Button
               type="submit"
-              disabled={loading || !isValid}
+              disabled={loading || !isValid || !!conflicts}
               className="flex items-center"
             >
               {loading ? (
@@ -0,0 +1,418 @@
+// Case task list and editor for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, CheckSquare, Square, MessageSquare, ChevronDown, ChevronUp, ListTodo } from 'lucide-react';
+import Button from '../ui/Button';
+import { Task, TaskStatus } from '../../types';
+import { taskService } from '../../services/taskService';
+import { userManagementService } from '../../services/userManagementService';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+interface Assignee {
+  _id: string;
+  firstName: string;
+  lastName: string;
+}
+
+interface CaseTasksProps {
+  caseId: string;
+  caseAssignee?: Assignee | null;
+}
+
+const TASK_STATUSES: Array<{ value: TaskStatus; label: string; color: string }> = [
+  { value: 'open', label: 'Open', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'in_progress', label: 'In Progress', color: 'bg-blue-100 text-blue-800' },
+  { value: 'completed', label: 'Completed', color: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', color: 'bg-gray-100 text-gray-800' }
+];
+
+const PRIORITY_COLORS: Record<Task['priority'], string> = {
+  low: 'text-green-600',
+  medium: 'text-blue-600',
+  high: 'text-orange-600',
+  urgent: 'text-red-600'
+};
+
+const EMPTY_TASK = { title: '', description: '', assignedTo: '', dueDate: '', priority: 'medium' as Task['priority'] };
+
+const personName = (person?: string | { firstName: string; lastName: string }) =>
+  person && typeof person !== 'string' ? `${person.firstName} ${person.lastName}` : '';
+
+const personId = (person?: string | { _id?: string }) =>
+  typeof person === 'string' ? person : person?._id;
+
+const CaseTasks: React.FC<CaseTasksProps> = ({ caseId, caseAssignee }) => {
+  const { user } = useAuth();
+  const [tasks, setTasks] = useState<Task[]>([]);
+  const [assignees, setAssignees] = useState<Assignee[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [newTask, setNewTask] = useState(EMPTY_TASK);
+  const [expandedTaskId, setExpandedTaskId] = useState<string | null>(null);
+  const [comment, setComment] = useState('');
+  const [checklistText, setChecklistText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadTasks();
+  }, [caseId]);
+
+  // Staff who can take a task: the current user, the case assignee and (for advocates) the firm's admins
+  useEffect(() => {
+    const people = new Map<string, Assignee>();
+    if (user) people.set(user.id, { _id: user.id, firstName: user.firstName, lastName: user.lastName });
+    if (caseAssignee?._id) people.set(caseAssignee._id, caseAssignee);
+    setAssignees(Array.from(people.values()));
+
+    if (user?.role !== 'advocate') return;
+    userManagementService.getAllUsers({ role: 'admin', limit: 100 })
+      .then(response => {
+        (response.users || []).forEach((admin: any) => {
+          const id = admin._id || admin.id;
+          if (admin.isActive !== false) people.set(id, { _id: id, firstName: admin.firstName, lastName: admin.lastName });
+        });
+        setAssignees(Array.from(people.values()));
+      })
+      .catch(error => console.error('Failed to load admins:', error));
+  }, [user, caseAssignee]);
+
+  const loadTasks = async () => {
+    try {
+      setLoading(true);
+      setTasks(await taskService.getCaseTasks(caseId));
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+      toast.error('Failed to load tasks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Drafts belong to the task being viewed, so switching tasks clears them
+  const toggleExpanded = (taskId: string) => {
+    setExpandedTaskId(prev => (prev === taskId ? null : taskId));
+    setComment('');
+    setChecklistText('');
+  };
+
+  const replaceTask = (updated: Task) => {
+    setTasks(prev => prev.map(task => (task._id === updated._id ? updated : task)));
+  };
+
+  const handleCreateTask = async () => {
+    if (!newTask.title.trim()) {
+      toast.error('Give the task a title');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const task = await taskService.createTask(caseId, {
+        title: newTask.title.trim(),
+        description: newTask.description.trim() || undefined,
+        assignedTo: newTask.assignedTo || undefined,
+        dueDate: newTask.dueDate || undefined,
+        priority: newTask.priority
+      });
+      setTasks(prev => [...prev, task]);
+      setNewTask(EMPTY_TASK);
+      setShowForm(false);
+      toast.success('Task created');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to create task');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (task: Task, update: Parameters<typeof taskService.updateTask>[2]) => {
+    try {
+      replaceTask(await taskService.updateTask(caseId, task._id, update));
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to update task');
+    }
+  };
+
+  const handleToggleChecklist = async (task: Task, itemId: string, isDone: boolean) => {
+    try {
+      replaceTask(await taskService.setChecklistItem(caseId, task._id, itemId, isDone));
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to update checklist');
+    }
+  };
+
+  const handleAddChecklistItem = async (task: Task) => {
+    if (!checklistText.trim()) return;
+    await handleUpdate(task, { addChecklistItems: [checklistText.trim()] });
+    setChecklistText('');
+  };
+
+  const handleAddComment = async (task: Task) => {
+    if (!comment.trim()) return;
+
+    try {
+      replaceTask(await taskService.addComment(caseId, task._id, comment.trim()));
+      setComment('');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to add comment');
+    }
+  };
+
+  const handleDelete = async (task: Task) => {
+    if (!window.confirm(`Delete the task "${task.title}"?`)) {
+      return;
+    }
+
+    try {
+      await taskService.deleteTask(caseId, task._id);
+      setTasks(prev => prev.filter(item => item._id !== task._id));
+      toast.success('Task deleted');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to delete task');
+    }
+  };
+
+  const canDelete = (task: Task) => user?.role === 'advocate' || personId(task.createdBy as any) === user?.id;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-navy-600"></div>
+      </div>
+    );
+  }
+
+  // Work still to do first
+  const sortedTasks = [...tasks].sort((a, b) => {
+    const finished = (task: Task) => (task.status === 'completed' || task.status === 'cancelled' ? 1 : 0);
+    return finished(a) - finished(b);
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Tasks</h3>
+        <Button onClick={() => setShowForm(!showForm)} size="sm" className="flex items-center">
+          <Plus className="w-4 h-4 mr-2" />
+          Add Task
+        </Button>
+      </div>
+
+      {showForm && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <input
+            type="text"
+            value={newTask.title}
+            onChange={(e) => setNewTask(prev => ({ ...prev, title: e.target.value }))}
+            placeholder="e.g. File replying affidavit"
+            aria-label="Task title"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+          />
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={newTask.assignedTo}
+              onChange={(e) => setNewTask(prev => ({ ...prev, assignedTo: e.target.value }))}
+              aria-label="Assignee"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+            >
+              <option value="">Unassigned</option>
+              {assignees.map(person => (
+                <option key={person._id} value={person._id}>
+                  {person._id === user?.id ? 'Me' : `${person.firstName} ${person.lastName}`}
+                </option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={newTask.dueDate}
+              onChange={(e) => setNewTask(prev => ({ ...prev, dueDate: e.target.value }))}
+              aria-label="Due date"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+            />
+            <select
+              value={newTask.priority}
+              onChange={(e) => setNewTask(prev => ({ ...prev, priority: e.target.value as Task['priority'] }))}
+              aria-label="Priority"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+            >
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+              <option value="urgent">Urgent</option>
+            </select>
+          </div>
+          <textarea
+            value={newTask.description}
+            onChange={(e) => setNewTask(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Details (optional)"
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent resize-none"
+          />
+          <div className="flex justify-end">
+            <Button onClick={handleCreateTask} disabled={saving} size="sm">
+              Save Task
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {sortedTasks.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <ListTodo className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <p>No tasks on this case yet</p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {sortedTasks.map(task => {
+            const statusInfo = TASK_STATUSES.find(status => status.value === task.status) || TASK_STATUSES[0];
+            const expanded = expandedTaskId === task._id;
+            return (
+              <div key={task._id} className="p-4">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="flex items-start gap-3">
+                    <button
+                      onClick={() => handleUpdate(task, { status: task.status === 'completed' ? 'open' : 'completed' })}
+                      className="mt-0.5 text-gray-400 hover:text-navy-600"
+                      title={task.status === 'completed' ? 'Reopen' : 'Mark complete'}
+                    >
+                      {task.status === 'completed' ? <CheckSquare className="w-5 h-5 text-green-600" /> : <Square className="w-5 h-5" />}
+                    </button>
+                    <div>
+                      <p className={`font-medium ${task.status === 'completed' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                        {task.title}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {personName(task.assignedTo) || 'Unassigned'}
+                        {task.dueDate && (
+                          <span className={task.isOverdue ? 'text-red-600 font-medium' : ''}>
+                            {' • '}Due {new Date(task.dueDate).toLocaleDateString()}{task.isOverdue && ' (overdue)'}
+                          </span>
+                        )}
+                        {' • '}<span className={PRIORITY_COLORS[task.priority]}>{task.priority}</span>
+                        {task.checklist.length > 0 && ` • ${task.checklist.filter(item => item.isDone).length}/${task.checklist.length} done`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusInfo.color}`}>{statusInfo.label}</span>
+                    <button
+                      onClick={() => toggleExpanded(task._id)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title={expanded ? 'Collapse' : 'Details'}
+                    >
+                      {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                    </button>
+                    {canDelete(task) && (
+                      <button onClick={() => handleDelete(task)} className="text-gray-400 hover:text-red-600" title="Delete">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {expanded && (
+                  <div className="mt-4 ml-8 space-y-4">
+                    {task.description && <p className="text-sm text-gray-700 whitespace-pre-wrap">{task.description}</p>}
+
+                    <div className="flex flex-wrap gap-2">
+                      <select
+                        value={task.status}
+                        onChange={(e) => handleUpdate(task, { status: e.target.value as TaskStatus })}
+                        aria-label="Status"
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                      >
+                        {TASK_STATUSES.map(status => (
+                          <option key={status.value} value={status.value}>{status.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={personId(task.assignedTo) || ''}
+                        onChange={(e) => handleUpdate(task, { assignedTo: e.target.value })}
+                        aria-label="Assignee"
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                      >
+                        <option value="">Unassigned</option>
+                        {assignees.map(person => (
+                          <option key={person._id} value={person._id}>{person.firstName} {person.lastName}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        value={task.dueDate ? task.dueDate.slice(0, 10) : ''}
+                        onChange={(e) => handleUpdate(task, { dueDate: e.target.value })}
+                        aria-label="Due date"
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                      />
+                    </div>
+
+                    {/* Checklist */}
+                    <div>
+                      <p className="text-sm font-medium text-gray-700 mb-2">Checklist</p>
+                      <ul className="space-y-1">
+                        {task.checklist.map(item => (
+                          <li key={item._id}>
+                            <label className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={item.isDone}
+                                onChange={(e) => handleToggleChecklist(task, item._id, e.target.checked)}
+                                className="mr-2"
+                              />
+                              <span className={item.isDone ? 'line-through text-gray-400' : ''}>{item.text}</span>
+                            </label>
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="flex gap-2 mt-2">
+                        <input
+                          type="text"
+                          value={checklistText}
+                          onChange={(e) => setChecklistText(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && handleAddChecklistItem(task)}
+                          placeholder="Add checklist item"
+                          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                        />
+                        <Button onClick={() => handleAddChecklistItem(task)} size="sm" variant="outline">Add</Button>
+                      </div>
+                    </div>
+
+                    {/* Comments */}
+                    <div>
+                      <p className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                        <MessageSquare className="w-4 h-4 mr-1" />
+                        Comments ({task.comments.length})
+                      </p>
+                      <div className="space-y-2">
+                        {task.comments.map(item => (
+                          <div key={item._id} className="bg-gray-50 rounded-md p-2">
+                            <p className="text-sm text-gray-800 whitespace-pre-wrap">{item.content}</p>
+                            <p className="text-xs text-gray-500">
+                              {personName(item.author)} • {new Date(item.createdAt).toLocaleString()}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="flex gap-2 mt-2">
+                        <input
+                          type="text"
+                          value={comment}
+                          onChange={(e) => setComment(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && handleAddComment(task)}
+                          placeholder="Write a comment"
+                          className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500"
+                        />
+                        <Button onClick={() => handleAddComment(task)} size="sm" variant="outline">Post</Button>
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaseTasks;
@@ -0,0 +1,172 @@
+// Full-text search across case documents for LegalPro v1.0.1
+import React, { useState } from 'react';
+import { Search, FileText, Download, ExternalLink } from 'lucide-react';
+import Button from '../ui/Button';
+import Card from '../ui/Card';
+import { DocumentSearchResult, TextHighlight } from '../../types';
+import { caseService, DocumentSearchResponse } from '../../services/caseService';
+import toast from 'react-hot-toast';
+
+interface DocumentSearchProps {
+  caseId?: string;
+  onOpenCase?: (caseId: string) => void;
+}
+
+const PAGE_SIZE = 10;
+
+// Render text with the matched ranges wrapped in <mark>
+const Highlighted: React.FC<{ text: string; highlights: TextHighlight[] }> = ({ text, highlights }) => {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  highlights.forEach(({ start, length }, index) => {
+    if (start < position) return;
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {text.slice(start, start + length)}
+      </mark>
+    );
+    position = start + length;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+const DocumentSearch: React.FC<DocumentSearchProps> = ({ caseId, onOpenCase }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<DocumentSearchResponse | null>(null);
+  const [searching, setSearching] = useState(false);
+
+  const runSearch = async (page: number = 1) => {
+    const q = query.trim();
+    if (q.length < 2) {
+      toast.error('Enter at least 2 characters to search documents');
+      return;
+    }
+
+    try {
+      setSearching(true);
+      setResults(await caseService.searchDocuments({ q, caseId, page, limit: PAGE_SIZE }));
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to search documents');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    runSearch(1);
+  };
+
+  const handleDownload = async (result: DocumentSearchResult) => {
+    try {
+      await caseService.downloadDocument(result.caseId, result.documentId);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to download document');
+    }
+  };
+
+  return (
+    <Card className="p-6 mb-6">
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+        <div className="relative flex-1">
+          <FileText className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            maxLength={200}
+            placeholder='Search inside documents, e.g. "joint custody" affidavit'
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+          />
+        </div>
+        <Button type="submit" disabled={searching} className="flex items-center">
+          <Search className="w-4 h-4 mr-2" />
+          {searching ? 'Searching...' : 'Search Documents'}
+        </Button>
+      </form>
+
+      {results && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-500 mb-3">
+            {results.total === 0
+              ? 'No documents matched your search'
+              : `${results.total} matching document${results.total === 1 ? '' : 's'}`}
+          </p>
+
+          <ul className="divide-y divide-gray-100">
+            {results.data.map(result => (
+              <li key={result.documentId} className="py-3">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="font-medium text-navy-800">
+                      <Highlighted text={result.name} highlights={result.nameHighlights} />
+                      {result.version > 1 && <span className="ml-2 text-xs text-gray-500">v{result.version}</span>}
+                    </p>
+                    {!caseId && (
+                      <p className="text-xs text-gray-500">
+                        <span className="font-mono">{result.case.caseNumber}</span> • {result.case.title}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex space-x-2 flex-shrink-0 ml-2">
+                    {onOpenCase && !caseId && (
+                      <button
+                        onClick={() => onOpenCase(result.caseId)}
+                        className="text-gray-400 hover:text-navy-700"
+                        title="Open case"
+                      >
+                        <ExternalLink className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDownload(result)}
+                      className="text-gray-400 hover:text-navy-700"
+                      title="Download document"
+                    >
+                      <Download className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                {result.snippets.map((snippet, index) => (
+                  <p key={index} className="mt-1 text-sm text-gray-600">
+                    <Highlighted text={snippet.text} highlights={snippet.highlights} />
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ul>
+
+          {results.pagination.pages > 1 && (
+            <div className="flex items-center justify-between mt-3">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => runSearch(results.pagination.page - 1)}
+                disabled={searching || !results.pagination.hasPrev}
+              >
+                Previous
+              </Button>
+              <span className="text-xs text-gray-500">
+                Page {results.pagination.page} of {results.pagination.pages}
+              </span>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => runSearch(results.pagination.page + 1)}
+                disabled={searching || !results.pagination.hasNext}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default DocumentSearch;
@@ -0,0 +1,211 @@
+// Document version history and check-out panel for LegalPro v1.0.1
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, Lock, Unlock, RotateCcw, Upload } from 'lucide-react';
+import Button from '../ui/Button';
+import { Document, DocumentVersionHistory, User } from '../../types';
+import { caseService } from '../../services/caseService';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+interface DocumentVersionsProps {
+  caseId: string;
+  document: Document;
+  canRevise: boolean;
+  onDocumentChange: (document: Document) => void;
+}
+
+const userName = (user?: string | User) =>
+  user && typeof user === 'object' ? `${user.firstName} ${user.lastName}` : 'Unknown user';
+
+const userId = (user?: string | User) =>
+  user && typeof user === 'object' ? (user as any)._id || user.id : user;
+
+const formatDateTime = (dateString: string) =>
+  new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const formatFileSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const DocumentVersions: React.FC<DocumentVersionsProps> = ({ caseId, document, canRevise, onDocumentChange }) => {
+  const { user } = useAuth();
+  const [history, setHistory] = useState<DocumentVersionHistory | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [comment, setComment] = useState('');
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    loadVersions();
+  }, [caseId, document.id, document.version]);
+
+  const loadVersions = async () => {
+    try {
+      setLoading(true);
+      setHistory(await caseService.getDocumentVersions(caseId, document.id));
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to load versions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action: () => Promise<Document>, successMessage: string) => {
+    try {
+      setWorking(true);
+      const updated = await action();
+      onDocumentChange(updated);
+      toast.success(successMessage);
+      await loadVersions();
+    } catch (error: any) {
+      toast.error(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFileSelected = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    await runAction(
+      () => caseService.uploadDocumentVersion(caseId, document.id, file, { comment: comment.trim() || undefined }),
+      'New version uploaded'
+    );
+    setComment('');
+  };
+
+  const handleRestore = (version: number) => {
+    if (!window.confirm(`Restore version ${version}? It will become the newest version.`)) return;
+    runAction(() => caseService.restoreDocumentVersion(caseId, document.id, version), `Version ${version} restored`);
+  };
+
+  const handleDownload = async (version: number) => {
+    try {
+      await caseService.downloadDocument(caseId, document.id, version);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to download version');
+    }
+  };
+
+  const checkedOutBy = history?.checkedOutBy;
+  const checkedOutByMe = !!checkedOutBy && userId(checkedOutBy) === user?.id;
+  const lockedByOther = !!checkedOutBy && !checkedOutByMe;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100 space-y-3">
+      {checkedOutBy && (
+        <div className="flex items-start text-xs text-amber-700 bg-amber-50 rounded p-2">
+          <Lock className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+          <span>
+            Checked out by {checkedOutByMe ? 'you' : userName(checkedOutBy)}
+            {history?.checkedOutAt && ` on ${formatDateTime(history.checkedOutAt)}`}
+            {history?.checkoutNote && ` — ${history.checkoutNote}`}
+          </span>
+        </div>
+      )}
+
+      {canRevise && (
+        <div className="space-y-2">
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={500}
+            placeholder="What changed in this version? (optional)"
+            className="w-full text-xs border border-gray-300 rounded px-2 py-1"
+            disabled={lockedByOther}
+          />
+          <div className="flex flex-wrap gap-2">
+            <Button
+              size="sm"
+              onClick={() => fileInput.current?.click()}
+              disabled={working || lockedByOther}
+              className="flex items-center"
+            >
+              <Upload className="w-3 h-3 mr-1" />
+              New Version
+            </Button>
+            {!checkedOutBy && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => runAction(() => caseService.checkOutDocument(caseId, document.id), 'Document checked out')}
+                disabled={working}
+                className="flex items-center"
+              >
+                <Lock className="w-3 h-3 mr-1" />
+                Check Out
+              </Button>
+            )}
+            {(checkedOutByMe || (lockedByOther && user?.role === 'advocate')) && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => runAction(() => caseService.checkInDocument(caseId, document.id), 'Document checked in')}
+                disabled={working}
+                className="flex items-center"
+              >
+                <Unlock className="w-3 h-3 mr-1" />
+                {checkedOutByMe ? 'Check In' : 'Release Lock'}
+              </Button>
+            )}
+          </div>
+          <input ref={fileInput} type="file" className="hidden" onChange={handleFileSelected} />
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-xs text-gray-500">Loading versions...</p>
+      ) : (
+        <ul className="space-y-2">
+          {history?.versions.map(version => (
+            <li key={version.version} className="text-xs flex items-start justify-between">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900">
+                  v{version.version}
+                  {version.isCurrent && <span className="ml-1 text-green-700">(current)</span>}
+                  <span className="ml-1 font-normal text-gray-500 truncate">{version.originalName}</span>
+                </p>
+                <p className="text-gray-500">
+                  {userName(version.uploadedBy)} • {formatDateTime(version.uploadedAt)} • {formatFileSize(version.size)}
+                </p>
+                {version.comment && <p className="text-gray-600 italic">{version.comment}</p>}
+              </div>
+              <div className="flex space-x-1 flex-shrink-0 ml-2">
+                <button
+                  onClick={() => handleDownload(version.version)}
+                  className="text-gray-400 hover:text-gray-600"
+                  title="Download this version"
+                >
+                  <Download className="w-3 h-3" />
+                </button>
+                {canRevise && !version.isCurrent && !lockedByOther && (
+                  <button
+                    onClick={() => handleRestore(version.version)}
+                    disabled={working}
+                    className="text-gray-400 hover:text-blue-600"
+                    title="Restore this version"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DocumentVersions;
@@ -0,0 +1,124 @@
+// "My tasks" dashboard panel for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { ListChecks, Square, AlertCircle } from 'lucide-react';
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import { Task } from '../../types';
+import { taskService } from '../../services/taskService';
+import toast from 'react-hot-toast';
+
+const PRIORITY_COLORS: Record<Task['priority'], string> = {
+  low: 'text-green-600',
+  medium: 'text-blue-600',
+  high: 'text-orange-600',
+  urgent: 'text-red-600'
+};
+
+const MyTasks: React.FC = () => {
+  const [tasks, setTasks] = useState<Task[]>([]);
+  const [overdue, setOverdue] = useState(0);
+  const [dueFilter, setDueFilter] = useState<'all' | 'week' | 'overdue'>('all');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadTasks();
+  }, [dueFilter]);
+
+  const loadTasks = async () => {
+    try {
+      setLoading(true);
+      const response = await taskService.getMyTasks({
+        due: dueFilter === 'all' ? undefined : dueFilter,
+        limit: 20
+      });
+      setTasks(response.data);
+      setOverdue(response.overdue);
+    } catch (error) {
+      console.error('Failed to load your tasks:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleComplete = async (task: Task) => {
+    const caseId = typeof task.caseId === 'string' ? task.caseId : task.caseId._id;
+
+    try {
+      await taskService.updateTask(caseId, task._id, { status: 'completed' });
+      setTasks(prev => prev.filter(item => item._id !== task._id));
+      if (task.isOverdue) setOverdue(prev => Math.max(prev - 1, 0));
+      toast.success('Task completed');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to complete task');
+    }
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-navy-800 flex items-center">
+          My Tasks
+          {overdue > 0 && (
+            <span className="ml-3 px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 flex items-center">
+              <AlertCircle className="w-3 h-3 mr-1" />
+              {overdue} overdue
+            </span>
+          )}
+        </h2>
+        <div className="flex space-x-1">
+          {(['all', 'week', 'overdue'] as const).map(filter => (
+            <Button
+              key={filter}
+              variant={dueFilter === filter ? 'primary' : 'ghost'}
+              size="sm"
+              onClick={() => setDueFilter(filter)}
+            >
+              {filter === 'all' ? 'All' : filter === 'week' ? 'This Week' : 'Overdue'}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-navy-600"></div>
+        </div>
+      ) : tasks.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <ListChecks className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <p>Nothing on your list</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {tasks.map(task => (
+            <div key={task._id} className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg">
+              <button
+                onClick={() => handleComplete(task)}
+                className="mt-0.5 text-gray-400 hover:text-green-600"
+                title="Mark complete"
+              >
+                <Square className="w-5 h-5" />
+              </button>
+              <div className="flex-1">
+                <h3 className="font-medium text-navy-800">{task.title}</h3>
+                <p className="text-xs text-gray-500">
+                  {typeof task.caseId !== 'string' && `${task.caseId.caseNumber} • `}
+                  {task.dueDate ? (
+                    <span className={task.isOverdue ? 'text-red-600 font-medium' : ''}>
+                      Due {new Date(task.dueDate).toLocaleDateString()}{task.isOverdue && ' (overdue)'}
+                    </span>
+                  ) : 'No due date'}
+                  {task.checklistProgress && task.checklistProgress.total > 0 &&
+                    ` • ${task.checklistProgress.done}/${task.checklistProgress.total} done`}
+                </p>
+              </div>
+              <span className={`text-xs font-medium ${PRIORITY_COLORS[task.priority]}`}>{task.priority}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default MyTasks;
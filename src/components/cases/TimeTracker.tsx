@@ -0,0 +1,400 @@
+// Case time tracking widget for LegalPro v1.0.1
+import React, { useState, useEffect } from 'react';
+import { Play, Square, Plus, Trash2, Clock } from 'lucide-react';
+import Button from '../ui/Button';
+import { TimeEntry, TimeEntryTotals, User } from '../../types';
+import { caseService, BillingSettings } from '../../services/caseService';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+interface TimeTrackerProps {
+  caseId: string;
+}
+
+const EMPTY_TOTALS: TimeEntryTotals = {
+  entries: 0,
+  totalMinutes: 0,
+  billableMinutes: 0,
+  nonBillableMinutes: 0,
+  billedMinutes: 0,
+  billableAmount: 0
+};
+
+const formatMinutes = (minutes: number) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+};
+
+const formatElapsed = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return [hours, minutes, secs].map(value => value.toString().padStart(2, '0')).join(':');
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const TimeTracker: React.FC<TimeTrackerProps> = ({ caseId }) => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState<TimeEntry[]>([]);
+  const [totals, setTotals] = useState<TimeEntryTotals>(EMPTY_TOTALS);
+  const [runningTimer, setRunningTimer] = useState<TimeEntry | null>(null);
+  const [settings, setSettings] = useState<BillingSettings | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [elapsed, setElapsed] = useState(0);
+  const [timerActivity, setTimerActivity] = useState('');
+  const [timerDescription, setTimerDescription] = useState('');
+  const [showManualForm, setShowManualForm] = useState(false);
+  const [manualEntry, setManualEntry] = useState({
+    activityCode: '',
+    workDate: today(),
+    durationMinutes: '',
+    description: '',
+    billable: true
+  });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadTimeEntries();
+  }, [caseId]);
+
+  // Tick the running timer once a second
+  useEffect(() => {
+    if (!runningTimer?.startTime) {
+      setElapsed(0);
+      return;
+    }
+
+    const startedAt = new Date(runningTimer.startTime).getTime();
+    const tick = () => setElapsed(Math.max(0, Math.floor((Date.now() - startedAt) / 1000)));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [runningTimer]);
+
+  const loadTimeEntries = async () => {
+    try {
+      setLoading(true);
+      const [list, billing] = await Promise.all([
+        caseService.getTimeEntries(caseId),
+        settings ? Promise.resolve(settings) : caseService.getActivityCodes()
+      ]);
+
+      setEntries(list.data);
+      setTotals(list.totals);
+      setRunningTimer(list.runningTimer);
+      setSettings(billing);
+    } catch (error) {
+      console.error('Failed to load time entries:', error);
+      toast.error('Failed to load time entries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getActivityLabel = (code: string) => {
+    return settings?.activityCodes.find(activity => activity.code === code)?.label || code;
+  };
+
+  const handleStartTimer = async () => {
+    if (!timerActivity) {
+      toast.error('Choose an activity before starting the timer');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const entry = await caseService.startTimer(caseId, {
+        activityCode: timerActivity,
+        description: timerDescription.trim() || undefined
+      });
+      setRunningTimer(entry);
+      toast.success('Timer started');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to start timer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStopTimer = async () => {
+    if (!runningTimer) return;
+
+    try {
+      setSaving(true);
+      await caseService.stopTimer(caseId, runningTimer._id, timerDescription.trim() || undefined);
+      setTimerDescription('');
+      await loadTimeEntries();
+      toast.success('Time recorded');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to stop timer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleManualActivityChange = (activityCode: string) => {
+    const activity = settings?.activityCodes.find(item => item.code === activityCode);
+    setManualEntry(prev => ({ ...prev, activityCode, billable: activity ? activity.billable : prev.billable }));
+  };
+
+  const handleAddManualEntry = async () => {
+    const durationMinutes = parseInt(manualEntry.durationMinutes, 10);
+    if (!manualEntry.activityCode || !durationMinutes || durationMinutes < 1) {
+      toast.error('Choose an activity and enter the minutes worked');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await caseService.addTimeEntry(caseId, {
+        activityCode: manualEntry.activityCode,
+        workDate: manualEntry.workDate,
+        durationMinutes,
+        description: manualEntry.description.trim() || undefined,
+        billable: manualEntry.billable
+      });
+      setManualEntry({ activityCode: '', workDate: today(), durationMinutes: '', description: '', billable: true });
+      setShowManualForm(false);
+      await loadTimeEntries();
+      toast.success('Time entry added');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to add time entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteEntry = async (entryId: string) => {
+    if (!window.confirm('Are you sure you want to delete this time entry?')) {
+      return;
+    }
+
+    try {
+      await caseService.deleteTimeEntry(caseId, entryId);
+      await loadTimeEntries();
+      toast.success('Time entry deleted');
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to delete time entry');
+    }
+  };
+
+  const canModify = (entry: TimeEntry) => {
+    const ownerId = typeof entry.advocateId === 'string' ? entry.advocateId : (entry.advocateId as User & { _id?: string })?._id;
+    return user?.role === 'advocate' || ownerId === user?.id;
+  };
+
+  const formatAmount = (amount: number) => {
+    return `${settings?.currency || 'KES'} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-navy-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Timer */}
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Timer</h3>
+        {runningTimer ? (
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              <p className="text-3xl font-mono text-navy-700" aria-live="polite">{formatElapsed(elapsed)}</p>
+              <p className="text-sm text-gray-500">{getActivityLabel(runningTimer.activityCode)}</p>
+            </div>
+            <div className="flex flex-1 md:max-w-md items-center gap-2">
+              <input
+                type="text"
+                value={timerDescription}
+                onChange={(e) => setTimerDescription(e.target.value)}
+                placeholder={runningTimer.description || 'What did you work on?'}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+              />
+              <Button onClick={handleStopTimer} disabled={saving} size="sm" className="flex items-center">
+                <Square className="w-4 h-4 mr-2" />
+                Stop
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-col md:flex-row gap-2">
+            <select
+              value={timerActivity}
+              onChange={(e) => setTimerActivity(e.target.value)}
+              aria-label="Timer activity"
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+            >
+              <option value="">Select activity</option>
+              {settings?.activityCodes.map(activity => (
+                <option key={activity.code} value={activity.code}>{activity.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={timerDescription}
+              onChange={(e) => setTimerDescription(e.target.value)}
+              placeholder="Description (optional)"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+            />
+            <Button onClick={handleStartTimer} disabled={saving} size="sm" className="flex items-center">
+              <Play className="w-4 h-4 mr-2" />
+              Start Timer
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-gray-50 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Total Time</p>
+          <p className="text-lg font-semibold text-gray-900">{formatMinutes(totals.totalMinutes)}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Billable</p>
+          <p className="text-lg font-semibold text-gray-900">{formatMinutes(totals.billableMinutes)}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Non-billable</p>
+          <p className="text-lg font-semibold text-gray-900">{formatMinutes(totals.nonBillableMinutes)}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Billable Amount</p>
+          <p className="text-lg font-semibold text-gray-900">{formatAmount(totals.billableAmount)}</p>
+        </div>
+      </div>
+
+      {/* Manual Entry */}
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Time Entries</h3>
+          <Button
+            onClick={() => setShowManualForm(!showManualForm)}
+            size="sm"
+            className="flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Time
+          </Button>
+        </div>
+
+        {showManualForm && (
+          <div className="border border-gray-200 rounded-lg p-4 mb-4 space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <select
+                value={manualEntry.activityCode}
+                onChange={(e) => handleManualActivityChange(e.target.value)}
+                aria-label="Activity"
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+              >
+                <option value="">Select activity</option>
+                {settings?.activityCodes.map(activity => (
+                  <option key={activity.code} value={activity.code}>{activity.label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={manualEntry.workDate}
+                onChange={(e) => setManualEntry(prev => ({ ...prev, workDate: e.target.value }))}
+                aria-label="Work date"
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+              />
+              <input
+                type="number"
+                min={1}
+                value={manualEntry.durationMinutes}
+                onChange={(e) => setManualEntry(prev => ({ ...prev, durationMinutes: e.target.value }))}
+                placeholder="Minutes"
+                aria-label="Minutes worked"
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent"
+              />
+            </div>
+            <textarea
+              value={manualEntry.description}
+              onChange={(e) => setManualEntry(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Describe the work..."
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-navy-500 focus:border-transparent resize-none"
+            />
+            <div className="flex items-center justify-between">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={manualEntry.billable}
+                  onChange={(e) => setManualEntry(prev => ({ ...prev, billable: e.target.checked }))}
+                  className="mr-2"
+                />
+                <span className="text-sm text-gray-600">Billable</span>
+              </label>
+              <Button onClick={handleAddManualEntry} disabled={saving} size="sm">
+                Save Entry
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Entries List */}
+        {entries.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <Clock className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+            <p>No time recorded yet</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {entries.map(entry => {
+              const advocate = typeof entry.advocateId === 'string' ? null : entry.advocateId;
+              return (
+                <div key={entry._id} className="flex items-start justify-between p-4">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{getActivityLabel(entry.activityCode)}</span>
+                      {entry.isRunning ? (
+                        <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full">Running</span>
+                      ) : !entry.billable && (
+                        <span className="px-2 py-1 bg-gray-100 text-gray-800 text-xs rounded-full">Non-billable</span>
+                      )}
+                    </div>
+                    {entry.description && (
+                      <p className="text-sm text-gray-700">{entry.description}</p>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      {new Date(entry.workDate).toLocaleDateString()}
+                      {advocate && ` • ${advocate.firstName} ${advocate.lastName}`}
+                    </p>
+                  </div>
+                  <div className="flex items-start space-x-3">
+                    {!entry.isRunning && (
+                      <div className="text-right">
+                        <p className="text-sm font-medium text-gray-900">{formatMinutes(entry.durationMinutes)}</p>
+                        {entry.billable && (
+                          <p className="text-xs text-gray-500">{formatAmount(entry.amount)}</p>
+                        )}
+                      </div>
+                    )}
+                    {canModify(entry) && !entry.isRunning && (
+                      <button
+                        onClick={() => handleDeleteEntry(entry._id)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TimeTracker;
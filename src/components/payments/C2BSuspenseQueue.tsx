@@ -0,0 +1,209 @@
+// Paybill suspense queue - LegalPro v1.0.1
+// Paybill/Till receipts whose account number didn't match a case, invoice or
+// client wait here until an admin allocates them.
+import React, { useState, useEffect } from 'react';
+import {
+  getC2BReceipts,
+  allocateC2BReceipt,
+  registerC2BUrls,
+  formatAmount,
+  C2BReceipt,
+  C2BAllocationData
+} from '../../services/paymentService';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { toast } from 'react-toastify';
+
+interface C2BSuspenseQueueProps {
+  onAllocated?: () => void;
+}
+
+const C2BSuspenseQueue: React.FC<C2BSuspenseQueueProps> = ({ onAllocated }) => {
+  const [receipts, setReceipts] = useState<C2BReceipt[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [registering, setRegistering] = useState(false);
+  const [allocatingId, setAllocatingId] = useState<string | null>(null);
+  const [allocation, setAllocation] = useState<C2BAllocationData>({ reference: '', paymentType: 'case_fee', note: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchReceipts();
+  }, []);
+
+  const fetchReceipts = async () => {
+    try {
+      setLoading(true);
+      const response = await getC2BReceipts({ status: 'suspense', limit: 50 });
+      setReceipts(response.receipts);
+      setTotal(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching Paybill receipts:', error);
+      toast.error('Failed to fetch Paybill receipts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegister = async () => {
+    try {
+      setRegistering(true);
+      const response = await registerC2BUrls();
+      toast.success(`Paybill URLs registered for ${response.data.shortCode}`);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to register Paybill URLs');
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const startAllocation = (receipt: C2BReceipt) => {
+    setAllocatingId(receipt._id);
+    setAllocation({ reference: receipt.accountReference || '', paymentType: 'case_fee', note: '' });
+  };
+
+  const handleAllocate = async (receipt: C2BReceipt) => {
+    if (!allocation.reference?.trim()) {
+      toast.error('Enter the case or invoice number');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await allocateC2BReceipt(receipt._id, {
+        reference: allocation.reference.trim(),
+        paymentType: allocation.paymentType,
+        note: allocation.note || undefined
+      });
+      toast.success(`Receipt ${receipt.transId} allocated`);
+      setAllocatingId(null);
+      fetchReceipts();
+      onAllocated?.();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to allocate receipt');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString?: string) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium">Paybill Suspense ({total})</h3>
+          <p className="text-sm text-gray-500">
+            Paybill payments whose account number didn't match a case, invoice or client
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={handleRegister} loading={registering}>
+          Register Paybill URLs
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : receipts.length === 0 ? (
+        <p className="text-center py-8 text-sm text-gray-500">No Paybill payments waiting for allocation</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payer</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account No.</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {receipts.map((receipt) => (
+                <React.Fragment key={receipt._id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{receipt.transId}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-900">{receipt.payerName || '-'}</div>
+                      <div className="text-sm text-gray-500">{receipt.phoneNumber || '-'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{receipt.accountReference || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{formatAmount(receipt.amount)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(receipt.transTime || receipt.createdAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {allocatingId !== receipt._id && (
+                        <Button variant="ghost" size="sm" onClick={() => startAllocation(receipt)}>
+                          Allocate
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                  {allocatingId === receipt._id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={6} className="px-6 py-4">
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                          <Input
+                            label="Case or invoice number"
+                            type="text"
+                            placeholder="CASE-2026-0001"
+                            value={allocation.reference || ''}
+                            onChange={(e) => setAllocation(prev => ({ ...prev, reference: e.target.value }))}
+                          />
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                            <select
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              value={allocation.paymentType}
+                              onChange={(e) => setAllocation(prev => ({ ...prev, paymentType: e.target.value as C2BAllocationData['paymentType'] }))}
+                            >
+                              <option value="case_fee">Case Fee</option>
+                              <option value="consultation_fee">Consultation Fee</option>
+                              <option value="document_fee">Document Fee</option>
+                              <option value="court_fee">Court Fee</option>
+                              <option value="cancellation_fee">Cancellation Fee</option>
+                              <option value="no_show_fee">No-Show Fee</option>
+                              <option value="other">Other</option>
+                            </select>
+                          </div>
+                          <Input
+                            label="Note"
+                            type="text"
+                            placeholder="e.g. confirmed with client by phone"
+                            value={allocation.note || ''}
+                            onChange={(e) => setAllocation(prev => ({ ...prev, note: e.target.value }))}
+                          />
+                          <div className="flex space-x-2">
+                            <Button size="sm" onClick={() => handleAllocate(receipt)} loading={saving}>
+                              Allocate
+                            </Button>
+                            <Button variant="ghost" size="sm" onClick={() => setAllocatingId(null)} disabled={saving}>
+                              Cancel
+                            </Button>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default C2BSuspenseQueue;
@@ -10,6 +10,7 @@ import {
 import { useAuth } from '../../contexts/AuthContext';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
+import C2BSuspenseQueue from './C2BSuspenseQueue';
 import { toast } from 'react-toastify';
 
 interface PaymentDashboardProps {
@@ -137,6 +138,11 @@ const PaymentDashboard: React.FC<PaymentDashboardProps> = ({ clientId }) => {
         </div>
       )}
 
+      {/* Paybill receipts waiting for allocation (Admin Only) */}
+      {user?.role === 'admin' && (
+        <C2BSuspenseQueue onAllocated={fetchPayments} />
+      )}
+
       {/* Filters */}
       <div className="bg-white p-6 rounded-lg shadow">
         <h3 className="text-lg font-medium mb-4">Filters</h3>
@@ -162,6 +168,7 @@ const PaymentDashboard: React.FC<PaymentDashboardProps> = ({ clientId }) => {
               <option value="completed">Completed</option>
               <option value="failed">Failed</option>
               <option value="cancelled">Cancelled</option>
+              <option value="timeout">Timed Out</option>
               <option value="refunded">Refunded</option>
             </select>
           </div>
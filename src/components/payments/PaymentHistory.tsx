@@ -1,8 +1,11 @@
 // Payment History Component - LegalPro v1.0.1
 import React, { useState, useEffect } from 'react';
 import { getPayments, getPaymentStatusBadge } from '../../services/paymentService';
+import { getPaymentPlans, payInstalment, getInstalmentLabel, PaymentPlan } from '../../services/paymentPlanService';
+import { useAuth } from '../../contexts/AuthContext';
 import PaymentStatus from './PaymentStatus';
 import Button from '../ui/Button';
+import { toast } from 'react-toastify';
 
 interface PaymentHistoryProps {
   clientId?: string;
@@ -15,7 +18,10 @@ const PaymentHistory: React.FC<PaymentHistoryProps> = ({
   limit = 10,
   showFilters = true
 }) => {
+  const { user } = useAuth();
   const [payments, setPayments] = useState<any[]>([]);
+  const [plans, setPlans] = useState<PaymentPlan[]>([]);
+  const [payingPlan, setPayingPlan] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
   const [selectedPayment, setSelectedPayment] = useState<string | null>(null);
   const [filters, setFilters] = useState({
@@ -30,6 +36,12 @@ const PaymentHistory: React.FC<PaymentHistoryProps> = ({
     fetchPayments();
   }, [filters, clientId]);
 
+  useEffect(() => {
+    if (user?.role === 'client') {
+      fetchPlans();
+    }
+  }, [user?.role]);
+
   const fetchPayments = async () => {
     try {
       setLoading(true);
@@ -48,6 +60,30 @@ const PaymentHistory: React.FC<PaymentHistoryProps> = ({
     }
   };
 
+  const fetchPlans = async () => {
+    try {
+      const response = await getPaymentPlans({ status: 'active' });
+      setPlans(response.data);
+    } catch (error) {
+      console.error('Error fetching payment plans:', error);
+    }
+  };
+
+  const handlePayInstalment = async (plan: PaymentPlan) => {
+    if (!plan.nextInstalment) return;
+    try {
+      setPayingPlan(plan._id);
+      await payInstalment(plan._id, plan.nextInstalment.number);
+      toast.success('Check your phone to complete the M-Pesa payment');
+      fetchPayments();
+      fetchPlans();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to send the payment request');
+    } finally {
+      setPayingPlan(null);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -101,6 +137,61 @@ const PaymentHistory: React.FC<PaymentHistoryProps> = ({
         </h3>
       </div>
 
+      {/* Instalment plans */}
+      {plans.length > 0 && (
+        <div className="px-6 py-4 border-b border-gray-200 space-y-4">
+          {plans.map((plan) => {
+            const reference = typeof plan.invoiceId === 'object' && plan.invoiceId
+              ? plan.invoiceId.invoiceNumber
+              : typeof plan.caseId === 'object' && plan.caseId ? plan.caseId.caseNumber : 'Case fees';
+            const next = plan.nextInstalment;
+
+            return (
+              <div key={plan._id}>
+                <div className="flex items-center justify-between mb-1">
+                  <h4 className="text-sm font-medium text-gray-900">
+                    Payment plan • {reference}
+                  </h4>
+                  <span className="text-sm text-gray-500">
+                    KES {plan.amountPaid.toLocaleString()} of {plan.totalAmount.toLocaleString()}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className={`h-2 rounded-full ${plan.missedCount > 0 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                    style={{ width: `${plan.percentPaid}%` }}
+                  />
+                </div>
+                <div className="flex items-center justify-between mt-2">
+                  <div className="text-sm text-gray-500">
+                    {next && (
+                      <span>
+                        {getInstalmentLabel(plan, next)}: KES {next.amount.toLocaleString()} due {new Date(next.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                      </span>
+                    )}
+                    {plan.missedCount > 0 && (
+                      <span className="ml-3 text-red-600">
+                        {plan.missedCount} missed
+                      </span>
+                    )}
+                  </div>
+                  {next && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      loading={payingPlan === plan._id}
+                      onClick={() => handlePayInstalment(plan)}
+                    >
+                      Pay now
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Filters */}
       {showFilters && (
         <div className="px-6 py-4 border-b border-gray-200">
@@ -91,6 +91,7 @@ const PaymentStatus: React.FC<PaymentStatusProps> = ({
         );
       case 'failed':
       case 'cancelled':
+      case 'timeout':
         return (
           <svg className="w-5 h-5 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
@@ -124,6 +125,8 @@ const PaymentStatus: React.FC<PaymentStatusProps> = ({
         return 'Payment failed. Please try again or contact support.';
       case 'cancelled':
         return 'Payment was cancelled.';
+      case 'timeout':
+        return 'M-Pesa did not confirm this payment. If money left your account, contact support with the M-Pesa message.';
       case 'refunded':
         return 'Payment has been refunded.';
       case 'partially_refunded':
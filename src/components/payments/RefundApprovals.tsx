@@ -0,0 +1,174 @@
+// Refund approvals - LegalPro v1.0.1
+// Refunds above the approval threshold wait here for a second administrator;
+// the final approval sends the M-Pesa payout.
+import React, { useState, useEffect } from 'react';
+import { getRefunds, approveRefund, rejectRefund, Refund, RefundStatus } from '../../services/refundService';
+import { formatAmount } from '../../services/paymentService';
+import { useAuth } from '../../contexts/AuthContext';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { toast } from 'react-toastify';
+
+const STATUS_STYLES: Record<RefundStatus, string> = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-gray-100 text-gray-800',
+  disbursing: 'bg-blue-100 text-blue-800',
+  disbursed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const personName = (person: any) =>
+  person && typeof person === 'object' ? `${person.firstName} ${person.lastName}` : '';
+
+const personId = (person: any) =>
+  person && typeof person === 'object' ? person._id : person;
+
+const RefundApprovals: React.FC = () => {
+  const { user } = useAuth();
+  const [refunds, setRefunds] = useState<Refund[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState<RefundStatus | ''>('requested');
+  const [decidingId, setDecidingId] = useState<string | null>(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [status]);
+
+  const fetchRefunds = async () => {
+    try {
+      setLoading(true);
+      const response = await getRefunds(status ? { status } : {});
+      setRefunds(response.data);
+    } catch (error) {
+      console.error('Error fetching refunds:', error);
+      toast.error('Failed to fetch refunds');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const decide = async (refund: Refund, approve: boolean) => {
+    try {
+      setSaving(true);
+      const response = approve
+        ? await approveRefund(refund._id, note || undefined)
+        : await rejectRefund(refund._id, note || undefined);
+      toast.success(response.message);
+      setDecidingId(null);
+      setNote('');
+      fetchRefunds();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to update refund');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const alreadyApproved = (refund: Refund) =>
+    refund.approvals.some(approval => personId(approval.userId) === user?.id);
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Refunds</h3>
+        <select
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          value={status}
+          onChange={(e) => setStatus(e.target.value as RefundStatus | '')}
+        >
+          <option value="requested">Awaiting approval</option>
+          <option value="disbursing">Being paid out</option>
+          <option value="disbursed">Paid out</option>
+          <option value="failed">Failed</option>
+          <option value="rejected">Rejected</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="px-6 py-12 text-center text-sm text-gray-500">Loading refunds...</div>
+      ) : refunds.length === 0 ? (
+        <div className="px-6 py-12 text-center text-sm text-gray-500">No refunds found</div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {refunds.map((refund) => {
+            const payment = typeof refund.paymentId === 'object' ? refund.paymentId : null;
+
+            return (
+              <div key={refund._id} className="px-6 py-4">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900">
+                      {formatAmount(refund.amount, refund.currency)} to {personName(refund.clientId) || refund.phoneNumber}
+                    </h4>
+                    <p className="text-sm text-gray-500">
+                      {refund.reason}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Requested by {personName(refund.requestedBy)} on {new Date(refund.createdAt).toLocaleDateString()}
+                      {payment && ` • Original payment ${formatAmount(payment.amount, payment.currency)}`}
+                      {payment?.mpesaDetails?.mpesaReceiptNumber && ` (${payment.mpesaDetails.mpesaReceiptNumber})`}
+                      {` • ${refund.approvals.length} of ${refund.requiredApprovals} approvals`}
+                    </p>
+                    {refund.disbursement?.transactionReceipt && (
+                      <p className="text-xs text-gray-500">Receipt: {refund.disbursement.transactionReceipt}</p>
+                    )}
+                    {(refund.failureReason || refund.rejectionReason) && (
+                      <p className="text-xs text-red-600">{refund.failureReason || refund.rejectionReason}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[refund.status]}`}>
+                      {refund.status}
+                    </span>
+                    {refund.status === 'requested' && decidingId !== refund._id && (
+                      <Button variant="outline" size="sm" onClick={() => { setDecidingId(refund._id); setNote(''); }}>
+                        Review
+                      </Button>
+                    )}
+                  </div>
+                </div>
+
+                {decidingId === refund._id && (
+                  <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+                    <Input
+                      label="Note (optional)"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                    />
+                    {alreadyApproved(refund) && (
+                      <p className="text-sm text-gray-500">
+                        You have already approved this refund; another administrator must approve it.
+                      </p>
+                    )}
+                    <div className="flex space-x-2">
+                      <Button
+                        size="sm"
+                        loading={saving}
+                        disabled={alreadyApproved(refund)}
+                        onClick={() => decide(refund, true)}
+                      >
+                        Approve
+                      </Button>
+                      <Button variant="outline" size="sm" disabled={saving} onClick={() => decide(refund, false)}>
+                        Reject
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => setDecidingId(null)}>
+                        Cancel
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefundApprovals;
@@ -0,0 +1,363 @@
+// Statement reconciliation - LegalPro v1.0.1
+// Admins upload the firm's bank or M-Pesa statement; each money-in line is
+// matched to a payment and waits here until an admin confirms or rejects it.
+import React, { useState, useEffect } from 'react';
+import {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  confirmStatementLine,
+  rejectStatementLine,
+  StatementImport,
+  StatementLine,
+  StatementLinePayment,
+  StatementMatchStatus,
+  StatementSource
+} from '../../services/statementService';
+import { formatAmount } from '../../services/paymentService';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import { toast } from 'react-toastify';
+
+const SOURCE_LABELS: Record<StatementSource, string> = {
+  bank_csv: 'Bank (CSV)',
+  bank_ofx: 'Bank (OFX)',
+  mpesa_csv: 'M-Pesa (CSV)'
+};
+
+const MATCH_STYLES: Record<StatementMatchStatus, string> = {
+  matched: 'bg-green-100 text-green-800',
+  discrepancy: 'bg-yellow-100 text-yellow-800',
+  unmatched: 'bg-red-100 text-red-800'
+};
+
+const DISCREPANCY_LABELS: Record<string, string> = {
+  amount: 'Amount differs',
+  date: 'Date outside tolerance',
+  phone: 'Different phone',
+  status: 'Payment marked failed',
+  ambiguous: 'Several possible payments',
+  already_reconciled: 'Payment already reconciled'
+};
+
+interface StatementReconciliationProps {
+  onReconciled?: () => void;
+}
+
+const StatementReconciliation: React.FC<StatementReconciliationProps> = ({ onReconciled }) => {
+  const [statements, setStatements] = useState<StatementImport[]>([]);
+  const [selected, setSelected] = useState<StatementImport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [file, setFile] = useState<File | null>(null);
+  const [source, setSource] = useState<StatementSource | ''>('');
+  const [uploading, setUploading] = useState(false);
+  const [filter, setFilter] = useState<StatementMatchStatus | 'all'>('all');
+  const [reviewingId, setReviewingId] = useState<string | null>(null);
+  const [manualPaymentId, setManualPaymentId] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchStatements();
+  }, []);
+
+  const fetchStatements = async () => {
+    try {
+      setLoading(true);
+      const response = await getStatements({ limit: 20 });
+      setStatements(response.data);
+    } catch (error) {
+      console.error('Error fetching statements:', error);
+      toast.error('Failed to fetch statements');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openStatement = async (statementId: string) => {
+    try {
+      setSelected(await getStatement(statementId));
+      setReviewingId(null);
+    } catch {
+      toast.error('Failed to load statement');
+    }
+  };
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error('Choose a statement file');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const statement = await uploadStatement(file, source || undefined);
+      const { matched, discrepancy, unmatched } = statement.summary;
+      toast.success(`Imported: ${matched} matched, ${discrepancy} to check, ${unmatched} unmatched`);
+      setFile(null);
+      (e.target as HTMLFormElement).reset();
+      await fetchStatements();
+      await openStatement(statement._id);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to import statement');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const startReview = (line: StatementLine) => {
+    setReviewingId(line._id);
+    setManualPaymentId('');
+    setNote('');
+  };
+
+  const handleReview = async (line: StatementLine, action: 'confirm' | 'reject') => {
+    if (!selected) return;
+    if (action === 'confirm' && !line.paymentId && !manualPaymentId.trim()) {
+      toast.error('Enter the payment ID this line belongs to');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (action === 'confirm') {
+        await confirmStatementLine(selected._id, line._id, {
+          paymentId: manualPaymentId.trim() || undefined,
+          note: note || undefined
+        });
+        toast.success('Payment reconciled');
+        onReconciled?.();
+      } else {
+        await rejectStatementLine(selected._id, line._id, note || undefined);
+        toast.success('Line rejected');
+      }
+      setReviewingId(null);
+      await openStatement(selected._id);
+      fetchStatements();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || `Failed to ${action} line`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString?: string) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const describePayment = (payment?: StatementLinePayment | string) => {
+    if (!payment || typeof payment === 'string') return null;
+    const client = payment.clientId ? `${payment.clientId.firstName} ${payment.clientId.lastName}` : 'Unknown client';
+    return (
+      <>
+        <div className="text-sm text-gray-900">{client}</div>
+        <div className="text-xs text-gray-500">
+          {formatAmount(payment.amount)} · {payment.status} · {payment.mpesaDetails?.mpesaReceiptNumber || payment.transactionId || payment._id}
+        </div>
+      </>
+    );
+  };
+
+  const lines = (selected?.lines || []).filter(line => filter === 'all' || line.matchStatus === filter);
+
+  return (
+    <div className="space-y-6">
+      {/* Upload */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-medium">Import Statement</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Upload a bank statement (CSV or OFX) or the M-Pesa organisation statement (CSV). Money-in lines are
+          matched to payments by receipt or reference, then by amount and date.
+        </p>
+        <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Statement file</label>
+            <input
+              type="file"
+              accept=".csv,.ofx,.qfx,.txt"
+              className="block w-full text-sm text-gray-700"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={source}
+              onChange={(e) => setSource(e.target.value as StatementSource | '')}
+            >
+              <option value="">Detect from file</option>
+              {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Button type="submit" loading={uploading}>
+              Import
+            </Button>
+          </div>
+        </form>
+      </div>
+
+      {/* Imported statements */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium">Imported Statements</h3>
+        </div>
+        {loading ? (
+          <div className="flex justify-center items-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : statements.length === 0 ? (
+          <p className="text-center py-8 text-sm text-gray-500">No statements imported yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {statements.map((statement) => (
+              <li
+                key={statement._id}
+                className={`px-6 py-3 flex justify-between items-center cursor-pointer hover:bg-gray-50 ${
+                  selected?._id === statement._id ? 'bg-blue-50' : ''
+                }`}
+                onClick={() => openStatement(statement._id)}
+              >
+                <div>
+                  <div className="text-sm font-medium text-gray-900">
+                    {statement.fileName || 'Statement'} · {SOURCE_LABELS[statement.source]}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {formatDate(statement.periodStart)} – {formatDate(statement.periodEnd)}
+                  </div>
+                </div>
+                <div className="flex space-x-2 text-xs">
+                  <span className={`px-2 py-1 rounded-full ${MATCH_STYLES.matched}`}>{statement.summary.matched} matched</span>
+                  <span className={`px-2 py-1 rounded-full ${MATCH_STYLES.discrepancy}`}>{statement.summary.discrepancy} to check</span>
+                  <span className={`px-2 py-1 rounded-full ${MATCH_STYLES.unmatched}`}>{statement.summary.unmatched} unmatched</span>
+                  <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-700">{statement.summary.pendingReview} pending</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Lines of the selected statement */}
+      {selected && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <h3 className="text-lg font-medium">{selected.fileName || 'Statement'} lines</h3>
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value as StatementMatchStatus | 'all')}
+            >
+              <option value="all">All lines</option>
+              <option value="matched">Matched</option>
+              <option value="discrepancy">Discrepancies</option>
+              <option value="unmatched">Unmatched</option>
+            </select>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Match</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {lines.map((line) => (
+                  <React.Fragment key={line._id}>
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(line.date)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{line.reference || '-'}</td>
+                      <td className="px-6 py-4 text-sm">
+                        <div className="text-gray-900">{line.payerName || line.description || '-'}</div>
+                        {line.phoneNumber && <div className="text-gray-500">{line.phoneNumber}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{formatAmount(line.amount)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${MATCH_STYLES[line.matchStatus]}`}>
+                          {line.matchStatus}
+                        </span>
+                        {line.discrepancies.map((discrepancy) => (
+                          <div key={discrepancy} className="text-xs text-yellow-700 mt-1">
+                            {DISCREPANCY_LABELS[discrepancy] || discrepancy}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">{describePayment(line.paymentId) || <span className="text-sm text-gray-400">-</span>}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                        {line.reviewStatus === 'pending' ? (
+                          reviewingId !== line._id && (
+                            <Button variant="ghost" size="sm" onClick={() => startReview(line)}>
+                              Review
+                            </Button>
+                          )
+                        ) : (
+                          <span className={line.reviewStatus === 'confirmed' ? 'text-green-700' : 'text-gray-500'}>
+                            {line.reviewStatus === 'confirmed' ? 'Confirmed' : 'Rejected'}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                    {reviewingId === line._id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={7} className="px-6 py-4">
+                          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                            <Input
+                              label={line.paymentId ? 'Different payment ID (optional)' : 'Payment ID'}
+                              type="text"
+                              placeholder="Payment this money belongs to"
+                              value={manualPaymentId}
+                              onChange={(e) => setManualPaymentId(e.target.value)}
+                            />
+                            <Input
+                              label="Note"
+                              type="text"
+                              placeholder="e.g. callback never arrived"
+                              value={note}
+                              onChange={(e) => setNote(e.target.value)}
+                            />
+                            <div className="flex space-x-2">
+                              <Button size="sm" onClick={() => handleReview(line, 'confirm')} loading={saving}>
+                                Confirm
+                              </Button>
+                              <Button variant="outline" size="sm" onClick={() => handleReview(line, 'reject')} disabled={saving}>
+                                Reject
+                              </Button>
+                              <Button variant="ghost" size="sm" onClick={() => setReviewingId(null)} disabled={saving}>
+                                Cancel
+                              </Button>
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+            {lines.length === 0 && (
+              <p className="text-center py-8 text-sm text-gray-500">No lines with this status</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatementReconciliation;
@@ -3,3 +3,6 @@ export { default as PaymentModal } from './PaymentModal';
 export { default as PaymentDashboard } from './PaymentDashboard';
 export { default as PaymentStatus } from './PaymentStatus';
 export { default as PaymentHistory } from './PaymentHistory';
+export { default as C2BSuspenseQueue } from './C2BSuspenseQueue';
+export { default as StatementReconciliation } from './StatementReconciliation';
+export { default as RefundApprovals } from './RefundApprovals';
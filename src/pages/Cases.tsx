@@ -39,6 +39,7 @@ import Input from '../components/ui/Input';
 import Card from '../components/ui/Card';
 
 import { LoadingOverlay, SkeletonCard, SkeletonTable } from '../components/ui/LoadingStates';
+import DocumentSearch from '../components/cases/DocumentSearch';
 import { ErrorBoundary, InlineError } from '../components/ui/ErrorHandling';
 
 
@@ -310,6 +311,22 @@ const Cases: React.FC = () => {
 
   };
 
+  // Open a case from a document search hit, fetching it if it isn't on this page
+  const openCaseById = async (caseId: string) => {
+    const loaded = cases.find((case_item: Case) => (case_item._id || case_item.id) === caseId);
+    if (loaded) {
+      setSelectedCase(loaded);
+      return;
+    }
+
+    try {
+      const response = await caseService.getCase(caseId);
+      setSelectedCase(response.data);
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to open case');
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -501,6 +518,11 @@ const Cases: React.FC = () => {
           </AnimatePresence>
         </Card>
 
+        {/* Document Search */}
+        {(user?.role !== 'admin' || user.permissions?.canOpenFiles) && (
+          <DocumentSearch onOpenCase={openCaseById} />
+        )}
+
         {/* Cases Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
           {cases.map((case_item: Case, index: number) => (
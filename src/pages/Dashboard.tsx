@@ -19,6 +19,7 @@ import { useApi } from '../hooks/useApi';
 import { apiService } from '../services/apiService';
 import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
+import MyTasks from '../components/cases/MyTasks';
 import { LoadingOverlay, SkeletonCard, SkeletonText } from '../components/ui/LoadingStates';
 import { ErrorBoundary, RetryComponent } from '../components/ui/ErrorHandling';
 import toast from 'react-hot-toast';
@@ -302,6 +303,18 @@ const Dashboard: React.FC = () => {
           </motion.div>
         </div>
 
+        {/* My Tasks */}
+        {(user?.role === 'advocate' || user?.role === 'admin') && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.3 }}
+            className="mt-8"
+          >
+            <MyTasks />
+          </motion.div>
+        )}
+
         {/* Recent Messages */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
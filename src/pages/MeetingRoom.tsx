@@ -0,0 +1,349 @@
+// Virtual meeting room page for LegalPro v1.0.1
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Socket } from 'socket.io-client';
+import { ArrowLeft, Clock, Mic, MicOff, Video, VideoOff, PhoneOff, UserCheck, UserX } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  meetingService,
+  MEETING_EVENTS,
+  MeetingRoom as MeetingRoomInfo,
+  MeetingMember,
+  MeetingSignal
+} from '../services/meetingService';
+
+type Phase = 'loading' | 'unavailable' | 'not_open' | 'closed' | 'connecting' | 'waiting' | 'in_meeting' | 'denied' | 'ended' | 'left';
+
+interface RemotePeer extends MeetingMember {
+  stream?: MediaStream;
+}
+
+const POLL_MS = 30 * 1000;
+
+const VideoTile: React.FC<{ stream?: MediaStream; label: string; muted?: boolean }> = ({ stream, label, muted }) => {
+  const videoRef = useRef<HTMLVideoElement>(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  return (
+    <div className="relative bg-gray-900 rounded-lg overflow-hidden aspect-video">
+      <video ref={videoRef} autoPlay playsInline muted={muted} className="w-full h-full object-cover" />
+      <span className="absolute bottom-2 left-2 px-2 py-1 text-xs text-white bg-black bg-opacity-50 rounded">{label}</span>
+    </div>
+  );
+};
+
+const MeetingRoom: React.FC = () => {
+  const { roomId = '' } = useParams<{ roomId: string }>();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const token = localStorage.getItem('token');
+
+  const [room, setRoom] = useState<MeetingRoomInfo | null>(null);
+  const [phase, setPhase] = useState<Phase>('loading');
+  const [message, setMessage] = useState('');
+  const [peers, setPeers] = useState<Record<string, RemotePeer>>({});
+  const [waiting, setWaiting] = useState<MeetingMember[]>([]);
+  const [localStream, setLocalStream] = useState<MediaStream | null>(null);
+  const [micOn, setMicOn] = useState(true);
+  const [cameraOn, setCameraOn] = useState(true);
+
+  const socketRef = useRef<Socket | null>(null);
+  const connectionsRef = useRef<Map<string, RTCPeerConnection>>(new Map());
+  const localStreamRef = useRef<MediaStream | null>(null);
+
+  const loadRoom = useCallback(async () => {
+    try {
+      const info = await meetingService.getMeetingRoom(roomId);
+      setRoom(info);
+      setPhase(info.state === 'open' ? 'connecting' : info.state);
+    } catch (error: any) {
+      setMessage(error.response?.data?.message || 'Failed to load the meeting');
+      setPhase('unavailable');
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    loadRoom();
+  }, [loadRoom]);
+
+  // Check again until the room opens
+  useEffect(() => {
+    if (phase !== 'not_open') return;
+    const timer = setInterval(loadRoom, POLL_MS);
+    return () => clearInterval(timer);
+  }, [phase, loadRoom]);
+
+  const closeConnection = (socketId: string) => {
+    connectionsRef.current.get(socketId)?.close();
+    connectionsRef.current.delete(socketId);
+    setPeers(prev => {
+      const rest = { ...prev };
+      delete rest[socketId];
+      return rest;
+    });
+  };
+
+  const hangUp = () => {
+    connectionsRef.current.forEach(connection => connection.close());
+    connectionsRef.current.clear();
+    localStreamRef.current?.getTracks().forEach(track => track.stop());
+    localStreamRef.current = null;
+    setLocalStream(null);
+    setPeers({});
+    socketRef.current?.disconnect();
+    socketRef.current = null;
+  };
+
+  // Connect once the room is open: camera and microphone first, then signalling
+  const shouldConnect = phase === 'connecting';
+  useEffect(() => {
+    if (!shouldConnect || !room || !token) return;
+    let cancelled = false;
+
+    const sendSignal = (to: string, signal: MeetingSignal) => {
+      socketRef.current?.emit(MEETING_EVENTS.SIGNAL, { to, signal });
+    };
+
+    const getConnection = (socketId: string) => {
+      let connection = connectionsRef.current.get(socketId);
+      if (connection) return connection;
+
+      connection = new RTCPeerConnection({ iceServers: room.iceServers });
+      localStreamRef.current?.getTracks().forEach(track => connection!.addTrack(track, localStreamRef.current!));
+      connection.onicecandidate = (event) => {
+        if (event.candidate) sendSignal(socketId, { candidate: event.candidate.toJSON() });
+      };
+      connection.ontrack = (event) => {
+        setPeers(prev => prev[socketId] ? { ...prev, [socketId]: { ...prev[socketId], stream: event.streams[0] } } : prev);
+      };
+      connectionsRef.current.set(socketId, connection);
+      return connection;
+    };
+
+    const start = async () => {
+      let stream: MediaStream | null = null;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: true });
+      } catch {
+        try {
+          stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          setCameraOn(false);
+          toast.error('Camera unavailable, joining with audio only');
+        } catch {
+          toast.error('Microphone unavailable, joining without audio or video');
+        }
+      }
+      if (cancelled) {
+        stream?.getTracks().forEach(track => track.stop());
+        return;
+      }
+      localStreamRef.current = stream;
+      setLocalStream(stream);
+
+      const socket = meetingService.connect(token);
+      socketRef.current = socket;
+
+      socket.on('connect', () => socket.emit(MEETING_EVENTS.JOIN, { roomId }));
+
+      socket.on(MEETING_EVENTS.WAITING, () => setPhase('waiting'));
+
+      socket.on(MEETING_EVENTS.WAITING_LIST, ({ waiting: list }: { waiting: MeetingMember[] }) => setWaiting(list));
+
+      // The newcomer offers a connection to everyone already in the room
+      socket.on(MEETING_EVENTS.JOINED, async ({ peers: members }: { peers: MeetingMember[] }) => {
+        setPhase('in_meeting');
+        setPeers(Object.fromEntries(members.map(member => [member.socketId, member])));
+        for (const member of members) {
+          const connection = getConnection(member.socketId);
+          await connection.setLocalDescription(await connection.createOffer());
+          sendSignal(member.socketId, { description: connection.localDescription!.toJSON() });
+        }
+      });
+
+      socket.on(MEETING_EVENTS.PEER_JOINED, (member: MeetingMember) => {
+        setPeers(prev => ({ ...prev, [member.socketId]: member }));
+      });
+
+      socket.on(MEETING_EVENTS.PEER_LEFT, ({ socketId }: { socketId: string }) => closeConnection(socketId));
+
+      socket.on(MEETING_EVENTS.SIGNAL, async ({ from, signal }: { from: string; signal: MeetingSignal }) => {
+        try {
+          const connection = getConnection(from);
+          if (signal.description) {
+            await connection.setRemoteDescription(signal.description);
+            if (signal.description.type === 'offer') {
+              await connection.setLocalDescription(await connection.createAnswer());
+              sendSignal(from, { description: connection.localDescription!.toJSON() });
+            }
+          } else if (signal.candidate) {
+            await connection.addIceCandidate(signal.candidate);
+          }
+        } catch (error) {
+          console.error('Meeting signalling error:', error);
+        }
+      });
+
+      socket.on(MEETING_EVENTS.DENIED, ({ message: reason }: { message: string }) => {
+        setMessage(reason);
+        setPhase('denied');
+        hangUp();
+      });
+
+      socket.on(MEETING_EVENTS.ENDED, ({ message: reason }: { message: string }) => {
+        setMessage(reason);
+        setPhase('ended');
+        hangUp();
+      });
+
+      socket.on(MEETING_EVENTS.ERROR, ({ message: reason }: { message: string }) => toast.error(reason));
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [shouldConnect, room, token, roomId]);
+
+  // Leave cleanly when navigating away
+  useEffect(() => () => hangUp(), []);
+
+  const toggleMic = () => {
+    localStreamRef.current?.getAudioTracks().forEach(track => { track.enabled = !micOn; });
+    setMicOn(!micOn);
+  };
+
+  const toggleCamera = () => {
+    localStreamRef.current?.getVideoTracks().forEach(track => { track.enabled = !cameraOn; });
+    setCameraOn(!cameraOn);
+  };
+
+  const handleLeave = () => {
+    socketRef.current?.emit(MEETING_EVENTS.LEAVE);
+    hangUp();
+    setPhase('left');
+  };
+
+  const handleEnd = () => {
+    if (!window.confirm('End the meeting for everyone?')) return;
+    socketRef.current?.emit(MEETING_EVENTS.END);
+  };
+
+  const handleAdmit = (socketId: string) => socketRef.current?.emit(MEETING_EVENTS.ADMIT, { socketId });
+  const handleDeny = (socketId: string) => socketRef.current?.emit(MEETING_EVENTS.DENY, { socketId });
+
+  const header = (
+    <div className="flex items-center mb-6">
+      <button onClick={() => navigate('/appointments')} className="mr-3 text-gray-500 hover:text-gray-700" title="Back to appointments">
+        <ArrowLeft className="w-5 h-5" />
+      </button>
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">{room?.appointment.title || 'Meeting'}</h1>
+        {room && (
+          <p className="text-gray-600 text-sm">
+            {new Date(room.appointment.startDateTime).toLocaleString()} - {new Date(room.appointment.endDateTime).toLocaleTimeString()}
+            {' '}with {room.role === 'host'
+              ? `${room.appointment.clientId.firstName} ${room.appointment.clientId.lastName}`
+              : `${room.appointment.advocateId.firstName} ${room.appointment.advocateId.lastName}`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+
+  const notice = (text: string) => (
+    <div className="container mx-auto px-4 py-8">
+      {header}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center text-gray-700">
+        <Clock className="w-8 h-8 mx-auto mb-3 text-gray-400" />
+        <p>{text}</p>
+      </div>
+    </div>
+  );
+
+  switch (phase) {
+    case 'loading':
+      return notice('Loading meeting...');
+    case 'unavailable':
+    case 'denied':
+    case 'ended':
+      return notice(message);
+    case 'left':
+      return notice('You left the meeting.');
+    case 'not_open':
+      return notice(`The meeting room opens at ${new Date(room!.opensAt).toLocaleTimeString()}. This page will let you in when it does.`);
+    case 'closed':
+      return notice('This meeting has closed.');
+    case 'connecting':
+      return notice('Connecting...');
+    case 'waiting':
+      return notice('You are in the waiting room. The advocate will let you in shortly.');
+  }
+
+  const peerList = Object.values(peers);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {header}
+
+      {room?.role === 'host' && waiting.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <h2 className="text-sm font-semibold text-yellow-900 mb-2">Waiting to join</h2>
+          <ul className="space-y-2">
+            {waiting.map(member => (
+              <li key={member.socketId} className="flex items-center justify-between text-sm">
+                <span>{member.name}</span>
+                <span className="space-x-2">
+                  <button onClick={() => handleAdmit(member.socketId)} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 inline-flex items-center">
+                    <UserCheck className="w-4 h-4 mr-1" />
+                    Admit
+                  </button>
+                  <button onClick={() => handleDeny(member.socketId)} className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 inline-flex items-center">
+                    <UserX className="w-4 h-4 mr-1" />
+                    Deny
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <VideoTile stream={localStream || undefined} label={`${user?.firstName || 'You'} (you)`} muted />
+        {peerList.map(peer => (
+          <VideoTile key={peer.socketId} stream={peer.stream} label={peer.name} />
+        ))}
+      </div>
+      {peerList.length === 0 && (
+        <p className="mt-4 text-sm text-gray-500 text-center">Nobody else has joined yet.</p>
+      )}
+
+      <div className="mt-6 flex justify-center space-x-3">
+        <button onClick={toggleMic} className="p-3 rounded-full bg-gray-100 hover:bg-gray-200" title={micOn ? 'Mute' : 'Unmute'}>
+          {micOn ? <Mic className="w-5 h-5" /> : <MicOff className="w-5 h-5 text-red-600" />}
+        </button>
+        <button onClick={toggleCamera} className="p-3 rounded-full bg-gray-100 hover:bg-gray-200" title={cameraOn ? 'Turn camera off' : 'Turn camera on'}>
+          {cameraOn ? <Video className="w-5 h-5" /> : <VideoOff className="w-5 h-5 text-red-600" />}
+        </button>
+        <button onClick={handleLeave} className="px-4 py-3 rounded-full bg-red-600 text-white hover:bg-red-700 inline-flex items-center" title="Leave">
+          <PhoneOff className="w-5 h-5 mr-2" />
+          Leave
+        </button>
+        {room?.role === 'host' && (
+          <button onClick={handleEnd} className="px-4 py-3 rounded-full border border-red-600 text-red-600 hover:bg-red-50">
+            End for everyone
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MeetingRoom;
@@ -1,13 +1,13 @@
 // Payments Page - LegalPro v1.0.1
 import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { PaymentDashboard, PaymentModal, PaymentHistory } from '../components/payments';
+import { PaymentDashboard, PaymentModal, PaymentHistory, StatementReconciliation, RefundApprovals } from '../components/payments';
 import Button from '../components/ui/Button';
 
 const Payments: React.FC = () => {
   const { user } = useAuth();
   const [showPaymentModal, setShowPaymentModal] = useState(false);
-  const [activeTab, setActiveTab] = useState<'overview' | 'history' | 'analytics'>('overview');
+  const [activeTab, setActiveTab] = useState<'overview' | 'history' | 'reconciliation' | 'refunds' | 'analytics'>('overview');
 
   const handlePaymentSuccess = (paymentId: string) => {
     console.log('Payment successful:', paymentId);
@@ -18,7 +18,11 @@ const Payments: React.FC = () => {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: '📊' },
     { id: 'history', label: 'Payment History', icon: '📋' },
-    ...(user?.role === 'admin' ? [{ id: 'analytics', label: 'Analytics', icon: '📈' }] : [])
+    ...(user?.role === 'admin' ? [
+      { id: 'reconciliation', label: 'Reconciliation', icon: '🏦' },
+      { id: 'refunds', label: 'Refunds', icon: '↩️' },
+      { id: 'analytics', label: 'Analytics', icon: '📈' }
+    ] : [])
   ];
 
   return (
@@ -145,6 +149,14 @@ const Payments: React.FC = () => {
             <PaymentHistory />
           )}
 
+          {activeTab === 'reconciliation' && user?.role === 'admin' && (
+            <StatementReconciliation />
+          )}
+
+          {activeTab === 'refunds' && user?.role === 'admin' && (
+            <RefundApprovals />
+          )}
+
           {activeTab === 'analytics' && user?.role === 'admin' && (
             <div className="bg-white rounded-lg shadow p-6">
               <h3 className="text-lg font-medium mb-4">Payment Analytics</h3>
@@ -1,6 +1,7 @@
 // Appointment Dashboard for LegalPro v1.0.1
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { Link, useSearchParams } from 'react-router-dom';
 import { 
   Calendar, 
   Clock, 
@@ -15,19 +16,60 @@ import {
   Trash2,
   X,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  CalendarClock,
+  Repeat,
+  Download,
+  Rss,
+  Hourglass,
+  UserX,
+  Users,
+  DoorOpen,
+  Video,
+  ClipboardList,
+  Briefcase
 } from 'lucide-react';
-import { appointmentService, Appointment, AppointmentFilters } from '../../services/appointmentService';
+import {
+  appointmentService,
+  Appointment,
+  AppointmentFilters,
+  AppointmentPolicy,
+  CreateAppointmentData,
+  RsvpStatus,
+  SeriesScope,
+  WaitlistEntry
+} from '../../services/appointmentService';
+import type { IntakeFile } from '../../services/intakeFormService';
 import { useAuth } from '../../contexts/AuthContext';
 import AppointmentBookingForm from '../../components/appointments/AppointmentBookingForm';
+import AvailabilitySettings from '../../components/appointments/AvailabilitySettings';
+import CalendarFeedSettings from '../../components/appointments/CalendarFeedSettings';
+import RescheduleAppointment from '../../components/appointments/RescheduleAppointment';
+import ResourceSettings from '../../components/appointments/ResourceSettings';
+import IntakeFormSettings from '../../components/appointments/IntakeFormSettings';
+import ConvertToCase from '../../components/appointments/ConvertToCase';
 import toast from 'react-hot-toast';
 
 const AppointmentDashboard: React.FC = () => {
   const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [appointments, setAppointments] = useState<Appointment[]>([]);
   const [loading, setLoading] = useState(true);
   const [showBookingForm, setShowBookingForm] = useState(false);
+  const [showAvailability, setShowAvailability] = useState(false);
+  const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
+  const [showResources, setShowResources] = useState(false);
+  const [showIntakeForms, setShowIntakeForms] = useState(false);
+  // Intake answers are fetched per appointment when first expanded
+  const [intakeAnswers, setIntakeAnswers] = useState<Record<string, NonNullable<Appointment['intake']>['answers']>>({});
+  const [expandedIntakeId, setExpandedIntakeId] = useState<string | null>(null);
   const [selectedAppointment, setSelectedAppointment] = useState<Appointment | null>(null);
+  const [reschedulingAppointment, setReschedulingAppointment] = useState<Appointment | null>(null);
+  const [convertingAppointment, setConvertingAppointment] = useState<Appointment | null>(null);
+  const [policy, setPolicy] = useState<AppointmentPolicy | null>(null);
+  const [waitlist, setWaitlist] = useState<WaitlistEntry[]>([]);
+  const [pendingReviews, setPendingReviews] = useState<Appointment[]>([]);
+  const [bookingPrefill, setBookingPrefill] = useState<Partial<CreateAppointmentData> | undefined>();
   const [showFilters, setShowFilters] = useState(false);
   const [pagination, setPagination] = useState({
     page: 1,
@@ -48,7 +90,8 @@ const AppointmentDashboard: React.FC = () => {
     total: 0,
     upcoming: 0,
     completed: 0,
-    cancelled: 0
+    cancelled: 0,
+    noShowRate: '0'
   });
 
   useEffect(() => {
@@ -56,6 +99,23 @@ const AppointmentDashboard: React.FC = () => {
     loadStats();
   }, [filters]);
 
+  useEffect(() => {
+    loadPolicy();
+    loadWaitlist();
+    loadPendingReviews();
+
+    // Rebooking links in no-show follow-ups open the booking form for the same advocate
+    if (searchParams.get('book') === '1') {
+      setBookingPrefill({
+        advocateId: searchParams.get('advocateId') || undefined,
+        type: searchParams.get('type') || undefined,
+        title: searchParams.get('title') || undefined
+      });
+      setShowBookingForm(true);
+      setSearchParams({}, { replace: true });
+    }
+  }, []);
+
   const loadAppointments = async () => {
     try {
       setLoading(true);
@@ -85,13 +145,54 @@ const AppointmentDashboard: React.FC = () => {
         total: statistics.totals.total,
         upcoming: statistics.totals.upcoming,
         completed: statistics.totals.completed,
-        cancelled: statistics.totals.cancelled
+        cancelled: statistics.totals.cancelled,
+        noShowRate: String(statistics.noShowRate)
       });
     } catch (error) {
       console.error('Error loading stats:', error);
     }
   };
 
+  const loadPolicy = async () => {
+    try {
+      setPolicy(await appointmentService.getPolicy());
+    } catch (error) {
+      console.error('Error loading appointment policy:', error);
+    }
+  };
+
+  const loadWaitlist = async () => {
+    try {
+      setWaitlist(await appointmentService.getWaitlist());
+    } catch (error) {
+      console.error('Error loading waitlist:', error);
+    }
+  };
+
+  // Past appointments the sweep flagged as possible no-shows
+  const loadPendingReviews = async () => {
+    if (user?.role === 'client') return;
+
+    try {
+      const response = await appointmentService.getAppointments({ noShowReview: 'pending', limit: 50 });
+      setPendingReviews(response.data);
+    } catch (error) {
+      console.error('Error loading no-show reviews:', error);
+    }
+  };
+
+  const handleResolveNoShow = async (appointment: Appointment, outcome: 'no_show' | 'completed') => {
+    try {
+      const response = await appointmentService.resolveNoShowReview(appointment._id, outcome);
+      toast.success(response.message || 'Appointment updated');
+      loadPendingReviews();
+      loadAppointments();
+      loadStats();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to update appointment');
+    }
+  };
+
   const handleFilterChange = (key: string, value: string) => {
     setFilters(prev => ({
       ...prev,
@@ -107,10 +208,26 @@ const AppointmentDashboard: React.FC = () => {
     }));
   };
 
-  const handleCancelAppointment = async (appointmentId: string, reason?: string) => {
+  // Clients cancelling close to the start are warned about the late-cancellation fee first
+  const confirmLateCancellation = (appointment: Appointment) => {
+    if (user?.role !== 'client' || !policy || policy.lateCancellationFee <= 0) return true;
+
+    const hoursUntilStart = (new Date(appointment.startDateTime).getTime() - Date.now()) / (60 * 60 * 1000);
+    if (hoursUntilStart >= policy.lateCancellationHours) return true;
+
+    return window.confirm(
+      `This appointment starts in less than ${policy.lateCancellationHours} hours. ` +
+      `Cancelling now incurs a late-cancellation fee of KES ${policy.lateCancellationFee}. Continue?`
+    );
+  };
+
+  const handleCancelAppointment = async (appointment: Appointment, scope: SeriesScope = 'this', reason?: string) => {
+    if (!confirmLateCancellation(appointment)) return;
+
+    const appointmentId = appointment._id;
     try {
-      await appointmentService.cancelAppointment(appointmentId, reason);
-      toast.success('Appointment cancelled successfully');
+      const response = await appointmentService.cancelAppointment(appointmentId, reason, scope);
+      toast.success(response.message || 'Appointment cancelled successfully');
       loadAppointments();
       loadStats();
     } catch (error: any) {
@@ -119,6 +236,100 @@ const AppointmentDashboard: React.FC = () => {
     }
   };
 
+  const handleDownloadIcs = async (appointment: Appointment) => {
+    try {
+      const blob = await appointmentService.downloadIcs(appointment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `appointment-${appointment._id}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setSelectedAppointment(null);
+    } catch (error: any) {
+      console.error('Error downloading appointment:', error);
+      toast.error('Failed to download calendar file');
+    }
+  };
+
+  const handleAcceptOffer = async (entry: WaitlistEntry) => {
+    try {
+      const response = await appointmentService.acceptWaitlistOffer(entry._id);
+      toast.success(response.message || 'Appointment booked');
+      loadWaitlist();
+      loadAppointments();
+      loadStats();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to accept offer');
+      loadWaitlist();
+    }
+  };
+
+  const handleDeclineOffer = async (entry: WaitlistEntry) => {
+    try {
+      const response = await appointmentService.declineWaitlistOffer(entry._id);
+      toast.success(response.message || 'Offer declined');
+      loadWaitlist();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to decline offer');
+    }
+  };
+
+  const handleLeaveWaitlist = async (entry: WaitlistEntry) => {
+    try {
+      await appointmentService.leaveWaitlist(entry._id);
+      toast.success('Removed from the waitlist');
+      loadWaitlist();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to leave the waitlist');
+    }
+  };
+
+  const handleRsvp = async (appointment: Appointment, status: Exclude<RsvpStatus, 'pending'>) => {
+    try {
+      const response = await appointmentService.respondToInvitation(appointment._id, status);
+      toast.success(response.message || 'Response recorded');
+      loadAppointments();
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to record your response');
+    }
+  };
+
+  const toggleIntake = async (appointment: Appointment) => {
+    if (expandedIntakeId === appointment._id) {
+      setExpandedIntakeId(null);
+      return;
+    }
+
+    setExpandedIntakeId(appointment._id);
+    if (intakeAnswers[appointment._id]) return;
+
+    try {
+      const response = await appointmentService.getAppointment(appointment._id);
+      setIntakeAnswers(prev => ({ ...prev, [appointment._id]: response.data.intake?.answers || [] }));
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to load intake answers');
+    }
+  };
+
+  const formatIntakeValue = (answer: NonNullable<NonNullable<Appointment['intake']>['answers']>[number]) => {
+    const { type, value } = answer;
+    if (type === 'file' && Array.isArray(value)) {
+      return (value as IntakeFile[]).map((file, index) => (
+        <React.Fragment key={file.url}>
+          {index > 0 && ', '}
+          <a href={file.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+            {file.name}
+          </a>
+        </React.Fragment>
+      ));
+    }
+    if (type === 'checkbox') return value ? 'Yes' : 'No';
+    if (type === 'date' && value) return new Date(value as string).toLocaleDateString();
+    if (Array.isArray(value)) return value.join(', ');
+    return value === null || value === undefined || value === '' ? '—' : String(value);
+  };
+
   const handleCompleteAppointment = async (appointmentId: string) => {
     try {
       await appointmentService.completeAppointment(appointmentId);
@@ -180,7 +391,7 @@ const AppointmentDashboard: React.FC = () => {
   };
 
   const renderStatsCards = () => (
-    <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+    <div className="grid grid-cols-1 md:grid-cols-5 gap-6 mb-8">
       <motion.div
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
@@ -247,6 +458,23 @@ const AppointmentDashboard: React.FC = () => {
           </div>
         </div>
       </motion.div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.4 }}
+        className="bg-white rounded-lg shadow p-6"
+      >
+        <div className="flex items-center">
+          <div className="p-2 bg-purple-100 rounded-lg">
+            <UserX className="w-6 h-6 text-purple-600" />
+          </div>
+          <div className="ml-4">
+            <p className="text-sm font-medium text-gray-600">No-show Rate</p>
+            <p className="text-2xl font-bold text-gray-900">{stats.noShowRate}%</p>
+          </div>
+        </div>
+      </motion.div>
     </div>
   );
 
@@ -314,9 +542,21 @@ const AppointmentDashboard: React.FC = () => {
     </motion.div>
   );
 
+  const getRsvpColor = (status: RsvpStatus) => {
+    const colors = {
+      pending: 'text-gray-500',
+      accepted: 'text-green-700',
+      declined: 'text-red-600 line-through',
+      tentative: 'text-yellow-700'
+    };
+    return colors[status];
+  };
+
   const renderAppointmentCard = (appointment: Appointment) => {
     const { date, time } = formatDateTime(appointment.startDateTime);
     const canManage = canManageAppointment(appointment);
+    // Set when the current user was invited rather than booked as client or advocate
+    const invitation = appointment.participants?.find(participant => participant.user?._id === user?.id);
 
     return (
       <motion.div
@@ -334,6 +574,11 @@ const AppointmentDashboard: React.FC = () => {
               <h3 className="text-lg font-semibold text-gray-900">
                 {appointment.title}
               </h3>
+              {appointment.isRecurring && (
+                <span title="Recurring appointment">
+                  <Repeat className="w-4 h-4 ml-2 text-gray-400" />
+                </span>
+              )}
               <span className={`ml-3 px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(appointment.status)}`}>
                 {appointment.status.replace('_', ' ').toUpperCase()}
               </span>
@@ -365,6 +610,15 @@ const AppointmentDashboard: React.FC = () => {
                 </div>
               )}
 
+              {appointment.meetingRoom && ['scheduled', 'confirmed', 'in_progress'].includes(appointment.status) && (
+                <div className="flex items-center">
+                  <Video className="w-4 h-4 mr-2" />
+                  <Link to={`/meetings/${appointment.meetingRoom.roomId}`} className="text-blue-600 hover:text-blue-800">
+                    Join meeting
+                  </Link>
+                </div>
+              )}
+
               {appointment.caseId && (
                 <div className="flex items-center">
                   <FileText className="w-4 h-4 mr-2" />
@@ -373,8 +627,78 @@ const AppointmentDashboard: React.FC = () => {
                   </span>
                 </div>
               )}
+
+              {appointment.intake && (
+                <div className="flex items-center">
+                  <ClipboardList className="w-4 h-4 mr-2" />
+                  <button onClick={() => toggleIntake(appointment)} className="text-blue-600 hover:text-blue-800">
+                    Intake: {appointment.intake.formName}
+                  </button>
+                </div>
+              )}
+
+              {appointment.participants && appointment.participants.length > 0 && (
+                <div className="flex items-start">
+                  <Users className="w-4 h-4 mr-2 mt-0.5" />
+                  <span>
+                    {appointment.participants.map((participant, index) => (
+                      <React.Fragment key={participant._id}>
+                        {index > 0 && ', '}
+                        <span className={getRsvpColor(participant.rsvpStatus)} title={participant.rsvpStatus}>
+                          {participant.user ? `${participant.user.firstName} ${participant.user.lastName}` : participant.name}
+                        </span>
+                      </React.Fragment>
+                    ))}
+                  </span>
+                </div>
+              )}
+
+              {appointment.resources && appointment.resources.length > 0 && (
+                <div className="flex items-center">
+                  <DoorOpen className="w-4 h-4 mr-2" />
+                  <span>{appointment.resources.map(resource => resource.name).join(', ')}</span>
+                </div>
+              )}
             </div>
 
+            {expandedIntakeId === appointment._id && (
+              <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm">
+                {!intakeAnswers[appointment._id] ? (
+                  <p className="text-gray-500">Loading intake answers...</p>
+                ) : intakeAnswers[appointment._id]!.length === 0 ? (
+                  <p className="text-gray-500">No answers recorded.</p>
+                ) : (
+                  <dl className="space-y-2">
+                    {intakeAnswers[appointment._id]!.map(answer => (
+                      <div key={answer.key}>
+                        <dt className="font-medium text-gray-700">{answer.label}</dt>
+                        <dd className="text-gray-600 whitespace-pre-line">{formatIntakeValue(answer)}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
+              </div>
+            )}
+
+            {invitation && ['scheduled', 'confirmed'].includes(appointment.status) && (
+              <div className="mt-3 flex items-center space-x-2 text-sm">
+                <span className="text-gray-600">
+                  {invitation.rsvpStatus === 'pending' ? 'You are invited. Will you attend?' : `You replied: ${invitation.rsvpStatus}`}
+                </span>
+                {(['accepted', 'tentative', 'declined'] as const)
+                  .filter(status => status !== invitation.rsvpStatus)
+                  .map(status => (
+                    <button
+                      key={status}
+                      onClick={() => handleRsvp(appointment, status)}
+                      className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors capitalize"
+                    >
+                      {status === 'accepted' ? 'Accept' : status === 'declined' ? 'Decline' : 'Maybe'}
+                    </button>
+                  ))}
+              </div>
+            )}
+
             {appointment.description && (
               <p className="mt-3 text-sm text-gray-600 line-clamp-2">
                 {appointment.description}
@@ -405,15 +729,72 @@ const AppointmentDashboard: React.FC = () => {
                           <CheckCircle className="w-4 h-4 mr-2" />
                           Mark as Completed
                         </button>
-                        <button
-                          onClick={() => handleCancelAppointment(appointment._id)}
-                          className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 flex items-center"
-                        >
-                          <X className="w-4 h-4 mr-2" />
-                          Cancel Appointment
-                        </button>
+                        {appointment.isRecurring ? (
+                          <>
+                            <button
+                              onClick={() => handleCancelAppointment(appointment, 'this')}
+                              className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 flex items-center"
+                            >
+                              <X className="w-4 h-4 mr-2" />
+                              Cancel This Occurrence
+                            </button>
+                            <button
+                              onClick={() => handleCancelAppointment(appointment, 'following')}
+                              className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 flex items-center"
+                            >
+                              <X className="w-4 h-4 mr-2" />
+                              Cancel This & Following
+                            </button>
+                            <button
+                              onClick={() => handleCancelAppointment(appointment, 'series')}
+                              className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 flex items-center"
+                            >
+                              <X className="w-4 h-4 mr-2" />
+                              Cancel Whole Series
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => handleCancelAppointment(appointment)}
+                            className="w-full px-4 py-2 text-left text-sm text-red-600 hover:bg-red-50 flex items-center"
+                          >
+                            <X className="w-4 h-4 mr-2" />
+                            Cancel Appointment
+                          </button>
+                        )}
                       </>
                     )}
+                    {['scheduled', 'confirmed'].includes(appointment.status) && (
+                      <button
+                        onClick={() => {
+                          setReschedulingAppointment(appointment);
+                          setSelectedAppointment(null);
+                        }}
+                        className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+                      >
+                        <CalendarClock className="w-4 h-4 mr-2" />
+                        Reschedule
+                      </button>
+                    )}
+                    {appointment.status === 'completed' && !appointment.caseId && user?.role !== 'client' && (
+                      <button
+                        onClick={() => {
+                          setConvertingAppointment(appointment);
+                          setSelectedAppointment(null);
+                        }}
+                        className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+                      >
+                        <Briefcase className="w-4 h-4 mr-2" />
+                        Convert to Case
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDownloadIcs(appointment)}
+                      className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100 flex items-center"
+                    >
+                      <Download className="w-4 h-4 mr-2" />
+                      Add to Calendar
+                    </button>
                     <button
                       onClick={() => {
                         // Handle edit appointment
@@ -434,6 +815,110 @@ const AppointmentDashboard: React.FC = () => {
     );
   };
 
+  const renderNoShowReviews = () => {
+    if (pendingReviews.length === 0) return null;
+
+    return (
+      <div className="bg-white rounded-lg shadow p-6 mb-6 border-l-4 border-purple-400">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center mb-1">
+          <UserX className="w-5 h-5 mr-2" />
+          Did These Clients Attend?
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          These appointments are still open after their end time. Confirming a no-show sends the client the follow-up
+          {policy && policy.noShowFee > 0 ? ` and raises a KES ${policy.noShowFee} no-show fee` : ''}.
+        </p>
+        <ul className="divide-y divide-gray-200">
+          {pendingReviews.map(appointment => {
+            const { date, time } = formatDateTime(appointment.startDateTime);
+            return (
+              <li key={appointment._id} className="py-3 flex items-center justify-between text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {appointment.clientId.firstName} {appointment.clientId.lastName} - {appointment.title}
+                  </p>
+                  <p className="text-gray-600">{date} at {time}</p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleResolveNoShow(appointment, 'completed')}
+                    className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Attended
+                  </button>
+                  <button
+                    onClick={() => handleResolveNoShow(appointment, 'no_show')}
+                    className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+                  >
+                    No-show
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  };
+
+  const renderWaitlist = () => {
+    if (waitlist.length === 0) return null;
+
+    return (
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center mb-4">
+          <Hourglass className="w-5 h-5 mr-2" />
+          Waitlist
+        </h2>
+        <ul className="divide-y divide-gray-200">
+          {waitlist.map(entry => (
+            <li key={entry._id} className="py-3 flex items-center justify-between text-sm">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {user?.role === 'client'
+                    ? `${entry.title} with ${entry.advocateId.firstName} ${entry.advocateId.lastName}`
+                    : `${entry.clientId.firstName} ${entry.clientId.lastName} - ${entry.title}`
+                  }
+                </p>
+                <p className="text-gray-600">
+                  {entry.status === 'offered' && entry.offer
+                    ? `Slot offered: ${formatDateTime(entry.offer.startDateTime).date} at ${formatDateTime(entry.offer.startDateTime).time}, ` +
+                      `held until ${formatDateTime(entry.offer.expiresAt).time}`
+                    : `Waiting for an opening on ${entry.date} (${entry.duration} min)`
+                  }
+                </p>
+              </div>
+              {user?.id === entry.clientId._id && entry.status === 'offered' ? (
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleAcceptOffer(entry)}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    Book
+                  </button>
+                  <button
+                    onClick={() => handleDeclineOffer(entry)}
+                    className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Decline
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => handleLeaveWaitlist(entry)}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove from waitlist"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
   const renderPagination = () => {
     if (pagination.pages <= 1) return null;
 
@@ -483,17 +968,100 @@ const AppointmentDashboard: React.FC = () => {
     );
   };
 
+  if (showAvailability && user) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-5xl mx-auto px-4">
+          <AvailabilitySettings advocateId={user.id} onClose={() => setShowAvailability(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showCalendarFeeds) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4">
+          <CalendarFeedSettings onClose={() => setShowCalendarFeeds(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showResources) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4">
+          <ResourceSettings onClose={() => setShowResources(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showIntakeForms) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4">
+          <IntakeFormSettings onClose={() => setShowIntakeForms(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (convertingAppointment) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4">
+          <ConvertToCase
+            appointment={convertingAppointment}
+            onSuccess={() => {
+              setConvertingAppointment(null);
+              loadAppointments();
+            }}
+            onClose={() => setConvertingAppointment(null)}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (reschedulingAppointment) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4">
+          <RescheduleAppointment
+            appointment={reschedulingAppointment}
+            policy={policy}
+            isClient={user?.role === 'client'}
+            onSuccess={() => {
+              setReschedulingAppointment(null);
+              loadAppointments();
+              loadWaitlist();
+            }}
+            onClose={() => setReschedulingAppointment(null)}
+          />
+        </div>
+      </div>
+    );
+  }
+
   if (showBookingForm) {
     return (
       <div className="min-h-screen bg-gray-50 py-8">
         <div className="max-w-4xl mx-auto px-4">
           <AppointmentBookingForm
+            prefilledData={bookingPrefill}
             onSuccess={(appointment) => {
               setShowBookingForm(false);
+              setBookingPrefill(undefined);
               loadAppointments();
               loadStats();
             }}
-            onCancel={() => setShowBookingForm(false)}
+            onCancel={() => {
+              setShowBookingForm(false);
+              setBookingPrefill(undefined);
+              loadWaitlist();
+            }}
           />
         </div>
       </div>
@@ -525,6 +1093,44 @@ const AppointmentDashboard: React.FC = () => {
               Filters
             </button>
 
+            {user?.role === 'advocate' && (
+              <button
+                onClick={() => setShowAvailability(true)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center"
+              >
+                <CalendarClock className="w-4 h-4 mr-2" />
+                Availability
+              </button>
+            )}
+
+            {(user?.role === 'advocate' || user?.role === 'admin') && (
+              <button
+                onClick={() => setShowResources(true)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center"
+              >
+                <DoorOpen className="w-4 h-4 mr-2" />
+                Rooms
+              </button>
+            )}
+
+            {user?.role === 'admin' && (
+              <button
+                onClick={() => setShowIntakeForms(true)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center"
+              >
+                <ClipboardList className="w-4 h-4 mr-2" />
+                Intake Forms
+              </button>
+            )}
+
+            <button
+              onClick={() => setShowCalendarFeeds(true)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center"
+            >
+              <Rss className="w-4 h-4 mr-2" />
+              Calendar Feeds
+            </button>
+
             <button
               onClick={() => setShowBookingForm(true)}
               className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex items-center"
@@ -541,6 +1147,12 @@ const AppointmentDashboard: React.FC = () => {
         {/* Filters */}
         {renderFilters()}
 
+        {/* No-show reviews */}
+        {renderNoShowReviews()}
+
+        {/* Waitlist */}
+        {renderWaitlist()}
+
         {/* Appointments List */}
         <div className="space-y-4">
           {loading ? (
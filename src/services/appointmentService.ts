@@ -1,5 +1,37 @@
 // Appointment service for LegalPro v1.0.1
 import api from './apiService';
+import type { Resource } from './resourceService';
+import type { IntakeAnswerValue, PracticeArea } from './intakeFormService';
+
+export type ParticipantRole = 'advocate' | 'client' | 'opposing_counsel' | 'witness' | 'interpreter' | 'other';
+export type RsvpStatus = 'pending' | 'accepted' | 'declined' | 'tentative';
+
+// Someone invited besides the appointment's client and advocate; outside parties have no user
+export interface AppointmentParticipant {
+  _id: string;
+  user?: {
+    _id: string;
+    firstName: string;
+    lastName: string;
+    email: string;
+    phone?: string;
+    role: string;
+  };
+  name?: string;
+  email?: string;
+  phone?: string;
+  role: ParticipantRole;
+  rsvpStatus: RsvpStatus;
+  respondedAt?: string;
+}
+
+export interface ParticipantInput {
+  user?: string;
+  name?: string;
+  email?: string;
+  phone?: string;
+  role?: ParticipantRole;
+}
 
 export interface Appointment {
   _id: string;
@@ -19,6 +51,8 @@ export interface Appointment {
     email: string;
     specialization?: string[];
   };
+  participants?: AppointmentParticipant[];
+  resources?: Array<Pick<Resource, '_id' | 'name' | 'type' | 'location' | 'capacity'>>;
   startDateTime: string;
   endDateTime: string;
   timezone: string;
@@ -32,11 +66,36 @@ export interface Appointment {
     meetingLink?: string;
     instructions?: string;
   };
+  // Built-in video room for virtual appointments booked without a meeting link
+  meetingRoom?: {
+    roomId: string;
+    createdAt: string;
+  };
+  attendance?: Array<{
+    _id: string;
+    user: string;
+    name: string;
+    joinedAt: string;
+    leftAt?: string;
+  }>;
   caseId?: {
     _id: string;
     title: string;
     caseNumber: string;
   };
+  practiceArea?: PracticeArea;
+  // Answers are only in the single-appointment response, for the client, advocate and admins
+  intake?: {
+    form?: string;
+    formName: string;
+    answers?: Array<{
+      key: string;
+      label: string;
+      type: string;
+      value: IntakeAnswerValue;
+    }>;
+    submittedAt: string;
+  };
   isRecurring: boolean;
   recurrence?: {
     pattern: 'daily' | 'weekly' | 'monthly' | 'yearly';
@@ -45,8 +104,10 @@ export interface Appointment {
     daysOfWeek?: number[];
     dayOfMonth?: number;
     occurrences?: number;
+    exceptions?: SeriesException[];
   };
   parentAppointmentId?: string;
+  originalStartDateTime?: string;
   reminders: Array<{
     type: 'email' | 'sms' | 'whatsapp';
     sentAt: string;
@@ -75,9 +136,19 @@ export interface Appointment {
     url: string;
     type: string;
     size: number;
+    publicId?: string;
     uploadedBy: string;
     uploadedAt: string;
   }>;
+  // Case events: conversion to a case, or linking to an existing one
+  timeline?: Array<{
+    _id: string;
+    event: string;
+    description: string;
+    user?: string;
+    metadata?: Record<string, any>;
+    createdAt: string;
+  }>;
   bookedBy: {
     _id: string;
     firstName: string;
@@ -91,6 +162,31 @@ export interface Appointment {
   };
   cancelledAt?: string;
   cancellationReason?: string;
+  cancellationFee?: {
+    amount: number;
+    paymentId: string;
+  };
+  rescheduleCount: number;
+  rescheduleHistory?: Array<{
+    fromStartDateTime: string;
+    fromEndDateTime: string;
+    toStartDateTime: string;
+    toEndDateTime: string;
+    rescheduledBy: string;
+    reason?: string;
+    rescheduledAt: string;
+  }>;
+  // Set once an appointment is still open after it ends; the advocate resolves it
+  noShowReview?: {
+    status: 'pending' | 'confirmed' | 'dismissed';
+    flaggedAt?: string;
+    resolvedBy?: string;
+    resolvedAt?: string;
+  };
+  noShowFee?: {
+    amount: number;
+    paymentId: string;
+  };
   completedAt?: string;
   outcome?: string;
   followUpRequired: boolean;
@@ -107,6 +203,69 @@ export interface Appointment {
   formattedTime: string;
 }
 
+export type SeriesScope = 'this' | 'following' | 'series';
+
+// Rules clients work within when moving or cancelling their own appointments
+export interface AppointmentPolicy {
+  minRescheduleNoticeHours: number;
+  maxReschedules: number;
+  lateCancellationHours: number;
+  lateCancellationFee: number;
+  waitlistOfferMinutes: number;
+  noShowGraceMinutes: number;
+  noShowFee: number;
+}
+
+export interface WaitlistEntry {
+  _id: string;
+  clientId: { _id: string; firstName: string; lastName: string; phone?: string };
+  advocateId: { _id: string; firstName: string; lastName: string };
+  date: string;
+  duration: number;
+  title: string;
+  type: Appointment['type'];
+  notes?: string;
+  status: 'waiting' | 'offered' | 'booked' | 'cancelled' | 'expired';
+  offer?: {
+    startDateTime: string;
+    endDateTime: string;
+    offeredAt: string;
+    expiresAt: string;
+  };
+  appointmentId?: string;
+  createdAt: string;
+}
+
+export interface JoinWaitlistData {
+  advocateId: string;
+  date: string;
+  clientId?: string;
+  duration?: number;
+  title?: string;
+  type?: string;
+  notes?: string;
+}
+
+// Occurrence of a recurring series that was skipped, cancelled or moved
+export interface SeriesException {
+  originalStartDateTime: string;
+  type: 'skipped' | 'cancelled' | 'modified';
+  reason?: string;
+}
+
+export interface UnavailableOccurrence {
+  startDateTime: string;
+  endDateTime: string;
+  reason: string;
+}
+
+export interface AppointmentSeries {
+  seriesId: string;
+  recurrence: NonNullable<Appointment['recurrence']>;
+  occurrences: Array<Pick<Appointment, '_id' | 'title' | 'startDateTime' | 'endDateTime' | 'originalStartDateTime' | 'status'>>;
+  exceptions: SeriesException[];
+}
+
 export interface CreateAppointmentData {
   title: string;
   description?: string;
@@ -133,6 +292,13 @@ export interface CreateAppointmentData {
     dayOfMonth?: number;
     occurrences?: number;
   };
+  participants?: ParticipantInput[];
+  resources?: string[];
+  practiceArea?: PracticeArea;
+  // Intake form answers keyed by field key
+  intakeAnswers?: Record<string, IntakeAnswerValue>;
+  // Book the rest of a series even if some occurrences are unavailable
+  skipConflicts?: boolean;
   reminderSettings?: {
     enabled: boolean;
     intervals: number[];
@@ -158,6 +324,33 @@ export interface UpdateAppointmentData {
   outcome?: string;
   followUpRequired?: boolean;
   followUpDate?: string;
+  participants?: ParticipantInput[];
+  resources?: string[];
+  // Linking a case carries the intake answers over to it
+  caseId?: string;
+  // For recurring appointments: which occurrences the change applies to
+  scope?: SeriesScope;
+}
+
+export interface CaseConversionData {
+  title?: string;
+  description?: string;
+  category?: PracticeArea;
+  priority?: 'low' | 'medium' | 'high' | 'urgent';
+}
+
+export interface FreeBusyEntry {
+  id: string;
+  free: boolean;
+  // Only returned to staff
+  conflicts?: Array<{ id: string; title: string; startDateTime: string; endDateTime: string }>;
+}
+
+export interface FreeBusy {
+  startDateTime: string;
+  endDateTime: string;
+  users: FreeBusyEntry[];
+  resources: FreeBusyEntry[];
 }
 
 export interface AppointmentFilters {
@@ -171,6 +364,7 @@ export interface AppointmentFilters {
   startDate?: string;
   endDate?: string;
   search?: string;
+  noShowReview?: string;
 }
 
 export interface AvailableSlot {
@@ -184,6 +378,10 @@ export interface AvailabilityResponse {
   date: string;
   advocateId: string;
   duration: number;
+  isWorkingDay: boolean;
+  // Why the advocate is unavailable, e.g. 'Madaraka Day' or 'On leave'
+  reason: string | null;
+  workingHours: Array<{ start: string; end: string }>;
   availableSlots: AvailableSlot[];
 }
 
@@ -197,6 +395,7 @@ export interface AppointmentStatistics {
     scheduled: number;
     completed: number;
     cancelled: number;
+    noShow: number;
     upcoming: number;
   };
   breakdown: {
@@ -205,6 +404,22 @@ export interface AppointmentStatistics {
   };
   completionRate: string;
   cancellationRate: string;
+  noShowRate: string;
+  noShowRates: {
+    byClient: NoShowRate[];
+    byAdvocate: NoShowRate[];
+  };
+}
+
+// Missed vs attended appointments for one client or advocate
+export interface NoShowRate {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  attended: number;
+  noShows: number;
+  total: number;
+  noShowRate: number;
 }
 
 class AppointmentService {
@@ -241,8 +456,20 @@ class AppointmentService {
   }
 
   // Cancel appointment
-  async cancelAppointment(id: string, reason?: string) {
-    const response = await api.put(`/appointments/${id}/cancel`, { reason });
+  async cancelAppointment(id: string, reason?: string, scope: SeriesScope = 'this') {
+    const response = await api.put(`/appointments/${id}/cancel`, { reason, scope });
+    return response.data;
+  }
+
+  // Get every occurrence of the recurring series an appointment belongs to
+  async getSeries(id: string): Promise<AppointmentSeries> {
+    const response = await api.get(`/appointments/${id}/series`);
+    return response.data.data;
+  }
+
+  // Download an appointment as an iCalendar (.ics) file
+  async downloadIcs(id: string): Promise<Blob> {
+    const response = await api.get(`/appointments/${id}/ics`, { responseType: 'blob' });
     return response.data;
   }
 
@@ -285,12 +512,76 @@ class AppointmentService {
     return response.data;
   }
 
-  // Reschedule appointment
-  async rescheduleAppointment(id: string, newStartDateTime: string, newEndDateTime: string) {
-    return this.updateAppointment(id, {
+  // Reschedule appointment (clients are held to the firm's reschedule policy)
+  async rescheduleAppointment(id: string, newStartDateTime: string, newEndDateTime: string, reason?: string) {
+    const response = await api.put(`/appointments/${id}/reschedule`, {
       startDateTime: newStartDateTime,
-      endDateTime: newEndDateTime
+      endDateTime: newEndDateTime,
+      reason
     });
+    return response.data;
+  }
+
+  // Get the firm's reschedule, cancellation and waitlist policy
+  async getPolicy(): Promise<AppointmentPolicy> {
+    const response = await api.get('/appointments/policy');
+    return response.data.data;
+  }
+
+  // Get active waitlist entries (own for clients, own diary for advocates)
+  async getWaitlist(): Promise<WaitlistEntry[]> {
+    const response = await api.get('/appointments/waitlist');
+    return response.data.data;
+  }
+
+  async joinWaitlist(data: JoinWaitlistData) {
+    const response = await api.post('/appointments/waitlist', data);
+    return response.data;
+  }
+
+  async leaveWaitlist(id: string) {
+    const response = await api.delete(`/appointments/waitlist/${id}`);
+    return response.data;
+  }
+
+  // Book the slot offered from the waitlist
+  async acceptWaitlistOffer(id: string) {
+    const response = await api.post(`/appointments/waitlist/${id}/accept`);
+    return response.data;
+  }
+
+  async declineWaitlistOffer(id: string) {
+    const response = await api.post(`/appointments/waitlist/${id}/decline`);
+    return response.data;
+  }
+
+  // Confirm a flagged no-show (runs the follow-up) or record that it went ahead
+  async resolveNoShowReview(id: string, outcome: 'no_show' | 'completed') {
+    const response = await api.put(`/appointments/${id}/no-show-review`, { outcome });
+    return response.data;
+  }
+
+  // Open a case from a completed consultation; omitted details come from the appointment
+  async convertToCase(id: string, data: CaseConversionData = {}) {
+    const response = await api.post(`/appointments/${id}/convert-to-case`, data);
+    return response.data;
+  }
+
+  // Which people and resources are free for a proposed time
+  async getFreeBusy(startDateTime: string, endDateTime: string, userIds: string[], resourceIds: string[], excludeId?: string): Promise<FreeBusy> {
+    const params = new URLSearchParams({ startDateTime, endDateTime });
+    if (userIds.length) params.append('userIds', userIds.join(','));
+    if (resourceIds.length) params.append('resourceIds', resourceIds.join(','));
+    if (excludeId) params.append('excludeId', excludeId);
+
+    const response = await api.get(`/appointments/free-busy?${params.toString()}`);
+    return response.data.data;
+  }
+
+  // Answer an invitation; staff pass participantId to answer for someone without an account
+  async respondToInvitation(id: string, status: Exclude<RsvpStatus, 'pending'>, participantId?: string) {
+    const response = await api.put(`/appointments/${id}/rsvp`, { status, participantId });
+    return response.data;
   }
 
   // Mark appointment as completed
@@ -0,0 +1,160 @@
+// Advocate availability service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const availabilityApi = axios.create({
+  baseURL: `${API_URL}/availability`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+availabilityApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+availabilityApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Availability API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export interface TimeRange {
+  start: string;
+  end: string;
+}
+
+export interface WeeklyHours extends TimeRange {
+  dayOfWeek: number;
+}
+
+export interface AvailabilityBreak extends TimeRange {
+  // null applies the break on every working day
+  dayOfWeek: number | null;
+  label?: string;
+}
+
+export interface AvailabilityOverride {
+  _id: string;
+  date: string;
+  isClosed: boolean;
+  hours: TimeRange[];
+  reason?: string;
+}
+
+export type LeaveType = 'annual' | 'sick' | 'court' | 'training' | 'other';
+
+export interface LeavePeriod {
+  _id: string;
+  startDate: string;
+  endDate: string;
+  type: LeaveType;
+  reason?: string;
+}
+
+export interface AvailabilityProfile {
+  _id?: string;
+  advocateId: string;
+  weeklyHours: WeeklyHours[];
+  breaks: AvailabilityBreak[];
+  overrides: AvailabilityOverride[];
+  leave: LeavePeriod[];
+  slotInterval: 15 | 30 | 60;
+  isDefault?: boolean;
+  canEdit?: boolean;
+}
+
+export interface AffectedAppointment {
+  _id: string;
+  title: string;
+  startDateTime: string;
+  endDateTime: string;
+  clientId: { _id: string; firstName: string; lastName: string };
+}
+
+export interface Holiday {
+  _id?: string;
+  date: string;
+  name: string;
+  type: 'public' | 'firm_closure';
+  source: 'statutory' | 'firm';
+}
+
+export interface DaySchedule {
+  date: string;
+  isWorkingDay: boolean;
+  reason: string | null;
+  windows: TimeRange[];
+}
+
+class AvailabilityService {
+  async getProfile(advocateId: string): Promise<AvailabilityProfile> {
+    const response = await availabilityApi.get(`/advocates/${advocateId}`);
+    return response.data.data;
+  }
+
+  // Save weekly hours, breaks and slot interval
+  async updateProfile(
+    advocateId: string,
+    data: Pick<AvailabilityProfile, 'weeklyHours' | 'breaks' | 'slotInterval'>
+  ): Promise<AvailabilityProfile> {
+    const response = await availabilityApi.put(`/advocates/${advocateId}`, data);
+    return response.data.data;
+  }
+
+  async addOverride(
+    advocateId: string,
+    data: Omit<AvailabilityOverride, '_id'>
+  ): Promise<{ data: AvailabilityProfile; affectedAppointments: AffectedAppointment[] }> {
+    const response = await availabilityApi.post(`/advocates/${advocateId}/overrides`, data);
+    return response.data;
+  }
+
+  async removeOverride(advocateId: string, overrideId: string): Promise<AvailabilityProfile> {
+    const response = await availabilityApi.delete(`/advocates/${advocateId}/overrides/${overrideId}`);
+    return response.data.data;
+  }
+
+  async addLeave(
+    advocateId: string,
+    data: Omit<LeavePeriod, '_id'>
+  ): Promise<{ data: AvailabilityProfile; affectedAppointments: AffectedAppointment[] }> {
+    const response = await availabilityApi.post(`/advocates/${advocateId}/leave`, data);
+    return response.data;
+  }
+
+  async removeLeave(advocateId: string, leaveId: string): Promise<AvailabilityProfile> {
+    const response = await availabilityApi.delete(`/advocates/${advocateId}/leave/${leaveId}`);
+    return response.data.data;
+  }
+
+  // Resolved working hours day by day (at most 62 days)
+  async getSchedule(advocateId: string, from: string, to: string): Promise<DaySchedule[]> {
+    const response = await availabilityApi.get(`/advocates/${advocateId}/schedule?from=${from}&to=${to}`);
+    return response.data.data;
+  }
+
+  // Statutory and firm holidays for a year
+  async getHolidays(year: number): Promise<Holiday[]> {
+    const response = await availabilityApi.get(`/holidays?year=${year}`);
+    return response.data.data;
+  }
+
+  async addHoliday(data: Pick<Holiday, 'date' | 'name' | 'type'>): Promise<Holiday> {
+    const response = await availabilityApi.post('/holidays', data);
+    return response.data.data;
+  }
+
+  async removeHoliday(id: string) {
+    const response = await availabilityApi.delete(`/holidays/${id}`);
+    return response.data;
+  }
+}
+
+export const availabilityService = new AvailabilityService();
@@ -0,0 +1,58 @@
+// Calendar feed service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const calendarApi = axios.create({
+  baseURL: `${API_URL}/calendar`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+calendarApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+calendarApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Calendar API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export interface CalendarFeed {
+  _id: string;
+  label: string;
+  lastUsedAt?: string;
+  createdAt: string;
+}
+
+// Subscription links are only returned when the feed is created
+export interface NewCalendarFeed extends CalendarFeed {
+  url: string;
+  webcalUrl: string;
+}
+
+class CalendarService {
+  async getFeeds(): Promise<CalendarFeed[]> {
+    const response = await calendarApi.get('/feed-tokens');
+    return response.data.data;
+  }
+
+  async createFeed(label?: string): Promise<NewCalendarFeed> {
+    const response = await calendarApi.post('/feed-tokens', label ? { label } : {});
+    return response.data.data;
+  }
+
+  async revokeFeed(id: string) {
+    const response = await calendarApi.delete(`/feed-tokens/${id}`);
+    return response.data;
+  }
+}
+
+export const calendarService = new CalendarService();
@@ -1,6 +1,6 @@
 // Case management service for LegalPro v1.0.1
 import { apiService } from './apiService';
-import { Case, Document } from '../types';
+import { Case, CaseChecklistItem, CaseTemplate, Document, DocumentVersionHistory, DocumentSearchResult, CaseParty, ConflictCheckResult, TimeEntry, TimeEntryTotals, ActivityCode } from '../types';
 
 export interface CaseFilters {
   status?: string;
@@ -25,6 +25,25 @@ export interface SearchFilters extends CaseFilters {
   hasDocuments?: boolean;
 }
 
+export interface DocumentSearchFilters {
+  q: string;
+  caseId?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface DocumentSearchResponse {
+  data: DocumentSearchResult[];
+  total: number;
+  pagination: {
+    page: number;
+    limit: number;
+    pages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+}
+
 export interface CaseFormData {
   title: string;
   description: string;
@@ -33,6 +52,18 @@ export interface CaseFormData {
   clientId: string;
   assignedTo?: string;
   courtDate?: string;
+  opposingParties?: CaseParty[];
+  relatedParties?: CaseParty[];
+  conflictOverride?: { reason: string };
+  templateId?: string;
+}
+
+export interface ConflictCheckRequest {
+  clientId?: string;
+  client?: Omit<CaseParty, '_id' | 'relationship'>;
+  opposingParties?: CaseParty[];
+  relatedParties?: CaseParty[];
+  excludeCaseId?: string;
 }
 
 export interface CaseStats {
@@ -49,6 +80,32 @@ export interface CaseStats {
     _id: string;
     count: number;
   }>;
+  // Only returned to staff
+  timeTracking: TimeEntryTotals | null;
+}
+
+export interface TimeEntryFormData {
+  activityCode: string;
+  description?: string;
+  workDate?: string;
+  startTime?: string;
+  endTime?: string;
+  durationMinutes?: number;
+  billable?: boolean;
+  hourlyRate?: number;
+}
+
+export interface TimeEntryList {
+  data: TimeEntry[];
+  totals: TimeEntryTotals;
+  runningTimer: TimeEntry | null;
+}
+
+export interface BillingSettings {
+  activityCodes: ActivityCode[];
+  currency: string;
+  defaultHourlyRate: number;
+  billingIncrementMinutes: number;
 }
 
 export interface DocumentUploadData {
@@ -91,6 +148,31 @@ class CaseService {
     }
   }
 
+  // Check client and parties for conflicts of interest
+  async checkConflicts(request: ConflictCheckRequest): Promise<ConflictCheckResult> {
+    try {
+      const response = await fetch('/api/cases/conflict-check', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(request)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || 'Failed to run conflict check');
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Conflict check error:', error);
+      throw error;
+    }
+  }
+
   // Update case
   async updateCase(id: string, caseData: Partial<CaseFormData>) {
     try {
@@ -208,8 +290,37 @@ class CaseService {
     }
   }
 
-  // Update case status
-  async updateCaseStatus(id: string, status: string, reason?: string) {
+  // Full-text search across the current version of case documents
+  async searchDocuments(filters: DocumentSearchFilters): Promise<DocumentSearchResponse> {
+    try {
+      const queryParams = new URLSearchParams();
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          queryParams.append(key, value.toString());
+        }
+      });
+
+      const response = await fetch(`/api/cases/search/documents?${queryParams}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to search documents');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Search documents error:', error);
+      throw error;
+    }
+  }
+
+  // Move case to another workflow stage
+  async updateCaseStatus(id: string, status: string, reason?: string, fields: Record<string, string> = {}) {
     try {
       const response = await fetch(`/api/cases/${id}/status`, {
         method: 'PUT',
@@ -217,11 +328,12 @@ class CaseService {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
-        body: JSON.stringify({ status, reason })
+        body: JSON.stringify({ status, reason, ...fields })
       });
       
       if (!response.ok) {
-        throw new Error('Failed to update case status');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || 'Failed to update case status');
       }
       
       return await response.json();
@@ -345,10 +457,258 @@ class CaseService {
     }
   }
 
-  // Download document
-  async downloadDocument(caseId: string, documentId: string) {
+  // Get active case templates, optionally for one category
+  async getCaseTemplates(category?: string): Promise<CaseTemplate[]> {
+    try {
+      const params = new URLSearchParams();
+      if (category) params.append('category', category);
+
+      const response = await fetch(`/api/case-templates?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to get case templates');
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Get case templates error:', error);
+      throw error;
+    }
+  }
+
+  // Mark a required-documents checklist item received, waived or outstanding
+  async updateChecklistItem(
+    caseId: string,
+    itemId: string,
+    update: { status: CaseChecklistItem['status']; documentId?: string }
+  ): Promise<CaseChecklistItem> {
+    try {
+      const response = await fetch(`/api/cases/${caseId}/checklist/${itemId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(update)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || 'Failed to update checklist item');
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Update checklist item error:', error);
+      throw error;
+    }
+  }
+
+  // Get activity codes and billing defaults for time entries
+  async getActivityCodes(): Promise<BillingSettings> {
+    try {
+      const response = await fetch('/api/cases/time-entries/activity-codes', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to get activity codes');
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Get activity codes error:', error);
+      throw error;
+    }
+  }
+
+  // Get case time entries with totals
+  async getTimeEntries(caseId: string): Promise<TimeEntryList> {
+    try {
+      const response = await fetch(`/api/cases/${caseId}/time-entries`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to get time entries');
+      }
+
+      const data = await response.json();
+      return { data: data.data, totals: data.totals, runningTimer: data.runningTimer };
+    } catch (error) {
+      console.error('Get time entries error:', error);
+      throw error;
+    }
+  }
+
+  // Add manual time entry
+  async addTimeEntry(caseId: string, entry: TimeEntryFormData): Promise<TimeEntry> {
+    return this.sendTimeEntryRequest(`/api/cases/${caseId}/time-entries`, 'POST', entry, 'Failed to add time entry');
+  }
+
+  // Start a timer on the case
+  async startTimer(caseId: string, entry: Pick<TimeEntryFormData, 'activityCode' | 'description' | 'billable'>): Promise<TimeEntry> {
+    return this.sendTimeEntryRequest(`/api/cases/${caseId}/time-entries/start`, 'POST', entry, 'Failed to start timer');
+  }
+
+  // Stop a running timer
+  async stopTimer(caseId: string, entryId: string, description?: string): Promise<TimeEntry> {
+    return this.sendTimeEntryRequest(
+      `/api/cases/${caseId}/time-entries/${entryId}/stop`,
+      'PUT',
+      description !== undefined ? { description } : {},
+      'Failed to stop timer'
+    );
+  }
+
+  // Update time entry
+  async updateTimeEntry(caseId: string, entryId: string, entry: Partial<TimeEntryFormData>): Promise<TimeEntry> {
+    return this.sendTimeEntryRequest(`/api/cases/${caseId}/time-entries/${entryId}`, 'PUT', entry, 'Failed to update time entry');
+  }
+
+  // Delete time entry
+  async deleteTimeEntry(caseId: string, entryId: string) {
+    try {
+      const response = await fetch(`/api/cases/${caseId}/time-entries/${entryId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || 'Failed to delete time entry');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Delete time entry error:', error);
+      throw error;
+    }
+  }
+
+  // Get document version history
+  async getDocumentVersions(caseId: string, documentId: string): Promise<DocumentVersionHistory> {
+    try {
+      const response = await fetch(`/api/cases/${caseId}/documents/${documentId}/versions`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || 'Failed to get document versions');
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error('Get document versions error:', error);
+      throw error;
+    }
+  }
+
+  // Upload a new version of an existing document (checks it back in unless keepCheckedOut)
+  async uploadDocumentVersion(
+    caseId: string,
+    documentId: string,
+    file: File,
+    options: { comment?: string; keepCheckedOut?: boolean } = {}
+  ): Promise<Document> {
+    const formData = new FormData();
+    formData.append('document', file);
+    if (options.comment) formData.append('comment', options.comment);
+    if (options.keepCheckedOut) formData.append('keepCheckedOut', 'true');
+
+    return this.sendDocumentAction(`/api/cases/${caseId}/documents/${documentId}/versions`, formData, 'Failed to upload new version');
+  }
+
+  // Restore an earlier version as the newest version
+  async restoreDocumentVersion(caseId: string, documentId: string, version: number): Promise<Document> {
+    return this.sendDocumentAction(
+      `/api/cases/${caseId}/documents/${documentId}/versions/${version}/restore`,
+      null,
+      'Failed to restore version'
+    );
+  }
+
+  // Lock a document while editing it
+  async checkOutDocument(caseId: string, documentId: string, note?: string): Promise<Document> {
+    return this.sendDocumentAction(`/api/cases/${caseId}/documents/${documentId}/checkout`, { note }, 'Failed to check out document');
+  }
+
+  // Release a check-out without uploading a new version
+  async checkInDocument(caseId: string, documentId: string): Promise<Document> {
+    return this.sendDocumentAction(`/api/cases/${caseId}/documents/${documentId}/checkin`, null, 'Failed to check in document');
+  }
+
+  private async sendDocumentAction(url: string, body: FormData | object | null, fallbackMessage: string): Promise<Document> {
+    try {
+      const isForm = body instanceof FormData;
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: isForm ? body : JSON.stringify(body || {})
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || fallbackMessage);
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error);
+      throw error;
+    }
+  }
+
+  private async sendTimeEntryRequest(url: string, method: 'POST' | 'PUT', body: object, fallbackMessage: string): Promise<TimeEntry> {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || fallbackMessage);
+      }
+
+      const data = await response.json();
+      return data.data;
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error);
+      throw error;
+    }
+  }
+
+  // Download document, optionally an earlier version
+  async downloadDocument(caseId: string, documentId: string, version?: number) {
     try {
-      const response = await fetch(`/api/cases/${caseId}/documents/${documentId}/download`, {
+      const query = version ? `?version=${version}` : '';
+      const response = await fetch(`/api/cases/${caseId}/documents/${documentId}/download${query}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         }
@@ -0,0 +1,111 @@
+// Appointment intake form service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const intakeFormApi = axios.create({
+  baseURL: `${API_URL}/intake-forms`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+intakeFormApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+intakeFormApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Intake form API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export const PRACTICE_AREAS = [
+  'Family Law',
+  'Corporate Law',
+  'Criminal Defense',
+  'Property Law',
+  'Employment Law',
+  'Constitutional Law',
+  'Tax Law',
+  'Immigration Law',
+  'Intellectual Property',
+  'Environmental Law'
+] as const;
+
+export type PracticeArea = typeof PRACTICE_AREAS[number];
+
+export type IntakeFieldType = 'text' | 'textarea' | 'number' | 'date' | 'select' | 'multiselect' | 'checkbox' | 'file';
+
+export type AppointmentType = 'consultation' | 'follow_up' | 'court_preparation' | 'document_review' | 'mediation' | 'other';
+
+export interface IntakeField {
+  _id?: string;
+  key: string;
+  label: string;
+  type: IntakeFieldType;
+  required: boolean;
+  options?: string[];
+  helpText?: string;
+}
+
+export interface IntakeForm {
+  _id: string;
+  name: string;
+  description?: string;
+  appointmentType: AppointmentType;
+  practiceArea?: PracticeArea | null;
+  fields: IntakeField[];
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type IntakeFormData = Partial<Pick<IntakeForm, 'name' | 'description' | 'appointmentType' | 'practiceArea' | 'fields' | 'isActive'>>;
+
+// File uploaded through the file service and listed in a file answer
+export interface IntakeFile {
+  name: string;
+  url: string;
+  publicId?: string;
+  size?: number;
+}
+
+export type IntakeAnswerValue = string | number | boolean | string[] | IntakeFile[];
+
+class IntakeFormService {
+  // Forms staff can see; admins can include retired ones
+  async getIntakeForms(includeInactive: boolean = false): Promise<IntakeForm[]> {
+    const response = await intakeFormApi.get(`/?includeInactive=${includeInactive}`);
+    return response.data.data;
+  }
+
+  // The form to answer when booking this type of appointment, or null if none applies
+  async getMatchingForm(appointmentType: string, practiceArea?: string): Promise<IntakeForm | null> {
+    const response = await intakeFormApi.get('/match', { params: { appointmentType, practiceArea } });
+    return response.data.data;
+  }
+
+  async createIntakeForm(data: IntakeFormData): Promise<IntakeForm> {
+    const response = await intakeFormApi.post('/', data);
+    return response.data.data;
+  }
+
+  async updateIntakeForm(id: string, data: IntakeFormData): Promise<IntakeForm> {
+    const response = await intakeFormApi.put(`/${id}`, data);
+    return response.data.data;
+  }
+
+  // Retired forms stay on appointments that used them but are no longer asked
+  async retireIntakeForm(id: string): Promise<IntakeForm> {
+    const response = await intakeFormApi.delete(`/${id}`);
+    return response.data.data;
+  }
+}
+
+export const intakeFormService = new IntakeFormService();
@@ -0,0 +1,149 @@
+// Invoice service for LegalPro v1.0.1
+import axios from 'axios';
+import { Invoice, InvoiceLineItem, InvoiceStatus } from '../types';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const invoiceApi = axios.create({
+  baseURL: `${API_URL}/invoices`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+invoiceApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+invoiceApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Invoice API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export interface InvoiceLineItemInput {
+  _id?: string;
+  type?: 'fee' | 'expense';
+  description?: string;
+  quantity?: number;
+  unitPrice?: number;
+  taxable?: boolean;
+}
+
+export interface InvoiceDraftData {
+  caseId: string;
+  periodStart?: string;
+  periodEnd?: string;
+  includeTimeEntries?: boolean;
+  includeAppointments?: boolean;
+  lineItems?: InvoiceLineItemInput[];
+  discount?: { type: 'percent' | 'fixed'; value: number; reason?: string };
+  dueDate?: string;
+  notes?: string;
+}
+
+export interface InvoiceListResponse {
+  success: boolean;
+  count: number;
+  total: number;
+  pagination: {
+    page: number;
+    limit: number;
+    pages: number;
+  };
+  data: Invoice[];
+}
+
+interface InvoiceResponse {
+  success: boolean;
+  message?: string;
+  data: Invoice;
+}
+
+// List invoices visible to the current user
+export const getInvoices = async (params: {
+  page?: number;
+  limit?: number;
+  status?: InvoiceStatus;
+  caseId?: string;
+} = {}): Promise<InvoiceListResponse> => {
+  const response = await invoiceApi.get('/', { params });
+  return response.data;
+};
+
+export const getInvoice = async (invoiceId: string): Promise<Invoice> => {
+  const response = await invoiceApi.get<InvoiceResponse>(`/${invoiceId}`);
+  return response.data.data;
+};
+
+// Preview the time and appointments a new invoice would pick up (staff only)
+export const getUnbilledItems = async (params: {
+  caseId: string;
+  periodStart?: string;
+  periodEnd?: string;
+}): Promise<InvoiceLineItem[]> => {
+  const response = await invoiceApi.get('/unbilled', { params });
+  return response.data.data;
+};
+
+export const createInvoice = async (data: InvoiceDraftData): Promise<Invoice> => {
+  const response = await invoiceApi.post<InvoiceResponse>('/', data);
+  return response.data.data;
+};
+
+// Only drafts can be edited; existing lines are referenced by _id
+export const updateInvoice = async (
+  invoiceId: string,
+  data: Omit<InvoiceDraftData, 'caseId' | 'periodStart' | 'periodEnd' | 'includeTimeEntries' | 'includeAppointments'>
+): Promise<Invoice> => {
+  const response = await invoiceApi.put<InvoiceResponse>(`/${invoiceId}`, data);
+  return response.data.data;
+};
+
+export const issueInvoice = async (invoiceId: string, data: { dueDate?: string } = {}): Promise<Invoice> => {
+  const response = await invoiceApi.post<InvoiceResponse>(`/${invoiceId}/issue`, data);
+  return response.data.data;
+};
+
+export const voidInvoice = async (invoiceId: string, reason: string): Promise<Invoice> => {
+  const response = await invoiceApi.post<InvoiceResponse>(`/${invoiceId}/void`, { reason });
+  return response.data.data;
+};
+
+export const deleteInvoice = async (invoiceId: string): Promise<void> => {
+  await invoiceApi.delete(`/${invoiceId}`);
+};
+
+export const downloadInvoicePdf = async (invoiceId: string): Promise<Blob> => {
+  const response = await invoiceApi.get(`/${invoiceId}/pdf`, { responseType: 'blob' });
+  return response.data;
+};
+
+// Allocate an already completed payment to an invoice (staff only)
+export const allocatePayment = async (
+  invoiceId: string,
+  data: { paymentId: string; amount?: number }
+): Promise<Invoice> => {
+  const response = await invoiceApi.post<InvoiceResponse>(`/${invoiceId}/payments`, data);
+  return response.data.data;
+};
+
+export const getInvoiceStatusBadge = (status: InvoiceStatus): string => {
+  switch (status) {
+    case 'paid':
+      return 'bg-green-100 text-green-800';
+    case 'issued':
+      return 'bg-blue-100 text-blue-800';
+    case 'partially_paid':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'void':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+};
@@ -0,0 +1,127 @@
+// Virtual meeting room service for LegalPro v1.0.1
+import axios from 'axios';
+import { io, Socket } from 'socket.io-client';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+// Socket.IO is served from the API host, without the /api prefix
+const SOCKET_URL = API_URL.replace(/\/api\/?$/, '');
+
+const meetingApi = axios.create({
+  baseURL: `${API_URL}/appointments`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+meetingApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+meetingApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Meeting API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+// Socket events, matching backend/socket/events/socketEvents.js
+export const MEETING_EVENTS = {
+  JOIN: 'meeting_join',
+  JOINED: 'meeting_joined',
+  WAITING: 'meeting_waiting',
+  WAITING_LIST: 'meeting_waiting_list',
+  ADMIT: 'meeting_admit',
+  DENY: 'meeting_deny',
+  DENIED: 'meeting_denied',
+  PEER_JOINED: 'meeting_peer_joined',
+  PEER_LEFT: 'meeting_peer_left',
+  SIGNAL: 'meeting_signal',
+  LEAVE: 'meeting_leave',
+  END: 'meeting_end',
+  ENDED: 'meeting_ended',
+  ERROR: 'error'
+} as const;
+
+export type MeetingRole = 'host' | 'guest';
+export type MeetingState = 'open' | 'not_open' | 'closed';
+
+export interface MeetingRoom {
+  roomId: string;
+  role: MeetingRole;
+  state: MeetingState;
+  opensAt: string;
+  closesAt: string;
+  iceServers: RTCIceServer[];
+  appointment: {
+    _id: string;
+    title: string;
+    startDateTime: string;
+    endDateTime: string;
+    status: string;
+    clientId: { _id: string; firstName: string; lastName: string };
+    advocateId: { _id: string; firstName: string; lastName: string };
+  };
+}
+
+export interface MeetingMember {
+  socketId: string;
+  userId: string;
+  name: string;
+  role: MeetingRole;
+}
+
+// WebRTC session description or ICE candidate relayed through the server
+export interface MeetingSignal {
+  description?: RTCSessionDescriptionInit;
+  candidate?: RTCIceCandidateInit;
+}
+
+export interface MeetingAttendanceEntry {
+  _id: string;
+  user: string;
+  name: string;
+  joinedAt: string;
+  leftAt?: string;
+}
+
+export interface MeetingAttendanceSummary {
+  user: string;
+  name: string;
+  sessions: number;
+  firstJoinedAt: string;
+  lastLeftAt: string;
+  minutes: number;
+}
+
+export interface MeetingAttendance {
+  attendance: MeetingAttendanceEntry[];
+  summary: MeetingAttendanceSummary[];
+}
+
+class MeetingService {
+  // Whether the room is open, the user's role in it and the ICE servers to use
+  async getMeetingRoom(roomId: string): Promise<MeetingRoom> {
+    const response = await meetingApi.get(`/meetings/${roomId}`);
+    return response.data.data;
+  }
+
+  // Join and leave times for billing (advocate and admin only)
+  async getAttendance(appointmentId: string): Promise<MeetingAttendance> {
+    const response = await meetingApi.get(`/${appointmentId}/attendance`);
+    return response.data.data;
+  }
+
+  // Signalling connection; the caller owns it and must disconnect it
+  connect(token: string): Socket {
+    return io(SOCKET_URL, {
+      auth: { token },
+      transports: ['websocket', 'polling']
+    });
+  }
+}
+
+export const meetingService = new MeetingService();
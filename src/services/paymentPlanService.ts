@@ -0,0 +1,109 @@
+// Instalment payment plan service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const planApi = axios.create({
+  baseURL: `${API_URL}/payment-plans`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+planApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+planApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Payment plan API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export type PlanFrequency = 'weekly' | 'biweekly' | 'monthly';
+export type PlanStatus = 'active' | 'completed' | 'cancelled';
+export type InstalmentStatus = 'scheduled' | 'requested' | 'paid' | 'missed' | 'cancelled';
+
+// Instalment 0 is the deposit
+export interface PlanInstalment {
+  number: number;
+  amount: number;
+  dueDate: string;
+  status: InstalmentStatus;
+  paymentId?: string;
+  requestedAt?: string;
+  paidAt?: string;
+  missedAt?: string;
+}
+
+export interface PaymentPlan {
+  _id: string;
+  id: string;
+  clientId: string | { _id: string; firstName: string; lastName: string };
+  caseId?: string | { _id: string; caseNumber: string; title: string };
+  invoiceId?: string | { _id: string; invoiceNumber: string; balance: number };
+  totalAmount: number;
+  depositAmount: number;
+  numberOfInstalments: number;
+  frequency: PlanFrequency;
+  startDate: string;
+  collectionMethod: 'stk_push' | 'reminder';
+  phoneNumber?: string;
+  instalments: PlanInstalment[];
+  status: PlanStatus;
+  description?: string;
+  amountPaid: number;
+  amountOutstanding: number;
+  percentPaid: number;
+  missedCount: number;
+  nextInstalment: PlanInstalment | null;
+  createdAt: string;
+}
+
+export interface CreatePaymentPlanData {
+  caseId?: string;
+  invoiceId?: string;
+  totalAmount?: number;
+  depositAmount?: number;
+  numberOfInstalments: number;
+  frequency: PlanFrequency;
+  startDate: string;
+  collectionMethod?: 'stk_push' | 'reminder';
+  phoneNumber?: string;
+  description?: string;
+}
+
+// Plans visible to the current user; clients get their own
+export const getPaymentPlans = async (params: { status?: PlanStatus; caseId?: string; invoiceId?: string; clientId?: string } = {}) => {
+  const response = await planApi.get('/', { params });
+  return response.data as { success: boolean; count: number; data: PaymentPlan[] };
+};
+
+export const getPaymentPlan = async (id: string) => {
+  const response = await planApi.get(`/${id}`);
+  return response.data as { success: boolean; data: PaymentPlan };
+};
+
+export const createPaymentPlan = async (data: CreatePaymentPlanData) => {
+  const response = await planApi.post('/', data);
+  return response.data as { success: boolean; message: string; data: PaymentPlan };
+};
+
+// Send an STK push for an instalment now instead of waiting for its due date
+export const payInstalment = async (planId: string, number: number, phoneNumber?: string) => {
+  const response = await planApi.post(`/${planId}/instalments/${number}/pay`, phoneNumber ? { phoneNumber } : {});
+  return response.data;
+};
+
+export const cancelPaymentPlan = async (planId: string, reason?: string) => {
+  const response = await planApi.post(`/${planId}/cancel`, { reason });
+  return response.data as { success: boolean; message: string; data: PaymentPlan };
+};
+
+export const getInstalmentLabel = (plan: PaymentPlan, instalment: PlanInstalment) =>
+  instalment.number === 0 ? 'Deposit' : `Instalment ${instalment.number} of ${plan.numberOfInstalments}`;
@@ -34,6 +34,7 @@ export interface PaymentInitiationData {
   amount: number;
   appointmentId?: string;
   caseId?: string;
+  invoiceId?: string;
   paymentType?: 'consultation_fee' | 'case_fee' | 'document_fee' | 'court_fee' | 'other';
   description?: string;
   accountReference?: string;
@@ -97,6 +98,39 @@ export interface PaymentListResponse {
   }>;
 }
 
+// Paybill/Till (C2B) receipt as returned by the suspense queue
+export interface C2BReceipt {
+  _id: string;
+  transId: string;
+  transTime?: string;
+  amount: number;
+  accountReference?: string;
+  phoneNumber?: string;
+  payerName?: string;
+  status: 'verifying' | 'matched' | 'suspense' | 'allocated' | 'rejected';
+  matchedBy?: 'case' | 'invoice' | 'phone' | 'manual';
+  clientId?: { _id: string; firstName: string; lastName: string };
+  caseId?: { _id: string; caseNumber: string; title: string };
+  invoiceId?: { _id: string; invoiceNumber: string };
+  paymentId?: string;
+  allocatedAt?: string;
+  allocationNote?: string;
+  createdAt: string;
+}
+
+export interface C2BReceiptListResponse {
+  success: boolean;
+  receipts: C2BReceipt[];
+  pagination: PaymentListResponse['pagination'];
+}
+
+export interface C2BAllocationData {
+  reference?: string; // case or invoice number
+  clientId?: string;
+  paymentType?: 'consultation_fee' | 'case_fee' | 'document_fee' | 'court_fee' | 'cancellation_fee' | 'no_show_fee' | 'other';
+  note?: string;
+}
+
 // Initiate STK Push payment
 export const initiateSTKPush = async (paymentData: PaymentInitiationData): Promise<PaymentResponse> => {
   const response = await paymentApi.post('/stk-push', paymentData);
@@ -132,10 +166,11 @@ export const getPayments = async (params: {
   return response.data;
 };
 
-// Initiate refund (admin only)
+// Request a refund (admin only); larger refunds wait for a second admin under /api/refunds
 export const initiateRefund = async (paymentId: string, refundData: {
   amount?: number;
   reason: string;
+  phoneNumber?: string;
 }) => {
   const response = await paymentApi.post(`/${paymentId}/refund`, refundData);
   return response.data;
@@ -150,6 +185,29 @@ export const getTransactionAnalytics = async (params: {
   return response.data;
 };
 
+// Paybill/Till receipts, by default those in suspense (admin only)
+export const getC2BReceipts = async (params: {
+  page?: number;
+  limit?: number;
+  status?: 'verifying' | 'suspense' | 'matched' | 'allocated' | 'rejected' | 'all';
+  search?: string;
+} = {}): Promise<C2BReceiptListResponse> => {
+  const response = await paymentApi.get('/mpesa/c2b/receipts', { params });
+  return response.data;
+};
+
+// Allocate a receipt out of suspense (admin only)
+export const allocateC2BReceipt = async (receiptId: string, allocation: C2BAllocationData) => {
+  const response = await paymentApi.post(`/mpesa/c2b/receipts/${receiptId}/allocate`, allocation);
+  return response.data;
+};
+
+// Register the Paybill/Till validation and confirmation URLs with Safaricom (admin only)
+export const registerC2BUrls = async () => {
+  const response = await paymentApi.post('/mpesa/c2b/register');
+  return response.data;
+};
+
 // Utility functions
 export const formatAmount = (amount: number, currency: string = 'KES'): string => {
   return `${currency} ${amount.toLocaleString()}`;
@@ -180,6 +238,7 @@ export const getPaymentStatusColor = (status: string): string => {
       return 'text-yellow-600';
     case 'failed':
     case 'cancelled':
+    case 'timeout':
       return 'text-red-600';
     case 'refunded':
     case 'partially_refunded':
@@ -198,6 +257,7 @@ export const getPaymentStatusBadge = (status: string): string => {
       return 'bg-yellow-100 text-yellow-800';
     case 'failed':
     case 'cancelled':
+    case 'timeout':
       return 'bg-red-100 text-red-800';
     case 'refunded':
     case 'partially_refunded':
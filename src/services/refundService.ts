@@ -0,0 +1,87 @@
+// Refund approval service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const refundApi = axios.create({
+  baseURL: `${API_URL}/refunds`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+refundApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+refundApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Refund API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export type RefundStatus = 'requested' | 'approved' | 'rejected' | 'disbursing' | 'disbursed' | 'failed';
+
+interface PersonRef {
+  _id: string;
+  firstName: string;
+  lastName: string;
+}
+
+export interface Refund {
+  _id: string;
+  id: string;
+  paymentId: string | {
+    _id: string;
+    amount: number;
+    currency: string;
+    status: string;
+    refundAmount: number;
+    mpesaDetails?: { mpesaReceiptNumber?: string };
+  };
+  clientId: string | (PersonRef & { email: string });
+  amount: number;
+  currency: string;
+  reason: string;
+  phoneNumber: string;
+  status: RefundStatus;
+  requestedBy: string | PersonRef;
+  requiredApprovals: number;
+  approvalsRemaining: number;
+  approvals: Array<{ userId: string | PersonRef; approvedAt: string; note?: string }>;
+  rejectionReason?: string;
+  disbursement?: {
+    conversationID?: string;
+    resultDesc?: string;
+    transactionReceipt?: string;
+  };
+  failureReason?: string;
+  disbursedAt?: string;
+  createdAt: string;
+}
+
+export const getRefunds = async (params: { status?: RefundStatus; paymentId?: string } = {}) => {
+  const response = await refundApi.get('/', { params });
+  return response.data as { success: boolean; count: number; data: Refund[] };
+};
+
+export const getRefund = async (id: string) => {
+  const response = await refundApi.get(`/${id}`);
+  return response.data as { success: boolean; data: Refund };
+};
+
+// The final approval sends the M-Pesa payout
+export const approveRefund = async (id: string, note?: string) => {
+  const response = await refundApi.post(`/${id}/approve`, note ? { note } : {});
+  return response.data as { success: boolean; message: string; data: Refund };
+};
+
+export const rejectRefund = async (id: string, reason?: string) => {
+  const response = await refundApi.post(`/${id}/reject`, reason ? { reason } : {});
+  return response.data as { success: boolean; message: string; data: Refund };
+};
@@ -0,0 +1,93 @@
+// Meeting room and equipment service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const resourceApi = axios.create({
+  baseURL: `${API_URL}/resources`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+resourceApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+resourceApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Resource API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export type ResourceType = 'room' | 'projector' | 'equipment' | 'other';
+
+export interface Resource {
+  _id: string;
+  name: string;
+  type: ResourceType;
+  description?: string;
+  capacity?: number;
+  location?: string;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ResourceData = Partial<Pick<Resource, 'name' | 'type' | 'description' | 'capacity' | 'location' | 'isActive'>>;
+
+export interface ResourceBooking {
+  _id: string;
+  title?: string;
+  startDateTime: string;
+  endDateTime: string;
+  advocateId?: {
+    _id: string;
+    firstName: string;
+    lastName: string;
+  };
+}
+
+export interface ResourceSchedule {
+  resource: Resource;
+  from: string;
+  to: string;
+  bookings: ResourceBooking[];
+}
+
+class ResourceService {
+  // Bookable resources; staff can include retired ones
+  async getResources(includeInactive: boolean = false): Promise<Resource[]> {
+    const response = await resourceApi.get(`/?includeInactive=${includeInactive}`);
+    return response.data.data;
+  }
+
+  async createResource(data: ResourceData): Promise<Resource> {
+    const response = await resourceApi.post('/', data);
+    return response.data.data;
+  }
+
+  async updateResource(id: string, data: ResourceData): Promise<Resource> {
+    const response = await resourceApi.put(`/${id}`, data);
+    return response.data.data;
+  }
+
+  // Retired resources stay on past bookings but can't be chosen again
+  async deactivateResource(id: string): Promise<Resource> {
+    const response = await resourceApi.delete(`/${id}`);
+    return response.data.data;
+  }
+
+  // Bookings for a resource between two dates (at most 62 days)
+  async getSchedule(id: string, from: string, to: string): Promise<ResourceSchedule> {
+    const response = await resourceApi.get(`/${id}/schedule?from=${from}&to=${to}`);
+    return response.data.data;
+  }
+}
+
+export const resourceService = new ResourceService();
@@ -0,0 +1,137 @@
+// Bank and M-Pesa statement reconciliation service for LegalPro v1.0.1
+import axios from 'axios';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const statementApi = axios.create({
+  baseURL: `${API_URL}/statements`,
+  timeout: 60000, // matching a long statement can take a while
+  withCredentials: true,
+});
+
+statementApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+statementApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Statement API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export type StatementSource = 'bank_csv' | 'bank_ofx' | 'mpesa_csv';
+export type StatementMatchStatus = 'matched' | 'unmatched' | 'discrepancy';
+export type StatementReviewStatus = 'pending' | 'confirmed' | 'rejected';
+
+export interface StatementLinePayment {
+  _id: string;
+  amount: number;
+  status: string;
+  method: string;
+  paymentType: string;
+  transactionId?: string;
+  completedAt?: string;
+  createdAt: string;
+  clientId?: { _id: string; firstName: string; lastName: string };
+  mpesaDetails?: { mpesaReceiptNumber?: string; phoneNumber?: string };
+}
+
+export interface StatementLine {
+  _id: string;
+  lineNumber: number;
+  date: string;
+  amount: number;
+  description?: string;
+  reference?: string;
+  phoneNumber?: string;
+  payerName?: string;
+  matchStatus: StatementMatchStatus;
+  paymentId?: StatementLinePayment | string;
+  matchedBy?: 'receipt' | 'amount_date' | 'manual';
+  // e.g. amount, date, phone, status, ambiguous, already_reconciled
+  discrepancies: string[];
+  reviewStatus: StatementReviewStatus;
+  reviewedBy?: { _id: string; firstName: string; lastName: string };
+  reviewedAt?: string;
+  reviewNote?: string;
+}
+
+export interface StatementSummary {
+  total: number;
+  matched: number;
+  unmatched: number;
+  discrepancy: number;
+  pendingReview: number;
+}
+
+export interface StatementImport {
+  _id: string;
+  source: StatementSource;
+  fileName?: string;
+  periodStart?: string;
+  periodEnd?: string;
+  summary: StatementSummary;
+  lines?: StatementLine[];
+  uploadedBy?: { _id: string; firstName: string; lastName: string };
+  createdAt: string;
+}
+
+export interface StatementListResponse {
+  success: boolean;
+  data: StatementImport[];
+  pagination: {
+    current: number;
+    pages: number;
+    total: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+}
+
+// Upload a statement; the source is detected from the file when not given
+export const uploadStatement = async (file: File, source?: StatementSource): Promise<StatementImport> => {
+  const formData = new FormData();
+  formData.append('statement', file);
+  if (source) formData.append('source', source);
+
+  const response = await statementApi.post('/', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  });
+  return response.data.data;
+};
+
+export const getStatements = async (params: {
+  page?: number;
+  limit?: number;
+  source?: StatementSource;
+} = {}): Promise<StatementListResponse> => {
+  const response = await statementApi.get('/', { params });
+  return response.data;
+};
+
+// Statement with every line and the payment it was matched to
+export const getStatement = async (statementId: string): Promise<StatementImport> => {
+  const response = await statementApi.get(`/${statementId}`);
+  return response.data.data;
+};
+
+// Confirm a line against its suggested payment, or against paymentId when given
+export const confirmStatementLine = async (
+  statementId: string,
+  lineId: string,
+  data: { paymentId?: string; note?: string } = {}
+) => {
+  const response = await statementApi.post(`/${statementId}/lines/${lineId}/confirm`, data);
+  return response.data.data;
+};
+
+export const rejectStatementLine = async (statementId: string, lineId: string, note?: string) => {
+  const response = await statementApi.post(`/${statementId}/lines/${lineId}/reject`, { note });
+  return response.data.data;
+};
@@ -0,0 +1,105 @@
+// Case task service for LegalPro v1.0.1
+import { Task, TaskStatus } from '../types';
+
+export interface TaskFormData {
+  title: string;
+  description?: string;
+  assignedTo?: string;
+  dueDate?: string;
+  priority?: Task['priority'];
+  checklist?: string[];
+}
+
+export interface TaskUpdateData extends Partial<Omit<TaskFormData, 'checklist'>> {
+  status?: TaskStatus;
+  addChecklistItems?: string[];
+}
+
+export interface MyTasksFilters {
+  status?: TaskStatus[];
+  due?: 'overdue' | 'week';
+  limit?: number;
+}
+
+export interface MyTasksResponse {
+  data: Task[];
+  count: number;
+  overdue: number;
+}
+
+class TaskService {
+  // Get tasks on a case
+  async getCaseTasks(caseId: string, filters: { status?: TaskStatus[]; assignedTo?: string } = {}): Promise<Task[]> {
+    const params = new URLSearchParams();
+    if (filters.status?.length) params.append('status', filters.status.join(','));
+    if (filters.assignedTo) params.append('assignedTo', filters.assignedTo);
+
+    const data = await this.request(`/api/cases/${caseId}/tasks?${params}`, 'GET', null, 'Failed to get tasks');
+    return data.data;
+  }
+
+  // Get open tasks assigned to the current user across cases
+  async getMyTasks(filters: MyTasksFilters = {}): Promise<MyTasksResponse> {
+    const params = new URLSearchParams();
+    if (filters.status?.length) params.append('status', filters.status.join(','));
+    if (filters.due) params.append('due', filters.due);
+    if (filters.limit) params.append('limit', filters.limit.toString());
+
+    const data = await this.request(`/api/tasks/mine?${params}`, 'GET', null, 'Failed to get your tasks');
+    return { data: data.data, count: data.count, overdue: data.overdue };
+  }
+
+  async createTask(caseId: string, task: TaskFormData): Promise<Task> {
+    const data = await this.request(`/api/cases/${caseId}/tasks`, 'POST', task, 'Failed to create task');
+    return data.data;
+  }
+
+  async updateTask(caseId: string, taskId: string, update: TaskUpdateData): Promise<Task> {
+    const data = await this.request(`/api/cases/${caseId}/tasks/${taskId}`, 'PUT', update, 'Failed to update task');
+    return data.data;
+  }
+
+  async setChecklistItem(caseId: string, taskId: string, itemId: string, isDone: boolean): Promise<Task> {
+    const data = await this.request(
+      `/api/cases/${caseId}/tasks/${taskId}/checklist/${itemId}`,
+      'PUT',
+      { isDone },
+      'Failed to update checklist'
+    );
+    return data.data;
+  }
+
+  async addComment(caseId: string, taskId: string, content: string): Promise<Task> {
+    const data = await this.request(`/api/cases/${caseId}/tasks/${taskId}/comments`, 'POST', { content }, 'Failed to add comment');
+    return data.data;
+  }
+
+  async deleteTask(caseId: string, taskId: string) {
+    return this.request(`/api/cases/${caseId}/tasks/${taskId}`, 'DELETE', null, 'Failed to delete task');
+  }
+
+  private async request(url: string, method: 'GET' | 'POST' | 'PUT' | 'DELETE', body: object | null, fallbackMessage: string) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || fallbackMessage);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error);
+      throw error;
+    }
+  }
+}
+
+export const taskService = new TaskService();
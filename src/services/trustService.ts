@@ -0,0 +1,93 @@
+// Client trust account service for LegalPro v1.0.1
+import axios from 'axios';
+import { Invoice, TrustAccount, TrustReconciliationReport, TrustTransaction } from '../types';
+
+const API_URL = (import.meta.env as any).VITE_API_URL || 'http://localhost:5000/api';
+
+const trustApi = axios.create({
+  baseURL: `${API_URL}/trust`,
+  timeout: 30000,
+  withCredentials: true,
+});
+
+trustApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+trustApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    console.error('Trust API error:', error.response?.data || error.message);
+    throw error;
+  }
+);
+
+export interface TrustBalancesResponse {
+  success: boolean;
+  count: number;
+  totalHeld: number;
+  data: TrustAccount[];
+}
+
+export interface CaseTrustLedger {
+  case: { _id: string; caseNumber: string; title: string };
+  balance: number;
+  transactions: TrustTransaction[];
+}
+
+export interface DisbursementData {
+  caseId: string;
+  amount: number;
+  category: string;
+  payee: string;
+  reference?: string;
+  description?: string;
+  transactionDate?: string;
+}
+
+// Trust balances per case visible to the current user
+export const getTrustBalances = async (params: { caseId?: string; clientId?: string } = {}): Promise<TrustBalancesResponse> => {
+  const response = await trustApi.get('/balances', { params });
+  return response.data;
+};
+
+// Statement for one matter with a running balance
+export const getCaseTrustLedger = async (caseId: string): Promise<CaseTrustLedger> => {
+  const response = await trustApi.get(`/cases/${caseId}`);
+  return response.data.data;
+};
+
+export const getDisbursementCategories = async (): Promise<Array<{ code: string; label: string }>> => {
+  const response = await trustApi.get('/disbursement-categories');
+  return response.data.data;
+};
+
+// Credit a completed payment to the client's trust sub-ledger (staff only)
+export const depositPayment = async (paymentId: string, description?: string): Promise<TrustTransaction> => {
+  const response = await trustApi.post('/deposits', { paymentId, description });
+  return response.data.data;
+};
+
+// Transfer earned fees to office against an issued invoice; amount defaults to the invoice balance
+export const transferToOffice = async (data: {
+  invoiceId: string;
+  amount?: number;
+  description?: string;
+}): Promise<{ transaction: TrustTransaction; invoice: Invoice }> => {
+  const response = await trustApi.post('/transfers', data);
+  return response.data.data;
+};
+
+export const recordDisbursement = async (data: DisbursementData): Promise<TrustTransaction> => {
+  const response = await trustApi.post('/disbursements', data);
+  return response.data.data;
+};
+
+export const getReconciliationReport = async (asOf?: string): Promise<TrustReconciliationReport> => {
+  const response = await trustApi.get('/reconciliation', { params: asOf ? { asOf } : {} });
+  return response.data.data;
+};
@@ -5,6 +5,7 @@ import userEvent from '@testing-library/user-event';
 import { vi } from 'vitest';
 import CaseForm from '../../components/cases/CaseForm';
 import { userManagementService } from '../../services/userManagementService';
+import { caseService } from '../../services/caseService';
 
 // Mock the services
 vi.mock('../../services/userManagementService', () => ({
@@ -13,6 +14,12 @@ vi.mock('../../services/userManagementService', () => ({
   }
 }));
 
+vi.mock('../../services/caseService', () => ({
+  caseService: {
+    checkConflicts: vi.fn()
+  }
+}));
+
 vi.mock('react-hot-toast', () => ({
   default: {
     error: vi.fn(),
@@ -74,6 +81,12 @@ describe('CaseForm Component', () => {
       }
       return Promise.resolve({ data: [] });
     });
+
+    (caseService.checkConflicts as any).mockResolvedValue({
+      clear: true,
+      hits: [],
+      summary: { conflicts: 0, potential: 0 }
+    });
   });
 
   test('renders form when open', async () => {
@@ -243,11 +256,63 @@ describe('CaseForm Component', () => {
         priority: 'high',
         clientId: 'client1',
         assignedTo: '',
-        courtDate: ''
+        courtDate: '',
+        opposingParties: [],
+        relatedParties: []
       });
     });
   });
 
+  test('requires an override reason when the conflict check finds matches', async () => {
+    const user = userEvent.setup();
+    const mockOnSubmit = vi.fn().mockResolvedValue(undefined);
+    (caseService.checkConflicts as any).mockResolvedValue({
+      clear: false,
+      hits: [{
+        severity: 'conflict',
+        candidate: { name: 'Jane Smith', role: 'opposing' },
+        source: 'client',
+        matched: { name: 'Jane Smith' },
+        matchedOn: ['name'],
+        nameScore: 1,
+        cases: [{ _id: 'case1', caseNumber: 'CASE-2024-0001', title: 'Smith v Doe', status: 'in_progress' }]
+      }],
+      summary: { conflicts: 1, potential: 0 }
+    });
+
+    render(<CaseForm {...defaultProps} onSubmit={mockOnSubmit} />);
+
+    await user.type(screen.getByPlaceholderText('Enter case title'), 'Test Case Title');
+    await user.type(screen.getByPlaceholderText('Describe the case details...'), 'Test case description');
+    await user.selectOptions(screen.getByDisplayValue('Select category'), 'Family Law');
+    await waitFor(() => {
+      expect(screen.getByText('John Doe (john@example.com)')).toBeInTheDocument();
+    });
+    await user.selectOptions(screen.getByDisplayValue('Select client'), 'client1');
+    await user.click(screen.getAllByRole('button', { name: /add party/i })[0]);
+    await user.type(screen.getByPlaceholderText('Full name or organization'), 'Jane Smith');
+
+    await user.click(screen.getByRole('button', { name: /create case/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/CASE-2024-0001/)).toBeInTheDocument();
+    });
+    expect(mockOnSubmit).not.toHaveBeenCalled();
+
+    const proceedButton = screen.getByRole('button', { name: /proceed anyway/i });
+    expect(proceedButton).toBeDisabled();
+
+    await user.type(screen.getByPlaceholderText(/reason for proceeding/i), 'Informed consent obtained');
+    await user.click(proceedButton);
+
+    await waitFor(() => {
+      expect(mockOnSubmit).toHaveBeenCalledWith(expect.objectContaining({
+        opposingParties: [expect.objectContaining({ name: 'Jane Smith' })],
+        conflictOverride: { reason: 'Informed consent obtained' }
+      }));
+    });
+  });
+
   test('calls onClose when cancel button is clicked', async () => {
     const user = userEvent.setup();
     const mockOnClose = vi.fn();
@@ -212,7 +212,15 @@ export const handlers = [
         categoryBreakdown: [
           { _id: 'Property Law', count: 1 },
           { _id: 'Employment Law', count: 1 }
-        ]
+        ],
+        timeTracking: {
+          entries: 2,
+          totalMinutes: 90,
+          billableMinutes: 60,
+          nonBillableMinutes: 30,
+          billedMinutes: 60,
+          billableAmount: 5000
+        }
       }
     });
   }),
@@ -41,18 +41,276 @@ export interface Case {
   description: string;
   category: string;
   status: 'pending' | 'in_progress' | 'completed' | 'closed';
+  stage?: string;
+  workflow?: CaseWorkflowState;
   priority: 'low' | 'medium' | 'high' | 'urgent';
   assignedTo?: string | User;
   courtDate?: string;
+  opposingParties?: CaseParty[];
+  relatedParties?: CaseParty[];
   documents: CaseDocument[];
   notes: CaseNote[];
   timeline: TimelineEvent[];
+  documentChecklist?: CaseChecklistItem[];
+  templateId?: string;
   clientName?: string;
   isArchived?: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface CaseChecklistItem {
+  _id: string;
+  name: string;
+  description?: string;
+  required: boolean;
+  status: 'pending' | 'received' | 'waived';
+  documentId?: string;
+  statusChangedAt?: string;
+}
+
+export interface RelativeDueDate {
+  length: number;
+  unit: 'calendar_days' | 'court_days' | 'months';
+}
+
+export interface CaseTemplate {
+  _id: string;
+  name: string;
+  category: string;
+  description?: string;
+  defaultPriority: 'low' | 'medium' | 'high' | 'urgent';
+  documentChecklist: Array<{ _id?: string; name: string; description?: string; required: boolean }>;
+  tasks: Array<{ _id?: string; title: string; description?: string; priority: 'low' | 'medium' | 'high' | 'urgent'; dueIn: RelativeDueDate }>;
+  deadlines: Array<{ _id?: string; title: string; type: string; dueIn: RelativeDueDate; notes?: string }>;
+  notes: Array<{ _id?: string; content: string; isPrivate: boolean }>;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WorkflowTransition {
+  to: string;
+  label: string;
+  status: 'pending' | 'in_progress' | 'completed' | 'closed';
+  requiredFields: Array<{ name: string; label: string }>;
+}
+
+export interface CaseWorkflowState {
+  name: string;
+  stage: string;
+  stageLabel: string;
+  allowedTransitions: WorkflowTransition[];
+}
+
+export interface CaseParty {
+  _id?: string;
+  name: string;
+  email?: string;
+  phone?: string;
+  relationship?: string;
+}
+
+export interface ConflictHit {
+  severity: 'conflict' | 'potential';
+  candidate: { name: string; role: 'client' | 'opposing' | 'related' };
+  source: 'client' | 'opposing_party' | 'related_party';
+  matched: CaseParty;
+  matchedOn: Array<'name' | 'email' | 'phone'>;
+  nameScore: number;
+  cases: Array<{ _id: string; caseNumber: string; title: string; status: string }>;
+}
+
+export interface ConflictCheckResult {
+  clear: boolean;
+  hits: ConflictHit[];
+  summary: { conflicts: number; potential: number };
+}
+
+export type TaskStatus = 'open' | 'in_progress' | 'completed' | 'cancelled';
+
+export interface TaskChecklistItem {
+  _id: string;
+  text: string;
+  isDone: boolean;
+  doneBy?: string;
+  doneAt?: string;
+}
+
+export interface TaskComment {
+  _id: string;
+  content: string;
+  author: string | Pick<User, 'firstName' | 'lastName'>;
+  createdAt: string;
+}
+
+export interface Task {
+  _id: string;
+  id: string;
+  caseId: string | Pick<Case, '_id' | 'caseNumber' | 'title'>;
+  title: string;
+  description?: string;
+  assignedTo?: string | { _id: string; firstName: string; lastName: string; email?: string };
+  dueDate?: string;
+  status: TaskStatus;
+  priority: 'low' | 'medium' | 'high' | 'urgent';
+  checklist: TaskChecklistItem[];
+  checklistProgress?: { done: number; total: number };
+  comments: TaskComment[];
+  isOverdue?: boolean;
+  completedAt?: string;
+  createdBy: string | Pick<User, 'firstName' | 'lastName'>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TimeEntry {
+  _id: string;
+  id: string;
+  caseId: string;
+  advocateId: string | User;
+  activityCode: string;
+  description?: string;
+  entryType: 'timer' | 'manual';
+  workDate: string;
+  startTime?: string;
+  endTime?: string;
+  isRunning: boolean;
+  durationMinutes: number;
+  billedMinutes: number;
+  billable: boolean;
+  hourlyRate: number;
+  amount: number;
+  hours: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TimeEntryTotals {
+  entries: number;
+  totalMinutes: number;
+  billableMinutes: number;
+  nonBillableMinutes: number;
+  billedMinutes: number;
+  billableAmount: number;
+}
+
+export interface ActivityCode {
+  code: string;
+  label: string;
+  billable: boolean;
+}
+
+export type InvoiceStatus = 'draft' | 'issued' | 'partially_paid' | 'paid' | 'void';
+
+export interface InvoiceLineItem {
+  _id?: string;
+  type: 'time' | 'appointment' | 'fee' | 'expense';
+  description: string;
+  date?: string;
+  quantity: number;
+  unit: 'hours' | 'session' | 'item';
+  unitPrice: number;
+  amount: number;
+  taxable: boolean;
+  timeEntryId?: string;
+  appointmentId?: string;
+}
+
+export interface InvoicePaymentAllocation {
+  _id: string;
+  paymentId?: string;
+  trustTransactionId?: string;
+  amount: number;
+  method?: string;
+  reference?: string;
+  allocatedAt: string;
+}
+
+export interface Invoice {
+  _id: string;
+  id: string;
+  invoiceNumber?: string;
+  caseId: string | Case;
+  clientId: string | User;
+  status: InvoiceStatus;
+  lineItems: InvoiceLineItem[];
+  currency: string;
+  periodStart?: string;
+  periodEnd?: string;
+  discount?: { type: 'percent' | 'fixed'; value: number; reason?: string };
+  taxRate: number;
+  subtotal: number;
+  discountAmount: number;
+  taxableAmount: number;
+  taxAmount: number;
+  total: number;
+  amountPaid: number;
+  balance: number;
+  payments: InvoicePaymentAllocation[];
+  issueDate?: string;
+  dueDate?: string;
+  paidAt?: string;
+  notes?: string;
+  voidReason?: string;
+  isOverdue: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type TrustTransactionType = 'deposit' | 'transfer_to_office' | 'disbursement';
+
+export interface TrustAccount {
+  _id: string;
+  clientId: string | User;
+  caseId: string | Case;
+  balance: number;
+  currency: string;
+  lastTransactionAt?: string;
+}
+
+export interface TrustTransaction {
+  _id: string;
+  id: string;
+  type: TrustTransactionType;
+  clientId: string;
+  caseId: string;
+  amount: number;
+  currency: string;
+  paymentId?: string;
+  invoiceId?: string | { _id: string; invoiceNumber: string };
+  disbursement?: { category: string; payee: string };
+  reference?: string;
+  description?: string;
+  transactionDate: string;
+  ledgerEffect: number;
+  runningBalance?: number;
+  recordedBy?: string | User;
+  createdAt: string;
+}
+
+export interface TrustSubLedger {
+  clientId: string | User;
+  caseId: string | Case;
+  credits: number;
+  debits: number;
+  balance: number;
+  transactions: number;
+}
+
+export interface TrustReconciliationReport {
+  asOf: string;
+  reconciled: boolean;
+  trustBankBalance: number;
+  clientLedgerTotal: number;
+  difference: number;
+  subLedgerCount: number;
+  subLedgers: TrustSubLedger[];
+  negativeBalances: TrustSubLedger[];
+  mismatchedSubLedgers: Array<{ clientId: string; caseId: string; accountBalance: number; journalBalance: number }>;
+  unbalancedTransactions: string[];
+}
+
 export interface CaseDocument {
   _id: string;
   id: string;
@@ -69,6 +327,14 @@ export interface CaseDocument {
   downloadCount?: number;
   lastAccessed?: string;
   metadata?: any;
+  version?: number;
+  versionComment?: string;
+  versionUploadedBy?: string | User;
+  versionUploadedAt?: string;
+  versions?: DocumentVersion[];
+  checkedOutBy?: string | User;
+  checkedOutAt?: string;
+  checkoutNote?: string;
   uploadedAt: string;
   createdAt: string;
   updatedAt: string;
@@ -76,6 +342,50 @@ export interface CaseDocument {
 
 export interface Document extends CaseDocument {}
 
+export interface DocumentVersion {
+  version: number;
+  originalName: string;
+  type: string;
+  size: number;
+  uploadedBy: string | User;
+  uploadedAt: string;
+  comment?: string;
+  isCurrent: boolean;
+}
+
+export interface DocumentVersionHistory {
+  documentId: string;
+  name: string;
+  currentVersion: number;
+  checkedOutBy?: User;
+  checkedOutAt?: string;
+  checkoutNote?: string;
+  versions: DocumentVersion[];
+}
+
+export interface TextHighlight {
+  start: number;
+  length: number;
+}
+
+export interface DocumentSearchSnippet {
+  text: string;
+  highlights: TextHighlight[];
+}
+
+export interface DocumentSearchResult {
+  caseId: string;
+  documentId: string;
+  name: string;
+  originalName: string;
+  type: string;
+  version: number;
+  score: number;
+  nameHighlights: TextHighlight[];
+  snippets: DocumentSearchSnippet[];
+  case: { _id: string; caseNumber: string; title: string };
+}
+
 export interface CaseNote {
   _id: string;
   id: string;